@@ -0,0 +1,205 @@
+<?php
+// Generated by scripts/contact/build-php-rules.js - do not edit.
+// Rules for public/api/contact.php; run `npm run contact:build-php-rules` after changing them.
+
+return json_decode(<<<'JSON'
+{
+  "version": 1,
+  "fields": [
+    "name",
+    "email",
+    "role",
+    "topic",
+    "programId",
+    "correctionField",
+    "proposedValue",
+    "sourceUrl",
+    "message"
+  ],
+  "roles": [
+    "prospectiveStudent",
+    "currentStudent",
+    "faculty",
+    "programDirector",
+    "other"
+  ],
+  "topics": [
+    "general",
+    "program",
+    "suggestion",
+    "partnership",
+    "technical",
+    "correction"
+  ],
+  "limits": {
+    "name": {
+      "min": 2,
+      "max": 100
+    },
+    "email": {
+      "max": 254
+    },
+    "message": {
+      "min": 20,
+      "max": 5000
+    },
+    "proposedValue": {
+      "max": 500
+    }
+  },
+  "emailPattern": "^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$",
+  "minFillMs": 3000,
+  "programIds": [
+    "uc-davis-phd-spanish-ling"
+  ],
+  "correctableFields": {
+    "stipendApproxUSD": {
+      "input": "number",
+      "format": "currency",
+      "rule": {
+        "kind": "number",
+        "nullable": true,
+        "min": 0
+      }
+    },
+    "yearsGuaranteed": {
+      "input": "number",
+      "format": "integer",
+      "rule": {
+        "kind": "number",
+        "nullable": true,
+        "min": 0,
+        "max": 10
+      }
+    },
+    "tuitionRemission": {
+      "input": "boolean",
+      "rule": {
+        "kind": "boolean"
+      }
+    },
+    "additionalSummerFunding": {
+      "input": "boolean",
+      "rule": {
+        "kind": "boolean"
+      }
+    },
+    "greRequired": {
+      "input": "boolean",
+      "rule": {
+        "kind": "boolean"
+      }
+    },
+    "greSubjectTestRequired": {
+      "input": "boolean",
+      "rule": {
+        "kind": "boolean"
+      }
+    },
+    "writingSampleRequired": {
+      "input": "boolean",
+      "rule": {
+        "kind": "boolean"
+      }
+    },
+    "languageProficiencyRequired": {
+      "input": "boolean",
+      "rule": {
+        "kind": "boolean"
+      }
+    },
+    "minGPA": {
+      "input": "number",
+      "format": "decimal",
+      "rule": {
+        "kind": "number",
+        "nullable": true,
+        "min": 0,
+        "max": 5
+      }
+    },
+    "cohortSizeApprox": {
+      "input": "number",
+      "format": "integer",
+      "rule": {
+        "kind": "number",
+        "nullable": true,
+        "min": 0
+      }
+    },
+    "acceptanceRateApprox": {
+      "input": "number",
+      "format": "decimal",
+      "rule": {
+        "kind": "number",
+        "nullable": true,
+        "min": 0,
+        "max": 100
+      }
+    },
+    "acceptingApplications": {
+      "input": "boolean",
+      "rule": {
+        "kind": "boolean"
+      }
+    },
+    "deliveryMode": {
+      "input": "deliveryMode",
+      "rule": {
+        "kind": "string",
+        "oneOf": [
+          "In-Person",
+          "Online",
+          "Hybrid"
+        ]
+      }
+    },
+    "officialWebsite": {
+      "input": "url",
+      "rule": {
+        "kind": "externalUrl"
+      }
+    },
+    "applicationPortal": {
+      "input": "url",
+      "rule": {
+        "kind": "externalUrl",
+        "nullable": true
+      }
+    },
+    "handbookPDF": {
+      "input": "url",
+      "rule": {
+        "kind": "externalUrl",
+        "nullable": true
+      }
+    }
+  },
+  "words": {
+    "none": [
+      "none",
+      "null",
+      "n/a",
+      "ninguno",
+      "ninguna"
+    ],
+    "true": [
+      "true",
+      "yes",
+      "y",
+      "sí",
+      "si"
+    ],
+    "false": [
+      "false",
+      "no",
+      "n"
+    ]
+  },
+  "rateLimit": {
+    "max": 5,
+    "windowMs": 900000
+  },
+  "maxBodyBytes": 20480
+}
+JSON, true);
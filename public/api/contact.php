@@ -0,0 +1,393 @@
+<?php
+/**
+ * Contact Submission Endpoint (production)
+ *
+ * POST /api/contact on SiteGround, which serves /public/ with Apache and PHP
+ * and runs no Node; public/.htaccess rewrites /api/contact to this file. It
+ * is a port of scripts/contact/handler.js (the endpoint under
+ * `npm run contact:serve`) and answers the same requests the same way:
+ * - rate-limits by client IP (every attempt counts, valid or not)
+ * - validates with contact-rules.php, generated from
+ *   src/apps/contact/validation.ts by `npm run contact:build-php-rules`,
+ *   and answers 422 { errors } with the same codes
+ * - drops honeypot / time-trap spam with a normal-looking 201
+ * - appends the submission to the JSONL store (status `new`) and answers 201 { id }
+ *
+ * PHP keeps nothing in memory between requests, so the rate limiter's hits
+ * live in rate-limit.json next to the store.
+ *
+ * The store defaults to storage/contact/submissions.jsonl beside
+ * public_html, outside the web root. CONTACT_STORAGE_FILE and
+ * CONTACT_IP_SALT are read from the environment, as in Node.
+ *
+ * Spanish Academic 2026
+ */
+
+declare(strict_types=1);
+
+$rules = require __DIR__ . '/contact-rules.php';
+
+function send_json(int $status, array $body, array $headers = []): void
+{
+    http_response_code($status);
+    header('Content-Type: application/json; charset=utf-8');
+    header('Cache-Control: no-store');
+    foreach ($headers as $name => $value) {
+        header("$name: $value");
+    }
+    echo json_encode($body, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+    exit;
+}
+
+/**
+ * String.prototype.trim(): also strips Unicode spaces
+ */
+function js_trim(string $value): string
+{
+    return preg_replace('/^[\s\p{Z}\x{FEFF}]+|[\s\p{Z}\x{FEFF}]+$/u', '', $value);
+}
+
+/**
+ * String length as JavaScript counts it (UTF-16 code units)
+ */
+function js_length(string $value): int
+{
+    return intdiv(strlen(mb_convert_encoding($value, 'UTF-16LE', 'UTF-8')), 2);
+}
+
+function now_ms(): int
+{
+    return (int) floor(microtime(true) * 1000);
+}
+
+/**
+ * Sliding-window limiter: at most $max hits per key within $windowMs
+ * Hits are kept in a JSON file, locked while read and rewritten; keys whose
+ * hits have all expired are dropped on every write.
+ *
+ * @return array{0: bool, 1: int} [allowed, retry after (seconds)]
+ */
+function rate_limit_hit(string $file, string $key, int $max, int $windowMs, int $now): array
+{
+    $handle = fopen($file, 'c+');
+    flock($handle, LOCK_EX);
+    $hits = json_decode(stream_get_contents($handle) ?: '{}', true) ?: [];
+
+    foreach ($hits as $hitKey => $times) {
+        $hits[$hitKey] = array_values(array_filter($times, fn ($time) => $now - $time < $windowMs));
+        if (!$hits[$hitKey]) {
+            unset($hits[$hitKey]);
+        }
+    }
+
+    $recent = $hits[$key] ?? [];
+    $allowed = count($recent) < $max;
+    if ($allowed) {
+        $recent[] = $now;
+        $hits[$key] = $recent;
+    }
+
+    ftruncate($handle, 0);
+    rewind($handle);
+    fwrite($handle, json_encode($hits));
+    flock($handle, LOCK_UN);
+    fclose($handle);
+
+    return $allowed ? [true, 0] : [false, (int) ceil(($recent[0] + $windowMs - $now) / 1000)];
+}
+
+/**
+ * Accept "32,000", "32.000", "$32000" and "15%" as well as plain numbers
+ * (parseNumber in validation.ts)
+ */
+function parse_number(string $text, string $format): int|float|null
+{
+    $digits = preg_replace('/[\s$%]/u', '', $text);
+    if ($format !== 'decimal' && preg_match('/^\d{1,3}([.,]\d{3})+$/', $digits)) {
+        $digits = str_replace(['.', ','], '', $digits);
+    } else {
+        $digits = preg_replace('/,/', '.', $digits, 1);
+    }
+    $pattern = $format === 'integer' ? '/^\d+$/' : '/^\d+(\.\d+)?$/';
+    if (!preg_match($pattern, $digits)) {
+        return null;
+    }
+    return str_contains($digits, '.') ? (float) $digits : (int) $digits;
+}
+
+/**
+ * isExternalUrl in src/data/structured/validation.ts: an http(s) URL with a host
+ */
+function is_external_url(string $value): bool
+{
+    $parts = parse_url($value);
+    return is_array($parts)
+        && in_array(strtolower($parts['scheme'] ?? ''), ['http', 'https'], true)
+        && ($parts['host'] ?? '') !== '';
+}
+
+/**
+ * checkValue in src/data/structured/validation.ts, for the kinds correctable fields use
+ */
+function passes_rule(mixed $value, array $rule): bool
+{
+    if ($value === null) {
+        return !empty($rule['nullable']);
+    }
+    switch ($rule['kind']) {
+        case 'number':
+            return (is_int($value) || is_float($value)) && is_finite((float) $value)
+                && (!isset($rule['min']) || $value >= $rule['min'])
+                && (!isset($rule['max']) || $value <= $rule['max']);
+        case 'boolean':
+            return is_bool($value);
+        case 'string':
+            return is_string($value) && js_trim($value) !== ''
+                && (!isset($rule['oneOf']) || in_array($value, $rule['oneOf'], true));
+        case 'externalUrl':
+            return is_string($value) && is_external_url($value);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Whether a proposed value as typed reads as a valid value for the field
+ * (parseCorrectionValue in validation.ts)
+ */
+function is_valid_correction(array $rules, string $field, string $raw): bool
+{
+    $spec = $rules['correctableFields'][$field];
+    $text = js_trim($raw);
+    $lower = mb_strtolower($text);
+    $words = $rules['words'];
+
+    if (in_array($lower, $words['none'], true)) {
+        $value = null;
+    } else {
+        switch ($spec['input']) {
+            case 'number':
+                $value = parse_number($text, $spec['format']);
+                if ($value === null) {
+                    return false;
+                }
+                break;
+            case 'boolean':
+                if (in_array($lower, $words['true'], true)) {
+                    $value = true;
+                } elseif (in_array($lower, $words['false'], true)) {
+                    $value = false;
+                } else {
+                    return false;
+                }
+                break;
+            case 'deliveryMode':
+                $matches = array_filter($spec['rule']['oneOf'], fn ($mode) => mb_strtolower($mode) === $lower);
+                if (!$matches) {
+                    return false;
+                }
+                $value = reset($matches);
+                break;
+            default:
+                $value = $text;
+        }
+    }
+
+    return passes_rule($value, $spec['rule']);
+}
+
+function check_length(string $value, int $min, int $max): ?string
+{
+    $length = js_length(js_trim($value));
+    if ($length === 0) {
+        return 'required';
+    }
+    if ($length < $min) {
+        return 'tooShort';
+    }
+    if ($length > $max) {
+        return 'tooLong';
+    }
+    return null;
+}
+
+/**
+ * validateContactField in validation.ts
+ */
+function validate_field(array $rules, string $field, array $values): ?string
+{
+    $limits = $rules['limits'];
+    $isCorrection = $values['topic'] === 'correction';
+
+    switch ($field) {
+        case 'name':
+            return check_length($values['name'], $limits['name']['min'], $limits['name']['max']);
+        case 'email':
+            $email = js_trim($values['email']);
+            if ($email === '') {
+                return 'required';
+            }
+            if (js_length($email) > $limits['email']['max']) {
+                return 'tooLong';
+            }
+            return preg_match('/' . $rules['emailPattern'] . '/u', $email) ? null : 'invalidEmail';
+        case 'role':
+            if ($values['role'] === '') {
+                return 'required';
+            }
+            return in_array($values['role'], $rules['roles'], true) ? null : 'invalidOption';
+        case 'topic':
+            if ($values['topic'] === '') {
+                return 'required';
+            }
+            return in_array($values['topic'], $rules['topics'], true) ? null : 'invalidOption';
+        case 'programId':
+            if ($values['programId'] === '') {
+                return $values['topic'] === 'program' || $isCorrection ? 'required' : null;
+            }
+            return in_array($values['programId'], $rules['programIds'], true) ? null : 'unknownProgram';
+        case 'correctionField':
+            if (!$isCorrection) {
+                return null;
+            }
+            if ($values['correctionField'] === '') {
+                return 'required';
+            }
+            return isset($rules['correctableFields'][$values['correctionField']]) ? null : 'invalidOption';
+        case 'proposedValue':
+            if (!$isCorrection) {
+                return null;
+            }
+            $proposed = js_trim($values['proposedValue']);
+            if ($proposed === '') {
+                return 'required';
+            }
+            if (js_length($proposed) > $limits['proposedValue']['max']) {
+                return 'tooLong';
+            }
+            // Reported on correctionField itself
+            if (!isset($rules['correctableFields'][$values['correctionField']])) {
+                return null;
+            }
+            return is_valid_correction($rules, $values['correctionField'], $proposed) ? null : 'invalidValue';
+        case 'sourceUrl':
+            $url = js_trim($values['sourceUrl']);
+            if (!$isCorrection || $url === '') {
+                return null;
+            }
+            return is_external_url($url) ? null : 'invalidUrl';
+        case 'message':
+            return check_length($values['message'], $limits['message']['min'], $limits['message']['max']);
+    }
+    return null;
+}
+
+function uuid_v4(): string
+{
+    $bytes = random_bytes(16);
+    $bytes[6] = chr((ord($bytes[6]) & 0x0f) | 0x40);
+    $bytes[8] = chr((ord($bytes[8]) & 0x3f) | 0x80);
+    return vsprintf('%s%s-%s-%s-%s-%s%s%s', str_split(bin2hex($bytes), 4));
+}
+
+if (($_SERVER['REQUEST_METHOD'] ?? '') !== 'POST') {
+    send_json(405, ['error' => 'methodNotAllowed'], ['Allow' => 'POST']);
+}
+if (!str_contains($_SERVER['CONTENT_TYPE'] ?? '', 'application/json')) {
+    send_json(415, ['error' => 'unsupportedMediaType']);
+}
+
+$storageFile = getenv('CONTACT_STORAGE_FILE') ?: dirname(__DIR__, 2) . '/storage/contact/submissions.jsonl';
+$storageDir = dirname($storageFile);
+if (!is_dir($storageDir)) {
+    mkdir($storageDir, 0700, true);
+}
+
+$ip = $_SERVER['REMOTE_ADDR'] ?? 'unknown';
+$ipSalt = getenv('CONTACT_IP_SALT') ?: '';
+// Enough to spot repeat senders without keeping the address itself
+$ipHash = substr(hash('sha256', $ipSalt . $ip), 0, 16);
+
+$now = now_ms();
+[$allowed, $retryAfterSeconds] = rate_limit_hit(
+    $storageDir . '/rate-limit.json',
+    $ipHash,
+    $rules['rateLimit']['max'],
+    $rules['rateLimit']['windowMs'],
+    $now
+);
+if (!$allowed) {
+    send_json(429, ['error' => 'rateLimited'], ['Retry-After' => (string) $retryAfterSeconds]);
+}
+
+$maxBodyBytes = $rules['maxBodyBytes'];
+$raw = (int) ($_SERVER['CONTENT_LENGTH'] ?? 0) > $maxBodyBytes
+    ? false
+    : file_get_contents('php://input', false, null, 0, $maxBodyBytes + 1);
+if ($raw === false || strlen($raw) > $maxBodyBytes) {
+    send_json(413, ['error' => 'tooLarge'], ['Connection' => 'close']);
+}
+
+// Only a JSON object will do (decoded as stdClass, so [] and {} differ)
+$decoded = json_decode($raw);
+if (!$decoded instanceof stdClass) {
+    send_json(400, ['error' => 'invalidJson']);
+}
+$body = get_object_vars($decoded);
+
+// Keep only the fields the form sends, coerced to the expected types
+$payload = [];
+foreach ([...$rules['fields'], 'website'] as $field) {
+    $payload[$field] = is_string($body[$field] ?? null) ? $body[$field] : '';
+}
+$payload['language'] = ($body['language'] ?? null) === 'es' ? 'es' : 'en';
+$elapsedMs = $body['elapsedMs'] ?? null;
+
+$errors = [];
+foreach ($rules['fields'] as $field) {
+    $error = validate_field($rules, $field, $payload);
+    if ($error !== null) {
+        $errors[$field] = $error;
+    }
+}
+if ($errors) {
+    send_json(422, ['errors' => $errors]);
+}
+
+$id = uuid_v4();
+
+// Honeypot and time trap (detectSpam): spam gets a normal-looking success
+$isSpam = js_trim($payload['website']) !== ''
+    || !(is_int($elapsedMs) || is_float($elapsedMs))
+    || $elapsedMs < $rules['minFillMs'];
+if ($isSpam) {
+    send_json(201, ['id' => $id]);
+}
+
+// Correction fields only mean something for the correction topic
+$isCorrection = $payload['topic'] === 'correction';
+$record = [
+    'id' => $id,
+    'receivedAt' => gmdate('Y-m-d\TH:i:s', intdiv($now, 1000)) . sprintf('.%03dZ', $now % 1000),
+    'status' => 'new',
+    'tags' => [],
+    'name' => js_trim($payload['name']),
+    'email' => js_trim($payload['email']),
+    'role' => $payload['role'],
+    'topic' => $payload['topic'],
+    'programId' => $payload['programId'],
+    'correctionField' => $isCorrection ? $payload['correctionField'] : '',
+    'proposedValue' => $isCorrection ? js_trim($payload['proposedValue']) : '',
+    'sourceUrl' => $isCorrection ? js_trim($payload['sourceUrl']) : '',
+    'message' => js_trim($payload['message']),
+    'language' => $payload['language'],
+    'ipHash' => $ipHash,
+];
+
+file_put_contents(
+    $storageFile,
+    json_encode($record, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE) . "\n",
+    FILE_APPEND | LOCK_EX
+);
+
+send_json(201, ['id' => $id]);
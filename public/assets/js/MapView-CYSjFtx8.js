@@ -0,0 +1,2 @@
+import{r as e,j as t}from"./form-vendor-tpEkPyQw.js";import{f as r,l as n}from"./index-CMAbLtFl.js";import"./react-vendor-B_uAldPx.js";const a=-130,i=-30,l=52,o=-57,s=10*(i-a),p=10*(l-o),c={x:0,y:0,width:s,height:p};function m([e,t]){return{x:10*(e-a),y:10*(l-t)}}function d(e,t){return e<=l&&e>=o&&t>=a&&t<=i}function h(e,t,r){const n=Math.min(s,Math.max(r,e.width*t)),a=n*(p/s);return u({x:e.x+e.width/2-n/2,y:e.y+e.height/2-a/2,width:n,height:a})}function u(e){return{...e,x:Math.min(Math.max(0,e.x),s-e.width),y:Math.min(Math.max(0,e.y),p-e.height)}}const x=[{id:"north-america",outline:[[-128,52],[-124.5,48.5],[-124,46],[-124.2,42],[-123.8,39.5],[-122.5,37.8],[-120.6,34.6],[-117.2,32.7],[-116,31],[-114.5,28],[-112,25],[-109.9,22.9],[-112.5,28],[-114.8,31.8],[-112.2,29.5],[-109.5,26],[-105.5,22.5],[-105.3,20.5],[-104.3,19.1],[-101.5,17.8],[-99.9,16.8],[-96.5,15.7],[-94.5,16.2],[-92.2,14.5],[-91,13.9],[-87.5,13.2],[-85.8,11.2],[-85.7,9.9],[-83.5,8.4],[-82,8.2],[-80.4,7.3],[-78.5,8.3],[-77.3,8.5],[-79.5,9.6],[-82.5,9.5],[-83.7,11],[-83.3,15],[-85.5,15.9],[-88.2,15.7],[-88.3,18.5],[-87.5,21.5],[-90.4,21],[-90.6,19.5],[-94.5,18.2],[-96.2,19.2],[-97.7,22.5],[-97.2,25.9],[-97.4,27.8],[-94.8,29.3],[-91.5,29.5],[-89.4,29],[-88,30.6],[-85.3,29.7],[-83,29],[-82.6,27.5],[-81.1,25.1],[-80.1,26.5],[-80.6,28.5],[-81.4,30.7],[-79.2,33.2],[-75.5,35.2],[-76,37],[-74,40.5],[-70,41.7],[-70.7,43],[-67,44.8],[-66,43.7],[-60,45.8],[-64.5,48.8],[-66,50.2],[-60,50.2],[-55.7,52]]},{id:"south-america",outline:[[-77.3,8.5],[-75.5,10.5],[-74.2,11.3],[-71.5,12.4],[-70,12],[-68,10.5],[-64,10.6],[-61.5,10.5],[-60,8.5],[-57,6],[-54,5.8],[-51.5,4.2],[-50,1.8],[-48.5,-1.2],[-44.3,-2.5],[-40,-2.8],[-35.2,-5.5],[-34.8,-7.5],[-35.7,-9.7],[-38.5,-13],[-39,-17.8],[-40.3,-20.3],[-43.2,-22.9],[-46.3,-24],[-48.6,-26.5],[-48.8,-28.6],[-51,-30.5],[-53.4,-33.7],[-55,-34.9],[-57.5,-35.5],[-57.5,-38.2],[-62.3,-38.8],[-65,-41],[-64.5,-42.5],[-67.5,-46],[-65.8,-47.9],[-69,-50.5],[-68.4,-52.3],[-67.5,-55.5],[-71.5,-54],[-74.5,-52],[-75.5,-48],[-74,-43.5],[-73.7,-40],[-73.2,-37],[-71.6,-33],[-71.5,-28.5],[-70.4,-23.6],[-70.3,-18.4],[-75.2,-15.4],[-76.3,-13.5],[-77.1,-12],[-79,-8],[-81.2,-6],[-81,-4.3],[-80.3,-3.4],[-80.9,-2.2],[-80.1,.8],[-78.8,1.8],[-77.5,4],[-77.4,7]]},{id:"cuba",outline:[[-84.9,21.9],[-82.8,23],[-80.5,23.1],[-77.5,21.8],[-74.2,20.2],[-75.5,19.9],[-77.7,19.9],[-78.5,21.4],[-81.5,22.2]]},{id:"hispaniola",outline:[[-74.4,18.5],[-72.8,19.9],[-70,19.7],[-68.4,18.6],[-70,18.2],[-71.4,17.6]]},{id:"puerto-rico",outline:[[-67.2,18.5],[-65.6,18.4],[-65.7,18],[-67.2,18]]}].map(e=>{return{id:e.id,d:(t=e.outline,t.map((e,t)=>{const{x:r,y:n}=m(e);return`${0===t?"M":"L"}${r.toFixed(1)} ${n.toFixed(1)}`}).join("")+"Z")};var t}),g=e=>[e.city,e.state,e.country].filter(Boolean).join(", "),j=({programs:a,lang:i,t:l})=>{const[o,j]=e.useState(c),[b,f]=e.useState(null),y=e.useRef(null),{placed:M,unplaced:w}=e.useMemo(()=>function(e){const t=[],r=[];for(const n of e)null!==n.lat&&null!==n.lng&&d(n.lat,n.lng)?t.push({program:n,point:m([n.lng,n.lat])}):r.push(n);return{placed:t,unplaced:r}}(a),[a]),N=o.width/s,k=e.useMemo(()=>function(e,t){const r=[],n=[...e].sort((e,t)=>e.program.id.localeCompare(t.program.id));for(const{program:a,point:i}of n){const e=r.find(e=>Math.hypot(e.center.x-i.x,e.center.y-i.y)<=t);e?(e.points.push(i),e.programs.push(a),e.center={x:e.points.reduce((e,t)=>e+t.x,0)/e.points.length,y:e.points.reduce((e,t)=>e+t.y,0)/e.points.length}):r.push({points:[i],programs:[a],center:i})}return r.map(({center:e,programs:t})=>({id:t.map(e=>e.id).join("+"),center:e,programs:t}))}(M,40*N),[M,N]),v=e.useMemo(()=>{const e=new Map;for(const t of M){const r=g(t.program),n=e.get(r)??{place:r,items:[]};n.items.push(t),e.set(r,n)}return Array.from(e.values()).sort((e,t)=>e.place.localeCompare(t.place,i))},[M,i]),C=b?a.filter(e=>b.includes(e.id)):[];e.useEffect(()=>{b&&0===C.length&&f(null)},[b,C.length]);const $=(e,t,r)=>{f(e),j(function(e,t,r){if(0===e.length)return c;const n=e.map(e=>e.x),a=e.map(e=>e.y),i=p/s,l=Math.max(...n)-Math.min(...n)+2*t,o=Math.max(...a)-Math.min(...a)+2*t,m=Math.min(s,Math.max(r,l,o/i)),d=m*i;return u({x:(Math.max(...n)+Math.min(...n))/2-m/2,y:(Math.max(...a)+Math.min(...a))/2-d/2,width:m,height:d})}(t,40,60)),requestAnimationFrame(()=>{var e;return null==(e=y.current)?void 0:e.focus()})},F=e=>{const t=e.programs.map(e=>e.id),r=M.filter(e=>t.includes(e.program.id)).map(e=>e.point);$(t,r)},L=e=>1===e.programs.length?r(l.map.markerLabel,{name:n(e.programs[0],"institution",i),place:g(e.programs[0])}):r(l.map.clusterLabel,{count:e.programs.length,names:e.programs.map(e=>n(e,"institution",i)).join("; ")});return t.jsxs("section",{className:"explorer-map","aria-labelledby":"explorer-map-heading",children:[t.jsx("h2",{id:"explorer-map-heading",children:l.map.heading}),t.jsxs("div",{className:"explorer-map-controls",children:[t.jsx("button",{type:"button",className:"explorer-button",disabled:o.width<=60,onClick:()=>j(h(o,.5,60)),children:l.map.zoomIn}),t.jsx("button",{type:"button",className:"explorer-button",disabled:o.width>=s,onClick:()=>j(h(o,2,60)),children:l.map.zoomOut}),t.jsx("button",{type:"button",className:"explorer-button",disabled:o===c,onClick:()=>j(c),children:l.map.resetView})]}),t.jsxs("svg",{className:"explorer-map-svg",viewBox:`${o.x} ${o.y} ${o.width} ${o.height}`,role:"group","aria-label":l.map.regionLabel,children:[t.jsx("g",{className:"explorer-map-land","aria-hidden":"true",children:x.map(e=>t.jsx("path",{d:e.d,strokeWidth:2*N},e.id))}),k.map(e=>{const r=e.programs.length>1,n=(r?18:12)*N,a=null!==b&&e.programs.some(e=>b.includes(e.id));return t.jsxs("g",{className:"explorer-map-marker"+(a?" explorer-map-marker--selected":""),role:"button",tabIndex:0,"aria-label":L(e),"aria-pressed":a,onClick:()=>F(e),onKeyDown:t=>{"Enter"!==t.key&&" "!==t.key||(t.preventDefault(),F(e))},children:[t.jsx("circle",{cx:e.center.x,cy:e.center.y,r:n,strokeWidth:2*N}),r&&t.jsx("text",{x:e.center.x,y:e.center.y,fontSize:16*N,textAnchor:"middle",dominantBaseline:"central","aria-hidden":"true",children:e.programs.length})]},e.id)})]}),C.length>0&&t.jsxs("div",{ref:y,className:"explorer-map-selection",tabIndex:-1,"aria-labelledby":"explorer-map-selection-heading",role:"region",children:[t.jsx("h3",{id:"explorer-map-selection-heading",children:l.map.selectedHeading}),t.jsx("ul",{children:C.map(e=>t.jsxs("li",{children:[t.jsx("a",{href:n(e,"url",i),children:n(e,"institution",i)})," – ",n(e,"degree",i)," (",g(e),")"]},e.id))}),t.jsx("button",{type:"button",className:"explorer-button",onClick:()=>f(null),children:l.map.closeSelection})]}),t.jsx("h3",{id:"explorer-map-list-heading",children:l.map.listHeading}),0===v.length?t.jsx("p",{children:l.noResults}):t.jsx("ul",{className:"explorer-map-list","aria-labelledby":"explorer-map-list-heading",children:v.map(e=>t.jsxs("li",{children:[t.jsx("span",{className:"explorer-map-place",children:e.place}),t.jsx("ul",{children:e.items.map(({program:e})=>t.jsxs("li",{children:[t.jsx("a",{href:n(e,"url",i),children:n(e,"institution",i)})," – ",n(e,"degree",i)]},e.id))}),t.jsx("button",{type:"button",className:"explorer-button explorer-button--small",onClick:()=>$(e.items.map(e=>e.program.id),e.items.map(e=>e.point)),children:r(l.map.showOnMap,{place:e.place})})]},e.place))}),w.length>0&&t.jsxs(t.Fragment,{children:[t.jsx("h3",{children:l.map.unmappedHeading}),t.jsx("p",{children:l.map.unmappedNote}),t.jsx("ul",{children:w.map(e=>t.jsxs("li",{children:[t.jsx("a",{href:n(e,"url",i),children:n(e,"institution",i)}),g(e)&&` (${g(e)})`]},e.id))})]})]})};export{j as default};
+//# sourceMappingURL=MapView-CYSjFtx8.js.map
@@ -0,0 +1,2 @@
+import{r as e,j as t,R as s}from"./form-vendor-tpEkPyQw.js";import{a as n,b as r,f as a,R as c}from"./index-CMAbLtFl.js";import{S as o}from"./search-CXoR3XCL.js";import{f as l}from"./text-DYii1dJQ.js";import"./react-vendor-B_uAldPx.js";const i={title:3,summary:2,text:1},u=new Set([...o.en,...o.es]);function h(e){return l(e).split(/[^a-z0-9]+/).filter(e=>e.length>1&&!u.has(e)).map(e=>e.length>3&&e.endsWith("s")?e.slice(0,-1):e)}function d(e){const t=new Map;for(const s of h(e))t.set(s,(t.get(s)??0)+1);return t}function m(e,t,s,n=5){const r=[...new Set(h(t))];return 0===r.length?[]:e.entries.map(t=>{const n=t.entry.language!==s;let a=function(e,t,s){let n=0,r=0;for(const a of t){let t=0;for(const s of Object.keys(i)){const n=e.fields[s].get(a)??0;n>0&&(t+=i[s]*(1+Math.log(n)))}t>0&&(r++,n+=t*(s.get(a)??0))}return 0===r?0:n*(r/t.length)}(t,r,e.idf);return n&&(a*=.5),"qaPage"===t.entry.type&&(a*=1.5),{entry:t.entry,score:Math.round(1e3*a)/1e3,otherLanguage:n}}).filter(e=>e.score>0).sort((e,t)=>t.score-e.score||e.entry.url.localeCompare(t.entry.url)).slice(0,n)}const f={async answer({sources:e}){var t,s;return{answer:(null==(s=e,t=s.find(e=>e.entry.shortAnswer)??null)?void 0:t.entry.shortAnswer)??null,sources:e,backend:"local",fallback:!1}}};function g(t="/chat-index.json"){const[s,n]=e.useState("idle"),r=e.useRef(null);return{status:s,load:e.useCallback(()=>(r.current||(n("loading"),r.current=fetch(t).then(e=>{if(!e.ok)throw new Error(`Chat index returned ${e.status}`);return e.json()}).then(e=>(n("ready"),function(e){const t=e.entries.map(e=>({entry:e,fields:{title:d(e.title),summary:d(`${e.summary} ${e.shortAnswer??""}`),text:d(e.text)}})),s=new Map;for(const{fields:r}of t){const e=new Set([...r.title.keys(),...r.summary.keys(),...r.text.keys()]);for(const t of e)s.set(t,(s.get(t)??0)+1)}const n=new Map;for(const[r,a]of s)n.set(r,Math.log(1+t.length/a));return{entries:t,idf:n}}(e))).catch(e=>{throw r.current=null,n("error"),e})),r.current),[t])}}const p=({backend:s=f})=>{const c=n(),o=r(c).chat,{status:l,load:i}=g(),[u,h]=e.useState(""),[d,p]=e.useState([]),[y,j]=e.useState(!1),x=e.useId(),w=({answer:e,sources:s,backend:n,fallback:r})=>0===s.length?t.jsx("p",{children:o.noResults}):t.jsxs(t.Fragment,{children:[e?t.jsx("p",{className:"chat-answer",children:e}):t.jsx("p",{children:o.noAnswer}),t.jsx("h4",{className:"chat-sources-heading",children:o.sourcesHeading}),t.jsx("ol",{className:"chat-sources",children:s.map(({entry:e,otherLanguage:s})=>{return t.jsxs("li",{children:[t.jsx("span",{className:"chat-source-type",children:(n=e.type,o.pageTypes[n]??o.pageTypes.page)})," ",t.jsx("a",{href:e.url,hrefLang:e.language,children:e.title}),s&&t.jsxs("span",{className:"chat-source-language",lang:c,children:[" ","(",a(o.otherLanguage,{language:o.languages[e.language]}),")"]})]},e.url);var n})}),t.jsx("p",{className:"chat-backend",children:r?o.backends.fallback:o.backends[n]})]});return t.jsxs("section",{className:"chat","aria-labelledby":`${x}-heading`,children:[t.jsx("h2",{id:`${x}-heading`,children:o.heading}),t.jsx("p",{children:o.intro}),t.jsxs("div",{className:"chat-log","aria-live":"polite",children:[d.map(({id:e,question:s,reply:n})=>t.jsxs("article",{className:"chat-exchange",children:[t.jsxs("h3",{className:"chat-question",children:[t.jsxs("span",{className:"chat-question-label",children:[o.youAsked,":"]})," ",s]}),w(n)]},e)),y&&t.jsx("p",{className:"chat-status",children:o.searching}),"error"===l&&!y&&t.jsx("p",{className:"chat-status chat-status--error",role:"alert",children:o.loadError})]}),t.jsxs("form",{className:"chat-form",onSubmit:async e=>{e.preventDefault();const t=u.trim();if(t&&!y){j(!0);try{const e=await i(),n=await s.answer({question:t,lang:c,sources:m(e,t,c)});p(e=>[...e,{id:e.length+1,question:t,reply:n}]),h("")}catch{}finally{j(!1)}}},children:[t.jsx("label",{htmlFor:`${x}-question`,children:o.questionLabel}),t.jsxs("div",{className:"chat-form-row",children:[t.jsx("input",{id:`${x}-question`,type:"text",value:u,"aria-describedby":`${x}-hint`,onFocus:()=>{i().catch(()=>{})},onChange:e=>h(e.target.value)}),t.jsx("button",{type:"submit",className:"chat-button",disabled:y,children:o.submit})]}),t.jsx("small",{id:`${x}-hint`,children:o.questionHint})]}),d.length>0&&t.jsx("button",{type:"button",className:"chat-button chat-button--secondary",onClick:()=>p([]),children:o.clear}),t.jsx("p",{className:"chat-disclaimer",children:o.disclaimer})]})},y=document.getElementById("chat-root");if(!y)throw new Error("Chat root element not found. Ensure #chat-root exists in the HTML.");const j=y.dataset.endpoint,x=j?function(e,t=fetch){return{async answer(s){try{const r=await t(e,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify({question:s.question,lang:s.lang,sources:s.sources.map(({entry:e})=>({url:e.url,title:e.title,summary:e.summary,shortAnswer:e.shortAnswer}))})});if(!r.ok)throw new Error(`Chat endpoint returned ${r.status}`);const a=await r.json();if("object"!=typeof(n=a)||null===n||"string"!=typeof n.answer||void 0!==n.sources&&!Array.isArray(n.sources))throw new Error("Chat endpoint returned an unexpected body");const c=(a.sources??[]).map(e=>s.sources.find(t=>t.entry.url===e)).filter(e=>void 0!==e);return{answer:a.answer,sources:c.length>0?c:s.sources,backend:"remote",fallback:!1}}catch{return{...await f.answer(s),fallback:!0}}var n}}}(j):f;c.createRoot(y).render(t.jsx(s.StrictMode,{children:t.jsx(p,{backend:x})}));
+//# sourceMappingURL=chat-C567RsQC.js.map
@@ -1,11 +0,0 @@
-import{r as e,a as n,g as t}from"./react-vendor-B_uAldPx.js";var r,l,a,o,u={exports:{}},i={},s={exports:{}},c={};function f(){return l||(l=1,s.exports=(r||(r=1,function(e){function n(e,n){var t=e.length;e.push(n);e:for(;0<t;){var r=t-1>>>1,a=e[r];if(!(0<l(a,n)))break e;e[r]=n,e[t]=a,t=r}}function t(e){return 0===e.length?null:e[0]}function r(e){if(0===e.length)return null;var n=e[0],t=e.pop();if(t!==n){e[0]=t;e:for(var r=0,a=e.length,o=a>>>1;r<o;){var u=2*(r+1)-1,i=e[u],s=u+1,c=e[s];if(0>l(i,t))s<a&&0>l(c,i)?(e[r]=c,e[s]=t,r=s):(e[r]=i,e[u]=t,r=u);else{if(!(s<a&&0>l(c,t)))break e;e[r]=c,e[s]=t,r=s}}}return n}function l(e,n){var t=e.sortIndex-n.sortIndex;return 0!==t?t:e.id-n.id}if(e.unstable_now=void 0,"object"==typeof performance&&"function"==typeof performance.now){var a=performance;e.unstable_now=function(){return a.now()}}else{var o=Date,u=o.now();e.unstable_now=function(){return o.now()-u}}var i=[],s=[],c=1,f=null,d=3,p=!1,m=!1,h=!1,g=!1,v="function"==typeof setTimeout?setTimeout:null,y="function"==typeof clearTimeout?clearTimeout:null,b="undefined"!=typeof setImmediate?setImmediate:null;function k(e){for(var l=t(s);null!==l;){if(null===l.callback)r(s);else{if(!(l.startTime<=e))break;r(s),l.sortIndex=l.expirationTime,n(i,l)}l=t(s)}}function w(e){if(h=!1,k(e),!m)if(null!==t(i))m=!0,E||(E=!0,S());else{var n=t(s);null!==n&&_(w,n.startTime-e)}}var S,E=!1,x=-1,C=5,z=-1;function P(){return!(!g&&e.unstable_now()-z<C)}function N(){if(g=!1,E){var n=e.unstable_now();z=n;var l=!0;try{e:{m=!1,h&&(h=!1,y(x),x=-1),p=!0;var a=d;try{n:{for(k(n),f=t(i);null!==f&&!(f.expirationTime>n&&P());){var o=f.callback;if("function"==typeof o){f.callback=null,d=f.priorityLevel;var u=o(f.expirationTime<=n);if(n=e.unstable_now(),"function"==typeof u){f.callback=u,k(n),l=!0;break n}f===t(i)&&r(i),k(n)}else r(i);f=t(i)}if(null!==f)l=!0;else{var c=t(s);null!==c&&_(w,c.startTime-n),l=!1}}break e}finally{f=null,d=a,p=!1}l=void 0}}finally{l?S():E=!1}}}if("function"==typeof b)S=function(){b(N)};else if("undefined"!=typeof MessageChannel){var T=new MessageChannel,L=T.port2;T.port1.onmessage=N,S=function(){L.postMessage(null)}}else S=function(){v(N,0)};function _(n,t){x=v(function(){n(e.unstable_now())},t)}e.unstable_IdlePriority=5,e.unstable_ImmediatePriority=1,e.unstable_LowPriority=4,e.unstable_NormalPriority=3,e.unstable_Profiling=null,e.unstable_UserBlockingPriority=2,e.unstable_cancelCallback=function(e){e.callback=null},e.unstable_forceFrameRate=function(e){0>e||125<e||(C=0<e?Math.floor(1e3/e):5)},e.unstable_getCurrentPriorityLevel=function(){return d},e.unstable_next=function(e){switch(d){case 1:case 2:case 3:var n=3;break;default:n=d}var t=d;d=n;try{return e()}finally{d=t}},e.unstable_requestPaint=function(){g=!0},e.unstable_runWithPriority=function(e,n){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var t=d;d=e;try{return n()}finally{d=t}},e.unstable_scheduleCallback=function(r,l,a){var o=e.unstable_now();switch(a="object"==typeof a&&null!==a&&"number"==typeof(a=a.delay)&&0<a?o+a:o,r){case 1:var u=-1;break;case 2:u=250;break;case 5:u=1073741823;break;case 4:u=1e4;break;default:u=5e3}return r={id:c++,callback:l,priorityLevel:r,startTime:a,expirationTime:u=a+u,sortIndex:-1},a>o?(r.sortIndex=a,n(s,r),null===t(i)&&r===t(s)&&(h?(y(x),x=-1):h=!0,_(w,a-o))):(r.sortIndex=u,n(i,r),m||p||(m=!0,E||(E=!0,S()))),r},e.unstable_shouldYield=P,e.unstable_wrapCallback=function(e){var n=d;return function(){var t=d;d=n;try{return e.apply(this,arguments)}finally{d=t}}}}(c)),c)),s.exports}
-/**
- * @license React
- * react-dom-client.production.js
- *
- * Copyright (c) Meta Platforms, Inc. and affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */function d(){if(a)return i;a=1;var t=f(),r=e(),l=n();function o(e){var n="https://react.dev/errors/"+e;if(1<arguments.length){n+="?args[]="+encodeURIComponent(arguments[1]);for(var t=2;t<arguments.length;t++)n+="&args[]="+encodeURIComponent(arguments[t])}return"Minified React error #"+e+"; visit "+n+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}function u(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}function s(e){var n=e,t=e;if(e.alternate)for(;n.return;)n=n.return;else{e=n;do{!!(4098&(n=e).flags)&&(t=n.return),e=n.return}while(e)}return 3===n.tag?t:null}function c(e){if(13===e.tag){var n=e.memoizedState;if(null===n&&(null!==(e=e.alternate)&&(n=e.memoizedState)),null!==n)return n.dehydrated}return null}function d(e){if(31===e.tag){var n=e.memoizedState;if(null===n&&(null!==(e=e.alternate)&&(n=e.memoizedState)),null!==n)return n.dehydrated}return null}function p(e){if(s(e)!==e)throw Error(o(188))}function m(e){var n=e.tag;if(5===n||26===n||27===n||6===n)return e;for(e=e.child;null!==e;){if(null!==(n=m(e)))return n;e=e.sibling}return null}var h=Object.assign,g=Symbol.for("react.element"),v=Symbol.for("react.transitional.element"),y=Symbol.for("react.portal"),b=Symbol.for("react.fragment"),k=Symbol.for("react.strict_mode"),w=Symbol.for("react.profiler"),S=Symbol.for("react.consumer"),E=Symbol.for("react.context"),x=Symbol.for("react.forward_ref"),C=Symbol.for("react.suspense"),z=Symbol.for("react.suspense_list"),P=Symbol.for("react.memo"),N=Symbol.for("react.lazy"),T=Symbol.for("react.activity"),L=Symbol.for("react.memo_cache_sentinel"),_=Symbol.iterator;function F(e){return null===e||"object"!=typeof e?null:"function"==typeof(e=_&&e[_]||e["@@iterator"])?e:null}var O=Symbol.for("react.client.reference");function D(e){if(null==e)return null;if("function"==typeof e)return e.$$typeof===O?null:e.displayName||e.name||null;if("string"==typeof e)return e;switch(e){case b:return"Fragment";case w:return"Profiler";case k:return"StrictMode";case C:return"Suspense";case z:return"SuspenseList";case T:return"Activity"}if("object"==typeof e)switch(e.$$typeof){case y:return"Portal";case E:return e.displayName||"Context";case S:return(e._context.displayName||"Context")+".Consumer";case x:var n=e.render;return(e=e.displayName)||(e=""!==(e=n.displayName||n.name||"")?"ForwardRef("+e+")":"ForwardRef"),e;case P:return null!==(n=e.displayName||null)?n:D(e.type)||"Memo";case N:n=e._payload,e=e._init;try{return D(e(n))}catch(t){}}return null}var M=Array.isArray,A=r.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,R=l.__DOM_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,I={pending:!1,data:null,method:null,action:null},U=[],j=-1;function V(e){return{current:e}}function $(e){0>j||(e.current=U[j],U[j]=null,j--)}function B(e,n){j++,U[j]=e.current,e.current=n}var H,Q,W=V(null),q=V(null),K=V(null),Y=V(null);function X(e,n){switch(B(K,n),B(q,e),B(W,null),n.nodeType){case 9:case 11:e=(e=n.documentElement)&&(e=e.namespaceURI)?kf(e):0;break;default:if(e=n.tagName,n=n.namespaceURI)e=wf(n=kf(n),e);else switch(e){case"svg":e=1;break;case"math":e=2;break;default:e=0}}$(W),B(W,e)}function G(){$(W),$(q),$(K)}function Z(e){null!==e.memoizedState&&B(Y,e);var n=W.current,t=wf(n,e.type);n!==t&&(B(q,e),B(W,t))}function J(e){q.current===e&&($(W),$(q)),Y.current===e&&($(Y),pd._currentValue=I)}function ee(e){if(void 0===H)try{throw Error()}catch(t){var n=t.stack.trim().match(/\n( *(at )?)/);H=n&&n[1]||"",Q=-1<t.stack.indexOf("\n    at")?" (<anonymous>)":-1<t.stack.indexOf("@")?"@unknown:0:0":""}return"\n"+H+e+Q}var ne=!1;function te(e,n){if(!e||ne)return"";ne=!0;var t=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{var r={DetermineComponentFrameRoot:function(){try{if(n){var t=function(){throw Error()};if(Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),"object"==typeof Reflect&&Reflect.construct){try{Reflect.construct(t,[])}catch(l){var r=l}Reflect.construct(e,[],t)}else{try{t.call()}catch(a){r=a}e.call(t.prototype)}}else{try{throw Error()}catch(o){r=o}(t=e())&&"function"==typeof t.catch&&t.catch(function(){})}}catch(u){if(u&&r&&"string"==typeof u.stack)return[u.stack,r.stack]}return[null,null]}};r.DetermineComponentFrameRoot.displayName="DetermineComponentFrameRoot";var l=Object.getOwnPropertyDescriptor(r.DetermineComponentFrameRoot,"name");l&&l.configurable&&Object.defineProperty(r.DetermineComponentFrameRoot,"name",{value:"DetermineComponentFrameRoot"});var a=r.DetermineComponentFrameRoot(),o=a[0],u=a[1];if(o&&u){var i=o.split("\n"),s=u.split("\n");for(l=r=0;r<i.length&&!i[r].includes("DetermineComponentFrameRoot");)r++;for(;l<s.length&&!s[l].includes("DetermineComponentFrameRoot");)l++;if(r===i.length||l===s.length)for(r=i.length-1,l=s.length-1;1<=r&&0<=l&&i[r]!==s[l];)l--;for(;1<=r&&0<=l;r--,l--)if(i[r]!==s[l]){if(1!==r||1!==l)do{if(r--,0>--l||i[r]!==s[l]){var c="\n"+i[r].replace(" at new "," at ");return e.displayName&&c.includes("<anonymous>")&&(c=c.replace("<anonymous>",e.displayName)),c}}while(1<=r&&0<=l);break}}}finally{ne=!1,Error.prepareStackTrace=t}return(t=e?e.displayName||e.name:"")?ee(t):""}function re(e,n){switch(e.tag){case 26:case 27:case 5:return ee(e.type);case 16:return ee("Lazy");case 13:return e.child!==n&&null!==n?ee("Suspense Fallback"):ee("Suspense");case 19:return ee("SuspenseList");case 0:case 15:return te(e.type,!1);case 11:return te(e.type.render,!1);case 1:return te(e.type,!0);case 31:return ee("Activity");default:return""}}function le(e){try{var n="",t=null;do{n+=re(e,t),t=e,e=e.return}while(e);return n}catch(r){return"\nError generating stack: "+r.message+"\n"+r.stack}}var ae=Object.prototype.hasOwnProperty,oe=t.unstable_scheduleCallback,ue=t.unstable_cancelCallback,ie=t.unstable_shouldYield,se=t.unstable_requestPaint,ce=t.unstable_now,fe=t.unstable_getCurrentPriorityLevel,de=t.unstable_ImmediatePriority,pe=t.unstable_UserBlockingPriority,me=t.unstable_NormalPriority,he=t.unstable_LowPriority,ge=t.unstable_IdlePriority,ve=t.log,ye=t.unstable_setDisableYieldValue,be=null,ke=null;function we(e){if("function"==typeof ve&&ye(e),ke&&"function"==typeof ke.setStrictMode)try{ke.setStrictMode(be,e)}catch(n){}}var Se=Math.clz32?Math.clz32:function(e){return 0===(e>>>=0)?32:31-(Ee(e)/xe|0)|0},Ee=Math.log,xe=Math.LN2;var Ce=256,ze=262144,Pe=4194304;function Ne(e){var n=42&e;if(0!==n)return n;switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:return 64;case 128:return 128;case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:return 261888&e;case 262144:case 524288:case 1048576:case 2097152:return 3932160&e;case 4194304:case 8388608:case 16777216:case 33554432:return 62914560&e;case 67108864:return 67108864;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 0;default:return e}}function Te(e,n,t){var r=e.pendingLanes;if(0===r)return 0;var l=0,a=e.suspendedLanes,o=e.pingedLanes;e=e.warmLanes;var u=134217727&r;return 0!==u?0!==(r=u&~a)?l=Ne(r):0!==(o&=u)?l=Ne(o):t||0!==(t=u&~e)&&(l=Ne(t)):0!==(u=r&~a)?l=Ne(u):0!==o?l=Ne(o):t||0!==(t=r&~e)&&(l=Ne(t)),0===l?0:0!==n&&n!==l&&0===(n&a)&&((a=l&-l)>=(t=n&-n)||32===a&&4194048&t)?n:l}function Le(e,n){return 0===(e.pendingLanes&~(e.suspendedLanes&~e.pingedLanes)&n)}function _e(e,n){switch(e){case 1:case 2:case 4:case 8:case 64:return n+250;case 16:case 32:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return n+5e3;default:return-1}}function Fe(){var e=Pe;return!(62914560&(Pe<<=1))&&(Pe=4194304),e}function Oe(e){for(var n=[],t=0;31>t;t++)n.push(e);return n}function De(e,n){e.pendingLanes|=n,268435456!==n&&(e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0)}function Me(e,n,t){e.pendingLanes|=n,e.suspendedLanes&=~n;var r=31-Se(n);e.entangledLanes|=n,e.entanglements[r]=1073741824|e.entanglements[r]|261930&t}function Ae(e,n){var t=e.entangledLanes|=n;for(e=e.entanglements;t;){var r=31-Se(t),l=1<<r;l&n|e[r]&n&&(e[r]|=n),t&=~l}}function Re(e,n){var t=n&-n;return 0!==((t=42&t?1:Ie(t))&(e.suspendedLanes|n))?0:t}function Ie(e){switch(e){case 2:e=1;break;case 8:e=4;break;case 32:e=16;break;case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:e=128;break;case 268435456:e=134217728;break;default:e=0}return e}function Ue(e){return 2<(e&=-e)?8<e?134217727&e?32:268435456:8:2}function je(){var e=R.p;return 0!==e?e:void 0===(e=window.event)?32:Td(e.type)}function Ve(e,n){var t=R.p;try{return R.p=e,n()}finally{R.p=t}}var $e=Math.random().toString(36).slice(2),Be="__reactFiber$"+$e,He="__reactProps$"+$e,Qe="__reactContainer$"+$e,We="__reactEvents$"+$e,qe="__reactListeners$"+$e,Ke="__reactHandles$"+$e,Ye="__reactResources$"+$e,Xe="__reactMarker$"+$e;function Ge(e){delete e[Be],delete e[He],delete e[We],delete e[qe],delete e[Ke]}function Ze(e){var n=e[Be];if(n)return n;for(var t=e.parentNode;t;){if(n=t[Qe]||t[Be]){if(t=n.alternate,null!==n.child||null!==t&&null!==t.child)for(e=Uf(e);null!==e;){if(t=e[Be])return t;e=Uf(e)}return n}t=(e=t).parentNode}return null}function Je(e){if(e=e[Be]||e[Qe]){var n=e.tag;if(5===n||6===n||13===n||31===n||26===n||27===n||3===n)return e}return null}function en(e){var n=e.tag;if(5===n||26===n||27===n||6===n)return e.stateNode;throw Error(o(33))}function nn(e){var n=e[Ye];return n||(n=e[Ye]={hoistableStyles:new Map,hoistableScripts:new Map}),n}function tn(e){e[Xe]=!0}var rn=new Set,ln={};function an(e,n){on(e,n),on(e+"Capture",n)}function on(e,n){for(ln[e]=n,e=0;e<n.length;e++)rn.add(n[e])}var un=RegExp("^[:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD][:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*$"),sn={},cn={};function fn(e,n,t){if(l=n,ae.call(cn,l)||!ae.call(sn,l)&&(un.test(l)?cn[l]=!0:(sn[l]=!0,0)))if(null===t)e.removeAttribute(n);else{switch(typeof t){case"undefined":case"function":case"symbol":return void e.removeAttribute(n);case"boolean":var r=n.toLowerCase().slice(0,5);if("data-"!==r&&"aria-"!==r)return void e.removeAttribute(n)}e.setAttribute(n,""+t)}var l}function dn(e,n,t){if(null===t)e.removeAttribute(n);else{switch(typeof t){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(n)}e.setAttribute(n,""+t)}}function pn(e,n,t,r){if(null===r)e.removeAttribute(t);else{switch(typeof r){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(t)}e.setAttributeNS(n,t,""+r)}}function mn(e){switch(typeof e){case"bigint":case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function hn(e){var n=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===n||"radio"===n)}function gn(e){if(!e._valueTracker){var n=hn(e)?"checked":"value";e._valueTracker=function(e,n,t){var r=Object.getOwnPropertyDescriptor(e.constructor.prototype,n);if(!e.hasOwnProperty(n)&&void 0!==r&&"function"==typeof r.get&&"function"==typeof r.set){var l=r.get,a=r.set;return Object.defineProperty(e,n,{configurable:!0,get:function(){return l.call(this)},set:function(e){t=""+e,a.call(this,e)}}),Object.defineProperty(e,n,{enumerable:r.enumerable}),{getValue:function(){return t},setValue:function(e){t=""+e},stopTracking:function(){e._valueTracker=null,delete e[n]}}}}(e,n,""+e[n])}}function vn(e){if(!e)return!1;var n=e._valueTracker;if(!n)return!0;var t=n.getValue(),r="";return e&&(r=hn(e)?e.checked?"true":"false":e.value),(e=r)!==t&&(n.setValue(e),!0)}function yn(e){if(void 0===(e=e||("undefined"!=typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(n){return e.body}}var bn=/[\n"\\]/g;function kn(e){return e.replace(bn,function(e){return"\\"+e.charCodeAt(0).toString(16)+" "})}function wn(e,n,t,r,l,a,o,u){e.name="",null!=o&&"function"!=typeof o&&"symbol"!=typeof o&&"boolean"!=typeof o?e.type=o:e.removeAttribute("type"),null!=n?"number"===o?(0===n&&""===e.value||e.value!=n)&&(e.value=""+mn(n)):e.value!==""+mn(n)&&(e.value=""+mn(n)):"submit"!==o&&"reset"!==o||e.removeAttribute("value"),null!=n?En(e,o,mn(n)):null!=t?En(e,o,mn(t)):null!=r&&e.removeAttribute("value"),null==l&&null!=a&&(e.defaultChecked=!!a),null!=l&&(e.checked=l&&"function"!=typeof l&&"symbol"!=typeof l),null!=u&&"function"!=typeof u&&"symbol"!=typeof u&&"boolean"!=typeof u?e.name=""+mn(u):e.removeAttribute("name")}function Sn(e,n,t,r,l,a,o,u){if(null!=a&&"function"!=typeof a&&"symbol"!=typeof a&&"boolean"!=typeof a&&(e.type=a),null!=n||null!=t){if(("submit"===a||"reset"===a)&&null==n)return void gn(e);t=null!=t?""+mn(t):"",n=null!=n?""+mn(n):t,u||n===e.value||(e.value=n),e.defaultValue=n}r="function"!=typeof(r=null!=r?r:l)&&"symbol"!=typeof r&&!!r,e.checked=u?e.checked:!!r,e.defaultChecked=!!r,null!=o&&"function"!=typeof o&&"symbol"!=typeof o&&"boolean"!=typeof o&&(e.name=o),gn(e)}function En(e,n,t){"number"===n&&yn(e.ownerDocument)===e||e.defaultValue===""+t||(e.defaultValue=""+t)}function xn(e,n,t,r){if(e=e.options,n){n={};for(var l=0;l<t.length;l++)n["$"+t[l]]=!0;for(t=0;t<e.length;t++)l=n.hasOwnProperty("$"+e[t].value),e[t].selected!==l&&(e[t].selected=l),l&&r&&(e[t].defaultSelected=!0)}else{for(t=""+mn(t),n=null,l=0;l<e.length;l++){if(e[l].value===t)return e[l].selected=!0,void(r&&(e[l].defaultSelected=!0));null!==n||e[l].disabled||(n=e[l])}null!==n&&(n.selected=!0)}}function Cn(e,n,t){null==n||((n=""+mn(n))!==e.value&&(e.value=n),null!=t)?e.defaultValue=null!=t?""+mn(t):"":e.defaultValue!==n&&(e.defaultValue=n)}function zn(e,n,t,r){if(null==n){if(null!=r){if(null!=t)throw Error(o(92));if(M(r)){if(1<r.length)throw Error(o(93));r=r[0]}t=r}null==t&&(t=""),n=t}t=mn(n),e.defaultValue=t,(r=e.textContent)===t&&""!==r&&null!==r&&(e.value=r),gn(e)}function Pn(e,n){if(n){var t=e.firstChild;if(t&&t===e.lastChild&&3===t.nodeType)return void(t.nodeValue=n)}e.textContent=n}var Nn=new Set("animationIterationCount aspectRatio borderImageOutset borderImageSlice borderImageWidth boxFlex boxFlexGroup boxOrdinalGroup columnCount columns flex flexGrow flexPositive flexShrink flexNegative flexOrder gridArea gridRow gridRowEnd gridRowSpan gridRowStart gridColumn gridColumnEnd gridColumnSpan gridColumnStart fontWeight lineClamp lineHeight opacity order orphans scale tabSize widows zIndex zoom fillOpacity floodOpacity stopOpacity strokeDasharray strokeDashoffset strokeMiterlimit strokeOpacity strokeWidth MozAnimationIterationCount MozBoxFlex MozBoxFlexGroup MozLineClamp msAnimationIterationCount msFlex msZoom msFlexGrow msFlexNegative msFlexOrder msFlexPositive msFlexShrink msGridColumn msGridColumnSpan msGridRow msGridRowSpan WebkitAnimationIterationCount WebkitBoxFlex WebKitBoxFlexGroup WebkitBoxOrdinalGroup WebkitColumnCount WebkitColumns WebkitFlex WebkitFlexGrow WebkitFlexPositive WebkitFlexShrink WebkitLineClamp".split(" "));function Tn(e,n,t){var r=0===n.indexOf("--");null==t||"boolean"==typeof t||""===t?r?e.setProperty(n,""):"float"===n?e.cssFloat="":e[n]="":r?e.setProperty(n,t):"number"!=typeof t||0===t||Nn.has(n)?"float"===n?e.cssFloat=t:e[n]=(""+t).trim():e[n]=t+"px"}function Ln(e,n,t){if(null!=n&&"object"!=typeof n)throw Error(o(62));if(e=e.style,null!=t){for(var r in t)!t.hasOwnProperty(r)||null!=n&&n.hasOwnProperty(r)||(0===r.indexOf("--")?e.setProperty(r,""):"float"===r?e.cssFloat="":e[r]="");for(var l in n)r=n[l],n.hasOwnProperty(l)&&t[l]!==r&&Tn(e,l,r)}else for(var a in n)n.hasOwnProperty(a)&&Tn(e,a,n[a])}function _n(e){if(-1===e.indexOf("-"))return!1;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var Fn=new Map([["acceptCharset","accept-charset"],["htmlFor","for"],["httpEquiv","http-equiv"],["crossOrigin","crossorigin"],["accentHeight","accent-height"],["alignmentBaseline","alignment-baseline"],["arabicForm","arabic-form"],["baselineShift","baseline-shift"],["capHeight","cap-height"],["clipPath","clip-path"],["clipRule","clip-rule"],["colorInterpolation","color-interpolation"],["colorInterpolationFilters","color-interpolation-filters"],["colorProfile","color-profile"],["colorRendering","color-rendering"],["dominantBaseline","dominant-baseline"],["enableBackground","enable-background"],["fillOpacity","fill-opacity"],["fillRule","fill-rule"],["floodColor","flood-color"],["floodOpacity","flood-opacity"],["fontFamily","font-family"],["fontSize","font-size"],["fontSizeAdjust","font-size-adjust"],["fontStretch","font-stretch"],["fontStyle","font-style"],["fontVariant","font-variant"],["fontWeight","font-weight"],["glyphName","glyph-name"],["glyphOrientationHorizontal","glyph-orientation-horizontal"],["glyphOrientationVertical","glyph-orientation-vertical"],["horizAdvX","horiz-adv-x"],["horizOriginX","horiz-origin-x"],["imageRendering","image-rendering"],["letterSpacing","letter-spacing"],["lightingColor","lighting-color"],["markerEnd","marker-end"],["markerMid","marker-mid"],["markerStart","marker-start"],["overlinePosition","overline-position"],["overlineThickness","overline-thickness"],["paintOrder","paint-order"],["panose-1","panose-1"],["pointerEvents","pointer-events"],["renderingIntent","rendering-intent"],["shapeRendering","shape-rendering"],["stopColor","stop-color"],["stopOpacity","stop-opacity"],["strikethroughPosition","strikethrough-position"],["strikethroughThickness","strikethrough-thickness"],["strokeDasharray","stroke-dasharray"],["strokeDashoffset","stroke-dashoffset"],["strokeLinecap","stroke-linecap"],["strokeLinejoin","stroke-linejoin"],["strokeMiterlimit","stroke-miterlimit"],["strokeOpacity","stroke-opacity"],["strokeWidth","stroke-width"],["textAnchor","text-anchor"],["textDecoration","text-decoration"],["textRendering","text-rendering"],["transformOrigin","transform-origin"],["underlinePosition","underline-position"],["underlineThickness","underline-thickness"],["unicodeBidi","unicode-bidi"],["unicodeRange","unicode-range"],["unitsPerEm","units-per-em"],["vAlphabetic","v-alphabetic"],["vHanging","v-hanging"],["vIdeographic","v-ideographic"],["vMathematical","v-mathematical"],["vectorEffect","vector-effect"],["vertAdvY","vert-adv-y"],["vertOriginX","vert-origin-x"],["vertOriginY","vert-origin-y"],["wordSpacing","word-spacing"],["writingMode","writing-mode"],["xmlnsXlink","xmlns:xlink"],["xHeight","x-height"]]),On=/^[\u0000-\u001F ]*j[\r\n\t]*a[\r\n\t]*v[\r\n\t]*a[\r\n\t]*s[\r\n\t]*c[\r\n\t]*r[\r\n\t]*i[\r\n\t]*p[\r\n\t]*t[\r\n\t]*:/i;function Dn(e){return On.test(""+e)?"javascript:throw new Error('React has blocked a javascript: URL as a security precaution.')":e}function Mn(){}var An=null;function Rn(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var In=null,Un=null;function jn(e){var n=Je(e);if(n&&(e=n.stateNode)){var t=e[He]||null;e:switch(e=n.stateNode,n.type){case"input":if(wn(e,t.value,t.defaultValue,t.defaultValue,t.checked,t.defaultChecked,t.type,t.name),n=t.name,"radio"===t.type&&null!=n){for(t=e;t.parentNode;)t=t.parentNode;for(t=t.querySelectorAll('input[name="'+kn(""+n)+'"][type="radio"]'),n=0;n<t.length;n++){var r=t[n];if(r!==e&&r.form===e.form){var l=r[He]||null;if(!l)throw Error(o(90));wn(r,l.value,l.defaultValue,l.defaultValue,l.checked,l.defaultChecked,l.type,l.name)}}for(n=0;n<t.length;n++)(r=t[n]).form===e.form&&vn(r)}break e;case"textarea":Cn(e,t.value,t.defaultValue);break e;case"select":null!=(n=t.value)&&xn(e,!!t.multiple,n,!1)}}}var Vn=!1;function $n(e,n,t){if(Vn)return e(n,t);Vn=!0;try{return e(n)}finally{if(Vn=!1,(null!==In||null!==Un)&&(nc(),In&&(n=In,e=Un,Un=In=null,jn(n),e)))for(n=0;n<e.length;n++)jn(e[n])}}function Bn(e,n){var t=e.stateNode;if(null===t)return null;var r=t[He]||null;if(null===r)return null;t=r[n];e:switch(n){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break e;default:e=!1}if(e)return null;if(t&&"function"!=typeof t)throw Error(o(231,n,typeof t));return t}var Hn=!("undefined"==typeof window||void 0===window.document||void 0===window.document.createElement),Qn=!1;if(Hn)try{var Wn={};Object.defineProperty(Wn,"passive",{get:function(){Qn=!0}}),window.addEventListener("test",Wn,Wn),window.removeEventListener("test",Wn,Wn)}catch(ep){Qn=!1}var qn=null,Kn=null,Yn=null;function Xn(){if(Yn)return Yn;var e,n,t=Kn,r=t.length,l="value"in qn?qn.value:qn.textContent,a=l.length;for(e=0;e<r&&t[e]===l[e];e++);var o=r-e;for(n=1;n<=o&&t[r-n]===l[a-n];n++);return Yn=l.slice(e,1<n?1-n:void 0)}function Gn(e){var n=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===n&&(e=13):e=n,10===e&&(e=13),32<=e||13===e?e:0}function Zn(){return!0}function Jn(){return!1}function et(e){function n(n,t,r,l,a){for(var o in this._reactName=n,this._targetInst=r,this.type=t,this.nativeEvent=l,this.target=a,this.currentTarget=null,e)e.hasOwnProperty(o)&&(n=e[o],this[o]=n?n(l):l[o]);return this.isDefaultPrevented=(null!=l.defaultPrevented?l.defaultPrevented:!1===l.returnValue)?Zn:Jn,this.isPropagationStopped=Jn,this}return h(n.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!=typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=Zn)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!=typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=Zn)},persist:function(){},isPersistent:Zn}),n}var nt,tt,rt,lt={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},at=et(lt),ot=h({},lt,{view:0,detail:0}),ut=et(ot),it=h({},ot,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:bt,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==rt&&(rt&&"mousemove"===e.type?(nt=e.screenX-rt.screenX,tt=e.screenY-rt.screenY):tt=nt=0,rt=e),nt)},movementY:function(e){return"movementY"in e?e.movementY:tt}}),st=et(it),ct=et(h({},it,{dataTransfer:0})),ft=et(h({},ot,{relatedTarget:0})),dt=et(h({},lt,{animationName:0,elapsedTime:0,pseudoElement:0})),pt=et(h({},lt,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}})),mt=et(h({},lt,{data:0})),ht={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},gt={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},vt={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function yt(e){var n=this.nativeEvent;return n.getModifierState?n.getModifierState(e):!!(e=vt[e])&&!!n[e]}function bt(){return yt}var kt=et(h({},ot,{key:function(e){if(e.key){var n=ht[e.key]||e.key;if("Unidentified"!==n)return n}return"keypress"===e.type?13===(e=Gn(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?gt[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:bt,charCode:function(e){return"keypress"===e.type?Gn(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?Gn(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}})),wt=et(h({},it,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),St=et(h({},ot,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:bt})),Et=et(h({},lt,{propertyName:0,elapsedTime:0,pseudoElement:0})),xt=et(h({},it,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0})),Ct=et(h({},lt,{newState:0,oldState:0})),zt=[9,13,27,32],Pt=Hn&&"CompositionEvent"in window,Nt=null;Hn&&"documentMode"in document&&(Nt=document.documentMode);var Tt=Hn&&"TextEvent"in window&&!Nt,Lt=Hn&&(!Pt||Nt&&8<Nt&&11>=Nt),_t=String.fromCharCode(32),Ft=!1;function Ot(e,n){switch(e){case"keyup":return-1!==zt.indexOf(n.keyCode);case"keydown":return 229!==n.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function Dt(e){return"object"==typeof(e=e.detail)&&"data"in e?e.data:null}var Mt=!1;var At={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function Rt(e){var n=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===n?!!At[e.type]:"textarea"===n}function It(e,n,t,r){In?Un?Un.push(r):Un=[r]:In=r,0<(n=af(n,"onChange")).length&&(t=new at("onChange","change",null,t,r),e.push({event:t,listeners:n}))}var Ut=null,jt=null;function Vt(e){Gc(e,0)}function $t(e){if(vn(en(e)))return e}function Bt(e,n){if("change"===e)return n}var Ht=!1;if(Hn){var Qt;if(Hn){var Wt="oninput"in document;if(!Wt){var qt=document.createElement("div");qt.setAttribute("oninput","return;"),Wt="function"==typeof qt.oninput}Qt=Wt}else Qt=!1;Ht=Qt&&(!document.documentMode||9<document.documentMode)}function Kt(){Ut&&(Ut.detachEvent("onpropertychange",Yt),jt=Ut=null)}function Yt(e){if("value"===e.propertyName&&$t(jt)){var n=[];It(n,jt,e,Rn(e)),$n(Vt,n)}}function Xt(e,n,t){"focusin"===e?(Kt(),jt=t,(Ut=n).attachEvent("onpropertychange",Yt)):"focusout"===e&&Kt()}function Gt(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return $t(jt)}function Zt(e,n){if("click"===e)return $t(n)}function Jt(e,n){if("input"===e||"change"===e)return $t(n)}var er="function"==typeof Object.is?Object.is:function(e,n){return e===n&&(0!==e||1/e==1/n)||e!=e&&n!=n};function nr(e,n){if(er(e,n))return!0;if("object"!=typeof e||null===e||"object"!=typeof n||null===n)return!1;var t=Object.keys(e),r=Object.keys(n);if(t.length!==r.length)return!1;for(r=0;r<t.length;r++){var l=t[r];if(!ae.call(n,l)||!er(e[l],n[l]))return!1}return!0}function tr(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function rr(e,n){var t,r=tr(e);for(e=0;r;){if(3===r.nodeType){if(t=e+r.textContent.length,e<=n&&t>=n)return{node:r,offset:n-e};e=t}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=tr(r)}}function lr(e,n){return!(!e||!n)&&(e===n||(!e||3!==e.nodeType)&&(n&&3===n.nodeType?lr(e,n.parentNode):"contains"in e?e.contains(n):!!e.compareDocumentPosition&&!!(16&e.compareDocumentPosition(n))))}function ar(e){for(var n=yn((e=null!=e&&null!=e.ownerDocument&&null!=e.ownerDocument.defaultView?e.ownerDocument.defaultView:window).document);n instanceof e.HTMLIFrameElement;){try{var t="string"==typeof n.contentWindow.location.href}catch(r){t=!1}if(!t)break;n=yn((e=n.contentWindow).document)}return n}function or(e){var n=e&&e.nodeName&&e.nodeName.toLowerCase();return n&&("input"===n&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===n||"true"===e.contentEditable)}var ur=Hn&&"documentMode"in document&&11>=document.documentMode,ir=null,sr=null,cr=null,fr=!1;function dr(e,n,t){var r=t.window===t?t.document:9===t.nodeType?t:t.ownerDocument;fr||null==ir||ir!==yn(r)||("selectionStart"in(r=ir)&&or(r)?r={start:r.selectionStart,end:r.selectionEnd}:r={anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},cr&&nr(cr,r)||(cr=r,0<(r=af(sr,"onSelect")).length&&(n=new at("onSelect","select",null,n,t),e.push({event:n,listeners:r}),n.target=ir)))}function pr(e,n){var t={};return t[e.toLowerCase()]=n.toLowerCase(),t["Webkit"+e]="webkit"+n,t["Moz"+e]="moz"+n,t}var mr={animationend:pr("Animation","AnimationEnd"),animationiteration:pr("Animation","AnimationIteration"),animationstart:pr("Animation","AnimationStart"),transitionrun:pr("Transition","TransitionRun"),transitionstart:pr("Transition","TransitionStart"),transitioncancel:pr("Transition","TransitionCancel"),transitionend:pr("Transition","TransitionEnd")},hr={},gr={};function vr(e){if(hr[e])return hr[e];if(!mr[e])return e;var n,t=mr[e];for(n in t)if(t.hasOwnProperty(n)&&n in gr)return hr[e]=t[n];return e}Hn&&(gr=document.createElement("div").style,"AnimationEvent"in window||(delete mr.animationend.animation,delete mr.animationiteration.animation,delete mr.animationstart.animation),"TransitionEvent"in window||delete mr.transitionend.transition);var yr=vr("animationend"),br=vr("animationiteration"),kr=vr("animationstart"),wr=vr("transitionrun"),Sr=vr("transitionstart"),Er=vr("transitioncancel"),xr=vr("transitionend"),Cr=new Map,zr="abort auxClick beforeToggle cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function Pr(e,n){Cr.set(e,n),an(n,[e])}zr.push("scrollEnd");var Nr="function"==typeof reportError?reportError:function(e){if("object"==typeof window&&"function"==typeof window.ErrorEvent){var n=new window.ErrorEvent("error",{bubbles:!0,cancelable:!0,message:"object"==typeof e&&null!==e&&"string"==typeof e.message?String(e.message):String(e),error:e});if(!window.dispatchEvent(n))return}else if("object"==typeof process&&"function"==typeof process.emit)return void process.emit("uncaughtException",e)},Tr=[],Lr=0,_r=0;function Fr(){for(var e=Lr,n=_r=Lr=0;n<e;){var t=Tr[n];Tr[n++]=null;var r=Tr[n];Tr[n++]=null;var l=Tr[n];Tr[n++]=null;var a=Tr[n];if(Tr[n++]=null,null!==r&&null!==l){var o=r.pending;null===o?l.next=l:(l.next=o.next,o.next=l),r.pending=l}0!==a&&Ar(t,l,a)}}function Or(e,n,t,r){Tr[Lr++]=e,Tr[Lr++]=n,Tr[Lr++]=t,Tr[Lr++]=r,_r|=r,e.lanes|=r,null!==(e=e.alternate)&&(e.lanes|=r)}function Dr(e,n,t,r){return Or(e,n,t,r),Rr(e)}function Mr(e,n){return Or(e,null,null,n),Rr(e)}function Ar(e,n,t){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t);for(var l=!1,a=e.return;null!==a;)a.childLanes|=t,null!==(r=a.alternate)&&(r.childLanes|=t),22===a.tag&&(null===(e=a.stateNode)||1&e._visibility||(l=!0)),e=a,a=a.return;return 3===e.tag?(a=e.stateNode,l&&null!==n&&(l=31-Se(t),null===(r=(e=a.hiddenUpdates)[l])?e[l]=[n]:r.push(n),n.lane=536870912|t),a):null}function Rr(e){if(50<Ws)throw Ws=0,qs=null,Error(o(185));for(var n=e.return;null!==n;)n=(e=n).return;return 3===e.tag?e.stateNode:null}var Ir={};function Ur(e,n,t,r){this.tag=e,this.key=t,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.refCleanup=this.ref=null,this.pendingProps=n,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function jr(e,n,t,r){return new Ur(e,n,t,r)}function Vr(e){return!(!(e=e.prototype)||!e.isReactComponent)}function $r(e,n){var t=e.alternate;return null===t?((t=jr(e.tag,n,e.key,e.mode)).elementType=e.elementType,t.type=e.type,t.stateNode=e.stateNode,t.alternate=e,e.alternate=t):(t.pendingProps=n,t.type=e.type,t.flags=0,t.subtreeFlags=0,t.deletions=null),t.flags=65011712&e.flags,t.childLanes=e.childLanes,t.lanes=e.lanes,t.child=e.child,t.memoizedProps=e.memoizedProps,t.memoizedState=e.memoizedState,t.updateQueue=e.updateQueue,n=e.dependencies,t.dependencies=null===n?null:{lanes:n.lanes,firstContext:n.firstContext},t.sibling=e.sibling,t.index=e.index,t.ref=e.ref,t.refCleanup=e.refCleanup,t}function Br(e,n){e.flags&=65011714;var t=e.alternate;return null===t?(e.childLanes=0,e.lanes=n,e.child=null,e.subtreeFlags=0,e.memoizedProps=null,e.memoizedState=null,e.updateQueue=null,e.dependencies=null,e.stateNode=null):(e.childLanes=t.childLanes,e.lanes=t.lanes,e.child=t.child,e.subtreeFlags=0,e.deletions=null,e.memoizedProps=t.memoizedProps,e.memoizedState=t.memoizedState,e.updateQueue=t.updateQueue,e.type=t.type,n=t.dependencies,e.dependencies=null===n?null:{lanes:n.lanes,firstContext:n.firstContext}),e}function Hr(e,n,t,r,l,a){var u=0;if(r=e,"function"==typeof e)Vr(e)&&(u=1);else if("string"==typeof e)u=function(e,n,t){if(1===t||null!=n.itemProp)return!1;switch(e){case"meta":case"title":return!0;case"style":if("string"!=typeof n.precedence||"string"!=typeof n.href||""===n.href)break;return!0;case"link":if("string"!=typeof n.rel||"string"!=typeof n.href||""===n.href||n.onLoad||n.onError)break;return"stylesheet"!==n.rel||(e=n.disabled,"string"==typeof n.precedence&&null==e);case"script":if(n.async&&"function"!=typeof n.async&&"symbol"!=typeof n.async&&!n.onLoad&&!n.onError&&n.src&&"string"==typeof n.src)return!0}return!1}(e,t,W.current)?26:"html"===e||"head"===e||"body"===e?27:5;else e:switch(e){case T:return(e=jr(31,t,n,l)).elementType=T,e.lanes=a,e;case b:return Qr(t.children,l,a,n);case k:u=8,l|=24;break;case w:return(e=jr(12,t,n,2|l)).elementType=w,e.lanes=a,e;case C:return(e=jr(13,t,n,l)).elementType=C,e.lanes=a,e;case z:return(e=jr(19,t,n,l)).elementType=z,e.lanes=a,e;default:if("object"==typeof e&&null!==e)switch(e.$$typeof){case E:u=10;break e;case S:u=9;break e;case x:u=11;break e;case P:u=14;break e;case N:u=16,r=null;break e}u=29,t=Error(o(130,null===e?"null":typeof e,"")),r=null}return(n=jr(u,t,n,l)).elementType=e,n.type=r,n.lanes=a,n}function Qr(e,n,t,r){return(e=jr(7,e,r,n)).lanes=t,e}function Wr(e,n,t){return(e=jr(6,e,null,n)).lanes=t,e}function qr(e){var n=jr(18,null,null,0);return n.stateNode=e,n}function Kr(e,n,t){return(n=jr(4,null!==e.children?e.children:[],e.key,n)).lanes=t,n.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},n}var Yr=new WeakMap;function Xr(e,n){if("object"==typeof e&&null!==e){var t=Yr.get(e);return void 0!==t?t:(n={value:e,source:n,stack:le(n)},Yr.set(e,n),n)}return{value:e,source:n,stack:le(n)}}var Gr=[],Zr=0,Jr=null,el=0,nl=[],tl=0,rl=null,ll=1,al="";function ol(e,n){Gr[Zr++]=el,Gr[Zr++]=Jr,Jr=e,el=n}function ul(e,n,t){nl[tl++]=ll,nl[tl++]=al,nl[tl++]=rl,rl=e;var r=ll;e=al;var l=32-Se(r)-1;r&=~(1<<l),t+=1;var a=32-Se(n)+l;if(30<a){var o=l-l%5;a=(r&(1<<o)-1).toString(32),r>>=o,l-=o,ll=1<<32-Se(n)+l|t<<l|r,al=a+e}else ll=1<<a|t<<l|r,al=e}function il(e){null!==e.return&&(ol(e,1),ul(e,1,0))}function sl(e){for(;e===Jr;)Jr=Gr[--Zr],Gr[Zr]=null,el=Gr[--Zr],Gr[Zr]=null;for(;e===rl;)rl=nl[--tl],nl[tl]=null,al=nl[--tl],nl[tl]=null,ll=nl[--tl],nl[tl]=null}function cl(e,n){nl[tl++]=ll,nl[tl++]=al,nl[tl++]=rl,ll=n.id,al=n.overflow,rl=e}var fl=null,dl=null,pl=!1,ml=null,hl=!1,gl=Error(o(519));function vl(e){throw El(Xr(Error(o(418,1<arguments.length&&void 0!==arguments[1]&&arguments[1]?"text":"HTML","")),e)),gl}function yl(e){var n=e.stateNode,t=e.type,r=e.memoizedProps;switch(n[Be]=e,n[He]=r,t){case"dialog":Zc("cancel",n),Zc("close",n);break;case"iframe":case"object":case"embed":Zc("load",n);break;case"video":case"audio":for(t=0;t<Yc.length;t++)Zc(Yc[t],n);break;case"source":Zc("error",n);break;case"img":case"image":case"link":Zc("error",n),Zc("load",n);break;case"details":Zc("toggle",n);break;case"input":Zc("invalid",n),Sn(n,r.value,r.defaultValue,r.checked,r.defaultChecked,r.type,r.name,!0);break;case"select":Zc("invalid",n);break;case"textarea":Zc("invalid",n),zn(n,r.value,r.defaultValue,r.children)}"string"!=typeof(t=r.children)&&"number"!=typeof t&&"bigint"!=typeof t||n.textContent===""+t||!0===r.suppressHydrationWarning||df(n.textContent,t)?(null!=r.popover&&(Zc("beforetoggle",n),Zc("toggle",n)),null!=r.onScroll&&Zc("scroll",n),null!=r.onScrollEnd&&Zc("scrollend",n),null!=r.onClick&&(n.onclick=Mn),n=!0):n=!1,n||vl(e,!0)}function bl(e){for(fl=e.return;fl;)switch(fl.tag){case 5:case 31:case 13:return void(hl=!1);case 27:case 3:return void(hl=!0);default:fl=fl.return}}function kl(e){if(e!==fl)return!1;if(!pl)return bl(e),pl=!0,!1;var n,t=e.tag;if((n=3!==t&&27!==t)&&((n=5===t)&&(n=!("form"!==(n=e.type)&&"button"!==n)||Sf(e.type,e.memoizedProps)),n=!n),n&&dl&&vl(e),bl(e),13===t){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(o(317));dl=If(e)}else if(31===t){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(o(317));dl=If(e)}else 27===t?(t=dl,Tf(e.type)?(e=Rf,Rf=null,dl=e):dl=t):dl=fl?Af(e.stateNode.nextSibling):null;return!0}function wl(){dl=fl=null,pl=!1}function Sl(){var e=ml;return null!==e&&(null===Fs?Fs=e:Fs.push.apply(Fs,e),ml=null),e}function El(e){null===ml?ml=[e]:ml.push(e)}var xl=V(null),Cl=null,zl=null;function Pl(e,n,t){B(xl,n._currentValue),n._currentValue=t}function Nl(e){e._currentValue=xl.current,$(xl)}function Tl(e,n,t){for(;null!==e;){var r=e.alternate;if((e.childLanes&n)!==n?(e.childLanes|=n,null!==r&&(r.childLanes|=n)):null!==r&&(r.childLanes&n)!==n&&(r.childLanes|=n),e===t)break;e=e.return}}function Ll(e,n,t,r){var l=e.child;for(null!==l&&(l.return=e);null!==l;){var a=l.dependencies;if(null!==a){var u=l.child;a=a.firstContext;e:for(;null!==a;){var i=a;a=l;for(var s=0;s<n.length;s++)if(i.context===n[s]){a.lanes|=t,null!==(i=a.alternate)&&(i.lanes|=t),Tl(a.return,t,e),r||(u=null);break e}a=i.next}}else if(18===l.tag){if(null===(u=l.return))throw Error(o(341));u.lanes|=t,null!==(a=u.alternate)&&(a.lanes|=t),Tl(u,t,e),u=null}else u=l.child;if(null!==u)u.return=l;else for(u=l;null!==u;){if(u===e){u=null;break}if(null!==(l=u.sibling)){l.return=u.return,u=l;break}u=u.return}l=u}}function _l(e,n,t,r){e=null;for(var l=n,a=!1;null!==l;){if(!a)if(524288&l.flags)a=!0;else if(262144&l.flags)break;if(10===l.tag){var u=l.alternate;if(null===u)throw Error(o(387));if(null!==(u=u.memoizedProps)){var i=l.type;er(l.pendingProps.value,u.value)||(null!==e?e.push(i):e=[i])}}else if(l===Y.current){if(null===(u=l.alternate))throw Error(o(387));u.memoizedState.memoizedState!==l.memoizedState.memoizedState&&(null!==e?e.push(pd):e=[pd])}l=l.return}null!==e&&Ll(n,e,t,r),n.flags|=262144}function Fl(e){for(e=e.firstContext;null!==e;){if(!er(e.context._currentValue,e.memoizedValue))return!0;e=e.next}return!1}function Ol(e){Cl=e,zl=null,null!==(e=e.dependencies)&&(e.firstContext=null)}function Dl(e){return Al(Cl,e)}function Ml(e,n){return null===Cl&&Ol(e),Al(e,n)}function Al(e,n){var t=n._currentValue;if(n={context:n,memoizedValue:t,next:null},null===zl){if(null===e)throw Error(o(308));zl=n,e.dependencies={lanes:0,firstContext:n},e.flags|=524288}else zl=zl.next=n;return t}var Rl="undefined"!=typeof AbortController?AbortController:function(){var e=[],n=this.signal={aborted:!1,addEventListener:function(n,t){e.push(t)}};this.abort=function(){n.aborted=!0,e.forEach(function(e){return e()})}},Il=t.unstable_scheduleCallback,Ul=t.unstable_NormalPriority,jl={$$typeof:E,Consumer:null,Provider:null,_currentValue:null,_currentValue2:null,_threadCount:0};function Vl(){return{controller:new Rl,data:new Map,refCount:0}}function $l(e){e.refCount--,0===e.refCount&&Il(Ul,function(){e.controller.abort()})}var Bl=null,Hl=0,Ql=0,Wl=null;function ql(){if(0===--Hl&&null!==Bl){null!==Wl&&(Wl.status="fulfilled");var e=Bl;Bl=null,Ql=0,Wl=null;for(var n=0;n<e.length;n++)(0,e[n])()}}var Kl=A.S;A.S=function(e,n){Ms=ce(),"object"==typeof n&&null!==n&&"function"==typeof n.then&&function(e,n){if(null===Bl){var t=Bl=[];Hl=0,Ql=Hc(),Wl={status:"pending",value:void 0,then:function(e){t.push(e)}}}Hl++,n.then(ql,ql)}(0,n),null!==Kl&&Kl(e,n)};var Yl=V(null);function Xl(){var e=Yl.current;return null!==e?e:gs.pooledCache}function Gl(e,n){B(Yl,null===n?Yl.current:n.pool)}function Zl(){var e=Xl();return null===e?null:{parent:jl._currentValue,pool:e}}var Jl=Error(o(460)),ea=Error(o(474)),na=Error(o(542)),ta={then:function(){}};function ra(e){return"fulfilled"===(e=e.status)||"rejected"===e}function la(e,n,t){switch(void 0===(t=e[t])?e.push(n):t!==n&&(n.then(Mn,Mn),n=t),n.status){case"fulfilled":return n.value;case"rejected":throw ia(e=n.reason),e;default:if("string"==typeof n.status)n.then(Mn,Mn);else{if(null!==(e=gs)&&100<e.shellSuspendCounter)throw Error(o(482));(e=n).status="pending",e.then(function(e){if("pending"===n.status){var t=n;t.status="fulfilled",t.value=e}},function(e){if("pending"===n.status){var t=n;t.status="rejected",t.reason=e}})}switch(n.status){case"fulfilled":return n.value;case"rejected":throw ia(e=n.reason),e}throw oa=n,Jl}}function aa(e){try{return(0,e._init)(e._payload)}catch(n){if(null!==n&&"object"==typeof n&&"function"==typeof n.then)throw oa=n,Jl;throw n}}var oa=null;function ua(){if(null===oa)throw Error(o(459));var e=oa;return oa=null,e}function ia(e){if(e===Jl||e===na)throw Error(o(483))}var sa=null,ca=0;function fa(e){var n=ca;return ca+=1,null===sa&&(sa=[]),la(sa,e,n)}function da(e,n){n=n.props.ref,e.ref=void 0!==n?n:null}function pa(e,n){if(n.$$typeof===g)throw Error(o(525));throw e=Object.prototype.toString.call(n),Error(o(31,"[object Object]"===e?"object with keys {"+Object.keys(n).join(", ")+"}":e))}function ma(e){function n(n,t){if(e){var r=n.deletions;null===r?(n.deletions=[t],n.flags|=16):r.push(t)}}function t(t,r){if(!e)return null;for(;null!==r;)n(t,r),r=r.sibling;return null}function r(e){for(var n=new Map;null!==e;)null!==e.key?n.set(e.key,e):n.set(e.index,e),e=e.sibling;return n}function l(e,n){return(e=$r(e,n)).index=0,e.sibling=null,e}function a(n,t,r){return n.index=r,e?null!==(r=n.alternate)?(r=r.index)<t?(n.flags|=67108866,t):r:(n.flags|=67108866,t):(n.flags|=1048576,t)}function u(n){return e&&null===n.alternate&&(n.flags|=67108866),n}function i(e,n,t,r){return null===n||6!==n.tag?((n=Wr(t,e.mode,r)).return=e,n):((n=l(n,t)).return=e,n)}function s(e,n,t,r){var a=t.type;return a===b?f(e,n,t.props.children,r,t.key):null!==n&&(n.elementType===a||"object"==typeof a&&null!==a&&a.$$typeof===N&&aa(a)===n.type)?(da(n=l(n,t.props),t),n.return=e,n):(da(n=Hr(t.type,t.key,t.props,null,e.mode,r),t),n.return=e,n)}function c(e,n,t,r){return null===n||4!==n.tag||n.stateNode.containerInfo!==t.containerInfo||n.stateNode.implementation!==t.implementation?((n=Kr(t,e.mode,r)).return=e,n):((n=l(n,t.children||[])).return=e,n)}function f(e,n,t,r,a){return null===n||7!==n.tag?((n=Qr(t,e.mode,r,a)).return=e,n):((n=l(n,t)).return=e,n)}function d(e,n,t){if("string"==typeof n&&""!==n||"number"==typeof n||"bigint"==typeof n)return(n=Wr(""+n,e.mode,t)).return=e,n;if("object"==typeof n&&null!==n){switch(n.$$typeof){case v:return da(t=Hr(n.type,n.key,n.props,null,e.mode,t),n),t.return=e,t;case y:return(n=Kr(n,e.mode,t)).return=e,n;case N:return d(e,n=aa(n),t)}if(M(n)||F(n))return(n=Qr(n,e.mode,t,null)).return=e,n;if("function"==typeof n.then)return d(e,fa(n),t);if(n.$$typeof===E)return d(e,Ml(e,n),t);pa(e,n)}return null}function p(e,n,t,r){var l=null!==n?n.key:null;if("string"==typeof t&&""!==t||"number"==typeof t||"bigint"==typeof t)return null!==l?null:i(e,n,""+t,r);if("object"==typeof t&&null!==t){switch(t.$$typeof){case v:return t.key===l?s(e,n,t,r):null;case y:return t.key===l?c(e,n,t,r):null;case N:return p(e,n,t=aa(t),r)}if(M(t)||F(t))return null!==l?null:f(e,n,t,r,null);if("function"==typeof t.then)return p(e,n,fa(t),r);if(t.$$typeof===E)return p(e,n,Ml(e,t),r);pa(e,t)}return null}function m(e,n,t,r,l){if("string"==typeof r&&""!==r||"number"==typeof r||"bigint"==typeof r)return i(n,e=e.get(t)||null,""+r,l);if("object"==typeof r&&null!==r){switch(r.$$typeof){case v:return s(n,e=e.get(null===r.key?t:r.key)||null,r,l);case y:return c(n,e=e.get(null===r.key?t:r.key)||null,r,l);case N:return m(e,n,t,r=aa(r),l)}if(M(r)||F(r))return f(n,e=e.get(t)||null,r,l,null);if("function"==typeof r.then)return m(e,n,t,fa(r),l);if(r.$$typeof===E)return m(e,n,t,Ml(n,r),l);pa(n,r)}return null}function h(i,s,c,f){if("object"==typeof c&&null!==c&&c.type===b&&null===c.key&&(c=c.props.children),"object"==typeof c&&null!==c){switch(c.$$typeof){case v:e:{for(var g=c.key;null!==s;){if(s.key===g){if((g=c.type)===b){if(7===s.tag){t(i,s.sibling),(f=l(s,c.props.children)).return=i,i=f;break e}}else if(s.elementType===g||"object"==typeof g&&null!==g&&g.$$typeof===N&&aa(g)===s.type){t(i,s.sibling),da(f=l(s,c.props),c),f.return=i,i=f;break e}t(i,s);break}n(i,s),s=s.sibling}c.type===b?((f=Qr(c.props.children,i.mode,f,c.key)).return=i,i=f):(da(f=Hr(c.type,c.key,c.props,null,i.mode,f),c),f.return=i,i=f)}return u(i);case y:e:{for(g=c.key;null!==s;){if(s.key===g){if(4===s.tag&&s.stateNode.containerInfo===c.containerInfo&&s.stateNode.implementation===c.implementation){t(i,s.sibling),(f=l(s,c.children||[])).return=i,i=f;break e}t(i,s);break}n(i,s),s=s.sibling}(f=Kr(c,i.mode,f)).return=i,i=f}return u(i);case N:return h(i,s,c=aa(c),f)}if(M(c))return function(l,o,u,i){for(var s=null,c=null,f=o,h=o=0,g=null;null!==f&&h<u.length;h++){f.index>h?(g=f,f=null):g=f.sibling;var v=p(l,f,u[h],i);if(null===v){null===f&&(f=g);break}e&&f&&null===v.alternate&&n(l,f),o=a(v,o,h),null===c?s=v:c.sibling=v,c=v,f=g}if(h===u.length)return t(l,f),pl&&ol(l,h),s;if(null===f){for(;h<u.length;h++)null!==(f=d(l,u[h],i))&&(o=a(f,o,h),null===c?s=f:c.sibling=f,c=f);return pl&&ol(l,h),s}for(f=r(f);h<u.length;h++)null!==(g=m(f,l,h,u[h],i))&&(e&&null!==g.alternate&&f.delete(null===g.key?h:g.key),o=a(g,o,h),null===c?s=g:c.sibling=g,c=g);return e&&f.forEach(function(e){return n(l,e)}),pl&&ol(l,h),s}(i,s,c,f);if(F(c)){if("function"!=typeof(g=F(c)))throw Error(o(150));return function(l,u,i,s){if(null==i)throw Error(o(151));for(var c=null,f=null,h=u,g=u=0,v=null,y=i.next();null!==h&&!y.done;g++,y=i.next()){h.index>g?(v=h,h=null):v=h.sibling;var b=p(l,h,y.value,s);if(null===b){null===h&&(h=v);break}e&&h&&null===b.alternate&&n(l,h),u=a(b,u,g),null===f?c=b:f.sibling=b,f=b,h=v}if(y.done)return t(l,h),pl&&ol(l,g),c;if(null===h){for(;!y.done;g++,y=i.next())null!==(y=d(l,y.value,s))&&(u=a(y,u,g),null===f?c=y:f.sibling=y,f=y);return pl&&ol(l,g),c}for(h=r(h);!y.done;g++,y=i.next())null!==(y=m(h,l,g,y.value,s))&&(e&&null!==y.alternate&&h.delete(null===y.key?g:y.key),u=a(y,u,g),null===f?c=y:f.sibling=y,f=y);return e&&h.forEach(function(e){return n(l,e)}),pl&&ol(l,g),c}(i,s,c=g.call(c),f)}if("function"==typeof c.then)return h(i,s,fa(c),f);if(c.$$typeof===E)return h(i,s,Ml(i,c),f);pa(i,c)}return"string"==typeof c&&""!==c||"number"==typeof c||"bigint"==typeof c?(c=""+c,null!==s&&6===s.tag?(t(i,s.sibling),(f=l(s,c)).return=i,i=f):(t(i,s),(f=Wr(c,i.mode,f)).return=i,i=f),u(i)):t(i,s)}return function(e,n,t,r){try{ca=0;var l=h(e,n,t,r);return sa=null,l}catch(o){if(o===Jl||o===na)throw o;var a=jr(29,o,null,e.mode);return a.lanes=r,a.return=e,a}}}var ha=ma(!0),ga=ma(!1),va=!1;function ya(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,lanes:0,hiddenCallbacks:null},callbacks:null}}function ba(e,n){e=e.updateQueue,n.updateQueue===e&&(n.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,callbacks:null})}function ka(e){return{lane:e,tag:0,payload:null,callback:null,next:null}}function wa(e,n,t){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,2&hs){var l=r.pending;return null===l?n.next=n:(n.next=l.next,l.next=n),r.pending=n,n=Rr(e),Ar(e,null,t),n}return Or(e,r,n,t),Rr(e)}function Sa(e,n,t){if(null!==(n=n.updateQueue)&&(n=n.shared,4194048&t)){var r=n.lanes;t|=r&=e.pendingLanes,n.lanes=t,Ae(e,t)}}function Ea(e,n){var t=e.updateQueue,r=e.alternate;if(null!==r&&t===(r=r.updateQueue)){var l=null,a=null;if(null!==(t=t.firstBaseUpdate)){do{var o={lane:t.lane,tag:t.tag,payload:t.payload,callback:null,next:null};null===a?l=a=o:a=a.next=o,t=t.next}while(null!==t);null===a?l=a=n:a=a.next=n}else l=a=n;return t={baseState:r.baseState,firstBaseUpdate:l,lastBaseUpdate:a,shared:r.shared,callbacks:r.callbacks},void(e.updateQueue=t)}null===(e=t.lastBaseUpdate)?t.firstBaseUpdate=n:e.next=n,t.lastBaseUpdate=n}var xa=!1;function Ca(){if(xa){if(null!==Wl)throw Wl}}function za(e,n,t,r){xa=!1;var l=e.updateQueue;va=!1;var a=l.firstBaseUpdate,o=l.lastBaseUpdate,u=l.shared.pending;if(null!==u){l.shared.pending=null;var i=u,s=i.next;i.next=null,null===o?a=s:o.next=s,o=i;var c=e.alternate;null!==c&&((u=(c=c.updateQueue).lastBaseUpdate)!==o&&(null===u?c.firstBaseUpdate=s:u.next=s,c.lastBaseUpdate=i))}if(null!==a){var f=l.baseState;for(o=0,c=s=i=null,u=a;;){var d=-536870913&u.lane,p=d!==u.lane;if(p?(ys&d)===d:(r&d)===d){0!==d&&d===Ql&&(xa=!0),null!==c&&(c=c.next={lane:0,tag:u.tag,payload:u.payload,callback:null,next:null});e:{var m=e,g=u;d=n;var v=t;switch(g.tag){case 1:if("function"==typeof(m=g.payload)){f=m.call(v,f,d);break e}f=m;break e;case 3:m.flags=-65537&m.flags|128;case 0:if(null==(d="function"==typeof(m=g.payload)?m.call(v,f,d):m))break e;f=h({},f,d);break e;case 2:va=!0}}null!==(d=u.callback)&&(e.flags|=64,p&&(e.flags|=8192),null===(p=l.callbacks)?l.callbacks=[d]:p.push(d))}else p={lane:d,tag:u.tag,payload:u.payload,callback:u.callback,next:null},null===c?(s=c=p,i=f):c=c.next=p,o|=d;if(null===(u=u.next)){if(null===(u=l.shared.pending))break;u=(p=u).next,p.next=null,l.lastBaseUpdate=p,l.shared.pending=null}}null===c&&(i=f),l.baseState=i,l.firstBaseUpdate=s,l.lastBaseUpdate=c,null===a&&(l.shared.lanes=0),zs|=o,e.lanes=o,e.memoizedState=f}}function Pa(e,n){if("function"!=typeof e)throw Error(o(191,e));e.call(n)}function Na(e,n){var t=e.callbacks;if(null!==t)for(e.callbacks=null,e=0;e<t.length;e++)Pa(t[e],n)}var Ta=V(null),La=V(0);function _a(e,n){B(La,e=xs),B(Ta,n),xs=e|n.baseLanes}function Fa(){B(La,xs),B(Ta,Ta.current)}function Oa(){xs=La.current,$(Ta),$(La)}var Da=V(null),Ma=null;function Aa(e){var n=e.alternate;B(Va,1&Va.current),B(Da,e),null===Ma&&(null===n||null!==Ta.current||null!==n.memoizedState)&&(Ma=e)}function Ra(e){B(Va,Va.current),B(Da,e),null===Ma&&(Ma=e)}function Ia(e){22===e.tag?(B(Va,Va.current),B(Da,e),null===Ma&&(Ma=e)):Ua()}function Ua(){B(Va,Va.current),B(Da,Da.current)}function ja(e){$(Da),Ma===e&&(Ma=null),$(Va)}var Va=V(0);function $a(e){for(var n=e;null!==n;){if(13===n.tag){var t=n.memoizedState;if(null!==t&&(null===(t=t.dehydrated)||Df(t)||Mf(t)))return n}else if(19!==n.tag||"forwards"!==n.memoizedProps.revealOrder&&"backwards"!==n.memoizedProps.revealOrder&&"unstable_legacy-backwards"!==n.memoizedProps.revealOrder&&"together"!==n.memoizedProps.revealOrder){if(null!==n.child){n.child.return=n,n=n.child;continue}}else if(128&n.flags)return n;if(n===e)break;for(;null===n.sibling;){if(null===n.return||n.return===e)return null;n=n.return}n.sibling.return=n.return,n=n.sibling}return null}var Ba=0,Ha=null,Qa=null,Wa=null,qa=!1,Ka=!1,Ya=!1,Xa=0,Ga=0,Za=null,Ja=0;function eo(){throw Error(o(321))}function no(e,n){if(null===n)return!1;for(var t=0;t<n.length&&t<e.length;t++)if(!er(e[t],n[t]))return!1;return!0}function to(e,n,t,r,l,a){return Ba=a,Ha=n,n.memoizedState=null,n.updateQueue=null,n.lanes=0,A.H=null===e||null===e.memoizedState?yu:bu,Ya=!1,a=t(r,l),Ya=!1,Ka&&(a=lo(n,t,r,l)),ro(e),a}function ro(e){A.H=vu;var n=null!==Qa&&null!==Qa.next;if(Ba=0,Wa=Qa=Ha=null,qa=!1,Ga=0,Za=null,n)throw Error(o(300));null===e||Mu||null!==(e=e.dependencies)&&Fl(e)&&(Mu=!0)}function lo(e,n,t,r){Ha=e;var l=0;do{if(Ka&&(Za=null),Ga=0,Ka=!1,25<=l)throw Error(o(301));if(l+=1,Wa=Qa=null,null!=e.updateQueue){var a=e.updateQueue;a.lastEffect=null,a.events=null,a.stores=null,null!=a.memoCache&&(a.memoCache.index=0)}A.H=ku,a=n(t,r)}while(Ka);return a}function ao(){var e=A.H,n=e.useState()[0];return n="function"==typeof n.then?fo(n):n,e=e.useState()[0],(null!==Qa?Qa.memoizedState:null)!==e&&(Ha.flags|=1024),n}function oo(){var e=0!==Xa;return Xa=0,e}function uo(e,n,t){n.updateQueue=e.updateQueue,n.flags&=-2053,e.lanes&=~t}function io(e){if(qa){for(e=e.memoizedState;null!==e;){var n=e.queue;null!==n&&(n.pending=null),e=e.next}qa=!1}Ba=0,Wa=Qa=Ha=null,Ka=!1,Ga=Xa=0,Za=null}function so(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===Wa?Ha.memoizedState=Wa=e:Wa=Wa.next=e,Wa}function co(){if(null===Qa){var e=Ha.alternate;e=null!==e?e.memoizedState:null}else e=Qa.next;var n=null===Wa?Ha.memoizedState:Wa.next;if(null!==n)Wa=n,Qa=e;else{if(null===e){if(null===Ha.alternate)throw Error(o(467));throw Error(o(310))}e={memoizedState:(Qa=e).memoizedState,baseState:Qa.baseState,baseQueue:Qa.baseQueue,queue:Qa.queue,next:null},null===Wa?Ha.memoizedState=Wa=e:Wa=Wa.next=e}return Wa}function fo(e){var n=Ga;return Ga+=1,null===Za&&(Za=[]),e=la(Za,e,n),n=Ha,null===(null===Wa?n.memoizedState:Wa.next)&&(n=n.alternate,A.H=null===n||null===n.memoizedState?yu:bu),e}function po(e){if(null!==e&&"object"==typeof e){if("function"==typeof e.then)return fo(e);if(e.$$typeof===E)return Dl(e)}throw Error(o(438,String(e)))}function mo(e){var n=null,t=Ha.updateQueue;if(null!==t&&(n=t.memoCache),null==n){var r=Ha.alternate;null!==r&&(null!==(r=r.updateQueue)&&(null!=(r=r.memoCache)&&(n={data:r.data.map(function(e){return e.slice()}),index:0})))}if(null==n&&(n={data:[],index:0}),null===t&&(t={lastEffect:null,events:null,stores:null,memoCache:null},Ha.updateQueue=t),t.memoCache=n,void 0===(t=n.data[n.index]))for(t=n.data[n.index]=Array(e),r=0;r<e;r++)t[r]=L;return n.index++,t}function ho(e,n){return"function"==typeof n?n(e):n}function go(e){return vo(co(),Qa,e)}function vo(e,n,t){var r=e.queue;if(null===r)throw Error(o(311));r.lastRenderedReducer=t;var l=e.baseQueue,a=r.pending;if(null!==a){if(null!==l){var u=l.next;l.next=a.next,a.next=u}n.baseQueue=l=a,r.pending=null}if(a=e.baseState,null===l)e.memoizedState=a;else{var i=u=null,s=null,c=n=l.next,f=!1;do{var d=-536870913&c.lane;if(d!==c.lane?(ys&d)===d:(Ba&d)===d){var p=c.revertLane;if(0===p)null!==s&&(s=s.next={lane:0,revertLane:0,gesture:null,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null}),d===Ql&&(f=!0);else{if((Ba&p)===p){c=c.next,p===Ql&&(f=!0);continue}d={lane:0,revertLane:c.revertLane,gesture:null,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===s?(i=s=d,u=a):s=s.next=d,Ha.lanes|=p,zs|=p}d=c.action,Ya&&t(a,d),a=c.hasEagerState?c.eagerState:t(a,d)}else p={lane:d,revertLane:c.revertLane,gesture:c.gesture,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===s?(i=s=p,u=a):s=s.next=p,Ha.lanes|=d,zs|=d;c=c.next}while(null!==c&&c!==n);if(null===s?u=a:s.next=i,!er(a,e.memoizedState)&&(Mu=!0,f&&null!==(t=Wl)))throw t;e.memoizedState=a,e.baseState=u,e.baseQueue=s,r.lastRenderedState=a}return null===l&&(r.lanes=0),[e.memoizedState,r.dispatch]}function yo(e){var n=co(),t=n.queue;if(null===t)throw Error(o(311));t.lastRenderedReducer=e;var r=t.dispatch,l=t.pending,a=n.memoizedState;if(null!==l){t.pending=null;var u=l=l.next;do{a=e(a,u.action),u=u.next}while(u!==l);er(a,n.memoizedState)||(Mu=!0),n.memoizedState=a,null===n.baseQueue&&(n.baseState=a),t.lastRenderedState=a}return[a,r]}function bo(e,n,t){var r=Ha,l=co(),a=pl;if(a){if(void 0===t)throw Error(o(407));t=t()}else t=n();var u=!er((Qa||l).memoizedState,t);if(u&&(l.memoizedState=t,Mu=!0),l=l.queue,Ho(So.bind(null,r,l,e),[e]),l.getSnapshot!==n||u||null!==Wa&&1&Wa.memoizedState.tag){if(r.flags|=2048,Uo(9,{destroy:void 0},wo.bind(null,r,l,t,n),null),null===gs)throw Error(o(349));a||127&Ba||ko(r,n,t)}return t}function ko(e,n,t){e.flags|=16384,e={getSnapshot:n,value:t},null===(n=Ha.updateQueue)?(n={lastEffect:null,events:null,stores:null,memoCache:null},Ha.updateQueue=n,n.stores=[e]):null===(t=n.stores)?n.stores=[e]:t.push(e)}function wo(e,n,t,r){n.value=t,n.getSnapshot=r,Eo(n)&&xo(e)}function So(e,n,t){return t(function(){Eo(n)&&xo(e)})}function Eo(e){var n=e.getSnapshot;e=e.value;try{var t=n();return!er(e,t)}catch(r){return!0}}function xo(e){var n=Mr(e,2);null!==n&&Xs(n,e,2)}function Co(e){var n=so();if("function"==typeof e){var t=e;if(e=t(),Ya){we(!0);try{t()}finally{we(!1)}}}return n.memoizedState=n.baseState=e,n.queue={pending:null,lanes:0,dispatch:null,lastRenderedReducer:ho,lastRenderedState:e},n}function zo(e,n,t,r){return e.baseState=t,vo(e,Qa,"function"==typeof r?r:ho)}function Po(e,n,t,r,l){if(mu(e))throw Error(o(485));if(null!==(e=n.action)){var a={payload:l,action:e,next:null,isTransition:!0,status:"pending",value:null,reason:null,listeners:[],then:function(e){a.listeners.push(e)}};null!==A.T?t(!0):a.isTransition=!1,r(a),null===(t=n.pending)?(a.next=n.pending=a,No(n,a)):(a.next=t.next,n.pending=t.next=a)}}function No(e,n){var t=n.action,r=n.payload,l=e.state;if(n.isTransition){var a=A.T,o={};A.T=o;try{var u=t(l,r),i=A.S;null!==i&&i(o,u),To(e,n,u)}catch(s){_o(e,n,s)}finally{null!==a&&null!==o.types&&(a.types=o.types),A.T=a}}else try{To(e,n,a=t(l,r))}catch(c){_o(e,n,c)}}function To(e,n,t){null!==t&&"object"==typeof t&&"function"==typeof t.then?t.then(function(t){Lo(e,n,t)},function(t){return _o(e,n,t)}):Lo(e,n,t)}function Lo(e,n,t){n.status="fulfilled",n.value=t,Fo(n),e.state=t,null!==(n=e.pending)&&((t=n.next)===n?e.pending=null:(t=t.next,n.next=t,No(e,t)))}function _o(e,n,t){var r=e.pending;if(e.pending=null,null!==r){r=r.next;do{n.status="rejected",n.reason=t,Fo(n),n=n.next}while(n!==r)}e.action=null}function Fo(e){e=e.listeners;for(var n=0;n<e.length;n++)(0,e[n])()}function Oo(e,n){return n}function Do(e,n){if(pl){var t=gs.formState;if(null!==t){e:{var r=Ha;if(pl){if(dl){n:{for(var l=dl,a=hl;8!==l.nodeType;){if(!a){l=null;break n}if(null===(l=Af(l.nextSibling))){l=null;break n}}l="F!"===(a=l.data)||"F"===a?l:null}if(l){dl=Af(l.nextSibling),r="F!"===l.data;break e}}vl(r)}r=!1}r&&(n=t[0])}}return(t=so()).memoizedState=t.baseState=n,r={pending:null,lanes:0,dispatch:null,lastRenderedReducer:Oo,lastRenderedState:n},t.queue=r,t=fu.bind(null,Ha,r),r.dispatch=t,r=Co(!1),a=pu.bind(null,Ha,!1,r.queue),l={state:n,dispatch:null,action:e,pending:null},(r=so()).queue=l,t=Po.bind(null,Ha,l,a,t),l.dispatch=t,r.memoizedState=e,[n,t,!1]}function Mo(e){return Ao(co(),Qa,e)}function Ao(e,n,t){if(n=vo(e,n,Oo)[0],e=go(ho)[0],"object"==typeof n&&null!==n&&"function"==typeof n.then)try{var r=fo(n)}catch(o){if(o===Jl)throw na;throw o}else r=n;var l=(n=co()).queue,a=l.dispatch;return t!==n.memoizedState&&(Ha.flags|=2048,Uo(9,{destroy:void 0},Ro.bind(null,l,t),null)),[r,a,e]}function Ro(e,n){e.action=n}function Io(e){var n=co(),t=Qa;if(null!==t)return Ao(n,t,e);co(),n=n.memoizedState;var r=(t=co()).queue.dispatch;return t.memoizedState=e,[n,r,!1]}function Uo(e,n,t,r){return e={tag:e,create:t,deps:r,inst:n,next:null},null===(n=Ha.updateQueue)&&(n={lastEffect:null,events:null,stores:null,memoCache:null},Ha.updateQueue=n),null===(t=n.lastEffect)?n.lastEffect=e.next=e:(r=t.next,t.next=e,e.next=r,n.lastEffect=e),e}function jo(){return co().memoizedState}function Vo(e,n,t,r){var l=so();Ha.flags|=e,l.memoizedState=Uo(1|n,{destroy:void 0},t,void 0===r?null:r)}function $o(e,n,t,r){var l=co();r=void 0===r?null:r;var a=l.memoizedState.inst;null!==Qa&&null!==r&&no(r,Qa.memoizedState.deps)?l.memoizedState=Uo(n,a,t,r):(Ha.flags|=e,l.memoizedState=Uo(1|n,a,t,r))}function Bo(e,n){Vo(8390656,8,e,n)}function Ho(e,n){$o(2048,8,e,n)}function Qo(e){var n=co().memoizedState;return function(e){Ha.flags|=4;var n=Ha.updateQueue;if(null===n)n={lastEffect:null,events:null,stores:null,memoCache:null},Ha.updateQueue=n,n.events=[e];else{var t=n.events;null===t?n.events=[e]:t.push(e)}}({ref:n,nextImpl:e}),function(){if(2&hs)throw Error(o(440));return n.impl.apply(void 0,arguments)}}function Wo(e,n){return $o(4,2,e,n)}function qo(e,n){return $o(4,4,e,n)}function Ko(e,n){if("function"==typeof n){e=e();var t=n(e);return function(){"function"==typeof t?t():n(null)}}if(null!=n)return e=e(),n.current=e,function(){n.current=null}}function Yo(e,n,t){t=null!=t?t.concat([e]):null,$o(4,4,Ko.bind(null,n,e),t)}function Xo(){}function Go(e,n){var t=co();n=void 0===n?null:n;var r=t.memoizedState;return null!==n&&no(n,r[1])?r[0]:(t.memoizedState=[e,n],e)}function Zo(e,n){var t=co();n=void 0===n?null:n;var r=t.memoizedState;if(null!==n&&no(n,r[1]))return r[0];if(r=e(),Ya){we(!0);try{e()}finally{we(!1)}}return t.memoizedState=[r,n],r}function Jo(e,n,t){return void 0===t||1073741824&Ba&&!(261930&ys)?e.memoizedState=n:(e.memoizedState=t,e=Ys(),Ha.lanes|=e,zs|=e,t)}function eu(e,n,t,r){return er(t,n)?t:null!==Ta.current?(e=Jo(e,t,r),er(e,n)||(Mu=!0),e):42&Ba&&(!(1073741824&Ba)||261930&ys)?(e=Ys(),Ha.lanes|=e,zs|=e,n):(Mu=!0,e.memoizedState=t)}function nu(e,n,t,r,l){var a=R.p;R.p=0!==a&&8>a?a:8;var o,u,i,s=A.T,c={};A.T=c,pu(e,!1,n,t);try{var f=l(),d=A.S;if(null!==d&&d(c,f),null!==f&&"object"==typeof f&&"function"==typeof f.then)du(e,n,(o=r,u=[],i={status:"pending",value:null,reason:null,then:function(e){u.push(e)}},f.then(function(){i.status="fulfilled",i.value=o;for(var e=0;e<u.length;e++)(0,u[e])(o)},function(e){for(i.status="rejected",i.reason=e,e=0;e<u.length;e++)(0,u[e])(void 0)}),i),Ks());else du(e,n,r,Ks())}catch(p){du(e,n,{then:function(){},status:"rejected",reason:p},Ks())}finally{R.p=a,null!==s&&null!==c.types&&(s.types=c.types),A.T=s}}function tu(){}function ru(e,n,t,r){if(5!==e.tag)throw Error(o(476));var l=lu(e).queue;nu(e,l,n,I,null===t?tu:function(){return au(e),t(r)})}function lu(e){var n=e.memoizedState;if(null!==n)return n;var t={};return(n={memoizedState:I,baseState:I,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:ho,lastRenderedState:I},next:null}).next={memoizedState:t,baseState:t,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:ho,lastRenderedState:t},next:null},e.memoizedState=n,null!==(e=e.alternate)&&(e.memoizedState=n),n}function au(e){var n=lu(e);null===n.next&&(n=e.alternate.memoizedState),du(e,n.next.queue,{},Ks())}function ou(){return Dl(pd)}function uu(){return co().memoizedState}function iu(){return co().memoizedState}function su(e){for(var n=e.return;null!==n;){switch(n.tag){case 24:case 3:var t=Ks(),r=wa(n,e=ka(t),t);return null!==r&&(Xs(r,n,t),Sa(r,n,t)),n={cache:Vl()},void(e.payload=n)}n=n.return}}function cu(e,n,t){var r=Ks();t={lane:r,revertLane:0,gesture:null,action:t,hasEagerState:!1,eagerState:null,next:null},mu(e)?hu(n,t):null!==(t=Dr(e,n,t,r))&&(Xs(t,e,r),gu(t,n,r))}function fu(e,n,t){du(e,n,t,Ks())}function du(e,n,t,r){var l={lane:r,revertLane:0,gesture:null,action:t,hasEagerState:!1,eagerState:null,next:null};if(mu(e))hu(n,l);else{var a=e.alternate;if(0===e.lanes&&(null===a||0===a.lanes)&&null!==(a=n.lastRenderedReducer))try{var o=n.lastRenderedState,u=a(o,t);if(l.hasEagerState=!0,l.eagerState=u,er(u,o))return Or(e,n,l,0),null===gs&&Fr(),!1}catch(i){}if(null!==(t=Dr(e,n,l,r)))return Xs(t,e,r),gu(t,n,r),!0}return!1}function pu(e,n,t,r){if(r={lane:2,revertLane:Hc(),gesture:null,action:r,hasEagerState:!1,eagerState:null,next:null},mu(e)){if(n)throw Error(o(479))}else null!==(n=Dr(e,t,r,2))&&Xs(n,e,2)}function mu(e){var n=e.alternate;return e===Ha||null!==n&&n===Ha}function hu(e,n){Ka=qa=!0;var t=e.pending;null===t?n.next=n:(n.next=t.next,t.next=n),e.pending=n}function gu(e,n,t){if(4194048&t){var r=n.lanes;t|=r&=e.pendingLanes,n.lanes=t,Ae(e,t)}}var vu={readContext:Dl,use:po,useCallback:eo,useContext:eo,useEffect:eo,useImperativeHandle:eo,useLayoutEffect:eo,useInsertionEffect:eo,useMemo:eo,useReducer:eo,useRef:eo,useState:eo,useDebugValue:eo,useDeferredValue:eo,useTransition:eo,useSyncExternalStore:eo,useId:eo,useHostTransitionStatus:eo,useFormState:eo,useActionState:eo,useOptimistic:eo,useMemoCache:eo,useCacheRefresh:eo};vu.useEffectEvent=eo;var yu={readContext:Dl,use:po,useCallback:function(e,n){return so().memoizedState=[e,void 0===n?null:n],e},useContext:Dl,useEffect:Bo,useImperativeHandle:function(e,n,t){t=null!=t?t.concat([e]):null,Vo(4194308,4,Ko.bind(null,n,e),t)},useLayoutEffect:function(e,n){return Vo(4194308,4,e,n)},useInsertionEffect:function(e,n){Vo(4,2,e,n)},useMemo:function(e,n){var t=so();n=void 0===n?null:n;var r=e();if(Ya){we(!0);try{e()}finally{we(!1)}}return t.memoizedState=[r,n],r},useReducer:function(e,n,t){var r=so();if(void 0!==t){var l=t(n);if(Ya){we(!0);try{t(n)}finally{we(!1)}}}else l=n;return r.memoizedState=r.baseState=l,e={pending:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:l},r.queue=e,e=e.dispatch=cu.bind(null,Ha,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},so().memoizedState=e},useState:function(e){var n=(e=Co(e)).queue,t=fu.bind(null,Ha,n);return n.dispatch=t,[e.memoizedState,t]},useDebugValue:Xo,useDeferredValue:function(e,n){return Jo(so(),e,n)},useTransition:function(){var e=Co(!1);return e=nu.bind(null,Ha,e.queue,!0,!1),so().memoizedState=e,[!1,e]},useSyncExternalStore:function(e,n,t){var r=Ha,l=so();if(pl){if(void 0===t)throw Error(o(407));t=t()}else{if(t=n(),null===gs)throw Error(o(349));127&ys||ko(r,n,t)}l.memoizedState=t;var a={value:t,getSnapshot:n};return l.queue=a,Bo(So.bind(null,r,a,e),[e]),r.flags|=2048,Uo(9,{destroy:void 0},wo.bind(null,r,a,t,n),null),t},useId:function(){var e=so(),n=gs.identifierPrefix;if(pl){var t=al;n="_"+n+"R_"+(t=(ll&~(1<<32-Se(ll)-1)).toString(32)+t),0<(t=Xa++)&&(n+="H"+t.toString(32)),n+="_"}else n="_"+n+"r_"+(t=Ja++).toString(32)+"_";return e.memoizedState=n},useHostTransitionStatus:ou,useFormState:Do,useActionState:Do,useOptimistic:function(e){var n=so();n.memoizedState=n.baseState=e;var t={pending:null,lanes:0,dispatch:null,lastRenderedReducer:null,lastRenderedState:null};return n.queue=t,n=pu.bind(null,Ha,!0,t),t.dispatch=n,[e,n]},useMemoCache:mo,useCacheRefresh:function(){return so().memoizedState=su.bind(null,Ha)},useEffectEvent:function(e){var n=so(),t={impl:e};return n.memoizedState=t,function(){if(2&hs)throw Error(o(440));return t.impl.apply(void 0,arguments)}}},bu={readContext:Dl,use:po,useCallback:Go,useContext:Dl,useEffect:Ho,useImperativeHandle:Yo,useInsertionEffect:Wo,useLayoutEffect:qo,useMemo:Zo,useReducer:go,useRef:jo,useState:function(){return go(ho)},useDebugValue:Xo,useDeferredValue:function(e,n){return eu(co(),Qa.memoizedState,e,n)},useTransition:function(){var e=go(ho)[0],n=co().memoizedState;return["boolean"==typeof e?e:fo(e),n]},useSyncExternalStore:bo,useId:uu,useHostTransitionStatus:ou,useFormState:Mo,useActionState:Mo,useOptimistic:function(e,n){return zo(co(),0,e,n)},useMemoCache:mo,useCacheRefresh:iu};bu.useEffectEvent=Qo;var ku={readContext:Dl,use:po,useCallback:Go,useContext:Dl,useEffect:Ho,useImperativeHandle:Yo,useInsertionEffect:Wo,useLayoutEffect:qo,useMemo:Zo,useReducer:yo,useRef:jo,useState:function(){return yo(ho)},useDebugValue:Xo,useDeferredValue:function(e,n){var t=co();return null===Qa?Jo(t,e,n):eu(t,Qa.memoizedState,e,n)},useTransition:function(){var e=yo(ho)[0],n=co().memoizedState;return["boolean"==typeof e?e:fo(e),n]},useSyncExternalStore:bo,useId:uu,useHostTransitionStatus:ou,useFormState:Io,useActionState:Io,useOptimistic:function(e,n){var t=co();return null!==Qa?zo(t,0,e,n):(t.baseState=e,[e,t.queue.dispatch])},useMemoCache:mo,useCacheRefresh:iu};function wu(e,n,t,r){t=null==(t=t(r,n=e.memoizedState))?n:h({},n,t),e.memoizedState=t,0===e.lanes&&(e.updateQueue.baseState=t)}ku.useEffectEvent=Qo;var Su={enqueueSetState:function(e,n,t){e=e._reactInternals;var r=Ks(),l=ka(r);l.payload=n,null!=t&&(l.callback=t),null!==(n=wa(e,l,r))&&(Xs(n,e,r),Sa(n,e,r))},enqueueReplaceState:function(e,n,t){e=e._reactInternals;var r=Ks(),l=ka(r);l.tag=1,l.payload=n,null!=t&&(l.callback=t),null!==(n=wa(e,l,r))&&(Xs(n,e,r),Sa(n,e,r))},enqueueForceUpdate:function(e,n){e=e._reactInternals;var t=Ks(),r=ka(t);r.tag=2,null!=n&&(r.callback=n),null!==(n=wa(e,r,t))&&(Xs(n,e,t),Sa(n,e,t))}};function Eu(e,n,t,r,l,a,o){return"function"==typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,a,o):!n.prototype||!n.prototype.isPureReactComponent||(!nr(t,r)||!nr(l,a))}function xu(e,n,t,r){e=n.state,"function"==typeof n.componentWillReceiveProps&&n.componentWillReceiveProps(t,r),"function"==typeof n.UNSAFE_componentWillReceiveProps&&n.UNSAFE_componentWillReceiveProps(t,r),n.state!==e&&Su.enqueueReplaceState(n,n.state,null)}function Cu(e,n){var t=n;if("ref"in n)for(var r in t={},n)"ref"!==r&&(t[r]=n[r]);if(e=e.defaultProps)for(var l in t===n&&(t=h({},t)),e)void 0===t[l]&&(t[l]=e[l]);return t}function zu(e){Nr(e)}function Pu(e){}function Nu(e){Nr(e)}function Tu(e,n){try{(0,e.onUncaughtError)(n.value,{componentStack:n.stack})}catch(t){setTimeout(function(){throw t})}}function Lu(e,n,t){try{(0,e.onCaughtError)(t.value,{componentStack:t.stack,errorBoundary:1===n.tag?n.stateNode:null})}catch(r){setTimeout(function(){throw r})}}function _u(e,n,t){return(t=ka(t)).tag=3,t.payload={element:null},t.callback=function(){Tu(e,n)},t}function Fu(e){return(e=ka(e)).tag=3,e}function Ou(e,n,t,r){var l=t.type.getDerivedStateFromError;if("function"==typeof l){var a=r.value;e.payload=function(){return l(a)},e.callback=function(){Lu(n,t,r)}}var o=t.stateNode;null!==o&&"function"==typeof o.componentDidCatch&&(e.callback=function(){Lu(n,t,r),"function"!=typeof l&&(null===Is?Is=new Set([this]):Is.add(this));var e=r.stack;this.componentDidCatch(r.value,{componentStack:null!==e?e:""})})}var Du=Error(o(461)),Mu=!1;function Au(e,n,t,r){n.child=null===e?ga(n,null,t,r):ha(n,e.child,t,r)}function Ru(e,n,t,r,l){t=t.render;var a=n.ref;if("ref"in r){var o={};for(var u in r)"ref"!==u&&(o[u]=r[u])}else o=r;return Ol(n),r=to(e,n,t,o,a,l),u=oo(),null===e||Mu?(pl&&u&&il(n),n.flags|=1,Au(e,n,r,l),n.child):(uo(e,n,l),oi(e,n,l))}function Iu(e,n,t,r,l){if(null===e){var a=t.type;return"function"!=typeof a||Vr(a)||void 0!==a.defaultProps||null!==t.compare?((e=Hr(t.type,null,r,n,n.mode,l)).ref=n.ref,e.return=n,n.child=e):(n.tag=15,n.type=a,Uu(e,n,a,r,l))}if(a=e.child,!ui(e,l)){var o=a.memoizedProps;if((t=null!==(t=t.compare)?t:nr)(o,r)&&e.ref===n.ref)return oi(e,n,l)}return n.flags|=1,(e=$r(a,r)).ref=n.ref,e.return=n,n.child=e}function Uu(e,n,t,r,l){if(null!==e){var a=e.memoizedProps;if(nr(a,r)&&e.ref===n.ref){if(Mu=!1,n.pendingProps=r=a,!ui(e,l))return n.lanes=e.lanes,oi(e,n,l);131072&e.flags&&(Mu=!0)}}return Wu(e,n,t,r,l)}function ju(e,n,t,r){var l=r.children,a=null!==e?e.memoizedState:null;if(null===e&&null===n.stateNode&&(n.stateNode={_visibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null}),"hidden"===r.mode){if(128&n.flags){if(a=null!==a?a.baseLanes|t:t,null!==e){for(r=n.child=e.child,l=0;null!==r;)l=l|r.lanes|r.childLanes,r=r.sibling;r=l&~a}else r=0,n.child=null;return $u(e,n,a,t,r)}if(!(536870912&t))return r=n.lanes=536870912,$u(e,n,null!==a?a.baseLanes|t:t,t,r);n.memoizedState={baseLanes:0,cachePool:null},null!==e&&Gl(0,null!==a?a.cachePool:null),null!==a?_a(n,a):Fa(),Ia(n)}else null!==a?(Gl(0,a.cachePool),_a(n,a),Ua(),n.memoizedState=null):(null!==e&&Gl(0,null),Fa(),Ua());return Au(e,n,l,t),n.child}function Vu(e,n){return null!==e&&22===e.tag||null!==n.stateNode||(n.stateNode={_visibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null}),n.sibling}function $u(e,n,t,r,l){var a=Xl();return a=null===a?null:{parent:jl._currentValue,pool:a},n.memoizedState={baseLanes:t,cachePool:a},null!==e&&Gl(0,null),Fa(),Ia(n),null!==e&&_l(e,n,r,!0),n.childLanes=l,null}function Bu(e,n){return(n=ni({mode:n.mode,children:n.children},e.mode)).ref=e.ref,e.child=n,n.return=e,n}function Hu(e,n,t){return ha(n,e.child,null,t),(e=Bu(n,n.pendingProps)).flags|=2,ja(n),n.memoizedState=null,e}function Qu(e,n){var t=n.ref;if(null===t)null!==e&&null!==e.ref&&(n.flags|=4194816);else{if("function"!=typeof t&&"object"!=typeof t)throw Error(o(284));null!==e&&e.ref===t||(n.flags|=4194816)}}function Wu(e,n,t,r,l){return Ol(n),t=to(e,n,t,r,void 0,l),r=oo(),null===e||Mu?(pl&&r&&il(n),n.flags|=1,Au(e,n,t,l),n.child):(uo(e,n,l),oi(e,n,l))}function qu(e,n,t,r,l,a){return Ol(n),n.updateQueue=null,t=lo(n,r,t,l),ro(e),r=oo(),null===e||Mu?(pl&&r&&il(n),n.flags|=1,Au(e,n,t,a),n.child):(uo(e,n,a),oi(e,n,a))}function Ku(e,n,t,r,l){if(Ol(n),null===n.stateNode){var a=Ir,o=t.contextType;"object"==typeof o&&null!==o&&(a=Dl(o)),a=new t(r,a),n.memoizedState=null!==a.state&&void 0!==a.state?a.state:null,a.updater=Su,n.stateNode=a,a._reactInternals=n,(a=n.stateNode).props=r,a.state=n.memoizedState,a.refs={},ya(n),o=t.contextType,a.context="object"==typeof o&&null!==o?Dl(o):Ir,a.state=n.memoizedState,"function"==typeof(o=t.getDerivedStateFromProps)&&(wu(n,t,o,r),a.state=n.memoizedState),"function"==typeof t.getDerivedStateFromProps||"function"==typeof a.getSnapshotBeforeUpdate||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||(o=a.state,"function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount(),o!==a.state&&Su.enqueueReplaceState(a,a.state,null),za(n,r,a,l),Ca(),a.state=n.memoizedState),"function"==typeof a.componentDidMount&&(n.flags|=4194308),r=!0}else if(null===e){a=n.stateNode;var u=n.memoizedProps,i=Cu(t,u);a.props=i;var s=a.context,c=t.contextType;o=Ir,"object"==typeof c&&null!==c&&(o=Dl(c));var f=t.getDerivedStateFromProps;c="function"==typeof f||"function"==typeof a.getSnapshotBeforeUpdate,u=n.pendingProps!==u,c||"function"!=typeof a.UNSAFE_componentWillReceiveProps&&"function"!=typeof a.componentWillReceiveProps||(u||s!==o)&&xu(n,a,r,o),va=!1;var d=n.memoizedState;a.state=d,za(n,r,a,l),Ca(),s=n.memoizedState,u||d!==s||va?("function"==typeof f&&(wu(n,t,f,r),s=n.memoizedState),(i=va||Eu(n,t,i,r,d,s,o))?(c||"function"!=typeof a.UNSAFE_componentWillMount&&"function"!=typeof a.componentWillMount||("function"==typeof a.componentWillMount&&a.componentWillMount(),"function"==typeof a.UNSAFE_componentWillMount&&a.UNSAFE_componentWillMount()),"function"==typeof a.componentDidMount&&(n.flags|=4194308)):("function"==typeof a.componentDidMount&&(n.flags|=4194308),n.memoizedProps=r,n.memoizedState=s),a.props=r,a.state=s,a.context=o,r=i):("function"==typeof a.componentDidMount&&(n.flags|=4194308),r=!1)}else{a=n.stateNode,ba(e,n),c=Cu(t,o=n.memoizedProps),a.props=c,f=n.pendingProps,d=a.context,s=t.contextType,i=Ir,"object"==typeof s&&null!==s&&(i=Dl(s)),(s="function"==typeof(u=t.getDerivedStateFromProps)||"function"==typeof a.getSnapshotBeforeUpdate)||"function"!=typeof a.UNSAFE_componentWillReceiveProps&&"function"!=typeof a.componentWillReceiveProps||(o!==f||d!==i)&&xu(n,a,r,i),va=!1,d=n.memoizedState,a.state=d,za(n,r,a,l),Ca();var p=n.memoizedState;o!==f||d!==p||va||null!==e&&null!==e.dependencies&&Fl(e.dependencies)?("function"==typeof u&&(wu(n,t,u,r),p=n.memoizedState),(c=va||Eu(n,t,c,r,d,p,i)||null!==e&&null!==e.dependencies&&Fl(e.dependencies))?(s||"function"!=typeof a.UNSAFE_componentWillUpdate&&"function"!=typeof a.componentWillUpdate||("function"==typeof a.componentWillUpdate&&a.componentWillUpdate(r,p,i),"function"==typeof a.UNSAFE_componentWillUpdate&&a.UNSAFE_componentWillUpdate(r,p,i)),"function"==typeof a.componentDidUpdate&&(n.flags|=4),"function"==typeof a.getSnapshotBeforeUpdate&&(n.flags|=1024)):("function"!=typeof a.componentDidUpdate||o===e.memoizedProps&&d===e.memoizedState||(n.flags|=4),"function"!=typeof a.getSnapshotBeforeUpdate||o===e.memoizedProps&&d===e.memoizedState||(n.flags|=1024),n.memoizedProps=r,n.memoizedState=p),a.props=r,a.state=p,a.context=i,r=c):("function"!=typeof a.componentDidUpdate||o===e.memoizedProps&&d===e.memoizedState||(n.flags|=4),"function"!=typeof a.getSnapshotBeforeUpdate||o===e.memoizedProps&&d===e.memoizedState||(n.flags|=1024),r=!1)}return a=r,Qu(e,n),r=!!(128&n.flags),a||r?(a=n.stateNode,t=r&&"function"!=typeof t.getDerivedStateFromError?null:a.render(),n.flags|=1,null!==e&&r?(n.child=ha(n,e.child,null,l),n.child=ha(n,null,t,l)):Au(e,n,t,l),n.memoizedState=a.state,e=n.child):e=oi(e,n,l),e}function Yu(e,n,t,r){return wl(),n.flags|=256,Au(e,n,t,r),n.child}var Xu={dehydrated:null,treeContext:null,retryLane:0,hydrationErrors:null};function Gu(e){return{baseLanes:e,cachePool:Zl()}}function Zu(e,n,t){return e=null!==e?e.childLanes&~t:0,n&&(e|=Ts),e}function Ju(e,n,t){var r,l=n.pendingProps,a=!1,u=!!(128&n.flags);if((r=u)||(r=(null===e||null!==e.memoizedState)&&!!(2&Va.current)),r&&(a=!0,n.flags&=-129),r=!!(32&n.flags),n.flags&=-33,null===e){if(pl){if(a?Aa(n):Ua(),(e=dl)?null!==(e=null!==(e=Of(e,hl))&&"&"!==e.data?e:null)&&(n.memoizedState={dehydrated:e,treeContext:null!==rl?{id:ll,overflow:al}:null,retryLane:536870912,hydrationErrors:null},(t=qr(e)).return=n,n.child=t,fl=n,dl=null):e=null,null===e)throw vl(n);return Mf(e)?n.lanes=32:n.lanes=536870912,null}var i=l.children;return l=l.fallback,a?(Ua(),i=ni({mode:"hidden",children:i},a=n.mode),l=Qr(l,a,t,null),i.return=n,l.return=n,i.sibling=l,n.child=i,(l=n.child).memoizedState=Gu(t),l.childLanes=Zu(e,r,t),n.memoizedState=Xu,Vu(null,l)):(Aa(n),ei(n,i))}var s=e.memoizedState;if(null!==s&&null!==(i=s.dehydrated)){if(u)256&n.flags?(Aa(n),n.flags&=-257,n=ti(e,n,t)):null!==n.memoizedState?(Ua(),n.child=e.child,n.flags|=128,n=null):(Ua(),i=l.fallback,a=n.mode,l=ni({mode:"visible",children:l.children},a),(i=Qr(i,a,t,null)).flags|=2,l.return=n,i.return=n,l.sibling=i,n.child=l,ha(n,e.child,null,t),(l=n.child).memoizedState=Gu(t),l.childLanes=Zu(e,r,t),n.memoizedState=Xu,n=Vu(null,l));else if(Aa(n),Mf(i)){if(r=i.nextSibling&&i.nextSibling.dataset)var c=r.dgst;r=c,(l=Error(o(419))).stack="",l.digest=r,El({value:l,source:null,stack:null}),n=ti(e,n,t)}else if(Mu||_l(e,n,t,!1),r=0!==(t&e.childLanes),Mu||r){if(null!==(r=gs)&&(0!==(l=Re(r,t))&&l!==s.retryLane))throw s.retryLane=l,Mr(e,l),Xs(r,e,l),Du;Df(i)||ic(),n=ti(e,n,t)}else Df(i)?(n.flags|=192,n.child=e.child,n=null):(e=s.treeContext,dl=Af(i.nextSibling),fl=n,pl=!0,ml=null,hl=!1,null!==e&&cl(n,e),(n=ei(n,l.children)).flags|=4096);return n}return a?(Ua(),i=l.fallback,a=n.mode,c=(s=e.child).sibling,(l=$r(s,{mode:"hidden",children:l.children})).subtreeFlags=65011712&s.subtreeFlags,null!==c?i=$r(c,i):(i=Qr(i,a,t,null)).flags|=2,i.return=n,l.return=n,l.sibling=i,n.child=l,Vu(null,l),l=n.child,null===(i=e.child.memoizedState)?i=Gu(t):(null!==(a=i.cachePool)?(s=jl._currentValue,a=a.parent!==s?{parent:s,pool:s}:a):a=Zl(),i={baseLanes:i.baseLanes|t,cachePool:a}),l.memoizedState=i,l.childLanes=Zu(e,r,t),n.memoizedState=Xu,Vu(e.child,l)):(Aa(n),e=(t=e.child).sibling,(t=$r(t,{mode:"visible",children:l.children})).return=n,t.sibling=null,null!==e&&(null===(r=n.deletions)?(n.deletions=[e],n.flags|=16):r.push(e)),n.child=t,n.memoizedState=null,t)}function ei(e,n){return(n=ni({mode:"visible",children:n},e.mode)).return=e,e.child=n}function ni(e,n){return(e=jr(22,e,null,n)).lanes=0,e}function ti(e,n,t){return ha(n,e.child,null,t),(e=ei(n,n.pendingProps.children)).flags|=2,n.memoizedState=null,e}function ri(e,n,t){e.lanes|=n;var r=e.alternate;null!==r&&(r.lanes|=n),Tl(e.return,n,t)}function li(e,n,t,r,l,a){var o=e.memoizedState;null===o?e.memoizedState={isBackwards:n,rendering:null,renderingStartTime:0,last:r,tail:t,tailMode:l,treeForkCount:a}:(o.isBackwards=n,o.rendering=null,o.renderingStartTime=0,o.last=r,o.tail=t,o.tailMode=l,o.treeForkCount=a)}function ai(e,n,t){var r=n.pendingProps,l=r.revealOrder,a=r.tail;r=r.children;var o=Va.current,u=!!(2&o);if(u?(o=1&o|2,n.flags|=128):o&=1,B(Va,o),Au(e,n,r,t),r=pl?el:0,!u&&null!==e&&128&e.flags)e:for(e=n.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&ri(e,t,n);else if(19===e.tag)ri(e,t,n);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===n)break e;for(;null===e.sibling;){if(null===e.return||e.return===n)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}switch(l){case"forwards":for(t=n.child,l=null;null!==t;)null!==(e=t.alternate)&&null===$a(e)&&(l=t),t=t.sibling;null===(t=l)?(l=n.child,n.child=null):(l=t.sibling,t.sibling=null),li(n,!1,l,t,a,r);break;case"backwards":case"unstable_legacy-backwards":for(t=null,l=n.child,n.child=null;null!==l;){if(null!==(e=l.alternate)&&null===$a(e)){n.child=l;break}e=l.sibling,l.sibling=t,t=l,l=e}li(n,!0,t,null,a,r);break;case"together":li(n,!1,null,null,void 0,r);break;default:n.memoizedState=null}return n.child}function oi(e,n,t){if(null!==e&&(n.dependencies=e.dependencies),zs|=n.lanes,0===(t&n.childLanes)){if(null===e)return null;if(_l(e,n,t,!1),0===(t&n.childLanes))return null}if(null!==e&&n.child!==e.child)throw Error(o(153));if(null!==n.child){for(t=$r(e=n.child,e.pendingProps),n.child=t,t.return=n;null!==e.sibling;)e=e.sibling,(t=t.sibling=$r(e,e.pendingProps)).return=n;t.sibling=null}return n.child}function ui(e,n){return 0!==(e.lanes&n)||!(null===(e=e.dependencies)||!Fl(e))}function ii(e,n,t){if(null!==e)if(e.memoizedProps!==n.pendingProps)Mu=!0;else{if(!(ui(e,t)||128&n.flags))return Mu=!1,function(e,n,t){switch(n.tag){case 3:X(n,n.stateNode.containerInfo),Pl(0,jl,e.memoizedState.cache),wl();break;case 27:case 5:Z(n);break;case 4:X(n,n.stateNode.containerInfo);break;case 10:Pl(0,n.type,n.memoizedProps.value);break;case 31:if(null!==n.memoizedState)return n.flags|=128,Ra(n),null;break;case 13:var r=n.memoizedState;if(null!==r)return null!==r.dehydrated?(Aa(n),n.flags|=128,null):0!==(t&n.child.childLanes)?Ju(e,n,t):(Aa(n),null!==(e=oi(e,n,t))?e.sibling:null);Aa(n);break;case 19:var l=!!(128&e.flags);if((r=0!==(t&n.childLanes))||(_l(e,n,t,!1),r=0!==(t&n.childLanes)),l){if(r)return ai(e,n,t);n.flags|=128}if(null!==(l=n.memoizedState)&&(l.rendering=null,l.tail=null,l.lastEffect=null),B(Va,Va.current),r)break;return null;case 22:return n.lanes=0,ju(e,n,t,n.pendingProps);case 24:Pl(0,jl,e.memoizedState.cache)}return oi(e,n,t)}(e,n,t);Mu=!!(131072&e.flags)}else Mu=!1,pl&&1048576&n.flags&&ul(n,el,n.index);switch(n.lanes=0,n.tag){case 16:e:{var r=n.pendingProps;if(e=aa(n.elementType),n.type=e,"function"!=typeof e){if(null!=e){var l=e.$$typeof;if(l===x){n.tag=11,n=Ru(null,n,e,r,t);break e}if(l===P){n.tag=14,n=Iu(null,n,e,r,t);break e}}throw n=D(e)||e,Error(o(306,n,""))}Vr(e)?(r=Cu(e,r),n.tag=1,n=Ku(null,n,e,r,t)):(n.tag=0,n=Wu(null,n,e,r,t))}return n;case 0:return Wu(e,n,n.type,n.pendingProps,t);case 1:return Ku(e,n,r=n.type,l=Cu(r,n.pendingProps),t);case 3:e:{if(X(n,n.stateNode.containerInfo),null===e)throw Error(o(387));r=n.pendingProps;var a=n.memoizedState;l=a.element,ba(e,n),za(n,r,null,t);var u=n.memoizedState;if(r=u.cache,Pl(0,jl,r),r!==a.cache&&Ll(n,[jl],t,!0),Ca(),r=u.element,a.isDehydrated){if(a={element:r,isDehydrated:!1,cache:u.cache},n.updateQueue.baseState=a,n.memoizedState=a,256&n.flags){n=Yu(e,n,r,t);break e}if(r!==l){El(l=Xr(Error(o(424)),n)),n=Yu(e,n,r,t);break e}if(9===(e=n.stateNode.containerInfo).nodeType)e=e.body;else e="HTML"===e.nodeName?e.ownerDocument.body:e;for(dl=Af(e.firstChild),fl=n,pl=!0,ml=null,hl=!0,t=ga(n,null,r,t),n.child=t;t;)t.flags=-3&t.flags|4096,t=t.sibling}else{if(wl(),r===l){n=oi(e,n,t);break e}Au(e,n,r,t)}n=n.child}return n;case 26:return Qu(e,n),null===e?(t=Kf(n.type,null,n.pendingProps,null))?n.memoizedState=t:pl||(t=n.type,e=n.pendingProps,(r=bf(K.current).createElement(t))[Be]=n,r[He]=e,hf(r,t,e),tn(r),n.stateNode=r):n.memoizedState=Kf(n.type,e.memoizedProps,n.pendingProps,e.memoizedState),null;case 27:return Z(n),null===e&&pl&&(r=n.stateNode=jf(n.type,n.pendingProps,K.current),fl=n,hl=!0,l=dl,Tf(n.type)?(Rf=l,dl=Af(r.firstChild)):dl=l),Au(e,n,n.pendingProps.children,t),Qu(e,n),null===e&&(n.flags|=4194304),n.child;case 5:return null===e&&pl&&((l=r=dl)&&(null!==(r=function(e,n,t,r){for(;1===e.nodeType;){var l=t;if(e.nodeName.toLowerCase()!==n.toLowerCase()){if(!r&&("INPUT"!==e.nodeName||"hidden"!==e.type))break}else if(r){if(!e[Xe])switch(n){case"meta":if(!e.hasAttribute("itemprop"))break;return e;case"link":if("stylesheet"===(a=e.getAttribute("rel"))&&e.hasAttribute("data-precedence"))break;if(a!==l.rel||e.getAttribute("href")!==(null==l.href||""===l.href?null:l.href)||e.getAttribute("crossorigin")!==(null==l.crossOrigin?null:l.crossOrigin)||e.getAttribute("title")!==(null==l.title?null:l.title))break;return e;case"style":if(e.hasAttribute("data-precedence"))break;return e;case"script":if(((a=e.getAttribute("src"))!==(null==l.src?null:l.src)||e.getAttribute("type")!==(null==l.type?null:l.type)||e.getAttribute("crossorigin")!==(null==l.crossOrigin?null:l.crossOrigin))&&a&&e.hasAttribute("async")&&!e.hasAttribute("itemprop"))break;return e;default:return e}}else{if("input"!==n||"hidden"!==e.type)return e;var a=null==l.name?null:""+l.name;if("hidden"===l.type&&e.getAttribute("name")===a)return e}if(null===(e=Af(e.nextSibling)))break}return null}(r,n.type,n.pendingProps,hl))?(n.stateNode=r,fl=n,dl=Af(r.firstChild),hl=!1,l=!0):l=!1),l||vl(n)),Z(n),l=n.type,a=n.pendingProps,u=null!==e?e.memoizedProps:null,r=a.children,Sf(l,a)?r=null:null!==u&&Sf(l,u)&&(n.flags|=32),null!==n.memoizedState&&(l=to(e,n,ao,null,null,t),pd._currentValue=l),Qu(e,n),Au(e,n,r,t),n.child;case 6:return null===e&&pl&&((e=t=dl)&&(null!==(t=function(e,n,t){if(""===n)return null;for(;3!==e.nodeType;){if((1!==e.nodeType||"INPUT"!==e.nodeName||"hidden"!==e.type)&&!t)return null;if(null===(e=Af(e.nextSibling)))return null}return e}(t,n.pendingProps,hl))?(n.stateNode=t,fl=n,dl=null,e=!0):e=!1),e||vl(n)),null;case 13:return Ju(e,n,t);case 4:return X(n,n.stateNode.containerInfo),r=n.pendingProps,null===e?n.child=ha(n,null,r,t):Au(e,n,r,t),n.child;case 11:return Ru(e,n,n.type,n.pendingProps,t);case 7:return Au(e,n,n.pendingProps,t),n.child;case 8:case 12:return Au(e,n,n.pendingProps.children,t),n.child;case 10:return r=n.pendingProps,Pl(0,n.type,r.value),Au(e,n,r.children,t),n.child;case 9:return l=n.type._context,r=n.pendingProps.children,Ol(n),r=r(l=Dl(l)),n.flags|=1,Au(e,n,r,t),n.child;case 14:return Iu(e,n,n.type,n.pendingProps,t);case 15:return Uu(e,n,n.type,n.pendingProps,t);case 19:return ai(e,n,t);case 31:return function(e,n,t){var r=n.pendingProps,l=!!(128&n.flags);if(n.flags&=-129,null===e){if(pl){if("hidden"===r.mode)return e=Bu(n,r),n.lanes=536870912,Vu(null,e);if(Ra(n),(e=dl)?null!==(e=null!==(e=Of(e,hl))&&"&"===e.data?e:null)&&(n.memoizedState={dehydrated:e,treeContext:null!==rl?{id:ll,overflow:al}:null,retryLane:536870912,hydrationErrors:null},(t=qr(e)).return=n,n.child=t,fl=n,dl=null):e=null,null===e)throw vl(n);return n.lanes=536870912,null}return Bu(n,r)}var a=e.memoizedState;if(null!==a){var u=a.dehydrated;if(Ra(n),l)if(256&n.flags)n.flags&=-257,n=Hu(e,n,t);else{if(null===n.memoizedState)throw Error(o(558));n.child=e.child,n.flags|=128,n=null}else if(Mu||_l(e,n,t,!1),l=0!==(t&e.childLanes),Mu||l){if(null!==(r=gs)&&0!==(u=Re(r,t))&&u!==a.retryLane)throw a.retryLane=u,Mr(e,u),Xs(r,e,u),Du;ic(),n=Hu(e,n,t)}else e=a.treeContext,dl=Af(u.nextSibling),fl=n,pl=!0,ml=null,hl=!1,null!==e&&cl(n,e),(n=Bu(n,r)).flags|=4096;return n}return(e=$r(e.child,{mode:r.mode,children:r.children})).ref=n.ref,n.child=e,e.return=n,e}(e,n,t);case 22:return ju(e,n,t,n.pendingProps);case 24:return Ol(n),r=Dl(jl),null===e?(null===(l=Xl())&&(l=gs,a=Vl(),l.pooledCache=a,a.refCount++,null!==a&&(l.pooledCacheLanes|=t),l=a),n.memoizedState={parent:r,cache:l},ya(n),Pl(0,jl,l)):(0!==(e.lanes&t)&&(ba(e,n),za(n,null,null,t),Ca()),l=e.memoizedState,a=n.memoizedState,l.parent!==r?(l={parent:r,cache:r},n.memoizedState=l,0===n.lanes&&(n.memoizedState=n.updateQueue.baseState=l),Pl(0,jl,r)):(r=a.cache,Pl(0,jl,r),r!==l.cache&&Ll(n,[jl],t,!0))),Au(e,n,n.pendingProps.children,t),n.child;case 29:throw n.pendingProps}throw Error(o(156,n.tag))}function si(e){e.flags|=4}function ci(e,n,t,r,l){if((n=!!(32&e.mode))&&(n=!1),n){if(e.flags|=16777216,(335544128&l)===l)if(e.stateNode.complete)e.flags|=8192;else{if(!ac())throw oa=ta,ea;e.flags|=8192}}else e.flags&=-16777217}function fi(e,n){if("stylesheet"!==n.type||4&n.state.loading)e.flags&=-16777217;else if(e.flags|=16777216,!ud(n)){if(!ac())throw oa=ta,ea;e.flags|=8192}}function di(e,n){null!==n&&(e.flags|=4),16384&e.flags&&(n=22!==e.tag?Fe():536870912,e.lanes|=n,Ls|=n)}function pi(e,n){if(!pl)switch(e.tailMode){case"hidden":n=e.tail;for(var t=null;null!==n;)null!==n.alternate&&(t=n),n=n.sibling;null===t?e.tail=null:t.sibling=null;break;case"collapsed":t=e.tail;for(var r=null;null!==t;)null!==t.alternate&&(r=t),t=t.sibling;null===r?n||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function mi(e){var n=null!==e.alternate&&e.alternate.child===e.child,t=0,r=0;if(n)for(var l=e.child;null!==l;)t|=l.lanes|l.childLanes,r|=65011712&l.subtreeFlags,r|=65011712&l.flags,l.return=e,l=l.sibling;else for(l=e.child;null!==l;)t|=l.lanes|l.childLanes,r|=l.subtreeFlags,r|=l.flags,l.return=e,l=l.sibling;return e.subtreeFlags|=r,e.childLanes=t,n}function hi(e,n,t){var r=n.pendingProps;switch(sl(n),n.tag){case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:case 1:return mi(n),null;case 3:return t=n.stateNode,r=null,null!==e&&(r=e.memoizedState.cache),n.memoizedState.cache!==r&&(n.flags|=2048),Nl(jl),G(),t.pendingContext&&(t.context=t.pendingContext,t.pendingContext=null),null!==e&&null!==e.child||(kl(n)?si(n):null===e||e.memoizedState.isDehydrated&&!(256&n.flags)||(n.flags|=1024,Sl())),mi(n),null;case 26:var l=n.type,a=n.memoizedState;return null===e?(si(n),null!==a?(mi(n),fi(n,a)):(mi(n),ci(n,l,0,0,t))):a?a!==e.memoizedState?(si(n),mi(n),fi(n,a)):(mi(n),n.flags&=-16777217):((e=e.memoizedProps)!==r&&si(n),mi(n),ci(n,l,0,0,t)),null;case 27:if(J(n),t=K.current,l=n.type,null!==e&&null!=n.stateNode)e.memoizedProps!==r&&si(n);else{if(!r){if(null===n.stateNode)throw Error(o(166));return mi(n),null}e=W.current,kl(n)?yl(n):(e=jf(l,r,t),n.stateNode=e,si(n))}return mi(n),null;case 5:if(J(n),l=n.type,null!==e&&null!=n.stateNode)e.memoizedProps!==r&&si(n);else{if(!r){if(null===n.stateNode)throw Error(o(166));return mi(n),null}if(a=W.current,kl(n))yl(n);else{var u=bf(K.current);switch(a){case 1:a=u.createElementNS("http://www.w3.org/2000/svg",l);break;case 2:a=u.createElementNS("http://www.w3.org/1998/Math/MathML",l);break;default:switch(l){case"svg":a=u.createElementNS("http://www.w3.org/2000/svg",l);break;case"math":a=u.createElementNS("http://www.w3.org/1998/Math/MathML",l);break;case"script":(a=u.createElement("div")).innerHTML="<script><\/script>",a=a.removeChild(a.firstChild);break;case"select":a="string"==typeof r.is?u.createElement("select",{is:r.is}):u.createElement("select"),r.multiple?a.multiple=!0:r.size&&(a.size=r.size);break;default:a="string"==typeof r.is?u.createElement(l,{is:r.is}):u.createElement(l)}}a[Be]=n,a[He]=r;e:for(u=n.child;null!==u;){if(5===u.tag||6===u.tag)a.appendChild(u.stateNode);else if(4!==u.tag&&27!==u.tag&&null!==u.child){u.child.return=u,u=u.child;continue}if(u===n)break e;for(;null===u.sibling;){if(null===u.return||u.return===n)break e;u=u.return}u.sibling.return=u.return,u=u.sibling}n.stateNode=a;e:switch(hf(a,l,r),l){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}r&&si(n)}}return mi(n),ci(n,n.type,null===e||e.memoizedProps,n.pendingProps,t),null;case 6:if(e&&null!=n.stateNode)e.memoizedProps!==r&&si(n);else{if("string"!=typeof r&&null===n.stateNode)throw Error(o(166));if(e=K.current,kl(n)){if(e=n.stateNode,t=n.memoizedProps,r=null,null!==(l=fl))switch(l.tag){case 27:case 5:r=l.memoizedProps}e[Be]=n,(e=!!(e.nodeValue===t||null!==r&&!0===r.suppressHydrationWarning||df(e.nodeValue,t)))||vl(n,!0)}else(e=bf(e).createTextNode(r))[Be]=n,n.stateNode=e}return mi(n),null;case 31:if(t=n.memoizedState,null===e||null!==e.memoizedState){if(r=kl(n),null!==t){if(null===e){if(!r)throw Error(o(318));if(!(e=null!==(e=n.memoizedState)?e.dehydrated:null))throw Error(o(557));e[Be]=n}else wl(),!(128&n.flags)&&(n.memoizedState=null),n.flags|=4;mi(n),e=!1}else t=Sl(),null!==e&&null!==e.memoizedState&&(e.memoizedState.hydrationErrors=t),e=!0;if(!e)return 256&n.flags?(ja(n),n):(ja(n),null);if(128&n.flags)throw Error(o(558))}return mi(n),null;case 13:if(r=n.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(l=kl(n),null!==r&&null!==r.dehydrated){if(null===e){if(!l)throw Error(o(318));if(!(l=null!==(l=n.memoizedState)?l.dehydrated:null))throw Error(o(317));l[Be]=n}else wl(),!(128&n.flags)&&(n.memoizedState=null),n.flags|=4;mi(n),l=!1}else l=Sl(),null!==e&&null!==e.memoizedState&&(e.memoizedState.hydrationErrors=l),l=!0;if(!l)return 256&n.flags?(ja(n),n):(ja(n),null)}return ja(n),128&n.flags?(n.lanes=t,n):(t=null!==r,e=null!==e&&null!==e.memoizedState,t&&(l=null,null!==(r=n.child).alternate&&null!==r.alternate.memoizedState&&null!==r.alternate.memoizedState.cachePool&&(l=r.alternate.memoizedState.cachePool.pool),a=null,null!==r.memoizedState&&null!==r.memoizedState.cachePool&&(a=r.memoizedState.cachePool.pool),a!==l&&(r.flags|=2048)),t!==e&&t&&(n.child.flags|=8192),di(n,n.updateQueue),mi(n),null);case 4:return G(),null===e&&nf(n.stateNode.containerInfo),mi(n),null;case 10:return Nl(n.type),mi(n),null;case 19:if($(Va),null===(r=n.memoizedState))return mi(n),null;if(l=!!(128&n.flags),null===(a=r.rendering))if(l)pi(r,!1);else{if(0!==Cs||null!==e&&128&e.flags)for(e=n.child;null!==e;){if(null!==(a=$a(e))){for(n.flags|=128,pi(r,!1),e=a.updateQueue,n.updateQueue=e,di(n,e),n.subtreeFlags=0,e=t,t=n.child;null!==t;)Br(t,e),t=t.sibling;return B(Va,1&Va.current|2),pl&&ol(n,r.treeForkCount),n.child}e=e.sibling}null!==r.tail&&ce()>As&&(n.flags|=128,l=!0,pi(r,!1),n.lanes=4194304)}else{if(!l)if(null!==(e=$a(a))){if(n.flags|=128,l=!0,e=e.updateQueue,n.updateQueue=e,di(n,e),pi(r,!0),null===r.tail&&"hidden"===r.tailMode&&!a.alternate&&!pl)return mi(n),null}else 2*ce()-r.renderingStartTime>As&&536870912!==t&&(n.flags|=128,l=!0,pi(r,!1),n.lanes=4194304);r.isBackwards?(a.sibling=n.child,n.child=a):(null!==(e=r.last)?e.sibling=a:n.child=a,r.last=a)}return null!==r.tail?(e=r.tail,r.rendering=e,r.tail=e.sibling,r.renderingStartTime=ce(),e.sibling=null,t=Va.current,B(Va,l?1&t|2:1&t),pl&&ol(n,r.treeForkCount),e):(mi(n),null);case 22:case 23:return ja(n),Oa(),r=null!==n.memoizedState,null!==e?null!==e.memoizedState!==r&&(n.flags|=8192):r&&(n.flags|=8192),r?!!(536870912&t)&&!(128&n.flags)&&(mi(n),6&n.subtreeFlags&&(n.flags|=8192)):mi(n),null!==(t=n.updateQueue)&&di(n,t.retryQueue),t=null,null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(t=e.memoizedState.cachePool.pool),r=null,null!==n.memoizedState&&null!==n.memoizedState.cachePool&&(r=n.memoizedState.cachePool.pool),r!==t&&(n.flags|=2048),null!==e&&$(Yl),null;case 24:return t=null,null!==e&&(t=e.memoizedState.cache),n.memoizedState.cache!==t&&(n.flags|=2048),Nl(jl),mi(n),null;case 25:case 30:return null}throw Error(o(156,n.tag))}function gi(e,n){switch(sl(n),n.tag){case 1:return 65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 3:return Nl(jl),G(),65536&(e=n.flags)&&!(128&e)?(n.flags=-65537&e|128,n):null;case 26:case 27:case 5:return J(n),null;case 31:if(null!==n.memoizedState){if(ja(n),null===n.alternate)throw Error(o(340));wl()}return 65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 13:if(ja(n),null!==(e=n.memoizedState)&&null!==e.dehydrated){if(null===n.alternate)throw Error(o(340));wl()}return 65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 19:return $(Va),null;case 4:return G(),null;case 10:return Nl(n.type),null;case 22:case 23:return ja(n),Oa(),null!==e&&$(Yl),65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 24:return Nl(jl),null;default:return null}}function vi(e,n){switch(sl(n),n.tag){case 3:Nl(jl),G();break;case 26:case 27:case 5:J(n);break;case 4:G();break;case 31:null!==n.memoizedState&&ja(n);break;case 13:ja(n);break;case 19:$(Va);break;case 10:Nl(n.type);break;case 22:case 23:ja(n),Oa(),null!==e&&$(Yl);break;case 24:Nl(jl)}}function yi(e,n){try{var t=n.updateQueue,r=null!==t?t.lastEffect:null;if(null!==r){var l=r.next;t=l;do{if((t.tag&e)===e){r=void 0;var a=t.create,o=t.inst;r=a(),o.destroy=r}t=t.next}while(t!==l)}}catch(u){Cc(n,n.return,u)}}function bi(e,n,t){try{var r=n.updateQueue,l=null!==r?r.lastEffect:null;if(null!==l){var a=l.next;r=a;do{if((r.tag&e)===e){var o=r.inst,u=o.destroy;if(void 0!==u){o.destroy=void 0,l=n;var i=t,s=u;try{s()}catch(c){Cc(l,i,c)}}}r=r.next}while(r!==a)}}catch(c){Cc(n,n.return,c)}}function ki(e){var n=e.updateQueue;if(null!==n){var t=e.stateNode;try{Na(n,t)}catch(r){Cc(e,e.return,r)}}}function wi(e,n,t){t.props=Cu(e.type,e.memoizedProps),t.state=e.memoizedState;try{t.componentWillUnmount()}catch(r){Cc(e,n,r)}}function Si(e,n){try{var t=e.ref;if(null!==t){switch(e.tag){case 26:case 27:case 5:var r=e.stateNode;break;default:r=e.stateNode}"function"==typeof t?e.refCleanup=t(r):t.current=r}}catch(l){Cc(e,n,l)}}function Ei(e,n){var t=e.ref,r=e.refCleanup;if(null!==t)if("function"==typeof r)try{r()}catch(l){Cc(e,n,l)}finally{e.refCleanup=null,null!=(e=e.alternate)&&(e.refCleanup=null)}else if("function"==typeof t)try{t(null)}catch(a){Cc(e,n,a)}else t.current=null}function xi(e){var n=e.type,t=e.memoizedProps,r=e.stateNode;try{e:switch(n){case"button":case"input":case"select":case"textarea":t.autoFocus&&r.focus();break e;case"img":t.src?r.src=t.src:t.srcSet&&(r.srcset=t.srcSet)}}catch(l){Cc(e,e.return,l)}}function Ci(e,n,t){try{var r=e.stateNode;!function(e,n,t,r){switch(n){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"input":var l=null,a=null,u=null,i=null,s=null,c=null,f=null;for(m in t){var d=t[m];if(t.hasOwnProperty(m)&&null!=d)switch(m){case"checked":case"value":break;case"defaultValue":s=d;default:r.hasOwnProperty(m)||pf(e,n,m,null,r,d)}}for(var p in r){var m=r[p];if(d=t[p],r.hasOwnProperty(p)&&(null!=m||null!=d))switch(p){case"type":a=m;break;case"name":l=m;break;case"checked":c=m;break;case"defaultChecked":f=m;break;case"value":u=m;break;case"defaultValue":i=m;break;case"children":case"dangerouslySetInnerHTML":if(null!=m)throw Error(o(137,n));break;default:m!==d&&pf(e,n,p,m,r,d)}}return void wn(e,u,i,s,c,f,a,l);case"select":for(a in m=u=i=p=null,t)if(s=t[a],t.hasOwnProperty(a)&&null!=s)switch(a){case"value":break;case"multiple":m=s;default:r.hasOwnProperty(a)||pf(e,n,a,null,r,s)}for(l in r)if(a=r[l],s=t[l],r.hasOwnProperty(l)&&(null!=a||null!=s))switch(l){case"value":p=a;break;case"defaultValue":i=a;break;case"multiple":u=a;default:a!==s&&pf(e,n,l,a,r,s)}return n=i,t=u,r=m,void(null!=p?xn(e,!!t,p,!1):!!r!=!!t&&(null!=n?xn(e,!!t,n,!0):xn(e,!!t,t?[]:"",!1)));case"textarea":for(i in m=p=null,t)if(l=t[i],t.hasOwnProperty(i)&&null!=l&&!r.hasOwnProperty(i))switch(i){case"value":case"children":break;default:pf(e,n,i,null,r,l)}for(u in r)if(l=r[u],a=t[u],r.hasOwnProperty(u)&&(null!=l||null!=a))switch(u){case"value":p=l;break;case"defaultValue":m=l;break;case"children":break;case"dangerouslySetInnerHTML":if(null!=l)throw Error(o(91));break;default:l!==a&&pf(e,n,u,l,r,a)}return void Cn(e,p,m);case"option":for(var h in t)if(p=t[h],t.hasOwnProperty(h)&&null!=p&&!r.hasOwnProperty(h))if("selected"===h)e.selected=!1;else pf(e,n,h,null,r,p);for(s in r)if(p=r[s],m=t[s],r.hasOwnProperty(s)&&p!==m&&(null!=p||null!=m))if("selected"===s)e.selected=p&&"function"!=typeof p&&"symbol"!=typeof p;else pf(e,n,s,p,r,m);return;case"img":case"link":case"area":case"base":case"br":case"col":case"embed":case"hr":case"keygen":case"meta":case"param":case"source":case"track":case"wbr":case"menuitem":for(var g in t)p=t[g],t.hasOwnProperty(g)&&null!=p&&!r.hasOwnProperty(g)&&pf(e,n,g,null,r,p);for(c in r)if(p=r[c],m=t[c],r.hasOwnProperty(c)&&p!==m&&(null!=p||null!=m))switch(c){case"children":case"dangerouslySetInnerHTML":if(null!=p)throw Error(o(137,n));break;default:pf(e,n,c,p,r,m)}return;default:if(_n(n)){for(var v in t)p=t[v],t.hasOwnProperty(v)&&void 0!==p&&!r.hasOwnProperty(v)&&mf(e,n,v,void 0,r,p);for(f in r)p=r[f],m=t[f],!r.hasOwnProperty(f)||p===m||void 0===p&&void 0===m||mf(e,n,f,p,r,m);return}}for(var y in t)p=t[y],t.hasOwnProperty(y)&&null!=p&&!r.hasOwnProperty(y)&&pf(e,n,y,null,r,p);for(d in r)p=r[d],m=t[d],!r.hasOwnProperty(d)||p===m||null==p&&null==m||pf(e,n,d,p,r,m)}(r,e.type,t,n),r[He]=n}catch(l){Cc(e,e.return,l)}}function zi(e){return 5===e.tag||3===e.tag||26===e.tag||27===e.tag&&Tf(e.type)||4===e.tag}function Pi(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||zi(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&18!==e.tag;){if(27===e.tag&&Tf(e.type))continue e;if(2&e.flags)continue e;if(null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}function Ni(e,n,t){var r=e.tag;if(5===r||6===r)e=e.stateNode,n?(9===t.nodeType?t.body:"HTML"===t.nodeName?t.ownerDocument.body:t).insertBefore(e,n):((n=9===t.nodeType?t.body:"HTML"===t.nodeName?t.ownerDocument.body:t).appendChild(e),null!=(t=t._reactRootContainer)||null!==n.onclick||(n.onclick=Mn));else if(4!==r&&(27===r&&Tf(e.type)&&(t=e.stateNode,n=null),null!==(e=e.child)))for(Ni(e,n,t),e=e.sibling;null!==e;)Ni(e,n,t),e=e.sibling}function Ti(e,n,t){var r=e.tag;if(5===r||6===r)e=e.stateNode,n?t.insertBefore(e,n):t.appendChild(e);else if(4!==r&&(27===r&&Tf(e.type)&&(t=e.stateNode),null!==(e=e.child)))for(Ti(e,n,t),e=e.sibling;null!==e;)Ti(e,n,t),e=e.sibling}function Li(e){var n=e.stateNode,t=e.memoizedProps;try{for(var r=e.type,l=n.attributes;l.length;)n.removeAttributeNode(l[0]);hf(n,r,t),n[Be]=e,n[He]=t}catch(a){Cc(e,e.return,a)}}var _i=!1,Fi=!1,Oi=!1,Di="function"==typeof WeakSet?WeakSet:Set,Mi=null;function Ai(e,n,t){var r=t.flags;switch(t.tag){case 0:case 11:case 15:Xi(e,t),4&r&&yi(5,t);break;case 1:if(Xi(e,t),4&r)if(e=t.stateNode,null===n)try{e.componentDidMount()}catch(o){Cc(t,t.return,o)}else{var l=Cu(t.type,n.memoizedProps);n=n.memoizedState;try{e.componentDidUpdate(l,n,e.__reactInternalSnapshotBeforeUpdate)}catch(u){Cc(t,t.return,u)}}64&r&&ki(t),512&r&&Si(t,t.return);break;case 3:if(Xi(e,t),64&r&&null!==(e=t.updateQueue)){if(n=null,null!==t.child)switch(t.child.tag){case 27:case 5:case 1:n=t.child.stateNode}try{Na(e,n)}catch(o){Cc(t,t.return,o)}}break;case 27:null===n&&4&r&&Li(t);case 26:case 5:Xi(e,t),null===n&&4&r&&xi(t),512&r&&Si(t,t.return);break;case 12:Xi(e,t);break;case 31:Xi(e,t),4&r&&$i(e,t);break;case 13:Xi(e,t),4&r&&Bi(e,t),64&r&&(null!==(e=t.memoizedState)&&(null!==(e=e.dehydrated)&&function(e,n){var t=e.ownerDocument;if("$~"===e.data)e._reactRetry=n;else if("$?"!==e.data||"loading"!==t.readyState)n();else{var r=function(){n(),t.removeEventListener("DOMContentLoaded",r)};t.addEventListener("DOMContentLoaded",r),e._reactRetry=r}}(e,t=Tc.bind(null,t))));break;case 22:if(!(r=null!==t.memoizedState||_i)){n=null!==n&&null!==n.memoizedState||Fi,l=_i;var a=Fi;_i=r,(Fi=n)&&!a?Zi(e,t,!!(8772&t.subtreeFlags)):Xi(e,t),_i=l,Fi=a}break;case 30:break;default:Xi(e,t)}}function Ri(e){var n=e.alternate;null!==n&&(e.alternate=null,Ri(n)),e.child=null,e.deletions=null,e.sibling=null,5===e.tag&&(null!==(n=e.stateNode)&&Ge(n)),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}var Ii=null,Ui=!1;function ji(e,n,t){for(t=t.child;null!==t;)Vi(e,n,t),t=t.sibling}function Vi(e,n,t){if(ke&&"function"==typeof ke.onCommitFiberUnmount)try{ke.onCommitFiberUnmount(be,t)}catch(a){}switch(t.tag){case 26:Fi||Ei(t,n),ji(e,n,t),t.memoizedState?t.memoizedState.count--:t.stateNode&&(t=t.stateNode).parentNode.removeChild(t);break;case 27:Fi||Ei(t,n);var r=Ii,l=Ui;Tf(t.type)&&(Ii=t.stateNode,Ui=!1),ji(e,n,t),Vf(t.stateNode),Ii=r,Ui=l;break;case 5:Fi||Ei(t,n);case 6:if(r=Ii,l=Ui,Ii=null,ji(e,n,t),Ui=l,null!==(Ii=r))if(Ui)try{(9===Ii.nodeType?Ii.body:"HTML"===Ii.nodeName?Ii.ownerDocument.body:Ii).removeChild(t.stateNode)}catch(o){Cc(t,n,o)}else try{Ii.removeChild(t.stateNode)}catch(o){Cc(t,n,o)}break;case 18:null!==Ii&&(Ui?(Lf(9===(e=Ii).nodeType?e.body:"HTML"===e.nodeName?e.ownerDocument.body:e,t.stateNode),qd(e)):Lf(Ii,t.stateNode));break;case 4:r=Ii,l=Ui,Ii=t.stateNode.containerInfo,Ui=!0,ji(e,n,t),Ii=r,Ui=l;break;case 0:case 11:case 14:case 15:bi(2,t,n),Fi||bi(4,t,n),ji(e,n,t);break;case 1:Fi||(Ei(t,n),"function"==typeof(r=t.stateNode).componentWillUnmount&&wi(t,n,r)),ji(e,n,t);break;case 21:ji(e,n,t);break;case 22:Fi=(r=Fi)||null!==t.memoizedState,ji(e,n,t),Fi=r;break;default:ji(e,n,t)}}function $i(e,n){if(null===n.memoizedState&&(null!==(e=n.alternate)&&null!==(e=e.memoizedState))){e=e.dehydrated;try{qd(e)}catch(t){Cc(n,n.return,t)}}}function Bi(e,n){if(null===n.memoizedState&&(null!==(e=n.alternate)&&(null!==(e=e.memoizedState)&&null!==(e=e.dehydrated))))try{qd(e)}catch(t){Cc(n,n.return,t)}}function Hi(e,n){var t=function(e){switch(e.tag){case 31:case 13:case 19:var n=e.stateNode;return null===n&&(n=e.stateNode=new Di),n;case 22:return null===(n=(e=e.stateNode)._retryCache)&&(n=e._retryCache=new Di),n;default:throw Error(o(435,e.tag))}}(e);n.forEach(function(n){if(!t.has(n)){t.add(n);var r=Lc.bind(null,e,n);n.then(r,r)}})}function Qi(e,n){var t=n.deletions;if(null!==t)for(var r=0;r<t.length;r++){var l=t[r],a=e,u=n,i=u;e:for(;null!==i;){switch(i.tag){case 27:if(Tf(i.type)){Ii=i.stateNode,Ui=!1;break e}break;case 5:Ii=i.stateNode,Ui=!1;break e;case 3:case 4:Ii=i.stateNode.containerInfo,Ui=!0;break e}i=i.return}if(null===Ii)throw Error(o(160));Vi(a,u,l),Ii=null,Ui=!1,null!==(a=l.alternate)&&(a.return=null),l.return=null}if(13886&n.subtreeFlags)for(n=n.child;null!==n;)qi(n,e),n=n.sibling}var Wi=null;function qi(e,n){var t=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:Qi(n,e),Ki(e),4&r&&(bi(3,e,e.return),yi(3,e),bi(5,e,e.return));break;case 1:Qi(n,e),Ki(e),512&r&&(Fi||null===t||Ei(t,t.return)),64&r&&_i&&(null!==(e=e.updateQueue)&&(null!==(r=e.callbacks)&&(t=e.shared.hiddenCallbacks,e.shared.hiddenCallbacks=null===t?r:t.concat(r))));break;case 26:var l=Wi;if(Qi(n,e),Ki(e),512&r&&(Fi||null===t||Ei(t,t.return)),4&r){var a=null!==t?t.memoizedState:null;if(r=e.memoizedState,null===t)if(null===r)if(null===e.stateNode){e:{r=e.type,t=e.memoizedProps,l=l.ownerDocument||l;n:switch(r){case"title":(!(a=l.getElementsByTagName("title")[0])||a[Xe]||a[Be]||"http://www.w3.org/2000/svg"===a.namespaceURI||a.hasAttribute("itemprop"))&&(a=l.createElement(r),l.head.insertBefore(a,l.querySelector("head > title"))),hf(a,r,t),a[Be]=e,tn(a),r=a;break e;case"link":var u=ad("link","href",l).get(r+(t.href||""));if(u)for(var i=0;i<u.length;i++)if((a=u[i]).getAttribute("href")===(null==t.href||""===t.href?null:t.href)&&a.getAttribute("rel")===(null==t.rel?null:t.rel)&&a.getAttribute("title")===(null==t.title?null:t.title)&&a.getAttribute("crossorigin")===(null==t.crossOrigin?null:t.crossOrigin)){u.splice(i,1);break n}hf(a=l.createElement(r),r,t),l.head.appendChild(a);break;case"meta":if(u=ad("meta","content",l).get(r+(t.content||"")))for(i=0;i<u.length;i++)if((a=u[i]).getAttribute("content")===(null==t.content?null:""+t.content)&&a.getAttribute("name")===(null==t.name?null:t.name)&&a.getAttribute("property")===(null==t.property?null:t.property)&&a.getAttribute("http-equiv")===(null==t.httpEquiv?null:t.httpEquiv)&&a.getAttribute("charset")===(null==t.charSet?null:t.charSet)){u.splice(i,1);break n}hf(a=l.createElement(r),r,t),l.head.appendChild(a);break;default:throw Error(o(468,r))}a[Be]=e,tn(a),r=a}e.stateNode=r}else od(l,e.type,e.stateNode);else e.stateNode=ed(l,r,e.memoizedProps);else a!==r?(null===a?null!==t.stateNode&&(t=t.stateNode).parentNode.removeChild(t):a.count--,null===r?od(l,e.type,e.stateNode):ed(l,r,e.memoizedProps)):null===r&&null!==e.stateNode&&Ci(e,e.memoizedProps,t.memoizedProps)}break;case 27:Qi(n,e),Ki(e),512&r&&(Fi||null===t||Ei(t,t.return)),null!==t&&4&r&&Ci(e,e.memoizedProps,t.memoizedProps);break;case 5:if(Qi(n,e),Ki(e),512&r&&(Fi||null===t||Ei(t,t.return)),32&e.flags){l=e.stateNode;try{Pn(l,"")}catch(h){Cc(e,e.return,h)}}4&r&&null!=e.stateNode&&Ci(e,l=e.memoizedProps,null!==t?t.memoizedProps:l),1024&r&&(Oi=!0);break;case 6:if(Qi(n,e),Ki(e),4&r){if(null===e.stateNode)throw Error(o(162));r=e.memoizedProps,t=e.stateNode;try{t.nodeValue=r}catch(h){Cc(e,e.return,h)}}break;case 3:if(ld=null,l=Wi,Wi=Hf(n.containerInfo),Qi(n,e),Wi=l,Ki(e),4&r&&null!==t&&t.memoizedState.isDehydrated)try{qd(n.containerInfo)}catch(h){Cc(e,e.return,h)}Oi&&(Oi=!1,Yi(e));break;case 4:r=Wi,Wi=Hf(e.stateNode.containerInfo),Qi(n,e),Ki(e),Wi=r;break;case 12:default:Qi(n,e),Ki(e);break;case 31:case 19:Qi(n,e),Ki(e),4&r&&(null!==(r=e.updateQueue)&&(e.updateQueue=null,Hi(e,r)));break;case 13:Qi(n,e),Ki(e),8192&e.child.flags&&null!==e.memoizedState!=(null!==t&&null!==t.memoizedState)&&(Ds=ce()),4&r&&(null!==(r=e.updateQueue)&&(e.updateQueue=null,Hi(e,r)));break;case 22:l=null!==e.memoizedState;var s=null!==t&&null!==t.memoizedState,c=_i,f=Fi;if(_i=c||l,Fi=f||s,Qi(n,e),Fi=f,_i=c,Ki(e),8192&r)e:for(n=e.stateNode,n._visibility=l?-2&n._visibility:1|n._visibility,l&&(null===t||s||_i||Fi||Gi(e)),t=null,n=e;;){if(5===n.tag||26===n.tag){if(null===t){s=t=n;try{if(a=s.stateNode,l)"function"==typeof(u=a.style).setProperty?u.setProperty("display","none","important"):u.display="none";else{i=s.stateNode;var d=s.memoizedProps.style,p=null!=d&&d.hasOwnProperty("display")?d.display:null;i.style.display=null==p||"boolean"==typeof p?"":(""+p).trim()}}catch(h){Cc(s,s.return,h)}}}else if(6===n.tag){if(null===t){s=n;try{s.stateNode.nodeValue=l?"":s.memoizedProps}catch(h){Cc(s,s.return,h)}}}else if(18===n.tag){if(null===t){s=n;try{var m=s.stateNode;l?_f(m,!0):_f(s.stateNode,!1)}catch(h){Cc(s,s.return,h)}}}else if((22!==n.tag&&23!==n.tag||null===n.memoizedState||n===e)&&null!==n.child){n.child.return=n,n=n.child;continue}if(n===e)break e;for(;null===n.sibling;){if(null===n.return||n.return===e)break e;t===n&&(t=null),n=n.return}t===n&&(t=null),n.sibling.return=n.return,n=n.sibling}4&r&&(null!==(r=e.updateQueue)&&(null!==(t=r.retryQueue)&&(r.retryQueue=null,Hi(e,t))));case 30:case 21:}}function Ki(e){var n=e.flags;if(2&n){try{for(var t,r=e.return;null!==r;){if(zi(r)){t=r;break}r=r.return}if(null==t)throw Error(o(160));switch(t.tag){case 27:var l=t.stateNode;Ti(e,Pi(e),l);break;case 5:var a=t.stateNode;32&t.flags&&(Pn(a,""),t.flags&=-33),Ti(e,Pi(e),a);break;case 3:case 4:var u=t.stateNode.containerInfo;Ni(e,Pi(e),u);break;default:throw Error(o(161))}}catch(i){Cc(e,e.return,i)}e.flags&=-3}4096&n&&(e.flags&=-4097)}function Yi(e){if(1024&e.subtreeFlags)for(e=e.child;null!==e;){var n=e;Yi(n),5===n.tag&&1024&n.flags&&n.stateNode.reset(),e=e.sibling}}function Xi(e,n){if(8772&n.subtreeFlags)for(n=n.child;null!==n;)Ai(e,n.alternate,n),n=n.sibling}function Gi(e){for(e=e.child;null!==e;){var n=e;switch(n.tag){case 0:case 11:case 14:case 15:bi(4,n,n.return),Gi(n);break;case 1:Ei(n,n.return);var t=n.stateNode;"function"==typeof t.componentWillUnmount&&wi(n,n.return,t),Gi(n);break;case 27:Vf(n.stateNode);case 26:case 5:Ei(n,n.return),Gi(n);break;case 22:null===n.memoizedState&&Gi(n);break;default:Gi(n)}e=e.sibling}}function Zi(e,n,t){for(t=t&&!!(8772&n.subtreeFlags),n=n.child;null!==n;){var r=n.alternate,l=e,a=n,o=a.flags;switch(a.tag){case 0:case 11:case 15:Zi(l,a,t),yi(4,a);break;case 1:if(Zi(l,a,t),"function"==typeof(l=(r=a).stateNode).componentDidMount)try{l.componentDidMount()}catch(s){Cc(r,r.return,s)}if(null!==(l=(r=a).updateQueue)){var u=r.stateNode;try{var i=l.shared.hiddenCallbacks;if(null!==i)for(l.shared.hiddenCallbacks=null,l=0;l<i.length;l++)Pa(i[l],u)}catch(s){Cc(r,r.return,s)}}t&&64&o&&ki(a),Si(a,a.return);break;case 27:Li(a);case 26:case 5:Zi(l,a,t),t&&null===r&&4&o&&xi(a),Si(a,a.return);break;case 12:Zi(l,a,t);break;case 31:Zi(l,a,t),t&&4&o&&$i(l,a);break;case 13:Zi(l,a,t),t&&4&o&&Bi(l,a);break;case 22:null===a.memoizedState&&Zi(l,a,t),Si(a,a.return);break;case 30:break;default:Zi(l,a,t)}n=n.sibling}}function Ji(e,n){var t=null;null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(t=e.memoizedState.cachePool.pool),e=null,null!==n.memoizedState&&null!==n.memoizedState.cachePool&&(e=n.memoizedState.cachePool.pool),e!==t&&(null!=e&&e.refCount++,null!=t&&$l(t))}function es(e,n){e=null,null!==n.alternate&&(e=n.alternate.memoizedState.cache),(n=n.memoizedState.cache)!==e&&(n.refCount++,null!=e&&$l(e))}function ns(e,n,t,r){if(10256&n.subtreeFlags)for(n=n.child;null!==n;)ts(e,n,t,r),n=n.sibling}function ts(e,n,t,r){var l=n.flags;switch(n.tag){case 0:case 11:case 15:ns(e,n,t,r),2048&l&&yi(9,n);break;case 1:case 31:case 13:default:ns(e,n,t,r);break;case 3:ns(e,n,t,r),2048&l&&(e=null,null!==n.alternate&&(e=n.alternate.memoizedState.cache),(n=n.memoizedState.cache)!==e&&(n.refCount++,null!=e&&$l(e)));break;case 12:if(2048&l){ns(e,n,t,r),e=n.stateNode;try{var a=n.memoizedProps,o=a.id,u=a.onPostCommit;"function"==typeof u&&u(o,null===n.alternate?"mount":"update",e.passiveEffectDuration,-0)}catch(i){Cc(n,n.return,i)}}else ns(e,n,t,r);break;case 23:break;case 22:a=n.stateNode,o=n.alternate,null!==n.memoizedState?2&a._visibility?ns(e,n,t,r):ls(e,n):2&a._visibility?ns(e,n,t,r):(a._visibility|=2,rs(e,n,t,r,!!(10256&n.subtreeFlags)||!1)),2048&l&&Ji(o,n);break;case 24:ns(e,n,t,r),2048&l&&es(n.alternate,n)}}function rs(e,n,t,r,l){for(l=l&&(!!(10256&n.subtreeFlags)||!1),n=n.child;null!==n;){var a=e,o=n,u=t,i=r,s=o.flags;switch(o.tag){case 0:case 11:case 15:rs(a,o,u,i,l),yi(8,o);break;case 23:break;case 22:var c=o.stateNode;null!==o.memoizedState?2&c._visibility?rs(a,o,u,i,l):ls(a,o):(c._visibility|=2,rs(a,o,u,i,l)),l&&2048&s&&Ji(o.alternate,o);break;case 24:rs(a,o,u,i,l),l&&2048&s&&es(o.alternate,o);break;default:rs(a,o,u,i,l)}n=n.sibling}}function ls(e,n){if(10256&n.subtreeFlags)for(n=n.child;null!==n;){var t=e,r=n,l=r.flags;switch(r.tag){case 22:ls(t,r),2048&l&&Ji(r.alternate,r);break;case 24:ls(t,r),2048&l&&es(r.alternate,r);break;default:ls(t,r)}n=n.sibling}}var as=8192;function os(e,n,t){if(e.subtreeFlags&as)for(e=e.child;null!==e;)us(e,n,t),e=e.sibling}function us(e,n,t){switch(e.tag){case 26:os(e,n,t),e.flags&as&&null!==e.memoizedState&&function(e,n,t,r){if(!("stylesheet"!==t.type||"string"==typeof r.media&&!1===matchMedia(r.media).matches||4&t.state.loading)){if(null===t.instance){var l=Yf(r.href),a=n.querySelector(Xf(l));if(a)return null!==(n=a._p)&&"object"==typeof n&&"function"==typeof n.then&&(e.count++,e=sd.bind(e),n.then(e,e)),t.state.loading|=4,t.instance=a,void tn(a);a=n.ownerDocument||n,r=Gf(r),(l=$f.get(l))&&td(r,l),tn(a=a.createElement("link"));var o=a;o._p=new Promise(function(e,n){o.onload=e,o.onerror=n}),hf(a,"link",r),t.instance=a}null===e.stylesheets&&(e.stylesheets=new Map),e.stylesheets.set(t,n),(n=t.state.preload)&&!(3&t.state.loading)&&(e.count++,t=sd.bind(e),n.addEventListener("load",t),n.addEventListener("error",t))}}(t,Wi,e.memoizedState,e.memoizedProps);break;case 5:default:os(e,n,t);break;case 3:case 4:var r=Wi;Wi=Hf(e.stateNode.containerInfo),os(e,n,t),Wi=r;break;case 22:null===e.memoizedState&&(null!==(r=e.alternate)&&null!==r.memoizedState?(r=as,as=16777216,os(e,n,t),as=r):os(e,n,t))}}function is(e){var n=e.alternate;if(null!==n&&null!==(e=n.child)){n.child=null;do{n=e.sibling,e.sibling=null,e=n}while(null!==e)}}function ss(e){var n=e.deletions;if(16&e.flags){if(null!==n)for(var t=0;t<n.length;t++){var r=n[t];Mi=r,ds(r,e)}is(e)}if(10256&e.subtreeFlags)for(e=e.child;null!==e;)cs(e),e=e.sibling}function cs(e){switch(e.tag){case 0:case 11:case 15:ss(e),2048&e.flags&&bi(9,e,e.return);break;case 3:case 12:default:ss(e);break;case 22:var n=e.stateNode;null!==e.memoizedState&&2&n._visibility&&(null===e.return||13!==e.return.tag)?(n._visibility&=-3,fs(e)):ss(e)}}function fs(e){var n=e.deletions;if(16&e.flags){if(null!==n)for(var t=0;t<n.length;t++){var r=n[t];Mi=r,ds(r,e)}is(e)}for(e=e.child;null!==e;){switch((n=e).tag){case 0:case 11:case 15:bi(8,n,n.return),fs(n);break;case 22:2&(t=n.stateNode)._visibility&&(t._visibility&=-3,fs(n));break;default:fs(n)}e=e.sibling}}function ds(e,n){for(;null!==Mi;){var t=Mi;switch(t.tag){case 0:case 11:case 15:bi(8,t,n);break;case 23:case 22:if(null!==t.memoizedState&&null!==t.memoizedState.cachePool){var r=t.memoizedState.cachePool.pool;null!=r&&r.refCount++}break;case 24:$l(t.memoizedState.cache)}if(null!==(r=t.child))r.return=t,Mi=r;else e:for(t=e;null!==Mi;){var l=(r=Mi).sibling,a=r.return;if(Ri(r),r===t){Mi=null;break e}if(null!==l){l.return=a,Mi=l;break e}Mi=a}}}var ps={getCacheForType:function(e){var n=Dl(jl),t=n.data.get(e);return void 0===t&&(t=e(),n.data.set(e,t)),t},cacheSignal:function(){return Dl(jl).controller.signal}},ms="function"==typeof WeakMap?WeakMap:Map,hs=0,gs=null,vs=null,ys=0,bs=0,ks=null,ws=!1,Ss=!1,Es=!1,xs=0,Cs=0,zs=0,Ps=0,Ns=0,Ts=0,Ls=0,_s=null,Fs=null,Os=!1,Ds=0,Ms=0,As=1/0,Rs=null,Is=null,Us=0,js=null,Vs=null,$s=0,Bs=0,Hs=null,Qs=null,Ws=0,qs=null;function Ks(){return 2&hs&&0!==ys?ys&-ys:null!==A.T?Hc():je()}function Ys(){if(0===Ts)if(536870912&ys&&!pl)Ts=536870912;else{var e=ze;!(3932160&(ze<<=1))&&(ze=262144),Ts=e}return null!==(e=Da.current)&&(e.flags|=32),Ts}function Xs(e,n,t){(e!==gs||2!==bs&&9!==bs)&&null===e.cancelPendingCommit||(rc(e,0),ec(e,ys,Ts,!1)),De(e,t),2&hs&&e===gs||(e===gs&&(!(2&hs)&&(Ps|=t),4===Cs&&ec(e,ys,Ts,!1)),Rc(e))}function Gs(e,n,t){if(6&hs)throw Error(o(327));for(var r=!t&&!(127&n)&&0===(n&e.expiredLanes)||Le(e,n),l=r?function(e,n){var t=hs;hs|=2;var r=oc(),l=uc();gs!==e||ys!==n?(Rs=null,As=ce()+500,rc(e,n)):Ss=Le(e,n);e:for(;;)try{if(0!==bs&&null!==vs){n=vs;var a=ks;n:switch(bs){case 1:bs=0,ks=null,mc(e,n,a,1);break;case 2:case 9:if(ra(a)){bs=0,ks=null,pc(n);break}n=function(){2!==bs&&9!==bs||gs!==e||(bs=7),Rc(e)},a.then(n,n);break e;case 3:bs=7;break e;case 4:bs=5;break e;case 7:ra(a)?(bs=0,ks=null,pc(n)):(bs=0,ks=null,mc(e,n,a,7));break;case 5:var u=null;switch(vs.tag){case 26:u=vs.memoizedState;case 5:case 27:var i=vs;if(u?ud(u):i.stateNode.complete){bs=0,ks=null;var s=i.sibling;if(null!==s)vs=s;else{var c=i.return;null!==c?(vs=c,hc(c)):vs=null}break n}}bs=0,ks=null,mc(e,n,a,5);break;case 6:bs=0,ks=null,mc(e,n,a,6);break;case 8:tc(),Cs=6;break e;default:throw Error(o(462))}}fc();break}catch(f){lc(e,f)}return zl=Cl=null,A.H=r,A.A=l,hs=t,null!==vs?0:(gs=null,ys=0,Fr(),Cs)}(e,n):sc(e,n,!0),a=r;;){if(0===l){Ss&&!r&&ec(e,n,0,!1);break}if(t=e.current.alternate,!a||Js(t)){if(2===l){if(a=n,e.errorRecoveryDisabledLanes&a)var u=0;else u=0!==(u=-536870913&e.pendingLanes)?u:536870912&u?536870912:0;if(0!==u){n=u;e:{var i=e;l=_s;var s=i.current.memoizedState.isDehydrated;if(s&&(rc(i,u).flags|=256),2!==(u=sc(i,u,!1))){if(Es&&!s){i.errorRecoveryDisabledLanes|=a,Ps|=a,l=4;break e}a=Fs,Fs=l,null!==a&&(null===Fs?Fs=a:Fs.push.apply(Fs,a))}l=u}if(a=!1,2!==l)continue}}if(1===l){rc(e,0),ec(e,n,0,!0);break}e:{switch(r=e,a=l){case 0:case 1:throw Error(o(345));case 4:if((4194048&n)!==n)break;case 6:ec(r,n,Ts,!ws);break e;case 2:Fs=null;break;case 3:case 5:break;default:throw Error(o(329))}if((62914560&n)===n&&10<(l=Ds+300-ce())){if(ec(r,n,Ts,!ws),0!==Te(r,0,!0))break e;$s=n,r.timeoutHandle=xf(Zs.bind(null,r,t,Fs,Rs,Os,n,Ts,Ps,Ls,ws,a,"Throttled",-0,0),l)}else Zs(r,t,Fs,Rs,Os,n,Ts,Ps,Ls,ws,a,null,-0,0)}break}l=sc(e,n,!1),a=!1}Rc(e)}function Zs(e,n,t,r,l,a,o,u,i,s,c,f,d,p){if(e.timeoutHandle=-1,8192&(f=n.subtreeFlags)||!(16785408&~f)){us(n,a,f={stylesheets:null,count:0,imgCount:0,imgBytes:0,suspenseyImages:[],waitingForImages:!0,waitingForViewTransition:!1,unsuspend:Mn});var m=(62914560&a)===a?Ds-ce():(4194048&a)===a?Ms-ce():0;if(null!==(m=function(e,n){return e.stylesheets&&0===e.count&&fd(e,e.stylesheets),0<e.count||0<e.imgCount?function(t){var r=setTimeout(function(){if(e.stylesheets&&fd(e,e.stylesheets),e.unsuspend){var n=e.unsuspend;e.unsuspend=null,n()}},6e4+n);0<e.imgBytes&&0===id&&(id=62500*function(){if("function"==typeof performance.getEntriesByType){for(var e=0,n=0,t=performance.getEntriesByType("resource"),r=0;r<t.length;r++){var l=t[r],a=l.transferSize,o=l.initiatorType,u=l.duration;if(a&&u&&gf(o)){for(o=0,u=l.responseEnd,r+=1;r<t.length;r++){var i=t[r],s=i.startTime;if(s>u)break;var c=i.transferSize,f=i.initiatorType;c&&gf(f)&&(o+=c*((i=i.responseEnd)<u?1:(u-s)/(i-s)))}if(--r,n+=8*(a+o)/(l.duration/1e3),10<++e)break}}if(0<e)return n/e/1e6}return navigator.connection&&"number"==typeof(e=navigator.connection.downlink)?e:5}());var l=setTimeout(function(){if(e.waitingForImages=!1,0===e.count&&(e.stylesheets&&fd(e,e.stylesheets),e.unsuspend)){var n=e.unsuspend;e.unsuspend=null,n()}},(e.imgBytes>id?50:800)+n);return e.unsuspend=t,function(){e.unsuspend=null,clearTimeout(r),clearTimeout(l)}}:null}(f,m)))return $s=a,e.cancelPendingCommit=m(vc.bind(null,e,n,a,t,r,l,o,u,i,c,f,null,d,p)),void ec(e,a,o,!s)}vc(e,n,a,t,r,l,o,u,i)}function Js(e){for(var n=e;;){var t=n.tag;if((0===t||11===t||15===t)&&16384&n.flags&&(null!==(t=n.updateQueue)&&null!==(t=t.stores)))for(var r=0;r<t.length;r++){var l=t[r],a=l.getSnapshot;l=l.value;try{if(!er(a(),l))return!1}catch(o){return!1}}if(t=n.child,16384&n.subtreeFlags&&null!==t)t.return=n,n=t;else{if(n===e)break;for(;null===n.sibling;){if(null===n.return||n.return===e)return!0;n=n.return}n.sibling.return=n.return,n=n.sibling}}return!0}function ec(e,n,t,r){n&=~Ns,n&=~Ps,e.suspendedLanes|=n,e.pingedLanes&=~n,r&&(e.warmLanes|=n),r=e.expirationTimes;for(var l=n;0<l;){var a=31-Se(l),o=1<<a;r[a]=-1,l&=~o}0!==t&&Me(e,t,n)}function nc(){return!!(6&hs)||(Ic(0),!1)}function tc(){if(null!==vs){if(0===bs)var e=vs.return;else zl=Cl=null,io(e=vs),sa=null,ca=0,e=vs;for(;null!==e;)vi(e.alternate,e),e=e.return;vs=null}}function rc(e,n){var t=e.timeoutHandle;-1!==t&&(e.timeoutHandle=-1,Cf(t)),null!==(t=e.cancelPendingCommit)&&(e.cancelPendingCommit=null,t()),$s=0,tc(),gs=e,vs=t=$r(e.current,null),ys=n,bs=0,ks=null,ws=!1,Ss=Le(e,n),Es=!1,Ls=Ts=Ns=Ps=zs=Cs=0,Fs=_s=null,Os=!1,8&n&&(n|=32&n);var r=e.entangledLanes;if(0!==r)for(e=e.entanglements,r&=n;0<r;){var l=31-Se(r),a=1<<l;n|=e[l],r&=~a}return xs=n,Fr(),t}function lc(e,n){Ha=null,A.H=vu,n===Jl||n===na?(n=ua(),bs=3):n===ea?(n=ua(),bs=4):bs=n===Du?8:null!==n&&"object"==typeof n&&"function"==typeof n.then?6:1,ks=n,null===vs&&(Cs=1,Tu(e,Xr(n,e.current)))}function ac(){var e=Da.current;return null===e||((4194048&ys)===ys?null===Ma:!!((62914560&ys)===ys||536870912&ys)&&e===Ma)}function oc(){var e=A.H;return A.H=vu,null===e?vu:e}function uc(){var e=A.A;return A.A=ps,e}function ic(){Cs=4,ws||(4194048&ys)!==ys&&null!==Da.current||(Ss=!0),!(134217727&zs)&&!(134217727&Ps)||null===gs||ec(gs,ys,Ts,!1)}function sc(e,n,t){var r=hs;hs|=2;var l=oc(),a=uc();gs===e&&ys===n||(Rs=null,rc(e,n)),n=!1;var o=Cs;e:for(;;)try{if(0!==bs&&null!==vs){var u=vs,i=ks;switch(bs){case 8:tc(),o=6;break e;case 3:case 2:case 9:case 6:null===Da.current&&(n=!0);var s=bs;if(bs=0,ks=null,mc(e,u,i,s),t&&Ss){o=0;break e}break;default:s=bs,bs=0,ks=null,mc(e,u,i,s)}}cc(),o=Cs;break}catch(c){lc(e,c)}return n&&e.shellSuspendCounter++,zl=Cl=null,hs=r,A.H=l,A.A=a,null===vs&&(gs=null,ys=0,Fr()),o}function cc(){for(;null!==vs;)dc(vs)}function fc(){for(;null!==vs&&!ie();)dc(vs)}function dc(e){var n=ii(e.alternate,e,xs);e.memoizedProps=e.pendingProps,null===n?hc(e):vs=n}function pc(e){var n=e,t=n.alternate;switch(n.tag){case 15:case 0:n=qu(t,n,n.pendingProps,n.type,void 0,ys);break;case 11:n=qu(t,n,n.pendingProps,n.type.render,n.ref,ys);break;case 5:io(n);default:vi(t,n),n=ii(t,n=vs=Br(n,xs),xs)}e.memoizedProps=e.pendingProps,null===n?hc(e):vs=n}function mc(e,n,t,r){zl=Cl=null,io(n),sa=null,ca=0;var l=n.return;try{if(function(e,n,t,r,l){if(t.flags|=32768,null!==r&&"object"==typeof r&&"function"==typeof r.then){if(null!==(n=t.alternate)&&_l(n,t,l,!0),null!==(t=Da.current)){switch(t.tag){case 31:case 13:return null===Ma?ic():null===t.alternate&&0===Cs&&(Cs=3),t.flags&=-257,t.flags|=65536,t.lanes=l,r===ta?t.flags|=16384:(null===(n=t.updateQueue)?t.updateQueue=new Set([r]):n.add(r),zc(e,r,l)),!1;case 22:return t.flags|=65536,r===ta?t.flags|=16384:(null===(n=t.updateQueue)?(n={transitions:null,markerInstances:null,retryQueue:new Set([r])},t.updateQueue=n):null===(t=n.retryQueue)?n.retryQueue=new Set([r]):t.add(r),zc(e,r,l)),!1}throw Error(o(435,t.tag))}return zc(e,r,l),ic(),!1}if(pl)return null!==(n=Da.current)?(!(65536&n.flags)&&(n.flags|=256),n.flags|=65536,n.lanes=l,r!==gl&&El(Xr(e=Error(o(422),{cause:r}),t))):(r!==gl&&El(Xr(n=Error(o(423),{cause:r}),t)),(e=e.current.alternate).flags|=65536,l&=-l,e.lanes|=l,r=Xr(r,t),Ea(e,l=_u(e.stateNode,r,l)),4!==Cs&&(Cs=2)),!1;var a=Error(o(520),{cause:r});if(a=Xr(a,t),null===_s?_s=[a]:_s.push(a),4!==Cs&&(Cs=2),null===n)return!0;r=Xr(r,t),t=n;do{switch(t.tag){case 3:return t.flags|=65536,e=l&-l,t.lanes|=e,Ea(t,e=_u(t.stateNode,r,e)),!1;case 1:if(n=t.type,a=t.stateNode,!(128&t.flags||"function"!=typeof n.getDerivedStateFromError&&(null===a||"function"!=typeof a.componentDidCatch||null!==Is&&Is.has(a))))return t.flags|=65536,l&=-l,t.lanes|=l,Ou(l=Fu(l),e,t,r),Ea(t,l),!1}t=t.return}while(null!==t);return!1}(e,l,n,t,ys))return Cs=1,Tu(e,Xr(t,e.current)),void(vs=null)}catch(a){if(null!==l)throw vs=l,a;return Cs=1,Tu(e,Xr(t,e.current)),void(vs=null)}32768&n.flags?(pl||1===r?e=!0:Ss||536870912&ys?e=!1:(ws=e=!0,(2===r||9===r||3===r||6===r)&&(null!==(r=Da.current)&&13===r.tag&&(r.flags|=16384))),gc(n,e)):hc(n)}function hc(e){var n=e;do{if(32768&n.flags)return void gc(n,ws);e=n.return;var t=hi(n.alternate,n,xs);if(null!==t)return void(vs=t);if(null!==(n=n.sibling))return void(vs=n);vs=n=e}while(null!==n);0===Cs&&(Cs=5)}function gc(e,n){do{var t=gi(e.alternate,e);if(null!==t)return t.flags&=32767,void(vs=t);if(null!==(t=e.return)&&(t.flags|=32768,t.subtreeFlags=0,t.deletions=null),!n&&null!==(e=e.sibling))return void(vs=e);vs=e=t}while(null!==e);Cs=6,vs=null}function vc(e,n,t,r,l,a,u,i,s){e.cancelPendingCommit=null;do{Sc()}while(0!==Us);if(6&hs)throw Error(o(327));if(null!==n){if(n===e.current)throw Error(o(177));if(a=n.lanes|n.childLanes,function(e,n,t,r,l,a){var o=e.pendingLanes;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0,e.expiredLanes&=t,e.entangledLanes&=t,e.errorRecoveryDisabledLanes&=t,e.shellSuspendCounter=0;var u=e.entanglements,i=e.expirationTimes,s=e.hiddenUpdates;for(t=o&~t;0<t;){var c=31-Se(t),f=1<<c;u[c]=0,i[c]=-1;var d=s[c];if(null!==d)for(s[c]=null,c=0;c<d.length;c++){var p=d[c];null!==p&&(p.lane&=-536870913)}t&=~f}0!==r&&Me(e,r,0),0!==a&&0===l&&0!==e.tag&&(e.suspendedLanes|=a&~(o&~n))}(e,t,a|=_r,u,i,s),e===gs&&(vs=gs=null,ys=0),Vs=n,js=e,$s=t,Bs=a,Hs=l,Qs=r,10256&n.subtreeFlags||10256&n.flags?(e.callbackNode=null,e.callbackPriority=0,oe(me,function(){return Ec(),null})):(e.callbackNode=null,e.callbackPriority=0),r=!!(13878&n.flags),13878&n.subtreeFlags||r){r=A.T,A.T=null,l=R.p,R.p=2,u=hs,hs|=4;try{!function(e,n){if(e=e.containerInfo,vf=Sd,or(e=ar(e))){if("selectionStart"in e)var t={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(t=(t=e.ownerDocument)&&t.defaultView||window).getSelection&&t.getSelection();if(r&&0!==r.rangeCount){t=r.anchorNode;var l=r.anchorOffset,a=r.focusNode;r=r.focusOffset;try{t.nodeType,a.nodeType}catch(g){t=null;break e}var u=0,i=-1,s=-1,c=0,f=0,d=e,p=null;n:for(;;){for(var m;d!==t||0!==l&&3!==d.nodeType||(i=u+l),d!==a||0!==r&&3!==d.nodeType||(s=u+r),3===d.nodeType&&(u+=d.nodeValue.length),null!==(m=d.firstChild);)p=d,d=m;for(;;){if(d===e)break n;if(p===t&&++c===l&&(i=u),p===a&&++f===r&&(s=u),null!==(m=d.nextSibling))break;p=(d=p).parentNode}d=m}t=-1===i||-1===s?null:{start:i,end:s}}else t=null}t=t||{start:0,end:0}}else t=null;for(yf={focusedElem:e,selectionRange:t},Sd=!1,Mi=n;null!==Mi;)if(e=(n=Mi).child,1028&n.subtreeFlags&&null!==e)e.return=n,Mi=e;else for(;null!==Mi;){switch(a=(n=Mi).alternate,e=n.flags,n.tag){case 0:if(4&e&&null!==(e=null!==(e=n.updateQueue)?e.events:null))for(t=0;t<e.length;t++)(l=e[t]).ref.impl=l.nextImpl;break;case 11:case 15:case 5:case 26:case 27:case 6:case 4:case 17:break;case 1:if(1024&e&&null!==a){e=void 0,t=n,l=a.memoizedProps,a=a.memoizedState,r=t.stateNode;try{var h=Cu(t.type,l);e=r.getSnapshotBeforeUpdate(h,a),r.__reactInternalSnapshotBeforeUpdate=e}catch(v){Cc(t,t.return,v)}}break;case 3:if(1024&e)if(9===(t=(e=n.stateNode.containerInfo).nodeType))Ff(e);else if(1===t)switch(e.nodeName){case"HEAD":case"HTML":case"BODY":Ff(e);break;default:e.textContent=""}break;default:if(1024&e)throw Error(o(163))}if(null!==(e=n.sibling)){e.return=n.return,Mi=e;break}Mi=n.return}}(e,n)}finally{hs=u,R.p=l,A.T=r}}Us=1,yc(),bc(),kc()}}function yc(){if(1===Us){Us=0;var e=js,n=Vs,t=!!(13878&n.flags);if(13878&n.subtreeFlags||t){t=A.T,A.T=null;var r=R.p;R.p=2;var l=hs;hs|=4;try{qi(n,e);var a=yf,o=ar(e.containerInfo),u=a.focusedElem,i=a.selectionRange;if(o!==u&&u&&u.ownerDocument&&lr(u.ownerDocument.documentElement,u)){if(null!==i&&or(u)){var s=i.start,c=i.end;if(void 0===c&&(c=s),"selectionStart"in u)u.selectionStart=s,u.selectionEnd=Math.min(c,u.value.length);else{var f=u.ownerDocument||document,d=f&&f.defaultView||window;if(d.getSelection){var p=d.getSelection(),m=u.textContent.length,h=Math.min(i.start,m),g=void 0===i.end?h:Math.min(i.end,m);!p.extend&&h>g&&(o=g,g=h,h=o);var v=rr(u,h),y=rr(u,g);if(v&&y&&(1!==p.rangeCount||p.anchorNode!==v.node||p.anchorOffset!==v.offset||p.focusNode!==y.node||p.focusOffset!==y.offset)){var b=f.createRange();b.setStart(v.node,v.offset),p.removeAllRanges(),h>g?(p.addRange(b),p.extend(y.node,y.offset)):(b.setEnd(y.node,y.offset),p.addRange(b))}}}}for(f=[],p=u;p=p.parentNode;)1===p.nodeType&&f.push({element:p,left:p.scrollLeft,top:p.scrollTop});for("function"==typeof u.focus&&u.focus(),u=0;u<f.length;u++){var k=f[u];k.element.scrollLeft=k.left,k.element.scrollTop=k.top}}Sd=!!vf,yf=vf=null}finally{hs=l,R.p=r,A.T=t}}e.current=n,Us=2}}function bc(){if(2===Us){Us=0;var e=js,n=Vs,t=!!(8772&n.flags);if(8772&n.subtreeFlags||t){t=A.T,A.T=null;var r=R.p;R.p=2;var l=hs;hs|=4;try{Ai(e,n.alternate,n)}finally{hs=l,R.p=r,A.T=t}}Us=3}}function kc(){if(4===Us||3===Us){Us=0,se();var e=js,n=Vs,t=$s,r=Qs;10256&n.subtreeFlags||10256&n.flags?Us=5:(Us=0,Vs=js=null,wc(e,e.pendingLanes));var l=e.pendingLanes;if(0===l&&(Is=null),Ue(t),n=n.stateNode,ke&&"function"==typeof ke.onCommitFiberRoot)try{ke.onCommitFiberRoot(be,n,void 0,!(128&~n.current.flags))}catch(i){}if(null!==r){n=A.T,l=R.p,R.p=2,A.T=null;try{for(var a=e.onRecoverableError,o=0;o<r.length;o++){var u=r[o];a(u.value,{componentStack:u.stack})}}finally{A.T=n,R.p=l}}3&$s&&Sc(),Rc(e),l=e.pendingLanes,261930&t&&42&l?e===qs?Ws++:(Ws=0,qs=e):Ws=0,Ic(0)}}function wc(e,n){0===(e.pooledCacheLanes&=n)&&(null!=(n=e.pooledCache)&&(e.pooledCache=null,$l(n)))}function Sc(){return yc(),bc(),kc(),Ec()}function Ec(){if(5!==Us)return!1;var e=js,n=Bs;Bs=0;var t=Ue($s),r=A.T,l=R.p;try{R.p=32>t?32:t,A.T=null,t=Hs,Hs=null;var a=js,u=$s;if(Us=0,Vs=js=null,$s=0,6&hs)throw Error(o(331));var i=hs;if(hs|=4,cs(a.current),ts(a,a.current,u,t),hs=i,Ic(0,!1),ke&&"function"==typeof ke.onPostCommitFiberRoot)try{ke.onPostCommitFiberRoot(be,a)}catch(s){}return!0}finally{R.p=l,A.T=r,wc(e,n)}}function xc(e,n,t){n=Xr(t,n),null!==(e=wa(e,n=_u(e.stateNode,n,2),2))&&(De(e,2),Rc(e))}function Cc(e,n,t){if(3===e.tag)xc(e,e,t);else for(;null!==n;){if(3===n.tag){xc(n,e,t);break}if(1===n.tag){var r=n.stateNode;if("function"==typeof n.type.getDerivedStateFromError||"function"==typeof r.componentDidCatch&&(null===Is||!Is.has(r))){e=Xr(t,e),null!==(r=wa(n,t=Fu(2),2))&&(Ou(t,r,n,e),De(r,2),Rc(r));break}}n=n.return}}function zc(e,n,t){var r=e.pingCache;if(null===r){r=e.pingCache=new ms;var l=new Set;r.set(n,l)}else void 0===(l=r.get(n))&&(l=new Set,r.set(n,l));l.has(t)||(Es=!0,l.add(t),e=Pc.bind(null,e,n,t),n.then(e,e))}function Pc(e,n,t){var r=e.pingCache;null!==r&&r.delete(n),e.pingedLanes|=e.suspendedLanes&t,e.warmLanes&=~t,gs===e&&(ys&t)===t&&(4===Cs||3===Cs&&(62914560&ys)===ys&&300>ce()-Ds?!(2&hs)&&rc(e,0):Ns|=t,Ls===ys&&(Ls=0)),Rc(e)}function Nc(e,n){0===n&&(n=Fe()),null!==(e=Mr(e,n))&&(De(e,n),Rc(e))}function Tc(e){var n=e.memoizedState,t=0;null!==n&&(t=n.retryLane),Nc(e,t)}function Lc(e,n){var t=0;switch(e.tag){case 31:case 13:var r=e.stateNode,l=e.memoizedState;null!==l&&(t=l.retryLane);break;case 19:r=e.stateNode;break;case 22:r=e.stateNode._retryCache;break;default:throw Error(o(314))}null!==r&&r.delete(n),Nc(e,t)}var _c=null,Fc=null,Oc=!1,Dc=!1,Mc=!1,Ac=0;function Rc(e){e!==Fc&&null===e.next&&(null===Fc?_c=Fc=e:Fc=Fc.next=e),Dc=!0,Oc||(Oc=!0,Pf(function(){6&hs?oe(de,Uc):jc()}))}function Ic(e,n){if(!Mc&&Dc){Mc=!0;do{for(var t=!1,r=_c;null!==r;){if(0!==e){var l=r.pendingLanes;if(0===l)var a=0;else{var o=r.suspendedLanes,u=r.pingedLanes;a=(1<<31-Se(42|e)+1)-1,a=201326741&(a&=l&~(o&~u))?201326741&a|1:a?2|a:0}0!==a&&(t=!0,Bc(r,a))}else a=ys,!(3&(a=Te(r,r===gs?a:0,null!==r.cancelPendingCommit||-1!==r.timeoutHandle)))||Le(r,a)||(t=!0,Bc(r,a));r=r.next}}while(t);Mc=!1}}function Uc(){jc()}function jc(){Dc=Oc=!1;var e=0;0!==Ac&&function(){var e=window.event;if(e&&"popstate"===e.type)return e!==Ef&&(Ef=e,!0);return Ef=null,!1}()&&(e=Ac);for(var n=ce(),t=null,r=_c;null!==r;){var l=r.next,a=Vc(r,n);0===a?(r.next=null,null===t?_c=l:t.next=l,null===l&&(Fc=t)):(t=r,(0!==e||3&a)&&(Dc=!0)),r=l}0!==Us&&5!==Us||Ic(e),0!==Ac&&(Ac=0)}function Vc(e,n){for(var t=e.suspendedLanes,r=e.pingedLanes,l=e.expirationTimes,a=-62914561&e.pendingLanes;0<a;){var o=31-Se(a),u=1<<o,i=l[o];-1===i?0!==(u&t)&&0===(u&r)||(l[o]=_e(u,n)):i<=n&&(e.expiredLanes|=u),a&=~u}if(t=ys,t=Te(e,e===(n=gs)?t:0,null!==e.cancelPendingCommit||-1!==e.timeoutHandle),r=e.callbackNode,0===t||e===n&&(2===bs||9===bs)||null!==e.cancelPendingCommit)return null!==r&&null!==r&&ue(r),e.callbackNode=null,e.callbackPriority=0;if(!(3&t)||Le(e,t)){if((n=t&-t)===e.callbackPriority)return n;switch(null!==r&&ue(r),Ue(t)){case 2:case 8:t=pe;break;case 32:default:t=me;break;case 268435456:t=ge}return r=$c.bind(null,e),t=oe(t,r),e.callbackPriority=n,e.callbackNode=t,n}return null!==r&&null!==r&&ue(r),e.callbackPriority=2,e.callbackNode=null,2}function $c(e,n){if(0!==Us&&5!==Us)return e.callbackNode=null,e.callbackPriority=0,null;var t=e.callbackNode;if(Sc()&&e.callbackNode!==t)return null;var r=ys;return 0===(r=Te(e,e===gs?r:0,null!==e.cancelPendingCommit||-1!==e.timeoutHandle))?null:(Gs(e,r,n),Vc(e,ce()),null!=e.callbackNode&&e.callbackNode===t?$c.bind(null,e):null)}function Bc(e,n){if(Sc())return null;Gs(e,n,!0)}function Hc(){if(0===Ac){var e=Ql;0===e&&(e=Ce,!(261888&(Ce<<=1))&&(Ce=256)),Ac=e}return Ac}function Qc(e){return null==e||"symbol"==typeof e||"boolean"==typeof e?null:"function"==typeof e?e:Dn(""+e)}function Wc(e,n){var t=n.ownerDocument.createElement("input");return t.name=n.name,t.value=n.value,e.id&&t.setAttribute("form",e.id),n.parentNode.insertBefore(t,n),e=new FormData(e),t.parentNode.removeChild(t),e}for(var qc=0;qc<zr.length;qc++){var Kc=zr[qc];Pr(Kc.toLowerCase(),"on"+(Kc[0].toUpperCase()+Kc.slice(1)))}Pr(yr,"onAnimationEnd"),Pr(br,"onAnimationIteration"),Pr(kr,"onAnimationStart"),Pr("dblclick","onDoubleClick"),Pr("focusin","onFocus"),Pr("focusout","onBlur"),Pr(wr,"onTransitionRun"),Pr(Sr,"onTransitionStart"),Pr(Er,"onTransitionCancel"),Pr(xr,"onTransitionEnd"),on("onMouseEnter",["mouseout","mouseover"]),on("onMouseLeave",["mouseout","mouseover"]),on("onPointerEnter",["pointerout","pointerover"]),on("onPointerLeave",["pointerout","pointerover"]),an("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),an("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),an("onBeforeInput",["compositionend","keypress","textInput","paste"]),an("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),an("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),an("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var Yc="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),Xc=new Set("beforetoggle cancel close invalid load scroll scrollend toggle".split(" ").concat(Yc));function Gc(e,n){n=!!(4&n);for(var t=0;t<e.length;t++){var r=e[t],l=r.event;r=r.listeners;e:{var a=void 0;if(n)for(var o=r.length-1;0<=o;o--){var u=r[o],i=u.instance,s=u.currentTarget;if(u=u.listener,i!==a&&l.isPropagationStopped())break e;a=u,l.currentTarget=s;try{a(l)}catch(c){Nr(c)}l.currentTarget=null,a=i}else for(o=0;o<r.length;o++){if(i=(u=r[o]).instance,s=u.currentTarget,u=u.listener,i!==a&&l.isPropagationStopped())break e;a=u,l.currentTarget=s;try{a(l)}catch(c){Nr(c)}l.currentTarget=null,a=i}}}}function Zc(e,n){var t=n[We];void 0===t&&(t=n[We]=new Set);var r=e+"__bubble";t.has(r)||(tf(n,e,2,!1),t.add(r))}function Jc(e,n,t){var r=0;n&&(r|=4),tf(t,e,r,n)}var ef="_reactListening"+Math.random().toString(36).slice(2);function nf(e){if(!e[ef]){e[ef]=!0,rn.forEach(function(n){"selectionchange"!==n&&(Xc.has(n)||Jc(n,!1,e),Jc(n,!0,e))});var n=9===e.nodeType?e:e.ownerDocument;null===n||n[ef]||(n[ef]=!0,Jc("selectionchange",!1,n))}}function tf(e,n,t,r){switch(Td(n)){case 2:var l=Ed;break;case 8:l=xd;break;default:l=Cd}t=l.bind(null,n,t,e),l=void 0,!Qn||"touchstart"!==n&&"touchmove"!==n&&"wheel"!==n||(l=!0),r?void 0!==l?e.addEventListener(n,t,{capture:!0,passive:l}):e.addEventListener(n,t,!0):void 0!==l?e.addEventListener(n,t,{passive:l}):e.addEventListener(n,t,!1)}function rf(e,n,t,r,l){var a=r;if(!(1&n||2&n||null===r))e:for(;;){if(null===r)return;var o=r.tag;if(3===o||4===o){var u=r.stateNode.containerInfo;if(u===l)break;if(4===o)for(o=r.return;null!==o;){var i=o.tag;if((3===i||4===i)&&o.stateNode.containerInfo===l)return;o=o.return}for(;null!==u;){if(null===(o=Ze(u)))return;if(5===(i=o.tag)||6===i||26===i||27===i){r=a=o;continue e}u=u.parentNode}}r=r.return}$n(function(){var r=a,l=Rn(t),o=[];e:{var u=Cr.get(e);if(void 0!==u){var i=at,c=e;switch(e){case"keypress":if(0===Gn(t))break e;case"keydown":case"keyup":i=kt;break;case"focusin":c="focus",i=ft;break;case"focusout":c="blur",i=ft;break;case"beforeblur":case"afterblur":i=ft;break;case"click":if(2===t.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":i=st;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":i=ct;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":i=St;break;case yr:case br:case kr:i=dt;break;case xr:i=Et;break;case"scroll":case"scrollend":i=ut;break;case"wheel":i=xt;break;case"copy":case"cut":case"paste":i=pt;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":i=wt;break;case"toggle":case"beforetoggle":i=Ct}var f=!!(4&n),d=!f&&("scroll"===e||"scrollend"===e),p=f?null!==u?u+"Capture":null:u;f=[];for(var m,h=r;null!==h;){var g=h;if(m=g.stateNode,5!==(g=g.tag)&&26!==g&&27!==g||null===m||null===p||null!=(g=Bn(h,p))&&f.push(lf(h,g,m)),d)break;h=h.return}0<f.length&&(u=new i(u,c,null,t,l),o.push({event:u,listeners:f}))}}if(!(7&n)){if(i="mouseout"===e||"pointerout"===e,(!(u="mouseover"===e||"pointerover"===e)||t===An||!(c=t.relatedTarget||t.fromElement)||!Ze(c)&&!c[Qe])&&(i||u)&&(u=l.window===l?l:(u=l.ownerDocument)?u.defaultView||u.parentWindow:window,i?(i=r,null!==(c=(c=t.relatedTarget||t.toElement)?Ze(c):null)&&(d=s(c),f=c.tag,c!==d||5!==f&&27!==f&&6!==f)&&(c=null)):(i=null,c=r),i!==c)){if(f=st,g="onMouseLeave",p="onMouseEnter",h="mouse","pointerout"!==e&&"pointerover"!==e||(f=wt,g="onPointerLeave",p="onPointerEnter",h="pointer"),d=null==i?u:en(i),m=null==c?u:en(c),(u=new f(g,h+"leave",i,t,l)).target=d,u.relatedTarget=m,g=null,Ze(l)===r&&((f=new f(p,h+"enter",c,t,l)).target=m,f.relatedTarget=d,g=f),d=g,i&&c)e:{for(f=of,h=c,m=0,g=p=i;g;g=f(g))m++;g=0;for(var v=h;v;v=f(v))g++;for(;0<m-g;)p=f(p),m--;for(;0<g-m;)h=f(h),g--;for(;m--;){if(p===h||null!==h&&p===h.alternate){f=p;break e}p=f(p),h=f(h)}f=null}else f=null;null!==i&&uf(o,u,i,f,!1),null!==c&&null!==d&&uf(o,d,c,f,!0)}if("select"===(i=(u=r?en(r):window).nodeName&&u.nodeName.toLowerCase())||"input"===i&&"file"===u.type)var y=Bt;else if(Rt(u))if(Ht)y=Jt;else{y=Gt;var b=Xt}else!(i=u.nodeName)||"input"!==i.toLowerCase()||"checkbox"!==u.type&&"radio"!==u.type?r&&_n(r.elementType)&&(y=Bt):y=Zt;switch(y&&(y=y(e,r))?It(o,y,t,l):(b&&b(e,u,r),"focusout"===e&&r&&"number"===u.type&&null!=r.memoizedProps.value&&En(u,"number",u.value)),b=r?en(r):window,e){case"focusin":(Rt(b)||"true"===b.contentEditable)&&(ir=b,sr=r,cr=null);break;case"focusout":cr=sr=ir=null;break;case"mousedown":fr=!0;break;case"contextmenu":case"mouseup":case"dragend":fr=!1,dr(o,t,l);break;case"selectionchange":if(ur)break;case"keydown":case"keyup":dr(o,t,l)}var k;if(Pt)e:{switch(e){case"compositionstart":var w="onCompositionStart";break e;case"compositionend":w="onCompositionEnd";break e;case"compositionupdate":w="onCompositionUpdate";break e}w=void 0}else Mt?Ot(e,t)&&(w="onCompositionEnd"):"keydown"===e&&229===t.keyCode&&(w="onCompositionStart");w&&(Lt&&"ko"!==t.locale&&(Mt||"onCompositionStart"!==w?"onCompositionEnd"===w&&Mt&&(k=Xn()):(Kn="value"in(qn=l)?qn.value:qn.textContent,Mt=!0)),0<(b=af(r,w)).length&&(w=new mt(w,e,null,t,l),o.push({event:w,listeners:b}),k?w.data=k:null!==(k=Dt(t))&&(w.data=k))),(k=Tt?function(e,n){switch(e){case"compositionend":return Dt(n);case"keypress":return 32!==n.which?null:(Ft=!0,_t);case"textInput":return(e=n.data)===_t&&Ft?null:e;default:return null}}(e,t):function(e,n){if(Mt)return"compositionend"===e||!Pt&&Ot(e,n)?(e=Xn(),Yn=Kn=qn=null,Mt=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(n.ctrlKey||n.altKey||n.metaKey)||n.ctrlKey&&n.altKey){if(n.char&&1<n.char.length)return n.char;if(n.which)return String.fromCharCode(n.which)}return null;case"compositionend":return Lt&&"ko"!==n.locale?null:n.data}}(e,t))&&(0<(w=af(r,"onBeforeInput")).length&&(b=new mt("onBeforeInput","beforeinput",null,t,l),o.push({event:b,listeners:w}),b.data=k)),function(e,n,t,r,l){if("submit"===n&&t&&t.stateNode===l){var a=Qc((l[He]||null).action),o=r.submitter;o&&null!==(n=(n=o[He]||null)?Qc(n.formAction):o.getAttribute("formAction"))&&(a=n,o=null);var u=new at("action","action",null,r,l);e.push({event:u,listeners:[{instance:null,listener:function(){if(r.defaultPrevented){if(0!==Ac){var e=o?Wc(l,o):new FormData(l);ru(t,{pending:!0,data:e,method:l.method,action:a},null,e)}}else"function"==typeof a&&(u.preventDefault(),e=o?Wc(l,o):new FormData(l),ru(t,{pending:!0,data:e,method:l.method,action:a},a,e))},currentTarget:l}]})}}(o,e,r,t,l)}Gc(o,n)})}function lf(e,n,t){return{instance:e,listener:n,currentTarget:t}}function af(e,n){for(var t=n+"Capture",r=[];null!==e;){var l=e,a=l.stateNode;if(5!==(l=l.tag)&&26!==l&&27!==l||null===a||(null!=(l=Bn(e,t))&&r.unshift(lf(e,l,a)),null!=(l=Bn(e,n))&&r.push(lf(e,l,a))),3===e.tag)return r;e=e.return}return[]}function of(e){if(null===e)return null;do{e=e.return}while(e&&5!==e.tag&&27!==e.tag);return e||null}function uf(e,n,t,r,l){for(var a=n._reactName,o=[];null!==t&&t!==r;){var u=t,i=u.alternate,s=u.stateNode;if(u=u.tag,null!==i&&i===r)break;5!==u&&26!==u&&27!==u||null===s||(i=s,l?null!=(s=Bn(t,a))&&o.unshift(lf(t,s,i)):l||null!=(s=Bn(t,a))&&o.push(lf(t,s,i))),t=t.return}0!==o.length&&e.push({event:n,listeners:o})}var sf=/\r\n?/g,cf=/\u0000|\uFFFD/g;function ff(e){return("string"==typeof e?e:""+e).replace(sf,"\n").replace(cf,"")}function df(e,n){return n=ff(n),ff(e)===n}function pf(e,n,t,r,l,a){switch(t){case"children":"string"==typeof r?"body"===n||"textarea"===n&&""===r||Pn(e,r):("number"==typeof r||"bigint"==typeof r)&&"body"!==n&&Pn(e,""+r);break;case"className":dn(e,"class",r);break;case"tabIndex":dn(e,"tabindex",r);break;case"dir":case"role":case"viewBox":case"width":case"height":dn(e,t,r);break;case"style":Ln(e,r,a);break;case"data":if("object"!==n){dn(e,"data",r);break}case"src":case"href":if(""===r&&("a"!==n||"href"!==t)){e.removeAttribute(t);break}if(null==r||"function"==typeof r||"symbol"==typeof r||"boolean"==typeof r){e.removeAttribute(t);break}r=Dn(""+r),e.setAttribute(t,r);break;case"action":case"formAction":if("function"==typeof r){e.setAttribute(t,"javascript:throw new Error('A React form was unexpectedly submitted. If you called form.submit() manually, consider using form.requestSubmit() instead. If you\\'re trying to use event.stopPropagation() in a submit event handler, consider also calling event.preventDefault().')");break}if("function"==typeof a&&("formAction"===t?("input"!==n&&pf(e,n,"name",l.name,l,null),pf(e,n,"formEncType",l.formEncType,l,null),pf(e,n,"formMethod",l.formMethod,l,null),pf(e,n,"formTarget",l.formTarget,l,null)):(pf(e,n,"encType",l.encType,l,null),pf(e,n,"method",l.method,l,null),pf(e,n,"target",l.target,l,null))),null==r||"symbol"==typeof r||"boolean"==typeof r){e.removeAttribute(t);break}r=Dn(""+r),e.setAttribute(t,r);break;case"onClick":null!=r&&(e.onclick=Mn);break;case"onScroll":null!=r&&Zc("scroll",e);break;case"onScrollEnd":null!=r&&Zc("scrollend",e);break;case"dangerouslySetInnerHTML":if(null!=r){if("object"!=typeof r||!("__html"in r))throw Error(o(61));if(null!=(t=r.__html)){if(null!=l.children)throw Error(o(60));e.innerHTML=t}}break;case"multiple":e.multiple=r&&"function"!=typeof r&&"symbol"!=typeof r;break;case"muted":e.muted=r&&"function"!=typeof r&&"symbol"!=typeof r;break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"defaultValue":case"defaultChecked":case"innerHTML":case"ref":case"autoFocus":break;case"xlinkHref":if(null==r||"function"==typeof r||"boolean"==typeof r||"symbol"==typeof r){e.removeAttribute("xlink:href");break}t=Dn(""+r),e.setAttributeNS("http://www.w3.org/1999/xlink","xlink:href",t);break;case"contentEditable":case"spellCheck":case"draggable":case"value":case"autoReverse":case"externalResourcesRequired":case"focusable":case"preserveAlpha":null!=r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(t,""+r):e.removeAttribute(t);break;case"inert":case"allowFullScreen":case"async":case"autoPlay":case"controls":case"default":case"defer":case"disabled":case"disablePictureInPicture":case"disableRemotePlayback":case"formNoValidate":case"hidden":case"loop":case"noModule":case"noValidate":case"open":case"playsInline":case"readOnly":case"required":case"reversed":case"scoped":case"seamless":case"itemScope":r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(t,""):e.removeAttribute(t);break;case"capture":case"download":!0===r?e.setAttribute(t,""):!1!==r&&null!=r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(t,r):e.removeAttribute(t);break;case"cols":case"rows":case"size":case"span":null!=r&&"function"!=typeof r&&"symbol"!=typeof r&&!isNaN(r)&&1<=r?e.setAttribute(t,r):e.removeAttribute(t);break;case"rowSpan":case"start":null==r||"function"==typeof r||"symbol"==typeof r||isNaN(r)?e.removeAttribute(t):e.setAttribute(t,r);break;case"popover":Zc("beforetoggle",e),Zc("toggle",e),fn(e,"popover",r);break;case"xlinkActuate":pn(e,"http://www.w3.org/1999/xlink","xlink:actuate",r);break;case"xlinkArcrole":pn(e,"http://www.w3.org/1999/xlink","xlink:arcrole",r);break;case"xlinkRole":pn(e,"http://www.w3.org/1999/xlink","xlink:role",r);break;case"xlinkShow":pn(e,"http://www.w3.org/1999/xlink","xlink:show",r);break;case"xlinkTitle":pn(e,"http://www.w3.org/1999/xlink","xlink:title",r);break;case"xlinkType":pn(e,"http://www.w3.org/1999/xlink","xlink:type",r);break;case"xmlBase":pn(e,"http://www.w3.org/XML/1998/namespace","xml:base",r);break;case"xmlLang":pn(e,"http://www.w3.org/XML/1998/namespace","xml:lang",r);break;case"xmlSpace":pn(e,"http://www.w3.org/XML/1998/namespace","xml:space",r);break;case"is":fn(e,"is",r);break;case"innerText":case"textContent":break;default:(!(2<t.length)||"o"!==t[0]&&"O"!==t[0]||"n"!==t[1]&&"N"!==t[1])&&fn(e,t=Fn.get(t)||t,r)}}function mf(e,n,t,r,l,a){switch(t){case"style":Ln(e,r,a);break;case"dangerouslySetInnerHTML":if(null!=r){if("object"!=typeof r||!("__html"in r))throw Error(o(61));if(null!=(t=r.__html)){if(null!=l.children)throw Error(o(60));e.innerHTML=t}}break;case"children":"string"==typeof r?Pn(e,r):("number"==typeof r||"bigint"==typeof r)&&Pn(e,""+r);break;case"onScroll":null!=r&&Zc("scroll",e);break;case"onScrollEnd":null!=r&&Zc("scrollend",e);break;case"onClick":null!=r&&(e.onclick=Mn);break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"innerHTML":case"ref":case"innerText":case"textContent":break;default:ln.hasOwnProperty(t)||("o"!==t[0]||"n"!==t[1]||(l=t.endsWith("Capture"),n=t.slice(2,l?t.length-7:void 0),"function"==typeof(a=null!=(a=e[He]||null)?a[t]:null)&&e.removeEventListener(n,a,l),"function"!=typeof r)?t in e?e[t]=r:!0===r?e.setAttribute(t,""):fn(e,t,r):("function"!=typeof a&&null!==a&&(t in e?e[t]=null:e.hasAttribute(t)&&e.removeAttribute(t)),e.addEventListener(n,r,l)))}}function hf(e,n,t){switch(n){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"img":Zc("error",e),Zc("load",e);var r,l=!1,a=!1;for(r in t)if(t.hasOwnProperty(r)){var u=t[r];if(null!=u)switch(r){case"src":l=!0;break;case"srcSet":a=!0;break;case"children":case"dangerouslySetInnerHTML":throw Error(o(137,n));default:pf(e,n,r,u,t,null)}}return a&&pf(e,n,"srcSet",t.srcSet,t,null),void(l&&pf(e,n,"src",t.src,t,null));case"input":Zc("invalid",e);var i=r=u=a=null,s=null,c=null;for(l in t)if(t.hasOwnProperty(l)){var f=t[l];if(null!=f)switch(l){case"name":a=f;break;case"type":u=f;break;case"checked":s=f;break;case"defaultChecked":c=f;break;case"value":r=f;break;case"defaultValue":i=f;break;case"children":case"dangerouslySetInnerHTML":if(null!=f)throw Error(o(137,n));break;default:pf(e,n,l,f,t,null)}}return void Sn(e,r,i,s,c,u,a,!1);case"select":for(a in Zc("invalid",e),l=u=r=null,t)if(t.hasOwnProperty(a)&&null!=(i=t[a]))switch(a){case"value":r=i;break;case"defaultValue":u=i;break;case"multiple":l=i;default:pf(e,n,a,i,t,null)}return n=r,t=u,e.multiple=!!l,void(null!=n?xn(e,!!l,n,!1):null!=t&&xn(e,!!l,t,!0));case"textarea":for(u in Zc("invalid",e),r=a=l=null,t)if(t.hasOwnProperty(u)&&null!=(i=t[u]))switch(u){case"value":l=i;break;case"defaultValue":a=i;break;case"children":r=i;break;case"dangerouslySetInnerHTML":if(null!=i)throw Error(o(91));break;default:pf(e,n,u,i,t,null)}return void zn(e,l,a,r);case"option":for(s in t)if(t.hasOwnProperty(s)&&null!=(l=t[s]))if("selected"===s)e.selected=l&&"function"!=typeof l&&"symbol"!=typeof l;else pf(e,n,s,l,t,null);return;case"dialog":Zc("beforetoggle",e),Zc("toggle",e),Zc("cancel",e),Zc("close",e);break;case"iframe":case"object":Zc("load",e);break;case"video":case"audio":for(l=0;l<Yc.length;l++)Zc(Yc[l],e);break;case"image":Zc("error",e),Zc("load",e);break;case"details":Zc("toggle",e);break;case"embed":case"source":case"link":Zc("error",e),Zc("load",e);case"area":case"base":case"br":case"col":case"hr":case"keygen":case"meta":case"param":case"track":case"wbr":case"menuitem":for(c in t)if(t.hasOwnProperty(c)&&null!=(l=t[c]))switch(c){case"children":case"dangerouslySetInnerHTML":throw Error(o(137,n));default:pf(e,n,c,l,t,null)}return;default:if(_n(n)){for(f in t)t.hasOwnProperty(f)&&(void 0!==(l=t[f])&&mf(e,n,f,l,t,void 0));return}}for(i in t)t.hasOwnProperty(i)&&(null!=(l=t[i])&&pf(e,n,i,l,t,null))}function gf(e){switch(e){case"css":case"script":case"font":case"img":case"image":case"input":case"link":return!0;default:return!1}}var vf=null,yf=null;function bf(e){return 9===e.nodeType?e:e.ownerDocument}function kf(e){switch(e){case"http://www.w3.org/2000/svg":return 1;case"http://www.w3.org/1998/Math/MathML":return 2;default:return 0}}function wf(e,n){if(0===e)switch(n){case"svg":return 1;case"math":return 2;default:return 0}return 1===e&&"foreignObject"===n?0:e}function Sf(e,n){return"textarea"===e||"noscript"===e||"string"==typeof n.children||"number"==typeof n.children||"bigint"==typeof n.children||"object"==typeof n.dangerouslySetInnerHTML&&null!==n.dangerouslySetInnerHTML&&null!=n.dangerouslySetInnerHTML.__html}var Ef=null;var xf="function"==typeof setTimeout?setTimeout:void 0,Cf="function"==typeof clearTimeout?clearTimeout:void 0,zf="function"==typeof Promise?Promise:void 0,Pf="function"==typeof queueMicrotask?queueMicrotask:void 0!==zf?function(e){return zf.resolve(null).then(e).catch(Nf)}:xf;function Nf(e){setTimeout(function(){throw e})}function Tf(e){return"head"===e}function Lf(e,n){var t=n,r=0;do{var l=t.nextSibling;if(e.removeChild(t),l&&8===l.nodeType)if("/$"===(t=l.data)||"/&"===t){if(0===r)return e.removeChild(l),void qd(n);r--}else if("$"===t||"$?"===t||"$~"===t||"$!"===t||"&"===t)r++;else if("html"===t)Vf(e.ownerDocument.documentElement);else if("head"===t){Vf(t=e.ownerDocument.head);for(var a=t.firstChild;a;){var o=a.nextSibling,u=a.nodeName;a[Xe]||"SCRIPT"===u||"STYLE"===u||"LINK"===u&&"stylesheet"===a.rel.toLowerCase()||t.removeChild(a),a=o}}else"body"===t&&Vf(e.ownerDocument.body);t=l}while(t);qd(n)}function _f(e,n){var t=e;e=0;do{var r=t.nextSibling;if(1===t.nodeType?n?(t._stashedDisplay=t.style.display,t.style.display="none"):(t.style.display=t._stashedDisplay||"",""===t.getAttribute("style")&&t.removeAttribute("style")):3===t.nodeType&&(n?(t._stashedText=t.nodeValue,t.nodeValue=""):t.nodeValue=t._stashedText||""),r&&8===r.nodeType)if("/$"===(t=r.data)){if(0===e)break;e--}else"$"!==t&&"$?"!==t&&"$~"!==t&&"$!"!==t||e++;t=r}while(t)}function Ff(e){var n=e.firstChild;for(n&&10===n.nodeType&&(n=n.nextSibling);n;){var t=n;switch(n=n.nextSibling,t.nodeName){case"HTML":case"HEAD":case"BODY":Ff(t),Ge(t);continue;case"SCRIPT":case"STYLE":continue;case"LINK":if("stylesheet"===t.rel.toLowerCase())continue}e.removeChild(t)}}function Of(e,n){for(;8!==e.nodeType;){if((1!==e.nodeType||"INPUT"!==e.nodeName||"hidden"!==e.type)&&!n)return null;if(null===(e=Af(e.nextSibling)))return null}return e}function Df(e){return"$?"===e.data||"$~"===e.data}function Mf(e){return"$!"===e.data||"$?"===e.data&&"loading"!==e.ownerDocument.readyState}function Af(e){for(;null!=e;e=e.nextSibling){var n=e.nodeType;if(1===n||3===n)break;if(8===n){if("$"===(n=e.data)||"$!"===n||"$?"===n||"$~"===n||"&"===n||"F!"===n||"F"===n)break;if("/$"===n||"/&"===n)return null}}return e}var Rf=null;function If(e){e=e.nextSibling;for(var n=0;e;){if(8===e.nodeType){var t=e.data;if("/$"===t||"/&"===t){if(0===n)return Af(e.nextSibling);n--}else"$"!==t&&"$!"!==t&&"$?"!==t&&"$~"!==t&&"&"!==t||n++}e=e.nextSibling}return null}function Uf(e){e=e.previousSibling;for(var n=0;e;){if(8===e.nodeType){var t=e.data;if("$"===t||"$!"===t||"$?"===t||"$~"===t||"&"===t){if(0===n)return e;n--}else"/$"!==t&&"/&"!==t||n++}e=e.previousSibling}return null}function jf(e,n,t){switch(n=bf(t),e){case"html":if(!(e=n.documentElement))throw Error(o(452));return e;case"head":if(!(e=n.head))throw Error(o(453));return e;case"body":if(!(e=n.body))throw Error(o(454));return e;default:throw Error(o(451))}}function Vf(e){for(var n=e.attributes;n.length;)e.removeAttributeNode(n[0]);Ge(e)}var $f=new Map,Bf=new Set;function Hf(e){return"function"==typeof e.getRootNode?e.getRootNode():9===e.nodeType?e:e.ownerDocument}var Qf=R.d;R.d={f:function(){var e=Qf.f(),n=nc();return e||n},r:function(e){var n=Je(e);null!==n&&5===n.tag&&"form"===n.type?au(n):Qf.r(e)},D:function(e){Qf.D(e),qf("dns-prefetch",e,null)},C:function(e,n){Qf.C(e,n),qf("preconnect",e,n)},L:function(e,n,t){Qf.L(e,n,t);var r=Wf;if(r&&e&&n){var l='link[rel="preload"][as="'+kn(n)+'"]';"image"===n&&t&&t.imageSrcSet?(l+='[imagesrcset="'+kn(t.imageSrcSet)+'"]',"string"==typeof t.imageSizes&&(l+='[imagesizes="'+kn(t.imageSizes)+'"]')):l+='[href="'+kn(e)+'"]';var a=l;switch(n){case"style":a=Yf(e);break;case"script":a=Zf(e)}$f.has(a)||(e=h({rel:"preload",href:"image"===n&&t&&t.imageSrcSet?void 0:e,as:n},t),$f.set(a,e),null!==r.querySelector(l)||"style"===n&&r.querySelector(Xf(a))||"script"===n&&r.querySelector(Jf(a))||(hf(n=r.createElement("link"),"link",e),tn(n),r.head.appendChild(n)))}},m:function(e,n){Qf.m(e,n);var t=Wf;if(t&&e){var r=n&&"string"==typeof n.as?n.as:"script",l='link[rel="modulepreload"][as="'+kn(r)+'"][href="'+kn(e)+'"]',a=l;switch(r){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":a=Zf(e)}if(!$f.has(a)&&(e=h({rel:"modulepreload",href:e},n),$f.set(a,e),null===t.querySelector(l))){switch(r){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":if(t.querySelector(Jf(a)))return}hf(r=t.createElement("link"),"link",e),tn(r),t.head.appendChild(r)}}},X:function(e,n){Qf.X(e,n);var t=Wf;if(t&&e){var r=nn(t).hoistableScripts,l=Zf(e),a=r.get(l);a||((a=t.querySelector(Jf(l)))||(e=h({src:e,async:!0},n),(n=$f.get(l))&&rd(e,n),tn(a=t.createElement("script")),hf(a,"link",e),t.head.appendChild(a)),a={type:"script",instance:a,count:1,state:null},r.set(l,a))}},S:function(e,n,t){Qf.S(e,n,t);var r=Wf;if(r&&e){var l=nn(r).hoistableStyles,a=Yf(e);n=n||"default";var o=l.get(a);if(!o){var u={loading:0,preload:null};if(o=r.querySelector(Xf(a)))u.loading=5;else{e=h({rel:"stylesheet",href:e,"data-precedence":n},t),(t=$f.get(a))&&td(e,t);var i=o=r.createElement("link");tn(i),hf(i,"link",e),i._p=new Promise(function(e,n){i.onload=e,i.onerror=n}),i.addEventListener("load",function(){u.loading|=1}),i.addEventListener("error",function(){u.loading|=2}),u.loading|=4,nd(o,n,r)}o={type:"stylesheet",instance:o,count:1,state:u},l.set(a,o)}}},M:function(e,n){Qf.M(e,n);var t=Wf;if(t&&e){var r=nn(t).hoistableScripts,l=Zf(e),a=r.get(l);a||((a=t.querySelector(Jf(l)))||(e=h({src:e,async:!0,type:"module"},n),(n=$f.get(l))&&rd(e,n),tn(a=t.createElement("script")),hf(a,"link",e),t.head.appendChild(a)),a={type:"script",instance:a,count:1,state:null},r.set(l,a))}}};var Wf="undefined"==typeof document?null:document;function qf(e,n,t){var r=Wf;if(r&&"string"==typeof n&&n){var l=kn(n);l='link[rel="'+e+'"][href="'+l+'"]',"string"==typeof t&&(l+='[crossorigin="'+t+'"]'),Bf.has(l)||(Bf.add(l),e={rel:e,crossOrigin:t,href:n},null===r.querySelector(l)&&(hf(n=r.createElement("link"),"link",e),tn(n),r.head.appendChild(n)))}}function Kf(e,n,t,r){var l,a,u,i,s=(s=K.current)?Hf(s):null;if(!s)throw Error(o(446));switch(e){case"meta":case"title":return null;case"style":return"string"==typeof t.precedence&&"string"==typeof t.href?(n=Yf(t.href),(r=(t=nn(s).hoistableStyles).get(n))||(r={type:"style",instance:null,count:0,state:null},t.set(n,r)),r):{type:"void",instance:null,count:0,state:null};case"link":if("stylesheet"===t.rel&&"string"==typeof t.href&&"string"==typeof t.precedence){e=Yf(t.href);var c=nn(s).hoistableStyles,f=c.get(e);if(f||(s=s.ownerDocument||s,f={type:"stylesheet",instance:null,count:0,state:{loading:0,preload:null}},c.set(e,f),(c=s.querySelector(Xf(e)))&&!c._p&&(f.instance=c,f.state.loading=5),$f.has(e)||(t={rel:"preload",as:"style",href:t.href,crossOrigin:t.crossOrigin,integrity:t.integrity,media:t.media,hrefLang:t.hrefLang,referrerPolicy:t.referrerPolicy},$f.set(e,t),c||(l=s,a=e,u=t,i=f.state,l.querySelector('link[rel="preload"][as="style"]['+a+"]")?i.loading=1:(a=l.createElement("link"),i.preload=a,a.addEventListener("load",function(){return i.loading|=1}),a.addEventListener("error",function(){return i.loading|=2}),hf(a,"link",u),tn(a),l.head.appendChild(a))))),n&&null===r)throw Error(o(528,""));return f}if(n&&null!==r)throw Error(o(529,""));return null;case"script":return n=t.async,"string"==typeof(t=t.src)&&n&&"function"!=typeof n&&"symbol"!=typeof n?(n=Zf(t),(r=(t=nn(s).hoistableScripts).get(n))||(r={type:"script",instance:null,count:0,state:null},t.set(n,r)),r):{type:"void",instance:null,count:0,state:null};default:throw Error(o(444,e))}}function Yf(e){return'href="'+kn(e)+'"'}function Xf(e){return'link[rel="stylesheet"]['+e+"]"}function Gf(e){return h({},e,{"data-precedence":e.precedence,precedence:null})}function Zf(e){return'[src="'+kn(e)+'"]'}function Jf(e){return"script[async]"+e}function ed(e,n,t){if(n.count++,null===n.instance)switch(n.type){case"style":var r=e.querySelector('style[data-href~="'+kn(t.href)+'"]');if(r)return n.instance=r,tn(r),r;var l=h({},t,{"data-href":t.href,"data-precedence":t.precedence,href:null,precedence:null});return tn(r=(e.ownerDocument||e).createElement("style")),hf(r,"style",l),nd(r,t.precedence,e),n.instance=r;case"stylesheet":l=Yf(t.href);var a=e.querySelector(Xf(l));if(a)return n.state.loading|=4,n.instance=a,tn(a),a;r=Gf(t),(l=$f.get(l))&&td(r,l),tn(a=(e.ownerDocument||e).createElement("link"));var u=a;return u._p=new Promise(function(e,n){u.onload=e,u.onerror=n}),hf(a,"link",r),n.state.loading|=4,nd(a,t.precedence,e),n.instance=a;case"script":return a=Zf(t.src),(l=e.querySelector(Jf(a)))?(n.instance=l,tn(l),l):(r=t,(l=$f.get(a))&&rd(r=h({},t),l),tn(l=(e=e.ownerDocument||e).createElement("script")),hf(l,"link",r),e.head.appendChild(l),n.instance=l);case"void":return null;default:throw Error(o(443,n.type))}else"stylesheet"===n.type&&!(4&n.state.loading)&&(r=n.instance,n.state.loading|=4,nd(r,t.precedence,e));return n.instance}function nd(e,n,t){for(var r=t.querySelectorAll('link[rel="stylesheet"][data-precedence],style[data-precedence]'),l=r.length?r[r.length-1]:null,a=l,o=0;o<r.length;o++){var u=r[o];if(u.dataset.precedence===n)a=u;else if(a!==l)break}a?a.parentNode.insertBefore(e,a.nextSibling):(n=9===t.nodeType?t.head:t).insertBefore(e,n.firstChild)}function td(e,n){null==e.crossOrigin&&(e.crossOrigin=n.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=n.referrerPolicy),null==e.title&&(e.title=n.title)}function rd(e,n){null==e.crossOrigin&&(e.crossOrigin=n.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=n.referrerPolicy),null==e.integrity&&(e.integrity=n.integrity)}var ld=null;function ad(e,n,t){if(null===ld){var r=new Map,l=ld=new Map;l.set(t,r)}else(r=(l=ld).get(t))||(r=new Map,l.set(t,r));if(r.has(e))return r;for(r.set(e,null),t=t.getElementsByTagName(e),l=0;l<t.length;l++){var a=t[l];if(!(a[Xe]||a[Be]||"link"===e&&"stylesheet"===a.getAttribute("rel"))&&"http://www.w3.org/2000/svg"!==a.namespaceURI){var o=a.getAttribute(n)||"";o=e+o;var u=r.get(o);u?u.push(a):r.set(o,[a])}}return r}function od(e,n,t){(e=e.ownerDocument||e).head.insertBefore(t,"title"===n?e.querySelector("head > title"):null)}function ud(e){return!!("stylesheet"!==e.type||3&e.state.loading)}var id=0;function sd(){if(this.count--,0===this.count&&(0===this.imgCount||!this.waitingForImages))if(this.stylesheets)fd(this,this.stylesheets);else if(this.unsuspend){var e=this.unsuspend;this.unsuspend=null,e()}}var cd=null;function fd(e,n){e.stylesheets=null,null!==e.unsuspend&&(e.count++,cd=new Map,n.forEach(dd,e),cd=null,sd.call(e))}function dd(e,n){if(!(4&n.state.loading)){var t=cd.get(e);if(t)var r=t.get(null);else{t=new Map,cd.set(e,t);for(var l=e.querySelectorAll("link[data-precedence],style[data-precedence]"),a=0;a<l.length;a++){var o=l[a];"LINK"!==o.nodeName&&"not all"===o.getAttribute("media")||(t.set(o.dataset.precedence,o),r=o)}r&&t.set(null,r)}o=(l=n.instance).getAttribute("data-precedence"),(a=t.get(o)||r)===r&&t.set(null,l),t.set(o,l),this.count++,r=sd.bind(this),l.addEventListener("load",r),l.addEventListener("error",r),a?a.parentNode.insertBefore(l,a.nextSibling):(e=9===e.nodeType?e.head:e).insertBefore(l,e.firstChild),n.state.loading|=4}}var pd={$$typeof:E,Provider:null,Consumer:null,_currentValue:I,_currentValue2:I,_threadCount:0};function md(e,n,t,r,l,a,o,u,i){this.tag=1,this.containerInfo=e,this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.next=this.pendingContext=this.context=this.cancelPendingCommit=null,this.callbackPriority=0,this.expirationTimes=Oe(-1),this.entangledLanes=this.shellSuspendCounter=this.errorRecoveryDisabledLanes=this.expiredLanes=this.warmLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=Oe(0),this.hiddenUpdates=Oe(null),this.identifierPrefix=r,this.onUncaughtError=l,this.onCaughtError=a,this.onRecoverableError=o,this.pooledCache=null,this.pooledCacheLanes=0,this.formState=i,this.incompleteTransitions=new Map}function hd(e,n,t,r,l,a,o,u,i,s,c,f){return e=new md(e,n,t,o,i,s,c,f,u),n=1,!0===a&&(n|=24),a=jr(3,null,null,n),e.current=a,a.stateNode=e,(n=Vl()).refCount++,e.pooledCache=n,n.refCount++,a.memoizedState={element:r,isDehydrated:t,cache:n},ya(a),e}function gd(e){return e?e=Ir:Ir}function vd(e,n,t,r,l,a){l=gd(l),null===r.context?r.context=l:r.pendingContext=l,(r=ka(n)).payload={element:t},null!==(a=void 0===a?null:a)&&(r.callback=a),null!==(t=wa(e,r,n))&&(Xs(t,0,n),Sa(t,e,n))}function yd(e,n){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var t=e.retryLane;e.retryLane=0!==t&&t<n?t:n}}function bd(e,n){yd(e,n),(e=e.alternate)&&yd(e,n)}function kd(e){if(13===e.tag||31===e.tag){var n=Mr(e,67108864);null!==n&&Xs(n,0,67108864),bd(e,67108864)}}function wd(e){if(13===e.tag||31===e.tag){var n=Ks(),t=Mr(e,n=Ie(n));null!==t&&Xs(t,0,n),bd(e,n)}}var Sd=!0;function Ed(e,n,t,r){var l=A.T;A.T=null;var a=R.p;try{R.p=2,Cd(e,n,t,r)}finally{R.p=a,A.T=l}}function xd(e,n,t,r){var l=A.T;A.T=null;var a=R.p;try{R.p=8,Cd(e,n,t,r)}finally{R.p=a,A.T=l}}function Cd(e,n,t,r){if(Sd){var l=zd(r);if(null===l)rf(e,n,r,Pd,t),Id(e,r);else if(function(e,n,t,r,l){switch(n){case"focusin":return _d=Ud(_d,e,n,t,r,l),!0;case"dragenter":return Fd=Ud(Fd,e,n,t,r,l),!0;case"mouseover":return Od=Ud(Od,e,n,t,r,l),!0;case"pointerover":var a=l.pointerId;return Dd.set(a,Ud(Dd.get(a)||null,e,n,t,r,l)),!0;case"gotpointercapture":return a=l.pointerId,Md.set(a,Ud(Md.get(a)||null,e,n,t,r,l)),!0}return!1}(l,e,n,t,r))r.stopPropagation();else if(Id(e,r),4&n&&-1<Rd.indexOf(e)){for(;null!==l;){var a=Je(l);if(null!==a)switch(a.tag){case 3:if((a=a.stateNode).current.memoizedState.isDehydrated){var o=Ne(a.pendingLanes);if(0!==o){var u=a;for(u.pendingLanes|=2,u.entangledLanes|=2;o;){var i=1<<31-Se(o);u.entanglements[1]|=i,o&=~i}Rc(a),!(6&hs)&&(As=ce()+500,Ic(0))}}break;case 31:case 13:null!==(u=Mr(a,2))&&Xs(u,0,2),nc(),bd(a,2)}if(null===(a=zd(r))&&rf(e,n,r,Pd,t),a===l)break;l=a}null!==l&&r.stopPropagation()}else rf(e,n,r,null,t)}}function zd(e){return Nd(e=Rn(e))}var Pd=null;function Nd(e){if(Pd=null,null!==(e=Ze(e))){var n=s(e);if(null===n)e=null;else{var t=n.tag;if(13===t){if(null!==(e=c(n)))return e;e=null}else if(31===t){if(null!==(e=d(n)))return e;e=null}else if(3===t){if(n.stateNode.current.memoizedState.isDehydrated)return 3===n.tag?n.stateNode.containerInfo:null;e=null}else n!==e&&(e=null)}}return Pd=e,null}function Td(e){switch(e){case"beforetoggle":case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"toggle":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 2;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 8;case"message":switch(fe()){case de:return 2;case pe:return 8;case me:case he:return 32;case ge:return 268435456;default:return 32}default:return 32}}var Ld=!1,_d=null,Fd=null,Od=null,Dd=new Map,Md=new Map,Ad=[],Rd="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset".split(" ");function Id(e,n){switch(e){case"focusin":case"focusout":_d=null;break;case"dragenter":case"dragleave":Fd=null;break;case"mouseover":case"mouseout":Od=null;break;case"pointerover":case"pointerout":Dd.delete(n.pointerId);break;case"gotpointercapture":case"lostpointercapture":Md.delete(n.pointerId)}}function Ud(e,n,t,r,l,a){return null===e||e.nativeEvent!==a?(e={blockedOn:n,domEventName:t,eventSystemFlags:r,nativeEvent:a,targetContainers:[l]},null!==n&&(null!==(n=Je(n))&&kd(n)),e):(e.eventSystemFlags|=r,n=e.targetContainers,null!==l&&-1===n.indexOf(l)&&n.push(l),e)}function jd(e){var n=Ze(e.target);if(null!==n){var t=s(n);if(null!==t)if(13===(n=t.tag)){if(null!==(n=c(t)))return e.blockedOn=n,void Ve(e.priority,function(){wd(t)})}else if(31===n){if(null!==(n=d(t)))return e.blockedOn=n,void Ve(e.priority,function(){wd(t)})}else if(3===n&&t.stateNode.current.memoizedState.isDehydrated)return void(e.blockedOn=3===t.tag?t.stateNode.containerInfo:null)}e.blockedOn=null}function Vd(e){if(null!==e.blockedOn)return!1;for(var n=e.targetContainers;0<n.length;){var t=zd(e.nativeEvent);if(null!==t)return null!==(n=Je(t))&&kd(n),e.blockedOn=t,!1;var r=new(t=e.nativeEvent).constructor(t.type,t);An=r,t.target.dispatchEvent(r),An=null,n.shift()}return!0}function $d(e,n,t){Vd(e)&&t.delete(n)}function Bd(){Ld=!1,null!==_d&&Vd(_d)&&(_d=null),null!==Fd&&Vd(Fd)&&(Fd=null),null!==Od&&Vd(Od)&&(Od=null),Dd.forEach($d),Md.forEach($d)}function Hd(e,n){e.blockedOn===n&&(e.blockedOn=null,Ld||(Ld=!0,t.unstable_scheduleCallback(t.unstable_NormalPriority,Bd)))}var Qd=null;function Wd(e){Qd!==e&&(Qd=e,t.unstable_scheduleCallback(t.unstable_NormalPriority,function(){Qd===e&&(Qd=null);for(var n=0;n<e.length;n+=3){var t=e[n],r=e[n+1],l=e[n+2];if("function"!=typeof r){if(null===Nd(r||t))continue;break}var a=Je(t);null!==a&&(e.splice(n,3),n-=3,ru(a,{pending:!0,data:l,method:t.method,action:r},r,l))}}))}function qd(e){function n(n){return Hd(n,e)}null!==_d&&Hd(_d,e),null!==Fd&&Hd(Fd,e),null!==Od&&Hd(Od,e),Dd.forEach(n),Md.forEach(n);for(var t=0;t<Ad.length;t++){var r=Ad[t];r.blockedOn===e&&(r.blockedOn=null)}for(;0<Ad.length&&null===(t=Ad[0]).blockedOn;)jd(t),null===t.blockedOn&&Ad.shift();if(null!=(t=(e.ownerDocument||e).$$reactFormReplay))for(r=0;r<t.length;r+=3){var l=t[r],a=t[r+1],o=l[He]||null;if("function"==typeof a)o||Wd(t);else if(o){var u=null;if(a&&a.hasAttribute("formAction")){if(l=a,o=a[He]||null)u=o.formAction;else if(null!==Nd(l))continue}else u=o.action;"function"==typeof u?t[r+1]=u:(t.splice(r,3),r-=3),Wd(t)}}}function Kd(){function e(e){e.canIntercept&&"react-transition"===e.info&&e.intercept({handler:function(){return new Promise(function(e){return l=e})},focusReset:"manual",scroll:"manual"})}function n(){null!==l&&(l(),l=null),r||setTimeout(t,20)}function t(){if(!r&&!navigation.transition){var e=navigation.currentEntry;e&&null!=e.url&&navigation.navigate(e.url,{state:e.getState(),info:"react-transition",history:"replace"})}}if("object"==typeof navigation){var r=!1,l=null;return navigation.addEventListener("navigate",e),navigation.addEventListener("navigatesuccess",n),navigation.addEventListener("navigateerror",n),setTimeout(t,100),function(){r=!0,navigation.removeEventListener("navigate",e),navigation.removeEventListener("navigatesuccess",n),navigation.removeEventListener("navigateerror",n),null!==l&&(l(),l=null)}}}function Yd(e){this._internalRoot=e}function Xd(e){this._internalRoot=e}Xd.prototype.render=Yd.prototype.render=function(e){var n=this._internalRoot;if(null===n)throw Error(o(409));vd(n.current,Ks(),e,n,null,null)},Xd.prototype.unmount=Yd.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var n=e.containerInfo;vd(e.current,2,null,e,null,null),nc(),n[Qe]=null}},Xd.prototype.unstable_scheduleHydration=function(e){if(e){var n=je();e={blockedOn:null,target:e,priority:n};for(var t=0;t<Ad.length&&0!==n&&n<Ad[t].priority;t++);Ad.splice(t,0,e),0===t&&jd(e)}};var Gd=r.version;if("19.2.0"!==Gd)throw Error(o(527,Gd,"19.2.0"));R.findDOMNode=function(e){var n=e._reactInternals;if(void 0===n){if("function"==typeof e.render)throw Error(o(188));throw e=Object.keys(e).join(","),Error(o(268,e))}return e=function(e){var n=e.alternate;if(!n){if(null===(n=s(e)))throw Error(o(188));return n!==e?null:e}for(var t=e,r=n;;){var l=t.return;if(null===l)break;var a=l.alternate;if(null===a){if(null!==(r=l.return)){t=r;continue}break}if(l.child===a.child){for(a=l.child;a;){if(a===t)return p(l),e;if(a===r)return p(l),n;a=a.sibling}throw Error(o(188))}if(t.return!==r.return)t=l,r=a;else{for(var u=!1,i=l.child;i;){if(i===t){u=!0,t=l,r=a;break}if(i===r){u=!0,r=l,t=a;break}i=i.sibling}if(!u){for(i=a.child;i;){if(i===t){u=!0,t=a,r=l;break}if(i===r){u=!0,r=a,t=l;break}i=i.sibling}if(!u)throw Error(o(189))}}if(t.alternate!==r)throw Error(o(190))}if(3!==t.tag)throw Error(o(188));return t.stateNode.current===t?e:n}(n),e=null===(e=null!==e?m(e):null)?null:e.stateNode};var Zd={bundleType:0,version:"19.2.0",rendererPackageName:"react-dom",currentDispatcherRef:A,reconcilerVersion:"19.2.0"};if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var Jd=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!Jd.isDisabled&&Jd.supportsFiber)try{be=Jd.inject(Zd),ke=Jd}catch(np){}}return i.createRoot=function(e,n){if(!u(e))throw Error(o(299));var t=!1,r="",l=zu,a=Pu,i=Nu;return null!=n&&(!0===n.unstable_strictMode&&(t=!0),void 0!==n.identifierPrefix&&(r=n.identifierPrefix),void 0!==n.onUncaughtError&&(l=n.onUncaughtError),void 0!==n.onCaughtError&&(a=n.onCaughtError),void 0!==n.onRecoverableError&&(i=n.onRecoverableError)),n=hd(e,1,!1,null,0,t,r,null,l,a,i,Kd),e[Qe]=n.current,nf(e),new Yd(n)},i.hydrateRoot=function(e,n,t){if(!u(e))throw Error(o(299));var r=!1,l="",a=zu,i=Pu,s=Nu,c=null;return null!=t&&(!0===t.unstable_strictMode&&(r=!0),void 0!==t.identifierPrefix&&(l=t.identifierPrefix),void 0!==t.onUncaughtError&&(a=t.onUncaughtError),void 0!==t.onCaughtError&&(i=t.onCaughtError),void 0!==t.onRecoverableError&&(s=t.onRecoverableError),void 0!==t.formState&&(c=t.formState)),(n=hd(e,1,!0,n,0,r,l,c,a,i,s,Kd)).context=gd(null),t=n.current,(l=ka(r=Ie(r=Ks()))).callback=null,wa(t,l,r),t=r,n.current.lanes=t,De(n,t),Rc(n),e[Qe]=n.current,nf(e),new Xd(n)},i.version="19.2.0",i}const p=t((o||(o=1,function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(n){}}(),u.exports=d()),u.exports));export{p as R};
-//# sourceMappingURL=client-BfOaRJ1e.js.map
@@ -0,0 +1,2 @@
+import{r as e,u as r,j as o,R as i}from"./form-vendor-tpEkPyQw.js";import{a as t,b as n,f as a,l as s,R as l}from"./index-CMAbLtFl.js";import{i as d,D as c,c as u,p as m}from"./validation-B-puUa04.js";import"./react-vendor-B_uAldPx.js";const p=["prospectiveStudent","currentStudent","faculty","programDirector","other"],h=["general","program","suggestion","partnership","technical","correction"],v={stipendApproxUSD:"number",yearsGuaranteed:"number",tuitionRemission:"boolean",additionalSummerFunding:"boolean",greRequired:"boolean",greSubjectTestRequired:"boolean",writingSampleRequired:"boolean",languageProficiencyRequired:"boolean",minGPA:"number",cohortSizeApprox:"number",acceptanceRateApprox:"number",acceptingApplications:"boolean",deliveryMode:"deliveryMode",officialWebsite:"url",applicationPortal:"url",handbookPDF:"url"},g={stipendApproxUSD:"currency",yearsGuaranteed:"integer",minGPA:"decimal",cohortSizeApprox:"integer",acceptanceRateApprox:"decimal"},x={name:"",email:"",role:"",topic:"",message:"",programId:"",correctionField:"",proposedValue:"",sourceUrl:""},f=["name","email","role","topic","programId","correctionField","proposedValue","sourceUrl","message"],b={name:{min:2,max:100},email:{max:254},message:{min:20,max:5e3},proposedValue:{max:500}},j=/^[^\s@]+@[^\s@]+\.[^\s@]+$/,y=["none","null","n/a","ninguno","ninguna"],F=["true","yes","y","sí","si"],S=["false","no","n"];function C(e){return Object.prototype.hasOwnProperty.call(v,e)}function w(e,r){const o=r.trim(),i=o.toLowerCase();let t;if(y.includes(i))t=null;else switch(v[e]){case"number":t=function(e,r){let o=e.replace(/[\s$%]/g,"");if(o="decimal"!==r&&/^\d{1,3}([.,]\d{3})+$/.test(o)?o.replace(/[.,]/g,""):o.replace(",","."),("integer"===r?/^\d+$/:/^\d+(\.\d+)?$/).test(o))return Number(o)}(o,g[e]);break;case"boolean":t=!!F.includes(i)||!S.includes(i)&&void 0;break;case"deliveryMode":t=c.find(e=>e.toLowerCase()===i);break;case"url":t=o}if(void 0!==t&&null===u(e,t))return t}function I(e,r,o){const i=e.trim().length;return 0===i?"required":i<r?"tooShort":i>o?"tooLong":void 0}function V(e,r,o){switch(e){case"name":return I(r.name,b.name.min,b.name.max);case"email":{const e=r.email.trim();return e?e.length>b.email.max?"tooLong":j.test(e)?void 0:"invalidEmail":"required"}case"role":return r.role?p.includes(r.role)?void 0:"invalidOption":"required";case"topic":return r.topic?h.includes(r.topic)?void 0:"invalidOption":"required";case"programId":return r.programId?o.includes(r.programId)?void 0:"unknownProgram":"program"===r.topic||"correction"===r.topic?"required":void 0;case"correctionField":if("correction"!==r.topic)return;return r.correctionField?C(r.correctionField)?void 0:"invalidOption":"required";case"proposedValue":{if("correction"!==r.topic)return;const e=r.proposedValue.trim();if(!e)return"required";if(e.length>b.proposedValue.max)return"tooLong";if(!C(r.correctionField))return;return void 0===w(r.correctionField,e)?"invalidValue":void 0}case"sourceUrl":{const e=r.sourceUrl.trim();if("correction"!==r.topic||!e)return;return d(e)?void 0:"invalidUrl"}case"message":return I(r.message,b.message.min,b.message.max)}}function $(e){return""!==e.website.trim()?"honeypot":!Number.isFinite(e.elapsedMs)||e.elapsedMs<3e3?"tooFast":null}const q=m.map(e=>e.id),B=e=>`contact-${e}`,U=Object.keys(v),k=()=>{const e=new URLSearchParams(window.location.search),r=e.get("topic")??"",o=e.get("program")??"",i=e.get("field")??"";return{...x,topic:h.includes(r)?r:"",programId:q.includes(o)?o:"",correctionField:"correction"===r&&C(i)?i:""}},M=({field:e,label:r,required:i,hint:t,error:n,t:a,children:s})=>o.jsxs("div",{className:"contact-field"+(n?" contact-field--invalid":""),children:[o.jsxs("label",{htmlFor:B(e),children:[r," ",o.jsx("span",{className:"contact-field-marker",children:i?a.required:a.optional})]}),t&&o.jsx("small",{id:`${B(e)}-hint`,className:"contact-hint",children:t}),s,n&&o.jsx("p",{id:`${B(e)}-error`,className:"contact-error",children:n})]}),N=({transport:i})=>{const l=t(),d=n(l).contact,u=n(l).explorer.deliveryModes,g=e.useRef(Date.now()),x=e.useRef(null),j=e.useRef(null),[y,F]=e.useState(0),[S,C]=e.useState({}),[w,I]=e.useState("idle"),[N]=e.useState(k),R=r({defaultValues:N,onSubmit:async({value:e})=>{var r;const o={...e,language:l,website:(null==(r=x.current)?void 0:r.value)??"",elapsedMs:Date.now()-g.current},t=$(o);if("honeypot"===t)return void I("sent");if("tooFast"===t)return g.current=Date.now(),void I("tooFast");const n=await i.send(o);n.ok?I("sent"):"invalid"===n.reason?(C(n.errors),F(e=>e+1)):I(n.reason)},onSubmitInvalid:()=>F(e=>e+1)});e.useEffect(()=>{var e;y>0&&(null==(e=j.current)||e.focus())},[y]);const L=(e,r)=>{const o={...b[e]??{}};return a(d.errors[r],{field:d.fields[e],...o})},A=e=>({value:r})=>V(e,{...R.state.values,[e]:r},q),P=e=>({onBlur:A(e),onSubmit:A(e)}),D=(e,r)=>null===r?d.notListed:"boolean"==typeof r?r?d.yes:d.no:"deliveryMode"===e?u[r]:String(r),O=e=>C(r=>{if(!r[e])return r;const{[e]:o,...i}=r;return i}),T=()=>{R.reset(),C({}),I("idle"),g.current=Date.now()};return"sent"===w?o.jsxs("div",{className:"contact-form",role:"status",children:[o.jsx("h2",{children:d.sentHeading}),o.jsx("p",{children:d.sentText}),o.jsx("button",{type:"button",className:"contact-button",onClick:T,children:d.sendAnother})]}):o.jsxs("div",{className:"contact-form",children:[o.jsx("h2",{children:d.heading}),o.jsx("p",{children:d.intro}),o.jsxs("form",{noValidate:!0,onSubmit:e=>{e.preventDefault(),I("idle"),R.handleSubmit()},children:[o.jsx(R.Subscribe,{selector:e=>[e.fieldMeta,e.submissionAttempts],children:([e,r])=>{const i=f.flatMap(r=>{var o,i;const t=(null==(i=null==(o=e[r])?void 0:o.errors)?void 0:i[0])??S[r];return t?[{field:r,message:L(r,t)}]:[]});return 0===r||0===i.length?null:o.jsxs("div",{ref:j,className:"contact-summary",role:"alert",tabIndex:-1,"aria-labelledby":"contact-summary-heading",children:[o.jsx("h3",{id:"contact-summary-heading",children:1===i.length?d.summaryHeadingOne:a(d.summaryHeading,{count:i.length})}),o.jsx("ul",{children:i.map(({field:e,message:r})=>o.jsx("li",{children:o.jsx("a",{href:`#${B(e)}`,children:r})},e))})]})}}),["name","email"].map(e=>o.jsx(R.Field,{name:e,validators:P(e),children:r=>{const i=r.state.meta.errors[0]??S[e],t=i?L(e,i):void 0,n="email"===e?d.hints.email:void 0;return o.jsx(M,{field:e,label:d.fields[e],required:!0,hint:n,error:t,t:d,children:o.jsx("input",{id:B(e),name:e,type:"email"===e?"email":"text",autoComplete:e,value:r.state.value,"aria-invalid":!!t||void 0,"aria-describedby":[n&&`${B(e)}-hint`,t&&`${B(e)}-error`].filter(Boolean).join(" ")||void 0,onBlur:r.handleBlur,onChange:o=>{O(e),r.handleChange(o.target.value)}})})}},e)),o.jsx(R.Field,{name:"role",validators:P("role"),children:e=>{const r=e.state.meta.errors[0]??S.role,i=r?L("role",r):void 0;return o.jsx(M,{field:"role",label:d.fields.role,required:!0,error:i,t:d,children:o.jsxs("select",{id:B("role"),name:"role",value:e.state.value,"aria-invalid":!!i||void 0,"aria-describedby":i?`${B("role")}-error`:void 0,onBlur:e.handleBlur,onChange:r=>{O("role"),e.handleChange(r.target.value)},children:[o.jsx("option",{value:"",children:d.choose}),p.map(e=>o.jsx("option",{value:e,children:d.roles[e]},e))]})})}}),o.jsx(R.Field,{name:"topic",validators:P("topic"),children:e=>{const r=e.state.meta.errors[0]??S.topic,i=r?L("topic",r):void 0;return o.jsx(M,{field:"topic",label:d.fields.topic,required:!0,error:i,t:d,children:o.jsxs("select",{id:B("topic"),name:"topic",value:e.state.value,"aria-invalid":!!i||void 0,"aria-describedby":i?`${B("topic")}-error`:void 0,onBlur:e.handleBlur,onChange:r=>{O("topic"),e.handleChange(r.target.value)},children:[o.jsx("option",{value:"",children:d.choose}),h.map(e=>o.jsx("option",{value:e,children:d.topics[e]},e))]})})}}),o.jsx(R.Subscribe,{selector:e=>e.values.topic,children:e=>o.jsx(R.Field,{name:"programId",validators:{...P("programId"),onChangeListenTo:["topic"]},children:r=>{const i=r.state.meta.errors[0]??S.programId,t=i?L("programId",i):void 0;return o.jsx(M,{field:"programId",label:d.fields.programId,required:"program"===e||"correction"===e,hint:d.hints.programId,error:t,t:d,children:o.jsxs("select",{id:B("programId"),name:"programId",value:r.state.value,"aria-invalid":!!t||void 0,"aria-describedby":`${B("programId")}-hint`+(t?` ${B("programId")}-error`:""),onBlur:r.handleBlur,onChange:e=>{O("programId"),r.handleChange(e.target.value)},children:[o.jsx("option",{value:"",children:d.noProgram}),m.map(e=>o.jsxs("option",{value:e.id,children:[s(e,"institution",l),":"," ",s(e,"degree",l)]},e.id))]})})}})}),o.jsx(R.Subscribe,{selector:e=>[e.values.topic,e.values.programId,e.values.correctionField],children:([e,r,i])=>{const t=m.find(e=>e.id===r),n=i?v[i]:void 0;return o.jsxs("fieldset",{className:"contact-correction",hidden:"correction"!==e,children:[o.jsx("legend",{children:d.topics.correction}),o.jsx(R.Field,{name:"correctionField",validators:{...P("correctionField"),onChangeListenTo:["topic"]},children:e=>{const r=e.state.meta.errors[0]??S.correctionField,n=r?L("correctionField",r):void 0,s=t&&i?a(d.hints.currentValue,{value:D(i,t[i])}):void 0;return o.jsx(M,{field:"correctionField",label:d.fields.correctionField,required:!0,hint:s,error:n,t:d,children:o.jsxs("select",{id:B("correctionField"),name:"correctionField",value:e.state.value,"aria-invalid":!!n||void 0,"aria-describedby":[s&&`${B("correctionField")}-hint`,n&&`${B("correctionField")}-error`].filter(Boolean).join(" ")||void 0,onBlur:e.handleBlur,onChange:r=>{O("correctionField"),e.handleChange(r.target.value),R.setFieldValue("proposedValue","")},children:[o.jsx("option",{value:"",children:d.choose}),U.map(e=>o.jsx("option",{value:e,children:d.correctionFields[e]},e))]})})}}),o.jsx(R.Field,{name:"proposedValue",validators:{...P("proposedValue"),onChangeListenTo:["topic","correctionField"]},children:e=>{const r=e.state.meta.errors[0]??S.proposedValue,i=r?L("proposedValue",r):void 0,t="number"===n?d.hints.proposedNumber:"url"===n?d.hints.proposedUrl:void 0,a={id:B("proposedValue"),name:"proposedValue",value:e.state.value,"aria-invalid":!!i||void 0,"aria-describedby":[t&&`${B("proposedValue")}-hint`,i&&`${B("proposedValue")}-error`].filter(Boolean).join(" ")||void 0,onBlur:e.handleBlur,onChange:r=>{O("proposedValue"),e.handleChange(r.target.value)}};return o.jsx(M,{field:"proposedValue",label:d.fields.proposedValue,required:!0,hint:t,error:i,t:d,children:"boolean"===n?o.jsxs("select",{...a,children:[o.jsx("option",{value:"",children:d.choose}),o.jsx("option",{value:"true",children:d.yes}),o.jsx("option",{value:"false",children:d.no})]}):"deliveryMode"===n?o.jsxs("select",{...a,children:[o.jsx("option",{value:"",children:d.choose}),c.map(e=>o.jsx("option",{value:e,children:u[e]},e))]}):o.jsx("input",{...a,type:"text",inputMode:"number"===n?"decimal":"url"===n?"url":void 0,autoComplete:"off"})})}}),o.jsx(R.Field,{name:"sourceUrl",validators:{...P("sourceUrl"),onChangeListenTo:["topic"]},children:e=>{const r=e.state.meta.errors[0]??S.sourceUrl,i=r?L("sourceUrl",r):void 0;return o.jsx(M,{field:"sourceUrl",label:d.fields.sourceUrl,required:!1,hint:d.hints.sourceUrl,error:i,t:d,children:o.jsx("input",{id:B("sourceUrl"),name:"sourceUrl",type:"url",inputMode:"url",autoComplete:"off",value:e.state.value,"aria-invalid":!!i||void 0,"aria-describedby":`${B("sourceUrl")}-hint`+(i?` ${B("sourceUrl")}-error`:""),onBlur:e.handleBlur,onChange:r=>{O("sourceUrl"),e.handleChange(r.target.value)}})})}})]})}}),o.jsx(R.Subscribe,{selector:e=>e.values.topic,children:e=>o.jsx(R.Field,{name:"message",validators:P("message"),children:r=>{const i=r.state.meta.errors[0]??S.message,t=i?L("message",i):void 0,n=a("correction"===e?d.hints.correctionMessage:d.hints.message,{count:r.state.value.trim().length,max:b.message.max});return o.jsx(M,{field:"message",label:d.fields.message,required:!0,hint:n,error:t,t:d,children:o.jsx("textarea",{id:B("message"),name:"message",rows:8,value:r.state.value,"aria-invalid":!!t||void 0,"aria-describedby":`${B("message")}-hint`+(t?` ${B("message")}-error`:""),onBlur:r.handleBlur,onChange:e=>{O("message"),r.handleChange(e.target.value)}})})}})}),o.jsxs("div",{className:"contact-hp","aria-hidden":"true",children:[o.jsx("label",{htmlFor:"contact-website",children:d.honeypot}),o.jsx("input",{ref:x,id:"contact-website",name:"website",type:"text",tabIndex:-1,autoComplete:"off",defaultValue:""})]}),o.jsx("div",{"aria-live":"polite",children:"idle"!==w&&o.jsx("p",{className:"contact-status contact-status--error",role:"alert",children:d.status[w]})}),o.jsx(R.Subscribe,{selector:e=>e.isSubmitting,children:e=>o.jsx("button",{type:"submit",className:"contact-button",disabled:e,children:e?d.sending:d.submit})}),o.jsx("p",{className:"contact-privacy",children:d.privacy})]})]})};const R=document.getElementById("contact-root");if(!R)throw new Error("Contact root element not found. Ensure #contact-root exists in the HTML.");const L=R.dataset.endpoint??"/api/contact",A="mock"===L?function({programIds:e,delayMs:r=300,forceResult:o}){const i=[];return{submissions:i,async send(t){if(await new Promise(e=>setTimeout(e,r)),o)return o;const n=function(e,r){const o={};for(const i of f){const t=V(i,e,r);t&&(o[i]=t)}return o}(t,e);return Object.keys(n).length>0?{ok:!1,reason:"invalid",errors:n}:($(t)||i.push(t),{ok:!0,id:`mock-${i.length}`})}}}({programIds:m.map(e=>e.id)}):function(e,r=fetch){return{async send(o){try{const i=await r(e,{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(o)});if(429===i.status)return{ok:!1,reason:"rateLimited"};if(422===i.status){return{ok:!1,reason:"invalid",errors:(await i.json()).errors??{}}}if(!i.ok)return{ok:!1,reason:"unavailable"};return{ok:!0,id:(await i.json()).id??""}}catch{return{ok:!1,reason:"unavailable"}}}}}(L);l.createRoot(R).render(o.jsx(i.StrictMode,{children:o.jsx(N,{transport:A})}));
+//# sourceMappingURL=contact-DDzSc5hZ.js.map
@@ -0,0 +1,3 @@
+const __vite__mapDeps=(i,m=__vite__mapDeps,d=(m.f||(m.f=["js/MapView-CYSjFtx8.js","js/form-vendor-tpEkPyQw.js","js/react-vendor-B_uAldPx.js","js/index-CMAbLtFl.js"])))=>i.map(i=>d[i]);
+var e=Object.defineProperty,r=(r,t,s)=>((r,t,s)=>t in r?e(r,t,{enumerable:!0,configurable:!0,writable:!0,value:s}):r[t]=s)(r,"symbol"!=typeof t?t+"":t,s);import{j as t,r as s,R as a}from"./form-vendor-tpEkPyQw.js";import{t as n,s as i,g as l,l as o,f as c,a as d,b as p,R as h}from"./index-CMAbLtFl.js";import{M as m,D as u,a as x,p as g}from"./validation-B-puUa04.js";import{f as j}from"./text-DYii1dJQ.js";import"./react-vendor-B_uAldPx.js";const v={},f=function(e,r,t){let s=Promise.resolve();if(r&&r.length>0){let e=function(e){return Promise.all(e.map(e=>Promise.resolve(e).then(e=>({status:"fulfilled",value:e}),e=>({status:"rejected",reason:e}))))};document.getElementsByTagName("link");const t=document.querySelector("meta[property=csp-nonce]"),a=(null==t?void 0:t.nonce)||(null==t?void 0:t.getAttribute("nonce"));s=e(r.map(e=>{if((e=function(e){return"/"+e}(e))in v)return;v[e]=!0;const r=e.endsWith(".css"),t=r?'[rel="stylesheet"]':"";if(document.querySelector(`link[href="${e}"]${t}`))return;const s=document.createElement("link");return s.rel=r?"stylesheet":"modulepreload",r||(s.as="script"),s.crossOrigin="",s.href=e,a&&s.setAttribute("nonce",a),document.head.appendChild(s),r?new Promise((r,t)=>{s.addEventListener("load",r),s.addEventListener("error",()=>t(new Error(`Unable to preload CSS for ${e}`)))}):void 0}))}function a(e){const r=new Event("vite:preloadError",{cancelable:!0});if(r.payload=e,window.dispatchEvent(r),!r.defaultPrevented)throw e}return s.then(r=>{for(const e of r||[])"rejected"===e.status&&a(e.reason);return e().catch(a)})},y=[{id:"jane-doe-uc-davis",programId:"uc-davis-phd-spanish-ling",name:"Jane Doe",title_en:"Associate Professor",title_es:"Profesora asociada",department_en:"Spanish & Portuguese",department_es:"Español y Portugués",researchAreas_en:["Sociophonetics","Heritage Speaker Bilingualism","Language Contact"],researchAreas_es:["Sociofonética","Bilingüismo de hablantes de herencia","Contacto lingüístico"],methodologicalStrengths:["Quantitative (statistical, corpus)","Experimental"],acceptingAdvisees:!0,advisingNotes_en:"Accepting 1-2 new PhD advisees for Fall 2026. Strong quantitative background preferred.",advisingNotes_es:"Aceptando 1-2 nuevos estudiantes de doctorado para otoño 2026. Se prefiere sólida formación cuantitativa.",email:null,websiteURL:"https://spanish.ucdavis.edu/people/jane-doe",scholarURL:"https://scholar.google.com/citations?user=EXAMPLE",notableWork_en:["Vowel Variation in California Heritage Spanish (2023)","Mixed-effects Models for Sociolinguistic Research (2021)"],notableWork_es:["Variación vocálica en el español de herencia de California (2023)","Modelos de efectos mixtos para la investigación sociolingüística (2021)"],lastVerified:"2025-10-24"},{id:"john-smith-uc-davis",programId:"uc-davis-phd-spanish-ling",name:"John Smith",title_en:"Professor",title_es:"Catedrático",department_en:"Spanish & Portuguese",department_es:"Español y Portugués",researchAreas_en:["Second Language Acquisition","Pedagogical Grammar","Corpus Linguistics"],researchAreas_es:["Adquisición de segundas lenguas","Gramática pedagógica","Lingüística de corpus"],methodologicalStrengths:["Quantitative (statistical, corpus)","Mixed Methods"],acceptingAdvisees:!1,advisingNotes_en:"At capacity. Not accepting new advisees until 2027.",advisingNotes_es:"A capacidad máxima. No aceptando nuevos estudiantes hasta 2027.",email:null,websiteURL:"https://spanish.ucdavis.edu/people/john-smith",scholarURL:null,notableWork_en:["Corpus-Based Approaches to SLA Research (2022)","Teaching Spanish Grammar with Data-Driven Learning (2020)"],notableWork_es:["Enfoques basados en corpus para la investigación de ASL (2022)","Enseñanza de gramática española con aprendizaje basado en datos (2020)"],lastVerified:"2025-10-24"}];function b(e,r){const t="en"===r?e.id:n(e.id);return`${function(e){return i.sections.faculty[e]}(r)}${t}.html`}const N={area:"",method:"",acceptingOnly:!1,institution:""};function w(e,r,t){const s=[];var a;if(e.area.trim()&&s.push(function(e){const r=j(e);return y.filter(e=>[...e.researchAreas_en,...e.researchAreas_es].some(e=>j(e).includes(r)))}(e.area)),e.method&&s.push((a=e.method,y.filter(e=>e.methodologicalStrengths.includes(a)))),e.acceptingOnly&&s.push(y.filter(e=>e.acceptingAdvisees)),e.institution){const t=r.filter(r=>r.institution_en===e.institution).flatMap(e=>e.facultyIds);s.push(function(e){return y.filter(r=>e.includes(r.id))}(t))}const n=y.filter(e=>s.every(r=>r.some(r=>r.id===e.id))),i=new Intl.Collator(t);return n.sort((e,r)=>i.compare(e.name,r.name))}const M=180,k=365;function S(e,r){return new Intl.NumberFormat(l(r),{style:"currency",currency:"USD",maximumFractionDigits:0}).format(e)}function C(e,r){const t=new Date(`${e}T00:00:00Z`);return Number.isNaN(t.getTime())?e:new Intl.DateTimeFormat(l(r),{dateStyle:"medium",timeZone:"UTC"}).format(t)}const A=({member:e,program:r,lang:s,t:a})=>{const n=function(e,r=new Date){const t=new Date(`${e}T00:00:00Z`),s=(r.getTime()-t.getTime())/864e5;return Number.isNaN(s)||s>k?"stale":s>M?"aging":"fresh"}(e.lastVerified),i=o(e,"notableWork",s);return t.jsxs("article",{className:"explorer-card","aria-labelledby":`advisor-${e.id}`,children:[t.jsx("h3",{id:`advisor-${e.id}`,className:"explorer-card-title",children:t.jsx("a",{href:b(e,s),children:e.name})}),t.jsxs("p",{className:"explorer-card-degree",children:[o(e,"title",s),", ",o(e,"department",s)]}),t.jsxs("dl",{className:"explorer-card-facts",children:[r&&t.jsxs("div",{children:[t.jsx("dt",{children:a.advisors.program}),t.jsx("dd",{children:t.jsxs("a",{href:o(r,"url",s),children:[o(r,"degree",s),", ",o(r,"institution",s)]})})]}),t.jsxs("div",{children:[t.jsx("dt",{children:a.advisors.researchAreas}),t.jsx("dd",{children:o(e,"researchAreas",s).join(", ")})]}),t.jsxs("div",{children:[t.jsx("dt",{children:a.advisors.methods}),t.jsx("dd",{children:e.methodologicalStrengths.map(e=>a.advisors.methodsCultures[e]).join(", ")})]}),i.length>0&&t.jsxs("div",{children:[t.jsx("dt",{children:a.advisors.notableWork}),t.jsx("dd",{children:t.jsx("ul",{children:i.map(e=>t.jsx("li",{children:e},e))})})]})]}),t.jsxs("ul",{className:"explorer-card-badges",children:[t.jsx("li",{className:e.acceptingAdvisees?"explorer-badge--positive":"explorer-badge--muted",children:e.acceptingAdvisees?a.advisors.accepting:a.advisors.notAccepting}),t.jsx("li",{className:`explorer-badge--${n}`,children:a.advisors.freshness[n]})]}),t.jsx("p",{children:o(e,"advisingNotes",s)}),t.jsxs("p",{className:"explorer-card-links",children:[e.websiteURL&&t.jsx("a",{href:e.websiteURL,rel:"noopener noreferrer",target:"_blank",children:a.advisors.website}),e.scholarURL&&t.jsx("a",{href:e.scholarURL,rel:"noopener noreferrer",target:"_blank",children:a.advisors.scholar}),e.email&&t.jsx("a",{href:`mailto:${e.email}`,children:e.email})]}),t.jsx("p",{className:"explorer-card-updated",children:c(a.advisors.verified,{date:C(e.lastVerified,s)})})]})},_=({programs:e,filters:r,lang:a,t:n,onChange:i})=>{const l=s.useMemo(()=>function(e,r){const t=new Set(y.map(e=>e.programId)),s=new Map;for(const n of e)t.has(n.id)&&s.set(n.institution_en,n[`institution_${r}`]);const a=new Intl.Collator(r);return Array.from(s,([e,r])=>({value:e,label:r})).sort((e,r)=>a.compare(e.label,r.label))}(e,a),[e,a]),o=s.useMemo(()=>w(r,e,a),[r,e,a]),d=s.useMemo(()=>new Map(e.map(e=>[e.id,e])),[e]),p=(e,t)=>i({...r,[e]:t});return t.jsxs("div",{className:"explorer-layout",children:[t.jsxs("form",{className:"explorer-filters","aria-labelledby":"advisor-filters-heading",role:"search",onSubmit:e=>e.preventDefault(),children:[t.jsx("h2",{id:"advisor-filters-heading",className:"explorer-filters-heading",children:n.advisors.filtersHeading}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"advisor-area",children:n.advisors.area}),t.jsx("input",{id:"advisor-area",type:"search",value:r.area,"aria-describedby":"advisor-area-hint",onChange:e=>p("area",e.target.value)}),t.jsx("small",{id:"advisor-area-hint",children:n.advisors.areaHint})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"advisor-method",children:n.advisors.methodology}),t.jsxs("select",{id:"advisor-method",value:r.method,onChange:e=>p("method",e.target.value),children:[t.jsx("option",{value:"",children:n.any}),m.map(e=>t.jsx("option",{value:e,children:n.advisors.methodsCultures[e]},e))]})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"advisor-institution",children:n.advisors.institution}),t.jsxs("select",{id:"advisor-institution",value:r.institution,onChange:e=>p("institution",e.target.value),children:[t.jsx("option",{value:"",children:n.any}),l.map(e=>t.jsx("option",{value:e.value,children:e.label},e.value))]})]}),t.jsxs("div",{className:"explorer-field explorer-field--checkbox",children:[t.jsx("input",{id:"advisor-accepting",type:"checkbox",checked:r.acceptingOnly,onChange:e=>p("acceptingOnly",e.target.checked)}),t.jsx("label",{htmlFor:"advisor-accepting",children:n.advisors.acceptingOnly})]}),t.jsx("button",{type:"button",className:"explorer-button",onClick:()=>i(N),children:n.advisors.reset})]}),t.jsxs("section",{className:"explorer-results","aria-labelledby":"advisor-result-count",children:[t.jsx("h2",{className:"explorer-advisors-heading",children:n.advisors.heading}),t.jsx("p",{className:"explorer-intro",children:n.advisors.intro}),t.jsx("p",{id:"advisor-result-count",className:"explorer-result-count","aria-live":"polite",children:c(n.advisors.resultCount,{shown:o.length,total:y.length})}),0===o.length?t.jsx("p",{className:"explorer-empty",children:n.advisors.noResults}):t.jsx("ul",{className:"explorer-result-list",children:o.map(e=>t.jsx("li",{children:t.jsx(A,{member:e,program:d.get(e.programId),lang:a,t:n})},e.id))})]})]})};const R=[{key:"stipend",value:e=>e.stipendApproxUSD,best:"max"},{key:"years",value:e=>e.yearsGuaranteed,best:"max"},{key:"summerFunding",value:e=>e.additionalSummerFunding,best:!0},{key:"gre",value:e=>e.greRequired,best:!1},{key:"writingSample",value:e=>e.writingSampleRequired,best:!1},{key:"cohortSize",value:e=>e.cohortSizeApprox},{key:"acceptanceRate",value:e=>e.acceptanceRateApprox,best:"max"}];const F=["programDescription","admissionsExpectations","mentorshipCulture","practicalWarnings","whatApplicantsShouldKnow"],L=({programs:e,notes:r,lang:s,t:a,onRemove:n})=>{const i=(e,r)=>{if(null===r)return a.card.notReported;if("boolean"==typeof r)return r?a.compare.yes:a.compare.no;switch(e){case"stipend":return S(r,s);case"years":return c(a.card.years,{years:r});case"acceptanceRate":return function(e,r){return new Intl.NumberFormat(l(r),{style:"percent",maximumFractionDigits:1}).format(e/100)}(r,s);default:return new Intl.NumberFormat(l(s)).format(r)}};return t.jsx("div",{className:"explorer-compare-table-wrapper",role:"region","aria-label":a.compare.tableRegion,tabIndex:0,children:t.jsxs("table",{className:"explorer-compare-table",children:[t.jsx("caption",{children:c(a.compare.caption,{count:e.length})}),t.jsx("thead",{children:t.jsxs("tr",{children:[t.jsx("td",{className:"explorer-compare-corner",children:a.compare.program}),e.map(e=>t.jsxs("th",{scope:"col",children:[t.jsx("a",{href:o(e,"url",s),children:o(e,"institution",s)}),t.jsx("span",{className:"explorer-compare-degree",children:o(e,"degree",s)}),t.jsx("button",{type:"button",className:"explorer-button explorer-button--small explorer-compare-remove",onClick:()=>n(e.id),"aria-label":c(a.compare.remove,{name:o(e,"institution",s)}),children:"×"})]},e.id))]})}),t.jsxs("tbody",{children:[R.map(r=>{const s=e.map(r.value),n=new Set(function(e,r){if(void 0===r)return[];const t=e.filter(e=>null!==e);if(t.length<2||t.every(e=>e===t[0]))return[];let s;if("max"===r||"min"===r){const e=t.filter(e=>"number"==typeof e);s="max"===r?Math.max(...e):Math.min(...e)}else s=r;return e.flatMap((e,r)=>e===s?[r]:[])}(s,r.best));return t.jsxs("tr",{children:[t.jsx("th",{scope:"row",children:a.compare.rows[r.key]}),s.map((s,l)=>t.jsxs("td",{className:n.has(l)?"explorer-compare-best":void 0,children:[i(r.key,s),n.has(l)&&t.jsx("span",{className:"explorer-compare-best-label",children:a.compare.best})]},e[l].id))]},r.key)}),t.jsxs("tr",{children:[t.jsx("th",{scope:"row",children:a.compare.rows.methodsCulture}),e.map(e=>t.jsx("td",{children:o(e,"methodsCulture",s)},e.id))]})]}),t.jsxs("tbody",{className:"explorer-compare-notes",children:[t.jsx("tr",{children:t.jsx("th",{scope:"colgroup",colSpan:e.length+1,children:a.compare.notesHeading})}),"ready"!==r.status?t.jsx("tr",{children:t.jsx("td",{colSpan:e.length+1,"aria-live":"polite",children:"loading"===r.status?a.compare.notesLoading:a.compare.notesError})}):F.map(s=>t.jsxs("tr",{children:[t.jsx("th",{scope:"row",children:a.compare.notes[s]}),e.map(e=>{var n;return t.jsx("td",{children:(null==(n=r.notes[e.id])?void 0:n[s])||a.card.notReported},e.id)})]},s))]})]})})},E={en:()=>f(()=>import("./programNotes.en-D6Buohuv.js"),[]),es:()=>f(()=>import("./programNotes.es-BNFKVLTN.js"),[])};const P=({programs:e,lang:r,t:a,onRemove:n,onClear:i,onBackToList:l})=>{const o=e.length>=2,d=function(e,r){const[t,a]=s.useState({status:"loading"});return s.useEffect(()=>{if(!r)return;let t=!1;return a({status:"loading"}),E[e]().then(e=>{t||a({status:"ready",notes:e.default})}).catch(()=>{t||a({status:"error"})}),()=>{t=!0}},[e,r]),t}(r,o);return t.jsxs("section",{className:"explorer-compare","aria-labelledby":"explorer-compare-heading",children:[t.jsx("h2",{id:"explorer-compare-heading",children:a.compare.heading}),o?t.jsxs(t.Fragment,{children:[t.jsxs("div",{className:"explorer-compare-actions",children:[t.jsx("button",{type:"button",className:"explorer-button",onClick:()=>window.print(),children:a.compare.print}),t.jsx("button",{type:"button",className:"explorer-button",onClick:i,children:a.compare.clear}),t.jsx("button",{type:"button",className:"explorer-button",onClick:l,children:a.compare.backToList})]}),t.jsx(L,{programs:e,notes:d,lang:r,t:a,onRemove:n}),t.jsx("p",{className:"explorer-compare-legend",children:a.compare.bestLegend})]}):t.jsxs(t.Fragment,{children:[t.jsx("p",{children:c(a.compare.instructions,{min:2,max:4})}),t.jsxs("p",{className:"explorer-compare-status","aria-live":"polite",children:[c(a.compare.selectedCount,{count:e.length,max:4}),"."," ",c(a.compare.needMore,{min:2})]}),t.jsx("button",{type:"button",className:"explorer-button",onClick:l,children:a.compare.backToList})]}),t.jsx("p",{className:"explorer-disclaimer",children:a.fundingDisclaimer})]})},U=["institution","stipend","years","acceptance","updated"],O={degree:"",focus:"",mode:"",gre:"any",stipendMin:null,stipendMax:null,yearsMin:null,country:"",state:"",acceptingOnly:!1,sort:"institution"},D=e=>Array.from(new Set(e));function $(e,r,t=""){const s=new Map;for(const n of e)n.focusAreas_en.forEach((e,t)=>{s.has(e)||s.set(e,"es"===r?n.focusAreas_es[t]??e:e)});const a=new Intl.Collator(r);return{degrees:D(e.map(e=>e.degreeType)),focusAreas:Array.from(s,([e,r])=>({value:e,label:r})).sort((e,r)=>a.compare(e.label,r.label)),modes:D(e.map(e=>e.deliveryMode)),countries:D(e.map(e=>e.country)).sort(a.compare),states:D(e.filter(e=>!t||e.country===t).map(e=>e.state).filter(e=>Boolean(e))).sort(a.compare)}}function I(e,r,t){return function(e,r,t){const s=new Intl.Collator(t),a=(e,r)=>s.compare(e[`institution_${t}`],r[`institution_${t}`]),n=(e,r)=>(t,s)=>{const n=e(t),i=e(s);return n===i?a(t,s):null===n?1:null===i?-1:(n-i)*r},i={institution:a,stipend:n(e=>e.stipendApproxUSD,-1),years:n(e=>e.yearsGuaranteed,-1),acceptance:n(e=>e.acceptanceRateApprox,1),updated:(e,r)=>r.lastUpdated.localeCompare(e.lastUpdated)||a(e,r)};return[...e].sort(i[r])}(e.filter(e=>function(e,r){if(r.degree&&e.degreeType!==r.degree)return!1;if(r.focus&&!e.focusAreas_en.includes(r.focus))return!1;if(r.mode&&e.deliveryMode!==r.mode)return!1;if("required"===r.gre&&!e.greRequired)return!1;if("notRequired"===r.gre&&e.greRequired)return!1;if(null!==r.stipendMin||null!==r.stipendMax){if(null===e.stipendApproxUSD)return!1;if(null!==r.stipendMin&&e.stipendApproxUSD<r.stipendMin)return!1;if(null!==r.stipendMax&&e.stipendApproxUSD>r.stipendMax)return!1}return!(null!==r.yearsMin&&(e.yearsGuaranteed??0)<r.yearsMin||r.country&&e.country!==r.country||r.state&&e.state!==r.state||r.acceptingOnly&&!e.acceptingApplications)}(e,r)),r.sort,t)}const q=e=>{if(null===e||""===e.trim())return null;const r=Number(e);return Number.isFinite(r)&&r>=0?r:null},T=(e,r,t)=>null!==e&&r.includes(e)?e:t;const B=e=>{if(""===e.trim())return null;const r=Number(e);return Number.isFinite(r)&&r>=0?r:null},H=({filters:e,options:r,t:s,onChange:a})=>{const n=(r,t)=>{const s={...e,[r]:t};"country"===r&&(s.state=""),a(s)};return t.jsxs("form",{className:"explorer-filters","aria-labelledby":"explorer-filters-heading",onSubmit:e=>e.preventDefault(),children:[t.jsx("h2",{id:"explorer-filters-heading",className:"explorer-filters-heading",children:s.filtersHeading}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-degree",children:s.degree}),t.jsxs("select",{id:"explorer-degree",value:e.degree,onChange:e=>n("degree",e.target.value),children:[t.jsx("option",{value:"",children:s.any}),r.degrees.map(e=>t.jsx("option",{value:e,children:s.degreeTypes[e]},e))]})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-focus",children:s.focusArea}),t.jsxs("select",{id:"explorer-focus",value:e.focus,onChange:e=>n("focus",e.target.value),children:[t.jsx("option",{value:"",children:s.any}),r.focusAreas.map(e=>t.jsx("option",{value:e.value,children:e.label},e.value))]})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-mode",children:s.deliveryMode}),t.jsxs("select",{id:"explorer-mode",value:e.mode,onChange:e=>n("mode",e.target.value),children:[t.jsx("option",{value:"",children:s.any}),r.modes.map(e=>t.jsx("option",{value:e,children:s.deliveryModes[e]},e))]})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-gre",children:s.gre}),t.jsx("select",{id:"explorer-gre",value:e.gre,onChange:e=>n("gre",e.target.value),children:Object.keys(s.greOptions).map(e=>t.jsx("option",{value:e,children:s.greOptions[e]},e))})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-stipend-min",children:s.stipendMin}),t.jsx("input",{id:"explorer-stipend-min",type:"number",inputMode:"numeric",min:0,step:1e3,value:e.stipendMin??"",onChange:e=>n("stipendMin",B(e.target.value))})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-stipend-max",children:s.stipendMax}),t.jsx("input",{id:"explorer-stipend-max",type:"number",inputMode:"numeric",min:0,step:1e3,value:e.stipendMax??"",onChange:e=>n("stipendMax",B(e.target.value))})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-years",children:s.yearsMin}),t.jsx("input",{id:"explorer-years",type:"number",inputMode:"numeric",min:0,max:10,value:e.yearsMin??"",onChange:e=>n("yearsMin",B(e.target.value))})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-country",children:s.country}),t.jsxs("select",{id:"explorer-country",value:e.country,onChange:e=>n("country",e.target.value),children:[t.jsx("option",{value:"",children:s.any}),r.countries.map(e=>t.jsx("option",{value:e,children:e},e))]})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-state",children:s.state}),t.jsxs("select",{id:"explorer-state",value:e.state,disabled:0===r.states.length,onChange:e=>n("state",e.target.value),children:[t.jsx("option",{value:"",children:s.any}),r.states.map(e=>t.jsx("option",{value:e,children:e},e))]})]}),t.jsxs("div",{className:"explorer-field explorer-field--checkbox",children:[t.jsx("input",{id:"explorer-accepting",type:"checkbox",checked:e.acceptingOnly,onChange:e=>n("acceptingOnly",e.target.checked)}),t.jsx("label",{htmlFor:"explorer-accepting",children:s.acceptingOnly})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"explorer-sort",children:s.sortBy}),t.jsx("select",{id:"explorer-sort",value:e.sort,onChange:e=>n("sort",e.target.value),children:U.map(e=>t.jsx("option",{value:e,children:s.sortOptions[e]},e))})]}),t.jsx("button",{type:"button",className:"explorer-button",onClick:()=>a({...O,sort:e.sort}),children:s.resetFilters})]})},V={interests:[],keywords:"",method:"",minStipend:null,minYears:null,gre:"any",country:"",state:"",mode:""},Y={interests:30,methods:20,stipend:15,years:10,gre:10,location:10,delivery:5},G={interests:50,methods:30,advisees:20},W=(e,r,t,s,a={})=>({criterion:e,points:Math.round(r[e]*Math.min(1,Math.max(0,t))*10)/10,max:r[e],key:s,values:a}),z=(e,r)=>{const t=r.reduce((e,r)=>e+r.max,0),s=r.reduce((e,r)=>e+r.points,0);return{item:e,score:0===t?0:Math.round(s/t*100),reasons:r}};function Z(e){return e.split(",").map(e=>e.trim()).filter(Boolean)}const J=(e,r)=>{const t=j(e);return r.some(e=>{const r=j(e);return""!==r&&(r.includes(t)||t.includes(r))})};const Q=(e,r)=>(t,s)=>s.score-t.score||r.compare(e(t.item),e(s.item));function K(e,r,t,s){const a=new Intl.Collator(s),n=e.map(e=>function(e,r,t,s){const a=Y,n=[],i=Z(t.keywords),l=t.interests.length+i.length;if(l>0){const o=r.flatMap(e=>[...e.researchAreas_en,...e.researchAreas_es]),c=[...t.interests.map(r=>e.focusAreas_en.indexOf(r)).filter(e=>e>=0).map(r=>e[`focusAreas_${s}`][r]??e.focusAreas_en[r]),...i.filter(r=>J(r,[...e.focusAreas_en,...e.focusAreas_es,...o]))];n.push(c.length>0?W("interests",a,c.length/l,"interestsMatched",{matched:c.length,total:l,areas:c.join(", ")}):W("interests",a,0,"interestsNone",{total:l}))}const o=t.method;if(o){const e=r.filter(e=>e.methodologicalStrengths.includes(o));n.push(0===r.length?W("methods",a,0,"methodsNoFaculty",{method:o}):W("methods",a,e.length/r.length,"methodsFaculty",{count:e.length,total:r.length,method:o}))}if(null!==t.minStipend){const r=e.stipendApproxUSD;n.push(null===r?W("stipend",a,0,"stipendUnknown"):r>=t.minStipend?W("stipend",a,1,"stipendMeets",{stipend:r,min:t.minStipend}):W("stipend",a,r/t.minStipend,"stipendBelow",{stipend:r,min:t.minStipend}))}if(null!==t.minYears){const r=e.yearsGuaranteed;n.push(null===r?W("years",a,0,"yearsUnknown"):r>=t.minYears?W("years",a,1,"yearsMeets",{years:r,min:t.minYears}):W("years",a,r/t.minYears,"yearsBelow",{years:r,min:t.minYears}))}if("avoid"===t.gre&&n.push(e.greRequired?W("gre",a,0,"greRequired"):W("gre",a,1,"greNotRequired")),t.country){const r=[e.city,e.state,e.country].filter(Boolean).join(", ");e.country!==t.country?n.push(W("location",a,0,"locationOther",{place:r})):t.state&&e.state!==t.state?n.push(W("location",a,.5,"locationSameCountry",{place:r})):n.push(W("location",a,1,"locationMatch",{place:r}))}return t.mode&&(e.deliveryMode===t.mode?n.push(W("delivery",a,1,"deliveryMatch",{mode:e.deliveryMode})):"Hybrid"===e.deliveryMode?n.push(W("delivery",a,.5,"deliveryHybrid",{mode:e.deliveryMode})):n.push(W("delivery",a,0,"deliveryMismatch",{mode:e.deliveryMode}))),z(e,n)}(e,r.filter(r=>e.facultyIds.includes(r.id)),t,s)).sort(Q(e=>e[`institution_${s}`],a)),i=t.interests.length>0||Z(t.keywords).length>0||t.method?r.map(e=>function(e,r,t){const s=G,a=[],n=[...e.researchAreas_en,...e.researchAreas_es],i=[...r.interests,...Z(r.keywords)];if(i.length>0){const r=i.filter(e=>J(e,n)),l=e[`researchAreas_${t}`].filter((r,t)=>{const s=[e.researchAreas_en[t]??"",e.researchAreas_es[t]??""];return i.some(e=>J(e,s))});a.push(r.length>0?W("interests",s,r.length/i.length,"interestsMatched",{matched:r.length,total:i.length,areas:l.join(", ")}):W("interests",s,0,"interestsNone",{total:i.length}))}return r.method&&a.push(e.methodologicalStrengths.includes(r.method)?W("methods",s,1,"methodsMatch",{method:r.method}):W("methods",s,0,"methodsMiss",{method:r.method})),a.push(e.acceptingAdvisees?W("advisees",s,1,"accepting"):W("advisees",s,0,"notAccepting")),z(e,a)}(e,t,s)).sort(Q(e=>e.name,a)):[];return{programs:n,faculty:i}}const X=e=>{if(""===e.trim())return null;const r=Number(e);return Number.isFinite(r)&&r>0?r:null},ee=({programs:e,lang:r,t:a})=>{const[n,i]=s.useState(V),l=s.useMemo(()=>$(e,r,n.country),[e,r,n.country]),d=s.useMemo(()=>K(e,y,n,r),[e,n,r]),p=s.useMemo(()=>new Map(e.map(e=>[e.id,e])),[e]),h=function(e){return e.interests.length>0||Z(e.keywords).length>0||""!==e.method||null!==e.minStipend||null!==e.minYears||"avoid"===e.gre||""!==e.country||""!==e.mode}(n),u=(e,r)=>i(t=>({...t,[e]:r,..."country"===e?{state:""}:{}})),x=e=>{const t={...e.values};return"number"==typeof t.stipend&&(t.stipend=S(t.stipend,r)),e.key.startsWith("stipend")&&"number"==typeof t.min&&(t.min=S(t.min,r)),"string"==typeof t.method&&(t.method=a.advisors.methodsCultures[t.method]),"string"==typeof t.mode&&(t.mode=a.deliveryModes[t.mode]),c(a.match.reasons[e.key],t)},g=e=>t.jsx("ul",{className:"explorer-match-reasons",children:e.map(e=>t.jsxs("li",{children:[t.jsx("strong",{children:a.match.criteria[e.criterion]})," (",c(a.match.points,{points:e.points,max:e.max}),"): ",x(e)]},e.criterion))});return t.jsxs("div",{className:"explorer-layout",children:[t.jsxs("form",{className:"explorer-filters","aria-labelledby":"match-questions-heading",onSubmit:e=>e.preventDefault(),children:[t.jsx("h2",{id:"match-questions-heading",className:"explorer-filters-heading",children:a.match.questionsHeading}),t.jsxs("fieldset",{className:"explorer-fieldset",children:[t.jsx("legend",{children:a.match.interests}),l.focusAreas.map((e,r)=>t.jsxs("div",{className:"explorer-field explorer-field--checkbox",children:[t.jsx("input",{id:`match-interest-${r}`,type:"checkbox",checked:n.interests.includes(e.value),onChange:()=>(e=>u("interests",n.interests.includes(e)?n.interests.filter(r=>r!==e):[...n.interests,e]))(e.value)}),t.jsx("label",{htmlFor:`match-interest-${r}`,children:e.label})]},e.value))]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"match-keywords",children:a.match.keywords}),t.jsx("input",{id:"match-keywords",type:"text",value:n.keywords,"aria-describedby":"match-keywords-hint",onChange:e=>u("keywords",e.target.value)}),t.jsx("small",{id:"match-keywords-hint",children:a.match.keywordsHint})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"match-method",children:a.match.methodology}),t.jsxs("select",{id:"match-method",value:n.method,onChange:e=>u("method",e.target.value),children:[t.jsx("option",{value:"",children:a.match.noPreference}),m.map(e=>t.jsx("option",{value:e,children:a.advisors.methodsCultures[e]},e))]})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"match-stipend",children:a.match.minStipend}),t.jsx("input",{id:"match-stipend",type:"number",inputMode:"numeric",min:0,step:1e3,value:n.minStipend??"",onChange:e=>u("minStipend",X(e.target.value))})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"match-years",children:a.match.minYears}),t.jsx("input",{id:"match-years",type:"number",inputMode:"numeric",min:0,max:10,value:n.minYears??"",onChange:e=>u("minYears",X(e.target.value))})]}),t.jsxs("fieldset",{className:"explorer-fieldset",children:[t.jsx("legend",{children:a.match.gre}),["any","avoid"].map(e=>t.jsxs("div",{className:"explorer-field explorer-field--checkbox",children:[t.jsx("input",{id:`match-gre-${e}`,type:"radio",name:"match-gre",checked:n.gre===e,onChange:()=>u("gre",e)}),t.jsx("label",{htmlFor:`match-gre-${e}`,children:a.match.greOptions[e]})]},e))]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"match-country",children:a.match.country}),t.jsxs("select",{id:"match-country",value:n.country,onChange:e=>u("country",e.target.value),children:[t.jsx("option",{value:"",children:a.match.noPreference}),l.countries.map(e=>t.jsx("option",{value:e,children:e},e))]})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"match-state",children:a.match.state}),t.jsxs("select",{id:"match-state",value:n.state,disabled:!n.country||0===l.states.length,onChange:e=>u("state",e.target.value),children:[t.jsx("option",{value:"",children:a.match.noPreference}),l.states.map(e=>t.jsx("option",{value:e,children:e},e))]})]}),t.jsxs("div",{className:"explorer-field",children:[t.jsx("label",{htmlFor:"match-mode",children:a.match.deliveryMode}),t.jsxs("select",{id:"match-mode",value:n.mode,onChange:e=>u("mode",e.target.value),children:[t.jsx("option",{value:"",children:a.match.noPreference}),l.modes.map(e=>t.jsx("option",{value:e,children:a.deliveryModes[e]},e))]})]}),t.jsx("button",{type:"button",className:"explorer-button",onClick:()=>i(V),children:a.match.reset})]}),t.jsxs("section",{className:"explorer-results","aria-labelledby":"match-heading",children:[t.jsx("h2",{id:"match-heading",className:"explorer-advisors-heading",children:a.match.heading}),t.jsx("p",{className:"explorer-intro",children:a.match.intro}),t.jsxs("details",{className:"explorer-match-how",children:[t.jsx("summary",{children:a.match.howHeading}),t.jsx("p",{children:a.match.howIntro}),t.jsx("h3",{children:a.match.howPrograms}),t.jsx("ul",{children:Object.entries(Y).map(([e,r])=>t.jsxs("li",{children:[a.match.criteria[e],":"," ",c(a.match.weight,{points:r})]},e))}),t.jsx("h3",{children:a.match.howFaculty}),t.jsx("ul",{children:Object.entries(G).map(([e,r])=>t.jsxs("li",{children:[a.match.criteria[e],":"," ",c(a.match.weight,{points:r})]},e))})]}),h?t.jsxs(t.Fragment,{children:[t.jsx("h3",{children:a.match.programsHeading}),t.jsx("ol",{className:"explorer-result-list explorer-match-list",children:d.programs.map(({item:e,score:s,reasons:n},i)=>t.jsxs("li",{className:"explorer-card",children:[t.jsxs("p",{className:"explorer-match-score",children:[c(a.match.rank,{rank:i+1})," ·"," ",c(a.match.score,{score:s})]}),t.jsx("h4",{className:"explorer-card-title",children:t.jsx("a",{href:o(e,"url",r),children:o(e,"institution",r)})}),t.jsx("p",{className:"explorer-card-degree",children:o(e,"degree",r)}),g(n)]},e.id))}),t.jsx("h3",{children:a.match.facultyHeading}),0===d.faculty.length?t.jsx("p",{children:a.match.facultyPrompt}):t.jsx("ol",{className:"explorer-result-list explorer-match-list",children:d.faculty.map(({item:e,score:s,reasons:n},i)=>{const l=p.get(e.programId);return t.jsxs("li",{className:"explorer-card",children:[t.jsxs("p",{className:"explorer-match-score",children:[c(a.match.rank,{rank:i+1})," ·"," ",c(a.match.score,{score:s})]}),t.jsx("h4",{className:"explorer-card-title",children:t.jsx("a",{href:b(e,r),children:e.name})}),t.jsxs("p",{className:"explorer-card-degree",children:[o(e,"title",r),l&&t.jsxs(t.Fragment,{children:[", ",t.jsx("a",{href:o(l,"url",r),children:o(l,"institution",r)})]})]}),g(n)]},e.id)})})]}):t.jsx("p",{className:"explorer-empty","aria-live":"polite",children:a.match.prompt})]})]})},re=({program:e,lang:r,t:s,compare:a})=>{const n=[e.city,e.state,e.country].filter(Boolean).join(", ");return t.jsxs("article",{className:"explorer-card","aria-labelledby":`program-${e.id}`,children:[t.jsx("h3",{id:`program-${e.id}`,className:"explorer-card-title",children:t.jsx("a",{href:o(e,"url",r),children:o(e,"institution",r)})}),t.jsx("p",{className:"explorer-card-degree",children:o(e,"degree",r)}),t.jsxs("dl",{className:"explorer-card-facts",children:[t.jsxs("div",{children:[t.jsx("dt",{children:s.card.location}),t.jsx("dd",{children:n})]}),t.jsxs("div",{children:[t.jsx("dt",{children:s.card.delivery}),t.jsx("dd",{children:s.deliveryModes[e.deliveryMode]})]}),t.jsxs("div",{children:[t.jsx("dt",{children:s.card.focusAreas}),t.jsx("dd",{children:o(e,"focusAreas",r).join(", ")})]}),t.jsxs("div",{children:[t.jsx("dt",{children:s.card.stipend}),t.jsx("dd",{children:null===e.stipendApproxUSD?s.card.notReported:c(s.card.perYear,{amount:S(e.stipendApproxUSD,r)})})]}),t.jsxs("div",{children:[t.jsx("dt",{children:s.card.yearsGuaranteed}),t.jsx("dd",{children:null===e.yearsGuaranteed?s.card.notReported:c(s.card.years,{years:e.yearsGuaranteed})})]})]}),t.jsxs("ul",{className:"explorer-card-badges",children:[t.jsx("li",{children:e.greRequired?s.card.greRequired:s.card.greNotRequired}),t.jsx("li",{className:e.acceptingApplications?"explorer-badge--positive":"explorer-badge--muted",children:e.acceptingApplications?s.card.accepting:s.card.notAccepting})]}),t.jsxs("p",{className:"explorer-card-links",children:[t.jsx("a",{href:o(e,"url",r),children:s.card.details}),t.jsx("a",{href:e.officialWebsite,rel:"noopener noreferrer",target:"_blank",children:s.card.officialSite})]}),a&&t.jsxs("div",{className:"explorer-field explorer-field--checkbox explorer-card-compare",children:[t.jsx("input",{id:`compare-${e.id}`,type:"checkbox",checked:a.selected,disabled:a.disabled,"aria-describedby":a.disabled?"explorer-compare-limit":void 0,onChange:a.onToggle}),t.jsx("label",{htmlFor:`compare-${e.id}`,children:s.card.compare})]}),t.jsx("p",{className:"explorer-card-updated",children:c(s.card.lastUpdated,{date:C(e.lastUpdated,r)})})]})},te=({programs:e,compareIds:r,lang:s,t:a,onCompareIdsChange:n,onOpenCompare:i})=>{const l=r.length>=4;return t.jsxs(t.Fragment,{children:[r.length>0&&t.jsxs("div",{className:"explorer-compare-bar",children:[t.jsx("p",{"aria-live":"polite",children:c(a.compare.selectedCount,{count:r.length,max:4})}),l&&t.jsx("p",{id:"explorer-compare-limit",children:c(a.compare.limitReached,{max:4})}),t.jsx("button",{type:"button",className:"explorer-button",disabled:r.length<2,onClick:i,children:a.compare.open}),t.jsx("button",{type:"button",className:"explorer-button",onClick:()=>n([]),children:a.compare.clear})]}),0===e.length?t.jsx("p",{className:"explorer-empty",children:a.noResults}):t.jsx("ul",{className:"explorer-result-list",children:e.map(e=>{const i=r.includes(e.id);return t.jsx("li",{children:t.jsx(re,{program:e,lang:s,t:a,compare:{selected:i,disabled:l&&!i,onToggle:()=>{return n((t=r,s=e.id,t.includes(s)?t.filter(e=>e!==s):t.length<4?[...t,s]:t));var t,s}}})},e.id)})})]})};class se extends a.Component{constructor(){super(...arguments),r(this,"state",{hasError:!1})}static getDerivedStateFromError(){return{hasError:!0}}render(){return this.state.hasError?this.props.fallback:this.props.children}}const ae=["list","map","compare","advisors","match"],ne="list";const ie=s.lazy(()=>f(()=>import("./MapView-CYSjFtx8.js"),__vite__mapDeps([0,1,2,3]))),le=g.map(e=>e.id),oe=()=>{const e=d(),r=p(e).explorer,[a,n]=function(){const[e,r]=s.useState(()=>window.location.search);s.useEffect(()=>{const e=()=>r(window.location.search);return window.addEventListener("popstate",e),()=>window.removeEventListener("popstate",e)},[]);const t=s.useCallback(e=>{const t=e(new URLSearchParams(window.location.search)).toString(),s=`${window.location.pathname}${t?`?${t}`:""}${window.location.hash}`;window.history.replaceState(window.history.state,"",s),r(t?`?${t}`:"")},[]);return[new URLSearchParams(e),t]}(),i=a.toString(),l=s.useMemo(()=>function(e){const r=new URLSearchParams(e);return{degree:T(r.get("degree"),x,""),focus:r.get("focus")??"",mode:T(r.get("mode"),u,""),gre:T(r.get("gre"),["any","required","notRequired"],"any"),stipendMin:q(r.get("stipendMin")),stipendMax:q(r.get("stipendMax")),yearsMin:q(r.get("years")),country:r.get("country")??"",state:r.get("state")??"",acceptingOnly:"1"===r.get("accepting"),sort:T(r.get("sort"),U,O.sort)}}(i),[i]),o=function(e){const r=e.get("view");return ae.find(e=>e===r)??ne}(a),h=s.useMemo(()=>function(e){const r=new URLSearchParams(e),t=r.get("method");return{area:r.get("area")??"",method:m.find(e=>e===t)??"",acceptingOnly:"1"===r.get("advisees"),institution:r.get("institution")??""}}(i),[i]),j=s.useMemo(()=>function(e,r){const t=new Set(r),s=(e.get("compare")??"").split(",").map(e=>e.trim()).filter(e=>t.has(e));return Array.from(new Set(s)).slice(0,4)}(new URLSearchParams(i),le),[i]),v=s.useMemo(()=>$(g,e,l.country),[e,l.country]),f=s.useMemo(()=>I(g,l,e),[l,e]),y=j.map(e=>g.find(r=>r.id===e)).filter(e=>void 0!==e),b=e=>n(r=>function(e,r){const t=new URLSearchParams(r);return e===ne?t.delete("view"):t.set("view",e),t}(e,r)),N=e=>n(r=>function(e,r){const t=new URLSearchParams(r);return 0===e.length?t.delete("compare"):t.set("compare",e.join(",")),t}(e,r));return t.jsxs("div",{className:"explorer",children:[t.jsx("h2",{children:r.title}),t.jsx("p",{className:"explorer-intro",children:r.intro}),t.jsx("div",{className:"explorer-view-switch",role:"group","aria-label":r.views.label,children:ae.map(e=>t.jsx("button",{type:"button",className:"explorer-button","aria-pressed":o===e,onClick:()=>b(e),children:"compare"===e?c(r.views.compare,{count:j.length}):r.views[e]},e))}),"compare"===o?t.jsx(P,{programs:y,lang:e,t:r,onRemove:e=>N(j.filter(r=>r!==e)),onClear:()=>N([]),onBackToList:()=>b("list")}):"advisors"===o?t.jsx(_,{programs:g,filters:h,lang:e,t:r,onChange:e=>n(r=>function(e,r){const t=new URLSearchParams(r),s=(e,r)=>{r?t.set(e,r):t.delete(e)};return s("area",e.area),s("method",e.method),s("advisees",e.acceptingOnly?"1":""),s("institution",e.institution),t}(e,r))}):"match"===o?t.jsx(ee,{programs:g,lang:e,t:r}):t.jsxs("div",{className:"explorer-layout",children:[t.jsx(H,{filters:l,options:v,t:r,onChange:e=>n(r=>function(e,r){const t=new URLSearchParams(r),s=(e,r,s)=>{s||null===r||""===r?t.delete(e):t.set(e,String(r))};return s("degree",e.degree,e.degree===O.degree),s("focus",e.focus,e.focus===O.focus),s("mode",e.mode,e.mode===O.mode),s("gre",e.gre,e.gre===O.gre),s("stipendMin",e.stipendMin,null===e.stipendMin),s("stipendMax",e.stipendMax,null===e.stipendMax),s("years",e.yearsMin,null===e.yearsMin),s("country",e.country,e.country===O.country),s("state",e.state,e.state===O.state),s("accepting",e.acceptingOnly?"1":null,!e.acceptingOnly),s("sort",e.sort,e.sort===O.sort),t}(e,r))}),t.jsxs("section",{className:"explorer-results","aria-labelledby":"explorer-result-count",children:[t.jsx("p",{id:"explorer-result-count",className:"explorer-result-count","aria-live":"polite",children:c(r.resultCount,{shown:f.length,total:g.length})}),"map"===o?t.jsx(se,{fallback:t.jsx("p",{children:r.map.loadError}),children:t.jsx(s.Suspense,{fallback:t.jsx("p",{"aria-live":"polite",children:r.map.loading}),children:t.jsx(ie,{programs:f,lang:e,t:r})})}):t.jsx(te,{programs:f,compareIds:j,lang:e,t:r,onCompareIdsChange:N,onOpenCompare:()=>b("compare")}),t.jsx("p",{className:"explorer-disclaimer",children:r.fundingDisclaimer})]})]})]})},ce=document.getElementById("explorer-root");if(!ce)throw new Error("Explorer root element not found. Ensure #explorer-root exists in the HTML.");h.createRoot(ce).render(t.jsx(a.StrictMode,{children:t.jsx(oe,{})}));
+//# sourceMappingURL=explorer-B60rYQNR.js.map
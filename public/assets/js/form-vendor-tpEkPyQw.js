@@ -0,0 +1,11 @@
+var t,e,i,s,r,n,o,a,l,u,d,h,c,f,v,p,m,g,b=t=>{throw TypeError(t)},M=(t,e,i)=>e.has(t)||b("Cannot "+i),y=(t,e,i)=>(M(t,e,"read from private field"),i?i.call(t):e.get(t)),S=(t,e,i)=>e.has(t)?b("Cannot add the same private member more than once"):e instanceof WeakSet?e.add(t):e.set(t,i),V=(t,e,i,s)=>(M(t,e,"write to private field"),s?s.call(t,i):e.set(t,i),i);import{r as w,g as E}from"./react-vendor-B_uAldPx.js";var A,F,L={exports:{}},I={};var T=(F||(F=1,L.exports=function(){if(A)return I;A=1;var t=Symbol.for("react.transitional.element"),e=Symbol.for("react.fragment");function i(e,i,s){var r=null;if(void 0!==s&&(r=""+s),void 0!==i.key&&(r=""+i.key),"key"in i)for(var n in s={},i)"key"!==n&&(s[n]=i[n]);else s=i;return i=s.ref,{$$typeof:t,type:e,key:r,ref:void 0!==i?i:null,props:s}}return I.Fragment=e,I.jsx=i,I.jsxs=i,I}()),L.exports),k=w();const O=E(k),D=new WeakMap,j=new WeakMap,C={current:[]};let x=!1,B=0;const _=new Set,$=new Map;function W(t){const e=Array.from(t).sort((t,e)=>t instanceof z&&t.options.deps.includes(e)?1:e instanceof z&&e.options.deps.includes(t)?-1:0);for(const i of e){if(C.current.includes(i))continue;C.current.push(i),i.recompute();const t=j.get(i);if(t)for(const e of t){const t=D.get(e);t&&W(t)}}}function P(t){const e={prevVal:t.prevState,currentVal:t.state};for(const i of t.listeners)i(e)}function R(t){const e={prevVal:t.prevState,currentVal:t.state};for(const i of t.listeners)i(e)}function U(t){if(B>0&&!$.has(t)&&$.set(t,t.prevState),_.add(t),!(B>0||x))try{for(x=!0;_.size>0;){const t=Array.from(_);_.clear();for(const e of t){const t=$.get(e)??e.prevState;e.prevState=t,P(e)}for(const e of t){const t=D.get(e);t&&(C.current.push(e),W(t))}for(const e of t){const t=D.get(e);if(t)for(const e of t)R(e)}}}finally{x=!1,C.current=[],$.clear()}}function N(t){B++;try{t()}finally{if(B--,0===B){const t=_.values().next().value;t&&U(t)}}}class G{constructor(t,e){this.listeners=new Set,this.subscribe=t=>{var e,i;this.listeners.add(t);const s=null==(i=null==(e=this.options)?void 0:e.onSubscribe)?void 0:i.call(e,t,this);return()=>{this.listeners.delete(t),null==s||s()}},this.prevState=t,this.state=t,this.options=e}setState(t){var e,i,s;this.prevState=this.state,(null==(e=this.options)?void 0:e.updateFn)?this.state=this.options.updateFn(this.prevState)(t):!function(t){return"function"==typeof t}(t)?this.state=t:this.state=t(this.prevState),null==(s=null==(i=this.options)?void 0:i.onUpdate)||s.call(i),U(this)}}class z{constructor(t){this.listeners=new Set,this._subscriptions=[],this.lastSeenDepValues=[],this.getDepVals=()=>{const t=this.options.deps.length,e=new Array(t),i=new Array(t);for(let s=0;s<t;s++){const t=this.options.deps[s];e[s]=t.prevState,i[s]=t.state}return this.lastSeenDepValues=i,{prevDepVals:e,currDepVals:i,prevVal:this.prevState??void 0}},this.recompute=()=>{var t,e;this.prevState=this.state;const i=this.getDepVals();this.state=this.options.fn(i),null==(e=(t=this.options).onUpdate)||e.call(t)},this.checkIfRecalculationNeededDeeply=()=>{for(const s of this.options.deps)s instanceof z&&s.checkIfRecalculationNeededDeeply();let t=!1;const e=this.lastSeenDepValues,{currDepVals:i}=this.getDepVals();for(let s=0;s<i.length;s++)if(i[s]!==e[s]){t=!0;break}t&&this.recompute()},this.mount=()=>(this.registerOnGraph(),this.checkIfRecalculationNeededDeeply(),()=>{this.unregisterFromGraph();for(const t of this._subscriptions)t()}),this.subscribe=t=>{var e,i;this.listeners.add(t);const s=null==(i=(e=this.options).onSubscribe)?void 0:i.call(e,t,this);return()=>{this.listeners.delete(t),null==s||s()}},this.options=t,this.state=t.fn({prevDepVals:void 0,prevVal:void 0,currDepVals:this.getDepVals().currDepVals})}registerOnGraph(t=this.options.deps){for(const e of t)if(e instanceof z)e.registerOnGraph(),this.registerOnGraph(e.options.deps);else if(e instanceof G){let t=D.get(e);t||(t=new Set,D.set(e,t)),t.add(this);let i=j.get(this);i||(i=new Set,j.set(this,i)),i.add(e)}}unregisterFromGraph(t=this.options.deps){for(const e of t)if(e instanceof z)this.unregisterFromGraph(e.options.deps);else if(e instanceof G){const t=D.get(e);t&&t.delete(this);const i=j.get(this);i&&i.delete(e)}}}function q(t,...e){return function(t){return"function"==typeof t}(t)?t(...e):t}class K{constructor({pluginId:c,debug:f=!1,enabled:v=!0}){S(this,t,!0),S(this,e),S(this,i),S(this,s),S(this,r),S(this,n),S(this,o),S(this,a),S(this,l,0),S(this,u,5),S(this,d,()=>{this.debugLog("Connected to event bus"),V(this,n,!0),this.debugLog("Emitting queued events",y(this,r)),y(this,r).forEach(t=>this.emitEventToBus(t)),V(this,r,[]),this.stopConnectLoop(),y(this,i).call(this).removeEventListener("tanstack-connect-success",y(this,d))}),S(this,h,()=>{if(y(this,i).call(this).addEventListener("tanstack-connect-success",y(this,d)),y(this,l)<y(this,u))return(t=this,e=l,{set _(i){V(t,e,i,s)},get _(){return y(t,e,r)}})._++,void this.dispatchCustomEvent("tanstack-connect",{});var t,e,s,r;y(this,i).call(this).removeEventListener("tanstack-connect",y(this,h)),this.debugLog("Max retries reached, giving up on connection"),this.stopConnectLoop()}),V(this,e,c),V(this,t,v),V(this,i,this.getGlobalTarget),V(this,s,f),this.debugLog(" Initializing event subscription for plugin",y(this,e)),V(this,r,[]),V(this,n,!1),V(this,o,null),V(this,a,500)}startConnectLoop(){null!==y(this,o)||y(this,n)||(this.debugLog(`Starting connect loop (every ${y(this,a)}ms)`),V(this,o,setInterval(y(this,h),y(this,a))))}stopConnectLoop(){null!==y(this,o)&&(clearInterval(y(this,o)),V(this,o,null),this.debugLog("Stopped connect loop"))}debugLog(...t){y(this,s)}getGlobalTarget(){if("undefined"!=typeof globalThis&&globalThis.__TANSTACK_EVENT_TARGET__)return this.debugLog("Using global event target"),globalThis.__TANSTACK_EVENT_TARGET__;if("undefined"!=typeof window&&void 0!==window.addEventListener)return this.debugLog("Using window as event target"),window;const t="undefined"!=typeof EventTarget?new EventTarget:void 0;return void 0===t||void 0===t.addEventListener?(this.debugLog("No event mechanism available, running in non-web environment"),{addEventListener:()=>{},removeEventListener:()=>{},dispatchEvent:()=>!1}):(this.debugLog("Using new EventTarget as fallback"),t)}getPluginId(){return y(this,e)}dispatchCustomEventShim(t,e){try{const s=new Event(t,{detail:e});y(this,i).call(this).dispatchEvent(s)}catch(s){this.debugLog("Failed to dispatch shim event")}}dispatchCustomEvent(t,e){try{y(this,i).call(this).dispatchEvent(new CustomEvent(t,{detail:e}))}catch(s){this.dispatchCustomEventShim(t,e)}}emitEventToBus(t){this.debugLog("Emitting event to client bus",t),this.dispatchCustomEvent("tanstack-dispatch-event",t)}emit(i,s){if(y(this,t))return y(this,n)?this.emitEventToBus({type:`${y(this,e)}:${i}`,payload:s,pluginId:y(this,e)}):(this.debugLog("Bus not available, will be pushed as soon as connected"),y(this,r).push({type:`${y(this,e)}:${i}`,payload:s,pluginId:y(this,e)}),void("undefined"!=typeof CustomEvent&&(y(this,h).call(this),this.startConnectLoop())));this.debugLog("Event bus client is disabled, not emitting event",i,s)}on(s,r){const n=`${y(this,e)}:${s}`;if(!y(this,t))return this.debugLog("Event bus client is disabled, not registering event",n),()=>{};const o=t=>{this.debugLog("Received event from bus",t.detail),r(t.detail)};return y(this,i).call(this).addEventListener(n,o),this.debugLog("Registered event to bus",n),()=>{y(this,i).call(this).removeEventListener(n,o)}}onAll(e){if(!y(this,t))return this.debugLog("Event bus client is disabled, not registering event"),()=>{};const s=t=>{const i=t.detail;e(i)};return y(this,i).call(this).addEventListener("tanstack-devtools-global",s),()=>y(this,i).call(this).removeEventListener("tanstack-devtools-global",s)}onAllPluginEvents(s){if(!y(this,t))return this.debugLog("Event bus client is disabled, not registering event"),()=>{};const r=t=>{const i=t.detail;y(this,e)&&i.pluginId!==y(this,e)||s(i)};return y(this,i).call(this).addEventListener("tanstack-devtools-global",r),()=>y(this,i).call(this).removeEventListener("tanstack-devtools-global",r)}}t=new WeakMap,e=new WeakMap,i=new WeakMap,s=new WeakMap,r=new WeakMap,n=new WeakMap,o=new WeakMap,a=new WeakMap,l=new WeakMap,u=new WeakMap,d=new WeakMap,h=new WeakMap;const H=new class extends K{constructor(t){super({pluginId:"pacer",debug:null==t?void 0:t.debug})}};const J={enabled:!0,leading:!0,trailing:!0,wait:0};class Q{constructor(t,e){S(this,c),S(this,f),S(this,v),S(this,p),S(this,m),S(this,g),this.fn=t,this.store=new G({executionCount:0,isPending:!1,lastArgs:void 0,lastExecutionTime:0,nextExecutionTime:0,status:"idle",maybeExecuteCount:0}),this.setOptions=t=>{this.options={...this.options,...t},y(this,v).call(this)||this.cancel()},V(this,f,t=>{var e,i;this.store.setState(e=>{const i={...e,...t},{isPending:s}=i;return{...i,status:y(this,v).call(this)?s?"pending":"idle":"disabled"}}),e="Throttler",i=this,H.emit(e,i)}),V(this,v,()=>!!q(this.options.enabled,this)),V(this,p,()=>q(this.options.wait,this)),this.maybeExecute=(...t)=>{y(this,f).call(this,{maybeExecuteCount:this.store.state.maybeExecuteCount+1});const e=Date.now(),i=e-this.store.state.lastExecutionTime,s=y(this,p).call(this);if(this.options.leading&&i>=s)y(this,m).call(this,...t);else if(y(this,f).call(this,{lastArgs:t}),!y(this,c)&&this.options.trailing){const t=s-(this.store.state.lastExecutionTime?e-this.store.state.lastExecutionTime:0);y(this,f).call(this,{isPending:!0}),V(this,c,setTimeout(()=>{const{lastArgs:t}=this.store.state;void 0!==t&&y(this,m).call(this,...t)},t))}},V(this,m,(...t)=>{var e,i;if(!y(this,v).call(this))return;this.fn(...t);const s=Date.now(),r=s+y(this,p).call(this);y(this,g).call(this),y(this,f).call(this,{executionCount:this.store.state.executionCount+1,lastExecutionTime:s,nextExecutionTime:r,isPending:!1,lastArgs:void 0}),null==(i=(e=this.options).onExecute)||i.call(e,t,this),setTimeout(()=>{this.store.state.isPending||y(this,f).call(this,{nextExecutionTime:void 0})},y(this,p).call(this))}),this.flush=()=>{this.store.state.isPending&&this.store.state.lastArgs&&y(this,m).call(this,...this.store.state.lastArgs)},V(this,g,()=>{y(this,c)&&(clearTimeout(y(this,c)),V(this,c,void 0))}),this.cancel=()=>{y(this,g).call(this),y(this,f).call(this,{lastArgs:void 0,isPending:!1})},this.reset=()=>{y(this,f).call(this,{executionCount:0,isPending:!1,lastArgs:void 0,lastExecutionTime:0,nextExecutionTime:0,status:"idle",maybeExecuteCount:0})},this.key=e.key||("undefined"!=typeof crypto&&"function"==typeof crypto.randomUUID?crypto.randomUUID():""),this.options={...J,...e},y(this,f).call(this,this.options.initialState??{}),H.on("d-Throttler",t=>{t.payload.key===this.key&&(y(this,f).call(this,t.payload.store.state),this.setOptions(t.payload.options))})}}function X(t,e){return"function"==typeof t?t(e):t}function Y(t,e){return at(e).reduce((t,e)=>null===t?null:void 0!==t?t[e]:void 0,t)}function Z(t,e,i){const s=at(e);return function t(e){if(!s.length)return X(i,e);const r=s.shift();if("string"==typeof r||"number"==typeof r&&!Array.isArray(e))return"object"==typeof e?(null===e&&(e={}),{...e,[r]:t(e[r])}):{[r]:t()};if(Array.isArray(e)&&"number"==typeof r){const i=e.slice(0,r);return[...i.length?i:new Array(r),t(e[r]),...e.slice(r+1)]}return[...new Array(r),t()]}(t)}c=new WeakMap,f=new WeakMap,v=new WeakMap,p=new WeakMap,m=new WeakMap,g=new WeakMap;const tt=/^(\d+)$/gm,et=/\.(\d+)(?=\.)/gm,it=/^(\d+)\./gm,st=/\.(\d+$)/gm,rt=/\.{2,}/gm,nt="__int__",ot=`${nt}$1`;function at(t){if(Array.isArray(t))return[...t];if("string"!=typeof t)throw new Error("Path must be a string.");return t.replace(/(^\[)|]/gm,"").replace(/\[/g,".").replace(tt,ot).replace(et,`.${ot}.`).replace(it,`${ot}.`).replace(st,`.${ot}`).replace(rt,".").split(".").map(t=>{if(t.startsWith(nt)){const e=t.substring(nt.length),i=parseInt(e,10);return String(i)===e?i:e}return t})}function lt(t){return!(Array.isArray(t)&&0===t.length)}function ut(t,e){return e.validationLogic({form:e.form,validators:e.validators,event:{type:t,async:!1},runValidation:t=>t.validators.filter(Boolean).map(t=>({cause:t.cause,validate:t.fn}))})}function dt(t,e){const{asyncDebounceMs:i}=e,{onBlurAsyncDebounceMs:s,onChangeAsyncDebounceMs:r,onDynamicAsyncDebounceMs:n}=e.validators||{},o=i??0;return e.validationLogic({form:e.form,validators:e.validators,event:{type:t,async:!0},runValidation:e=>e.validators.filter(Boolean).map(e=>{const i=(null==e?void 0:e.cause)||t;let a=o;switch(i){case"change":a=r??o;break;case"blur":a=s??o;break;case"dynamic":a=n??o;break;case"submit":a=0}return"submit"===t&&(a=0),{cause:i,validate:e.fn,debounceMs:a}})})}const ht=t=>!!t&&"object"==typeof t&&"fields"in t;function ct(t,e){if(Object.is(t,e))return!0;if("object"!=typeof t||null===t||"object"!=typeof e||null===e)return!1;if(t instanceof Date&&e instanceof Date)return t.getTime()===e.getTime();if(t instanceof Map&&e instanceof Map){if(t.size!==e.size)return!1;for(const[i,s]of t)if(!e.has(i)||!Object.is(s,e.get(i)))return!1;return!0}if(t instanceof Set&&e instanceof Set){if(t.size!==e.size)return!1;for(const i of t)if(!e.has(i))return!1;return!0}const i=Object.keys(t),s=Object.keys(e);if(i.length!==s.length)return!1;for(const r of i)if(!s.includes(r)||!ct(t[r],e[r]))return!1;return!0}const ft=({newFormValidatorError:t,isPreviousErrorFromFormValidator:e,previousErrorValue:i})=>t?{newErrorValue:t,newSource:"form"}:e?{newErrorValue:void 0,newSource:void 0}:i?{newErrorValue:i,newSource:"field"}:{newErrorValue:void 0,newSource:void 0},vt=({formLevelError:t,fieldLevelError:e})=>e?{newErrorValue:e,newSource:"field"}:t?{newErrorValue:t,newSource:"form"}:{newErrorValue:void 0,newSource:void 0};function pt(t,e){return null==t?e:{...t,...e}}let mt=256;const gt=[];let bt;for(;mt--;)gt[mt]=(mt+256).toString(16).substring(1);const Mt=t=>{if(!t.validators)return t.runValidation({validators:[],form:t.form});const e=t.event.async,i=e?void 0:{fn:t.validators.onMount,cause:"mount"},s={fn:e?t.validators.onChangeAsync:t.validators.onChange,cause:"change"},r={fn:e?t.validators.onBlurAsync:t.validators.onBlur,cause:"blur"},n={fn:e?t.validators.onSubmitAsync:t.validators.onSubmit,cause:"submit"},o=e?void 0:{fn:()=>{},cause:"server"};switch(t.event.type){case"mount":return t.runValidation({validators:[i],form:t.form});case"submit":return t.runValidation({validators:[s,r,n,o],form:t.form});case"server":return t.runValidation({validators:[],form:t.form});case"blur":return t.runValidation({validators:[r,o],form:t.form});case"change":return t.runValidation({validators:[s,o],form:t.form});default:throw new Error(`Unknown validation event type: ${t.event.type}`)}};const yt=(t,e)=>{const i=function(t,e){const i=new Map;for(const s of t){const t=s.path??[];let r=e,n="";for(let e=0;e<t.length;e++){const i=t[e];if(void 0===i)continue;const s="object"==typeof i?i.key:i,o=Number(s);Array.isArray(r)&&!Number.isNaN(o)?n+=`[${o}]`:n+=(e>0?".":"")+String(s),r="object"==typeof r&&null!==r?r[s]:void 0}i.set(n,(i.get(n)??[]).concat(s))}return Object.fromEntries(i)}(t,e);return{form:i,fields:i}},St={validate({value:t,validationSource:e},i){const s=i["~standard"].validate(t);if(s instanceof Promise)throw new Error("async function passed to sync validator");if(s.issues)return"field"===e?s.issues:yt(s.issues,t)},async validateAsync({value:t,validationSource:e},i){const s=await i["~standard"].validate(t);if(s.issues)return"field"===e?s.issues:yt(s.issues,t)}},Vt=t=>!!t&&"~standard"in t,wt={isValidating:!1,isTouched:!1,isBlurred:!1,isDirty:!1,isPristine:!0,isValid:!0,isDefaultValue:!0,errors:[],errorMap:{},errorSourceMap:{}};function Et(t){function e(t,e){return`${t}[${e}]`}function i(e,i){("up"===i?e:[...e].reverse()).forEach(e=>{const r=function(t,e){return t.replace(/\[(\d+)\]/,(t,i)=>{const s=parseInt(i,10);return`[${"up"===e?s+1:Math.max(0,s-1)}]`})}(e.toString(),i),n=t.getFieldMeta(r);n?t.setFieldMeta(e,n):t.setFieldMeta(e,s())})}const s=()=>wt,r=(r,n,o)=>{i(r,"down"),r.forEach(i=>{i.toString().startsWith(e(n,o))&&t.setFieldMeta(i,s())})},n=t=>{i(t,"up")},o=(s,r,n,o)=>{const a=new Map(Object.keys(t.fieldInfo).filter(t=>t.startsWith(e(r,n))).map(e=>[e,t.getFieldMeta(e)]));i(s,n<o?"up":"down"),Object.keys(t.fieldInfo).filter(t=>t.startsWith(e(r,o))).forEach(i=>{const s=i.replace(e(r,o),e(r,n)),l=a.get(s);l&&t.setFieldMeta(i,l)})},a=(i,s,r,n)=>{i.forEach(i=>{if(!i.toString().startsWith(e(s,r)))return;const o=i.toString().replace(e(s,r),e(s,n)),[a,l]=[t.getFieldMeta(i),t.getFieldMeta(o)];a&&t.setFieldMeta(o,a),l&&t.setFieldMeta(i,l)})};return{handleArrayFieldMetaShift:function(i,s,l,u){const d=function(i,s,r,n){const o=[e(i,s)];if("swap"===r)o.push(e(i,n));else if("move"===r){const[t,r]=[Math.min(s,n),Math.max(s,n)];for(let s=t;s<=r;s++)o.push(e(i,s))}else{const r=t.getFieldValue(i),n=Array.isArray(r)?r.length:0;for(let t=s+1;t<n;t++)o.push(e(i,t))}return Object.keys(t.fieldInfo).filter(t=>o.some(e=>t.startsWith(e)))}(i,s,l,u);({insert:()=>r(d,i,s),remove:()=>n(d),swap:()=>void 0!==u&&a(d,i,s,u),move:()=>void 0!==u&&o(d,i,s,u)})[l]()}}}const At=new class extends K{constructor(){super({pluginId:"form-devtools"})}};function Ft(t){return{values:t.values??{},errorMap:t.errorMap??{},fieldMetaBase:t.fieldMetaBase??{},isSubmitted:t.isSubmitted??!1,isSubmitting:t.isSubmitting??!1,isValidating:t.isValidating??!1,submissionAttempts:t.submissionAttempts??0,isSubmitSuccessful:t.isSubmitSuccessful??!1,validationMetaMap:t.validationMetaMap??{onChange:void 0,onBlur:void 0,onSubmit:void 0,onMount:void 0,onServer:void 0,onDynamic:void 0}}}class Lt{constructor(t){var e;this.options={},this.fieldInfo={},this.prevTransformArray=[],this.mount=()=>{var t,e;const i=this.fieldMetaDerived.mount(),s=this.store.mount(),r=()=>{i(),s(),At.emit("form-unmounted",{id:this._formId})};null==(e=null==(t=this.options.listeners)?void 0:t.onMount)||e.call(t,{formApi:this});const{onMount:n}=this.options.validators||{};return At.emit("form-api",{id:this._formId,state:this.store.state,options:this.options}),n?(this.validateSync("mount"),r):r},this.update=t=>{var e,i;if(!t)return;const s=this.options;this.options=t;const r=!!(null==(i=null==(e=t.transform)?void 0:e.deps)?void 0:i.some((t,e)=>t!==this.prevTransformArray[e])),n=t.defaultValues&&!ct(t.defaultValues,s.defaultValues)&&!this.state.isTouched,o=!ct(t.defaultState,s.defaultState)&&!this.state.isTouched;(n||o||r)&&(N(()=>{this.baseStore.setState(()=>Ft(Object.assign({},this.state,o?t.defaultState:{},n?{values:t.defaultValues}:{},r?{_force_re_eval:!this.state._force_re_eval}:{})))}),At.emit("form-api",{id:this._formId,state:this.store.state,options:this.options}))},this.reset=(t,e)=>{const{fieldMeta:i}=this.state,s=this.resetFieldMeta(i);t&&!(null==e?void 0:e.keepDefaultValues)&&(this.options={...this.options,defaultValues:t}),this.baseStore.setState(()=>{var e;return Ft({...this.options.defaultState,values:t??this.options.defaultValues??(null==(e=this.options.defaultState)?void 0:e.values),fieldMetaBase:s})})},this.validateAllFields=async t=>{const e=[];N(()=>{Object.values(this.fieldInfo).forEach(i=>{if(!i.instance)return;const s=i.instance;e.push(Promise.resolve().then(()=>s.validate(t,{skipFormValidation:!0}))),i.instance.state.meta.isTouched||i.instance.setMeta(t=>({...t,isTouched:!0}))})});return(await Promise.all(e)).flat()},this.validateArrayFieldsStartingFrom=async(t,e,i)=>{const s=this.getFieldValue(t),r=Array.isArray(s)?Math.max(s.length-1,0):null,n=[`${t}[${e}]`];for(let l=e+1;l<=(r??0);l++)n.push(`${t}[${l}]`);const o=Object.keys(this.fieldInfo).filter(t=>n.some(e=>t.startsWith(e))),a=[];N(()=>{o.forEach(t=>{a.push(Promise.resolve().then(()=>this.validateField(t,i)))})});return(await Promise.all(a)).flat()},this.validateField=(t,e)=>{var i;const s=null==(i=this.fieldInfo[t])?void 0:i.instance;return s?(s.state.meta.isTouched||s.setMeta(t=>({...t,isTouched:!0})),s.validate(e)):[]},this.validateSync=t=>{const e=ut(t,{...this.options,form:this,validationLogic:this.options.validationLogic||Mt});let i=!1;const s={};return N(()=>{var r,n,o;for(const t of e){if(!t.validate)continue;const e=this.runValidator({validate:t.validate,value:{value:this.state.values,formApi:this,validationSource:"form"},type:"validate"}),{formError:n,fieldErrors:o}=It(e),a=Tt(t.cause);for(const t of Object.keys(this.state.fieldMeta)){if(void 0===this.baseStore.state.fieldMetaBase[t])continue;const e=this.getFieldMeta(t);if(!e)continue;const{errorMap:i,errorSourceMap:r}=e,n=null==o?void 0:o[t],{newErrorValue:l,newSource:u}=ft({newFormValidatorError:n,isPreviousErrorFromFormValidator:"form"===(null==r?void 0:r[a]),previousErrorValue:null==i?void 0:i[a]});"form"===u&&(s[t]={...s[t],[a]:n}),(null==i?void 0:i[a])!==l&&this.setFieldMeta(t,t=>({...t,errorMap:{...t.errorMap,[a]:l},errorSourceMap:{...t.errorSourceMap,[a]:u}}))}(null==(r=this.state.errorMap)?void 0:r[a])!==n&&this.baseStore.setState(t=>({...t,errorMap:{...t.errorMap,[a]:n}})),(n||o)&&(i=!0)}const a=Tt("submit");(null==(n=this.state.errorMap)?void 0:n[a])&&"submit"!==t&&!i&&this.baseStore.setState(t=>({...t,errorMap:{...t.errorMap,[a]:void 0}}));const l=Tt("server");(null==(o=this.state.errorMap)?void 0:o[l])&&"server"!==t&&!i&&this.baseStore.setState(t=>({...t,errorMap:{...t.errorMap,[l]:void 0}}))}),{hasErrored:i,fieldsErrorMap:s}},this.validateAsync=async t=>{const e=dt(t,{...this.options,form:this,validationLogic:this.options.validationLogic||Mt});this.state.isFormValidating||this.baseStore.setState(t=>({...t,isFormValidating:!0}));const i=[];let s;for(const o of e){if(!o.validate)continue;const t=Tt(o.cause),e=this.state.validationMetaMap[t];null==e||e.lastAbortController.abort();const r=new AbortController;this.state.validationMetaMap[t]={lastAbortController:r},i.push(new Promise(async t=>{let e;try{e=await new Promise((t,e)=>{setTimeout(async()=>{if(r.signal.aborted)return t(void 0);try{t(await this.runValidator({validate:o.validate,value:{value:this.state.values,formApi:this,validationSource:"form",signal:r.signal},type:"validateAsync"}))}catch(i){e(i)}},o.debounceMs)})}catch(l){e=l}const{formError:i,fieldErrors:n}=It(e);n&&(s=s?{...s,...n}:n);const a=Tt(o.cause);for(const r of Object.keys(this.state.fieldMeta)){if(void 0===this.baseStore.state.fieldMetaBase[r])continue;const t=this.getFieldMeta(r);if(!t)continue;const{errorMap:e,errorSourceMap:i}=t,n=null==s?void 0:s[r],{newErrorValue:o,newSource:l}=ft({newFormValidatorError:n,isPreviousErrorFromFormValidator:"form"===(null==i?void 0:i[a]),previousErrorValue:null==e?void 0:e[a]});(null==e?void 0:e[a])!==o&&this.setFieldMeta(r,t=>({...t,errorMap:{...t.errorMap,[a]:o},errorSourceMap:{...t.errorSourceMap,[a]:l}}))}this.baseStore.setState(t=>({...t,errorMap:{...t.errorMap,[a]:i}})),t(s?{fieldErrors:s,errorMapKey:a}:void 0)}))}let r=[];const n={};if(i.length){r=await Promise.all(i);for(const t of r)if(null==t?void 0:t.fieldErrors){const{errorMapKey:e}=t;for(const[i,s]of Object.entries(t.fieldErrors)){const t={...n[i]||{},[e]:s};n[i]=t}}}return this.baseStore.setState(t=>({...t,isFormValidating:!1})),n},this.validate=t=>{const{hasErrored:e,fieldsErrorMap:i}=this.validateSync(t);return e&&!this.options.asyncAlways?i:this.validateAsync(t)},this.getFieldValue=t=>Y(this.state.values,t),this.getFieldMeta=t=>this.state.fieldMeta[t],this.getFieldInfo=t=>{var e;return(e=this.fieldInfo)[t]||(e[t]={instance:null,validationMetaMap:{onChange:void 0,onBlur:void 0,onSubmit:void 0,onMount:void 0,onServer:void 0,onDynamic:void 0}})},this.setFieldMeta=(t,e)=>{this.baseStore.setState(i=>({...i,fieldMetaBase:{...i.fieldMetaBase,[t]:X(e,i.fieldMetaBase[t])}}))},this.resetFieldMeta=t=>Object.keys(t).reduce((t,e)=>(t[e]=wt,t),{}),this.setFieldValue=(t,e,i)=>{var s;const r=(null==i?void 0:i.dontUpdateMeta)??!1,n=(null==i?void 0:i.dontRunListeners)??!1,o=(null==i?void 0:i.dontValidate)??!1;N(()=>{r||this.setFieldMeta(t,t=>({...t,isTouched:!0,isDirty:!0,errorMap:{...null==t?void 0:t.errorMap,onMount:void 0}})),this.baseStore.setState(i=>({...i,values:Z(i.values,t,e)}))}),n||null==(s=this.getFieldInfo(t).instance)||s.triggerOnChangeListener(),o||this.validateField(t,"change")},this.deleteField=t=>{const e=[...Object.keys(this.fieldInfo).filter(e=>{const i=t.toString();return e!==i&&e.startsWith(i)}),t];this.baseStore.setState(t=>{const i={...t};return e.forEach(t=>{i.values=function(t,e){const i=at(e);return function t(e){if(!e)return;if(1===i.length){const t=i[0];if(Array.isArray(e)&&"number"==typeof t)return e.filter((e,i)=>i!==t);const{[t]:s,...r}=e;return r}const s=i.shift();if("string"==typeof s&&"object"==typeof e)return{...e,[s]:t(e[s])};if("number"==typeof s&&Array.isArray(e)){if(s>=e.length)return e;const i=e.slice(0,s);return[...i.length?i:new Array(s),t(e[s]),...e.slice(s+1)]}throw new Error("It seems we have created an infinite loop in deleteBy. ")}(t)}(i.values,t),delete this.fieldInfo[t],delete i.fieldMetaBase[t]}),i})},this.pushFieldValue=(t,e,i)=>{this.setFieldValue(t,t=>[...Array.isArray(t)?t:[],e],i)},this.insertFieldValue=async(t,e,i,s)=>{this.setFieldValue(t,t=>[...t.slice(0,e),i,...t.slice(e)],pt(s,{dontValidate:!0}));const r=(null==s?void 0:s.dontValidate)??!1;r||await this.validateField(t,"change"),Et(this).handleArrayFieldMetaShift(t,e,"insert"),r||await this.validateArrayFieldsStartingFrom(t,e,"change")},this.replaceFieldValue=async(t,e,i,s)=>{this.setFieldValue(t,t=>t.map((t,s)=>s===e?i:t),pt(s,{dontValidate:!0}));((null==s?void 0:s.dontValidate)??!1)||(await this.validateField(t,"change"),await this.validateArrayFieldsStartingFrom(t,e,"change"))},this.removeFieldValue=async(t,e,i)=>{const s=this.getFieldValue(t),r=Array.isArray(s)?Math.max(s.length-1,0):null;if(this.setFieldValue(t,t=>t.filter((t,i)=>i!==e),pt(i,{dontValidate:!0})),Et(this).handleArrayFieldMetaShift(t,e,"remove"),null!==r){const e=`${t}[${r}]`;this.deleteField(e)}((null==i?void 0:i.dontValidate)??!1)||(await this.validateField(t,"change"),await this.validateArrayFieldsStartingFrom(t,e,"change"))},this.swapFieldValues=(t,e,i,s)=>{this.setFieldValue(t,t=>{const s=t[e],r=t[i];return Z(Z(t,`${e}`,r),`${i}`,s)},pt(s,{dontValidate:!0})),Et(this).handleArrayFieldMetaShift(t,e,"swap",i);((null==s?void 0:s.dontValidate)??!1)||(this.validateField(t,"change"),this.validateField(`${t}[${e}]`,"change"),this.validateField(`${t}[${i}]`,"change"))},this.moveFieldValues=(t,e,i,s)=>{this.setFieldValue(t,t=>{const s=[...t];return s.splice(i,0,s.splice(e,1)[0]),s},pt(s,{dontValidate:!0})),Et(this).handleArrayFieldMetaShift(t,e,"move",i);((null==s?void 0:s.dontValidate)??!1)||(this.validateField(t,"change"),this.validateField(`${t}[${e}]`,"change"),this.validateField(`${t}[${i}]`,"change"))},this.clearFieldValues=(t,e)=>{const i=this.getFieldValue(t),s=Array.isArray(i)?Math.max(i.length-1,0):null;if(this.setFieldValue(t,[],pt(e,{dontValidate:!0})),null!==s)for(let r=0;r<=s;r++){const e=`${t}[${r}]`;this.deleteField(e)}((null==e?void 0:e.dontValidate)??!1)||this.validateField(t,"change")},this.resetField=t=>{this.baseStore.setState(e=>({...e,fieldMetaBase:{...e.fieldMetaBase,[t]:wt},values:this.options.defaultValues?Z(e.values,t,Y(this.options.defaultValues,t)):e.values}))},this.getAllErrors=()=>({form:{errors:this.state.errors,errorMap:this.state.errorMap},fields:Object.entries(this.state.fieldMeta).reduce((t,[e,i])=>(Object.keys(i).length&&i.errors.length&&(t[e]={errors:i.errors,errorMap:i.errorMap}),t),{})}),this.parseValuesWithSchema=t=>St.validate({value:this.state.values,validationSource:"form"},t),this.parseValuesWithSchemaAsync=t=>St.validateAsync({value:this.state.values,validationSource:"form"},t),this.timeoutIds={validations:{},listeners:{},formListeners:{}},this._formId=(null==t?void 0:t.formId)??function(){let t,e=0,i="";if(!bt||mt+16>256){for(bt=new Array(256),e=256;e--;)bt[e]=256*Math.random()|0;e=0,mt=0}for(;e<16;e++)t=bt[mt+e],i+=6===e?gt[15&t|64]:8===e?gt[63&t|128]:gt[t],1&e&&e>1&&e<11&&(i+="-");return mt++,i}(),this._devtoolsSubmissionOverride=!1,this.baseStore=new G(Ft({...null==t?void 0:t.defaultState,values:(null==t?void 0:t.defaultValues)??(null==(e=null==t?void 0:t.defaultState)?void 0:e.values)})),this.fieldMetaDerived=new z({deps:[this.baseStore],fn:({prevDepVals:t,currDepVals:e,prevVal:i})=>{var s,r,n;const o=i,a=null==t?void 0:t[0],l=e[0];let u=0;const d={};for(const h of Object.keys(l.fieldMetaBase)){const t=l.fieldMetaBase[h],e=null==a?void 0:a.fieldMetaBase[h],i=null==o?void 0:o[h],c=Y(l.values,h);let f=null==i?void 0:i.errors;if(!e||t.errorMap!==e.errorMap){f=Object.values(t.errorMap??{}).filter(t=>void 0!==t);const e=null==(s=this.getFieldInfo(h))?void 0:s.instance;e&&!e.options.disableErrorFlat&&(f=null==f?void 0:f.flat(1))}const v=!lt(f??[]),p=!t.isDirty,m=ct(c,Y(this.options.defaultValues,h))||ct(c,null==(n=null==(r=this.getFieldInfo(h))?void 0:r.instance)?void 0:n.options.defaultValue);i&&i.isPristine===p&&i.isValid===v&&i.isDefaultValue===m&&i.errors===f&&t===e?(d[h]=i,u++):d[h]={...t,errors:f,isPristine:p,isValid:v,isDefaultValue:m}}return Object.keys(l.fieldMetaBase).length&&o&&u===Object.keys(l.fieldMetaBase).length?o:d}}),this.store=new z({deps:[this.baseStore,this.fieldMetaDerived],fn:({prevDepVals:t,currDepVals:e,prevVal:i})=>{var s,r,n,o;const a=i,l=null==t?void 0:t[0],u=e[0],d=e[1],h=Object.values(d).filter(Boolean),c=h.some(t=>t.isValidating),f=h.every(t=>t.isValid),v=h.some(t=>t.isTouched),p=h.some(t=>t.isBlurred),m=h.every(t=>t.isDefaultValue),g=v&&(null==(s=u.errorMap)?void 0:s.onMount),b=h.some(t=>t.isDirty),M=!b,y=Boolean((null==(r=u.errorMap)?void 0:r.onMount)||h.some(t=>{var e;return null==(e=null==t?void 0:t.errorMap)?void 0:e.onMount})),S=!!c;let V=(null==a?void 0:a.errors)??[];l&&u.errorMap===l.errorMap||(V=Object.values(u.errorMap).reduce((t,e)=>void 0===e?t:e&&ht(e)?(t.push(e.form),t):(t.push(e),t),[]));const w=0===V.length,E=f&&w,A=this.options.canSubmitWhenInvalid??!1,F=0===u.submissionAttempts&&!v&&!y||!S&&!u.isSubmitting&&E||A;let L=u.errorMap;if(g&&(V=V.filter(t=>t!==u.errorMap.onMount),L=Object.assign(L,{onMount:void 0})),a&&l&&a.errorMap===L&&a.fieldMeta===this.fieldMetaDerived.state&&a.errors===V&&a.isFieldsValidating===c&&a.isFieldsValid===f&&a.isFormValid===w&&a.isValid===E&&a.canSubmit===F&&a.isTouched===v&&a.isBlurred===p&&a.isPristine===M&&a.isDefaultValue===m&&a.isDirty===b&&ct(l,u))return a;let I={...u,errorMap:L,fieldMeta:this.fieldMetaDerived.state,errors:V,isFieldsValidating:c,isFieldsValid:f,isFormValid:w,isValid:E,canSubmit:F,isTouched:v,isBlurred:p,isPristine:M,isDefaultValue:m,isDirty:b};const T=(null==(n=this.options.transform)?void 0:n.deps)??[];if(T.length!==this.prevTransformArray.length||T.some((t,e)=>t!==this.prevTransformArray[e])){const t=Object.assign({},this,{state:I});null==(o=this.options.transform)||o.fn(t),I=t.state,this.prevTransformArray=T}return I}}),this.handleSubmit=this.handleSubmit.bind(this),this.update(t||{});const i=new Q(t=>At.emit("form-state",{id:this._formId,state:t}),{wait:300}).maybeExecute;this.store.subscribe(()=>{i(this.store.state)}),At.on("request-form-state",t=>{t.payload.id===this._formId&&At.emit("form-api",{id:this._formId,state:this.store.state,options:this.options})}),At.on("request-form-reset",t=>{t.payload.id===this._formId&&this.reset()}),At.on("request-form-force-submit",t=>{t.payload.id===this._formId&&(this._devtoolsSubmissionOverride=!0,this.handleSubmit(),this._devtoolsSubmissionOverride=!1)})}get state(){return this.store.state}get formId(){return this._formId}runValidator(t){return Vt(t.validate)?St[t.type](t.value,t.validate):t.validate(t.value)}async handleSubmit(t){var e,i,s,r,n,o,a,l,u,d;this.baseStore.setState(t=>({...t,isSubmitted:!1,submissionAttempts:t.submissionAttempts+1,isSubmitSuccessful:!1})),N(()=>{Object.values(this.fieldInfo).forEach(t=>{t.instance&&(t.instance.state.meta.isTouched||t.instance.setMeta(t=>({...t,isTouched:!0})))})});const h=t??this.options.onSubmitMeta;if(!this.state.canSubmit&&!this._devtoolsSubmissionOverride)return void(null==(i=(e=this.options).onSubmitInvalid)||i.call(e,{value:this.state.values,formApi:this,meta:h}));this.baseStore.setState(t=>({...t,isSubmitting:!0}));const c=()=>{this.baseStore.setState(t=>({...t,isSubmitting:!1}))};if(await this.validateAllFields("submit"),!this.state.isFieldsValid)return c(),null==(r=(s=this.options).onSubmitInvalid)||r.call(s,{value:this.state.values,formApi:this,meta:h}),void At.emit("form-submission",{id:this._formId,submissionAttempt:this.state.submissionAttempts,successful:!1,stage:"validateAllFields",errors:Object.values(this.state.fieldMeta).map(t=>t.errors).flat()});if(await this.validate("submit"),!this.state.isValid)return c(),null==(o=(n=this.options).onSubmitInvalid)||o.call(n,{value:this.state.values,formApi:this,meta:h}),void At.emit("form-submission",{id:this._formId,submissionAttempt:this.state.submissionAttempts,successful:!1,stage:"validate",errors:this.state.errors});N(()=>{Object.values(this.fieldInfo).forEach(t=>{var e,i,s;null==(s=null==(i=null==(e=t.instance)?void 0:e.options.listeners)?void 0:i.onSubmit)||s.call(i,{value:t.instance.state.value,fieldApi:t.instance})})}),null==(l=null==(a=this.options.listeners)?void 0:a.onSubmit)||l.call(a,{formApi:this,meta:h});try{await(null==(d=(u=this.options).onSubmit)?void 0:d.call(u,{value:this.state.values,formApi:this,meta:h})),N(()=>{this.baseStore.setState(t=>({...t,isSubmitted:!0,isSubmitSuccessful:!0})),At.emit("form-submission",{id:this._formId,submissionAttempt:this.state.submissionAttempts,successful:!0}),c()})}catch(f){throw this.baseStore.setState(t=>({...t,isSubmitSuccessful:!1})),At.emit("form-submission",{id:this._formId,submissionAttempt:this.state.submissionAttempts,successful:!1,stage:"inflight",onError:f}),c(),f}}setErrorMap(t){N(()=>{Object.entries(t).forEach(([t,e])=>{const i=t;if(ht(e)){const{formError:t,fieldErrors:s}=It(e);for(const e of Object.keys(this.fieldInfo)){this.getFieldMeta(e)&&this.setFieldMeta(e,t=>({...t,errorMap:{...t.errorMap,[i]:null==s?void 0:s[e]},errorSourceMap:{...t.errorSourceMap,[i]:"form"}}))}this.baseStore.setState(e=>({...e,errorMap:{...e.errorMap,[i]:t}}))}else this.baseStore.setState(t=>({...t,errorMap:{...t.errorMap,[i]:e}}))})})}}function It(t){if(t){if(ht(t)){return{formError:It(t.form).formError,fieldErrors:t.fields}}return{formError:t}}return{formError:void 0}}function Tt(t){switch(t){case"submit":return"onSubmit";case"blur":return"onBlur";case"mount":return"onMount";case"server":return"onServer";case"dynamic":return"onDynamic";default:return"onChange"}}class kt{constructor(t){this.options={},this.mount=()=>{var t,e;const i=this.store.mount();void 0!==this.options.defaultValue&&this.form.setFieldValue(this.name,this.options.defaultValue,{dontUpdateMeta:!0});this.getInfo().instance=this,this.update(this.options);const{onMount:s}=this.options.validators||{};if(s){const t=this.runValidator({validate:s,value:{value:this.state.value,fieldApi:this,validationSource:"field"},type:"validate"});t&&this.setMeta(e=>({...e,errorMap:{...null==e?void 0:e.errorMap,onMount:t},errorSourceMap:{...null==e?void 0:e.errorSourceMap,onMount:"field"}}))}return null==(e=null==(t=this.options.listeners)?void 0:t.onMount)||e.call(t,{value:this.state.value,fieldApi:this}),i},this.update=t=>{this.options=t;const e=this.name!==t.name;if(this.name=t.name,void 0===this.state.value){const i=Y(t.form.options.defaultValues,t.name),s=t.defaultValue??i;e?this.setValue(t=>t||s,{dontUpdateMeta:!0}):void 0!==s&&this.setValue(s,{dontUpdateMeta:!0})}void 0===this.form.getFieldMeta(this.name)&&this.setMeta(this.state.meta)},this.getValue=()=>this.form.getFieldValue(this.name),this.setValue=(t,e)=>{this.form.setFieldValue(this.name,t,pt(e,{dontRunListeners:!0,dontValidate:!0})),(null==e?void 0:e.dontRunListeners)||this.triggerOnChangeListener(),(null==e?void 0:e.dontValidate)||this.validate("change")},this.getMeta=()=>this.store.state.meta,this.setMeta=t=>this.form.setFieldMeta(this.name,t),this.getInfo=()=>this.form.getFieldInfo(this.name),this.pushValue=(t,e)=>{this.form.pushFieldValue(this.name,t,pt(e,{dontRunListeners:!0})),(null==e?void 0:e.dontRunListeners)||this.triggerOnChangeListener()},this.insertValue=(t,e,i)=>{this.form.insertFieldValue(this.name,t,e,pt(i,{dontRunListeners:!0})),(null==i?void 0:i.dontRunListeners)||this.triggerOnChangeListener()},this.replaceValue=(t,e,i)=>{this.form.replaceFieldValue(this.name,t,e,pt(i,{dontRunListeners:!0})),(null==i?void 0:i.dontRunListeners)||this.triggerOnChangeListener()},this.removeValue=(t,e)=>{this.form.removeFieldValue(this.name,t,pt(e,{dontRunListeners:!0})),(null==e?void 0:e.dontRunListeners)||this.triggerOnChangeListener()},this.swapValues=(t,e,i)=>{this.form.swapFieldValues(this.name,t,e,pt(i,{dontRunListeners:!0})),(null==i?void 0:i.dontRunListeners)||this.triggerOnChangeListener()},this.moveValue=(t,e,i)=>{this.form.moveFieldValues(this.name,t,e,pt(i,{dontRunListeners:!0})),(null==i?void 0:i.dontRunListeners)||this.triggerOnChangeListener()},this.clearValues=t=>{this.form.clearFieldValues(this.name,pt(t,{dontRunListeners:!0})),(null==t?void 0:t.dontRunListeners)||this.triggerOnChangeListener()},this.getLinkedFields=t=>{const e=Object.values(this.form.fieldInfo),i=[];for(const s of e){if(!s.instance)continue;const{onChangeListenTo:e,onBlurListenTo:r}=s.instance.options.validators||{};"change"===t&&(null==e?void 0:e.includes(this.name))&&i.push(s.instance),"blur"===t&&(null==r?void 0:r.includes(this.name))&&i.push(s.instance)}return i},this.validateSync=(t,e)=>{var i;const s=ut(t,{...this.options,form:this.form,validationLogic:this.form.options.validationLogic||Mt}),r=this.getLinkedFields(t).reduce((e,i)=>{const s=ut(t,{...i.options,form:i.form,validationLogic:i.form.options.validationLogic||Mt});return s.forEach(t=>{t.field=i}),e.concat(s)},[]);let n=!1;N(()=>{const t=(t,i)=>{var s;const r=Dt(i.cause),o=i.validate?Ot(t.runValidator({validate:i.validate,value:{value:t.store.state.value,validationSource:"field",fieldApi:t},type:"validate"})):void 0,a=e[r],{newErrorValue:l,newSource:u}=vt({formLevelError:a,fieldLevelError:o});(null==(s=t.state.meta.errorMap)?void 0:s[r])!==l&&t.setMeta(t=>({...t,errorMap:{...t.errorMap,[r]:l},errorSourceMap:{...t.errorSourceMap,[r]:u}})),l&&(n=!0)};for(const e of s)t(this,e);for(const e of r)e.validate&&t(e.field,e)});const o=Dt("submit");return(null==(i=this.state.meta.errorMap)?void 0:i[o])&&"submit"!==t&&!n&&this.setMeta(t=>({...t,errorMap:{...t.errorMap,[o]:void 0},errorSourceMap:{...t.errorSourceMap,[o]:void 0}})),{hasErrored:n}},this.validateAsync=async(t,e)=>{const i=dt(t,{...this.options,form:this.form,validationLogic:this.form.options.validationLogic||Mt}),s=await e,r=this.getLinkedFields(t),n=r.reduce((e,i)=>{const s=dt(t,{...i.options,form:i.form,validationLogic:i.form.options.validationLogic||Mt});return s.forEach(t=>{t.field=i}),e.concat(s)},[]);this.state.meta.isValidating||this.setMeta(t=>({...t,isValidating:!0}));for(const d of r)d.setMeta(t=>({...t,isValidating:!0}));const o=[],a=[],l=(t,e,i)=>{const r=Dt(e.cause),n=t.getInfo().validationMetaMap[r];null==n||n.lastAbortController.abort();const o=new AbortController;this.getInfo().validationMetaMap[r]={lastAbortController:o},i.push(new Promise(async i=>{var n;let a;try{a=await new Promise((i,s)=>{this.timeoutIds.validations[e.cause]&&clearTimeout(this.timeoutIds.validations[e.cause]),this.timeoutIds.validations[e.cause]=setTimeout(async()=>{if(o.signal.aborted)return i(void 0);try{i(await this.runValidator({validate:e.validate,value:{value:t.store.state.value,fieldApi:t,signal:o.signal,validationSource:"field"},type:"validateAsync"}))}catch(r){s(r)}},e.debounceMs)})}catch(c){a=c}if(o.signal.aborted)return i(void 0);const l=Ot(a),u=null==(n=s[this.name])?void 0:n[r],{newErrorValue:d,newSource:h}=vt({formLevelError:u,fieldLevelError:l});t.setMeta(t=>({...t,errorMap:{...null==t?void 0:t.errorMap,[r]:d},errorSourceMap:{...t.errorSourceMap,[r]:h}})),i(d)}))};for(const d of i)d.validate&&l(this,d,o);for(const d of n)d.validate&&l(d.field,d,a);let u=[];(o.length||a.length)&&(u=await Promise.all(o),await Promise.all(a)),this.setMeta(t=>({...t,isValidating:!1}));for(const d of r)d.setMeta(t=>({...t,isValidating:!1}));return u.filter(Boolean)},this.validate=(t,e)=>{var i;if(!this.state.meta.isTouched)return[];const{fieldsErrorMap:s}=(null==e?void 0:e.skipFormValidation)?{fieldsErrorMap:{}}:this.form.validateSync(t),{hasErrored:r}=this.validateSync(t,s[this.name]??{});if(r&&!this.options.asyncAlways)return null==(i=this.getInfo().validationMetaMap[Dt(t)])||i.lastAbortController.abort(),this.state.meta.errors;const n=(null==e?void 0:e.skipFormValidation)?Promise.resolve({}):this.form.validateAsync(t);return this.validateAsync(t,n)},this.handleChange=t=>{this.setValue(t)},this.handleBlur=()=>{this.state.meta.isTouched||this.setMeta(t=>({...t,isTouched:!0})),this.state.meta.isBlurred||this.setMeta(t=>({...t,isBlurred:!0})),this.validate("blur"),this.triggerOnBlurListener()},this.parseValueWithSchema=t=>St.validate({value:this.state.value,validationSource:"field"},t),this.parseValueWithSchemaAsync=t=>St.validateAsync({value:this.state.value,validationSource:"field"},t),this.form=t.form,this.name=t.name,this.timeoutIds={validations:{},listeners:{},formListeners:{}},this.store=new z({deps:[this.form.store],fn:()=>({value:this.form.getFieldValue(this.name),meta:this.form.getFieldMeta(this.name)??{...wt,...t.defaultMeta}})}),this.options=t}get state(){return this.store.state}runValidator(t){return Vt(t.validate)?St[t.type](t.value,t.validate):t.validate(t.value)}setErrorMap(t){this.setMeta(e=>({...e,errorMap:{...e.errorMap,...t}}))}triggerOnBlurListener(){var t,e,i,s,r,n;const o=null==(t=this.form.options.listeners)?void 0:t.onBlurDebounceMs;o&&o>0?(this.timeoutIds.formListeners.blur&&clearTimeout(this.timeoutIds.formListeners.blur),this.timeoutIds.formListeners.blur=setTimeout(()=>{var t,e;null==(e=null==(t=this.form.options.listeners)?void 0:t.onBlur)||e.call(t,{formApi:this.form,fieldApi:this})},o)):null==(i=null==(e=this.form.options.listeners)?void 0:e.onBlur)||i.call(e,{formApi:this.form,fieldApi:this});const a=null==(s=this.options.listeners)?void 0:s.onBlurDebounceMs;a&&a>0?(this.timeoutIds.listeners.blur&&clearTimeout(this.timeoutIds.listeners.blur),this.timeoutIds.listeners.blur=setTimeout(()=>{var t,e;null==(e=null==(t=this.options.listeners)?void 0:t.onBlur)||e.call(t,{value:this.state.value,fieldApi:this})},a)):null==(n=null==(r=this.options.listeners)?void 0:r.onBlur)||n.call(r,{value:this.state.value,fieldApi:this})}triggerOnChangeListener(){var t,e,i,s,r,n;const o=null==(t=this.form.options.listeners)?void 0:t.onChangeDebounceMs;o&&o>0?(this.timeoutIds.formListeners.change&&clearTimeout(this.timeoutIds.formListeners.change),this.timeoutIds.formListeners.change=setTimeout(()=>{var t,e;null==(e=null==(t=this.form.options.listeners)?void 0:t.onChange)||e.call(t,{formApi:this.form,fieldApi:this})},o)):null==(i=null==(e=this.form.options.listeners)?void 0:e.onChange)||i.call(e,{formApi:this.form,fieldApi:this});const a=null==(s=this.options.listeners)?void 0:s.onChangeDebounceMs;a&&a>0?(this.timeoutIds.listeners.change&&clearTimeout(this.timeoutIds.listeners.change),this.timeoutIds.listeners.change=setTimeout(()=>{var t,e;null==(e=null==(t=this.options.listeners)?void 0:t.onChange)||e.call(t,{value:this.state.value,fieldApi:this})},a)):null==(n=null==(r=this.options.listeners)?void 0:r.onChange)||n.call(r,{value:this.state.value,fieldApi:this})}}function Ot(t){if(t)return t}function Dt(t){switch(t){case"submit":return"onSubmit";case"blur":return"onBlur";case"mount":return"onMount";case"server":return"onServer";case"dynamic":return"onDynamic";default:return"onChange"}}var jt,Ct,xt,Bt,_t={exports:{}},$t={},Wt={exports:{}},Pt={};function Rt(){return Ct||(Ct=1,Wt.exports=function(){if(jt)return Pt;jt=1;var t=w(),e="function"==typeof Object.is?Object.is:function(t,e){return t===e&&(0!==t||1/t==1/e)||t!=t&&e!=e},i=t.useState,s=t.useEffect,r=t.useLayoutEffect,n=t.useDebugValue;function o(t){var i=t.getSnapshot;t=t.value;try{var s=i();return!e(t,s)}catch(r){return!0}}var a="undefined"==typeof window||void 0===window.document||void 0===window.document.createElement?function(t,e){return e()}:function(t,e){var a=e(),l=i({inst:{value:a,getSnapshot:e}}),u=l[0].inst,d=l[1];return r(function(){u.value=a,u.getSnapshot=e,o(u)&&d({inst:u})},[t,a,e]),s(function(){return o(u)&&d({inst:u}),t(function(){o(u)&&d({inst:u})})},[t]),n(a),a};return Pt.useSyncExternalStore=void 0!==t.useSyncExternalStore?t.useSyncExternalStore:a,Pt}()),Wt.exports}
+/**
+ * @license React
+ * use-sync-external-store-shim/with-selector.production.js
+ *
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */var Ut=(Bt||(Bt=1,_t.exports=function(){if(xt)return $t;xt=1;var t=w(),e=Rt(),i="function"==typeof Object.is?Object.is:function(t,e){return t===e&&(0!==t||1/t==1/e)||t!=t&&e!=e},s=e.useSyncExternalStore,r=t.useRef,n=t.useEffect,o=t.useMemo,a=t.useDebugValue;return $t.useSyncExternalStoreWithSelector=function(t,e,l,u,d){var h=r(null);if(null===h.current){var c={hasValue:!1,value:null};h.current=c}else c=h.current;h=o(function(){function t(t){if(!n){if(n=!0,s=t,t=u(t),void 0!==d&&c.hasValue){var e=c.value;if(d(e,t))return r=e}return r=t}if(e=r,i(s,t))return e;var o=u(t);return void 0!==d&&d(e,o)?(s=t,e):(s=t,r=o)}var s,r,n=!1,o=void 0===l?null:l;return[function(){return t(e())},null===o?void 0:function(){return t(o())}]},[e,l,u,d]);var f=s(t,h[0],h[1]);return n(function(){c.hasValue=!0,c.value=f},[f]),a(f),f},$t}()),_t.exports);function Nt(t,e=t=>t){return Ut.useSyncExternalStoreWithSelector(t.subscribe,()=>t.state,()=>t.state,e,Gt)}function Gt(t,e){if(Object.is(t,e))return!0;if("object"!=typeof t||null===t||"object"!=typeof e||null===e)return!1;if(t instanceof Map&&e instanceof Map){if(t.size!==e.size)return!1;for(const[i,s]of t)if(!e.has(i)||!Object.is(s,e.get(i)))return!1;return!0}if(t instanceof Set&&e instanceof Set){if(t.size!==e.size)return!1;for(const i of t)if(!e.has(i))return!1;return!0}if(t instanceof Date&&e instanceof Date)return t.getTime()===e.getTime();const i=zt(t);if(i.length!==zt(e).length)return!1;for(let s=0;s<i.length;s++)if(!Object.prototype.hasOwnProperty.call(e,i[s])||!Object.is(t[i[s]],e[i[s]]))return!1;return!0}function zt(t){return Object.keys(t).concat(Object.getOwnPropertySymbols(t))}const qt="undefined"!=typeof window?k.useLayoutEffect:k.useEffect;const Kt=({children:t,...e})=>{const i=function(t){const[e]=k.useState(()=>{const e=new kt({...t,form:t.form,name:t.name});return e.Field=Kt,e});return qt(e.mount,[e]),qt(()=>{e.update(t)}),Nt(e.store,"array"===t.mode?t=>[t.meta,Object.keys(t.value??[]).length]:void 0),e}(e),s=k.useMemo(()=>X(t,i),[t,i,i.state.value,i.state.meta]);return T.jsx(T.Fragment,{children:s})};function Ht({form:t,selector:e,children:i}){return X(i,Nt(t.store,e))}function Jt(t){const e=k.useId(),[i]=k.useState(()=>{const i=new Lt({...t,formId:e}),s=i;return s.Field=function(t){return T.jsx(Kt,{...t,form:i})},s.Subscribe=function(t){return T.jsx(Ht,{form:i,selector:t.selector,children:t.children})},s});return qt(i.mount,[]),qt(()=>{i.update(t)}),i}export{O as R,T as j,k as r,Jt as u};
+//# sourceMappingURL=form-vendor-tpEkPyQw.js.map
@@ -0,0 +1,11 @@
+import{r as e,a as n,g as t}from"./react-vendor-B_uAldPx.js";var r,a,l,o,i={exports:{}},u={},s={exports:{}},c={};function d(){return a||(a=1,s.exports=(r||(r=1,function(e){function n(e,n){var t=e.length;e.push(n);e:for(;0<t;){var r=t-1>>>1,l=e[r];if(!(0<a(l,n)))break e;e[r]=n,e[t]=l,t=r}}function t(e){return 0===e.length?null:e[0]}function r(e){if(0===e.length)return null;var n=e[0],t=e.pop();if(t!==n){e[0]=t;e:for(var r=0,l=e.length,o=l>>>1;r<o;){var i=2*(r+1)-1,u=e[i],s=i+1,c=e[s];if(0>a(u,t))s<l&&0>a(c,u)?(e[r]=c,e[s]=t,r=s):(e[r]=u,e[i]=t,r=i);else{if(!(s<l&&0>a(c,t)))break e;e[r]=c,e[s]=t,r=s}}}return n}function a(e,n){var t=e.sortIndex-n.sortIndex;return 0!==t?t:e.id-n.id}if(e.unstable_now=void 0,"object"==typeof performance&&"function"==typeof performance.now){var l=performance;e.unstable_now=function(){return l.now()}}else{var o=Date,i=o.now();e.unstable_now=function(){return o.now()-i}}var u=[],s=[],c=1,d=null,f=3,p=!1,m=!1,g=!1,h=!1,y="function"==typeof setTimeout?setTimeout:null,v="function"==typeof clearTimeout?clearTimeout:null,b="undefined"!=typeof setImmediate?setImmediate:null;function k(e){for(var a=t(s);null!==a;){if(null===a.callback)r(s);else{if(!(a.startTime<=e))break;r(s),a.sortIndex=a.expirationTime,n(u,a)}a=t(s)}}function w(e){if(g=!1,k(e),!m)if(null!==t(u))m=!0,E||(E=!0,S());else{var n=t(s);null!==n&&M(w,n.startTime-e)}}var S,E=!1,x=-1,C=5,P=-1;function z(){return!(!h&&e.unstable_now()-P<C)}function N(){if(h=!1,E){var n=e.unstable_now();P=n;var a=!0;try{e:{m=!1,g&&(g=!1,v(x),x=-1),p=!0;var l=f;try{n:{for(k(n),d=t(u);null!==d&&!(d.expirationTime>n&&z());){var o=d.callback;if("function"==typeof o){d.callback=null,f=d.priorityLevel;var i=o(d.expirationTime<=n);if(n=e.unstable_now(),"function"==typeof i){d.callback=i,k(n),a=!0;break n}d===t(u)&&r(u),k(n)}else r(u);d=t(u)}if(null!==d)a=!0;else{var c=t(s);null!==c&&M(w,c.startTime-n),a=!1}}break e}finally{d=null,f=l,p=!1}a=void 0}}finally{a?S():E=!1}}}if("function"==typeof b)S=function(){b(N)};else if("undefined"!=typeof MessageChannel){var L=new MessageChannel,T=L.port2;L.port1.onmessage=N,S=function(){T.postMessage(null)}}else S=function(){y(N,0)};function M(n,t){x=y(function(){n(e.unstable_now())},t)}e.unstable_IdlePriority=5,e.unstable_ImmediatePriority=1,e.unstable_LowPriority=4,e.unstable_NormalPriority=3,e.unstable_Profiling=null,e.unstable_UserBlockingPriority=2,e.unstable_cancelCallback=function(e){e.callback=null},e.unstable_forceFrameRate=function(e){0>e||125<e||(C=0<e?Math.floor(1e3/e):5)},e.unstable_getCurrentPriorityLevel=function(){return f},e.unstable_next=function(e){switch(f){case 1:case 2:case 3:var n=3;break;default:n=f}var t=f;f=n;try{return e()}finally{f=t}},e.unstable_requestPaint=function(){h=!0},e.unstable_runWithPriority=function(e,n){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var t=f;f=e;try{return n()}finally{f=t}},e.unstable_scheduleCallback=function(r,a,l){var o=e.unstable_now();switch(l="object"==typeof l&&null!==l&&"number"==typeof(l=l.delay)&&0<l?o+l:o,r){case 1:var i=-1;break;case 2:i=250;break;case 5:i=1073741823;break;case 4:i=1e4;break;default:i=5e3}return r={id:c++,callback:a,priorityLevel:r,startTime:l,expirationTime:i=l+i,sortIndex:-1},l>o?(r.sortIndex=l,n(s,r),null===t(u)&&r===t(s)&&(g?(v(x),x=-1):g=!0,M(w,l-o))):(r.sortIndex=i,n(u,r),m||p||(m=!0,E||(E=!0,S()))),r},e.unstable_shouldYield=z,e.unstable_wrapCallback=function(e){var n=f;return function(){var t=f;f=n;try{return e.apply(this,arguments)}finally{f=t}}}}(c)),c)),s.exports}
+/**
+ * @license React
+ * react-dom-client.production.js
+ *
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */function f(){if(l)return u;l=1;var t=d(),r=e(),a=n();function o(e){var n="https://react.dev/errors/"+e;if(1<arguments.length){n+="?args[]="+encodeURIComponent(arguments[1]);for(var t=2;t<arguments.length;t++)n+="&args[]="+encodeURIComponent(arguments[t])}return"Minified React error #"+e+"; visit "+n+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}function i(e){return!(!e||1!==e.nodeType&&9!==e.nodeType&&11!==e.nodeType)}function s(e){var n=e,t=e;if(e.alternate)for(;n.return;)n=n.return;else{e=n;do{!!(4098&(n=e).flags)&&(t=n.return),e=n.return}while(e)}return 3===n.tag?t:null}function c(e){if(13===e.tag){var n=e.memoizedState;if(null===n&&(null!==(e=e.alternate)&&(n=e.memoizedState)),null!==n)return n.dehydrated}return null}function f(e){if(31===e.tag){var n=e.memoizedState;if(null===n&&(null!==(e=e.alternate)&&(n=e.memoizedState)),null!==n)return n.dehydrated}return null}function p(e){if(s(e)!==e)throw Error(o(188))}function m(e){var n=e.tag;if(5===n||26===n||27===n||6===n)return e;for(e=e.child;null!==e;){if(null!==(n=m(e)))return n;e=e.sibling}return null}var g=Object.assign,h=Symbol.for("react.element"),y=Symbol.for("react.transitional.element"),v=Symbol.for("react.portal"),b=Symbol.for("react.fragment"),k=Symbol.for("react.strict_mode"),w=Symbol.for("react.profiler"),S=Symbol.for("react.consumer"),E=Symbol.for("react.context"),x=Symbol.for("react.forward_ref"),C=Symbol.for("react.suspense"),P=Symbol.for("react.suspense_list"),z=Symbol.for("react.memo"),N=Symbol.for("react.lazy"),L=Symbol.for("react.activity"),T=Symbol.for("react.memo_cache_sentinel"),M=Symbol.iterator;function A(e){return null===e||"object"!=typeof e?null:"function"==typeof(e=M&&e[M]||e["@@iterator"])?e:null}var R=Symbol.for("react.client.reference");function _(e){if(null==e)return null;if("function"==typeof e)return e.$$typeof===R?null:e.displayName||e.name||null;if("string"==typeof e)return e;switch(e){case b:return"Fragment";case w:return"Profiler";case k:return"StrictMode";case C:return"Suspense";case P:return"SuspenseList";case L:return"Activity"}if("object"==typeof e)switch(e.$$typeof){case v:return"Portal";case E:return e.displayName||"Context";case S:return(e._context.displayName||"Context")+".Consumer";case x:var n=e.render;return(e=e.displayName)||(e=""!==(e=n.displayName||n.name||"")?"ForwardRef("+e+")":"ForwardRef"),e;case z:return null!==(n=e.displayName||null)?n:_(e.type)||"Memo";case N:n=e._payload,e=e._init;try{return _(e(n))}catch(t){}}return null}var F=Array.isArray,O=r.__CLIENT_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,D=a.__DOM_INTERNALS_DO_NOT_USE_OR_WARN_USERS_THEY_CANNOT_UPGRADE,I={pending:!1,data:null,method:null,action:null},q=[],U=-1;function j(e){return{current:e}}function H(e){0>U||(e.current=q[U],q[U]=null,U--)}function V(e,n){U++,q[U]=e.current,e.current=n}var B,$,W=j(null),Q=j(null),G=j(null),Y=j(null);function K(e,n){switch(V(G,n),V(Q,e),V(W,null),n.nodeType){case 9:case 11:e=(e=n.documentElement)&&(e=e.namespaceURI)?bd(e):0;break;default:if(e=n.tagName,n=n.namespaceURI)e=kd(n=bd(n),e);else switch(e){case"svg":e=1;break;case"math":e=2;break;default:e=0}}H(W),V(W,e)}function X(){H(W),H(Q),H(G)}function Z(e){null!==e.memoizedState&&V(Y,e);var n=W.current,t=kd(n,e.type);n!==t&&(V(Q,e),V(W,t))}function J(e){Q.current===e&&(H(W),H(Q)),Y.current===e&&(H(Y),pf._currentValue=I)}function ee(e){if(void 0===B)try{throw Error()}catch(t){var n=t.stack.trim().match(/\n( *(at )?)/);B=n&&n[1]||"",$=-1<t.stack.indexOf("\n    at")?" (<anonymous>)":-1<t.stack.indexOf("@")?"@unknown:0:0":""}return"\n"+B+e+$}var ne=!1;function te(e,n){if(!e||ne)return"";ne=!0;var t=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{var r={DetermineComponentFrameRoot:function(){try{if(n){var t=function(){throw Error()};if(Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),"object"==typeof Reflect&&Reflect.construct){try{Reflect.construct(t,[])}catch(a){var r=a}Reflect.construct(e,[],t)}else{try{t.call()}catch(l){r=l}e.call(t.prototype)}}else{try{throw Error()}catch(o){r=o}(t=e())&&"function"==typeof t.catch&&t.catch(function(){})}}catch(i){if(i&&r&&"string"==typeof i.stack)return[i.stack,r.stack]}return[null,null]}};r.DetermineComponentFrameRoot.displayName="DetermineComponentFrameRoot";var a=Object.getOwnPropertyDescriptor(r.DetermineComponentFrameRoot,"name");a&&a.configurable&&Object.defineProperty(r.DetermineComponentFrameRoot,"name",{value:"DetermineComponentFrameRoot"});var l=r.DetermineComponentFrameRoot(),o=l[0],i=l[1];if(o&&i){var u=o.split("\n"),s=i.split("\n");for(a=r=0;r<u.length&&!u[r].includes("DetermineComponentFrameRoot");)r++;for(;a<s.length&&!s[a].includes("DetermineComponentFrameRoot");)a++;if(r===u.length||a===s.length)for(r=u.length-1,a=s.length-1;1<=r&&0<=a&&u[r]!==s[a];)a--;for(;1<=r&&0<=a;r--,a--)if(u[r]!==s[a]){if(1!==r||1!==a)do{if(r--,0>--a||u[r]!==s[a]){var c="\n"+u[r].replace(" at new "," at ");return e.displayName&&c.includes("<anonymous>")&&(c=c.replace("<anonymous>",e.displayName)),c}}while(1<=r&&0<=a);break}}}finally{ne=!1,Error.prepareStackTrace=t}return(t=e?e.displayName||e.name:"")?ee(t):""}function re(e,n){switch(e.tag){case 26:case 27:case 5:return ee(e.type);case 16:return ee("Lazy");case 13:return e.child!==n&&null!==n?ee("Suspense Fallback"):ee("Suspense");case 19:return ee("SuspenseList");case 0:case 15:return te(e.type,!1);case 11:return te(e.type.render,!1);case 1:return te(e.type,!0);case 31:return ee("Activity");default:return""}}function ae(e){try{var n="",t=null;do{n+=re(e,t),t=e,e=e.return}while(e);return n}catch(r){return"\nError generating stack: "+r.message+"\n"+r.stack}}var le=Object.prototype.hasOwnProperty,oe=t.unstable_scheduleCallback,ie=t.unstable_cancelCallback,ue=t.unstable_shouldYield,se=t.unstable_requestPaint,ce=t.unstable_now,de=t.unstable_getCurrentPriorityLevel,fe=t.unstable_ImmediatePriority,pe=t.unstable_UserBlockingPriority,me=t.unstable_NormalPriority,ge=t.unstable_LowPriority,he=t.unstable_IdlePriority,ye=t.log,ve=t.unstable_setDisableYieldValue,be=null,ke=null;function we(e){if("function"==typeof ye&&ve(e),ke&&"function"==typeof ke.setStrictMode)try{ke.setStrictMode(be,e)}catch(n){}}var Se=Math.clz32?Math.clz32:function(e){return 0===(e>>>=0)?32:31-(Ee(e)/xe|0)|0},Ee=Math.log,xe=Math.LN2;var Ce=256,Pe=262144,ze=4194304;function Ne(e){var n=42&e;if(0!==n)return n;switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:return 64;case 128:return 128;case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:return 261888&e;case 262144:case 524288:case 1048576:case 2097152:return 3932160&e;case 4194304:case 8388608:case 16777216:case 33554432:return 62914560&e;case 67108864:return 67108864;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 0;default:return e}}function Le(e,n,t){var r=e.pendingLanes;if(0===r)return 0;var a=0,l=e.suspendedLanes,o=e.pingedLanes;e=e.warmLanes;var i=134217727&r;return 0!==i?0!==(r=i&~l)?a=Ne(r):0!==(o&=i)?a=Ne(o):t||0!==(t=i&~e)&&(a=Ne(t)):0!==(i=r&~l)?a=Ne(i):0!==o?a=Ne(o):t||0!==(t=r&~e)&&(a=Ne(t)),0===a?0:0!==n&&n!==a&&0===(n&l)&&((l=a&-a)>=(t=n&-n)||32===l&&4194048&t)?n:a}function Te(e,n){return 0===(e.pendingLanes&~(e.suspendedLanes&~e.pingedLanes)&n)}function Me(e,n){switch(e){case 1:case 2:case 4:case 8:case 64:return n+250;case 16:case 32:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return n+5e3;default:return-1}}function Ae(){var e=ze;return!(62914560&(ze<<=1))&&(ze=4194304),e}function Re(e){for(var n=[],t=0;31>t;t++)n.push(e);return n}function _e(e,n){e.pendingLanes|=n,268435456!==n&&(e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0)}function Fe(e,n,t){e.pendingLanes|=n,e.suspendedLanes&=~n;var r=31-Se(n);e.entangledLanes|=n,e.entanglements[r]=1073741824|e.entanglements[r]|261930&t}function Oe(e,n){var t=e.entangledLanes|=n;for(e=e.entanglements;t;){var r=31-Se(t),a=1<<r;a&n|e[r]&n&&(e[r]|=n),t&=~a}}function De(e,n){var t=n&-n;return 0!==((t=42&t?1:Ie(t))&(e.suspendedLanes|n))?0:t}function Ie(e){switch(e){case 2:e=1;break;case 8:e=4;break;case 32:e=16;break;case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:e=128;break;case 268435456:e=134217728;break;default:e=0}return e}function qe(e){return 2<(e&=-e)?8<e?134217727&e?32:268435456:8:2}function Ue(){var e=D.p;return 0!==e?e:void 0===(e=window.event)?32:Lf(e.type)}function je(e,n){var t=D.p;try{return D.p=e,n()}finally{D.p=t}}var He=Math.random().toString(36).slice(2),Ve="__reactFiber$"+He,Be="__reactProps$"+He,$e="__reactContainer$"+He,We="__reactEvents$"+He,Qe="__reactListeners$"+He,Ge="__reactHandles$"+He,Ye="__reactResources$"+He,Ke="__reactMarker$"+He;function Xe(e){delete e[Ve],delete e[Be],delete e[We],delete e[Qe],delete e[Ge]}function Ze(e){var n=e[Ve];if(n)return n;for(var t=e.parentNode;t;){if(n=t[$e]||t[Ve]){if(t=n.alternate,null!==n.child||null!==t&&null!==t.child)for(e=Id(e);null!==e;){if(t=e[Ve])return t;e=Id(e)}return n}t=(e=t).parentNode}return null}function Je(e){if(e=e[Ve]||e[$e]){var n=e.tag;if(5===n||6===n||13===n||31===n||26===n||27===n||3===n)return e}return null}function en(e){var n=e.tag;if(5===n||26===n||27===n||6===n)return e.stateNode;throw Error(o(33))}function nn(e){var n=e[Ye];return n||(n=e[Ye]={hoistableStyles:new Map,hoistableScripts:new Map}),n}function tn(e){e[Ke]=!0}var rn=new Set,an={};function ln(e,n){on(e,n),on(e+"Capture",n)}function on(e,n){for(an[e]=n,e=0;e<n.length;e++)rn.add(n[e])}var un=RegExp("^[:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD][:A-Z_a-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\-.0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040]*$"),sn={},cn={};function dn(e,n,t){if(a=n,le.call(cn,a)||!le.call(sn,a)&&(un.test(a)?cn[a]=!0:(sn[a]=!0,0)))if(null===t)e.removeAttribute(n);else{switch(typeof t){case"undefined":case"function":case"symbol":return void e.removeAttribute(n);case"boolean":var r=n.toLowerCase().slice(0,5);if("data-"!==r&&"aria-"!==r)return void e.removeAttribute(n)}e.setAttribute(n,""+t)}var a}function fn(e,n,t){if(null===t)e.removeAttribute(n);else{switch(typeof t){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(n)}e.setAttribute(n,""+t)}}function pn(e,n,t,r){if(null===r)e.removeAttribute(t);else{switch(typeof r){case"undefined":case"function":case"symbol":case"boolean":return void e.removeAttribute(t)}e.setAttributeNS(n,t,""+r)}}function mn(e){switch(typeof e){case"bigint":case"boolean":case"number":case"string":case"undefined":case"object":return e;default:return""}}function gn(e){var n=e.type;return(e=e.nodeName)&&"input"===e.toLowerCase()&&("checkbox"===n||"radio"===n)}function hn(e){if(!e._valueTracker){var n=gn(e)?"checked":"value";e._valueTracker=function(e,n,t){var r=Object.getOwnPropertyDescriptor(e.constructor.prototype,n);if(!e.hasOwnProperty(n)&&void 0!==r&&"function"==typeof r.get&&"function"==typeof r.set){var a=r.get,l=r.set;return Object.defineProperty(e,n,{configurable:!0,get:function(){return a.call(this)},set:function(e){t=""+e,l.call(this,e)}}),Object.defineProperty(e,n,{enumerable:r.enumerable}),{getValue:function(){return t},setValue:function(e){t=""+e},stopTracking:function(){e._valueTracker=null,delete e[n]}}}}(e,n,""+e[n])}}function yn(e){if(!e)return!1;var n=e._valueTracker;if(!n)return!0;var t=n.getValue(),r="";return e&&(r=gn(e)?e.checked?"true":"false":e.value),(e=r)!==t&&(n.setValue(e),!0)}function vn(e){if(void 0===(e=e||("undefined"!=typeof document?document:void 0)))return null;try{return e.activeElement||e.body}catch(n){return e.body}}var bn=/[\n"\\]/g;function kn(e){return e.replace(bn,function(e){return"\\"+e.charCodeAt(0).toString(16)+" "})}function wn(e,n,t,r,a,l,o,i){e.name="",null!=o&&"function"!=typeof o&&"symbol"!=typeof o&&"boolean"!=typeof o?e.type=o:e.removeAttribute("type"),null!=n?"number"===o?(0===n&&""===e.value||e.value!=n)&&(e.value=""+mn(n)):e.value!==""+mn(n)&&(e.value=""+mn(n)):"submit"!==o&&"reset"!==o||e.removeAttribute("value"),null!=n?En(e,o,mn(n)):null!=t?En(e,o,mn(t)):null!=r&&e.removeAttribute("value"),null==a&&null!=l&&(e.defaultChecked=!!l),null!=a&&(e.checked=a&&"function"!=typeof a&&"symbol"!=typeof a),null!=i&&"function"!=typeof i&&"symbol"!=typeof i&&"boolean"!=typeof i?e.name=""+mn(i):e.removeAttribute("name")}function Sn(e,n,t,r,a,l,o,i){if(null!=l&&"function"!=typeof l&&"symbol"!=typeof l&&"boolean"!=typeof l&&(e.type=l),null!=n||null!=t){if(("submit"===l||"reset"===l)&&null==n)return void hn(e);t=null!=t?""+mn(t):"",n=null!=n?""+mn(n):t,i||n===e.value||(e.value=n),e.defaultValue=n}r="function"!=typeof(r=null!=r?r:a)&&"symbol"!=typeof r&&!!r,e.checked=i?e.checked:!!r,e.defaultChecked=!!r,null!=o&&"function"!=typeof o&&"symbol"!=typeof o&&"boolean"!=typeof o&&(e.name=o),hn(e)}function En(e,n,t){"number"===n&&vn(e.ownerDocument)===e||e.defaultValue===""+t||(e.defaultValue=""+t)}function xn(e,n,t,r){if(e=e.options,n){n={};for(var a=0;a<t.length;a++)n["$"+t[a]]=!0;for(t=0;t<e.length;t++)a=n.hasOwnProperty("$"+e[t].value),e[t].selected!==a&&(e[t].selected=a),a&&r&&(e[t].defaultSelected=!0)}else{for(t=""+mn(t),n=null,a=0;a<e.length;a++){if(e[a].value===t)return e[a].selected=!0,void(r&&(e[a].defaultSelected=!0));null!==n||e[a].disabled||(n=e[a])}null!==n&&(n.selected=!0)}}function Cn(e,n,t){null==n||((n=""+mn(n))!==e.value&&(e.value=n),null!=t)?e.defaultValue=null!=t?""+mn(t):"":e.defaultValue!==n&&(e.defaultValue=n)}function Pn(e,n,t,r){if(null==n){if(null!=r){if(null!=t)throw Error(o(92));if(F(r)){if(1<r.length)throw Error(o(93));r=r[0]}t=r}null==t&&(t=""),n=t}t=mn(n),e.defaultValue=t,(r=e.textContent)===t&&""!==r&&null!==r&&(e.value=r),hn(e)}function zn(e,n){if(n){var t=e.firstChild;if(t&&t===e.lastChild&&3===t.nodeType)return void(t.nodeValue=n)}e.textContent=n}var Nn=new Set("animationIterationCount aspectRatio borderImageOutset borderImageSlice borderImageWidth boxFlex boxFlexGroup boxOrdinalGroup columnCount columns flex flexGrow flexPositive flexShrink flexNegative flexOrder gridArea gridRow gridRowEnd gridRowSpan gridRowStart gridColumn gridColumnEnd gridColumnSpan gridColumnStart fontWeight lineClamp lineHeight opacity order orphans scale tabSize widows zIndex zoom fillOpacity floodOpacity stopOpacity strokeDasharray strokeDashoffset strokeMiterlimit strokeOpacity strokeWidth MozAnimationIterationCount MozBoxFlex MozBoxFlexGroup MozLineClamp msAnimationIterationCount msFlex msZoom msFlexGrow msFlexNegative msFlexOrder msFlexPositive msFlexShrink msGridColumn msGridColumnSpan msGridRow msGridRowSpan WebkitAnimationIterationCount WebkitBoxFlex WebKitBoxFlexGroup WebkitBoxOrdinalGroup WebkitColumnCount WebkitColumns WebkitFlex WebkitFlexGrow WebkitFlexPositive WebkitFlexShrink WebkitLineClamp".split(" "));function Ln(e,n,t){var r=0===n.indexOf("--");null==t||"boolean"==typeof t||""===t?r?e.setProperty(n,""):"float"===n?e.cssFloat="":e[n]="":r?e.setProperty(n,t):"number"!=typeof t||0===t||Nn.has(n)?"float"===n?e.cssFloat=t:e[n]=(""+t).trim():e[n]=t+"px"}function Tn(e,n,t){if(null!=n&&"object"!=typeof n)throw Error(o(62));if(e=e.style,null!=t){for(var r in t)!t.hasOwnProperty(r)||null!=n&&n.hasOwnProperty(r)||(0===r.indexOf("--")?e.setProperty(r,""):"float"===r?e.cssFloat="":e[r]="");for(var a in n)r=n[a],n.hasOwnProperty(a)&&t[a]!==r&&Ln(e,a,r)}else for(var l in n)n.hasOwnProperty(l)&&Ln(e,l,n[l])}function Mn(e){if(-1===e.indexOf("-"))return!1;switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var An=new Map([["acceptCharset","accept-charset"],["htmlFor","for"],["httpEquiv","http-equiv"],["crossOrigin","crossorigin"],["accentHeight","accent-height"],["alignmentBaseline","alignment-baseline"],["arabicForm","arabic-form"],["baselineShift","baseline-shift"],["capHeight","cap-height"],["clipPath","clip-path"],["clipRule","clip-rule"],["colorInterpolation","color-interpolation"],["colorInterpolationFilters","color-interpolation-filters"],["colorProfile","color-profile"],["colorRendering","color-rendering"],["dominantBaseline","dominant-baseline"],["enableBackground","enable-background"],["fillOpacity","fill-opacity"],["fillRule","fill-rule"],["floodColor","flood-color"],["floodOpacity","flood-opacity"],["fontFamily","font-family"],["fontSize","font-size"],["fontSizeAdjust","font-size-adjust"],["fontStretch","font-stretch"],["fontStyle","font-style"],["fontVariant","font-variant"],["fontWeight","font-weight"],["glyphName","glyph-name"],["glyphOrientationHorizontal","glyph-orientation-horizontal"],["glyphOrientationVertical","glyph-orientation-vertical"],["horizAdvX","horiz-adv-x"],["horizOriginX","horiz-origin-x"],["imageRendering","image-rendering"],["letterSpacing","letter-spacing"],["lightingColor","lighting-color"],["markerEnd","marker-end"],["markerMid","marker-mid"],["markerStart","marker-start"],["overlinePosition","overline-position"],["overlineThickness","overline-thickness"],["paintOrder","paint-order"],["panose-1","panose-1"],["pointerEvents","pointer-events"],["renderingIntent","rendering-intent"],["shapeRendering","shape-rendering"],["stopColor","stop-color"],["stopOpacity","stop-opacity"],["strikethroughPosition","strikethrough-position"],["strikethroughThickness","strikethrough-thickness"],["strokeDasharray","stroke-dasharray"],["strokeDashoffset","stroke-dashoffset"],["strokeLinecap","stroke-linecap"],["strokeLinejoin","stroke-linejoin"],["strokeMiterlimit","stroke-miterlimit"],["strokeOpacity","stroke-opacity"],["strokeWidth","stroke-width"],["textAnchor","text-anchor"],["textDecoration","text-decoration"],["textRendering","text-rendering"],["transformOrigin","transform-origin"],["underlinePosition","underline-position"],["underlineThickness","underline-thickness"],["unicodeBidi","unicode-bidi"],["unicodeRange","unicode-range"],["unitsPerEm","units-per-em"],["vAlphabetic","v-alphabetic"],["vHanging","v-hanging"],["vIdeographic","v-ideographic"],["vMathematical","v-mathematical"],["vectorEffect","vector-effect"],["vertAdvY","vert-adv-y"],["vertOriginX","vert-origin-x"],["vertOriginY","vert-origin-y"],["wordSpacing","word-spacing"],["writingMode","writing-mode"],["xmlnsXlink","xmlns:xlink"],["xHeight","x-height"]]),Rn=/^[\u0000-\u001F ]*j[\r\n\t]*a[\r\n\t]*v[\r\n\t]*a[\r\n\t]*s[\r\n\t]*c[\r\n\t]*r[\r\n\t]*i[\r\n\t]*p[\r\n\t]*t[\r\n\t]*:/i;function _n(e){return Rn.test(""+e)?"javascript:throw new Error('React has blocked a javascript: URL as a security precaution.')":e}function Fn(){}var On=null;function Dn(e){return(e=e.target||e.srcElement||window).correspondingUseElement&&(e=e.correspondingUseElement),3===e.nodeType?e.parentNode:e}var In=null,qn=null;function Un(e){var n=Je(e);if(n&&(e=n.stateNode)){var t=e[Be]||null;e:switch(e=n.stateNode,n.type){case"input":if(wn(e,t.value,t.defaultValue,t.defaultValue,t.checked,t.defaultChecked,t.type,t.name),n=t.name,"radio"===t.type&&null!=n){for(t=e;t.parentNode;)t=t.parentNode;for(t=t.querySelectorAll('input[name="'+kn(""+n)+'"][type="radio"]'),n=0;n<t.length;n++){var r=t[n];if(r!==e&&r.form===e.form){var a=r[Be]||null;if(!a)throw Error(o(90));wn(r,a.value,a.defaultValue,a.defaultValue,a.checked,a.defaultChecked,a.type,a.name)}}for(n=0;n<t.length;n++)(r=t[n]).form===e.form&&yn(r)}break e;case"textarea":Cn(e,t.value,t.defaultValue);break e;case"select":null!=(n=t.value)&&xn(e,!!t.multiple,n,!1)}}}var jn=!1;function Hn(e,n,t){if(jn)return e(n,t);jn=!0;try{return e(n)}finally{if(jn=!1,(null!==In||null!==qn)&&(nc(),In&&(n=In,e=qn,qn=In=null,Un(n),e)))for(n=0;n<e.length;n++)Un(e[n])}}function Vn(e,n){var t=e.stateNode;if(null===t)return null;var r=t[Be]||null;if(null===r)return null;t=r[n];e:switch(n){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(r=!("button"===(e=e.type)||"input"===e||"select"===e||"textarea"===e)),e=!r;break e;default:e=!1}if(e)return null;if(t&&"function"!=typeof t)throw Error(o(231,n,typeof t));return t}var Bn=!("undefined"==typeof window||void 0===window.document||void 0===window.document.createElement),$n=!1;if(Bn)try{var Wn={};Object.defineProperty(Wn,"passive",{get:function(){$n=!0}}),window.addEventListener("test",Wn,Wn),window.removeEventListener("test",Wn,Wn)}catch(ep){$n=!1}var Qn=null,Gn=null,Yn=null;function Kn(){if(Yn)return Yn;var e,n,t=Gn,r=t.length,a="value"in Qn?Qn.value:Qn.textContent,l=a.length;for(e=0;e<r&&t[e]===a[e];e++);var o=r-e;for(n=1;n<=o&&t[r-n]===a[l-n];n++);return Yn=a.slice(e,1<n?1-n:void 0)}function Xn(e){var n=e.keyCode;return"charCode"in e?0===(e=e.charCode)&&13===n&&(e=13):e=n,10===e&&(e=13),32<=e||13===e?e:0}function Zn(){return!0}function Jn(){return!1}function et(e){function n(n,t,r,a,l){for(var o in this._reactName=n,this._targetInst=r,this.type=t,this.nativeEvent=a,this.target=l,this.currentTarget=null,e)e.hasOwnProperty(o)&&(n=e[o],this[o]=n?n(a):a[o]);return this.isDefaultPrevented=(null!=a.defaultPrevented?a.defaultPrevented:!1===a.returnValue)?Zn:Jn,this.isPropagationStopped=Jn,this}return g(n.prototype,{preventDefault:function(){this.defaultPrevented=!0;var e=this.nativeEvent;e&&(e.preventDefault?e.preventDefault():"unknown"!=typeof e.returnValue&&(e.returnValue=!1),this.isDefaultPrevented=Zn)},stopPropagation:function(){var e=this.nativeEvent;e&&(e.stopPropagation?e.stopPropagation():"unknown"!=typeof e.cancelBubble&&(e.cancelBubble=!0),this.isPropagationStopped=Zn)},persist:function(){},isPersistent:Zn}),n}var nt,tt,rt,at={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},lt=et(at),ot=g({},at,{view:0,detail:0}),it=et(ot),ut=g({},ot,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:bt,button:0,buttons:0,relatedTarget:function(e){return void 0===e.relatedTarget?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==rt&&(rt&&"mousemove"===e.type?(nt=e.screenX-rt.screenX,tt=e.screenY-rt.screenY):tt=nt=0,rt=e),nt)},movementY:function(e){return"movementY"in e?e.movementY:tt}}),st=et(ut),ct=et(g({},ut,{dataTransfer:0})),dt=et(g({},ot,{relatedTarget:0})),ft=et(g({},at,{animationName:0,elapsedTime:0,pseudoElement:0})),pt=et(g({},at,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}})),mt=et(g({},at,{data:0})),gt={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},ht={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},yt={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function vt(e){var n=this.nativeEvent;return n.getModifierState?n.getModifierState(e):!!(e=yt[e])&&!!n[e]}function bt(){return vt}var kt=et(g({},ot,{key:function(e){if(e.key){var n=gt[e.key]||e.key;if("Unidentified"!==n)return n}return"keypress"===e.type?13===(e=Xn(e))?"Enter":String.fromCharCode(e):"keydown"===e.type||"keyup"===e.type?ht[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:bt,charCode:function(e){return"keypress"===e.type?Xn(e):0},keyCode:function(e){return"keydown"===e.type||"keyup"===e.type?e.keyCode:0},which:function(e){return"keypress"===e.type?Xn(e):"keydown"===e.type||"keyup"===e.type?e.keyCode:0}})),wt=et(g({},ut,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0})),St=et(g({},ot,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:bt})),Et=et(g({},at,{propertyName:0,elapsedTime:0,pseudoElement:0})),xt=et(g({},ut,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0})),Ct=et(g({},at,{newState:0,oldState:0})),Pt=[9,13,27,32],zt=Bn&&"CompositionEvent"in window,Nt=null;Bn&&"documentMode"in document&&(Nt=document.documentMode);var Lt=Bn&&"TextEvent"in window&&!Nt,Tt=Bn&&(!zt||Nt&&8<Nt&&11>=Nt),Mt=String.fromCharCode(32),At=!1;function Rt(e,n){switch(e){case"keyup":return-1!==Pt.indexOf(n.keyCode);case"keydown":return 229!==n.keyCode;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function _t(e){return"object"==typeof(e=e.detail)&&"data"in e?e.data:null}var Ft=!1;var Ot={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function Dt(e){var n=e&&e.nodeName&&e.nodeName.toLowerCase();return"input"===n?!!Ot[e.type]:"textarea"===n}function It(e,n,t,r){In?qn?qn.push(r):qn=[r]:In=r,0<(n=ld(n,"onChange")).length&&(t=new lt("onChange","change",null,t,r),e.push({event:t,listeners:n}))}var qt=null,Ut=null;function jt(e){Xc(e,0)}function Ht(e){if(yn(en(e)))return e}function Vt(e,n){if("change"===e)return n}var Bt=!1;if(Bn){var $t;if(Bn){var Wt="oninput"in document;if(!Wt){var Qt=document.createElement("div");Qt.setAttribute("oninput","return;"),Wt="function"==typeof Qt.oninput}$t=Wt}else $t=!1;Bt=$t&&(!document.documentMode||9<document.documentMode)}function Gt(){qt&&(qt.detachEvent("onpropertychange",Yt),Ut=qt=null)}function Yt(e){if("value"===e.propertyName&&Ht(Ut)){var n=[];It(n,Ut,e,Dn(e)),Hn(jt,n)}}function Kt(e,n,t){"focusin"===e?(Gt(),Ut=t,(qt=n).attachEvent("onpropertychange",Yt)):"focusout"===e&&Gt()}function Xt(e){if("selectionchange"===e||"keyup"===e||"keydown"===e)return Ht(Ut)}function Zt(e,n){if("click"===e)return Ht(n)}function Jt(e,n){if("input"===e||"change"===e)return Ht(n)}var er="function"==typeof Object.is?Object.is:function(e,n){return e===n&&(0!==e||1/e==1/n)||e!=e&&n!=n};function nr(e,n){if(er(e,n))return!0;if("object"!=typeof e||null===e||"object"!=typeof n||null===n)return!1;var t=Object.keys(e),r=Object.keys(n);if(t.length!==r.length)return!1;for(r=0;r<t.length;r++){var a=t[r];if(!le.call(n,a)||!er(e[a],n[a]))return!1}return!0}function tr(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function rr(e,n){var t,r=tr(e);for(e=0;r;){if(3===r.nodeType){if(t=e+r.textContent.length,e<=n&&t>=n)return{node:r,offset:n-e};e=t}e:{for(;r;){if(r.nextSibling){r=r.nextSibling;break e}r=r.parentNode}r=void 0}r=tr(r)}}function ar(e,n){return!(!e||!n)&&(e===n||(!e||3!==e.nodeType)&&(n&&3===n.nodeType?ar(e,n.parentNode):"contains"in e?e.contains(n):!!e.compareDocumentPosition&&!!(16&e.compareDocumentPosition(n))))}function lr(e){for(var n=vn((e=null!=e&&null!=e.ownerDocument&&null!=e.ownerDocument.defaultView?e.ownerDocument.defaultView:window).document);n instanceof e.HTMLIFrameElement;){try{var t="string"==typeof n.contentWindow.location.href}catch(r){t=!1}if(!t)break;n=vn((e=n.contentWindow).document)}return n}function or(e){var n=e&&e.nodeName&&e.nodeName.toLowerCase();return n&&("input"===n&&("text"===e.type||"search"===e.type||"tel"===e.type||"url"===e.type||"password"===e.type)||"textarea"===n||"true"===e.contentEditable)}var ir=Bn&&"documentMode"in document&&11>=document.documentMode,ur=null,sr=null,cr=null,dr=!1;function fr(e,n,t){var r=t.window===t?t.document:9===t.nodeType?t:t.ownerDocument;dr||null==ur||ur!==vn(r)||("selectionStart"in(r=ur)&&or(r)?r={start:r.selectionStart,end:r.selectionEnd}:r={anchorNode:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection()).anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset},cr&&nr(cr,r)||(cr=r,0<(r=ld(sr,"onSelect")).length&&(n=new lt("onSelect","select",null,n,t),e.push({event:n,listeners:r}),n.target=ur)))}function pr(e,n){var t={};return t[e.toLowerCase()]=n.toLowerCase(),t["Webkit"+e]="webkit"+n,t["Moz"+e]="moz"+n,t}var mr={animationend:pr("Animation","AnimationEnd"),animationiteration:pr("Animation","AnimationIteration"),animationstart:pr("Animation","AnimationStart"),transitionrun:pr("Transition","TransitionRun"),transitionstart:pr("Transition","TransitionStart"),transitioncancel:pr("Transition","TransitionCancel"),transitionend:pr("Transition","TransitionEnd")},gr={},hr={};function yr(e){if(gr[e])return gr[e];if(!mr[e])return e;var n,t=mr[e];for(n in t)if(t.hasOwnProperty(n)&&n in hr)return gr[e]=t[n];return e}Bn&&(hr=document.createElement("div").style,"AnimationEvent"in window||(delete mr.animationend.animation,delete mr.animationiteration.animation,delete mr.animationstart.animation),"TransitionEvent"in window||delete mr.transitionend.transition);var vr=yr("animationend"),br=yr("animationiteration"),kr=yr("animationstart"),wr=yr("transitionrun"),Sr=yr("transitionstart"),Er=yr("transitioncancel"),xr=yr("transitionend"),Cr=new Map,Pr="abort auxClick beforeToggle cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function zr(e,n){Cr.set(e,n),ln(n,[e])}Pr.push("scrollEnd");var Nr="function"==typeof reportError?reportError:function(e){if("object"==typeof window&&"function"==typeof window.ErrorEvent){var n=new window.ErrorEvent("error",{bubbles:!0,cancelable:!0,message:"object"==typeof e&&null!==e&&"string"==typeof e.message?String(e.message):String(e),error:e});if(!window.dispatchEvent(n))return}else if("object"==typeof process&&"function"==typeof process.emit)return void process.emit("uncaughtException",e)},Lr=[],Tr=0,Mr=0;function Ar(){for(var e=Tr,n=Mr=Tr=0;n<e;){var t=Lr[n];Lr[n++]=null;var r=Lr[n];Lr[n++]=null;var a=Lr[n];Lr[n++]=null;var l=Lr[n];if(Lr[n++]=null,null!==r&&null!==a){var o=r.pending;null===o?a.next=a:(a.next=o.next,o.next=a),r.pending=a}0!==l&&Or(t,a,l)}}function Rr(e,n,t,r){Lr[Tr++]=e,Lr[Tr++]=n,Lr[Tr++]=t,Lr[Tr++]=r,Mr|=r,e.lanes|=r,null!==(e=e.alternate)&&(e.lanes|=r)}function _r(e,n,t,r){return Rr(e,n,t,r),Dr(e)}function Fr(e,n){return Rr(e,null,null,n),Dr(e)}function Or(e,n,t){e.lanes|=t;var r=e.alternate;null!==r&&(r.lanes|=t);for(var a=!1,l=e.return;null!==l;)l.childLanes|=t,null!==(r=l.alternate)&&(r.childLanes|=t),22===l.tag&&(null===(e=l.stateNode)||1&e._visibility||(a=!0)),e=l,l=l.return;return 3===e.tag?(l=e.stateNode,a&&null!==n&&(a=31-Se(t),null===(r=(e=l.hiddenUpdates)[a])?e[a]=[n]:r.push(n),n.lane=536870912|t),l):null}function Dr(e){if(50<Ws)throw Ws=0,Qs=null,Error(o(185));for(var n=e.return;null!==n;)n=(e=n).return;return 3===e.tag?e.stateNode:null}var Ir={};function qr(e,n,t,r){this.tag=e,this.key=t,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.refCleanup=this.ref=null,this.pendingProps=n,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Ur(e,n,t,r){return new qr(e,n,t,r)}function jr(e){return!(!(e=e.prototype)||!e.isReactComponent)}function Hr(e,n){var t=e.alternate;return null===t?((t=Ur(e.tag,n,e.key,e.mode)).elementType=e.elementType,t.type=e.type,t.stateNode=e.stateNode,t.alternate=e,e.alternate=t):(t.pendingProps=n,t.type=e.type,t.flags=0,t.subtreeFlags=0,t.deletions=null),t.flags=65011712&e.flags,t.childLanes=e.childLanes,t.lanes=e.lanes,t.child=e.child,t.memoizedProps=e.memoizedProps,t.memoizedState=e.memoizedState,t.updateQueue=e.updateQueue,n=e.dependencies,t.dependencies=null===n?null:{lanes:n.lanes,firstContext:n.firstContext},t.sibling=e.sibling,t.index=e.index,t.ref=e.ref,t.refCleanup=e.refCleanup,t}function Vr(e,n){e.flags&=65011714;var t=e.alternate;return null===t?(e.childLanes=0,e.lanes=n,e.child=null,e.subtreeFlags=0,e.memoizedProps=null,e.memoizedState=null,e.updateQueue=null,e.dependencies=null,e.stateNode=null):(e.childLanes=t.childLanes,e.lanes=t.lanes,e.child=t.child,e.subtreeFlags=0,e.deletions=null,e.memoizedProps=t.memoizedProps,e.memoizedState=t.memoizedState,e.updateQueue=t.updateQueue,e.type=t.type,n=t.dependencies,e.dependencies=null===n?null:{lanes:n.lanes,firstContext:n.firstContext}),e}function Br(e,n,t,r,a,l){var i=0;if(r=e,"function"==typeof e)jr(e)&&(i=1);else if("string"==typeof e)i=function(e,n,t){if(1===t||null!=n.itemProp)return!1;switch(e){case"meta":case"title":return!0;case"style":if("string"!=typeof n.precedence||"string"!=typeof n.href||""===n.href)break;return!0;case"link":if("string"!=typeof n.rel||"string"!=typeof n.href||""===n.href||n.onLoad||n.onError)break;return"stylesheet"!==n.rel||(e=n.disabled,"string"==typeof n.precedence&&null==e);case"script":if(n.async&&"function"!=typeof n.async&&"symbol"!=typeof n.async&&!n.onLoad&&!n.onError&&n.src&&"string"==typeof n.src)return!0}return!1}(e,t,W.current)?26:"html"===e||"head"===e||"body"===e?27:5;else e:switch(e){case L:return(e=Ur(31,t,n,a)).elementType=L,e.lanes=l,e;case b:return $r(t.children,a,l,n);case k:i=8,a|=24;break;case w:return(e=Ur(12,t,n,2|a)).elementType=w,e.lanes=l,e;case C:return(e=Ur(13,t,n,a)).elementType=C,e.lanes=l,e;case P:return(e=Ur(19,t,n,a)).elementType=P,e.lanes=l,e;default:if("object"==typeof e&&null!==e)switch(e.$$typeof){case E:i=10;break e;case S:i=9;break e;case x:i=11;break e;case z:i=14;break e;case N:i=16,r=null;break e}i=29,t=Error(o(130,null===e?"null":typeof e,"")),r=null}return(n=Ur(i,t,n,a)).elementType=e,n.type=r,n.lanes=l,n}function $r(e,n,t,r){return(e=Ur(7,e,r,n)).lanes=t,e}function Wr(e,n,t){return(e=Ur(6,e,null,n)).lanes=t,e}function Qr(e){var n=Ur(18,null,null,0);return n.stateNode=e,n}function Gr(e,n,t){return(n=Ur(4,null!==e.children?e.children:[],e.key,n)).lanes=t,n.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},n}var Yr=new WeakMap;function Kr(e,n){if("object"==typeof e&&null!==e){var t=Yr.get(e);return void 0!==t?t:(n={value:e,source:n,stack:ae(n)},Yr.set(e,n),n)}return{value:e,source:n,stack:ae(n)}}var Xr=[],Zr=0,Jr=null,ea=0,na=[],ta=0,ra=null,aa=1,la="";function oa(e,n){Xr[Zr++]=ea,Xr[Zr++]=Jr,Jr=e,ea=n}function ia(e,n,t){na[ta++]=aa,na[ta++]=la,na[ta++]=ra,ra=e;var r=aa;e=la;var a=32-Se(r)-1;r&=~(1<<a),t+=1;var l=32-Se(n)+a;if(30<l){var o=a-a%5;l=(r&(1<<o)-1).toString(32),r>>=o,a-=o,aa=1<<32-Se(n)+a|t<<a|r,la=l+e}else aa=1<<l|t<<a|r,la=e}function ua(e){null!==e.return&&(oa(e,1),ia(e,1,0))}function sa(e){for(;e===Jr;)Jr=Xr[--Zr],Xr[Zr]=null,ea=Xr[--Zr],Xr[Zr]=null;for(;e===ra;)ra=na[--ta],na[ta]=null,la=na[--ta],na[ta]=null,aa=na[--ta],na[ta]=null}function ca(e,n){na[ta++]=aa,na[ta++]=la,na[ta++]=ra,aa=n.id,la=n.overflow,ra=e}var da=null,fa=null,pa=!1,ma=null,ga=!1,ha=Error(o(519));function ya(e){throw Ea(Kr(Error(o(418,1<arguments.length&&void 0!==arguments[1]&&arguments[1]?"text":"HTML","")),e)),ha}function va(e){var n=e.stateNode,t=e.type,r=e.memoizedProps;switch(n[Ve]=e,n[Be]=r,t){case"dialog":Zc("cancel",n),Zc("close",n);break;case"iframe":case"object":case"embed":Zc("load",n);break;case"video":case"audio":for(t=0;t<Yc.length;t++)Zc(Yc[t],n);break;case"source":Zc("error",n);break;case"img":case"image":case"link":Zc("error",n),Zc("load",n);break;case"details":Zc("toggle",n);break;case"input":Zc("invalid",n),Sn(n,r.value,r.defaultValue,r.checked,r.defaultChecked,r.type,r.name,!0);break;case"select":Zc("invalid",n);break;case"textarea":Zc("invalid",n),Pn(n,r.value,r.defaultValue,r.children)}"string"!=typeof(t=r.children)&&"number"!=typeof t&&"bigint"!=typeof t||n.textContent===""+t||!0===r.suppressHydrationWarning||dd(n.textContent,t)?(null!=r.popover&&(Zc("beforetoggle",n),Zc("toggle",n)),null!=r.onScroll&&Zc("scroll",n),null!=r.onScrollEnd&&Zc("scrollend",n),null!=r.onClick&&(n.onclick=Fn),n=!0):n=!1,n||ya(e,!0)}function ba(e){for(da=e.return;da;)switch(da.tag){case 5:case 31:case 13:return void(ga=!1);case 27:case 3:return void(ga=!0);default:da=da.return}}function ka(e){if(e!==da)return!1;if(!pa)return ba(e),pa=!0,!1;var n,t=e.tag;if((n=3!==t&&27!==t)&&((n=5===t)&&(n=!("form"!==(n=e.type)&&"button"!==n)||wd(e.type,e.memoizedProps)),n=!n),n&&fa&&ya(e),ba(e),13===t){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(o(317));fa=Dd(e)}else if(31===t){if(!(e=null!==(e=e.memoizedState)?e.dehydrated:null))throw Error(o(317));fa=Dd(e)}else 27===t?(t=fa,Nd(e.type)?(e=Od,Od=null,fa=e):fa=t):fa=da?Fd(e.stateNode.nextSibling):null;return!0}function wa(){fa=da=null,pa=!1}function Sa(){var e=ma;return null!==e&&(null===As?As=e:As.push.apply(As,e),ma=null),e}function Ea(e){null===ma?ma=[e]:ma.push(e)}var xa=j(null),Ca=null,Pa=null;function za(e,n,t){V(xa,n._currentValue),n._currentValue=t}function Na(e){e._currentValue=xa.current,H(xa)}function La(e,n,t){for(;null!==e;){var r=e.alternate;if((e.childLanes&n)!==n?(e.childLanes|=n,null!==r&&(r.childLanes|=n)):null!==r&&(r.childLanes&n)!==n&&(r.childLanes|=n),e===t)break;e=e.return}}function Ta(e,n,t,r){var a=e.child;for(null!==a&&(a.return=e);null!==a;){var l=a.dependencies;if(null!==l){var i=a.child;l=l.firstContext;e:for(;null!==l;){var u=l;l=a;for(var s=0;s<n.length;s++)if(u.context===n[s]){l.lanes|=t,null!==(u=l.alternate)&&(u.lanes|=t),La(l.return,t,e),r||(i=null);break e}l=u.next}}else if(18===a.tag){if(null===(i=a.return))throw Error(o(341));i.lanes|=t,null!==(l=i.alternate)&&(l.lanes|=t),La(i,t,e),i=null}else i=a.child;if(null!==i)i.return=a;else for(i=a;null!==i;){if(i===e){i=null;break}if(null!==(a=i.sibling)){a.return=i.return,i=a;break}i=i.return}a=i}}function Ma(e,n,t,r){e=null;for(var a=n,l=!1;null!==a;){if(!l)if(524288&a.flags)l=!0;else if(262144&a.flags)break;if(10===a.tag){var i=a.alternate;if(null===i)throw Error(o(387));if(null!==(i=i.memoizedProps)){var u=a.type;er(a.pendingProps.value,i.value)||(null!==e?e.push(u):e=[u])}}else if(a===Y.current){if(null===(i=a.alternate))throw Error(o(387));i.memoizedState.memoizedState!==a.memoizedState.memoizedState&&(null!==e?e.push(pf):e=[pf])}a=a.return}null!==e&&Ta(n,e,t,r),n.flags|=262144}function Aa(e){for(e=e.firstContext;null!==e;){if(!er(e.context._currentValue,e.memoizedValue))return!0;e=e.next}return!1}function Ra(e){Ca=e,Pa=null,null!==(e=e.dependencies)&&(e.firstContext=null)}function _a(e){return Oa(Ca,e)}function Fa(e,n){return null===Ca&&Ra(e),Oa(e,n)}function Oa(e,n){var t=n._currentValue;if(n={context:n,memoizedValue:t,next:null},null===Pa){if(null===e)throw Error(o(308));Pa=n,e.dependencies={lanes:0,firstContext:n},e.flags|=524288}else Pa=Pa.next=n;return t}var Da="undefined"!=typeof AbortController?AbortController:function(){var e=[],n=this.signal={aborted:!1,addEventListener:function(n,t){e.push(t)}};this.abort=function(){n.aborted=!0,e.forEach(function(e){return e()})}},Ia=t.unstable_scheduleCallback,qa=t.unstable_NormalPriority,Ua={$$typeof:E,Consumer:null,Provider:null,_currentValue:null,_currentValue2:null,_threadCount:0};function ja(){return{controller:new Da,data:new Map,refCount:0}}function Ha(e){e.refCount--,0===e.refCount&&Ia(qa,function(){e.controller.abort()})}var Va=null,Ba=0,$a=0,Wa=null;function Qa(){if(0===--Ba&&null!==Va){null!==Wa&&(Wa.status="fulfilled");var e=Va;Va=null,$a=0,Wa=null;for(var n=0;n<e.length;n++)(0,e[n])()}}var Ga=O.S;O.S=function(e,n){Fs=ce(),"object"==typeof n&&null!==n&&"function"==typeof n.then&&function(e,n){if(null===Va){var t=Va=[];Ba=0,$a=Bc(),Wa={status:"pending",value:void 0,then:function(e){t.push(e)}}}Ba++,n.then(Qa,Qa)}(0,n),null!==Ga&&Ga(e,n)};var Ya=j(null);function Ka(){var e=Ya.current;return null!==e?e:hs.pooledCache}function Xa(e,n){V(Ya,null===n?Ya.current:n.pool)}function Za(){var e=Ka();return null===e?null:{parent:Ua._currentValue,pool:e}}var Ja=Error(o(460)),el=Error(o(474)),nl=Error(o(542)),tl={then:function(){}};function rl(e){return"fulfilled"===(e=e.status)||"rejected"===e}function al(e,n,t){switch(void 0===(t=e[t])?e.push(n):t!==n&&(n.then(Fn,Fn),n=t),n.status){case"fulfilled":return n.value;case"rejected":throw ul(e=n.reason),e;default:if("string"==typeof n.status)n.then(Fn,Fn);else{if(null!==(e=hs)&&100<e.shellSuspendCounter)throw Error(o(482));(e=n).status="pending",e.then(function(e){if("pending"===n.status){var t=n;t.status="fulfilled",t.value=e}},function(e){if("pending"===n.status){var t=n;t.status="rejected",t.reason=e}})}switch(n.status){case"fulfilled":return n.value;case"rejected":throw ul(e=n.reason),e}throw ol=n,Ja}}function ll(e){try{return(0,e._init)(e._payload)}catch(n){if(null!==n&&"object"==typeof n&&"function"==typeof n.then)throw ol=n,Ja;throw n}}var ol=null;function il(){if(null===ol)throw Error(o(459));var e=ol;return ol=null,e}function ul(e){if(e===Ja||e===nl)throw Error(o(483))}var sl=null,cl=0;function dl(e){var n=cl;return cl+=1,null===sl&&(sl=[]),al(sl,e,n)}function fl(e,n){n=n.props.ref,e.ref=void 0!==n?n:null}function pl(e,n){if(n.$$typeof===h)throw Error(o(525));throw e=Object.prototype.toString.call(n),Error(o(31,"[object Object]"===e?"object with keys {"+Object.keys(n).join(", ")+"}":e))}function ml(e){function n(n,t){if(e){var r=n.deletions;null===r?(n.deletions=[t],n.flags|=16):r.push(t)}}function t(t,r){if(!e)return null;for(;null!==r;)n(t,r),r=r.sibling;return null}function r(e){for(var n=new Map;null!==e;)null!==e.key?n.set(e.key,e):n.set(e.index,e),e=e.sibling;return n}function a(e,n){return(e=Hr(e,n)).index=0,e.sibling=null,e}function l(n,t,r){return n.index=r,e?null!==(r=n.alternate)?(r=r.index)<t?(n.flags|=67108866,t):r:(n.flags|=67108866,t):(n.flags|=1048576,t)}function i(n){return e&&null===n.alternate&&(n.flags|=67108866),n}function u(e,n,t,r){return null===n||6!==n.tag?((n=Wr(t,e.mode,r)).return=e,n):((n=a(n,t)).return=e,n)}function s(e,n,t,r){var l=t.type;return l===b?d(e,n,t.props.children,r,t.key):null!==n&&(n.elementType===l||"object"==typeof l&&null!==l&&l.$$typeof===N&&ll(l)===n.type)?(fl(n=a(n,t.props),t),n.return=e,n):(fl(n=Br(t.type,t.key,t.props,null,e.mode,r),t),n.return=e,n)}function c(e,n,t,r){return null===n||4!==n.tag||n.stateNode.containerInfo!==t.containerInfo||n.stateNode.implementation!==t.implementation?((n=Gr(t,e.mode,r)).return=e,n):((n=a(n,t.children||[])).return=e,n)}function d(e,n,t,r,l){return null===n||7!==n.tag?((n=$r(t,e.mode,r,l)).return=e,n):((n=a(n,t)).return=e,n)}function f(e,n,t){if("string"==typeof n&&""!==n||"number"==typeof n||"bigint"==typeof n)return(n=Wr(""+n,e.mode,t)).return=e,n;if("object"==typeof n&&null!==n){switch(n.$$typeof){case y:return fl(t=Br(n.type,n.key,n.props,null,e.mode,t),n),t.return=e,t;case v:return(n=Gr(n,e.mode,t)).return=e,n;case N:return f(e,n=ll(n),t)}if(F(n)||A(n))return(n=$r(n,e.mode,t,null)).return=e,n;if("function"==typeof n.then)return f(e,dl(n),t);if(n.$$typeof===E)return f(e,Fa(e,n),t);pl(e,n)}return null}function p(e,n,t,r){var a=null!==n?n.key:null;if("string"==typeof t&&""!==t||"number"==typeof t||"bigint"==typeof t)return null!==a?null:u(e,n,""+t,r);if("object"==typeof t&&null!==t){switch(t.$$typeof){case y:return t.key===a?s(e,n,t,r):null;case v:return t.key===a?c(e,n,t,r):null;case N:return p(e,n,t=ll(t),r)}if(F(t)||A(t))return null!==a?null:d(e,n,t,r,null);if("function"==typeof t.then)return p(e,n,dl(t),r);if(t.$$typeof===E)return p(e,n,Fa(e,t),r);pl(e,t)}return null}function m(e,n,t,r,a){if("string"==typeof r&&""!==r||"number"==typeof r||"bigint"==typeof r)return u(n,e=e.get(t)||null,""+r,a);if("object"==typeof r&&null!==r){switch(r.$$typeof){case y:return s(n,e=e.get(null===r.key?t:r.key)||null,r,a);case v:return c(n,e=e.get(null===r.key?t:r.key)||null,r,a);case N:return m(e,n,t,r=ll(r),a)}if(F(r)||A(r))return d(n,e=e.get(t)||null,r,a,null);if("function"==typeof r.then)return m(e,n,t,dl(r),a);if(r.$$typeof===E)return m(e,n,t,Fa(n,r),a);pl(n,r)}return null}function g(u,s,c,d){if("object"==typeof c&&null!==c&&c.type===b&&null===c.key&&(c=c.props.children),"object"==typeof c&&null!==c){switch(c.$$typeof){case y:e:{for(var h=c.key;null!==s;){if(s.key===h){if((h=c.type)===b){if(7===s.tag){t(u,s.sibling),(d=a(s,c.props.children)).return=u,u=d;break e}}else if(s.elementType===h||"object"==typeof h&&null!==h&&h.$$typeof===N&&ll(h)===s.type){t(u,s.sibling),fl(d=a(s,c.props),c),d.return=u,u=d;break e}t(u,s);break}n(u,s),s=s.sibling}c.type===b?((d=$r(c.props.children,u.mode,d,c.key)).return=u,u=d):(fl(d=Br(c.type,c.key,c.props,null,u.mode,d),c),d.return=u,u=d)}return i(u);case v:e:{for(h=c.key;null!==s;){if(s.key===h){if(4===s.tag&&s.stateNode.containerInfo===c.containerInfo&&s.stateNode.implementation===c.implementation){t(u,s.sibling),(d=a(s,c.children||[])).return=u,u=d;break e}t(u,s);break}n(u,s),s=s.sibling}(d=Gr(c,u.mode,d)).return=u,u=d}return i(u);case N:return g(u,s,c=ll(c),d)}if(F(c))return function(a,o,i,u){for(var s=null,c=null,d=o,g=o=0,h=null;null!==d&&g<i.length;g++){d.index>g?(h=d,d=null):h=d.sibling;var y=p(a,d,i[g],u);if(null===y){null===d&&(d=h);break}e&&d&&null===y.alternate&&n(a,d),o=l(y,o,g),null===c?s=y:c.sibling=y,c=y,d=h}if(g===i.length)return t(a,d),pa&&oa(a,g),s;if(null===d){for(;g<i.length;g++)null!==(d=f(a,i[g],u))&&(o=l(d,o,g),null===c?s=d:c.sibling=d,c=d);return pa&&oa(a,g),s}for(d=r(d);g<i.length;g++)null!==(h=m(d,a,g,i[g],u))&&(e&&null!==h.alternate&&d.delete(null===h.key?g:h.key),o=l(h,o,g),null===c?s=h:c.sibling=h,c=h);return e&&d.forEach(function(e){return n(a,e)}),pa&&oa(a,g),s}(u,s,c,d);if(A(c)){if("function"!=typeof(h=A(c)))throw Error(o(150));return function(a,i,u,s){if(null==u)throw Error(o(151));for(var c=null,d=null,g=i,h=i=0,y=null,v=u.next();null!==g&&!v.done;h++,v=u.next()){g.index>h?(y=g,g=null):y=g.sibling;var b=p(a,g,v.value,s);if(null===b){null===g&&(g=y);break}e&&g&&null===b.alternate&&n(a,g),i=l(b,i,h),null===d?c=b:d.sibling=b,d=b,g=y}if(v.done)return t(a,g),pa&&oa(a,h),c;if(null===g){for(;!v.done;h++,v=u.next())null!==(v=f(a,v.value,s))&&(i=l(v,i,h),null===d?c=v:d.sibling=v,d=v);return pa&&oa(a,h),c}for(g=r(g);!v.done;h++,v=u.next())null!==(v=m(g,a,h,v.value,s))&&(e&&null!==v.alternate&&g.delete(null===v.key?h:v.key),i=l(v,i,h),null===d?c=v:d.sibling=v,d=v);return e&&g.forEach(function(e){return n(a,e)}),pa&&oa(a,h),c}(u,s,c=h.call(c),d)}if("function"==typeof c.then)return g(u,s,dl(c),d);if(c.$$typeof===E)return g(u,s,Fa(u,c),d);pl(u,c)}return"string"==typeof c&&""!==c||"number"==typeof c||"bigint"==typeof c?(c=""+c,null!==s&&6===s.tag?(t(u,s.sibling),(d=a(s,c)).return=u,u=d):(t(u,s),(d=Wr(c,u.mode,d)).return=u,u=d),i(u)):t(u,s)}return function(e,n,t,r){try{cl=0;var a=g(e,n,t,r);return sl=null,a}catch(o){if(o===Ja||o===nl)throw o;var l=Ur(29,o,null,e.mode);return l.lanes=r,l.return=e,l}}}var gl=ml(!0),hl=ml(!1),yl=!1;function vl(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,lanes:0,hiddenCallbacks:null},callbacks:null}}function bl(e,n){e=e.updateQueue,n.updateQueue===e&&(n.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,callbacks:null})}function kl(e){return{lane:e,tag:0,payload:null,callback:null,next:null}}function wl(e,n,t){var r=e.updateQueue;if(null===r)return null;if(r=r.shared,2&gs){var a=r.pending;return null===a?n.next=n:(n.next=a.next,a.next=n),r.pending=n,n=Dr(e),Or(e,null,t),n}return Rr(e,r,n,t),Dr(e)}function Sl(e,n,t){if(null!==(n=n.updateQueue)&&(n=n.shared,4194048&t)){var r=n.lanes;t|=r&=e.pendingLanes,n.lanes=t,Oe(e,t)}}function El(e,n){var t=e.updateQueue,r=e.alternate;if(null!==r&&t===(r=r.updateQueue)){var a=null,l=null;if(null!==(t=t.firstBaseUpdate)){do{var o={lane:t.lane,tag:t.tag,payload:t.payload,callback:null,next:null};null===l?a=l=o:l=l.next=o,t=t.next}while(null!==t);null===l?a=l=n:l=l.next=n}else a=l=n;return t={baseState:r.baseState,firstBaseUpdate:a,lastBaseUpdate:l,shared:r.shared,callbacks:r.callbacks},void(e.updateQueue=t)}null===(e=t.lastBaseUpdate)?t.firstBaseUpdate=n:e.next=n,t.lastBaseUpdate=n}var xl=!1;function Cl(){if(xl){if(null!==Wa)throw Wa}}function Pl(e,n,t,r){xl=!1;var a=e.updateQueue;yl=!1;var l=a.firstBaseUpdate,o=a.lastBaseUpdate,i=a.shared.pending;if(null!==i){a.shared.pending=null;var u=i,s=u.next;u.next=null,null===o?l=s:o.next=s,o=u;var c=e.alternate;null!==c&&((i=(c=c.updateQueue).lastBaseUpdate)!==o&&(null===i?c.firstBaseUpdate=s:i.next=s,c.lastBaseUpdate=u))}if(null!==l){var d=a.baseState;for(o=0,c=s=u=null,i=l;;){var f=-536870913&i.lane,p=f!==i.lane;if(p?(vs&f)===f:(r&f)===f){0!==f&&f===$a&&(xl=!0),null!==c&&(c=c.next={lane:0,tag:i.tag,payload:i.payload,callback:null,next:null});e:{var m=e,h=i;f=n;var y=t;switch(h.tag){case 1:if("function"==typeof(m=h.payload)){d=m.call(y,d,f);break e}d=m;break e;case 3:m.flags=-65537&m.flags|128;case 0:if(null==(f="function"==typeof(m=h.payload)?m.call(y,d,f):m))break e;d=g({},d,f);break e;case 2:yl=!0}}null!==(f=i.callback)&&(e.flags|=64,p&&(e.flags|=8192),null===(p=a.callbacks)?a.callbacks=[f]:p.push(f))}else p={lane:f,tag:i.tag,payload:i.payload,callback:i.callback,next:null},null===c?(s=c=p,u=d):c=c.next=p,o|=f;if(null===(i=i.next)){if(null===(i=a.shared.pending))break;i=(p=i).next,p.next=null,a.lastBaseUpdate=p,a.shared.pending=null}}null===c&&(u=d),a.baseState=u,a.firstBaseUpdate=s,a.lastBaseUpdate=c,null===l&&(a.shared.lanes=0),Ps|=o,e.lanes=o,e.memoizedState=d}}function zl(e,n){if("function"!=typeof e)throw Error(o(191,e));e.call(n)}function Nl(e,n){var t=e.callbacks;if(null!==t)for(e.callbacks=null,e=0;e<t.length;e++)zl(t[e],n)}var Ll=j(null),Tl=j(0);function Ml(e,n){V(Tl,e=xs),V(Ll,n),xs=e|n.baseLanes}function Al(){V(Tl,xs),V(Ll,Ll.current)}function Rl(){xs=Tl.current,H(Ll),H(Tl)}var _l=j(null),Fl=null;function Ol(e){var n=e.alternate;V(jl,1&jl.current),V(_l,e),null===Fl&&(null===n||null!==Ll.current||null!==n.memoizedState)&&(Fl=e)}function Dl(e){V(jl,jl.current),V(_l,e),null===Fl&&(Fl=e)}function Il(e){22===e.tag?(V(jl,jl.current),V(_l,e),null===Fl&&(Fl=e)):ql()}function ql(){V(jl,jl.current),V(_l,_l.current)}function Ul(e){H(_l),Fl===e&&(Fl=null),H(jl)}var jl=j(0);function Hl(e){for(var n=e;null!==n;){if(13===n.tag){var t=n.memoizedState;if(null!==t&&(null===(t=t.dehydrated)||Rd(t)||_d(t)))return n}else if(19!==n.tag||"forwards"!==n.memoizedProps.revealOrder&&"backwards"!==n.memoizedProps.revealOrder&&"unstable_legacy-backwards"!==n.memoizedProps.revealOrder&&"together"!==n.memoizedProps.revealOrder){if(null!==n.child){n.child.return=n,n=n.child;continue}}else if(128&n.flags)return n;if(n===e)break;for(;null===n.sibling;){if(null===n.return||n.return===e)return null;n=n.return}n.sibling.return=n.return,n=n.sibling}return null}var Vl=0,Bl=null,$l=null,Wl=null,Ql=!1,Gl=!1,Yl=!1,Kl=0,Xl=0,Zl=null,Jl=0;function eo(){throw Error(o(321))}function no(e,n){if(null===n)return!1;for(var t=0;t<n.length&&t<e.length;t++)if(!er(e[t],n[t]))return!1;return!0}function to(e,n,t,r,a,l){return Vl=l,Bl=n,n.memoizedState=null,n.updateQueue=null,n.lanes=0,O.H=null===e||null===e.memoizedState?vi:bi,Yl=!1,l=t(r,a),Yl=!1,Gl&&(l=ao(n,t,r,a)),ro(e),l}function ro(e){O.H=yi;var n=null!==$l&&null!==$l.next;if(Vl=0,Wl=$l=Bl=null,Ql=!1,Xl=0,Zl=null,n)throw Error(o(300));null===e||Fi||null!==(e=e.dependencies)&&Aa(e)&&(Fi=!0)}function ao(e,n,t,r){Bl=e;var a=0;do{if(Gl&&(Zl=null),Xl=0,Gl=!1,25<=a)throw Error(o(301));if(a+=1,Wl=$l=null,null!=e.updateQueue){var l=e.updateQueue;l.lastEffect=null,l.events=null,l.stores=null,null!=l.memoCache&&(l.memoCache.index=0)}O.H=ki,l=n(t,r)}while(Gl);return l}function lo(){var e=O.H,n=e.useState()[0];return n="function"==typeof n.then?fo(n):n,e=e.useState()[0],(null!==$l?$l.memoizedState:null)!==e&&(Bl.flags|=1024),n}function oo(){var e=0!==Kl;return Kl=0,e}function io(e,n,t){n.updateQueue=e.updateQueue,n.flags&=-2053,e.lanes&=~t}function uo(e){if(Ql){for(e=e.memoizedState;null!==e;){var n=e.queue;null!==n&&(n.pending=null),e=e.next}Ql=!1}Vl=0,Wl=$l=Bl=null,Gl=!1,Xl=Kl=0,Zl=null}function so(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return null===Wl?Bl.memoizedState=Wl=e:Wl=Wl.next=e,Wl}function co(){if(null===$l){var e=Bl.alternate;e=null!==e?e.memoizedState:null}else e=$l.next;var n=null===Wl?Bl.memoizedState:Wl.next;if(null!==n)Wl=n,$l=e;else{if(null===e){if(null===Bl.alternate)throw Error(o(467));throw Error(o(310))}e={memoizedState:($l=e).memoizedState,baseState:$l.baseState,baseQueue:$l.baseQueue,queue:$l.queue,next:null},null===Wl?Bl.memoizedState=Wl=e:Wl=Wl.next=e}return Wl}function fo(e){var n=Xl;return Xl+=1,null===Zl&&(Zl=[]),e=al(Zl,e,n),n=Bl,null===(null===Wl?n.memoizedState:Wl.next)&&(n=n.alternate,O.H=null===n||null===n.memoizedState?vi:bi),e}function po(e){if(null!==e&&"object"==typeof e){if("function"==typeof e.then)return fo(e);if(e.$$typeof===E)return _a(e)}throw Error(o(438,String(e)))}function mo(e){var n=null,t=Bl.updateQueue;if(null!==t&&(n=t.memoCache),null==n){var r=Bl.alternate;null!==r&&(null!==(r=r.updateQueue)&&(null!=(r=r.memoCache)&&(n={data:r.data.map(function(e){return e.slice()}),index:0})))}if(null==n&&(n={data:[],index:0}),null===t&&(t={lastEffect:null,events:null,stores:null,memoCache:null},Bl.updateQueue=t),t.memoCache=n,void 0===(t=n.data[n.index]))for(t=n.data[n.index]=Array(e),r=0;r<e;r++)t[r]=T;return n.index++,t}function go(e,n){return"function"==typeof n?n(e):n}function ho(e){return yo(co(),$l,e)}function yo(e,n,t){var r=e.queue;if(null===r)throw Error(o(311));r.lastRenderedReducer=t;var a=e.baseQueue,l=r.pending;if(null!==l){if(null!==a){var i=a.next;a.next=l.next,l.next=i}n.baseQueue=a=l,r.pending=null}if(l=e.baseState,null===a)e.memoizedState=l;else{var u=i=null,s=null,c=n=a.next,d=!1;do{var f=-536870913&c.lane;if(f!==c.lane?(vs&f)===f:(Vl&f)===f){var p=c.revertLane;if(0===p)null!==s&&(s=s.next={lane:0,revertLane:0,gesture:null,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null}),f===$a&&(d=!0);else{if((Vl&p)===p){c=c.next,p===$a&&(d=!0);continue}f={lane:0,revertLane:c.revertLane,gesture:null,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===s?(u=s=f,i=l):s=s.next=f,Bl.lanes|=p,Ps|=p}f=c.action,Yl&&t(l,f),l=c.hasEagerState?c.eagerState:t(l,f)}else p={lane:f,revertLane:c.revertLane,gesture:c.gesture,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null},null===s?(u=s=p,i=l):s=s.next=p,Bl.lanes|=f,Ps|=f;c=c.next}while(null!==c&&c!==n);if(null===s?i=l:s.next=u,!er(l,e.memoizedState)&&(Fi=!0,d&&null!==(t=Wa)))throw t;e.memoizedState=l,e.baseState=i,e.baseQueue=s,r.lastRenderedState=l}return null===a&&(r.lanes=0),[e.memoizedState,r.dispatch]}function vo(e){var n=co(),t=n.queue;if(null===t)throw Error(o(311));t.lastRenderedReducer=e;var r=t.dispatch,a=t.pending,l=n.memoizedState;if(null!==a){t.pending=null;var i=a=a.next;do{l=e(l,i.action),i=i.next}while(i!==a);er(l,n.memoizedState)||(Fi=!0),n.memoizedState=l,null===n.baseQueue&&(n.baseState=l),t.lastRenderedState=l}return[l,r]}function bo(e,n,t){var r=Bl,a=co(),l=pa;if(l){if(void 0===t)throw Error(o(407));t=t()}else t=n();var i=!er(($l||a).memoizedState,t);if(i&&(a.memoizedState=t,Fi=!0),a=a.queue,Bo(So.bind(null,r,a,e),[e]),a.getSnapshot!==n||i||null!==Wl&&1&Wl.memoizedState.tag){if(r.flags|=2048,qo(9,{destroy:void 0},wo.bind(null,r,a,t,n),null),null===hs)throw Error(o(349));l||127&Vl||ko(r,n,t)}return t}function ko(e,n,t){e.flags|=16384,e={getSnapshot:n,value:t},null===(n=Bl.updateQueue)?(n={lastEffect:null,events:null,stores:null,memoCache:null},Bl.updateQueue=n,n.stores=[e]):null===(t=n.stores)?n.stores=[e]:t.push(e)}function wo(e,n,t,r){n.value=t,n.getSnapshot=r,Eo(n)&&xo(e)}function So(e,n,t){return t(function(){Eo(n)&&xo(e)})}function Eo(e){var n=e.getSnapshot;e=e.value;try{var t=n();return!er(e,t)}catch(r){return!0}}function xo(e){var n=Fr(e,2);null!==n&&Ks(n,e,2)}function Co(e){var n=so();if("function"==typeof e){var t=e;if(e=t(),Yl){we(!0);try{t()}finally{we(!1)}}}return n.memoizedState=n.baseState=e,n.queue={pending:null,lanes:0,dispatch:null,lastRenderedReducer:go,lastRenderedState:e},n}function Po(e,n,t,r){return e.baseState=t,yo(e,$l,"function"==typeof r?r:go)}function zo(e,n,t,r,a){if(mi(e))throw Error(o(485));if(null!==(e=n.action)){var l={payload:a,action:e,next:null,isTransition:!0,status:"pending",value:null,reason:null,listeners:[],then:function(e){l.listeners.push(e)}};null!==O.T?t(!0):l.isTransition=!1,r(l),null===(t=n.pending)?(l.next=n.pending=l,No(n,l)):(l.next=t.next,n.pending=t.next=l)}}function No(e,n){var t=n.action,r=n.payload,a=e.state;if(n.isTransition){var l=O.T,o={};O.T=o;try{var i=t(a,r),u=O.S;null!==u&&u(o,i),Lo(e,n,i)}catch(s){Mo(e,n,s)}finally{null!==l&&null!==o.types&&(l.types=o.types),O.T=l}}else try{Lo(e,n,l=t(a,r))}catch(c){Mo(e,n,c)}}function Lo(e,n,t){null!==t&&"object"==typeof t&&"function"==typeof t.then?t.then(function(t){To(e,n,t)},function(t){return Mo(e,n,t)}):To(e,n,t)}function To(e,n,t){n.status="fulfilled",n.value=t,Ao(n),e.state=t,null!==(n=e.pending)&&((t=n.next)===n?e.pending=null:(t=t.next,n.next=t,No(e,t)))}function Mo(e,n,t){var r=e.pending;if(e.pending=null,null!==r){r=r.next;do{n.status="rejected",n.reason=t,Ao(n),n=n.next}while(n!==r)}e.action=null}function Ao(e){e=e.listeners;for(var n=0;n<e.length;n++)(0,e[n])()}function Ro(e,n){return n}function _o(e,n){if(pa){var t=hs.formState;if(null!==t){e:{var r=Bl;if(pa){if(fa){n:{for(var a=fa,l=ga;8!==a.nodeType;){if(!l){a=null;break n}if(null===(a=Fd(a.nextSibling))){a=null;break n}}a="F!"===(l=a.data)||"F"===l?a:null}if(a){fa=Fd(a.nextSibling),r="F!"===a.data;break e}}ya(r)}r=!1}r&&(n=t[0])}}return(t=so()).memoizedState=t.baseState=n,r={pending:null,lanes:0,dispatch:null,lastRenderedReducer:Ro,lastRenderedState:n},t.queue=r,t=di.bind(null,Bl,r),r.dispatch=t,r=Co(!1),l=pi.bind(null,Bl,!1,r.queue),a={state:n,dispatch:null,action:e,pending:null},(r=so()).queue=a,t=zo.bind(null,Bl,a,l,t),a.dispatch=t,r.memoizedState=e,[n,t,!1]}function Fo(e){return Oo(co(),$l,e)}function Oo(e,n,t){if(n=yo(e,n,Ro)[0],e=ho(go)[0],"object"==typeof n&&null!==n&&"function"==typeof n.then)try{var r=fo(n)}catch(o){if(o===Ja)throw nl;throw o}else r=n;var a=(n=co()).queue,l=a.dispatch;return t!==n.memoizedState&&(Bl.flags|=2048,qo(9,{destroy:void 0},Do.bind(null,a,t),null)),[r,l,e]}function Do(e,n){e.action=n}function Io(e){var n=co(),t=$l;if(null!==t)return Oo(n,t,e);co(),n=n.memoizedState;var r=(t=co()).queue.dispatch;return t.memoizedState=e,[n,r,!1]}function qo(e,n,t,r){return e={tag:e,create:t,deps:r,inst:n,next:null},null===(n=Bl.updateQueue)&&(n={lastEffect:null,events:null,stores:null,memoCache:null},Bl.updateQueue=n),null===(t=n.lastEffect)?n.lastEffect=e.next=e:(r=t.next,t.next=e,e.next=r,n.lastEffect=e),e}function Uo(){return co().memoizedState}function jo(e,n,t,r){var a=so();Bl.flags|=e,a.memoizedState=qo(1|n,{destroy:void 0},t,void 0===r?null:r)}function Ho(e,n,t,r){var a=co();r=void 0===r?null:r;var l=a.memoizedState.inst;null!==$l&&null!==r&&no(r,$l.memoizedState.deps)?a.memoizedState=qo(n,l,t,r):(Bl.flags|=e,a.memoizedState=qo(1|n,l,t,r))}function Vo(e,n){jo(8390656,8,e,n)}function Bo(e,n){Ho(2048,8,e,n)}function $o(e){var n=co().memoizedState;return function(e){Bl.flags|=4;var n=Bl.updateQueue;if(null===n)n={lastEffect:null,events:null,stores:null,memoCache:null},Bl.updateQueue=n,n.events=[e];else{var t=n.events;null===t?n.events=[e]:t.push(e)}}({ref:n,nextImpl:e}),function(){if(2&gs)throw Error(o(440));return n.impl.apply(void 0,arguments)}}function Wo(e,n){return Ho(4,2,e,n)}function Qo(e,n){return Ho(4,4,e,n)}function Go(e,n){if("function"==typeof n){e=e();var t=n(e);return function(){"function"==typeof t?t():n(null)}}if(null!=n)return e=e(),n.current=e,function(){n.current=null}}function Yo(e,n,t){t=null!=t?t.concat([e]):null,Ho(4,4,Go.bind(null,n,e),t)}function Ko(){}function Xo(e,n){var t=co();n=void 0===n?null:n;var r=t.memoizedState;return null!==n&&no(n,r[1])?r[0]:(t.memoizedState=[e,n],e)}function Zo(e,n){var t=co();n=void 0===n?null:n;var r=t.memoizedState;if(null!==n&&no(n,r[1]))return r[0];if(r=e(),Yl){we(!0);try{e()}finally{we(!1)}}return t.memoizedState=[r,n],r}function Jo(e,n,t){return void 0===t||1073741824&Vl&&!(261930&vs)?e.memoizedState=n:(e.memoizedState=t,e=Ys(),Bl.lanes|=e,Ps|=e,t)}function ei(e,n,t,r){return er(t,n)?t:null!==Ll.current?(e=Jo(e,t,r),er(e,n)||(Fi=!0),e):42&Vl&&(!(1073741824&Vl)||261930&vs)?(e=Ys(),Bl.lanes|=e,Ps|=e,n):(Fi=!0,e.memoizedState=t)}function ni(e,n,t,r,a){var l=D.p;D.p=0!==l&&8>l?l:8;var o,i,u,s=O.T,c={};O.T=c,pi(e,!1,n,t);try{var d=a(),f=O.S;if(null!==f&&f(c,d),null!==d&&"object"==typeof d&&"function"==typeof d.then)fi(e,n,(o=r,i=[],u={status:"pending",value:null,reason:null,then:function(e){i.push(e)}},d.then(function(){u.status="fulfilled",u.value=o;for(var e=0;e<i.length;e++)(0,i[e])(o)},function(e){for(u.status="rejected",u.reason=e,e=0;e<i.length;e++)(0,i[e])(void 0)}),u),Gs());else fi(e,n,r,Gs())}catch(p){fi(e,n,{then:function(){},status:"rejected",reason:p},Gs())}finally{D.p=l,null!==s&&null!==c.types&&(s.types=c.types),O.T=s}}function ti(){}function ri(e,n,t,r){if(5!==e.tag)throw Error(o(476));var a=ai(e).queue;ni(e,a,n,I,null===t?ti:function(){return li(e),t(r)})}function ai(e){var n=e.memoizedState;if(null!==n)return n;var t={};return(n={memoizedState:I,baseState:I,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:go,lastRenderedState:I},next:null}).next={memoizedState:t,baseState:t,baseQueue:null,queue:{pending:null,lanes:0,dispatch:null,lastRenderedReducer:go,lastRenderedState:t},next:null},e.memoizedState=n,null!==(e=e.alternate)&&(e.memoizedState=n),n}function li(e){var n=ai(e);null===n.next&&(n=e.alternate.memoizedState),fi(e,n.next.queue,{},Gs())}function oi(){return _a(pf)}function ii(){return co().memoizedState}function ui(){return co().memoizedState}function si(e){for(var n=e.return;null!==n;){switch(n.tag){case 24:case 3:var t=Gs(),r=wl(n,e=kl(t),t);return null!==r&&(Ks(r,n,t),Sl(r,n,t)),n={cache:ja()},void(e.payload=n)}n=n.return}}function ci(e,n,t){var r=Gs();t={lane:r,revertLane:0,gesture:null,action:t,hasEagerState:!1,eagerState:null,next:null},mi(e)?gi(n,t):null!==(t=_r(e,n,t,r))&&(Ks(t,e,r),hi(t,n,r))}function di(e,n,t){fi(e,n,t,Gs())}function fi(e,n,t,r){var a={lane:r,revertLane:0,gesture:null,action:t,hasEagerState:!1,eagerState:null,next:null};if(mi(e))gi(n,a);else{var l=e.alternate;if(0===e.lanes&&(null===l||0===l.lanes)&&null!==(l=n.lastRenderedReducer))try{var o=n.lastRenderedState,i=l(o,t);if(a.hasEagerState=!0,a.eagerState=i,er(i,o))return Rr(e,n,a,0),null===hs&&Ar(),!1}catch(u){}if(null!==(t=_r(e,n,a,r)))return Ks(t,e,r),hi(t,n,r),!0}return!1}function pi(e,n,t,r){if(r={lane:2,revertLane:Bc(),gesture:null,action:r,hasEagerState:!1,eagerState:null,next:null},mi(e)){if(n)throw Error(o(479))}else null!==(n=_r(e,t,r,2))&&Ks(n,e,2)}function mi(e){var n=e.alternate;return e===Bl||null!==n&&n===Bl}function gi(e,n){Gl=Ql=!0;var t=e.pending;null===t?n.next=n:(n.next=t.next,t.next=n),e.pending=n}function hi(e,n,t){if(4194048&t){var r=n.lanes;t|=r&=e.pendingLanes,n.lanes=t,Oe(e,t)}}var yi={readContext:_a,use:po,useCallback:eo,useContext:eo,useEffect:eo,useImperativeHandle:eo,useLayoutEffect:eo,useInsertionEffect:eo,useMemo:eo,useReducer:eo,useRef:eo,useState:eo,useDebugValue:eo,useDeferredValue:eo,useTransition:eo,useSyncExternalStore:eo,useId:eo,useHostTransitionStatus:eo,useFormState:eo,useActionState:eo,useOptimistic:eo,useMemoCache:eo,useCacheRefresh:eo};yi.useEffectEvent=eo;var vi={readContext:_a,use:po,useCallback:function(e,n){return so().memoizedState=[e,void 0===n?null:n],e},useContext:_a,useEffect:Vo,useImperativeHandle:function(e,n,t){t=null!=t?t.concat([e]):null,jo(4194308,4,Go.bind(null,n,e),t)},useLayoutEffect:function(e,n){return jo(4194308,4,e,n)},useInsertionEffect:function(e,n){jo(4,2,e,n)},useMemo:function(e,n){var t=so();n=void 0===n?null:n;var r=e();if(Yl){we(!0);try{e()}finally{we(!1)}}return t.memoizedState=[r,n],r},useReducer:function(e,n,t){var r=so();if(void 0!==t){var a=t(n);if(Yl){we(!0);try{t(n)}finally{we(!1)}}}else a=n;return r.memoizedState=r.baseState=a,e={pending:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:a},r.queue=e,e=e.dispatch=ci.bind(null,Bl,e),[r.memoizedState,e]},useRef:function(e){return e={current:e},so().memoizedState=e},useState:function(e){var n=(e=Co(e)).queue,t=di.bind(null,Bl,n);return n.dispatch=t,[e.memoizedState,t]},useDebugValue:Ko,useDeferredValue:function(e,n){return Jo(so(),e,n)},useTransition:function(){var e=Co(!1);return e=ni.bind(null,Bl,e.queue,!0,!1),so().memoizedState=e,[!1,e]},useSyncExternalStore:function(e,n,t){var r=Bl,a=so();if(pa){if(void 0===t)throw Error(o(407));t=t()}else{if(t=n(),null===hs)throw Error(o(349));127&vs||ko(r,n,t)}a.memoizedState=t;var l={value:t,getSnapshot:n};return a.queue=l,Vo(So.bind(null,r,l,e),[e]),r.flags|=2048,qo(9,{destroy:void 0},wo.bind(null,r,l,t,n),null),t},useId:function(){var e=so(),n=hs.identifierPrefix;if(pa){var t=la;n="_"+n+"R_"+(t=(aa&~(1<<32-Se(aa)-1)).toString(32)+t),0<(t=Kl++)&&(n+="H"+t.toString(32)),n+="_"}else n="_"+n+"r_"+(t=Jl++).toString(32)+"_";return e.memoizedState=n},useHostTransitionStatus:oi,useFormState:_o,useActionState:_o,useOptimistic:function(e){var n=so();n.memoizedState=n.baseState=e;var t={pending:null,lanes:0,dispatch:null,lastRenderedReducer:null,lastRenderedState:null};return n.queue=t,n=pi.bind(null,Bl,!0,t),t.dispatch=n,[e,n]},useMemoCache:mo,useCacheRefresh:function(){return so().memoizedState=si.bind(null,Bl)},useEffectEvent:function(e){var n=so(),t={impl:e};return n.memoizedState=t,function(){if(2&gs)throw Error(o(440));return t.impl.apply(void 0,arguments)}}},bi={readContext:_a,use:po,useCallback:Xo,useContext:_a,useEffect:Bo,useImperativeHandle:Yo,useInsertionEffect:Wo,useLayoutEffect:Qo,useMemo:Zo,useReducer:ho,useRef:Uo,useState:function(){return ho(go)},useDebugValue:Ko,useDeferredValue:function(e,n){return ei(co(),$l.memoizedState,e,n)},useTransition:function(){var e=ho(go)[0],n=co().memoizedState;return["boolean"==typeof e?e:fo(e),n]},useSyncExternalStore:bo,useId:ii,useHostTransitionStatus:oi,useFormState:Fo,useActionState:Fo,useOptimistic:function(e,n){return Po(co(),0,e,n)},useMemoCache:mo,useCacheRefresh:ui};bi.useEffectEvent=$o;var ki={readContext:_a,use:po,useCallback:Xo,useContext:_a,useEffect:Bo,useImperativeHandle:Yo,useInsertionEffect:Wo,useLayoutEffect:Qo,useMemo:Zo,useReducer:vo,useRef:Uo,useState:function(){return vo(go)},useDebugValue:Ko,useDeferredValue:function(e,n){var t=co();return null===$l?Jo(t,e,n):ei(t,$l.memoizedState,e,n)},useTransition:function(){var e=vo(go)[0],n=co().memoizedState;return["boolean"==typeof e?e:fo(e),n]},useSyncExternalStore:bo,useId:ii,useHostTransitionStatus:oi,useFormState:Io,useActionState:Io,useOptimistic:function(e,n){var t=co();return null!==$l?Po(t,0,e,n):(t.baseState=e,[e,t.queue.dispatch])},useMemoCache:mo,useCacheRefresh:ui};function wi(e,n,t,r){t=null==(t=t(r,n=e.memoizedState))?n:g({},n,t),e.memoizedState=t,0===e.lanes&&(e.updateQueue.baseState=t)}ki.useEffectEvent=$o;var Si={enqueueSetState:function(e,n,t){e=e._reactInternals;var r=Gs(),a=kl(r);a.payload=n,null!=t&&(a.callback=t),null!==(n=wl(e,a,r))&&(Ks(n,e,r),Sl(n,e,r))},enqueueReplaceState:function(e,n,t){e=e._reactInternals;var r=Gs(),a=kl(r);a.tag=1,a.payload=n,null!=t&&(a.callback=t),null!==(n=wl(e,a,r))&&(Ks(n,e,r),Sl(n,e,r))},enqueueForceUpdate:function(e,n){e=e._reactInternals;var t=Gs(),r=kl(t);r.tag=2,null!=n&&(r.callback=n),null!==(n=wl(e,r,t))&&(Ks(n,e,t),Sl(n,e,t))}};function Ei(e,n,t,r,a,l,o){return"function"==typeof(e=e.stateNode).shouldComponentUpdate?e.shouldComponentUpdate(r,l,o):!n.prototype||!n.prototype.isPureReactComponent||(!nr(t,r)||!nr(a,l))}function xi(e,n,t,r){e=n.state,"function"==typeof n.componentWillReceiveProps&&n.componentWillReceiveProps(t,r),"function"==typeof n.UNSAFE_componentWillReceiveProps&&n.UNSAFE_componentWillReceiveProps(t,r),n.state!==e&&Si.enqueueReplaceState(n,n.state,null)}function Ci(e,n){var t=n;if("ref"in n)for(var r in t={},n)"ref"!==r&&(t[r]=n[r]);if(e=e.defaultProps)for(var a in t===n&&(t=g({},t)),e)void 0===t[a]&&(t[a]=e[a]);return t}function Pi(e){Nr(e)}function zi(e){}function Ni(e){Nr(e)}function Li(e,n){try{(0,e.onUncaughtError)(n.value,{componentStack:n.stack})}catch(t){setTimeout(function(){throw t})}}function Ti(e,n,t){try{(0,e.onCaughtError)(t.value,{componentStack:t.stack,errorBoundary:1===n.tag?n.stateNode:null})}catch(r){setTimeout(function(){throw r})}}function Mi(e,n,t){return(t=kl(t)).tag=3,t.payload={element:null},t.callback=function(){Li(e,n)},t}function Ai(e){return(e=kl(e)).tag=3,e}function Ri(e,n,t,r){var a=t.type.getDerivedStateFromError;if("function"==typeof a){var l=r.value;e.payload=function(){return a(l)},e.callback=function(){Ti(n,t,r)}}var o=t.stateNode;null!==o&&"function"==typeof o.componentDidCatch&&(e.callback=function(){Ti(n,t,r),"function"!=typeof a&&(null===Is?Is=new Set([this]):Is.add(this));var e=r.stack;this.componentDidCatch(r.value,{componentStack:null!==e?e:""})})}var _i=Error(o(461)),Fi=!1;function Oi(e,n,t,r){n.child=null===e?hl(n,null,t,r):gl(n,e.child,t,r)}function Di(e,n,t,r,a){t=t.render;var l=n.ref;if("ref"in r){var o={};for(var i in r)"ref"!==i&&(o[i]=r[i])}else o=r;return Ra(n),r=to(e,n,t,o,l,a),i=oo(),null===e||Fi?(pa&&i&&ua(n),n.flags|=1,Oi(e,n,r,a),n.child):(io(e,n,a),ou(e,n,a))}function Ii(e,n,t,r,a){if(null===e){var l=t.type;return"function"!=typeof l||jr(l)||void 0!==l.defaultProps||null!==t.compare?((e=Br(t.type,null,r,n,n.mode,a)).ref=n.ref,e.return=n,n.child=e):(n.tag=15,n.type=l,qi(e,n,l,r,a))}if(l=e.child,!iu(e,a)){var o=l.memoizedProps;if((t=null!==(t=t.compare)?t:nr)(o,r)&&e.ref===n.ref)return ou(e,n,a)}return n.flags|=1,(e=Hr(l,r)).ref=n.ref,e.return=n,n.child=e}function qi(e,n,t,r,a){if(null!==e){var l=e.memoizedProps;if(nr(l,r)&&e.ref===n.ref){if(Fi=!1,n.pendingProps=r=l,!iu(e,a))return n.lanes=e.lanes,ou(e,n,a);131072&e.flags&&(Fi=!0)}}return Wi(e,n,t,r,a)}function Ui(e,n,t,r){var a=r.children,l=null!==e?e.memoizedState:null;if(null===e&&null===n.stateNode&&(n.stateNode={_visibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null}),"hidden"===r.mode){if(128&n.flags){if(l=null!==l?l.baseLanes|t:t,null!==e){for(r=n.child=e.child,a=0;null!==r;)a=a|r.lanes|r.childLanes,r=r.sibling;r=a&~l}else r=0,n.child=null;return Hi(e,n,l,t,r)}if(!(536870912&t))return r=n.lanes=536870912,Hi(e,n,null!==l?l.baseLanes|t:t,t,r);n.memoizedState={baseLanes:0,cachePool:null},null!==e&&Xa(0,null!==l?l.cachePool:null),null!==l?Ml(n,l):Al(),Il(n)}else null!==l?(Xa(0,l.cachePool),Ml(n,l),ql(),n.memoizedState=null):(null!==e&&Xa(0,null),Al(),ql());return Oi(e,n,a,t),n.child}function ji(e,n){return null!==e&&22===e.tag||null!==n.stateNode||(n.stateNode={_visibility:1,_pendingMarkers:null,_retryCache:null,_transitions:null}),n.sibling}function Hi(e,n,t,r,a){var l=Ka();return l=null===l?null:{parent:Ua._currentValue,pool:l},n.memoizedState={baseLanes:t,cachePool:l},null!==e&&Xa(0,null),Al(),Il(n),null!==e&&Ma(e,n,r,!0),n.childLanes=a,null}function Vi(e,n){return(n=nu({mode:n.mode,children:n.children},e.mode)).ref=e.ref,e.child=n,n.return=e,n}function Bi(e,n,t){return gl(n,e.child,null,t),(e=Vi(n,n.pendingProps)).flags|=2,Ul(n),n.memoizedState=null,e}function $i(e,n){var t=n.ref;if(null===t)null!==e&&null!==e.ref&&(n.flags|=4194816);else{if("function"!=typeof t&&"object"!=typeof t)throw Error(o(284));null!==e&&e.ref===t||(n.flags|=4194816)}}function Wi(e,n,t,r,a){return Ra(n),t=to(e,n,t,r,void 0,a),r=oo(),null===e||Fi?(pa&&r&&ua(n),n.flags|=1,Oi(e,n,t,a),n.child):(io(e,n,a),ou(e,n,a))}function Qi(e,n,t,r,a,l){return Ra(n),n.updateQueue=null,t=ao(n,r,t,a),ro(e),r=oo(),null===e||Fi?(pa&&r&&ua(n),n.flags|=1,Oi(e,n,t,l),n.child):(io(e,n,l),ou(e,n,l))}function Gi(e,n,t,r,a){if(Ra(n),null===n.stateNode){var l=Ir,o=t.contextType;"object"==typeof o&&null!==o&&(l=_a(o)),l=new t(r,l),n.memoizedState=null!==l.state&&void 0!==l.state?l.state:null,l.updater=Si,n.stateNode=l,l._reactInternals=n,(l=n.stateNode).props=r,l.state=n.memoizedState,l.refs={},vl(n),o=t.contextType,l.context="object"==typeof o&&null!==o?_a(o):Ir,l.state=n.memoizedState,"function"==typeof(o=t.getDerivedStateFromProps)&&(wi(n,t,o,r),l.state=n.memoizedState),"function"==typeof t.getDerivedStateFromProps||"function"==typeof l.getSnapshotBeforeUpdate||"function"!=typeof l.UNSAFE_componentWillMount&&"function"!=typeof l.componentWillMount||(o=l.state,"function"==typeof l.componentWillMount&&l.componentWillMount(),"function"==typeof l.UNSAFE_componentWillMount&&l.UNSAFE_componentWillMount(),o!==l.state&&Si.enqueueReplaceState(l,l.state,null),Pl(n,r,l,a),Cl(),l.state=n.memoizedState),"function"==typeof l.componentDidMount&&(n.flags|=4194308),r=!0}else if(null===e){l=n.stateNode;var i=n.memoizedProps,u=Ci(t,i);l.props=u;var s=l.context,c=t.contextType;o=Ir,"object"==typeof c&&null!==c&&(o=_a(c));var d=t.getDerivedStateFromProps;c="function"==typeof d||"function"==typeof l.getSnapshotBeforeUpdate,i=n.pendingProps!==i,c||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(i||s!==o)&&xi(n,l,r,o),yl=!1;var f=n.memoizedState;l.state=f,Pl(n,r,l,a),Cl(),s=n.memoizedState,i||f!==s||yl?("function"==typeof d&&(wi(n,t,d,r),s=n.memoizedState),(u=yl||Ei(n,t,u,r,f,s,o))?(c||"function"!=typeof l.UNSAFE_componentWillMount&&"function"!=typeof l.componentWillMount||("function"==typeof l.componentWillMount&&l.componentWillMount(),"function"==typeof l.UNSAFE_componentWillMount&&l.UNSAFE_componentWillMount()),"function"==typeof l.componentDidMount&&(n.flags|=4194308)):("function"==typeof l.componentDidMount&&(n.flags|=4194308),n.memoizedProps=r,n.memoizedState=s),l.props=r,l.state=s,l.context=o,r=u):("function"==typeof l.componentDidMount&&(n.flags|=4194308),r=!1)}else{l=n.stateNode,bl(e,n),c=Ci(t,o=n.memoizedProps),l.props=c,d=n.pendingProps,f=l.context,s=t.contextType,u=Ir,"object"==typeof s&&null!==s&&(u=_a(s)),(s="function"==typeof(i=t.getDerivedStateFromProps)||"function"==typeof l.getSnapshotBeforeUpdate)||"function"!=typeof l.UNSAFE_componentWillReceiveProps&&"function"!=typeof l.componentWillReceiveProps||(o!==d||f!==u)&&xi(n,l,r,u),yl=!1,f=n.memoizedState,l.state=f,Pl(n,r,l,a),Cl();var p=n.memoizedState;o!==d||f!==p||yl||null!==e&&null!==e.dependencies&&Aa(e.dependencies)?("function"==typeof i&&(wi(n,t,i,r),p=n.memoizedState),(c=yl||Ei(n,t,c,r,f,p,u)||null!==e&&null!==e.dependencies&&Aa(e.dependencies))?(s||"function"!=typeof l.UNSAFE_componentWillUpdate&&"function"!=typeof l.componentWillUpdate||("function"==typeof l.componentWillUpdate&&l.componentWillUpdate(r,p,u),"function"==typeof l.UNSAFE_componentWillUpdate&&l.UNSAFE_componentWillUpdate(r,p,u)),"function"==typeof l.componentDidUpdate&&(n.flags|=4),"function"==typeof l.getSnapshotBeforeUpdate&&(n.flags|=1024)):("function"!=typeof l.componentDidUpdate||o===e.memoizedProps&&f===e.memoizedState||(n.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||o===e.memoizedProps&&f===e.memoizedState||(n.flags|=1024),n.memoizedProps=r,n.memoizedState=p),l.props=r,l.state=p,l.context=u,r=c):("function"!=typeof l.componentDidUpdate||o===e.memoizedProps&&f===e.memoizedState||(n.flags|=4),"function"!=typeof l.getSnapshotBeforeUpdate||o===e.memoizedProps&&f===e.memoizedState||(n.flags|=1024),r=!1)}return l=r,$i(e,n),r=!!(128&n.flags),l||r?(l=n.stateNode,t=r&&"function"!=typeof t.getDerivedStateFromError?null:l.render(),n.flags|=1,null!==e&&r?(n.child=gl(n,e.child,null,a),n.child=gl(n,null,t,a)):Oi(e,n,t,a),n.memoizedState=l.state,e=n.child):e=ou(e,n,a),e}function Yi(e,n,t,r){return wa(),n.flags|=256,Oi(e,n,t,r),n.child}var Ki={dehydrated:null,treeContext:null,retryLane:0,hydrationErrors:null};function Xi(e){return{baseLanes:e,cachePool:Za()}}function Zi(e,n,t){return e=null!==e?e.childLanes&~t:0,n&&(e|=Ls),e}function Ji(e,n,t){var r,a=n.pendingProps,l=!1,i=!!(128&n.flags);if((r=i)||(r=(null===e||null!==e.memoizedState)&&!!(2&jl.current)),r&&(l=!0,n.flags&=-129),r=!!(32&n.flags),n.flags&=-33,null===e){if(pa){if(l?Ol(n):ql(),(e=fa)?null!==(e=null!==(e=Ad(e,ga))&&"&"!==e.data?e:null)&&(n.memoizedState={dehydrated:e,treeContext:null!==ra?{id:aa,overflow:la}:null,retryLane:536870912,hydrationErrors:null},(t=Qr(e)).return=n,n.child=t,da=n,fa=null):e=null,null===e)throw ya(n);return _d(e)?n.lanes=32:n.lanes=536870912,null}var u=a.children;return a=a.fallback,l?(ql(),u=nu({mode:"hidden",children:u},l=n.mode),a=$r(a,l,t,null),u.return=n,a.return=n,u.sibling=a,n.child=u,(a=n.child).memoizedState=Xi(t),a.childLanes=Zi(e,r,t),n.memoizedState=Ki,ji(null,a)):(Ol(n),eu(n,u))}var s=e.memoizedState;if(null!==s&&null!==(u=s.dehydrated)){if(i)256&n.flags?(Ol(n),n.flags&=-257,n=tu(e,n,t)):null!==n.memoizedState?(ql(),n.child=e.child,n.flags|=128,n=null):(ql(),u=a.fallback,l=n.mode,a=nu({mode:"visible",children:a.children},l),(u=$r(u,l,t,null)).flags|=2,a.return=n,u.return=n,a.sibling=u,n.child=a,gl(n,e.child,null,t),(a=n.child).memoizedState=Xi(t),a.childLanes=Zi(e,r,t),n.memoizedState=Ki,n=ji(null,a));else if(Ol(n),_d(u)){if(r=u.nextSibling&&u.nextSibling.dataset)var c=r.dgst;r=c,(a=Error(o(419))).stack="",a.digest=r,Ea({value:a,source:null,stack:null}),n=tu(e,n,t)}else if(Fi||Ma(e,n,t,!1),r=0!==(t&e.childLanes),Fi||r){if(null!==(r=hs)&&(0!==(a=De(r,t))&&a!==s.retryLane))throw s.retryLane=a,Fr(e,a),Ks(r,e,a),_i;Rd(u)||uc(),n=tu(e,n,t)}else Rd(u)?(n.flags|=192,n.child=e.child,n=null):(e=s.treeContext,fa=Fd(u.nextSibling),da=n,pa=!0,ma=null,ga=!1,null!==e&&ca(n,e),(n=eu(n,a.children)).flags|=4096);return n}return l?(ql(),u=a.fallback,l=n.mode,c=(s=e.child).sibling,(a=Hr(s,{mode:"hidden",children:a.children})).subtreeFlags=65011712&s.subtreeFlags,null!==c?u=Hr(c,u):(u=$r(u,l,t,null)).flags|=2,u.return=n,a.return=n,a.sibling=u,n.child=a,ji(null,a),a=n.child,null===(u=e.child.memoizedState)?u=Xi(t):(null!==(l=u.cachePool)?(s=Ua._currentValue,l=l.parent!==s?{parent:s,pool:s}:l):l=Za(),u={baseLanes:u.baseLanes|t,cachePool:l}),a.memoizedState=u,a.childLanes=Zi(e,r,t),n.memoizedState=Ki,ji(e.child,a)):(Ol(n),e=(t=e.child).sibling,(t=Hr(t,{mode:"visible",children:a.children})).return=n,t.sibling=null,null!==e&&(null===(r=n.deletions)?(n.deletions=[e],n.flags|=16):r.push(e)),n.child=t,n.memoizedState=null,t)}function eu(e,n){return(n=nu({mode:"visible",children:n},e.mode)).return=e,e.child=n}function nu(e,n){return(e=Ur(22,e,null,n)).lanes=0,e}function tu(e,n,t){return gl(n,e.child,null,t),(e=eu(n,n.pendingProps.children)).flags|=2,n.memoizedState=null,e}function ru(e,n,t){e.lanes|=n;var r=e.alternate;null!==r&&(r.lanes|=n),La(e.return,n,t)}function au(e,n,t,r,a,l){var o=e.memoizedState;null===o?e.memoizedState={isBackwards:n,rendering:null,renderingStartTime:0,last:r,tail:t,tailMode:a,treeForkCount:l}:(o.isBackwards=n,o.rendering=null,o.renderingStartTime=0,o.last=r,o.tail=t,o.tailMode=a,o.treeForkCount=l)}function lu(e,n,t){var r=n.pendingProps,a=r.revealOrder,l=r.tail;r=r.children;var o=jl.current,i=!!(2&o);if(i?(o=1&o|2,n.flags|=128):o&=1,V(jl,o),Oi(e,n,r,t),r=pa?ea:0,!i&&null!==e&&128&e.flags)e:for(e=n.child;null!==e;){if(13===e.tag)null!==e.memoizedState&&ru(e,t,n);else if(19===e.tag)ru(e,t,n);else if(null!==e.child){e.child.return=e,e=e.child;continue}if(e===n)break e;for(;null===e.sibling;){if(null===e.return||e.return===n)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}switch(a){case"forwards":for(t=n.child,a=null;null!==t;)null!==(e=t.alternate)&&null===Hl(e)&&(a=t),t=t.sibling;null===(t=a)?(a=n.child,n.child=null):(a=t.sibling,t.sibling=null),au(n,!1,a,t,l,r);break;case"backwards":case"unstable_legacy-backwards":for(t=null,a=n.child,n.child=null;null!==a;){if(null!==(e=a.alternate)&&null===Hl(e)){n.child=a;break}e=a.sibling,a.sibling=t,t=a,a=e}au(n,!0,t,null,l,r);break;case"together":au(n,!1,null,null,void 0,r);break;default:n.memoizedState=null}return n.child}function ou(e,n,t){if(null!==e&&(n.dependencies=e.dependencies),Ps|=n.lanes,0===(t&n.childLanes)){if(null===e)return null;if(Ma(e,n,t,!1),0===(t&n.childLanes))return null}if(null!==e&&n.child!==e.child)throw Error(o(153));if(null!==n.child){for(t=Hr(e=n.child,e.pendingProps),n.child=t,t.return=n;null!==e.sibling;)e=e.sibling,(t=t.sibling=Hr(e,e.pendingProps)).return=n;t.sibling=null}return n.child}function iu(e,n){return 0!==(e.lanes&n)||!(null===(e=e.dependencies)||!Aa(e))}function uu(e,n,t){if(null!==e)if(e.memoizedProps!==n.pendingProps)Fi=!0;else{if(!(iu(e,t)||128&n.flags))return Fi=!1,function(e,n,t){switch(n.tag){case 3:K(n,n.stateNode.containerInfo),za(0,Ua,e.memoizedState.cache),wa();break;case 27:case 5:Z(n);break;case 4:K(n,n.stateNode.containerInfo);break;case 10:za(0,n.type,n.memoizedProps.value);break;case 31:if(null!==n.memoizedState)return n.flags|=128,Dl(n),null;break;case 13:var r=n.memoizedState;if(null!==r)return null!==r.dehydrated?(Ol(n),n.flags|=128,null):0!==(t&n.child.childLanes)?Ji(e,n,t):(Ol(n),null!==(e=ou(e,n,t))?e.sibling:null);Ol(n);break;case 19:var a=!!(128&e.flags);if((r=0!==(t&n.childLanes))||(Ma(e,n,t,!1),r=0!==(t&n.childLanes)),a){if(r)return lu(e,n,t);n.flags|=128}if(null!==(a=n.memoizedState)&&(a.rendering=null,a.tail=null,a.lastEffect=null),V(jl,jl.current),r)break;return null;case 22:return n.lanes=0,Ui(e,n,t,n.pendingProps);case 24:za(0,Ua,e.memoizedState.cache)}return ou(e,n,t)}(e,n,t);Fi=!!(131072&e.flags)}else Fi=!1,pa&&1048576&n.flags&&ia(n,ea,n.index);switch(n.lanes=0,n.tag){case 16:e:{var r=n.pendingProps;if(e=ll(n.elementType),n.type=e,"function"!=typeof e){if(null!=e){var a=e.$$typeof;if(a===x){n.tag=11,n=Di(null,n,e,r,t);break e}if(a===z){n.tag=14,n=Ii(null,n,e,r,t);break e}}throw n=_(e)||e,Error(o(306,n,""))}jr(e)?(r=Ci(e,r),n.tag=1,n=Gi(null,n,e,r,t)):(n.tag=0,n=Wi(null,n,e,r,t))}return n;case 0:return Wi(e,n,n.type,n.pendingProps,t);case 1:return Gi(e,n,r=n.type,a=Ci(r,n.pendingProps),t);case 3:e:{if(K(n,n.stateNode.containerInfo),null===e)throw Error(o(387));r=n.pendingProps;var l=n.memoizedState;a=l.element,bl(e,n),Pl(n,r,null,t);var i=n.memoizedState;if(r=i.cache,za(0,Ua,r),r!==l.cache&&Ta(n,[Ua],t,!0),Cl(),r=i.element,l.isDehydrated){if(l={element:r,isDehydrated:!1,cache:i.cache},n.updateQueue.baseState=l,n.memoizedState=l,256&n.flags){n=Yi(e,n,r,t);break e}if(r!==a){Ea(a=Kr(Error(o(424)),n)),n=Yi(e,n,r,t);break e}if(9===(e=n.stateNode.containerInfo).nodeType)e=e.body;else e="HTML"===e.nodeName?e.ownerDocument.body:e;for(fa=Fd(e.firstChild),da=n,pa=!0,ma=null,ga=!0,t=hl(n,null,r,t),n.child=t;t;)t.flags=-3&t.flags|4096,t=t.sibling}else{if(wa(),r===a){n=ou(e,n,t);break e}Oi(e,n,r,t)}n=n.child}return n;case 26:return $i(e,n),null===e?(t=Qd(n.type,null,n.pendingProps,null))?n.memoizedState=t:pa||(t=n.type,e=n.pendingProps,(r=vd(G.current).createElement(t))[Ve]=n,r[Be]=e,md(r,t,e),tn(r),n.stateNode=r):n.memoizedState=Qd(n.type,e.memoizedProps,n.pendingProps,e.memoizedState),null;case 27:return Z(n),null===e&&pa&&(r=n.stateNode=qd(n.type,n.pendingProps,G.current),da=n,ga=!0,a=fa,Nd(n.type)?(Od=a,fa=Fd(r.firstChild)):fa=a),Oi(e,n,n.pendingProps.children,t),$i(e,n),null===e&&(n.flags|=4194304),n.child;case 5:return null===e&&pa&&((a=r=fa)&&(null!==(r=function(e,n,t,r){for(;1===e.nodeType;){var a=t;if(e.nodeName.toLowerCase()!==n.toLowerCase()){if(!r&&("INPUT"!==e.nodeName||"hidden"!==e.type))break}else if(r){if(!e[Ke])switch(n){case"meta":if(!e.hasAttribute("itemprop"))break;return e;case"link":if("stylesheet"===(l=e.getAttribute("rel"))&&e.hasAttribute("data-precedence"))break;if(l!==a.rel||e.getAttribute("href")!==(null==a.href||""===a.href?null:a.href)||e.getAttribute("crossorigin")!==(null==a.crossOrigin?null:a.crossOrigin)||e.getAttribute("title")!==(null==a.title?null:a.title))break;return e;case"style":if(e.hasAttribute("data-precedence"))break;return e;case"script":if(((l=e.getAttribute("src"))!==(null==a.src?null:a.src)||e.getAttribute("type")!==(null==a.type?null:a.type)||e.getAttribute("crossorigin")!==(null==a.crossOrigin?null:a.crossOrigin))&&l&&e.hasAttribute("async")&&!e.hasAttribute("itemprop"))break;return e;default:return e}}else{if("input"!==n||"hidden"!==e.type)return e;var l=null==a.name?null:""+a.name;if("hidden"===a.type&&e.getAttribute("name")===l)return e}if(null===(e=Fd(e.nextSibling)))break}return null}(r,n.type,n.pendingProps,ga))?(n.stateNode=r,da=n,fa=Fd(r.firstChild),ga=!1,a=!0):a=!1),a||ya(n)),Z(n),a=n.type,l=n.pendingProps,i=null!==e?e.memoizedProps:null,r=l.children,wd(a,l)?r=null:null!==i&&wd(a,i)&&(n.flags|=32),null!==n.memoizedState&&(a=to(e,n,lo,null,null,t),pf._currentValue=a),$i(e,n),Oi(e,n,r,t),n.child;case 6:return null===e&&pa&&((e=t=fa)&&(null!==(t=function(e,n,t){if(""===n)return null;for(;3!==e.nodeType;){if((1!==e.nodeType||"INPUT"!==e.nodeName||"hidden"!==e.type)&&!t)return null;if(null===(e=Fd(e.nextSibling)))return null}return e}(t,n.pendingProps,ga))?(n.stateNode=t,da=n,fa=null,e=!0):e=!1),e||ya(n)),null;case 13:return Ji(e,n,t);case 4:return K(n,n.stateNode.containerInfo),r=n.pendingProps,null===e?n.child=gl(n,null,r,t):Oi(e,n,r,t),n.child;case 11:return Di(e,n,n.type,n.pendingProps,t);case 7:return Oi(e,n,n.pendingProps,t),n.child;case 8:case 12:return Oi(e,n,n.pendingProps.children,t),n.child;case 10:return r=n.pendingProps,za(0,n.type,r.value),Oi(e,n,r.children,t),n.child;case 9:return a=n.type._context,r=n.pendingProps.children,Ra(n),r=r(a=_a(a)),n.flags|=1,Oi(e,n,r,t),n.child;case 14:return Ii(e,n,n.type,n.pendingProps,t);case 15:return qi(e,n,n.type,n.pendingProps,t);case 19:return lu(e,n,t);case 31:return function(e,n,t){var r=n.pendingProps,a=!!(128&n.flags);if(n.flags&=-129,null===e){if(pa){if("hidden"===r.mode)return e=Vi(n,r),n.lanes=536870912,ji(null,e);if(Dl(n),(e=fa)?null!==(e=null!==(e=Ad(e,ga))&&"&"===e.data?e:null)&&(n.memoizedState={dehydrated:e,treeContext:null!==ra?{id:aa,overflow:la}:null,retryLane:536870912,hydrationErrors:null},(t=Qr(e)).return=n,n.child=t,da=n,fa=null):e=null,null===e)throw ya(n);return n.lanes=536870912,null}return Vi(n,r)}var l=e.memoizedState;if(null!==l){var i=l.dehydrated;if(Dl(n),a)if(256&n.flags)n.flags&=-257,n=Bi(e,n,t);else{if(null===n.memoizedState)throw Error(o(558));n.child=e.child,n.flags|=128,n=null}else if(Fi||Ma(e,n,t,!1),a=0!==(t&e.childLanes),Fi||a){if(null!==(r=hs)&&0!==(i=De(r,t))&&i!==l.retryLane)throw l.retryLane=i,Fr(e,i),Ks(r,e,i),_i;uc(),n=Bi(e,n,t)}else e=l.treeContext,fa=Fd(i.nextSibling),da=n,pa=!0,ma=null,ga=!1,null!==e&&ca(n,e),(n=Vi(n,r)).flags|=4096;return n}return(e=Hr(e.child,{mode:r.mode,children:r.children})).ref=n.ref,n.child=e,e.return=n,e}(e,n,t);case 22:return Ui(e,n,t,n.pendingProps);case 24:return Ra(n),r=_a(Ua),null===e?(null===(a=Ka())&&(a=hs,l=ja(),a.pooledCache=l,l.refCount++,null!==l&&(a.pooledCacheLanes|=t),a=l),n.memoizedState={parent:r,cache:a},vl(n),za(0,Ua,a)):(0!==(e.lanes&t)&&(bl(e,n),Pl(n,null,null,t),Cl()),a=e.memoizedState,l=n.memoizedState,a.parent!==r?(a={parent:r,cache:r},n.memoizedState=a,0===n.lanes&&(n.memoizedState=n.updateQueue.baseState=a),za(0,Ua,r)):(r=l.cache,za(0,Ua,r),r!==a.cache&&Ta(n,[Ua],t,!0))),Oi(e,n,n.pendingProps.children,t),n.child;case 29:throw n.pendingProps}throw Error(o(156,n.tag))}function su(e){e.flags|=4}function cu(e,n,t,r,a){if((n=!!(32&e.mode))&&(n=!1),n){if(e.flags|=16777216,(335544128&a)===a)if(e.stateNode.complete)e.flags|=8192;else{if(!lc())throw ol=tl,el;e.flags|=8192}}else e.flags&=-16777217}function du(e,n){if("stylesheet"!==n.type||4&n.state.loading)e.flags&=-16777217;else if(e.flags|=16777216,!of(n)){if(!lc())throw ol=tl,el;e.flags|=8192}}function fu(e,n){null!==n&&(e.flags|=4),16384&e.flags&&(n=22!==e.tag?Ae():536870912,e.lanes|=n,Ts|=n)}function pu(e,n){if(!pa)switch(e.tailMode){case"hidden":n=e.tail;for(var t=null;null!==n;)null!==n.alternate&&(t=n),n=n.sibling;null===t?e.tail=null:t.sibling=null;break;case"collapsed":t=e.tail;for(var r=null;null!==t;)null!==t.alternate&&(r=t),t=t.sibling;null===r?n||null===e.tail?e.tail=null:e.tail.sibling=null:r.sibling=null}}function mu(e){var n=null!==e.alternate&&e.alternate.child===e.child,t=0,r=0;if(n)for(var a=e.child;null!==a;)t|=a.lanes|a.childLanes,r|=65011712&a.subtreeFlags,r|=65011712&a.flags,a.return=e,a=a.sibling;else for(a=e.child;null!==a;)t|=a.lanes|a.childLanes,r|=a.subtreeFlags,r|=a.flags,a.return=e,a=a.sibling;return e.subtreeFlags|=r,e.childLanes=t,n}function gu(e,n,t){var r=n.pendingProps;switch(sa(n),n.tag){case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:case 1:return mu(n),null;case 3:return t=n.stateNode,r=null,null!==e&&(r=e.memoizedState.cache),n.memoizedState.cache!==r&&(n.flags|=2048),Na(Ua),X(),t.pendingContext&&(t.context=t.pendingContext,t.pendingContext=null),null!==e&&null!==e.child||(ka(n)?su(n):null===e||e.memoizedState.isDehydrated&&!(256&n.flags)||(n.flags|=1024,Sa())),mu(n),null;case 26:var a=n.type,l=n.memoizedState;return null===e?(su(n),null!==l?(mu(n),du(n,l)):(mu(n),cu(n,a,0,0,t))):l?l!==e.memoizedState?(su(n),mu(n),du(n,l)):(mu(n),n.flags&=-16777217):((e=e.memoizedProps)!==r&&su(n),mu(n),cu(n,a,0,0,t)),null;case 27:if(J(n),t=G.current,a=n.type,null!==e&&null!=n.stateNode)e.memoizedProps!==r&&su(n);else{if(!r){if(null===n.stateNode)throw Error(o(166));return mu(n),null}e=W.current,ka(n)?va(n):(e=qd(a,r,t),n.stateNode=e,su(n))}return mu(n),null;case 5:if(J(n),a=n.type,null!==e&&null!=n.stateNode)e.memoizedProps!==r&&su(n);else{if(!r){if(null===n.stateNode)throw Error(o(166));return mu(n),null}if(l=W.current,ka(n))va(n);else{var i=vd(G.current);switch(l){case 1:l=i.createElementNS("http://www.w3.org/2000/svg",a);break;case 2:l=i.createElementNS("http://www.w3.org/1998/Math/MathML",a);break;default:switch(a){case"svg":l=i.createElementNS("http://www.w3.org/2000/svg",a);break;case"math":l=i.createElementNS("http://www.w3.org/1998/Math/MathML",a);break;case"script":(l=i.createElement("div")).innerHTML="<script><\/script>",l=l.removeChild(l.firstChild);break;case"select":l="string"==typeof r.is?i.createElement("select",{is:r.is}):i.createElement("select"),r.multiple?l.multiple=!0:r.size&&(l.size=r.size);break;default:l="string"==typeof r.is?i.createElement(a,{is:r.is}):i.createElement(a)}}l[Ve]=n,l[Be]=r;e:for(i=n.child;null!==i;){if(5===i.tag||6===i.tag)l.appendChild(i.stateNode);else if(4!==i.tag&&27!==i.tag&&null!==i.child){i.child.return=i,i=i.child;continue}if(i===n)break e;for(;null===i.sibling;){if(null===i.return||i.return===n)break e;i=i.return}i.sibling.return=i.return,i=i.sibling}n.stateNode=l;e:switch(md(l,a,r),a){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}r&&su(n)}}return mu(n),cu(n,n.type,null===e||e.memoizedProps,n.pendingProps,t),null;case 6:if(e&&null!=n.stateNode)e.memoizedProps!==r&&su(n);else{if("string"!=typeof r&&null===n.stateNode)throw Error(o(166));if(e=G.current,ka(n)){if(e=n.stateNode,t=n.memoizedProps,r=null,null!==(a=da))switch(a.tag){case 27:case 5:r=a.memoizedProps}e[Ve]=n,(e=!!(e.nodeValue===t||null!==r&&!0===r.suppressHydrationWarning||dd(e.nodeValue,t)))||ya(n,!0)}else(e=vd(e).createTextNode(r))[Ve]=n,n.stateNode=e}return mu(n),null;case 31:if(t=n.memoizedState,null===e||null!==e.memoizedState){if(r=ka(n),null!==t){if(null===e){if(!r)throw Error(o(318));if(!(e=null!==(e=n.memoizedState)?e.dehydrated:null))throw Error(o(557));e[Ve]=n}else wa(),!(128&n.flags)&&(n.memoizedState=null),n.flags|=4;mu(n),e=!1}else t=Sa(),null!==e&&null!==e.memoizedState&&(e.memoizedState.hydrationErrors=t),e=!0;if(!e)return 256&n.flags?(Ul(n),n):(Ul(n),null);if(128&n.flags)throw Error(o(558))}return mu(n),null;case 13:if(r=n.memoizedState,null===e||null!==e.memoizedState&&null!==e.memoizedState.dehydrated){if(a=ka(n),null!==r&&null!==r.dehydrated){if(null===e){if(!a)throw Error(o(318));if(!(a=null!==(a=n.memoizedState)?a.dehydrated:null))throw Error(o(317));a[Ve]=n}else wa(),!(128&n.flags)&&(n.memoizedState=null),n.flags|=4;mu(n),a=!1}else a=Sa(),null!==e&&null!==e.memoizedState&&(e.memoizedState.hydrationErrors=a),a=!0;if(!a)return 256&n.flags?(Ul(n),n):(Ul(n),null)}return Ul(n),128&n.flags?(n.lanes=t,n):(t=null!==r,e=null!==e&&null!==e.memoizedState,t&&(a=null,null!==(r=n.child).alternate&&null!==r.alternate.memoizedState&&null!==r.alternate.memoizedState.cachePool&&(a=r.alternate.memoizedState.cachePool.pool),l=null,null!==r.memoizedState&&null!==r.memoizedState.cachePool&&(l=r.memoizedState.cachePool.pool),l!==a&&(r.flags|=2048)),t!==e&&t&&(n.child.flags|=8192),fu(n,n.updateQueue),mu(n),null);case 4:return X(),null===e&&nd(n.stateNode.containerInfo),mu(n),null;case 10:return Na(n.type),mu(n),null;case 19:if(H(jl),null===(r=n.memoizedState))return mu(n),null;if(a=!!(128&n.flags),null===(l=r.rendering))if(a)pu(r,!1);else{if(0!==Cs||null!==e&&128&e.flags)for(e=n.child;null!==e;){if(null!==(l=Hl(e))){for(n.flags|=128,pu(r,!1),e=l.updateQueue,n.updateQueue=e,fu(n,e),n.subtreeFlags=0,e=t,t=n.child;null!==t;)Vr(t,e),t=t.sibling;return V(jl,1&jl.current|2),pa&&oa(n,r.treeForkCount),n.child}e=e.sibling}null!==r.tail&&ce()>Os&&(n.flags|=128,a=!0,pu(r,!1),n.lanes=4194304)}else{if(!a)if(null!==(e=Hl(l))){if(n.flags|=128,a=!0,e=e.updateQueue,n.updateQueue=e,fu(n,e),pu(r,!0),null===r.tail&&"hidden"===r.tailMode&&!l.alternate&&!pa)return mu(n),null}else 2*ce()-r.renderingStartTime>Os&&536870912!==t&&(n.flags|=128,a=!0,pu(r,!1),n.lanes=4194304);r.isBackwards?(l.sibling=n.child,n.child=l):(null!==(e=r.last)?e.sibling=l:n.child=l,r.last=l)}return null!==r.tail?(e=r.tail,r.rendering=e,r.tail=e.sibling,r.renderingStartTime=ce(),e.sibling=null,t=jl.current,V(jl,a?1&t|2:1&t),pa&&oa(n,r.treeForkCount),e):(mu(n),null);case 22:case 23:return Ul(n),Rl(),r=null!==n.memoizedState,null!==e?null!==e.memoizedState!==r&&(n.flags|=8192):r&&(n.flags|=8192),r?!!(536870912&t)&&!(128&n.flags)&&(mu(n),6&n.subtreeFlags&&(n.flags|=8192)):mu(n),null!==(t=n.updateQueue)&&fu(n,t.retryQueue),t=null,null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(t=e.memoizedState.cachePool.pool),r=null,null!==n.memoizedState&&null!==n.memoizedState.cachePool&&(r=n.memoizedState.cachePool.pool),r!==t&&(n.flags|=2048),null!==e&&H(Ya),null;case 24:return t=null,null!==e&&(t=e.memoizedState.cache),n.memoizedState.cache!==t&&(n.flags|=2048),Na(Ua),mu(n),null;case 25:case 30:return null}throw Error(o(156,n.tag))}function hu(e,n){switch(sa(n),n.tag){case 1:return 65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 3:return Na(Ua),X(),65536&(e=n.flags)&&!(128&e)?(n.flags=-65537&e|128,n):null;case 26:case 27:case 5:return J(n),null;case 31:if(null!==n.memoizedState){if(Ul(n),null===n.alternate)throw Error(o(340));wa()}return 65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 13:if(Ul(n),null!==(e=n.memoizedState)&&null!==e.dehydrated){if(null===n.alternate)throw Error(o(340));wa()}return 65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 19:return H(jl),null;case 4:return X(),null;case 10:return Na(n.type),null;case 22:case 23:return Ul(n),Rl(),null!==e&&H(Ya),65536&(e=n.flags)?(n.flags=-65537&e|128,n):null;case 24:return Na(Ua),null;default:return null}}function yu(e,n){switch(sa(n),n.tag){case 3:Na(Ua),X();break;case 26:case 27:case 5:J(n);break;case 4:X();break;case 31:null!==n.memoizedState&&Ul(n);break;case 13:Ul(n);break;case 19:H(jl);break;case 10:Na(n.type);break;case 22:case 23:Ul(n),Rl(),null!==e&&H(Ya);break;case 24:Na(Ua)}}function vu(e,n){try{var t=n.updateQueue,r=null!==t?t.lastEffect:null;if(null!==r){var a=r.next;t=a;do{if((t.tag&e)===e){r=void 0;var l=t.create,o=t.inst;r=l(),o.destroy=r}t=t.next}while(t!==a)}}catch(i){Cc(n,n.return,i)}}function bu(e,n,t){try{var r=n.updateQueue,a=null!==r?r.lastEffect:null;if(null!==a){var l=a.next;r=l;do{if((r.tag&e)===e){var o=r.inst,i=o.destroy;if(void 0!==i){o.destroy=void 0,a=n;var u=t,s=i;try{s()}catch(c){Cc(a,u,c)}}}r=r.next}while(r!==l)}}catch(c){Cc(n,n.return,c)}}function ku(e){var n=e.updateQueue;if(null!==n){var t=e.stateNode;try{Nl(n,t)}catch(r){Cc(e,e.return,r)}}}function wu(e,n,t){t.props=Ci(e.type,e.memoizedProps),t.state=e.memoizedState;try{t.componentWillUnmount()}catch(r){Cc(e,n,r)}}function Su(e,n){try{var t=e.ref;if(null!==t){switch(e.tag){case 26:case 27:case 5:var r=e.stateNode;break;default:r=e.stateNode}"function"==typeof t?e.refCleanup=t(r):t.current=r}}catch(a){Cc(e,n,a)}}function Eu(e,n){var t=e.ref,r=e.refCleanup;if(null!==t)if("function"==typeof r)try{r()}catch(a){Cc(e,n,a)}finally{e.refCleanup=null,null!=(e=e.alternate)&&(e.refCleanup=null)}else if("function"==typeof t)try{t(null)}catch(l){Cc(e,n,l)}else t.current=null}function xu(e){var n=e.type,t=e.memoizedProps,r=e.stateNode;try{e:switch(n){case"button":case"input":case"select":case"textarea":t.autoFocus&&r.focus();break e;case"img":t.src?r.src=t.src:t.srcSet&&(r.srcset=t.srcSet)}}catch(a){Cc(e,e.return,a)}}function Cu(e,n,t){try{var r=e.stateNode;!function(e,n,t,r){switch(n){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"input":var a=null,l=null,i=null,u=null,s=null,c=null,d=null;for(m in t){var f=t[m];if(t.hasOwnProperty(m)&&null!=f)switch(m){case"checked":case"value":break;case"defaultValue":s=f;default:r.hasOwnProperty(m)||fd(e,n,m,null,r,f)}}for(var p in r){var m=r[p];if(f=t[p],r.hasOwnProperty(p)&&(null!=m||null!=f))switch(p){case"type":l=m;break;case"name":a=m;break;case"checked":c=m;break;case"defaultChecked":d=m;break;case"value":i=m;break;case"defaultValue":u=m;break;case"children":case"dangerouslySetInnerHTML":if(null!=m)throw Error(o(137,n));break;default:m!==f&&fd(e,n,p,m,r,f)}}return void wn(e,i,u,s,c,d,l,a);case"select":for(l in m=i=u=p=null,t)if(s=t[l],t.hasOwnProperty(l)&&null!=s)switch(l){case"value":break;case"multiple":m=s;default:r.hasOwnProperty(l)||fd(e,n,l,null,r,s)}for(a in r)if(l=r[a],s=t[a],r.hasOwnProperty(a)&&(null!=l||null!=s))switch(a){case"value":p=l;break;case"defaultValue":u=l;break;case"multiple":i=l;default:l!==s&&fd(e,n,a,l,r,s)}return n=u,t=i,r=m,void(null!=p?xn(e,!!t,p,!1):!!r!=!!t&&(null!=n?xn(e,!!t,n,!0):xn(e,!!t,t?[]:"",!1)));case"textarea":for(u in m=p=null,t)if(a=t[u],t.hasOwnProperty(u)&&null!=a&&!r.hasOwnProperty(u))switch(u){case"value":case"children":break;default:fd(e,n,u,null,r,a)}for(i in r)if(a=r[i],l=t[i],r.hasOwnProperty(i)&&(null!=a||null!=l))switch(i){case"value":p=a;break;case"defaultValue":m=a;break;case"children":break;case"dangerouslySetInnerHTML":if(null!=a)throw Error(o(91));break;default:a!==l&&fd(e,n,i,a,r,l)}return void Cn(e,p,m);case"option":for(var g in t)if(p=t[g],t.hasOwnProperty(g)&&null!=p&&!r.hasOwnProperty(g))if("selected"===g)e.selected=!1;else fd(e,n,g,null,r,p);for(s in r)if(p=r[s],m=t[s],r.hasOwnProperty(s)&&p!==m&&(null!=p||null!=m))if("selected"===s)e.selected=p&&"function"!=typeof p&&"symbol"!=typeof p;else fd(e,n,s,p,r,m);return;case"img":case"link":case"area":case"base":case"br":case"col":case"embed":case"hr":case"keygen":case"meta":case"param":case"source":case"track":case"wbr":case"menuitem":for(var h in t)p=t[h],t.hasOwnProperty(h)&&null!=p&&!r.hasOwnProperty(h)&&fd(e,n,h,null,r,p);for(c in r)if(p=r[c],m=t[c],r.hasOwnProperty(c)&&p!==m&&(null!=p||null!=m))switch(c){case"children":case"dangerouslySetInnerHTML":if(null!=p)throw Error(o(137,n));break;default:fd(e,n,c,p,r,m)}return;default:if(Mn(n)){for(var y in t)p=t[y],t.hasOwnProperty(y)&&void 0!==p&&!r.hasOwnProperty(y)&&pd(e,n,y,void 0,r,p);for(d in r)p=r[d],m=t[d],!r.hasOwnProperty(d)||p===m||void 0===p&&void 0===m||pd(e,n,d,p,r,m);return}}for(var v in t)p=t[v],t.hasOwnProperty(v)&&null!=p&&!r.hasOwnProperty(v)&&fd(e,n,v,null,r,p);for(f in r)p=r[f],m=t[f],!r.hasOwnProperty(f)||p===m||null==p&&null==m||fd(e,n,f,p,r,m)}(r,e.type,t,n),r[Be]=n}catch(a){Cc(e,e.return,a)}}function Pu(e){return 5===e.tag||3===e.tag||26===e.tag||27===e.tag&&Nd(e.type)||4===e.tag}function zu(e){e:for(;;){for(;null===e.sibling;){if(null===e.return||Pu(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;5!==e.tag&&6!==e.tag&&18!==e.tag;){if(27===e.tag&&Nd(e.type))continue e;if(2&e.flags)continue e;if(null===e.child||4===e.tag)continue e;e.child.return=e,e=e.child}if(!(2&e.flags))return e.stateNode}}function Nu(e,n,t){var r=e.tag;if(5===r||6===r)e=e.stateNode,n?(9===t.nodeType?t.body:"HTML"===t.nodeName?t.ownerDocument.body:t).insertBefore(e,n):((n=9===t.nodeType?t.body:"HTML"===t.nodeName?t.ownerDocument.body:t).appendChild(e),null!=(t=t._reactRootContainer)||null!==n.onclick||(n.onclick=Fn));else if(4!==r&&(27===r&&Nd(e.type)&&(t=e.stateNode,n=null),null!==(e=e.child)))for(Nu(e,n,t),e=e.sibling;null!==e;)Nu(e,n,t),e=e.sibling}function Lu(e,n,t){var r=e.tag;if(5===r||6===r)e=e.stateNode,n?t.insertBefore(e,n):t.appendChild(e);else if(4!==r&&(27===r&&Nd(e.type)&&(t=e.stateNode),null!==(e=e.child)))for(Lu(e,n,t),e=e.sibling;null!==e;)Lu(e,n,t),e=e.sibling}function Tu(e){var n=e.stateNode,t=e.memoizedProps;try{for(var r=e.type,a=n.attributes;a.length;)n.removeAttributeNode(a[0]);md(n,r,t),n[Ve]=e,n[Be]=t}catch(l){Cc(e,e.return,l)}}var Mu=!1,Au=!1,Ru=!1,_u="function"==typeof WeakSet?WeakSet:Set,Fu=null;function Ou(e,n,t){var r=t.flags;switch(t.tag){case 0:case 11:case 15:Ku(e,t),4&r&&vu(5,t);break;case 1:if(Ku(e,t),4&r)if(e=t.stateNode,null===n)try{e.componentDidMount()}catch(o){Cc(t,t.return,o)}else{var a=Ci(t.type,n.memoizedProps);n=n.memoizedState;try{e.componentDidUpdate(a,n,e.__reactInternalSnapshotBeforeUpdate)}catch(i){Cc(t,t.return,i)}}64&r&&ku(t),512&r&&Su(t,t.return);break;case 3:if(Ku(e,t),64&r&&null!==(e=t.updateQueue)){if(n=null,null!==t.child)switch(t.child.tag){case 27:case 5:case 1:n=t.child.stateNode}try{Nl(e,n)}catch(o){Cc(t,t.return,o)}}break;case 27:null===n&&4&r&&Tu(t);case 26:case 5:Ku(e,t),null===n&&4&r&&xu(t),512&r&&Su(t,t.return);break;case 12:Ku(e,t);break;case 31:Ku(e,t),4&r&&Hu(e,t);break;case 13:Ku(e,t),4&r&&Vu(e,t),64&r&&(null!==(e=t.memoizedState)&&(null!==(e=e.dehydrated)&&function(e,n){var t=e.ownerDocument;if("$~"===e.data)e._reactRetry=n;else if("$?"!==e.data||"loading"!==t.readyState)n();else{var r=function(){n(),t.removeEventListener("DOMContentLoaded",r)};t.addEventListener("DOMContentLoaded",r),e._reactRetry=r}}(e,t=Lc.bind(null,t))));break;case 22:if(!(r=null!==t.memoizedState||Mu)){n=null!==n&&null!==n.memoizedState||Au,a=Mu;var l=Au;Mu=r,(Au=n)&&!l?Zu(e,t,!!(8772&t.subtreeFlags)):Ku(e,t),Mu=a,Au=l}break;case 30:break;default:Ku(e,t)}}function Du(e){var n=e.alternate;null!==n&&(e.alternate=null,Du(n)),e.child=null,e.deletions=null,e.sibling=null,5===e.tag&&(null!==(n=e.stateNode)&&Xe(n)),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}var Iu=null,qu=!1;function Uu(e,n,t){for(t=t.child;null!==t;)ju(e,n,t),t=t.sibling}function ju(e,n,t){if(ke&&"function"==typeof ke.onCommitFiberUnmount)try{ke.onCommitFiberUnmount(be,t)}catch(l){}switch(t.tag){case 26:Au||Eu(t,n),Uu(e,n,t),t.memoizedState?t.memoizedState.count--:t.stateNode&&(t=t.stateNode).parentNode.removeChild(t);break;case 27:Au||Eu(t,n);var r=Iu,a=qu;Nd(t.type)&&(Iu=t.stateNode,qu=!1),Uu(e,n,t),Ud(t.stateNode),Iu=r,qu=a;break;case 5:Au||Eu(t,n);case 6:if(r=Iu,a=qu,Iu=null,Uu(e,n,t),qu=a,null!==(Iu=r))if(qu)try{(9===Iu.nodeType?Iu.body:"HTML"===Iu.nodeName?Iu.ownerDocument.body:Iu).removeChild(t.stateNode)}catch(o){Cc(t,n,o)}else try{Iu.removeChild(t.stateNode)}catch(o){Cc(t,n,o)}break;case 18:null!==Iu&&(qu?(Ld(9===(e=Iu).nodeType?e.body:"HTML"===e.nodeName?e.ownerDocument.body:e,t.stateNode),Qf(e)):Ld(Iu,t.stateNode));break;case 4:r=Iu,a=qu,Iu=t.stateNode.containerInfo,qu=!0,Uu(e,n,t),Iu=r,qu=a;break;case 0:case 11:case 14:case 15:bu(2,t,n),Au||bu(4,t,n),Uu(e,n,t);break;case 1:Au||(Eu(t,n),"function"==typeof(r=t.stateNode).componentWillUnmount&&wu(t,n,r)),Uu(e,n,t);break;case 21:Uu(e,n,t);break;case 22:Au=(r=Au)||null!==t.memoizedState,Uu(e,n,t),Au=r;break;default:Uu(e,n,t)}}function Hu(e,n){if(null===n.memoizedState&&(null!==(e=n.alternate)&&null!==(e=e.memoizedState))){e=e.dehydrated;try{Qf(e)}catch(t){Cc(n,n.return,t)}}}function Vu(e,n){if(null===n.memoizedState&&(null!==(e=n.alternate)&&(null!==(e=e.memoizedState)&&null!==(e=e.dehydrated))))try{Qf(e)}catch(t){Cc(n,n.return,t)}}function Bu(e,n){var t=function(e){switch(e.tag){case 31:case 13:case 19:var n=e.stateNode;return null===n&&(n=e.stateNode=new _u),n;case 22:return null===(n=(e=e.stateNode)._retryCache)&&(n=e._retryCache=new _u),n;default:throw Error(o(435,e.tag))}}(e);n.forEach(function(n){if(!t.has(n)){t.add(n);var r=Tc.bind(null,e,n);n.then(r,r)}})}function $u(e,n){var t=n.deletions;if(null!==t)for(var r=0;r<t.length;r++){var a=t[r],l=e,i=n,u=i;e:for(;null!==u;){switch(u.tag){case 27:if(Nd(u.type)){Iu=u.stateNode,qu=!1;break e}break;case 5:Iu=u.stateNode,qu=!1;break e;case 3:case 4:Iu=u.stateNode.containerInfo,qu=!0;break e}u=u.return}if(null===Iu)throw Error(o(160));ju(l,i,a),Iu=null,qu=!1,null!==(l=a.alternate)&&(l.return=null),a.return=null}if(13886&n.subtreeFlags)for(n=n.child;null!==n;)Qu(n,e),n=n.sibling}var Wu=null;function Qu(e,n){var t=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:$u(n,e),Gu(e),4&r&&(bu(3,e,e.return),vu(3,e),bu(5,e,e.return));break;case 1:$u(n,e),Gu(e),512&r&&(Au||null===t||Eu(t,t.return)),64&r&&Mu&&(null!==(e=e.updateQueue)&&(null!==(r=e.callbacks)&&(t=e.shared.hiddenCallbacks,e.shared.hiddenCallbacks=null===t?r:t.concat(r))));break;case 26:var a=Wu;if($u(n,e),Gu(e),512&r&&(Au||null===t||Eu(t,t.return)),4&r){var l=null!==t?t.memoizedState:null;if(r=e.memoizedState,null===t)if(null===r)if(null===e.stateNode){e:{r=e.type,t=e.memoizedProps,a=a.ownerDocument||a;n:switch(r){case"title":(!(l=a.getElementsByTagName("title")[0])||l[Ke]||l[Ve]||"http://www.w3.org/2000/svg"===l.namespaceURI||l.hasAttribute("itemprop"))&&(l=a.createElement(r),a.head.insertBefore(l,a.querySelector("head > title"))),md(l,r,t),l[Ve]=e,tn(l),r=l;break e;case"link":var i=af("link","href",a).get(r+(t.href||""));if(i)for(var u=0;u<i.length;u++)if((l=i[u]).getAttribute("href")===(null==t.href||""===t.href?null:t.href)&&l.getAttribute("rel")===(null==t.rel?null:t.rel)&&l.getAttribute("title")===(null==t.title?null:t.title)&&l.getAttribute("crossorigin")===(null==t.crossOrigin?null:t.crossOrigin)){i.splice(u,1);break n}md(l=a.createElement(r),r,t),a.head.appendChild(l);break;case"meta":if(i=af("meta","content",a).get(r+(t.content||"")))for(u=0;u<i.length;u++)if((l=i[u]).getAttribute("content")===(null==t.content?null:""+t.content)&&l.getAttribute("name")===(null==t.name?null:t.name)&&l.getAttribute("property")===(null==t.property?null:t.property)&&l.getAttribute("http-equiv")===(null==t.httpEquiv?null:t.httpEquiv)&&l.getAttribute("charset")===(null==t.charSet?null:t.charSet)){i.splice(u,1);break n}md(l=a.createElement(r),r,t),a.head.appendChild(l);break;default:throw Error(o(468,r))}l[Ve]=e,tn(l),r=l}e.stateNode=r}else lf(a,e.type,e.stateNode);else e.stateNode=Jd(a,r,e.memoizedProps);else l!==r?(null===l?null!==t.stateNode&&(t=t.stateNode).parentNode.removeChild(t):l.count--,null===r?lf(a,e.type,e.stateNode):Jd(a,r,e.memoizedProps)):null===r&&null!==e.stateNode&&Cu(e,e.memoizedProps,t.memoizedProps)}break;case 27:$u(n,e),Gu(e),512&r&&(Au||null===t||Eu(t,t.return)),null!==t&&4&r&&Cu(e,e.memoizedProps,t.memoizedProps);break;case 5:if($u(n,e),Gu(e),512&r&&(Au||null===t||Eu(t,t.return)),32&e.flags){a=e.stateNode;try{zn(a,"")}catch(g){Cc(e,e.return,g)}}4&r&&null!=e.stateNode&&Cu(e,a=e.memoizedProps,null!==t?t.memoizedProps:a),1024&r&&(Ru=!0);break;case 6:if($u(n,e),Gu(e),4&r){if(null===e.stateNode)throw Error(o(162));r=e.memoizedProps,t=e.stateNode;try{t.nodeValue=r}catch(g){Cc(e,e.return,g)}}break;case 3:if(rf=null,a=Wu,Wu=Vd(n.containerInfo),$u(n,e),Wu=a,Gu(e),4&r&&null!==t&&t.memoizedState.isDehydrated)try{Qf(n.containerInfo)}catch(g){Cc(e,e.return,g)}Ru&&(Ru=!1,Yu(e));break;case 4:r=Wu,Wu=Vd(e.stateNode.containerInfo),$u(n,e),Gu(e),Wu=r;break;case 12:default:$u(n,e),Gu(e);break;case 31:case 19:$u(n,e),Gu(e),4&r&&(null!==(r=e.updateQueue)&&(e.updateQueue=null,Bu(e,r)));break;case 13:$u(n,e),Gu(e),8192&e.child.flags&&null!==e.memoizedState!=(null!==t&&null!==t.memoizedState)&&(_s=ce()),4&r&&(null!==(r=e.updateQueue)&&(e.updateQueue=null,Bu(e,r)));break;case 22:a=null!==e.memoizedState;var s=null!==t&&null!==t.memoizedState,c=Mu,d=Au;if(Mu=c||a,Au=d||s,$u(n,e),Au=d,Mu=c,Gu(e),8192&r)e:for(n=e.stateNode,n._visibility=a?-2&n._visibility:1|n._visibility,a&&(null===t||s||Mu||Au||Xu(e)),t=null,n=e;;){if(5===n.tag||26===n.tag){if(null===t){s=t=n;try{if(l=s.stateNode,a)"function"==typeof(i=l.style).setProperty?i.setProperty("display","none","important"):i.display="none";else{u=s.stateNode;var f=s.memoizedProps.style,p=null!=f&&f.hasOwnProperty("display")?f.display:null;u.style.display=null==p||"boolean"==typeof p?"":(""+p).trim()}}catch(g){Cc(s,s.return,g)}}}else if(6===n.tag){if(null===t){s=n;try{s.stateNode.nodeValue=a?"":s.memoizedProps}catch(g){Cc(s,s.return,g)}}}else if(18===n.tag){if(null===t){s=n;try{var m=s.stateNode;a?Td(m,!0):Td(s.stateNode,!1)}catch(g){Cc(s,s.return,g)}}}else if((22!==n.tag&&23!==n.tag||null===n.memoizedState||n===e)&&null!==n.child){n.child.return=n,n=n.child;continue}if(n===e)break e;for(;null===n.sibling;){if(null===n.return||n.return===e)break e;t===n&&(t=null),n=n.return}t===n&&(t=null),n.sibling.return=n.return,n=n.sibling}4&r&&(null!==(r=e.updateQueue)&&(null!==(t=r.retryQueue)&&(r.retryQueue=null,Bu(e,t))));case 30:case 21:}}function Gu(e){var n=e.flags;if(2&n){try{for(var t,r=e.return;null!==r;){if(Pu(r)){t=r;break}r=r.return}if(null==t)throw Error(o(160));switch(t.tag){case 27:var a=t.stateNode;Lu(e,zu(e),a);break;case 5:var l=t.stateNode;32&t.flags&&(zn(l,""),t.flags&=-33),Lu(e,zu(e),l);break;case 3:case 4:var i=t.stateNode.containerInfo;Nu(e,zu(e),i);break;default:throw Error(o(161))}}catch(u){Cc(e,e.return,u)}e.flags&=-3}4096&n&&(e.flags&=-4097)}function Yu(e){if(1024&e.subtreeFlags)for(e=e.child;null!==e;){var n=e;Yu(n),5===n.tag&&1024&n.flags&&n.stateNode.reset(),e=e.sibling}}function Ku(e,n){if(8772&n.subtreeFlags)for(n=n.child;null!==n;)Ou(e,n.alternate,n),n=n.sibling}function Xu(e){for(e=e.child;null!==e;){var n=e;switch(n.tag){case 0:case 11:case 14:case 15:bu(4,n,n.return),Xu(n);break;case 1:Eu(n,n.return);var t=n.stateNode;"function"==typeof t.componentWillUnmount&&wu(n,n.return,t),Xu(n);break;case 27:Ud(n.stateNode);case 26:case 5:Eu(n,n.return),Xu(n);break;case 22:null===n.memoizedState&&Xu(n);break;default:Xu(n)}e=e.sibling}}function Zu(e,n,t){for(t=t&&!!(8772&n.subtreeFlags),n=n.child;null!==n;){var r=n.alternate,a=e,l=n,o=l.flags;switch(l.tag){case 0:case 11:case 15:Zu(a,l,t),vu(4,l);break;case 1:if(Zu(a,l,t),"function"==typeof(a=(r=l).stateNode).componentDidMount)try{a.componentDidMount()}catch(s){Cc(r,r.return,s)}if(null!==(a=(r=l).updateQueue)){var i=r.stateNode;try{var u=a.shared.hiddenCallbacks;if(null!==u)for(a.shared.hiddenCallbacks=null,a=0;a<u.length;a++)zl(u[a],i)}catch(s){Cc(r,r.return,s)}}t&&64&o&&ku(l),Su(l,l.return);break;case 27:Tu(l);case 26:case 5:Zu(a,l,t),t&&null===r&&4&o&&xu(l),Su(l,l.return);break;case 12:Zu(a,l,t);break;case 31:Zu(a,l,t),t&&4&o&&Hu(a,l);break;case 13:Zu(a,l,t),t&&4&o&&Vu(a,l);break;case 22:null===l.memoizedState&&Zu(a,l,t),Su(l,l.return);break;case 30:break;default:Zu(a,l,t)}n=n.sibling}}function Ju(e,n){var t=null;null!==e&&null!==e.memoizedState&&null!==e.memoizedState.cachePool&&(t=e.memoizedState.cachePool.pool),e=null,null!==n.memoizedState&&null!==n.memoizedState.cachePool&&(e=n.memoizedState.cachePool.pool),e!==t&&(null!=e&&e.refCount++,null!=t&&Ha(t))}function es(e,n){e=null,null!==n.alternate&&(e=n.alternate.memoizedState.cache),(n=n.memoizedState.cache)!==e&&(n.refCount++,null!=e&&Ha(e))}function ns(e,n,t,r){if(10256&n.subtreeFlags)for(n=n.child;null!==n;)ts(e,n,t,r),n=n.sibling}function ts(e,n,t,r){var a=n.flags;switch(n.tag){case 0:case 11:case 15:ns(e,n,t,r),2048&a&&vu(9,n);break;case 1:case 31:case 13:default:ns(e,n,t,r);break;case 3:ns(e,n,t,r),2048&a&&(e=null,null!==n.alternate&&(e=n.alternate.memoizedState.cache),(n=n.memoizedState.cache)!==e&&(n.refCount++,null!=e&&Ha(e)));break;case 12:if(2048&a){ns(e,n,t,r),e=n.stateNode;try{var l=n.memoizedProps,o=l.id,i=l.onPostCommit;"function"==typeof i&&i(o,null===n.alternate?"mount":"update",e.passiveEffectDuration,-0)}catch(u){Cc(n,n.return,u)}}else ns(e,n,t,r);break;case 23:break;case 22:l=n.stateNode,o=n.alternate,null!==n.memoizedState?2&l._visibility?ns(e,n,t,r):as(e,n):2&l._visibility?ns(e,n,t,r):(l._visibility|=2,rs(e,n,t,r,!!(10256&n.subtreeFlags)||!1)),2048&a&&Ju(o,n);break;case 24:ns(e,n,t,r),2048&a&&es(n.alternate,n)}}function rs(e,n,t,r,a){for(a=a&&(!!(10256&n.subtreeFlags)||!1),n=n.child;null!==n;){var l=e,o=n,i=t,u=r,s=o.flags;switch(o.tag){case 0:case 11:case 15:rs(l,o,i,u,a),vu(8,o);break;case 23:break;case 22:var c=o.stateNode;null!==o.memoizedState?2&c._visibility?rs(l,o,i,u,a):as(l,o):(c._visibility|=2,rs(l,o,i,u,a)),a&&2048&s&&Ju(o.alternate,o);break;case 24:rs(l,o,i,u,a),a&&2048&s&&es(o.alternate,o);break;default:rs(l,o,i,u,a)}n=n.sibling}}function as(e,n){if(10256&n.subtreeFlags)for(n=n.child;null!==n;){var t=e,r=n,a=r.flags;switch(r.tag){case 22:as(t,r),2048&a&&Ju(r.alternate,r);break;case 24:as(t,r),2048&a&&es(r.alternate,r);break;default:as(t,r)}n=n.sibling}}var ls=8192;function os(e,n,t){if(e.subtreeFlags&ls)for(e=e.child;null!==e;)is(e,n,t),e=e.sibling}function is(e,n,t){switch(e.tag){case 26:os(e,n,t),e.flags&ls&&null!==e.memoizedState&&function(e,n,t,r){if(!("stylesheet"!==t.type||"string"==typeof r.media&&!1===matchMedia(r.media).matches||4&t.state.loading)){if(null===t.instance){var a=Gd(r.href),l=n.querySelector(Yd(a));if(l)return null!==(n=l._p)&&"object"==typeof n&&"function"==typeof n.then&&(e.count++,e=sf.bind(e),n.then(e,e)),t.state.loading|=4,t.instance=l,void tn(l);l=n.ownerDocument||n,r=Kd(r),(a=jd.get(a))&&nf(r,a),tn(l=l.createElement("link"));var o=l;o._p=new Promise(function(e,n){o.onload=e,o.onerror=n}),md(l,"link",r),t.instance=l}null===e.stylesheets&&(e.stylesheets=new Map),e.stylesheets.set(t,n),(n=t.state.preload)&&!(3&t.state.loading)&&(e.count++,t=sf.bind(e),n.addEventListener("load",t),n.addEventListener("error",t))}}(t,Wu,e.memoizedState,e.memoizedProps);break;case 5:default:os(e,n,t);break;case 3:case 4:var r=Wu;Wu=Vd(e.stateNode.containerInfo),os(e,n,t),Wu=r;break;case 22:null===e.memoizedState&&(null!==(r=e.alternate)&&null!==r.memoizedState?(r=ls,ls=16777216,os(e,n,t),ls=r):os(e,n,t))}}function us(e){var n=e.alternate;if(null!==n&&null!==(e=n.child)){n.child=null;do{n=e.sibling,e.sibling=null,e=n}while(null!==e)}}function ss(e){var n=e.deletions;if(16&e.flags){if(null!==n)for(var t=0;t<n.length;t++){var r=n[t];Fu=r,fs(r,e)}us(e)}if(10256&e.subtreeFlags)for(e=e.child;null!==e;)cs(e),e=e.sibling}function cs(e){switch(e.tag){case 0:case 11:case 15:ss(e),2048&e.flags&&bu(9,e,e.return);break;case 3:case 12:default:ss(e);break;case 22:var n=e.stateNode;null!==e.memoizedState&&2&n._visibility&&(null===e.return||13!==e.return.tag)?(n._visibility&=-3,ds(e)):ss(e)}}function ds(e){var n=e.deletions;if(16&e.flags){if(null!==n)for(var t=0;t<n.length;t++){var r=n[t];Fu=r,fs(r,e)}us(e)}for(e=e.child;null!==e;){switch((n=e).tag){case 0:case 11:case 15:bu(8,n,n.return),ds(n);break;case 22:2&(t=n.stateNode)._visibility&&(t._visibility&=-3,ds(n));break;default:ds(n)}e=e.sibling}}function fs(e,n){for(;null!==Fu;){var t=Fu;switch(t.tag){case 0:case 11:case 15:bu(8,t,n);break;case 23:case 22:if(null!==t.memoizedState&&null!==t.memoizedState.cachePool){var r=t.memoizedState.cachePool.pool;null!=r&&r.refCount++}break;case 24:Ha(t.memoizedState.cache)}if(null!==(r=t.child))r.return=t,Fu=r;else e:for(t=e;null!==Fu;){var a=(r=Fu).sibling,l=r.return;if(Du(r),r===t){Fu=null;break e}if(null!==a){a.return=l,Fu=a;break e}Fu=l}}}var ps={getCacheForType:function(e){var n=_a(Ua),t=n.data.get(e);return void 0===t&&(t=e(),n.data.set(e,t)),t},cacheSignal:function(){return _a(Ua).controller.signal}},ms="function"==typeof WeakMap?WeakMap:Map,gs=0,hs=null,ys=null,vs=0,bs=0,ks=null,ws=!1,Ss=!1,Es=!1,xs=0,Cs=0,Ps=0,zs=0,Ns=0,Ls=0,Ts=0,Ms=null,As=null,Rs=!1,_s=0,Fs=0,Os=1/0,Ds=null,Is=null,qs=0,Us=null,js=null,Hs=0,Vs=0,Bs=null,$s=null,Ws=0,Qs=null;function Gs(){return 2&gs&&0!==vs?vs&-vs:null!==O.T?Bc():Ue()}function Ys(){if(0===Ls)if(536870912&vs&&!pa)Ls=536870912;else{var e=Pe;!(3932160&(Pe<<=1))&&(Pe=262144),Ls=e}return null!==(e=_l.current)&&(e.flags|=32),Ls}function Ks(e,n,t){(e!==hs||2!==bs&&9!==bs)&&null===e.cancelPendingCommit||(rc(e,0),ec(e,vs,Ls,!1)),_e(e,t),2&gs&&e===hs||(e===hs&&(!(2&gs)&&(zs|=t),4===Cs&&ec(e,vs,Ls,!1)),Dc(e))}function Xs(e,n,t){if(6&gs)throw Error(o(327));for(var r=!t&&!(127&n)&&0===(n&e.expiredLanes)||Te(e,n),a=r?function(e,n){var t=gs;gs|=2;var r=oc(),a=ic();hs!==e||vs!==n?(Ds=null,Os=ce()+500,rc(e,n)):Ss=Te(e,n);e:for(;;)try{if(0!==bs&&null!==ys){n=ys;var l=ks;n:switch(bs){case 1:bs=0,ks=null,mc(e,n,l,1);break;case 2:case 9:if(rl(l)){bs=0,ks=null,pc(n);break}n=function(){2!==bs&&9!==bs||hs!==e||(bs=7),Dc(e)},l.then(n,n);break e;case 3:bs=7;break e;case 4:bs=5;break e;case 7:rl(l)?(bs=0,ks=null,pc(n)):(bs=0,ks=null,mc(e,n,l,7));break;case 5:var i=null;switch(ys.tag){case 26:i=ys.memoizedState;case 5:case 27:var u=ys;if(i?of(i):u.stateNode.complete){bs=0,ks=null;var s=u.sibling;if(null!==s)ys=s;else{var c=u.return;null!==c?(ys=c,gc(c)):ys=null}break n}}bs=0,ks=null,mc(e,n,l,5);break;case 6:bs=0,ks=null,mc(e,n,l,6);break;case 8:tc(),Cs=6;break e;default:throw Error(o(462))}}dc();break}catch(d){ac(e,d)}return Pa=Ca=null,O.H=r,O.A=a,gs=t,null!==ys?0:(hs=null,vs=0,Ar(),Cs)}(e,n):sc(e,n,!0),l=r;;){if(0===a){Ss&&!r&&ec(e,n,0,!1);break}if(t=e.current.alternate,!l||Js(t)){if(2===a){if(l=n,e.errorRecoveryDisabledLanes&l)var i=0;else i=0!==(i=-536870913&e.pendingLanes)?i:536870912&i?536870912:0;if(0!==i){n=i;e:{var u=e;a=Ms;var s=u.current.memoizedState.isDehydrated;if(s&&(rc(u,i).flags|=256),2!==(i=sc(u,i,!1))){if(Es&&!s){u.errorRecoveryDisabledLanes|=l,zs|=l,a=4;break e}l=As,As=a,null!==l&&(null===As?As=l:As.push.apply(As,l))}a=i}if(l=!1,2!==a)continue}}if(1===a){rc(e,0),ec(e,n,0,!0);break}e:{switch(r=e,l=a){case 0:case 1:throw Error(o(345));case 4:if((4194048&n)!==n)break;case 6:ec(r,n,Ls,!ws);break e;case 2:As=null;break;case 3:case 5:break;default:throw Error(o(329))}if((62914560&n)===n&&10<(a=_s+300-ce())){if(ec(r,n,Ls,!ws),0!==Le(r,0,!0))break e;Hs=n,r.timeoutHandle=Ed(Zs.bind(null,r,t,As,Ds,Rs,n,Ls,zs,Ts,ws,l,"Throttled",-0,0),a)}else Zs(r,t,As,Ds,Rs,n,Ls,zs,Ts,ws,l,null,-0,0)}break}a=sc(e,n,!1),l=!1}Dc(e)}function Zs(e,n,t,r,a,l,o,i,u,s,c,d,f,p){if(e.timeoutHandle=-1,8192&(d=n.subtreeFlags)||!(16785408&~d)){is(n,l,d={stylesheets:null,count:0,imgCount:0,imgBytes:0,suspenseyImages:[],waitingForImages:!0,waitingForViewTransition:!1,unsuspend:Fn});var m=(62914560&l)===l?_s-ce():(4194048&l)===l?Fs-ce():0;if(null!==(m=function(e,n){return e.stylesheets&&0===e.count&&df(e,e.stylesheets),0<e.count||0<e.imgCount?function(t){var r=setTimeout(function(){if(e.stylesheets&&df(e,e.stylesheets),e.unsuspend){var n=e.unsuspend;e.unsuspend=null,n()}},6e4+n);0<e.imgBytes&&0===uf&&(uf=62500*function(){if("function"==typeof performance.getEntriesByType){for(var e=0,n=0,t=performance.getEntriesByType("resource"),r=0;r<t.length;r++){var a=t[r],l=a.transferSize,o=a.initiatorType,i=a.duration;if(l&&i&&gd(o)){for(o=0,i=a.responseEnd,r+=1;r<t.length;r++){var u=t[r],s=u.startTime;if(s>i)break;var c=u.transferSize,d=u.initiatorType;c&&gd(d)&&(o+=c*((u=u.responseEnd)<i?1:(i-s)/(u-s)))}if(--r,n+=8*(l+o)/(a.duration/1e3),10<++e)break}}if(0<e)return n/e/1e6}return navigator.connection&&"number"==typeof(e=navigator.connection.downlink)?e:5}());var a=setTimeout(function(){if(e.waitingForImages=!1,0===e.count&&(e.stylesheets&&df(e,e.stylesheets),e.unsuspend)){var n=e.unsuspend;e.unsuspend=null,n()}},(e.imgBytes>uf?50:800)+n);return e.unsuspend=t,function(){e.unsuspend=null,clearTimeout(r),clearTimeout(a)}}:null}(d,m)))return Hs=l,e.cancelPendingCommit=m(yc.bind(null,e,n,l,t,r,a,o,i,u,c,d,null,f,p)),void ec(e,l,o,!s)}yc(e,n,l,t,r,a,o,i,u)}function Js(e){for(var n=e;;){var t=n.tag;if((0===t||11===t||15===t)&&16384&n.flags&&(null!==(t=n.updateQueue)&&null!==(t=t.stores)))for(var r=0;r<t.length;r++){var a=t[r],l=a.getSnapshot;a=a.value;try{if(!er(l(),a))return!1}catch(o){return!1}}if(t=n.child,16384&n.subtreeFlags&&null!==t)t.return=n,n=t;else{if(n===e)break;for(;null===n.sibling;){if(null===n.return||n.return===e)return!0;n=n.return}n.sibling.return=n.return,n=n.sibling}}return!0}function ec(e,n,t,r){n&=~Ns,n&=~zs,e.suspendedLanes|=n,e.pingedLanes&=~n,r&&(e.warmLanes|=n),r=e.expirationTimes;for(var a=n;0<a;){var l=31-Se(a),o=1<<l;r[l]=-1,a&=~o}0!==t&&Fe(e,t,n)}function nc(){return!!(6&gs)||(Ic(0),!1)}function tc(){if(null!==ys){if(0===bs)var e=ys.return;else Pa=Ca=null,uo(e=ys),sl=null,cl=0,e=ys;for(;null!==e;)yu(e.alternate,e),e=e.return;ys=null}}function rc(e,n){var t=e.timeoutHandle;-1!==t&&(e.timeoutHandle=-1,xd(t)),null!==(t=e.cancelPendingCommit)&&(e.cancelPendingCommit=null,t()),Hs=0,tc(),hs=e,ys=t=Hr(e.current,null),vs=n,bs=0,ks=null,ws=!1,Ss=Te(e,n),Es=!1,Ts=Ls=Ns=zs=Ps=Cs=0,As=Ms=null,Rs=!1,8&n&&(n|=32&n);var r=e.entangledLanes;if(0!==r)for(e=e.entanglements,r&=n;0<r;){var a=31-Se(r),l=1<<a;n|=e[a],r&=~l}return xs=n,Ar(),t}function ac(e,n){Bl=null,O.H=yi,n===Ja||n===nl?(n=il(),bs=3):n===el?(n=il(),bs=4):bs=n===_i?8:null!==n&&"object"==typeof n&&"function"==typeof n.then?6:1,ks=n,null===ys&&(Cs=1,Li(e,Kr(n,e.current)))}function lc(){var e=_l.current;return null===e||((4194048&vs)===vs?null===Fl:!!((62914560&vs)===vs||536870912&vs)&&e===Fl)}function oc(){var e=O.H;return O.H=yi,null===e?yi:e}function ic(){var e=O.A;return O.A=ps,e}function uc(){Cs=4,ws||(4194048&vs)!==vs&&null!==_l.current||(Ss=!0),!(134217727&Ps)&&!(134217727&zs)||null===hs||ec(hs,vs,Ls,!1)}function sc(e,n,t){var r=gs;gs|=2;var a=oc(),l=ic();hs===e&&vs===n||(Ds=null,rc(e,n)),n=!1;var o=Cs;e:for(;;)try{if(0!==bs&&null!==ys){var i=ys,u=ks;switch(bs){case 8:tc(),o=6;break e;case 3:case 2:case 9:case 6:null===_l.current&&(n=!0);var s=bs;if(bs=0,ks=null,mc(e,i,u,s),t&&Ss){o=0;break e}break;default:s=bs,bs=0,ks=null,mc(e,i,u,s)}}cc(),o=Cs;break}catch(c){ac(e,c)}return n&&e.shellSuspendCounter++,Pa=Ca=null,gs=r,O.H=a,O.A=l,null===ys&&(hs=null,vs=0,Ar()),o}function cc(){for(;null!==ys;)fc(ys)}function dc(){for(;null!==ys&&!ue();)fc(ys)}function fc(e){var n=uu(e.alternate,e,xs);e.memoizedProps=e.pendingProps,null===n?gc(e):ys=n}function pc(e){var n=e,t=n.alternate;switch(n.tag){case 15:case 0:n=Qi(t,n,n.pendingProps,n.type,void 0,vs);break;case 11:n=Qi(t,n,n.pendingProps,n.type.render,n.ref,vs);break;case 5:uo(n);default:yu(t,n),n=uu(t,n=ys=Vr(n,xs),xs)}e.memoizedProps=e.pendingProps,null===n?gc(e):ys=n}function mc(e,n,t,r){Pa=Ca=null,uo(n),sl=null,cl=0;var a=n.return;try{if(function(e,n,t,r,a){if(t.flags|=32768,null!==r&&"object"==typeof r&&"function"==typeof r.then){if(null!==(n=t.alternate)&&Ma(n,t,a,!0),null!==(t=_l.current)){switch(t.tag){case 31:case 13:return null===Fl?uc():null===t.alternate&&0===Cs&&(Cs=3),t.flags&=-257,t.flags|=65536,t.lanes=a,r===tl?t.flags|=16384:(null===(n=t.updateQueue)?t.updateQueue=new Set([r]):n.add(r),Pc(e,r,a)),!1;case 22:return t.flags|=65536,r===tl?t.flags|=16384:(null===(n=t.updateQueue)?(n={transitions:null,markerInstances:null,retryQueue:new Set([r])},t.updateQueue=n):null===(t=n.retryQueue)?n.retryQueue=new Set([r]):t.add(r),Pc(e,r,a)),!1}throw Error(o(435,t.tag))}return Pc(e,r,a),uc(),!1}if(pa)return null!==(n=_l.current)?(!(65536&n.flags)&&(n.flags|=256),n.flags|=65536,n.lanes=a,r!==ha&&Ea(Kr(e=Error(o(422),{cause:r}),t))):(r!==ha&&Ea(Kr(n=Error(o(423),{cause:r}),t)),(e=e.current.alternate).flags|=65536,a&=-a,e.lanes|=a,r=Kr(r,t),El(e,a=Mi(e.stateNode,r,a)),4!==Cs&&(Cs=2)),!1;var l=Error(o(520),{cause:r});if(l=Kr(l,t),null===Ms?Ms=[l]:Ms.push(l),4!==Cs&&(Cs=2),null===n)return!0;r=Kr(r,t),t=n;do{switch(t.tag){case 3:return t.flags|=65536,e=a&-a,t.lanes|=e,El(t,e=Mi(t.stateNode,r,e)),!1;case 1:if(n=t.type,l=t.stateNode,!(128&t.flags||"function"!=typeof n.getDerivedStateFromError&&(null===l||"function"!=typeof l.componentDidCatch||null!==Is&&Is.has(l))))return t.flags|=65536,a&=-a,t.lanes|=a,Ri(a=Ai(a),e,t,r),El(t,a),!1}t=t.return}while(null!==t);return!1}(e,a,n,t,vs))return Cs=1,Li(e,Kr(t,e.current)),void(ys=null)}catch(l){if(null!==a)throw ys=a,l;return Cs=1,Li(e,Kr(t,e.current)),void(ys=null)}32768&n.flags?(pa||1===r?e=!0:Ss||536870912&vs?e=!1:(ws=e=!0,(2===r||9===r||3===r||6===r)&&(null!==(r=_l.current)&&13===r.tag&&(r.flags|=16384))),hc(n,e)):gc(n)}function gc(e){var n=e;do{if(32768&n.flags)return void hc(n,ws);e=n.return;var t=gu(n.alternate,n,xs);if(null!==t)return void(ys=t);if(null!==(n=n.sibling))return void(ys=n);ys=n=e}while(null!==n);0===Cs&&(Cs=5)}function hc(e,n){do{var t=hu(e.alternate,e);if(null!==t)return t.flags&=32767,void(ys=t);if(null!==(t=e.return)&&(t.flags|=32768,t.subtreeFlags=0,t.deletions=null),!n&&null!==(e=e.sibling))return void(ys=e);ys=e=t}while(null!==e);Cs=6,ys=null}function yc(e,n,t,r,a,l,i,u,s){e.cancelPendingCommit=null;do{Sc()}while(0!==qs);if(6&gs)throw Error(o(327));if(null!==n){if(n===e.current)throw Error(o(177));if(l=n.lanes|n.childLanes,function(e,n,t,r,a,l){var o=e.pendingLanes;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.warmLanes=0,e.expiredLanes&=t,e.entangledLanes&=t,e.errorRecoveryDisabledLanes&=t,e.shellSuspendCounter=0;var i=e.entanglements,u=e.expirationTimes,s=e.hiddenUpdates;for(t=o&~t;0<t;){var c=31-Se(t),d=1<<c;i[c]=0,u[c]=-1;var f=s[c];if(null!==f)for(s[c]=null,c=0;c<f.length;c++){var p=f[c];null!==p&&(p.lane&=-536870913)}t&=~d}0!==r&&Fe(e,r,0),0!==l&&0===a&&0!==e.tag&&(e.suspendedLanes|=l&~(o&~n))}(e,t,l|=Mr,i,u,s),e===hs&&(ys=hs=null,vs=0),js=n,Us=e,Hs=t,Vs=l,Bs=a,$s=r,10256&n.subtreeFlags||10256&n.flags?(e.callbackNode=null,e.callbackPriority=0,oe(me,function(){return Ec(),null})):(e.callbackNode=null,e.callbackPriority=0),r=!!(13878&n.flags),13878&n.subtreeFlags||r){r=O.T,O.T=null,a=D.p,D.p=2,i=gs,gs|=4;try{!function(e,n){if(e=e.containerInfo,hd=Sf,or(e=lr(e))){if("selectionStart"in e)var t={start:e.selectionStart,end:e.selectionEnd};else e:{var r=(t=(t=e.ownerDocument)&&t.defaultView||window).getSelection&&t.getSelection();if(r&&0!==r.rangeCount){t=r.anchorNode;var a=r.anchorOffset,l=r.focusNode;r=r.focusOffset;try{t.nodeType,l.nodeType}catch(h){t=null;break e}var i=0,u=-1,s=-1,c=0,d=0,f=e,p=null;n:for(;;){for(var m;f!==t||0!==a&&3!==f.nodeType||(u=i+a),f!==l||0!==r&&3!==f.nodeType||(s=i+r),3===f.nodeType&&(i+=f.nodeValue.length),null!==(m=f.firstChild);)p=f,f=m;for(;;){if(f===e)break n;if(p===t&&++c===a&&(u=i),p===l&&++d===r&&(s=i),null!==(m=f.nextSibling))break;p=(f=p).parentNode}f=m}t=-1===u||-1===s?null:{start:u,end:s}}else t=null}t=t||{start:0,end:0}}else t=null;for(yd={focusedElem:e,selectionRange:t},Sf=!1,Fu=n;null!==Fu;)if(e=(n=Fu).child,1028&n.subtreeFlags&&null!==e)e.return=n,Fu=e;else for(;null!==Fu;){switch(l=(n=Fu).alternate,e=n.flags,n.tag){case 0:if(4&e&&null!==(e=null!==(e=n.updateQueue)?e.events:null))for(t=0;t<e.length;t++)(a=e[t]).ref.impl=a.nextImpl;break;case 11:case 15:case 5:case 26:case 27:case 6:case 4:case 17:break;case 1:if(1024&e&&null!==l){e=void 0,t=n,a=l.memoizedProps,l=l.memoizedState,r=t.stateNode;try{var g=Ci(t.type,a);e=r.getSnapshotBeforeUpdate(g,l),r.__reactInternalSnapshotBeforeUpdate=e}catch(y){Cc(t,t.return,y)}}break;case 3:if(1024&e)if(9===(t=(e=n.stateNode.containerInfo).nodeType))Md(e);else if(1===t)switch(e.nodeName){case"HEAD":case"HTML":case"BODY":Md(e);break;default:e.textContent=""}break;default:if(1024&e)throw Error(o(163))}if(null!==(e=n.sibling)){e.return=n.return,Fu=e;break}Fu=n.return}}(e,n)}finally{gs=i,D.p=a,O.T=r}}qs=1,vc(),bc(),kc()}}function vc(){if(1===qs){qs=0;var e=Us,n=js,t=!!(13878&n.flags);if(13878&n.subtreeFlags||t){t=O.T,O.T=null;var r=D.p;D.p=2;var a=gs;gs|=4;try{Qu(n,e);var l=yd,o=lr(e.containerInfo),i=l.focusedElem,u=l.selectionRange;if(o!==i&&i&&i.ownerDocument&&ar(i.ownerDocument.documentElement,i)){if(null!==u&&or(i)){var s=u.start,c=u.end;if(void 0===c&&(c=s),"selectionStart"in i)i.selectionStart=s,i.selectionEnd=Math.min(c,i.value.length);else{var d=i.ownerDocument||document,f=d&&d.defaultView||window;if(f.getSelection){var p=f.getSelection(),m=i.textContent.length,g=Math.min(u.start,m),h=void 0===u.end?g:Math.min(u.end,m);!p.extend&&g>h&&(o=h,h=g,g=o);var y=rr(i,g),v=rr(i,h);if(y&&v&&(1!==p.rangeCount||p.anchorNode!==y.node||p.anchorOffset!==y.offset||p.focusNode!==v.node||p.focusOffset!==v.offset)){var b=d.createRange();b.setStart(y.node,y.offset),p.removeAllRanges(),g>h?(p.addRange(b),p.extend(v.node,v.offset)):(b.setEnd(v.node,v.offset),p.addRange(b))}}}}for(d=[],p=i;p=p.parentNode;)1===p.nodeType&&d.push({element:p,left:p.scrollLeft,top:p.scrollTop});for("function"==typeof i.focus&&i.focus(),i=0;i<d.length;i++){var k=d[i];k.element.scrollLeft=k.left,k.element.scrollTop=k.top}}Sf=!!hd,yd=hd=null}finally{gs=a,D.p=r,O.T=t}}e.current=n,qs=2}}function bc(){if(2===qs){qs=0;var e=Us,n=js,t=!!(8772&n.flags);if(8772&n.subtreeFlags||t){t=O.T,O.T=null;var r=D.p;D.p=2;var a=gs;gs|=4;try{Ou(e,n.alternate,n)}finally{gs=a,D.p=r,O.T=t}}qs=3}}function kc(){if(4===qs||3===qs){qs=0,se();var e=Us,n=js,t=Hs,r=$s;10256&n.subtreeFlags||10256&n.flags?qs=5:(qs=0,js=Us=null,wc(e,e.pendingLanes));var a=e.pendingLanes;if(0===a&&(Is=null),qe(t),n=n.stateNode,ke&&"function"==typeof ke.onCommitFiberRoot)try{ke.onCommitFiberRoot(be,n,void 0,!(128&~n.current.flags))}catch(u){}if(null!==r){n=O.T,a=D.p,D.p=2,O.T=null;try{for(var l=e.onRecoverableError,o=0;o<r.length;o++){var i=r[o];l(i.value,{componentStack:i.stack})}}finally{O.T=n,D.p=a}}3&Hs&&Sc(),Dc(e),a=e.pendingLanes,261930&t&&42&a?e===Qs?Ws++:(Ws=0,Qs=e):Ws=0,Ic(0)}}function wc(e,n){0===(e.pooledCacheLanes&=n)&&(null!=(n=e.pooledCache)&&(e.pooledCache=null,Ha(n)))}function Sc(){return vc(),bc(),kc(),Ec()}function Ec(){if(5!==qs)return!1;var e=Us,n=Vs;Vs=0;var t=qe(Hs),r=O.T,a=D.p;try{D.p=32>t?32:t,O.T=null,t=Bs,Bs=null;var l=Us,i=Hs;if(qs=0,js=Us=null,Hs=0,6&gs)throw Error(o(331));var u=gs;if(gs|=4,cs(l.current),ts(l,l.current,i,t),gs=u,Ic(0,!1),ke&&"function"==typeof ke.onPostCommitFiberRoot)try{ke.onPostCommitFiberRoot(be,l)}catch(s){}return!0}finally{D.p=a,O.T=r,wc(e,n)}}function xc(e,n,t){n=Kr(t,n),null!==(e=wl(e,n=Mi(e.stateNode,n,2),2))&&(_e(e,2),Dc(e))}function Cc(e,n,t){if(3===e.tag)xc(e,e,t);else for(;null!==n;){if(3===n.tag){xc(n,e,t);break}if(1===n.tag){var r=n.stateNode;if("function"==typeof n.type.getDerivedStateFromError||"function"==typeof r.componentDidCatch&&(null===Is||!Is.has(r))){e=Kr(t,e),null!==(r=wl(n,t=Ai(2),2))&&(Ri(t,r,n,e),_e(r,2),Dc(r));break}}n=n.return}}function Pc(e,n,t){var r=e.pingCache;if(null===r){r=e.pingCache=new ms;var a=new Set;r.set(n,a)}else void 0===(a=r.get(n))&&(a=new Set,r.set(n,a));a.has(t)||(Es=!0,a.add(t),e=zc.bind(null,e,n,t),n.then(e,e))}function zc(e,n,t){var r=e.pingCache;null!==r&&r.delete(n),e.pingedLanes|=e.suspendedLanes&t,e.warmLanes&=~t,hs===e&&(vs&t)===t&&(4===Cs||3===Cs&&(62914560&vs)===vs&&300>ce()-_s?!(2&gs)&&rc(e,0):Ns|=t,Ts===vs&&(Ts=0)),Dc(e)}function Nc(e,n){0===n&&(n=Ae()),null!==(e=Fr(e,n))&&(_e(e,n),Dc(e))}function Lc(e){var n=e.memoizedState,t=0;null!==n&&(t=n.retryLane),Nc(e,t)}function Tc(e,n){var t=0;switch(e.tag){case 31:case 13:var r=e.stateNode,a=e.memoizedState;null!==a&&(t=a.retryLane);break;case 19:r=e.stateNode;break;case 22:r=e.stateNode._retryCache;break;default:throw Error(o(314))}null!==r&&r.delete(n),Nc(e,t)}var Mc=null,Ac=null,Rc=!1,_c=!1,Fc=!1,Oc=0;function Dc(e){e!==Ac&&null===e.next&&(null===Ac?Mc=Ac=e:Ac=Ac.next=e),_c=!0,Rc||(Rc=!0,Pd(function(){6&gs?oe(fe,qc):Uc()}))}function Ic(e,n){if(!Fc&&_c){Fc=!0;do{for(var t=!1,r=Mc;null!==r;){if(0!==e){var a=r.pendingLanes;if(0===a)var l=0;else{var o=r.suspendedLanes,i=r.pingedLanes;l=(1<<31-Se(42|e)+1)-1,l=201326741&(l&=a&~(o&~i))?201326741&l|1:l?2|l:0}0!==l&&(t=!0,Vc(r,l))}else l=vs,!(3&(l=Le(r,r===hs?l:0,null!==r.cancelPendingCommit||-1!==r.timeoutHandle)))||Te(r,l)||(t=!0,Vc(r,l));r=r.next}}while(t);Fc=!1}}function qc(){Uc()}function Uc(){_c=Rc=!1;var e=0;0!==Oc&&function(){var e=window.event;if(e&&"popstate"===e.type)return e!==Sd&&(Sd=e,!0);return Sd=null,!1}()&&(e=Oc);for(var n=ce(),t=null,r=Mc;null!==r;){var a=r.next,l=jc(r,n);0===l?(r.next=null,null===t?Mc=a:t.next=a,null===a&&(Ac=t)):(t=r,(0!==e||3&l)&&(_c=!0)),r=a}0!==qs&&5!==qs||Ic(e),0!==Oc&&(Oc=0)}function jc(e,n){for(var t=e.suspendedLanes,r=e.pingedLanes,a=e.expirationTimes,l=-62914561&e.pendingLanes;0<l;){var o=31-Se(l),i=1<<o,u=a[o];-1===u?0!==(i&t)&&0===(i&r)||(a[o]=Me(i,n)):u<=n&&(e.expiredLanes|=i),l&=~i}if(t=vs,t=Le(e,e===(n=hs)?t:0,null!==e.cancelPendingCommit||-1!==e.timeoutHandle),r=e.callbackNode,0===t||e===n&&(2===bs||9===bs)||null!==e.cancelPendingCommit)return null!==r&&null!==r&&ie(r),e.callbackNode=null,e.callbackPriority=0;if(!(3&t)||Te(e,t)){if((n=t&-t)===e.callbackPriority)return n;switch(null!==r&&ie(r),qe(t)){case 2:case 8:t=pe;break;case 32:default:t=me;break;case 268435456:t=he}return r=Hc.bind(null,e),t=oe(t,r),e.callbackPriority=n,e.callbackNode=t,n}return null!==r&&null!==r&&ie(r),e.callbackPriority=2,e.callbackNode=null,2}function Hc(e,n){if(0!==qs&&5!==qs)return e.callbackNode=null,e.callbackPriority=0,null;var t=e.callbackNode;if(Sc()&&e.callbackNode!==t)return null;var r=vs;return 0===(r=Le(e,e===hs?r:0,null!==e.cancelPendingCommit||-1!==e.timeoutHandle))?null:(Xs(e,r,n),jc(e,ce()),null!=e.callbackNode&&e.callbackNode===t?Hc.bind(null,e):null)}function Vc(e,n){if(Sc())return null;Xs(e,n,!0)}function Bc(){if(0===Oc){var e=$a;0===e&&(e=Ce,!(261888&(Ce<<=1))&&(Ce=256)),Oc=e}return Oc}function $c(e){return null==e||"symbol"==typeof e||"boolean"==typeof e?null:"function"==typeof e?e:_n(""+e)}function Wc(e,n){var t=n.ownerDocument.createElement("input");return t.name=n.name,t.value=n.value,e.id&&t.setAttribute("form",e.id),n.parentNode.insertBefore(t,n),e=new FormData(e),t.parentNode.removeChild(t),e}for(var Qc=0;Qc<Pr.length;Qc++){var Gc=Pr[Qc];zr(Gc.toLowerCase(),"on"+(Gc[0].toUpperCase()+Gc.slice(1)))}zr(vr,"onAnimationEnd"),zr(br,"onAnimationIteration"),zr(kr,"onAnimationStart"),zr("dblclick","onDoubleClick"),zr("focusin","onFocus"),zr("focusout","onBlur"),zr(wr,"onTransitionRun"),zr(Sr,"onTransitionStart"),zr(Er,"onTransitionCancel"),zr(xr,"onTransitionEnd"),on("onMouseEnter",["mouseout","mouseover"]),on("onMouseLeave",["mouseout","mouseover"]),on("onPointerEnter",["pointerout","pointerover"]),on("onPointerLeave",["pointerout","pointerover"]),ln("onChange","change click focusin focusout input keydown keyup selectionchange".split(" ")),ln("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" ")),ln("onBeforeInput",["compositionend","keypress","textInput","paste"]),ln("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" ")),ln("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" ")),ln("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var Yc="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),Kc=new Set("beforetoggle cancel close invalid load scroll scrollend toggle".split(" ").concat(Yc));function Xc(e,n){n=!!(4&n);for(var t=0;t<e.length;t++){var r=e[t],a=r.event;r=r.listeners;e:{var l=void 0;if(n)for(var o=r.length-1;0<=o;o--){var i=r[o],u=i.instance,s=i.currentTarget;if(i=i.listener,u!==l&&a.isPropagationStopped())break e;l=i,a.currentTarget=s;try{l(a)}catch(c){Nr(c)}a.currentTarget=null,l=u}else for(o=0;o<r.length;o++){if(u=(i=r[o]).instance,s=i.currentTarget,i=i.listener,u!==l&&a.isPropagationStopped())break e;l=i,a.currentTarget=s;try{l(a)}catch(c){Nr(c)}a.currentTarget=null,l=u}}}}function Zc(e,n){var t=n[We];void 0===t&&(t=n[We]=new Set);var r=e+"__bubble";t.has(r)||(td(n,e,2,!1),t.add(r))}function Jc(e,n,t){var r=0;n&&(r|=4),td(t,e,r,n)}var ed="_reactListening"+Math.random().toString(36).slice(2);function nd(e){if(!e[ed]){e[ed]=!0,rn.forEach(function(n){"selectionchange"!==n&&(Kc.has(n)||Jc(n,!1,e),Jc(n,!0,e))});var n=9===e.nodeType?e:e.ownerDocument;null===n||n[ed]||(n[ed]=!0,Jc("selectionchange",!1,n))}}function td(e,n,t,r){switch(Lf(n)){case 2:var a=Ef;break;case 8:a=xf;break;default:a=Cf}t=a.bind(null,n,t,e),a=void 0,!$n||"touchstart"!==n&&"touchmove"!==n&&"wheel"!==n||(a=!0),r?void 0!==a?e.addEventListener(n,t,{capture:!0,passive:a}):e.addEventListener(n,t,!0):void 0!==a?e.addEventListener(n,t,{passive:a}):e.addEventListener(n,t,!1)}function rd(e,n,t,r,a){var l=r;if(!(1&n||2&n||null===r))e:for(;;){if(null===r)return;var o=r.tag;if(3===o||4===o){var i=r.stateNode.containerInfo;if(i===a)break;if(4===o)for(o=r.return;null!==o;){var u=o.tag;if((3===u||4===u)&&o.stateNode.containerInfo===a)return;o=o.return}for(;null!==i;){if(null===(o=Ze(i)))return;if(5===(u=o.tag)||6===u||26===u||27===u){r=l=o;continue e}i=i.parentNode}}r=r.return}Hn(function(){var r=l,a=Dn(t),o=[];e:{var i=Cr.get(e);if(void 0!==i){var u=lt,c=e;switch(e){case"keypress":if(0===Xn(t))break e;case"keydown":case"keyup":u=kt;break;case"focusin":c="focus",u=dt;break;case"focusout":c="blur",u=dt;break;case"beforeblur":case"afterblur":u=dt;break;case"click":if(2===t.button)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":u=st;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":u=ct;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":u=St;break;case vr:case br:case kr:u=ft;break;case xr:u=Et;break;case"scroll":case"scrollend":u=it;break;case"wheel":u=xt;break;case"copy":case"cut":case"paste":u=pt;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":u=wt;break;case"toggle":case"beforetoggle":u=Ct}var d=!!(4&n),f=!d&&("scroll"===e||"scrollend"===e),p=d?null!==i?i+"Capture":null:i;d=[];for(var m,g=r;null!==g;){var h=g;if(m=h.stateNode,5!==(h=h.tag)&&26!==h&&27!==h||null===m||null===p||null!=(h=Vn(g,p))&&d.push(ad(g,h,m)),f)break;g=g.return}0<d.length&&(i=new u(i,c,null,t,a),o.push({event:i,listeners:d}))}}if(!(7&n)){if(u="mouseout"===e||"pointerout"===e,(!(i="mouseover"===e||"pointerover"===e)||t===On||!(c=t.relatedTarget||t.fromElement)||!Ze(c)&&!c[$e])&&(u||i)&&(i=a.window===a?a:(i=a.ownerDocument)?i.defaultView||i.parentWindow:window,u?(u=r,null!==(c=(c=t.relatedTarget||t.toElement)?Ze(c):null)&&(f=s(c),d=c.tag,c!==f||5!==d&&27!==d&&6!==d)&&(c=null)):(u=null,c=r),u!==c)){if(d=st,h="onMouseLeave",p="onMouseEnter",g="mouse","pointerout"!==e&&"pointerover"!==e||(d=wt,h="onPointerLeave",p="onPointerEnter",g="pointer"),f=null==u?i:en(u),m=null==c?i:en(c),(i=new d(h,g+"leave",u,t,a)).target=f,i.relatedTarget=m,h=null,Ze(a)===r&&((d=new d(p,g+"enter",c,t,a)).target=m,d.relatedTarget=f,h=d),f=h,u&&c)e:{for(d=od,g=c,m=0,h=p=u;h;h=d(h))m++;h=0;for(var y=g;y;y=d(y))h++;for(;0<m-h;)p=d(p),m--;for(;0<h-m;)g=d(g),h--;for(;m--;){if(p===g||null!==g&&p===g.alternate){d=p;break e}p=d(p),g=d(g)}d=null}else d=null;null!==u&&id(o,i,u,d,!1),null!==c&&null!==f&&id(o,f,c,d,!0)}if("select"===(u=(i=r?en(r):window).nodeName&&i.nodeName.toLowerCase())||"input"===u&&"file"===i.type)var v=Vt;else if(Dt(i))if(Bt)v=Jt;else{v=Xt;var b=Kt}else!(u=i.nodeName)||"input"!==u.toLowerCase()||"checkbox"!==i.type&&"radio"!==i.type?r&&Mn(r.elementType)&&(v=Vt):v=Zt;switch(v&&(v=v(e,r))?It(o,v,t,a):(b&&b(e,i,r),"focusout"===e&&r&&"number"===i.type&&null!=r.memoizedProps.value&&En(i,"number",i.value)),b=r?en(r):window,e){case"focusin":(Dt(b)||"true"===b.contentEditable)&&(ur=b,sr=r,cr=null);break;case"focusout":cr=sr=ur=null;break;case"mousedown":dr=!0;break;case"contextmenu":case"mouseup":case"dragend":dr=!1,fr(o,t,a);break;case"selectionchange":if(ir)break;case"keydown":case"keyup":fr(o,t,a)}var k;if(zt)e:{switch(e){case"compositionstart":var w="onCompositionStart";break e;case"compositionend":w="onCompositionEnd";break e;case"compositionupdate":w="onCompositionUpdate";break e}w=void 0}else Ft?Rt(e,t)&&(w="onCompositionEnd"):"keydown"===e&&229===t.keyCode&&(w="onCompositionStart");w&&(Tt&&"ko"!==t.locale&&(Ft||"onCompositionStart"!==w?"onCompositionEnd"===w&&Ft&&(k=Kn()):(Gn="value"in(Qn=a)?Qn.value:Qn.textContent,Ft=!0)),0<(b=ld(r,w)).length&&(w=new mt(w,e,null,t,a),o.push({event:w,listeners:b}),k?w.data=k:null!==(k=_t(t))&&(w.data=k))),(k=Lt?function(e,n){switch(e){case"compositionend":return _t(n);case"keypress":return 32!==n.which?null:(At=!0,Mt);case"textInput":return(e=n.data)===Mt&&At?null:e;default:return null}}(e,t):function(e,n){if(Ft)return"compositionend"===e||!zt&&Rt(e,n)?(e=Kn(),Yn=Gn=Qn=null,Ft=!1,e):null;switch(e){case"paste":default:return null;case"keypress":if(!(n.ctrlKey||n.altKey||n.metaKey)||n.ctrlKey&&n.altKey){if(n.char&&1<n.char.length)return n.char;if(n.which)return String.fromCharCode(n.which)}return null;case"compositionend":return Tt&&"ko"!==n.locale?null:n.data}}(e,t))&&(0<(w=ld(r,"onBeforeInput")).length&&(b=new mt("onBeforeInput","beforeinput",null,t,a),o.push({event:b,listeners:w}),b.data=k)),function(e,n,t,r,a){if("submit"===n&&t&&t.stateNode===a){var l=$c((a[Be]||null).action),o=r.submitter;o&&null!==(n=(n=o[Be]||null)?$c(n.formAction):o.getAttribute("formAction"))&&(l=n,o=null);var i=new lt("action","action",null,r,a);e.push({event:i,listeners:[{instance:null,listener:function(){if(r.defaultPrevented){if(0!==Oc){var e=o?Wc(a,o):new FormData(a);ri(t,{pending:!0,data:e,method:a.method,action:l},null,e)}}else"function"==typeof l&&(i.preventDefault(),e=o?Wc(a,o):new FormData(a),ri(t,{pending:!0,data:e,method:a.method,action:l},l,e))},currentTarget:a}]})}}(o,e,r,t,a)}Xc(o,n)})}function ad(e,n,t){return{instance:e,listener:n,currentTarget:t}}function ld(e,n){for(var t=n+"Capture",r=[];null!==e;){var a=e,l=a.stateNode;if(5!==(a=a.tag)&&26!==a&&27!==a||null===l||(null!=(a=Vn(e,t))&&r.unshift(ad(e,a,l)),null!=(a=Vn(e,n))&&r.push(ad(e,a,l))),3===e.tag)return r;e=e.return}return[]}function od(e){if(null===e)return null;do{e=e.return}while(e&&5!==e.tag&&27!==e.tag);return e||null}function id(e,n,t,r,a){for(var l=n._reactName,o=[];null!==t&&t!==r;){var i=t,u=i.alternate,s=i.stateNode;if(i=i.tag,null!==u&&u===r)break;5!==i&&26!==i&&27!==i||null===s||(u=s,a?null!=(s=Vn(t,l))&&o.unshift(ad(t,s,u)):a||null!=(s=Vn(t,l))&&o.push(ad(t,s,u))),t=t.return}0!==o.length&&e.push({event:n,listeners:o})}var ud=/\r\n?/g,sd=/\u0000|\uFFFD/g;function cd(e){return("string"==typeof e?e:""+e).replace(ud,"\n").replace(sd,"")}function dd(e,n){return n=cd(n),cd(e)===n}function fd(e,n,t,r,a,l){switch(t){case"children":"string"==typeof r?"body"===n||"textarea"===n&&""===r||zn(e,r):("number"==typeof r||"bigint"==typeof r)&&"body"!==n&&zn(e,""+r);break;case"className":fn(e,"class",r);break;case"tabIndex":fn(e,"tabindex",r);break;case"dir":case"role":case"viewBox":case"width":case"height":fn(e,t,r);break;case"style":Tn(e,r,l);break;case"data":if("object"!==n){fn(e,"data",r);break}case"src":case"href":if(""===r&&("a"!==n||"href"!==t)){e.removeAttribute(t);break}if(null==r||"function"==typeof r||"symbol"==typeof r||"boolean"==typeof r){e.removeAttribute(t);break}r=_n(""+r),e.setAttribute(t,r);break;case"action":case"formAction":if("function"==typeof r){e.setAttribute(t,"javascript:throw new Error('A React form was unexpectedly submitted. If you called form.submit() manually, consider using form.requestSubmit() instead. If you\\'re trying to use event.stopPropagation() in a submit event handler, consider also calling event.preventDefault().')");break}if("function"==typeof l&&("formAction"===t?("input"!==n&&fd(e,n,"name",a.name,a,null),fd(e,n,"formEncType",a.formEncType,a,null),fd(e,n,"formMethod",a.formMethod,a,null),fd(e,n,"formTarget",a.formTarget,a,null)):(fd(e,n,"encType",a.encType,a,null),fd(e,n,"method",a.method,a,null),fd(e,n,"target",a.target,a,null))),null==r||"symbol"==typeof r||"boolean"==typeof r){e.removeAttribute(t);break}r=_n(""+r),e.setAttribute(t,r);break;case"onClick":null!=r&&(e.onclick=Fn);break;case"onScroll":null!=r&&Zc("scroll",e);break;case"onScrollEnd":null!=r&&Zc("scrollend",e);break;case"dangerouslySetInnerHTML":if(null!=r){if("object"!=typeof r||!("__html"in r))throw Error(o(61));if(null!=(t=r.__html)){if(null!=a.children)throw Error(o(60));e.innerHTML=t}}break;case"multiple":e.multiple=r&&"function"!=typeof r&&"symbol"!=typeof r;break;case"muted":e.muted=r&&"function"!=typeof r&&"symbol"!=typeof r;break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"defaultValue":case"defaultChecked":case"innerHTML":case"ref":case"autoFocus":break;case"xlinkHref":if(null==r||"function"==typeof r||"boolean"==typeof r||"symbol"==typeof r){e.removeAttribute("xlink:href");break}t=_n(""+r),e.setAttributeNS("http://www.w3.org/1999/xlink","xlink:href",t);break;case"contentEditable":case"spellCheck":case"draggable":case"value":case"autoReverse":case"externalResourcesRequired":case"focusable":case"preserveAlpha":null!=r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(t,""+r):e.removeAttribute(t);break;case"inert":case"allowFullScreen":case"async":case"autoPlay":case"controls":case"default":case"defer":case"disabled":case"disablePictureInPicture":case"disableRemotePlayback":case"formNoValidate":case"hidden":case"loop":case"noModule":case"noValidate":case"open":case"playsInline":case"readOnly":case"required":case"reversed":case"scoped":case"seamless":case"itemScope":r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(t,""):e.removeAttribute(t);break;case"capture":case"download":!0===r?e.setAttribute(t,""):!1!==r&&null!=r&&"function"!=typeof r&&"symbol"!=typeof r?e.setAttribute(t,r):e.removeAttribute(t);break;case"cols":case"rows":case"size":case"span":null!=r&&"function"!=typeof r&&"symbol"!=typeof r&&!isNaN(r)&&1<=r?e.setAttribute(t,r):e.removeAttribute(t);break;case"rowSpan":case"start":null==r||"function"==typeof r||"symbol"==typeof r||isNaN(r)?e.removeAttribute(t):e.setAttribute(t,r);break;case"popover":Zc("beforetoggle",e),Zc("toggle",e),dn(e,"popover",r);break;case"xlinkActuate":pn(e,"http://www.w3.org/1999/xlink","xlink:actuate",r);break;case"xlinkArcrole":pn(e,"http://www.w3.org/1999/xlink","xlink:arcrole",r);break;case"xlinkRole":pn(e,"http://www.w3.org/1999/xlink","xlink:role",r);break;case"xlinkShow":pn(e,"http://www.w3.org/1999/xlink","xlink:show",r);break;case"xlinkTitle":pn(e,"http://www.w3.org/1999/xlink","xlink:title",r);break;case"xlinkType":pn(e,"http://www.w3.org/1999/xlink","xlink:type",r);break;case"xmlBase":pn(e,"http://www.w3.org/XML/1998/namespace","xml:base",r);break;case"xmlLang":pn(e,"http://www.w3.org/XML/1998/namespace","xml:lang",r);break;case"xmlSpace":pn(e,"http://www.w3.org/XML/1998/namespace","xml:space",r);break;case"is":dn(e,"is",r);break;case"innerText":case"textContent":break;default:(!(2<t.length)||"o"!==t[0]&&"O"!==t[0]||"n"!==t[1]&&"N"!==t[1])&&dn(e,t=An.get(t)||t,r)}}function pd(e,n,t,r,a,l){switch(t){case"style":Tn(e,r,l);break;case"dangerouslySetInnerHTML":if(null!=r){if("object"!=typeof r||!("__html"in r))throw Error(o(61));if(null!=(t=r.__html)){if(null!=a.children)throw Error(o(60));e.innerHTML=t}}break;case"children":"string"==typeof r?zn(e,r):("number"==typeof r||"bigint"==typeof r)&&zn(e,""+r);break;case"onScroll":null!=r&&Zc("scroll",e);break;case"onScrollEnd":null!=r&&Zc("scrollend",e);break;case"onClick":null!=r&&(e.onclick=Fn);break;case"suppressContentEditableWarning":case"suppressHydrationWarning":case"innerHTML":case"ref":case"innerText":case"textContent":break;default:an.hasOwnProperty(t)||("o"!==t[0]||"n"!==t[1]||(a=t.endsWith("Capture"),n=t.slice(2,a?t.length-7:void 0),"function"==typeof(l=null!=(l=e[Be]||null)?l[t]:null)&&e.removeEventListener(n,l,a),"function"!=typeof r)?t in e?e[t]=r:!0===r?e.setAttribute(t,""):dn(e,t,r):("function"!=typeof l&&null!==l&&(t in e?e[t]=null:e.hasAttribute(t)&&e.removeAttribute(t)),e.addEventListener(n,r,a)))}}function md(e,n,t){switch(n){case"div":case"span":case"svg":case"path":case"a":case"g":case"p":case"li":break;case"img":Zc("error",e),Zc("load",e);var r,a=!1,l=!1;for(r in t)if(t.hasOwnProperty(r)){var i=t[r];if(null!=i)switch(r){case"src":a=!0;break;case"srcSet":l=!0;break;case"children":case"dangerouslySetInnerHTML":throw Error(o(137,n));default:fd(e,n,r,i,t,null)}}return l&&fd(e,n,"srcSet",t.srcSet,t,null),void(a&&fd(e,n,"src",t.src,t,null));case"input":Zc("invalid",e);var u=r=i=l=null,s=null,c=null;for(a in t)if(t.hasOwnProperty(a)){var d=t[a];if(null!=d)switch(a){case"name":l=d;break;case"type":i=d;break;case"checked":s=d;break;case"defaultChecked":c=d;break;case"value":r=d;break;case"defaultValue":u=d;break;case"children":case"dangerouslySetInnerHTML":if(null!=d)throw Error(o(137,n));break;default:fd(e,n,a,d,t,null)}}return void Sn(e,r,u,s,c,i,l,!1);case"select":for(l in Zc("invalid",e),a=i=r=null,t)if(t.hasOwnProperty(l)&&null!=(u=t[l]))switch(l){case"value":r=u;break;case"defaultValue":i=u;break;case"multiple":a=u;default:fd(e,n,l,u,t,null)}return n=r,t=i,e.multiple=!!a,void(null!=n?xn(e,!!a,n,!1):null!=t&&xn(e,!!a,t,!0));case"textarea":for(i in Zc("invalid",e),r=l=a=null,t)if(t.hasOwnProperty(i)&&null!=(u=t[i]))switch(i){case"value":a=u;break;case"defaultValue":l=u;break;case"children":r=u;break;case"dangerouslySetInnerHTML":if(null!=u)throw Error(o(91));break;default:fd(e,n,i,u,t,null)}return void Pn(e,a,l,r);case"option":for(s in t)if(t.hasOwnProperty(s)&&null!=(a=t[s]))if("selected"===s)e.selected=a&&"function"!=typeof a&&"symbol"!=typeof a;else fd(e,n,s,a,t,null);return;case"dialog":Zc("beforetoggle",e),Zc("toggle",e),Zc("cancel",e),Zc("close",e);break;case"iframe":case"object":Zc("load",e);break;case"video":case"audio":for(a=0;a<Yc.length;a++)Zc(Yc[a],e);break;case"image":Zc("error",e),Zc("load",e);break;case"details":Zc("toggle",e);break;case"embed":case"source":case"link":Zc("error",e),Zc("load",e);case"area":case"base":case"br":case"col":case"hr":case"keygen":case"meta":case"param":case"track":case"wbr":case"menuitem":for(c in t)if(t.hasOwnProperty(c)&&null!=(a=t[c]))switch(c){case"children":case"dangerouslySetInnerHTML":throw Error(o(137,n));default:fd(e,n,c,a,t,null)}return;default:if(Mn(n)){for(d in t)t.hasOwnProperty(d)&&(void 0!==(a=t[d])&&pd(e,n,d,a,t,void 0));return}}for(u in t)t.hasOwnProperty(u)&&(null!=(a=t[u])&&fd(e,n,u,a,t,null))}function gd(e){switch(e){case"css":case"script":case"font":case"img":case"image":case"input":case"link":return!0;default:return!1}}var hd=null,yd=null;function vd(e){return 9===e.nodeType?e:e.ownerDocument}function bd(e){switch(e){case"http://www.w3.org/2000/svg":return 1;case"http://www.w3.org/1998/Math/MathML":return 2;default:return 0}}function kd(e,n){if(0===e)switch(n){case"svg":return 1;case"math":return 2;default:return 0}return 1===e&&"foreignObject"===n?0:e}function wd(e,n){return"textarea"===e||"noscript"===e||"string"==typeof n.children||"number"==typeof n.children||"bigint"==typeof n.children||"object"==typeof n.dangerouslySetInnerHTML&&null!==n.dangerouslySetInnerHTML&&null!=n.dangerouslySetInnerHTML.__html}var Sd=null;var Ed="function"==typeof setTimeout?setTimeout:void 0,xd="function"==typeof clearTimeout?clearTimeout:void 0,Cd="function"==typeof Promise?Promise:void 0,Pd="function"==typeof queueMicrotask?queueMicrotask:void 0!==Cd?function(e){return Cd.resolve(null).then(e).catch(zd)}:Ed;function zd(e){setTimeout(function(){throw e})}function Nd(e){return"head"===e}function Ld(e,n){var t=n,r=0;do{var a=t.nextSibling;if(e.removeChild(t),a&&8===a.nodeType)if("/$"===(t=a.data)||"/&"===t){if(0===r)return e.removeChild(a),void Qf(n);r--}else if("$"===t||"$?"===t||"$~"===t||"$!"===t||"&"===t)r++;else if("html"===t)Ud(e.ownerDocument.documentElement);else if("head"===t){Ud(t=e.ownerDocument.head);for(var l=t.firstChild;l;){var o=l.nextSibling,i=l.nodeName;l[Ke]||"SCRIPT"===i||"STYLE"===i||"LINK"===i&&"stylesheet"===l.rel.toLowerCase()||t.removeChild(l),l=o}}else"body"===t&&Ud(e.ownerDocument.body);t=a}while(t);Qf(n)}function Td(e,n){var t=e;e=0;do{var r=t.nextSibling;if(1===t.nodeType?n?(t._stashedDisplay=t.style.display,t.style.display="none"):(t.style.display=t._stashedDisplay||"",""===t.getAttribute("style")&&t.removeAttribute("style")):3===t.nodeType&&(n?(t._stashedText=t.nodeValue,t.nodeValue=""):t.nodeValue=t._stashedText||""),r&&8===r.nodeType)if("/$"===(t=r.data)){if(0===e)break;e--}else"$"!==t&&"$?"!==t&&"$~"!==t&&"$!"!==t||e++;t=r}while(t)}function Md(e){var n=e.firstChild;for(n&&10===n.nodeType&&(n=n.nextSibling);n;){var t=n;switch(n=n.nextSibling,t.nodeName){case"HTML":case"HEAD":case"BODY":Md(t),Xe(t);continue;case"SCRIPT":case"STYLE":continue;case"LINK":if("stylesheet"===t.rel.toLowerCase())continue}e.removeChild(t)}}function Ad(e,n){for(;8!==e.nodeType;){if((1!==e.nodeType||"INPUT"!==e.nodeName||"hidden"!==e.type)&&!n)return null;if(null===(e=Fd(e.nextSibling)))return null}return e}function Rd(e){return"$?"===e.data||"$~"===e.data}function _d(e){return"$!"===e.data||"$?"===e.data&&"loading"!==e.ownerDocument.readyState}function Fd(e){for(;null!=e;e=e.nextSibling){var n=e.nodeType;if(1===n||3===n)break;if(8===n){if("$"===(n=e.data)||"$!"===n||"$?"===n||"$~"===n||"&"===n||"F!"===n||"F"===n)break;if("/$"===n||"/&"===n)return null}}return e}var Od=null;function Dd(e){e=e.nextSibling;for(var n=0;e;){if(8===e.nodeType){var t=e.data;if("/$"===t||"/&"===t){if(0===n)return Fd(e.nextSibling);n--}else"$"!==t&&"$!"!==t&&"$?"!==t&&"$~"!==t&&"&"!==t||n++}e=e.nextSibling}return null}function Id(e){e=e.previousSibling;for(var n=0;e;){if(8===e.nodeType){var t=e.data;if("$"===t||"$!"===t||"$?"===t||"$~"===t||"&"===t){if(0===n)return e;n--}else"/$"!==t&&"/&"!==t||n++}e=e.previousSibling}return null}function qd(e,n,t){switch(n=vd(t),e){case"html":if(!(e=n.documentElement))throw Error(o(452));return e;case"head":if(!(e=n.head))throw Error(o(453));return e;case"body":if(!(e=n.body))throw Error(o(454));return e;default:throw Error(o(451))}}function Ud(e){for(var n=e.attributes;n.length;)e.removeAttributeNode(n[0]);Xe(e)}var jd=new Map,Hd=new Set;function Vd(e){return"function"==typeof e.getRootNode?e.getRootNode():9===e.nodeType?e:e.ownerDocument}var Bd=D.d;D.d={f:function(){var e=Bd.f(),n=nc();return e||n},r:function(e){var n=Je(e);null!==n&&5===n.tag&&"form"===n.type?li(n):Bd.r(e)},D:function(e){Bd.D(e),Wd("dns-prefetch",e,null)},C:function(e,n){Bd.C(e,n),Wd("preconnect",e,n)},L:function(e,n,t){Bd.L(e,n,t);var r=$d;if(r&&e&&n){var a='link[rel="preload"][as="'+kn(n)+'"]';"image"===n&&t&&t.imageSrcSet?(a+='[imagesrcset="'+kn(t.imageSrcSet)+'"]',"string"==typeof t.imageSizes&&(a+='[imagesizes="'+kn(t.imageSizes)+'"]')):a+='[href="'+kn(e)+'"]';var l=a;switch(n){case"style":l=Gd(e);break;case"script":l=Xd(e)}jd.has(l)||(e=g({rel:"preload",href:"image"===n&&t&&t.imageSrcSet?void 0:e,as:n},t),jd.set(l,e),null!==r.querySelector(a)||"style"===n&&r.querySelector(Yd(l))||"script"===n&&r.querySelector(Zd(l))||(md(n=r.createElement("link"),"link",e),tn(n),r.head.appendChild(n)))}},m:function(e,n){Bd.m(e,n);var t=$d;if(t&&e){var r=n&&"string"==typeof n.as?n.as:"script",a='link[rel="modulepreload"][as="'+kn(r)+'"][href="'+kn(e)+'"]',l=a;switch(r){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":l=Xd(e)}if(!jd.has(l)&&(e=g({rel:"modulepreload",href:e},n),jd.set(l,e),null===t.querySelector(a))){switch(r){case"audioworklet":case"paintworklet":case"serviceworker":case"sharedworker":case"worker":case"script":if(t.querySelector(Zd(l)))return}md(r=t.createElement("link"),"link",e),tn(r),t.head.appendChild(r)}}},X:function(e,n){Bd.X(e,n);var t=$d;if(t&&e){var r=nn(t).hoistableScripts,a=Xd(e),l=r.get(a);l||((l=t.querySelector(Zd(a)))||(e=g({src:e,async:!0},n),(n=jd.get(a))&&tf(e,n),tn(l=t.createElement("script")),md(l,"link",e),t.head.appendChild(l)),l={type:"script",instance:l,count:1,state:null},r.set(a,l))}},S:function(e,n,t){Bd.S(e,n,t);var r=$d;if(r&&e){var a=nn(r).hoistableStyles,l=Gd(e);n=n||"default";var o=a.get(l);if(!o){var i={loading:0,preload:null};if(o=r.querySelector(Yd(l)))i.loading=5;else{e=g({rel:"stylesheet",href:e,"data-precedence":n},t),(t=jd.get(l))&&nf(e,t);var u=o=r.createElement("link");tn(u),md(u,"link",e),u._p=new Promise(function(e,n){u.onload=e,u.onerror=n}),u.addEventListener("load",function(){i.loading|=1}),u.addEventListener("error",function(){i.loading|=2}),i.loading|=4,ef(o,n,r)}o={type:"stylesheet",instance:o,count:1,state:i},a.set(l,o)}}},M:function(e,n){Bd.M(e,n);var t=$d;if(t&&e){var r=nn(t).hoistableScripts,a=Xd(e),l=r.get(a);l||((l=t.querySelector(Zd(a)))||(e=g({src:e,async:!0,type:"module"},n),(n=jd.get(a))&&tf(e,n),tn(l=t.createElement("script")),md(l,"link",e),t.head.appendChild(l)),l={type:"script",instance:l,count:1,state:null},r.set(a,l))}}};var $d="undefined"==typeof document?null:document;function Wd(e,n,t){var r=$d;if(r&&"string"==typeof n&&n){var a=kn(n);a='link[rel="'+e+'"][href="'+a+'"]',"string"==typeof t&&(a+='[crossorigin="'+t+'"]'),Hd.has(a)||(Hd.add(a),e={rel:e,crossOrigin:t,href:n},null===r.querySelector(a)&&(md(n=r.createElement("link"),"link",e),tn(n),r.head.appendChild(n)))}}function Qd(e,n,t,r){var a,l,i,u,s=(s=G.current)?Vd(s):null;if(!s)throw Error(o(446));switch(e){case"meta":case"title":return null;case"style":return"string"==typeof t.precedence&&"string"==typeof t.href?(n=Gd(t.href),(r=(t=nn(s).hoistableStyles).get(n))||(r={type:"style",instance:null,count:0,state:null},t.set(n,r)),r):{type:"void",instance:null,count:0,state:null};case"link":if("stylesheet"===t.rel&&"string"==typeof t.href&&"string"==typeof t.precedence){e=Gd(t.href);var c=nn(s).hoistableStyles,d=c.get(e);if(d||(s=s.ownerDocument||s,d={type:"stylesheet",instance:null,count:0,state:{loading:0,preload:null}},c.set(e,d),(c=s.querySelector(Yd(e)))&&!c._p&&(d.instance=c,d.state.loading=5),jd.has(e)||(t={rel:"preload",as:"style",href:t.href,crossOrigin:t.crossOrigin,integrity:t.integrity,media:t.media,hrefLang:t.hrefLang,referrerPolicy:t.referrerPolicy},jd.set(e,t),c||(a=s,l=e,i=t,u=d.state,a.querySelector('link[rel="preload"][as="style"]['+l+"]")?u.loading=1:(l=a.createElement("link"),u.preload=l,l.addEventListener("load",function(){return u.loading|=1}),l.addEventListener("error",function(){return u.loading|=2}),md(l,"link",i),tn(l),a.head.appendChild(l))))),n&&null===r)throw Error(o(528,""));return d}if(n&&null!==r)throw Error(o(529,""));return null;case"script":return n=t.async,"string"==typeof(t=t.src)&&n&&"function"!=typeof n&&"symbol"!=typeof n?(n=Xd(t),(r=(t=nn(s).hoistableScripts).get(n))||(r={type:"script",instance:null,count:0,state:null},t.set(n,r)),r):{type:"void",instance:null,count:0,state:null};default:throw Error(o(444,e))}}function Gd(e){return'href="'+kn(e)+'"'}function Yd(e){return'link[rel="stylesheet"]['+e+"]"}function Kd(e){return g({},e,{"data-precedence":e.precedence,precedence:null})}function Xd(e){return'[src="'+kn(e)+'"]'}function Zd(e){return"script[async]"+e}function Jd(e,n,t){if(n.count++,null===n.instance)switch(n.type){case"style":var r=e.querySelector('style[data-href~="'+kn(t.href)+'"]');if(r)return n.instance=r,tn(r),r;var a=g({},t,{"data-href":t.href,"data-precedence":t.precedence,href:null,precedence:null});return tn(r=(e.ownerDocument||e).createElement("style")),md(r,"style",a),ef(r,t.precedence,e),n.instance=r;case"stylesheet":a=Gd(t.href);var l=e.querySelector(Yd(a));if(l)return n.state.loading|=4,n.instance=l,tn(l),l;r=Kd(t),(a=jd.get(a))&&nf(r,a),tn(l=(e.ownerDocument||e).createElement("link"));var i=l;return i._p=new Promise(function(e,n){i.onload=e,i.onerror=n}),md(l,"link",r),n.state.loading|=4,ef(l,t.precedence,e),n.instance=l;case"script":return l=Xd(t.src),(a=e.querySelector(Zd(l)))?(n.instance=a,tn(a),a):(r=t,(a=jd.get(l))&&tf(r=g({},t),a),tn(a=(e=e.ownerDocument||e).createElement("script")),md(a,"link",r),e.head.appendChild(a),n.instance=a);case"void":return null;default:throw Error(o(443,n.type))}else"stylesheet"===n.type&&!(4&n.state.loading)&&(r=n.instance,n.state.loading|=4,ef(r,t.precedence,e));return n.instance}function ef(e,n,t){for(var r=t.querySelectorAll('link[rel="stylesheet"][data-precedence],style[data-precedence]'),a=r.length?r[r.length-1]:null,l=a,o=0;o<r.length;o++){var i=r[o];if(i.dataset.precedence===n)l=i;else if(l!==a)break}l?l.parentNode.insertBefore(e,l.nextSibling):(n=9===t.nodeType?t.head:t).insertBefore(e,n.firstChild)}function nf(e,n){null==e.crossOrigin&&(e.crossOrigin=n.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=n.referrerPolicy),null==e.title&&(e.title=n.title)}function tf(e,n){null==e.crossOrigin&&(e.crossOrigin=n.crossOrigin),null==e.referrerPolicy&&(e.referrerPolicy=n.referrerPolicy),null==e.integrity&&(e.integrity=n.integrity)}var rf=null;function af(e,n,t){if(null===rf){var r=new Map,a=rf=new Map;a.set(t,r)}else(r=(a=rf).get(t))||(r=new Map,a.set(t,r));if(r.has(e))return r;for(r.set(e,null),t=t.getElementsByTagName(e),a=0;a<t.length;a++){var l=t[a];if(!(l[Ke]||l[Ve]||"link"===e&&"stylesheet"===l.getAttribute("rel"))&&"http://www.w3.org/2000/svg"!==l.namespaceURI){var o=l.getAttribute(n)||"";o=e+o;var i=r.get(o);i?i.push(l):r.set(o,[l])}}return r}function lf(e,n,t){(e=e.ownerDocument||e).head.insertBefore(t,"title"===n?e.querySelector("head > title"):null)}function of(e){return!!("stylesheet"!==e.type||3&e.state.loading)}var uf=0;function sf(){if(this.count--,0===this.count&&(0===this.imgCount||!this.waitingForImages))if(this.stylesheets)df(this,this.stylesheets);else if(this.unsuspend){var e=this.unsuspend;this.unsuspend=null,e()}}var cf=null;function df(e,n){e.stylesheets=null,null!==e.unsuspend&&(e.count++,cf=new Map,n.forEach(ff,e),cf=null,sf.call(e))}function ff(e,n){if(!(4&n.state.loading)){var t=cf.get(e);if(t)var r=t.get(null);else{t=new Map,cf.set(e,t);for(var a=e.querySelectorAll("link[data-precedence],style[data-precedence]"),l=0;l<a.length;l++){var o=a[l];"LINK"!==o.nodeName&&"not all"===o.getAttribute("media")||(t.set(o.dataset.precedence,o),r=o)}r&&t.set(null,r)}o=(a=n.instance).getAttribute("data-precedence"),(l=t.get(o)||r)===r&&t.set(null,a),t.set(o,a),this.count++,r=sf.bind(this),a.addEventListener("load",r),a.addEventListener("error",r),l?l.parentNode.insertBefore(a,l.nextSibling):(e=9===e.nodeType?e.head:e).insertBefore(a,e.firstChild),n.state.loading|=4}}var pf={$$typeof:E,Provider:null,Consumer:null,_currentValue:I,_currentValue2:I,_threadCount:0};function mf(e,n,t,r,a,l,o,i,u){this.tag=1,this.containerInfo=e,this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.next=this.pendingContext=this.context=this.cancelPendingCommit=null,this.callbackPriority=0,this.expirationTimes=Re(-1),this.entangledLanes=this.shellSuspendCounter=this.errorRecoveryDisabledLanes=this.expiredLanes=this.warmLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=Re(0),this.hiddenUpdates=Re(null),this.identifierPrefix=r,this.onUncaughtError=a,this.onCaughtError=l,this.onRecoverableError=o,this.pooledCache=null,this.pooledCacheLanes=0,this.formState=u,this.incompleteTransitions=new Map}function gf(e,n,t,r,a,l,o,i,u,s,c,d){return e=new mf(e,n,t,o,u,s,c,d,i),n=1,!0===l&&(n|=24),l=Ur(3,null,null,n),e.current=l,l.stateNode=e,(n=ja()).refCount++,e.pooledCache=n,n.refCount++,l.memoizedState={element:r,isDehydrated:t,cache:n},vl(l),e}function hf(e){return e?e=Ir:Ir}function yf(e,n,t,r,a,l){a=hf(a),null===r.context?r.context=a:r.pendingContext=a,(r=kl(n)).payload={element:t},null!==(l=void 0===l?null:l)&&(r.callback=l),null!==(t=wl(e,r,n))&&(Ks(t,0,n),Sl(t,e,n))}function vf(e,n){if(null!==(e=e.memoizedState)&&null!==e.dehydrated){var t=e.retryLane;e.retryLane=0!==t&&t<n?t:n}}function bf(e,n){vf(e,n),(e=e.alternate)&&vf(e,n)}function kf(e){if(13===e.tag||31===e.tag){var n=Fr(e,67108864);null!==n&&Ks(n,0,67108864),bf(e,67108864)}}function wf(e){if(13===e.tag||31===e.tag){var n=Gs(),t=Fr(e,n=Ie(n));null!==t&&Ks(t,0,n),bf(e,n)}}var Sf=!0;function Ef(e,n,t,r){var a=O.T;O.T=null;var l=D.p;try{D.p=2,Cf(e,n,t,r)}finally{D.p=l,O.T=a}}function xf(e,n,t,r){var a=O.T;O.T=null;var l=D.p;try{D.p=8,Cf(e,n,t,r)}finally{D.p=l,O.T=a}}function Cf(e,n,t,r){if(Sf){var a=Pf(r);if(null===a)rd(e,n,r,zf,t),If(e,r);else if(function(e,n,t,r,a){switch(n){case"focusin":return Mf=qf(Mf,e,n,t,r,a),!0;case"dragenter":return Af=qf(Af,e,n,t,r,a),!0;case"mouseover":return Rf=qf(Rf,e,n,t,r,a),!0;case"pointerover":var l=a.pointerId;return _f.set(l,qf(_f.get(l)||null,e,n,t,r,a)),!0;case"gotpointercapture":return l=a.pointerId,Ff.set(l,qf(Ff.get(l)||null,e,n,t,r,a)),!0}return!1}(a,e,n,t,r))r.stopPropagation();else if(If(e,r),4&n&&-1<Df.indexOf(e)){for(;null!==a;){var l=Je(a);if(null!==l)switch(l.tag){case 3:if((l=l.stateNode).current.memoizedState.isDehydrated){var o=Ne(l.pendingLanes);if(0!==o){var i=l;for(i.pendingLanes|=2,i.entangledLanes|=2;o;){var u=1<<31-Se(o);i.entanglements[1]|=u,o&=~u}Dc(l),!(6&gs)&&(Os=ce()+500,Ic(0))}}break;case 31:case 13:null!==(i=Fr(l,2))&&Ks(i,0,2),nc(),bf(l,2)}if(null===(l=Pf(r))&&rd(e,n,r,zf,t),l===a)break;a=l}null!==a&&r.stopPropagation()}else rd(e,n,r,null,t)}}function Pf(e){return Nf(e=Dn(e))}var zf=null;function Nf(e){if(zf=null,null!==(e=Ze(e))){var n=s(e);if(null===n)e=null;else{var t=n.tag;if(13===t){if(null!==(e=c(n)))return e;e=null}else if(31===t){if(null!==(e=f(n)))return e;e=null}else if(3===t){if(n.stateNode.current.memoizedState.isDehydrated)return 3===n.tag?n.stateNode.containerInfo:null;e=null}else n!==e&&(e=null)}}return zf=e,null}function Lf(e){switch(e){case"beforetoggle":case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"toggle":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 2;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 8;case"message":switch(de()){case fe:return 2;case pe:return 8;case me:case ge:return 32;case he:return 268435456;default:return 32}default:return 32}}var Tf=!1,Mf=null,Af=null,Rf=null,_f=new Map,Ff=new Map,Of=[],Df="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset".split(" ");function If(e,n){switch(e){case"focusin":case"focusout":Mf=null;break;case"dragenter":case"dragleave":Af=null;break;case"mouseover":case"mouseout":Rf=null;break;case"pointerover":case"pointerout":_f.delete(n.pointerId);break;case"gotpointercapture":case"lostpointercapture":Ff.delete(n.pointerId)}}function qf(e,n,t,r,a,l){return null===e||e.nativeEvent!==l?(e={blockedOn:n,domEventName:t,eventSystemFlags:r,nativeEvent:l,targetContainers:[a]},null!==n&&(null!==(n=Je(n))&&kf(n)),e):(e.eventSystemFlags|=r,n=e.targetContainers,null!==a&&-1===n.indexOf(a)&&n.push(a),e)}function Uf(e){var n=Ze(e.target);if(null!==n){var t=s(n);if(null!==t)if(13===(n=t.tag)){if(null!==(n=c(t)))return e.blockedOn=n,void je(e.priority,function(){wf(t)})}else if(31===n){if(null!==(n=f(t)))return e.blockedOn=n,void je(e.priority,function(){wf(t)})}else if(3===n&&t.stateNode.current.memoizedState.isDehydrated)return void(e.blockedOn=3===t.tag?t.stateNode.containerInfo:null)}e.blockedOn=null}function jf(e){if(null!==e.blockedOn)return!1;for(var n=e.targetContainers;0<n.length;){var t=Pf(e.nativeEvent);if(null!==t)return null!==(n=Je(t))&&kf(n),e.blockedOn=t,!1;var r=new(t=e.nativeEvent).constructor(t.type,t);On=r,t.target.dispatchEvent(r),On=null,n.shift()}return!0}function Hf(e,n,t){jf(e)&&t.delete(n)}function Vf(){Tf=!1,null!==Mf&&jf(Mf)&&(Mf=null),null!==Af&&jf(Af)&&(Af=null),null!==Rf&&jf(Rf)&&(Rf=null),_f.forEach(Hf),Ff.forEach(Hf)}function Bf(e,n){e.blockedOn===n&&(e.blockedOn=null,Tf||(Tf=!0,t.unstable_scheduleCallback(t.unstable_NormalPriority,Vf)))}var $f=null;function Wf(e){$f!==e&&($f=e,t.unstable_scheduleCallback(t.unstable_NormalPriority,function(){$f===e&&($f=null);for(var n=0;n<e.length;n+=3){var t=e[n],r=e[n+1],a=e[n+2];if("function"!=typeof r){if(null===Nf(r||t))continue;break}var l=Je(t);null!==l&&(e.splice(n,3),n-=3,ri(l,{pending:!0,data:a,method:t.method,action:r},r,a))}}))}function Qf(e){function n(n){return Bf(n,e)}null!==Mf&&Bf(Mf,e),null!==Af&&Bf(Af,e),null!==Rf&&Bf(Rf,e),_f.forEach(n),Ff.forEach(n);for(var t=0;t<Of.length;t++){var r=Of[t];r.blockedOn===e&&(r.blockedOn=null)}for(;0<Of.length&&null===(t=Of[0]).blockedOn;)Uf(t),null===t.blockedOn&&Of.shift();if(null!=(t=(e.ownerDocument||e).$$reactFormReplay))for(r=0;r<t.length;r+=3){var a=t[r],l=t[r+1],o=a[Be]||null;if("function"==typeof l)o||Wf(t);else if(o){var i=null;if(l&&l.hasAttribute("formAction")){if(a=l,o=l[Be]||null)i=o.formAction;else if(null!==Nf(a))continue}else i=o.action;"function"==typeof i?t[r+1]=i:(t.splice(r,3),r-=3),Wf(t)}}}function Gf(){function e(e){e.canIntercept&&"react-transition"===e.info&&e.intercept({handler:function(){return new Promise(function(e){return a=e})},focusReset:"manual",scroll:"manual"})}function n(){null!==a&&(a(),a=null),r||setTimeout(t,20)}function t(){if(!r&&!navigation.transition){var e=navigation.currentEntry;e&&null!=e.url&&navigation.navigate(e.url,{state:e.getState(),info:"react-transition",history:"replace"})}}if("object"==typeof navigation){var r=!1,a=null;return navigation.addEventListener("navigate",e),navigation.addEventListener("navigatesuccess",n),navigation.addEventListener("navigateerror",n),setTimeout(t,100),function(){r=!0,navigation.removeEventListener("navigate",e),navigation.removeEventListener("navigatesuccess",n),navigation.removeEventListener("navigateerror",n),null!==a&&(a(),a=null)}}}function Yf(e){this._internalRoot=e}function Kf(e){this._internalRoot=e}Kf.prototype.render=Yf.prototype.render=function(e){var n=this._internalRoot;if(null===n)throw Error(o(409));yf(n.current,Gs(),e,n,null,null)},Kf.prototype.unmount=Yf.prototype.unmount=function(){var e=this._internalRoot;if(null!==e){this._internalRoot=null;var n=e.containerInfo;yf(e.current,2,null,e,null,null),nc(),n[$e]=null}},Kf.prototype.unstable_scheduleHydration=function(e){if(e){var n=Ue();e={blockedOn:null,target:e,priority:n};for(var t=0;t<Of.length&&0!==n&&n<Of[t].priority;t++);Of.splice(t,0,e),0===t&&Uf(e)}};var Xf=r.version;if("19.2.0"!==Xf)throw Error(o(527,Xf,"19.2.0"));D.findDOMNode=function(e){var n=e._reactInternals;if(void 0===n){if("function"==typeof e.render)throw Error(o(188));throw e=Object.keys(e).join(","),Error(o(268,e))}return e=function(e){var n=e.alternate;if(!n){if(null===(n=s(e)))throw Error(o(188));return n!==e?null:e}for(var t=e,r=n;;){var a=t.return;if(null===a)break;var l=a.alternate;if(null===l){if(null!==(r=a.return)){t=r;continue}break}if(a.child===l.child){for(l=a.child;l;){if(l===t)return p(a),e;if(l===r)return p(a),n;l=l.sibling}throw Error(o(188))}if(t.return!==r.return)t=a,r=l;else{for(var i=!1,u=a.child;u;){if(u===t){i=!0,t=a,r=l;break}if(u===r){i=!0,r=a,t=l;break}u=u.sibling}if(!i){for(u=l.child;u;){if(u===t){i=!0,t=l,r=a;break}if(u===r){i=!0,r=l,t=a;break}u=u.sibling}if(!i)throw Error(o(189))}}if(t.alternate!==r)throw Error(o(190))}if(3!==t.tag)throw Error(o(188));return t.stateNode.current===t?e:n}(n),e=null===(e=null!==e?m(e):null)?null:e.stateNode};var Zf={bundleType:0,version:"19.2.0",rendererPackageName:"react-dom",currentDispatcherRef:O,reconcilerVersion:"19.2.0"};if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__){var Jf=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!Jf.isDisabled&&Jf.supportsFiber)try{be=Jf.inject(Zf),ke=Jf}catch(np){}}return u.createRoot=function(e,n){if(!i(e))throw Error(o(299));var t=!1,r="",a=Pi,l=zi,u=Ni;return null!=n&&(!0===n.unstable_strictMode&&(t=!0),void 0!==n.identifierPrefix&&(r=n.identifierPrefix),void 0!==n.onUncaughtError&&(a=n.onUncaughtError),void 0!==n.onCaughtError&&(l=n.onCaughtError),void 0!==n.onRecoverableError&&(u=n.onRecoverableError)),n=gf(e,1,!1,null,0,t,r,null,a,l,u,Gf),e[$e]=n.current,nd(e),new Yf(n)},u.hydrateRoot=function(e,n,t){if(!i(e))throw Error(o(299));var r=!1,a="",l=Pi,u=zi,s=Ni,c=null;return null!=t&&(!0===t.unstable_strictMode&&(r=!0),void 0!==t.identifierPrefix&&(a=t.identifierPrefix),void 0!==t.onUncaughtError&&(l=t.onUncaughtError),void 0!==t.onCaughtError&&(u=t.onCaughtError),void 0!==t.onRecoverableError&&(s=t.onRecoverableError),void 0!==t.formState&&(c=t.formState)),(n=gf(e,1,!0,n,0,r,a,c,l,u,s,Gf)).context=hf(null),t=n.current,(a=kl(r=Ie(r=Gs()))).callback=null,wl(t,a,r),t=r,n.current.lanes=t,_e(n,t),Dc(n),e[$e]=n.current,nd(e),new Kf(n)},u.version="19.2.0",u}const p=t((o||(o=1,function e(){if("undefined"!=typeof __REACT_DEVTOOLS_GLOBAL_HOOK__&&"function"==typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE)try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(e)}catch(n){}}(),i.exports=f()),i.exports)),m="https://spanishacademic.com",g=["spanishacademic.com","www.spanishacademic.com"],h={production:{origin:m,indexable:!0},staging:{origin:"https://staging.spanishacademic.com",indexable:!1},local:{origin:"http://localhost:8787",indexable:!1}},y={programs:{en:"/programs/",es:"/es/programas/"},faculty:{en:"/faculty/",es:"/es/profesorado/"},insights:{en:"/insights/",es:"/es/insights/"},help:{en:"/help/",es:"/es/ayuda/"},scholarship:{en:"/scholarship/",es:"/scholarship/"},explorer:{en:"/explorer/",es:"/es/explorador/"},search:{en:"/search/",es:"/es/buscar/"},contact:{en:"/contact/",es:"/es/contacto/"}},v={titleMin:50,titleMax:60,metaDescriptionMin:140,metaDescriptionMax:160,maxHtmlSizeKb:50};const b=function(e={}){const n=e.SITE_ENV||"production";if(!(n in h))throw new Error(`SITE_ENV must be one of ${Object.keys(h).join(", ")} (got "${e.SITE_ENV}")`);const t=(e.SITE_ORIGIN||h[n].origin).replace(/\/$/,"");let r;try{r=new URL(t)}catch{throw new Error(`SITE_ORIGIN must be an absolute URL (got "${t}")`)}if(!/^https?:$/.test(r.protocol)||r.origin!==t)throw new Error(`SITE_ORIGIN must be a scheme and host only, like ${m} (got "${t}")`);return{environment:n,origin:t,hosts:[...new Set([r.hostname,...g])],indexable:h[n].indexable,languages:["en","es"],defaultLanguage:"en",sections:y,thresholds:v}}({SITE_ENV:"",SITE_ORIGIN:""}),k={help:"ayuda",programs:"programas",insights:"insights",contact:"contacto",about:"acerca-de",categories:"categorias",explorer:"explorador",phd:"doctorado",doctorate:"doctorado",ma:"maestria",masters:"maestria",master:"maestria",certificate:"certificado",minor:"especializacion",linguistics:"linguistica","spanish-linguistics":"linguistica-espanola",literature:"literatura","spanish-literature":"literatura-espanola",translation:"traduccion",interpreting:"interpretacion","translation-and-interpreting":"traduccion-e-interpretacion","hispanic-studies":"estudios-hispanicos","latin-american-studies":"estudios-latinoamericanos","iberian-studies":"estudios-ibericos",phonetics:"fonetica",phonology:"fonologia",syntax:"sintaxis",semantics:"semantica",pragmatics:"pragmatica",sociolinguistics:"sociolinguistica",psycholinguistics:"psicolinguistica","historical-linguistics":"linguistica-historica","corpus-linguistics":"linguistica-de-corpus","applied-linguistics":"linguistica-aplicada",poetry:"poesia",narrative:"narrativa",theater:"teatro",drama:"drama",colonial:"colonial",medieval:"medieval","golden-age":"siglo-de-oro",contemporary:"contemporaneo",modern:"moderno",funding:"financiacion","financial-aid":"ayuda-financiera",scholarships:"becas",fellowships:"becas",stipend:"estipendio",visa:"visa",requirements:"requisitos",admission:"admision",application:"solicitud",deadline:"plazo",deadlines:"plazos",strategies:"estrategias",tips:"consejos",advice:"consejos",immigration:"inmigracion",sponsorship:"patrocinio","work-authorization":"autorizacion-de-trabajo","student-visa":"visa-de-estudiante","f1-visa":"visa-f1","j1-visa":"visa-j1",ai:"ia","artificial-intelligence":"inteligencia-artificial",ethics:"etica",disclosure:"divulgacion",transparency:"transparencia","academic-integrity":"integridad-academica",university:"universidad",college:"universidad",institute:"instituto",program:"programa",department:"departamento",faculty:"profesorado",research:"investigacion",california:"california","new-york":"nueva-york",texas:"texas",florida:"florida",spain:"espana",mexico:"mexico",argentina:"argentina",chile:"chile",and:"y",or:"o",the:"el",of:"de",for:"para",with:"con",in:"en",at:"en",guide:"guia",overview:"resumen",comparison:"comparacion",list:"lista",index:"indice",search:"buscar",faq:"preguntas-frecuentes","frequently-asked-questions":"preguntas-frecuentes"};function w(e,n){const t=e.toLowerCase();if(k[t])return k[t];const r=t.split("-"),a=[];let l=0;for(;l<r.length;){let e=!1;for(let n=Math.min(r.length-l,5);n>0;n--){const t=r.slice(l,l+n).join("-");if(k[t]){a.push(k[t]),l+=n,e=!0;break}}e||(a.push(r[l]),l++)}return a.join("-")}Object.fromEntries(Object.entries(k).map(([e,n])=>[n,e]));const S={en:{explorer:{title:"Program Explorer",intro:"Filter graduate programs by degree, funding, admissions requirements and location. Your selections are saved in the page address, so you can bookmark or share this view.",fundingDisclaimer:"Funding figures are approximate and subject to change. Verify current details with each department.",filtersHeading:"Filter programs",resetFilters:"Reset filters",any:"Any",degree:"Degree",focusArea:"Focus area",deliveryMode:"Delivery mode",gre:"GRE",stipendMin:"Minimum stipend (USD)",stipendMax:"Maximum stipend (USD)",yearsMin:"Guaranteed funding (at least, years)",country:"Country",state:"State",acceptingOnly:"Only programs accepting applications",sortBy:"Sort by",resultCount:"Showing {shown} of {total} programs",noResults:"No programs match these filters. Try removing one of them.",degreeTypes:{MA:"MA",PhD:"PhD",Certificate:"Certificate","Graduate Minor":"Graduate minor"},deliveryModes:{"In-Person":"In person",Online:"Online",Hybrid:"Hybrid"},greOptions:{any:"Any",required:"Required",notRequired:"Not required"},sortOptions:{institution:"Institution (A–Z)",stipend:"Highest stipend",years:"Most years of guaranteed funding",acceptance:"Lowest acceptance rate",updated:"Most recently updated"},card:{location:"Location",delivery:"Delivery",focusAreas:"Focus areas",stipend:"Stipend",perYear:"{amount} per year",notReported:"Not reported",yearsGuaranteed:"Guaranteed funding",years:"{years} years",greRequired:"GRE required",greNotRequired:"GRE not required",accepting:"Accepting applications",notAccepting:"Not accepting applications",details:"Program details",officialSite:"Official website",lastUpdated:"Data last updated {date}",compare:"Compare"},views:{label:"Explorer view",list:"Program list",map:"Map",advisors:"Find an advisor",compare:"Compare ({count})",match:"Match me"},compare:{heading:"Compare programs",instructions:"Select {min} to {max} programs from the program list to compare them side by side.",selectedCount:"{count} of {max} programs selected",limitReached:"You can compare up to {max} programs. Remove one to add another.",needMore:"Select at least {min} programs to compare.",open:"Compare selected programs",backToList:"Back to program list",clear:"Clear selection",print:"Print comparison",remove:"Remove {name} from comparison",caption:"Side-by-side comparison of {count} programs",tableRegion:"Comparison table (scrolls horizontally on small screens)",program:"Program",best:"Best",bestLegend:"Cells marked “Best” have the most favorable value for applicants in that row.",yes:"Yes",no:"No",rows:{stipend:"Stipend (approx. per year)",years:"Years of guaranteed funding",summerFunding:"Additional summer funding",gre:"GRE required",writingSample:"Writing sample required",cohortSize:"Approximate cohort size",acceptanceRate:"Approximate acceptance rate",methodsCulture:"Methods culture"},notesHeading:"Program notes",notes:{programDescription:"Program overview",admissionsExpectations:"Admissions expectations",mentorshipCulture:"Mentorship culture",practicalWarnings:"Practical warnings",whatApplicantsShouldKnow:"What applicants should know"},notesLoading:"Loading program notes…",notesError:"Program notes could not be loaded. Refresh the page to try again."},advisors:{heading:"Find an advisor",intro:"Search faculty by research area in English or Spanish, methodology and institution. Each advisor links back to their program.",filtersHeading:"Filter faculty",area:"Research area",areaHint:"For example “sociolinguistics” or “sociolingüística”.",methodology:"Methodology",institution:"Institution",acceptingOnly:"Only faculty accepting new advisees",reset:"Reset filters",resultCount:"Showing {shown} of {total} faculty members",noResults:"No faculty match these filters. Try a broader research area.",accepting:"Accepting advisees",notAccepting:"Not accepting advisees",program:"Program",researchAreas:"Research areas",methods:"Methodological strengths",notableWork:"Notable work",website:"Faculty page",scholar:"Google Scholar",verified:"Verified {date}",freshness:{fresh:"Recently verified",aging:"Verified more than 6 months ago",stale:"Not verified in over a year: confirm with the department"},methodsCultures:{"Quantitative (statistical, corpus)":"Quantitative (statistical, corpus)","Qualitative (ethnographic, discourse)":"Qualitative (ethnographic, discourse)","Mixed Methods":"Mixed methods","Theoretical / Literary Analysis":"Theoretical / literary analysis",Experimental:"Experimental"}},match:{heading:"Find programs that fit you",intro:"Answer any of these questions. Programs and faculty are scored in your browser; your answers are not sent anywhere or saved in the page address.",questionsHeading:"Your profile",interests:"Research interests",keywords:"Other interests (comma-separated)",keywordsHint:"Matched against focus areas and faculty research areas in English and Spanish.",methodology:"Preferred methods culture",minStipend:"Minimum stipend you need (USD per year)",minYears:"Years of guaranteed funding you need",gre:"GRE",greOptions:{any:"I am willing to take the GRE",avoid:"I prefer programs that do not require the GRE"},country:"Preferred country",state:"Preferred state",deliveryMode:"Preferred delivery mode",noPreference:"No preference",reset:"Clear answers",prompt:"Answer at least one question to see your matches.",programsHeading:"Best-matching programs",facultyHeading:"Best-matching faculty",facultyPrompt:"Add research interests or a methods culture to rank faculty as well.",score:"{score}% match",points:"{points} of {max} points",weight:"up to {points} points",rank:"#{rank}",howHeading:"How scoring works",howIntro:"Each question you answer is worth up to the points below. A score is the points earned divided by the points available for the questions you answered.",howPrograms:"Programs",howFaculty:"Faculty",criteria:{interests:"Research interests",methods:"Methods culture",stipend:"Stipend",years:"Guaranteed funding",gre:"GRE",location:"Location",delivery:"Delivery mode",advisees:"Accepting advisees"},reasons:{interestsMatched:"Matches {matched} of your {total} interests: {areas}",interestsNone:"Matches none of your {total} interests",methodsFaculty:"{count} of {total} listed faculty list “{method}” among their strengths",methodsNoFaculty:"No faculty listed yet to check for “{method}”",methodsMatch:"Lists “{method}” among their strengths",methodsMiss:"Does not list “{method}” among their strengths",stipendMeets:"Stipend of about {stipend} meets your minimum of {min}",stipendBelow:"Stipend of about {stipend} is below your minimum of {min}",stipendUnknown:"Stipend not reported",yearsMeets:"{years} years guaranteed (you need {min})",yearsBelow:"Only {years} years guaranteed (you need {min})",yearsUnknown:"Guaranteed funding not reported",greNotRequired:"GRE not required",greRequired:"GRE required",locationMatch:"Located in {place}",locationSameCountry:"In your preferred country, but in another state ({place})",locationOther:"Outside your preferred location ({place})",deliveryMatch:"Delivery matches your preference ({mode})",deliveryHybrid:"Hybrid delivery partly matches your preference",deliveryMismatch:"Delivery does not match your preference ({mode})",accepting:"Accepting new advisees",notAccepting:"Not accepting new advisees"}},map:{heading:"Program map",loading:"Loading map…",loadError:"The map could not be loaded. The program list still shows every result.",regionLabel:"Map of the United States and Latin America. Each marker is a program or a group of nearby programs.",zoomIn:"Zoom in",zoomOut:"Zoom out",resetView:"Show whole map",markerLabel:"{name}, {place}",clusterLabel:"{count} programs: {names}",selectedHeading:"Programs at the selected location",closeSelection:"Close",listHeading:"Programs on the map, by location",showOnMap:"Show {place} on the map",unmappedHeading:"Not shown on the map",unmappedNote:"These programs match your filters but have no coordinates yet or are outside the area this map covers."}},chat:{heading:"Ask a question",intro:"Ask about programs, faculty, funding or applying, in English or Spanish. Answers come from pages on this site, with links to each source.",questionLabel:"Your question",questionHint:"For example: Which programs fund PhD students?",submit:"Ask",searching:"Searching the site…",loadError:"The site index could not be loaded. Check your connection and try again.",youAsked:"You asked",noAnswer:"No Help answer covers this question yet. These pages look relevant:",noResults:"Nothing on the site matches this question. Try other words, or ask in English or Spanish.",sourcesHeading:"Sources",otherLanguage:"In {language}",languages:{en:"English",es:"Spanish"},pageTypes:{qaPage:"Help",programSummary:"Program",facultyProfile:"Faculty",insightsArticle:"Article",page:"Page"},backends:{local:"Answered from site pages",remote:"Answered by the site assistant",fallback:"The assistant is unavailable, so this answer comes from site pages."},clear:"Clear conversation",disclaimer:"Answers may be out of date. Check the linked sources and confirm details with each program. For visa or legal questions, ask your international student office or an immigration attorney."},search:{label:"Search the site",hint:"Words in titles and headings count most. Accents are optional.",prompt:"Type a word or phrase to search every English page.",loading:"Loading the search index…",loadError:"The search index could not be loaded. Check your connection and reload the page.",resultCount:"{count} results for “{query}”",oneResult:"1 result for “{query}”",noResults:"No pages match “{query}”. Try fewer or different words.",otherLanguage:"Buscar en las páginas en español"},contact:{heading:"Contact us",intro:"Questions about a program, a page that needs fixing, or an idea for the site? Write to us and we will reply by email.",required:"(required)",optional:"(optional)",choose:"Choose one",fields:{name:"Name",email:"Email",role:"I am a…",topic:"Topic",programId:"Program",correctionField:"What is out of date?",proposedValue:"Correct value",sourceUrl:"Where is the correct value published?",message:"Message"},hints:{email:"We only use it to reply to you.",programId:"Required if your message is about a specific program.",currentValue:"Our page currently says: {value}.",proposedNumber:"A number, for example 34000. Write “none” if the program no longer publishes it.",proposedUrl:"A full address starting with https://. Write “none” if the page no longer exists.",sourceUrl:"A link to the official page with the new value lets us check it quickly.",message:"{count} of {max} characters",correctionMessage:"Tell us what changed and since when. {count} of {max} characters"},roles:{prospectiveStudent:"Prospective graduate student",currentStudent:"Current graduate student",faculty:"Faculty member",programDirector:"Program director or staff",other:"Other"},topics:{general:"General question",program:"Question about a program",suggestion:"Suggest a program or faculty member",partnership:"Partnership or media",technical:"Problem with the website",correction:"Report out-of-date program information"},correctionFields:{stipendApproxUSD:"Annual stipend (USD)",yearsGuaranteed:"Years of guaranteed funding",tuitionRemission:"Tuition remission",additionalSummerFunding:"Summer funding",greRequired:"GRE General Test required",greSubjectTestRequired:"GRE Subject Test required",writingSampleRequired:"Writing sample required",languageProficiencyRequired:"Additional language required",minGPA:"Minimum GPA",cohortSizeApprox:"Typical cohort size",acceptanceRateApprox:"Acceptance rate (%)",acceptingApplications:"Accepting applications",deliveryMode:"Delivery mode",officialWebsite:"Program website",applicationPortal:"Application portal",handbookPDF:"Graduate handbook (PDF)"},yes:"Yes",no:"No",notListed:"not listed",noProgram:"No specific program",errors:{required:"{field} is required.",tooShort:"{field} must be at least {min} characters.",tooLong:"{field} must be at most {max} characters.",invalidEmail:"Enter an email address like name@example.edu.",invalidOption:"Choose one of the options for {field}.",unknownProgram:"Choose a program from the list.",invalidValue:"The {field} does not fit the item you chose. Check the hint below it.",invalidUrl:"Enter a full web address starting with https://."},summaryHeading:"Please fix {count} problems before sending:",summaryHeadingOne:"Please fix 1 problem before sending:",honeypot:"Leave this field empty",submit:"Send message",sending:"Sending…",status:{tooFast:"That was quick. Please check your message, then send it again.",rateLimited:"You have sent several messages in a short time. Please wait a few minutes and try again.",unavailable:"Your message could not be sent. Please try again in a few minutes. Your text is still in the form."},sentHeading:"Thank you, your message was sent",sentText:"We read every message. If you asked a question, we will reply by email.",sendAnother:"Send another message",privacy:"We use your name and email only to answer this message."}},es:{explorer:{title:"Explorador de programas",intro:"Filtre programas de posgrado por título, financiación, requisitos de admisión y ubicación. Sus selecciones se guardan en la dirección de la página, para que pueda guardar o compartir esta vista.",fundingDisclaimer:"Las cifras de financiación son aproximadas y pueden cambiar. Verifique los detalles vigentes con cada departamento.",filtersHeading:"Filtrar programas",resetFilters:"Restablecer filtros",any:"Cualquiera",degree:"Título",focusArea:"Área de especialización",deliveryMode:"Modalidad",gre:"GRE",stipendMin:"Estipendio mínimo (USD)",stipendMax:"Estipendio máximo (USD)",yearsMin:"Financiación garantizada (mínimo, años)",country:"País",state:"Estado",acceptingOnly:"Solo programas que aceptan solicitudes",sortBy:"Ordenar por",resultCount:"Mostrando {shown} de {total} programas",noResults:"Ningún programa coincide con estos filtros. Pruebe a quitar alguno.",degreeTypes:{MA:"Maestría",PhD:"Doctorado",Certificate:"Certificado","Graduate Minor":"Especialización de posgrado"},deliveryModes:{"In-Person":"Presencial",Online:"En línea",Hybrid:"Híbrida"},greOptions:{any:"Cualquiera",required:"Obligatorio",notRequired:"No obligatorio"},sortOptions:{institution:"Institución (A–Z)",stipend:"Mayor estipendio",years:"Más años de financiación garantizada",acceptance:"Menor tasa de admisión",updated:"Actualización más reciente"},card:{location:"Ubicación",delivery:"Modalidad",focusAreas:"Áreas de especialización",stipend:"Estipendio",perYear:"{amount} al año",notReported:"No informado",yearsGuaranteed:"Financiación garantizada",years:"{years} años",greRequired:"GRE obligatorio",greNotRequired:"GRE no obligatorio",accepting:"Acepta solicitudes",notAccepting:"No acepta solicitudes",details:"Detalles del programa",officialSite:"Sitio web oficial",lastUpdated:"Datos actualizados el {date}",compare:"Comparar"},views:{label:"Vista del explorador",list:"Lista de programas",map:"Mapa",advisors:"Buscar director de tesis",compare:"Comparar ({count})",match:"Mis coincidencias"},compare:{heading:"Comparar programas",instructions:"Seleccione entre {min} y {max} programas de la lista para compararlos en paralelo.",selectedCount:"{count} de {max} programas seleccionados",limitReached:"Puede comparar hasta {max} programas. Quite uno para añadir otro.",needMore:"Seleccione al menos {min} programas para comparar.",open:"Comparar programas seleccionados",backToList:"Volver a la lista de programas",clear:"Borrar selección",print:"Imprimir comparación",remove:"Quitar {name} de la comparación",caption:"Comparación en paralelo de {count} programas",tableRegion:"Tabla comparativa (se desplaza horizontalmente en pantallas pequeñas)",program:"Programa",best:"Mejor",bestLegend:"Las celdas marcadas con «Mejor» tienen el valor más favorable para los solicitantes en esa fila.",yes:"Sí",no:"No",rows:{stipend:"Estipendio (aprox. por año)",years:"Años de financiación garantizada",summerFunding:"Financiación adicional de verano",gre:"GRE obligatorio",writingSample:"Muestra de escritura obligatoria",cohortSize:"Tamaño aproximado de la cohorte",acceptanceRate:"Tasa de admisión aproximada",methodsCulture:"Cultura metodológica"},notesHeading:"Notas del programa",notes:{programDescription:"Descripción del programa",admissionsExpectations:"Expectativas de admisión",mentorshipCulture:"Cultura de mentoría",practicalWarnings:"Advertencias prácticas",whatApplicantsShouldKnow:"Lo que los solicitantes deben saber"},notesLoading:"Cargando notas del programa…",notesError:"No se pudieron cargar las notas del programa. Actualice la página para volver a intentarlo."},advisors:{heading:"Buscar director de tesis",intro:"Busque profesorado por área de investigación en español o inglés, metodología e institución. Cada perfil enlaza con su programa.",filtersHeading:"Filtrar profesorado",area:"Área de investigación",areaHint:"Por ejemplo, «sociolingüística» o «sociolinguistics».",methodology:"Metodología",institution:"Institución",acceptingOnly:"Solo profesorado que acepta nuevos doctorandos",reset:"Restablecer filtros",resultCount:"Mostrando {shown} de {total} miembros del profesorado",noResults:"Ningún profesor coincide con estos filtros. Pruebe un área de investigación más amplia.",accepting:"Acepta doctorandos",notAccepting:"No acepta doctorandos",program:"Programa",researchAreas:"Áreas de investigación",methods:"Fortalezas metodológicas",notableWork:"Obras destacadas",website:"Página personal",scholar:"Google Académico",verified:"Verificado el {date}",freshness:{fresh:"Verificado recientemente",aging:"Verificado hace más de 6 meses",stale:"Sin verificar desde hace más de un año: confírmelo con el departamento"},methodsCultures:{"Quantitative (statistical, corpus)":"Cuantitativa (estadística, de corpus)","Qualitative (ethnographic, discourse)":"Cualitativa (etnográfica, del discurso)","Mixed Methods":"Métodos mixtos","Theoretical / Literary Analysis":"Teórica / análisis literario",Experimental:"Experimental"}},match:{heading:"Encuentre los programas que encajan con usted",intro:"Responda a las preguntas que quiera. Los programas y el profesorado se puntúan en su navegador; sus respuestas no se envían a ningún sitio ni se guardan en la dirección de la página.",questionsHeading:"Su perfil",interests:"Intereses de investigación",keywords:"Otros intereses (separados por comas)",keywordsHint:"Se comparan con las áreas de especialización y las áreas de investigación del profesorado en español e inglés.",methodology:"Cultura metodológica preferida",minStipend:"Estipendio mínimo que necesita (USD al año)",minYears:"Años de financiación garantizada que necesita",gre:"GRE",greOptions:{any:"Puedo presentar el GRE sin problema",avoid:"Prefiero programas que no exijan el GRE"},country:"País preferido",state:"Estado preferido",deliveryMode:"Modalidad preferida",noPreference:"Sin preferencia",reset:"Borrar respuestas",prompt:"Responda al menos una pregunta para ver sus coincidencias.",programsHeading:"Programas con mayor coincidencia",facultyHeading:"Profesorado con mayor coincidencia",facultyPrompt:"Añada intereses de investigación o una cultura metodológica para clasificar también al profesorado.",score:"{score} % de coincidencia",points:"{points} de {max} puntos",weight:"hasta {points} puntos",rank:"n.º {rank}",howHeading:"Cómo se calcula la puntuación",howIntro:"Cada pregunta que responde vale hasta los puntos indicados abajo. La puntuación es el total de puntos obtenidos dividido entre los puntos posibles de las preguntas que respondió.",howPrograms:"Programas",howFaculty:"Profesorado",criteria:{interests:"Intereses de investigación",methods:"Cultura metodológica",stipend:"Estipendio",years:"Financiación garantizada",gre:"GRE",location:"Ubicación",delivery:"Modalidad",advisees:"Acepta doctorandos"},reasons:{interestsMatched:"Coincide con {matched} de sus {total} intereses: {areas}",interestsNone:"No coincide con ninguno de sus {total} intereses",methodsFaculty:"{count} de {total} profesores incluyen «{method}» entre sus fortalezas",methodsNoFaculty:"Aún no hay profesorado registrado para comprobar «{method}»",methodsMatch:"Incluye «{method}» entre sus fortalezas",methodsMiss:"No incluye «{method}» entre sus fortalezas",stipendMeets:"Un estipendio de unos {stipend} cubre su mínimo de {min}",stipendBelow:"Un estipendio de unos {stipend} no alcanza su mínimo de {min}",stipendUnknown:"Estipendio no informado",yearsMeets:"{years} años garantizados (necesita {min})",yearsBelow:"Solo {years} años garantizados (necesita {min})",yearsUnknown:"Financiación garantizada no informada",greNotRequired:"No exige el GRE",greRequired:"Exige el GRE",locationMatch:"Ubicado en {place}",locationSameCountry:"En su país preferido, pero en otro estado ({place})",locationOther:"Fuera de su ubicación preferida ({place})",deliveryMatch:"La modalidad coincide con su preferencia ({mode})",deliveryHybrid:"La modalidad híbrida coincide en parte con su preferencia",deliveryMismatch:"La modalidad no coincide con su preferencia ({mode})",accepting:"Acepta nuevos doctorandos",notAccepting:"No acepta nuevos doctorandos"}},map:{heading:"Mapa de programas",loading:"Cargando el mapa…",loadError:"No se pudo cargar el mapa. La lista de programas sigue mostrando todos los resultados.",regionLabel:"Mapa de Estados Unidos y América Latina. Cada marcador es un programa o un grupo de programas cercanos.",zoomIn:"Acercar",zoomOut:"Alejar",resetView:"Ver todo el mapa",markerLabel:"{name}, {place}",clusterLabel:"{count} programas: {names}",selectedHeading:"Programas en la ubicación seleccionada",closeSelection:"Cerrar",listHeading:"Programas del mapa, por ubicación",showOnMap:"Mostrar {place} en el mapa",unmappedHeading:"No aparecen en el mapa",unmappedNote:"Estos programas cumplen sus filtros, pero aún no tienen coordenadas o están fuera del área que cubre este mapa."}},chat:{heading:"Haga una pregunta",intro:"Pregunte sobre programas, profesorado, financiación o admisiones, en español o en inglés. Las respuestas provienen de páginas de este sitio, con enlaces a cada fuente.",questionLabel:"Su pregunta",questionHint:"Por ejemplo: ¿Qué programas financian a sus doctorandos?",submit:"Preguntar",searching:"Buscando en el sitio…",loadError:"No se pudo cargar el índice del sitio. Compruebe su conexión e inténtelo de nuevo.",youAsked:"Su pregunta",noAnswer:"Ninguna respuesta de Ayuda cubre esta pregunta todavía. Estas páginas parecen relevantes:",noResults:"Nada en el sitio coincide con esta pregunta. Pruebe con otras palabras, en español o en inglés.",sourcesHeading:"Fuentes",otherLanguage:"En {language}",languages:{en:"inglés",es:"español"},pageTypes:{qaPage:"Ayuda",programSummary:"Programa",facultyProfile:"Profesorado",insightsArticle:"Artículo",page:"Página"},backends:{local:"Respuesta basada en páginas del sitio",remote:"Respuesta del asistente del sitio",fallback:"El asistente no está disponible, así que esta respuesta proviene de páginas del sitio."},clear:"Borrar conversación",disclaimer:"Las respuestas pueden estar desactualizadas. Consulte las fuentes enlazadas y confirme los detalles con cada programa. Para preguntas de visado o legales, consulte a la oficina de estudiantes internacionales o a un abogado de inmigración."},search:{label:"Buscar en el sitio",hint:"Las palabras de títulos y encabezados cuentan más. Los acentos son opcionales.",prompt:"Escriba una palabra o frase para buscar en todas las páginas en español.",loading:"Cargando el índice de búsqueda…",loadError:"No se pudo cargar el índice de búsqueda. Compruebe su conexión y vuelva a cargar la página.",resultCount:"{count} resultados para «{query}»",oneResult:"1 resultado para «{query}»",noResults:"Ninguna página coincide con «{query}». Pruebe con menos palabras o con otras.",otherLanguage:"Search the English pages"},contact:{heading:"Contáctenos",intro:"¿Tiene preguntas sobre un programa, una página que corregir o una idea para el sitio? Escríbanos y le responderemos por correo electrónico.",required:"(obligatorio)",optional:"(opcional)",choose:"Elija una opción",fields:{name:"Nombre",email:"Correo electrónico",role:"Soy…",topic:"Tema",programId:"Programa",correctionField:"¿Qué dato está desactualizado?",proposedValue:"Valor correcto",sourceUrl:"¿Dónde se publica el valor correcto?",message:"Mensaje"},hints:{email:"Solo lo usamos para responderle.",programId:"Obligatorio si su mensaje trata de un programa concreto.",currentValue:"Nuestra página indica actualmente: {value}.",proposedNumber:"Un número, por ejemplo 34000. Escriba «ninguno» si el programa ya no lo publica.",proposedUrl:"Una dirección completa que empiece por https://. Escriba «ninguno» si la página ya no existe.",sourceUrl:"Un enlace a la página oficial con el nuevo valor nos permite comprobarlo rápidamente.",message:"{count} de {max} caracteres",correctionMessage:"Indíquenos qué cambió y desde cuándo. {count} de {max} caracteres"},roles:{prospectiveStudent:"Futuro estudiante de posgrado",currentStudent:"Estudiante de posgrado",faculty:"Docente o investigador",programDirector:"Dirección o personal de un programa",other:"Otro"},topics:{general:"Pregunta general",program:"Pregunta sobre un programa",suggestion:"Sugerir un programa o docente",partnership:"Colaboraciones o prensa",technical:"Problema con el sitio web",correction:"Informar de datos desactualizados de un programa"},correctionFields:{stipendApproxUSD:"Estipendio anual (USD)",yearsGuaranteed:"Años de financiación garantizada",tuitionRemission:"Exención de matrícula",additionalSummerFunding:"Financiación de verano",greRequired:"Se exige el GRE General",greSubjectTestRequired:"Se exige el GRE Subject",writingSampleRequired:"Se exige muestra de escritura",languageProficiencyRequired:"Se exige otro idioma",minGPA:"GPA mínimo",cohortSizeApprox:"Tamaño habitual de la cohorte",acceptanceRateApprox:"Tasa de admisión (%)",acceptingApplications:"Admite solicitudes",deliveryMode:"Modalidad",officialWebsite:"Sitio web del programa",applicationPortal:"Portal de solicitud",handbookPDF:"Manual de posgrado (PDF)"},yes:"Sí",no:"No",notListed:"no figura",noProgram:"Ningún programa concreto",errors:{required:"El campo «{field}» es obligatorio.",tooShort:"El campo «{field}» debe tener al menos {min} caracteres.",tooLong:"El campo «{field}» debe tener como máximo {max} caracteres.",invalidEmail:"Escriba una dirección de correo como nombre@ejemplo.edu.",invalidOption:"Elija una de las opciones de «{field}».",unknownProgram:"Elija un programa de la lista.",invalidValue:"El campo «{field}» no es válido para el dato elegido. Revise la indicación que aparece debajo.",invalidUrl:"Escriba una dirección web completa que empiece por https://."},summaryHeading:"Corrija {count} problemas antes de enviar:",summaryHeadingOne:"Corrija 1 problema antes de enviar:",honeypot:"Deje este campo vacío",submit:"Enviar mensaje",sending:"Enviando…",status:{tooFast:"Ha sido muy rápido. Revise su mensaje y vuelva a enviarlo.",rateLimited:"Ha enviado varios mensajes en poco tiempo. Espere unos minutos e inténtelo de nuevo.",unavailable:"No se pudo enviar su mensaje. Inténtelo de nuevo en unos minutos. Su texto sigue en el formulario."},sentHeading:"Gracias, su mensaje se ha enviado",sentText:"Leemos todos los mensajes. Si hizo una pregunta, le responderemos por correo electrónico.",sendAnother:"Enviar otro mensaje",privacy:"Usamos su nombre y correo electrónico solo para responder a este mensaje."}}};function E(){if("undefined"!=typeof document){const e=document.documentElement.lang.toLowerCase();if(e.startsWith("es"))return"es";if(e.startsWith("en"))return"en"}return"undefined"!=typeof window&&window.location.pathname.replace(/^\//,"").toLowerCase().startsWith("es/")?"es":"en"}function x(e){return S[e]}function C(e,n){return e.replace(/\{(\w+)\}/g,(e,t)=>t in n?String(n[t]):e)}function P(e,n,t){return e[`${n}_${t}`]}function z(e){return"es"===e?"es-ES":"en-US"}export{p as R,E as a,x as b,C as f,z as g,P as l,b as s,w as t};
+//# sourceMappingURL=index-CMAbLtFl.js.map
@@ -0,0 +1,2 @@
+import{r as e,j as s,R as r}from"./form-vendor-tpEkPyQw.js";import{a as t,b as a,s as n,f as o,R as c}from"./index-CMAbLtFl.js";import{s as l}from"./search-CXoR3XCL.js";import"./react-vendor-B_uAldPx.js";import"./text-DYii1dJQ.js";const i=n.sections.search,h=()=>new URLSearchParams(window.location.search).get("q")??"",d=()=>{const r=t(),n=a(r).search,c="en"===r?"es":"en",[d,u]=e.useState(h),[m,j]=e.useState(()=>""!==d.trim()),x=function(s,r){const[t,a]=e.useState({status:"idle"});return e.useEffect(()=>{if(!r)return;let e=!1;return a({status:"loading"}),fetch((e=>`/search-index.${e}.json`)(s)).then(e=>{if(!e.ok)throw new Error(`Search index returned ${e.status}`);return e.json()}).then(s=>{e||a({status:"ready",index:s})}).catch(()=>{e||a({status:"error"})}),()=>{e=!0}},[s,r]),t}(r,m);e.useEffect(()=>{const e=new URLSearchParams(window.location.search);d.trim()?e.set("q",d):e.delete("q");const s=e.toString(),r=`${window.location.pathname}${s?`?${s}`:""}${window.location.hash}`;window.history.replaceState(window.history.state,"",r)},[d]);const p=e.useMemo(()=>"ready"===x.status?l(x.index,d):[],[x,d]),f=d.trim(),g=f?`?q=${encodeURIComponent(f)}`:"",w=`${i[c]}${g}`;return s.jsxs("div",{className:"search",children:[s.jsxs("form",{role:"search",className:"search-form",onSubmit:e=>e.preventDefault(),children:[s.jsx("label",{htmlFor:"search-query",children:n.label}),s.jsx("input",{id:"search-query",type:"search",value:d,autoComplete:"off","aria-describedby":"search-hint",onFocus:()=>j(!0),onChange:e=>{j(!0),u(e.target.value)}}),s.jsx("small",{id:"search-hint",children:n.hint})]}),s.jsx("div",{className:"search-status","aria-live":"polite",children:f?"error"===x.status?s.jsx("p",{role:"alert",children:n.loadError}):"ready"!==x.status?s.jsx("p",{children:n.loading}):0===p.length?s.jsx("p",{children:o(n.noResults,{query:f})}):s.jsx("p",{className:"search-count",children:o(1===p.length?n.oneResult:n.resultCount,{count:p.length,query:f})}):s.jsx("p",{children:n.prompt})}),p.length>0&&s.jsx("ol",{className:"search-results",children:p.map(({document:e})=>s.jsxs("li",{className:"search-result",children:[s.jsx("h2",{className:"search-result-title",children:s.jsx("a",{href:e.url,children:e.title})}),e.category&&s.jsx("p",{className:"search-result-category",children:e.category}),s.jsx("p",{className:"search-result-description",children:e.description})]},e.url))}),s.jsx("p",{className:"search-other-language",children:s.jsx("a",{href:w,hrefLang:c,lang:c,children:n.otherLanguage})})]})},u=document.getElementById("search-root");if(!u)throw new Error("Search root element not found. Ensure #search-root exists in the HTML.");c.createRoot(u).render(s.jsx(r.StrictMode,{children:s.jsx(d,{})}));
+//# sourceMappingURL=search-CDt5JF4I.js.map
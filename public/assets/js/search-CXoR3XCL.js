@@ -0,0 +1,2 @@
+import{f as e}from"./text-DYii1dJQ.js";const t={en:new Set(["a","an","and","are","as","at","be","by","can","do","does","for","from","how","i","if","in","is","it","me","my","of","on","or","should","that","the","there","this","to","what","when","where","which","who","why","with","you","your"]),es:new Set(["a","al","como","con","cual","cuales","cuando","de","del","donde","el","en","es","esta","este","hay","la","las","lo","los","mi","mis","o","para","por","puedo","que","quien","se","si","son","su","sus","un","una","y","yo"])};function s(s,n,o=20){const c=[...new Set((a=n,i=s.language,e(a).split(/[^a-z0-9]+/).filter(e=>e.length>1&&!t[i].has(e)).map(e=>function(e,t){return"es"===t?function(e){return e.length<=4?e:e.endsWith("ces")?e.slice(0,-3)+"z":/(os|as|es)$/.test(e)?e.slice(0,-2):/[aoe]$/.test(e)?e.slice(0,-1):e}(e):function(e){return e.length<=3?e:e.endsWith("ies")&&e.length>4?e.slice(0,-3)+"y":e.endsWith("sses")?e.slice(0,-2):(e.endsWith("s")&&!/(ss|us|is)$/.test(e)&&(e=e.slice(0,-1)),e.endsWith("ing")&&e.length>5?e.slice(0,-3):e.endsWith("ed")&&e.length>4?e.slice(0,-2):e)}(e)}(e,i))))];var a,i;if(0===c.length)return[];const r=!/\s$/.test(n),h=new Map;return c.forEach((e,t)=>{const n=r&&t===c.length-1&&e.length>=3,o=function(e,t,s){const n=new Map,o=s?Object.keys(e.postings).filter(e=>e.startsWith(t)):[t];for(const c of o){const t=e.postings[c]??[];for(let e=0;e<t.length;e+=2){const s=t[e];n.set(s,Math.max(n.get(s)??0,t[e+1]))}}return n}(s,e,n);if(0===o.size)return;const a=Math.log(1+s.documents.length/o.size);for(const[s,c]of o){const e=h.get(s)??{score:0,matched:0};h.set(s,{score:e.score+c*a,matched:e.matched+1})}}),[...h.entries()].map(([e,{score:t,matched:n}])=>({document:s.documents[e],score:Math.round(t*(n/c.length)*1e3)/1e3})).sort((e,t)=>t.score-e.score||e.document.url.localeCompare(t.document.url)).slice(0,o)}export{t as S,s};
+//# sourceMappingURL=search-CXoR3XCL.js.map
@@ -0,0 +1,2 @@
+function e(e){return e.normalize("NFD").replace(/[\u0300-\u036f]/g,"").toLowerCase().trim()}export{e as f};
+//# sourceMappingURL=text-DYii1dJQ.js.map
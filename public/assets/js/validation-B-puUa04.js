@@ -0,0 +1,2 @@
+const e=[{id:"uc-davis-phd-spanish-ling",institution_en:"University of California, Davis",institution_es:"Universidad de California, Davis",degree_en:"PhD in Spanish Linguistics",degree_es:"Doctorado en Lingüística Española",degreeType:"PhD",focusAreas_en:["Phonetics/Phonology","Sociolinguistics"],focusAreas_es:["Fonética/Fonología","Sociolingüística"],methodsCulture_en:"Quantitative methods emphasis, corpus linguistics.",methodsCulture_es:"Énfasis en métodos cuantitativos, lingüística de corpus.",city:"Davis",state:"CA",country:"USA",lat:38.5382,lng:-121.7617,deliveryMode:"In-Person",acceptingApplications:!0,stipendApproxUSD:32e3,yearsGuaranteed:5,tuitionRemission:!0,additionalSummerFunding:!0,fundingNotes_en:"Funding combines teaching assistantships and graduate student research positions. Amounts are approximate and subject to change.",fundingNotes_es:"La financiación combina asistencias de docencia y puestos de investigación para estudiantes de posgrado. Los montos son aproximados y pueden cambiar.",greRequired:!1,greSubjectTestRequired:!1,writingSampleRequired:!0,languageProficiencyRequired:!1,minGPA:null,admissionsNotes_en:"A writing sample demonstrating research potential is critical. Advanced Spanish proficiency is expected.",admissionsNotes_es:"Una muestra de escritura que demuestre potencial de investigación es fundamental. Se espera un dominio avanzado del español.",visaNotes_en:"International students are typically sponsored for F-1 visas. This is not legal advice; confirm details with the graduate studies office.",visaNotes_es:"Los estudiantes internacionales suelen recibir patrocinio para visas F-1. Esto no constituye asesoramiento legal; confirme los detalles con la oficina de estudios de posgrado.",cohortSizeApprox:3,acceptanceRateApprox:15,facultyIds:["jane-doe-uc-davis","john-smith-uc-davis"],url_en:"/programs/uc-davis-phd-spanish-ling.html",url_es:"/es/programas/uc-davis-doctorado-ling-espanola.html",officialWebsite:"https://spanish.ucdavis.edu/graduate",applicationPortal:"https://grad.ucdavis.edu/admissions/apply",handbookPDF:null,lastUpdated:"2025-10-24"}],n=["MA","PhD","Certificate","Graduate Minor"],i=["In-Person","Online","Hybrid"],t=["Quantitative (statistical, corpus)","Qualitative (ethnographic, discourse)","Mixed Methods","Theoretical / Literary Analysis","Experimental"],s={id:{kind:"string"},institution_en:{kind:"string"},institution_es:{kind:"string"},degree_en:{kind:"string"},degree_es:{kind:"string"},degreeType:{kind:"string",oneOf:n},focusAreas_en:{kind:"stringArray"},focusAreas_es:{kind:"stringArray"},methodsCulture_en:{kind:"string"},methodsCulture_es:{kind:"string"},city:{kind:"string"},state:{kind:"string",nullable:!0},country:{kind:"string"},lat:{kind:"number",nullable:!0,min:-90,max:90},lng:{kind:"number",nullable:!0,min:-180,max:180},deliveryMode:{kind:"string",oneOf:i},acceptingApplications:{kind:"boolean"},stipendApproxUSD:{kind:"number",nullable:!0,min:0},yearsGuaranteed:{kind:"number",nullable:!0,min:0,max:10},tuitionRemission:{kind:"boolean"},additionalSummerFunding:{kind:"boolean"},fundingNotes_en:{kind:"string"},fundingNotes_es:{kind:"string"},greRequired:{kind:"boolean"},greSubjectTestRequired:{kind:"boolean"},writingSampleRequired:{kind:"boolean"},languageProficiencyRequired:{kind:"boolean"},minGPA:{kind:"number",nullable:!0,min:0,max:5},admissionsNotes_en:{kind:"string"},admissionsNotes_es:{kind:"string"},visaNotes_en:{kind:"string"},visaNotes_es:{kind:"string"},cohortSizeApprox:{kind:"number",nullable:!0,min:0},acceptanceRateApprox:{kind:"number",nullable:!0,min:0,max:100},facultyIds:{kind:"stringArray"},url_en:{kind:"pathEn"},url_es:{kind:"pathEs"},officialWebsite:{kind:"externalUrl"},applicationPortal:{kind:"externalUrl",nullable:!0},handbookPDF:{kind:"externalUrl",nullable:!0},lastUpdated:{kind:"isoDate"}};function a(e){try{const n=new URL(e);return"https:"===n.protocol||"http:"===n.protocol}catch{return!1}}function r(e,n){if(null===e)return n.nullable?null:"must not be null";switch(n.kind){case"string":return"string"!=typeof e?"must be a string":""===e.trim()?"must not be empty":n.oneOf&&!n.oneOf.includes(e)?`must be one of: ${n.oneOf.join(", ")} (got "${e}")`:null;case"stringArray":if(!Array.isArray(e))return"must be an array of strings";for(const i of e){if("string"!=typeof i||""===i.trim())return"must contain only non-empty strings";if(n.oneOf&&!n.oneOf.includes(i))return`contains "${i}", expected one of: ${n.oneOf.join(", ")}`}return null;case"number":return"number"==typeof e&&Number.isFinite(e)?void 0!==n.min&&e<n.min?`must be >= ${n.min} (got ${e})`:void 0!==n.max&&e>n.max?`must be <= ${n.max} (got ${e})`:null:"must be a number";case"boolean":return"boolean"==typeof e?null:"must be a boolean";case"isoDate":return"string"==typeof e&&function(e){if(!/^\d{4}-\d{2}-\d{2}$/.test(e))return!1;const n=new Date(`${e}T00:00:00Z`);return!Number.isNaN(n.getTime())&&n.toISOString().startsWith(e)}(e)?null:`must be an ISO 8601 date YYYY-MM-DD (got "${String(e)}")`;case"externalUrl":return"string"==typeof e&&a(e)?null:`must be an absolute http(s) URL (got "${String(e)}")`;case"pathEn":return"string"!=typeof e||!e.startsWith("/")||e.startsWith("/es/")?`must be an English site path starting with "/" but not "/es/" (got "${String(e)}")`:null;case"pathEs":return"string"==typeof e&&e.startsWith("/es/")?null:`must be a Spanish site path starting with "/es/" (got "${String(e)}")`}}function o(e,n){return r(n,s[e])}export{i as D,t as M,n as a,o as c,a as i,e as p};
+//# sourceMappingURL=validation-B-puUa04.js.map
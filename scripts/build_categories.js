@@ -3,374 +3,650 @@
 /**
  * Build Categories Script
  *
- * Auto-generates category index pages for Insights and Help/Q&A sections
- * Scans articles/Q&A, groups by category, generates bilingual category pages
- * with SEO optimization and JSON twins
+ * Generates the category index pages for the Insights and Help/Q&A sections,
+ * from the category registry in src/data/structured/categories.ts:
+ * - Pages opt in with <meta name="category" content="<category id>">
+ *   (Help pages get it from HelpQuestion.categoryId)
+ * - An unknown id, or an id from the other section, fails the build
+ * - Title, intro, icon and slug come from the registry in each language;
+ *   the English and Spanish pages of a category are paired by id
+ *   (path_en / path_es and absolute hreflang via templates/base*.html)
+ * - A category with pages in only one language still gets both pages; the
+ *   other one points readers to the available language and is noindex
+ * - LAST_REVIEWED is the newest date among the listed pages, so output only
+ *   changes with the pages
  *
- * Usage: npm run build-categories
+ * LISTING:
+ * - PAGE_SIZE pages per category page, newest first; later pages live at
+ *   <slug>/page/<n>.html (/pagina/ in Spanish) with rel="prev" / rel="next".
+ *   Both languages get the same number of pages so every page stays paired
+ * - <meta name="featured" content="true"> pins a page above the list on page 1
+ * - <meta name="tags" content="Funding, Fellowships"> (the page's tags_en or
+ *   tags_es) feeds the "Browse by tag" facets on page 1
+ * - Every page must stay under the HTML size budget of html-size-check.js
+ *
+ * FEEDS:
+ * - RSS (<slug>/feed.xml) and Atom (<slug>/atom.xml) feeds per category and
+ *   language (scripts/utils/feeds.js), linked from the category pages;
+ *   build_feeds.js links them from the articles too
+ *
+ * CATEGORY INDEX TWINS:
+ * - Writes a CategoryIndex JSON twin (src/data/types.ts) next to each page,
+ *   with that page's items and its pagination; generate-json keeps typed twins
+ *
+ * Usage: npm run build-categories (after generate-help-pages)
  *
  * Spanish Academic 2026
  */
 
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
-import { join, dirname, relative } from 'path';
-import { fileURLToPath } from 'url';
-import { load } from 'cheerio';
+import { existsSync } from 'fs';
+import { join, relative } from 'path';
 import { glob } from 'glob';
+import { readArticle } from './utils/article-metadata.js';
+import { loadValidStructuredData } from './utils/structured-data.js';
+import {
+  PUBLIC_DIR,
+  TITLE_MIN,
+  TITLE_MAX,
+  META_DESC_MIN,
+  META_DESC_MAX,
+  escapeHtml,
+  loadBaseTemplate,
+  pickOrWarn,
+  renderBasePage,
+  writePublicFile,
+} from './utils/page-template.js';
+import { LANGUAGES, MAX_HTML_SIZE_BYTES, SECTION_PATHS, SITE_ORIGIN } from './utils/site-config.js';
+import { FEED_FORMATS, getFeedPaths, renderFeed, renderFeedLinks, selectFeedItems } from './utils/feeds.js';
+import { TWIN_SCHEMA_VERSION } from './utils/twin-schemas.js';
+
+// Directories scanned for pages, per section and language (top level only)
+const SOURCE_DIRS = {
+  insights: SECTION_PATHS.insights,
+  help: SECTION_PATHS.help,
+};
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const PROJECT_ROOT = join(__dirname, '..');
-const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
-
-// Category configuration
-const CATEGORY_CONFIG = {
-  insights: {
-    en: {
-      sourceDir: join(PUBLIC_DIR, 'insights'),
-      outputDir: join(PUBLIC_DIR, 'insights', 'categories'),
-      baseUrl: '/insights/categories/',
-      esUrl: '/es/insights/categorias/',
-    },
-    es: {
-      sourceDir: join(PUBLIC_DIR, 'es', 'insights'),
-      outputDir: join(PUBLIC_DIR, 'es', 'insights', 'categorias'),
-      baseUrl: '/es/insights/categorias/',
-      enUrl: '/insights/categories/',
+// Listed pages per category page (featured pages on page 1 come on top)
+const PAGE_SIZE = 20;
+
+// Pagination directory under a category, per language (<slug>/page/2.html)
+const PAGINATION_DIRS = { en: 'page', es: 'pagina' };
+
+// Tag facets on page 1, and pages listed under each tag
+const MAX_TAG_FACETS = 12;
+const MAX_PAGES_PER_TAG = 10;
+
+/**
+ * Page copy per language
+ * Functions return plain text; everything is HTML-escaped when rendered.
+ */
+const COPY = {
+  en: {
+    audience: 'Prospective and current graduate students in Spanish programs',
+    sections: { insights: 'Insights', help: 'Help' },
+    titles: (name, section) => [
+      `${name} - ${section} | Spanish Academic`,
+      `${name} - Graduate ${section} | Spanish Academic`,
+      `${name} - ${section} and Resources | Spanish Academic`,
+      `${name} - ${section} for Graduate Students | Spanish Academic`,
+      `${name} | Spanish Academic`,
+    ],
+    pageTitles: (name, section, n) => [
+      `${name} - ${section}, Page ${n} | Spanish Academic`,
+      `${name} - Page ${n} | Spanish Academic`,
+      `${name}, Page ${n} | Spanish Academic`,
+      `${name} - ${section} and Resources, Page ${n} | Spanish Academic`,
+      `${name} - Page ${n}`,
+    ],
+    descriptions: (category) => [
+      category.description_en,
+      `${category.description_en} From Spanish Academic.`,
+    ],
+    pageDescriptions: (name, items, n, pageCount) => [
+      `Page ${n} of ${pageCount} in ${name} on Spanish Academic: more ${items} for graduate students in Spanish programs, listed from newest to oldest.`,
+      `Page ${n} of ${pageCount} in ${name} on Spanish Academic: more ${items} for prospective and current graduate students in Spanish, newest first.`,
+      `Page ${n} of ${pageCount} in ${name}: more ${items} for graduate students in Spanish, newest first.`,
+    ],
+    items: { insights: 'articles', help: 'questions' },
+    count: {
+      insights: n => `${n} ${n === 1 ? 'article' : 'articles'} in this category`,
+      help: n => `${n} ${n === 1 ? 'question' : 'questions'} in this category`,
     },
+    featured: 'Featured',
+    list: { insights: 'Articles', help: 'Questions' },
+    tags: 'Browse by tag',
+    moreTagged: n => `and ${n} more`,
+    feed: 'Follow this category:',
+    feedTitle: name => `${name} | Spanish Academic`,
+    pagination: 'Pagination',
+    previous: 'Previous page',
+    next: 'Next page',
+    pageOf: (n, pageCount) => `Page ${n} of ${pageCount}`,
+    emptyHeading: 'No English pages yet',
+    empty: 'This category only has pages in Spanish so far.',
+    endHeading: 'End of the English list',
+    end: 'The Spanish list of this category continues on this page.',
+    alternate: 'See the Spanish pages',
   },
-  help: {
-    en: {
-      sourceDir: join(PUBLIC_DIR, 'help'),
-      outputDir: join(PUBLIC_DIR, 'help', 'categories'),
-      baseUrl: '/help/categories/',
-      esUrl: '/es/ayuda/categorias/',
-    },
-    es: {
-      sourceDir: join(PUBLIC_DIR, 'es', 'ayuda'),
-      outputDir: join(PUBLIC_DIR, 'es', 'ayuda', 'categorias'),
-      baseUrl: '/es/ayuda/categorias/',
-      enUrl: '/help/categories/',
+  es: {
+    audience: 'Estudiantes actuales y futuros de programas de posgrado en español',
+    sections: { insights: 'Insights', help: 'Ayuda' },
+    titles: (name, section) => [
+      `${name} - ${section} | Spanish Academic`,
+      `${name} - ${section} de posgrado | Spanish Academic`,
+      `${name} - ${section} y recursos | Spanish Academic`,
+      `${name} - ${section} para estudiantes de posgrado | Spanish Academic`,
+      `${name} | Spanish Academic`,
+    ],
+    pageTitles: (name, section, n) => [
+      `${name} - ${section}, página ${n} | Spanish Academic`,
+      `${name} - Página ${n} | Spanish Academic`,
+      `${name}, página ${n} | Spanish Academic`,
+      `${name} (pág. ${n}) | Spanish Academic`,
+      `${name} - ${section} y recursos, página ${n} | Spanish Academic`,
+      `${name} - Página ${n}`,
+    ],
+    descriptions: (category) => [
+      category.description_es,
+      `${category.description_es} De Spanish Academic.`,
+    ],
+    pageDescriptions: (name, items, n, pageCount) => [
+      `Página ${n} de ${pageCount} de ${name} en Spanish Academic: más ${items} para estudiantes de posgrado en español, de la más reciente a la más antigua.`,
+      `Página ${n} de ${pageCount} de ${name} en Spanish Academic: más ${items} para estudiantes de posgrado en español, primero las más recientes.`,
+      `Página ${n} de ${pageCount} de ${name}: más ${items} para estudiantes de posgrado en español, primero las más recientes.`,
+    ],
+    items: { insights: 'publicaciones', help: 'preguntas' },
+    count: {
+      insights: n => `${n} ${n === 1 ? 'artículo' : 'artículos'} en esta categoría`,
+      help: n => `${n} ${n === 1 ? 'pregunta' : 'preguntas'} en esta categoría`,
     },
+    featured: 'Destacados',
+    list: { insights: 'Artículos', help: 'Preguntas' },
+    tags: 'Explorar por etiqueta',
+    moreTagged: n => `y ${n} más`,
+    feed: 'Seguir esta categoría:',
+    feedTitle: name => `${name} | Spanish Academic`,
+    pagination: 'Paginación',
+    previous: 'Página anterior',
+    next: 'Página siguiente',
+    pageOf: (n, pageCount) => `Página ${n} de ${pageCount}`,
+    emptyHeading: 'Todavía no hay páginas en español',
+    empty: 'Por ahora esta categoría solo tiene páginas en inglés.',
+    endHeading: 'Fin de la lista en español',
+    end: 'La lista en inglés de esta categoría continúa en esta página.',
+    alternate: 'Ver las páginas en inglés',
   },
 };
 
-// Track statistics
-let categoriesGenerated = 0;
-let articlesProcessed = 0;
+// Track results
+let pagesScanned = 0;
+let pagesWritten = 0;
+let twinsWritten = 0;
+let feedsWritten = 0;
 let errorCount = 0;
+let warningCount = 0;
+const countWarning = () => warningCount++;
 
 /**
- * Extract category from article metadata
- * Looks for <meta name="category" content="...">
+ * Slugify a tag for its facet anchor (#tag-<slug>)
  */
-function extractCategory(filePath) {
-  try {
-    const html = readFileSync(filePath, 'utf-8');
-    const $ = load(html);
-
-    const category = $('meta[name="category"]').attr('content')?.trim();
-
-    if (!category) {
-      return null;
-    }
-
-    return category;
-  } catch (error) {
-    console.error(`❌ Error reading ${filePath}: ${error.message}`);
-    errorCount++;
-    return null;
-  }
+function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
 }
 
 /**
- * Extract article metadata for category listings
+ * Group the pages of one section by category id, per language
+ *
+ * @returns {Promise<Map<string, { en: object[], es: object[] }>>}
  */
-function extractArticleMetadata(filePath) {
-  try {
-    const html = readFileSync(filePath, 'utf-8');
-    const $ = load(html);
-
-    const title = $('title').text().trim();
-    const h1 = $('h1').first().text().trim();
-    const description = $('meta[name="description"]').attr('content')?.trim() || '';
-    const category = $('meta[name="category"]').attr('content')?.trim() || 'uncategorized';
-    const publishedDate = $('meta[name="published_date"]').attr('content')?.trim() || '';
-
-    // Extract first paragraph as abstract if no description
-    let abstract = description;
-    if (!abstract) {
-      const firstP = $('main p').first().text().trim();
-      abstract = firstP.substring(0, 200) + (firstP.length > 200 ? '...' : '');
+async function collectPages(section, categoriesById) {
+  const byCategory = new Map();
+  const uncategorized = [];
+
+  for (const [lang, dir] of Object.entries(SOURCE_DIRS[section])) {
+    const absDir = join(PUBLIC_DIR, dir);
+    if (!existsSync(absDir)) continue;
+
+    const htmlFiles = await glob('*.html', { cwd: absDir, absolute: true });
+    for (const filePath of htmlFiles.sort()) {
+      let page;
+      try {
+        page = readArticle(filePath);
+      } catch (error) {
+        console.error(`❌ ERROR [${relative(PUBLIC_DIR, filePath)}]: ${error.message}`);
+        errorCount++;
+        continue;
+      }
+      pagesScanned++;
+
+      if (!page.categoryId) {
+        uncategorized.push(page.url);
+        continue;
+      }
+
+      const category = categoriesById.get(page.categoryId);
+      if (!category || category.section !== section) {
+        const reason = category ? `is a ${category.section} category` : 'is not in src/data/structured/categories.ts';
+        const known = [...categoriesById.values()].filter(c => c.section === section).map(c => c.id);
+        console.error(`❌ ERROR [${page.url}]: Category "${page.categoryId}" ${reason}`);
+        console.error(`   Expected one of: ${known.join(', ')}`);
+        errorCount++;
+        continue;
+      }
+
+      if (!byCategory.has(category.id)) {
+        byCategory.set(category.id, { en: [], es: [] });
+      }
+      byCategory.get(category.id)[lang].push(page);
     }
+  }
 
-    return {
-      title: title || h1,
-      h1,
-      description,
-      abstract,
-      category,
-      publishedDate,
-      filePath,
-    };
-  } catch (error) {
-    console.error(`❌ Error parsing ${filePath}: ${error.message}`);
-    errorCount++;
-    return null;
+  if (uncategorized.length > 0) {
+    console.log(`   ⏭️  Not listed (no <meta name="category">): ${uncategorized.join(', ')}`);
   }
+
+  return byCategory;
 }
 
 /**
- * Get relative URL from file path
+ * Newest first; undated pages last, by title
  */
-function getUrlFromPath(filePath) {
-  const relativePath = relative(PUBLIC_DIR, filePath);
-  return '/' + relativePath.replace(/\\/g, '/');
+function comparePages(a, b) {
+  return (b.publishedDate || '').localeCompare(a.publishedDate || '') || a.title.localeCompare(b.title);
 }
 
 /**
- * Generate category intro text
- * This would ideally come from a data file, but we'll generate a placeholder
+ * Site path of page n of a category (page 1 is the registry path)
  */
-function generateCategoryIntro(categoryName, language) {
-  if (language === 'es') {
-    return `Esta sección contiene artículos y recursos relacionados con ${categoryName}. Explore nuestra colección curada de contenido académico y guías prácticas diseñadas para estudiantes y profesionales en el campo de la lingüística española, la literatura y la traducción.`;
-  }
-
-  return `This section contains articles and resources related to ${categoryName}. Browse our curated collection of academic content and practical guides designed for students and professionals in Spanish linguistics, literature, and translation.`;
+function getPagePath(module, category, lang, n) {
+  const first = module.getCategoryPath(category, lang);
+  return n === 1 ? first : first.replace(/\.html$/, `/${PAGINATION_DIRS[lang]}/${n}.html`);
 }
 
 /**
- * Slugify category name for URL
+ * Site paths of a category's RSS and Atom feeds
  */
-function slugify(text) {
-  return text
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '') // Remove accents
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '');
+function getCategoryFeedPaths(module, category, lang) {
+  return getFeedPaths(module.getCategoryPath(category, lang).replace(/\.html$/, '/'));
 }
 
 /**
- * Generate category page HTML
+ * Most used tags first (then alphabetically), each with the pages that carry it
  */
-function generateCategoryPageHtml(categoryName, articles, config, language) {
-  const categorySlug = slugify(categoryName);
-
-  // Truncate category name if needed to fit within 50-60 char title limit
-  // Title format: "{categoryName} - Academic Resources | Spanish Academic"
-  // Max length calculation: 60 (max) - 40 (suffix) - 3 (ellipsis) = 17 chars max
-  const maxCategoryLength = 17;
-  const displayName = categoryName.length > maxCategoryLength
-    ? categoryName.substring(0, maxCategoryLength).trim() + '...'
-    : categoryName;
-
-  const title = language === 'es'
-    ? `${displayName} - Recursos Académicos | Spanish Academic`
-    : `${displayName} - Academic Resources | Spanish Academic`;
-
-  const description = language === 'es'
-    ? `Explore artículos académicos y guías prácticas sobre ${categoryName} para estudiantes de posgrado en lingüística española, literatura y traducción.`
-    : `Explore academic articles and practical guides about ${categoryName} for graduate students in Spanish linguistics, literature, and translation.`;
-
-  const h1 = language === 'es' ? `Categoría: ${categoryName}` : `Category: ${categoryName}`;
-  const intro = generateCategoryIntro(categoryName, language);
-
-  const currentDate = new Date().toISOString().split('T')[0];
-
-  // Build article list HTML
-  const articleListHtml = articles
-    .sort((a, b) => {
-      // Sort by published date, newest first
-      if (a.publishedDate && b.publishedDate) {
-        return new Date(b.publishedDate) - new Date(a.publishedDate);
-      }
-      return 0;
-    })
-    .map(article => {
-      const url = getUrlFromPath(article.filePath);
-      return `    <article>
-      <h2><a href="${url}">${article.h1 || article.title}</a></h2>
-      <p>${article.abstract}</p>
-      ${article.publishedDate ? `<time datetime="${article.publishedDate}">${article.publishedDate}</time>` : ''}
-    </article>`;
-    }).join('\n\n');
-
-  // Determine alternate language URL
-  const alternateLang = language === 'es' ? 'en' : 'es';
-  const alternateUrl = language === 'es'
-    ? `${config.enUrl}${categorySlug}.html`
-    : `${config.esUrl}${categorySlug}.html`;
-  const selfUrl = `${config.baseUrl}${categorySlug}.html`;
-
-  const html = `<!DOCTYPE html>
-<html lang="${language}">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-
-  <!--
-  KEYWORD: ${categoryName}
-  AUDIENCE: Graduate students and professionals interested in ${categoryName}
-  LAST_REVIEWED: ${currentDate}
-  -->
-
-  <title>${title}</title>
-  <meta name="description" content="${description}">
-
-  <!-- Localization metadata -->
-  <meta name="path_en" content="${language === 'en' ? selfUrl : alternateUrl}">
-  <meta name="path_es" content="${language === 'es' ? selfUrl : alternateUrl}">
-
-  <!-- Canonical and hreflang -->
-  <link rel="canonical" href="${selfUrl}">
-  <link rel="alternate" hreflang="${language}" href="${selfUrl}">
-  <link rel="alternate" hreflang="${alternateLang}" href="${alternateUrl}">
-  <link rel="alternate" hreflang="x-default" href="${language === 'en' ? selfUrl : alternateUrl}">
-
-  <!-- Schema.org CollectionPage markup -->
-  <script type="application/ld+json">
-  {
-    "@context": "https://schema.org",
-    "@type": "CollectionPage",
-    "name": "${h1}",
-    "description": "${description}",
-    "inLanguage": "${language}",
-    "url": "${selfUrl}",
-    "numberOfItems": ${articles.length}
+function collectTagFacets(pages) {
+  const byTag = new Map();
+  for (const page of pages) {
+    for (const tag of page.tags) {
+      if (!byTag.has(tag)) byTag.set(tag, []);
+      byTag.get(tag).push(page);
+    }
   }
-  </script>
-</head>
-<body>
-  <header>
-    <nav>
-      <a href="${language === 'es' ? '/es/' : '/'}">Home</a>
-      <a href="${alternateUrl}" hreflang="${alternateLang}">${alternateLang === 'es' ? 'Español' : 'English'}</a>
-    </nav>
-  </header>
-
-  <main>
-    <h1>${h1}</h1>
 
-    <section class="category-intro">
-      <p>${intro}</p>
-      <p><strong>${articles.length}</strong> ${language === 'es' ? 'artículos en esta categoría' : 'articles in this category'}</p>
-    </section>
+  return [...byTag]
+    .map(([tag, tagged]) => ({ tag, slug: slugify(tag), pages: tagged }))
+    .sort((a, b) => b.pages.length - a.pages.length || a.tag.localeCompare(b.tag))
+    .slice(0, MAX_TAG_FACETS);
+}
 
-    <section class="article-list">
-${articleListHtml}
-    </section>
-  </main>
+function renderArticle(page) {
+  return `      <article>
+        <h3><a href="${escapeHtml(page.url)}">${escapeHtml(page.title)}</a></h3>
+        <p>${escapeHtml(page.abstract)}</p>${page.publishedDate ? `
+        <p><time datetime="${page.publishedDate}">${page.publishedDate}</time></p>` : ''}
+      </article>`;
+}
+
+function renderTagFacets(facets, lang) {
+  const c = COPY[lang];
+  const details = facets.map(({ tag, slug, pages }) => {
+    const links = pages
+      .slice(0, MAX_PAGES_PER_TAG)
+      .map(page => `          <li><a href="${escapeHtml(page.url)}">${escapeHtml(page.title)}</a></li>`);
+    if (pages.length > MAX_PAGES_PER_TAG) {
+      links.push(`          <li>${escapeHtml(c.moreTagged(pages.length - MAX_PAGES_PER_TAG))}</li>`);
+    }
+    return `      <details id="tag-${slug}">
+        <summary>${escapeHtml(tag)} (${pages.length})</summary>
+        <ul>
+${links.join('\n')}
+        </ul>
+      </details>`;
+  });
 
-  <footer>
-    <p>&copy; 2026 Spanish Academic. ${language === 'es' ? 'Todos los derechos reservados' : 'All rights reserved'}.</p>
-  </footer>
-</body>
-</html>`;
+  return `    <section class="tag-facets">
+      <h2>${escapeHtml(c.tags)}</h2>
+${details.join('\n')}
+    </section>`;
+}
 
-  return html;
+function renderPagination(view) {
+  const c = COPY[view.lang];
+  const links = [
+    view.prev ? `      <a href="${view.prev}" rel="prev">${escapeHtml(c.previous)}</a>` : null,
+    `      <span aria-current="page">${escapeHtml(c.pageOf(view.n, view.pageCount))}</span>`,
+    view.next ? `      <a href="${view.next}" rel="next">${escapeHtml(c.next)}</a>` : null,
+  ].filter(Boolean);
+
+  return `    <nav class="pagination" aria-label="${escapeHtml(c.pagination)}">
+${links.join('\n')}
+    </nav>`;
 }
 
 /**
- * Process content type (insights or help)
+ * Render the <main> element for one category page
  */
-async function processContentType(contentType, lang) {
-  const config = CATEGORY_CONFIG[contentType][lang];
+function renderMain(view) {
+  const { category, lang } = view;
+  const c = COPY[lang];
+  const alternateLang = lang === 'en' ? 'es' : 'en';
+  const blocks = [];
+
+  if (view.feeds) {
+    const links = Object.entries(FEED_FORMATS)
+      .map(([format, { type, label }]) => `<a href="${view.feeds[format]}" type="${type}">${label}</a>`);
+    blocks.push(`    <p class="category-feed">${escapeHtml(c.feed)} ${links.join(' · ')}</p>`);
+  }
 
-  if (!existsSync(config.sourceDir)) {
-    console.log(`⚠️  Skipping ${contentType}/${lang}: Source directory does not exist yet`);
-    return;
+  if (view.featured.length > 0) {
+    blocks.push(`    <section class="featured">
+      <h2>${escapeHtml(c.featured)}</h2>
+${view.featured.map(renderArticle).join('\n\n')}
+    </section>`);
   }
 
-  console.log(`\n🔍 Scanning ${contentType}/${lang}...`);
+  if (view.listed.length > 0) {
+    blocks.push(`    <section class="article-list">
+      <h2>${escapeHtml(c.list[category.section])}</h2>
+${view.listed.map(renderArticle).join('\n\n')}
+    </section>`);
+  } else if (view.featured.length === 0) {
+    const [heading, text] = view.total === 0 ? [c.emptyHeading, c.empty] : [c.endHeading, c.end];
+    blocks.push(`    <section class="category-empty">
+      <h2>${escapeHtml(heading)}</h2>
+      <p>${escapeHtml(text)} <a href="${view.paths[alternateLang]}" hreflang="${alternateLang}">${escapeHtml(c.alternate)}</a>.</p>
+    </section>`);
+  }
 
-  // Find all HTML files (excluding category pages themselves)
-  const htmlFiles = await glob('*.html', {
-    cwd: config.sourceDir,
-    absolute: true,
-    ignore: ['**/categories/**'],
-  });
+  if (view.pageCount > 1) {
+    blocks.push(renderPagination(view));
+  }
 
-  if (htmlFiles.length === 0) {
-    console.log(`   No articles found in ${contentType}/${lang}`);
-    return;
+  if (view.facets.length > 0) {
+    blocks.push(renderTagFacets(view.facets, lang));
   }
 
-  // Group articles by category
-  const categoriesMap = new Map();
+  return `<main id="main-content" role="main">
 
-  for (const filePath of htmlFiles) {
-    const metadata = extractArticleMetadata(filePath);
+    <p class="category-icon" aria-hidden="true">${escapeHtml(category.icon)}</p>
+    <h1>${escapeHtml(category[`name_${lang}`])}</h1>
 
-    if (!metadata) {
-      continue;
-    }
+    <section class="category-intro">
+      <p>${escapeHtml(category[`description_${lang}`])}</p>
+      <p><strong>${escapeHtml(c.count[category.section](view.total))}</strong></p>
+    </section>
+
+${blocks.join('\n\n')}
+  </main>`;
+}
 
-    articlesProcessed++;
+/**
+ * Extra <head> markup: CollectionPage, rel prev/next, the feed links and
+ * noindex on pages with nothing to list
+ */
+function renderHead(view) {
+  const { category, lang } = view;
+  const collection = {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: category[`name_${lang}`],
+    description: category[`description_${lang}`],
+    inLanguage: lang,
+    url: `${SITE_ORIGIN}${view.paths[lang]}`,
+    numberOfItems: view.featured.length + view.listed.length,
+  };
+  // "<" is escaped so the script can't be closed early
+  const json = JSON.stringify(collection, null, 2).replace(/</g, '\\u003c');
+
+  const lines = [];
+  if (view.featured.length + view.listed.length === 0) {
+    lines.push('  <meta name="robots" content="noindex, follow">');
+  }
+  if (view.prev) lines.push(`  <link rel="prev" href="${SITE_ORIGIN}${view.prev}">`);
+  if (view.next) lines.push(`  <link rel="next" href="${SITE_ORIGIN}${view.next}">`);
+  if (view.feeds) {
+    lines.push(renderFeedLinks(view.feeds, COPY[lang].feedTitle(category[`name_${lang}`])));
+  }
+  lines.push(`  <script type="application/ld+json">\n${json.replace(/^/gm, '  ')}\n  </script>`);
 
-    const category = metadata.category || 'uncategorized';
+  return lines.join('\n');
+}
 
-    if (!categoriesMap.has(category)) {
-      categoriesMap.set(category, []);
-    }
+/**
+ * Fill the base template for one category page
+ */
+function renderPage(view, lastReviewed) {
+  const { category, lang, n } = view;
+  const c = COPY[lang];
+  const sitePath = view.paths[lang];
+  const name = category[`name_${lang}`];
+  const section = c.sections[category.section];
+
+  const titles = n === 1 ? c.titles(name, section) : c.pageTitles(name, section, n);
+  const descriptions = n === 1
+    ? c.descriptions(category)
+    : c.pageDescriptions(name, c.items[category.section], n, view.pageCount);
+
+  const { html, leftover } = renderBasePage(loadBaseTemplate(lang), {
+    keyword: name,
+    audience: c.audience,
+    lastReviewed,
+    title: pickOrWarn(titles, TITLE_MIN, TITLE_MAX, 'title', sitePath, countWarning),
+    description: pickOrWarn(descriptions, META_DESC_MIN, META_DESC_MAX, 'description', sitePath, countWarning),
+    pathEn: view.paths.en,
+    pathEs: view.paths.es,
+    main: renderMain(view),
+    head: renderHead(view),
+  });
 
-    categoriesMap.get(category).push(metadata);
+  if (leftover) {
+    console.error(`❌ ERROR [${sitePath}]: Unfilled template placeholder ${leftover}`);
+    errorCount++;
   }
 
-  // Ensure output directory exists
-  if (!existsSync(config.outputDir)) {
-    mkdirSync(config.outputDir, { recursive: true });
+  const size = Buffer.byteLength(html, 'utf-8');
+  if (size > MAX_HTML_SIZE_BYTES) {
+    console.error(`❌ ERROR [${sitePath}]: ${(size / 1024).toFixed(2)}KB exceeds the ${MAX_HTML_SIZE_BYTES / 1024}KB page limit`);
+    console.error('   Lower PAGE_SIZE or MAX_TAG_FACETS / MAX_PAGES_PER_TAG');
+    errorCount++;
   }
 
-  // Generate category pages
-  for (const [categoryName, articles] of categoriesMap) {
-    const categorySlug = slugify(categoryName);
-    const categoryPagePath = join(config.outputDir, `${categorySlug}.html`);
+  return html;
+}
+
+/**
+ * Build the CategoryIndex twin (src/data/types.ts) for one category page
+ */
+function buildTwin(view) {
+  const { category, lang } = view;
+  const toTwinItem = (page, featured) => ({
+    title: page.title,
+    url: page.url,
+    abstract: page.abstract,
+    ...(page.publishedDate ? { publishedDate: page.publishedDate } : {}),
+    ...(page.tags.length > 0 ? { tags: page.tags } : {}),
+    ...(featured ? { featured: true } : {}),
+  });
 
-    const html = generateCategoryPageHtml(categoryName, articles, config, lang);
+  return {
+    type: 'categoryIndex',
+    schemaVersion: TWIN_SCHEMA_VERSION,
+    language: lang,
+    // InsightsCategory / QACategory: the English name in both languages
+    category: category.name_en,
+    title: category[`name_${lang}`],
+    slug: category[`slug_${lang}`],
+    items: [
+      ...view.featured.map(page => toTwinItem(page, true)),
+      ...view.listed.map(page => toTwinItem(page, false)),
+    ],
+    pagination: {
+      page: view.n,
+      pageCount: view.pageCount,
+      ...(view.prev ? { prev: view.prev } : {}),
+      ...(view.next ? { next: view.next } : {}),
+    },
+    feed: view.feeds?.rss ?? null,
+    atomFeed: view.feeds?.atom ?? null,
+    alternateLanguage: {
+      en: view.paths.en.replace(/\.html$/, '.json'),
+      es: view.paths.es.replace(/\.html$/, '.json'),
+    },
+  };
+}
 
-    writeFileSync(categoryPagePath, html, 'utf-8');
+/**
+ * Render every page, twin and feed of one category
+ *
+ * @param {Set<string>} written - Site paths written (for reportStalePages)
+ */
+function buildCategory(module, category, pagesByLang, written) {
+  const sorted = Object.fromEntries(LANGUAGES.map(lang => [lang, [...pagesByLang[lang]].sort(comparePages)]));
+  const listed = Object.fromEntries(LANGUAGES.map(lang => [lang, sorted[lang].filter(page => !page.featured)]));
+  const pageCount = Math.max(1, ...LANGUAGES.map(lang => Math.ceil(listed[lang].length / PAGE_SIZE)));
+
+  const dates = [...pagesByLang.en, ...pagesByLang.es]
+    .flatMap(page => [page.publishedDate, page.lastReviewed])
+    .filter(Boolean)
+    .sort();
+  const lastReviewed = dates.at(-1) || new Date().toISOString().split('T')[0];
+
+  for (const lang of LANGUAGES) {
+    const c = COPY[lang];
+    const feedItems = selectFeedItems(sorted[lang].map(page => ({
+      title: page.title,
+      url: page.url,
+      description: page.abstract,
+      date: page.publishedDate || page.lastReviewed,
+      categories: page.tags,
+    })));
+    const feeds = feedItems.length > 0 ? getCategoryFeedPaths(module, category, lang) : null;
+
+    if (feeds) {
+      for (const format of Object.keys(FEED_FORMATS)) {
+        writePublicFile(feeds[format], renderFeed(format, {
+          title: c.feedTitle(category[`name_${lang}`]),
+          link: module.getCategoryPath(category, lang),
+          description: category[`description_${lang}`],
+          language: lang,
+          selfUrl: feeds[format],
+          items: feedItems,
+        }));
+        feedsWritten++;
+        written.add(feeds[format]);
+      }
+    }
 
-    console.log(`   ✅ Generated: ${relative(PUBLIC_DIR, categoryPagePath)} (${articles.length} articles)`);
-    categoriesGenerated++;
+    for (let n = 1; n <= pageCount; n++) {
+      const view = {
+        category,
+        lang,
+        n,
+        pageCount,
+        paths: { en: getPagePath(module, category, 'en', n), es: getPagePath(module, category, 'es', n) },
+        prev: n > 1 ? getPagePath(module, category, lang, n - 1) : null,
+        next: n < pageCount ? getPagePath(module, category, lang, n + 1) : null,
+        feeds,
+        total: sorted[lang].length,
+        featured: n === 1 ? sorted[lang].filter(page => page.featured) : [],
+        listed: listed[lang].slice((n - 1) * PAGE_SIZE, n * PAGE_SIZE),
+        facets: n === 1 ? collectTagFacets(sorted[lang]) : [],
+      };
+      const sitePath = view.paths[lang];
+
+      const html = renderPage(view, lastReviewed);
+      console.log(`   ✅ Generated: ${writePublicFile(sitePath, html)} (${view.featured.length + view.listed.length} page(s))`);
+      pagesWritten++;
+
+      const twinPath = sitePath.replace(/\.html$/, '.json');
+      writePublicFile(twinPath, JSON.stringify(buildTwin(view), null, 2) + '\n');
+      twinsWritten++;
+      written.add(sitePath).add(twinPath);
+    }
   }
 }
 
 /**
- * Main execution
+ * Warn about files in the category directories that no category renders to
+ * (e.g. after a slug changed, a category lost its last page or its list got
+ * shorter)
  */
+async function reportStalePages(directories, written) {
+  for (const dirs of Object.values(directories)) {
+    for (const dir of Object.values(dirs)) {
+      const absDir = join(PUBLIC_DIR, dir);
+      if (!existsSync(absDir)) continue;
+
+      const files = await glob('**/*.{html,json,xml}', { cwd: absDir });
+      for (const file of files.sort()) {
+        const sitePath = `${dir}${file.replace(/\\/g, '/')}`;
+        if (!written.has(sitePath)) {
+          console.warn(`⚠️  WARNING [${sitePath}]: No category renders to this path; delete it`);
+          warningCount++;
+        }
+      }
+    }
+  }
+}
+
 async function main() {
   console.log('📚 Building Category Index Pages\n');
   console.log('='.repeat(60));
 
-  // Process all content types and languages
-  for (const contentType of Object.keys(CATEGORY_CONFIG)) {
-    for (const lang of ['en', 'es']) {
-      await processContentType(contentType, lang);
+  const { categories, module } = await loadValidStructuredData();
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const written = new Set();
+
+  for (const section of Object.keys(SOURCE_DIRS)) {
+    console.log(`\n🔍 Scanning ${section}...`);
+    const byCategory = await collectPages(section, categoriesById);
+
+    for (const category of module.getCategoriesBySection(section)) {
+      const pagesByLang = byCategory.get(category.id);
+      if (pagesByLang) {
+        buildCategory(module, category, pagesByLang, written);
+      }
     }
   }
 
+  await reportStalePages(module.CATEGORY_DIRECTORIES, written);
+
   // Summary
   console.log('\n' + '='.repeat(60));
   console.log('📊 SUMMARY');
   console.log('='.repeat(60));
-  console.log(`✅ Categories generated: ${categoriesGenerated}`);
-  console.log(`📄 Articles processed: ${articlesProcessed}`);
+  console.log(`📄 Pages scanned: ${pagesScanned}`);
+  console.log(`✅ Category pages: ${pagesWritten}, CategoryIndex twins: ${twinsWritten}, feeds: ${feedsWritten}`);
+  console.log(`⚠️  Warnings: ${warningCount}`);
   console.log(`❌ Errors: ${errorCount}`);
 
   if (errorCount > 0) {
     console.log('\n❌ Build completed with errors');
     process.exit(1);
-  } else if (categoriesGenerated === 0) {
-    console.log('\n⚠️  No categories generated (no articles found yet)');
+  } else if (pagesWritten === 0) {
+    console.log('\n⚠️  No categories generated (no categorized pages found yet)');
+  } else if (warningCount > 0) {
+    console.log('\n⚠️  Build completed with warnings');
   } else {
     console.log('\n✅ Category pages built successfully!');
-    console.log('\n💡 Next step: Run `npm run generate-json` to create JSON twins');
+    console.log('\n💡 Next step: Run `npm run inject-json-ld` to add breadcrumbs');
   }
 }
 
-// Run
 main().catch(error => {
   console.error('Fatal error:', error);
   process.exit(1);
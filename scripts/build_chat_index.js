@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Build Chat Index Script
+ *
+ * Collects the .json twins under /public/ into one site-wide retrieval index
+ * (public/chat-index.json) that the Chat island fetches on first use.
+ *
+ * Each entry keeps what the island needs to rank and cite a page:
+ * - url, language, twin type, title and a short summary
+ * - shortAnswer for Help/Q&A twins (shown as the direct answer)
+ * - text: the twin's other string fields, for matching only
+ *
+ * Placeholder twins (alternate language not written yet), twins without an
+ * HTML page and pages marked <meta name="robots" content="noindex"> are
+ * skipped. Entries are sorted by URL and carry no timestamps, so the index
+ * only changes when a twin does.
+ *
+ * Usage: npm run build-chat-index (after generate-json)
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { load } from 'cheerio';
+import { glob } from 'glob';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
+const INDEX_FILE = 'chat-index.json';
+const INDEX_VERSION = 1;
+
+// Matching text is capped per entry to keep the index small
+const MAX_TEXT_LENGTH = 2000;
+
+// Twin fields that are metadata, not page content
+const SKIPPED_FIELDS = new Set([
+  'type',
+  'schemaVersion',
+  'language',
+  'path_en',
+  'path_es',
+  'canonical',
+  'hreflangLinks',
+  'alternateLanguage',
+  'generatedAt',
+  'lastReviewed',
+  'lastUpdated',
+  'publishedDate',
+  'slug',
+  'relatedLinks',
+  'relatedExplorerRoute',
+  'programUrl',
+  'links',
+  'outline',
+  'placeholder',
+]);
+
+let errorCount = 0;
+let skippedCount = 0;
+
+/**
+ * Collect the string values of a twin, depth-first, skipping metadata fields
+ */
+function collectText(value, key = '') {
+  if (SKIPPED_FIELDS.has(key) || value === null || value === undefined) {
+    return [];
+  }
+  if (typeof value === 'string') {
+    return /^https?:\/\//.test(value) ? [] : [value];
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(item => collectText(item));
+  }
+  return Object.entries(value).flatMap(([childKey, child]) => collectText(child, childKey));
+}
+
+/**
+ * True when the page asks not to be indexed (e.g. the search pages)
+ */
+function isNoindex(htmlPath) {
+  const $ = load(readFileSync(htmlPath, 'utf-8'));
+  return /noindex/i.test($('meta[name="robots"]').attr('content') || '');
+}
+
+/**
+ * Read the heading of the twin's HTML page (typed twins carry no title)
+ */
+function readPageHeading(htmlPath) {
+  const $ = load(readFileSync(htmlPath, 'utf-8'));
+  return $('h1').first().text().trim() || $('title').text().trim();
+}
+
+/**
+ * Turn one twin into an index entry (null when it should not be indexed)
+ */
+function toEntry(jsonPath) {
+  const relPath = relative(PUBLIC_DIR, jsonPath);
+  const htmlPath = jsonPath.replace(/\.json$/, '.html');
+
+  if (!existsSync(htmlPath) || isNoindex(htmlPath)) {
+    skippedCount++;
+    return null;
+  }
+
+  const twin = JSON.parse(readFileSync(jsonPath, 'utf-8'));
+  if (twin.placeholder) {
+    skippedCount++;
+    return null;
+  }
+
+  const url = '/' + relPath.replace(/\\/g, '/').replace(/\.json$/, '.html');
+  const language = twin.language || (url.startsWith('/es/') ? 'es' : 'en');
+  // Unfilled template titles ("[Page Title ...]") fall back to the page heading
+  const twinTitle = twin.question || twin.name || twin.title;
+  const title = twinTitle && !twinTitle.startsWith('[') ? twinTitle : readPageHeading(htmlPath);
+  const summary = twin.shortAnswer || twin.description || twin.abstract || twin.methodsCulture || '';
+  const text = [...new Set(collectText(twin))]
+    .filter(part => part !== title && part !== summary)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .slice(0, MAX_TEXT_LENGTH);
+
+  const entry = {
+    url,
+    language,
+    type: twin.type,
+    title,
+    summary,
+    text,
+  };
+
+  if (twin.shortAnswer) {
+    entry.shortAnswer = twin.shortAnswer;
+  }
+
+  return entry;
+}
+
+async function buildIndex() {
+  console.log('🔍 Collecting JSON twins in /public/...\n');
+
+  const jsonFiles = await glob('**/*.json', {
+    cwd: PUBLIC_DIR,
+    absolute: true,
+    ignore: ['**/node_modules/**', 'assets/**', 'schemas/**', INDEX_FILE, 'search-index.*.json'],
+  });
+
+  const entries = [];
+  for (const jsonPath of jsonFiles) {
+    try {
+      const entry = toEntry(jsonPath);
+      if (entry) entries.push(entry);
+    } catch (error) {
+      console.error(`❌ ERROR [${relative(PUBLIC_DIR, jsonPath)}]: ${error.message}`);
+      errorCount++;
+    }
+  }
+
+  entries.sort((a, b) => a.url.localeCompare(b.url));
+
+  const index = { version: INDEX_VERSION, entries };
+  const content = JSON.stringify(index) + '\n';
+  writeFileSync(join(PUBLIC_DIR, INDEX_FILE), content, 'utf-8');
+
+  const byLanguage = entries.reduce((counts, e) => ({ ...counts, [e.language]: (counts[e.language] || 0) + 1 }), {});
+  const answers = entries.filter(e => e.shortAnswer).length;
+
+  // Summary
+  console.log('='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Indexed: ${entries.length} page(s) (en: ${byLanguage.en || 0}, es: ${byLanguage.es || 0})`);
+  console.log(`💬 With short answers: ${answers}`);
+  console.log(`⏭️  Skipped (placeholder, no HTML or noindex): ${skippedCount}`);
+  console.log(`📦 ${INDEX_FILE}: ${(Buffer.byteLength(content) / 1024).toFixed(2)} KB`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Chat index built with errors');
+    process.exit(1);
+  } else {
+    console.log('\n✅ Chat index built!');
+  }
+}
+
+buildIndex().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
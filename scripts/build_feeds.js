@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+/**
+ * Build Feeds Script
+ *
+ * Publishes RSS 2.0 and Atom feeds for the Insights, Help and Scholarship
+ * sections in each language (scripts/utils/feeds.js), from the same article
+ * metadata build_categories.js lists (scripts/utils/article-metadata.js):
+ * - Items are the newest FEED_SIZE articles, dated by published_date (else
+ *   LAST_REVIEWED); undated articles are left out
+ * - Item categories are the article's category name (from the registry, in the
+ *   feed's language) and its tags
+ * - Scholarship articles share /scholarship/ in their original language, so
+ *   their feeds are split by <html lang> into /scholarship/<lang>/
+ *
+ * The per-category feeds are written by build_categories.js; this script only
+ * links to them.
+ *
+ * FEED LINKS:
+ * - Injects <link rel="alternate" type="application/rss+xml"> and
+ *   type="application/atom+xml" for the section feed, and for the article's
+ *   category feed, into every article page as a managed block. Pages are only
+ *   rewritten when their links change. generate-help-pages rewrites Help
+ *   pages without them, so this runs after it.
+ *
+ * Usage: npm run build-feeds (after build-categories), then npm run validate-feeds
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { glob } from 'glob';
+import { loadValidStructuredData } from './utils/structured-data.js';
+import { readArticle } from './utils/article-metadata.js';
+import { PUBLIC_DIR, writePublicFile } from './utils/page-template.js';
+import { LANGUAGES, SECTION_PATHS } from './utils/site-config.js';
+import {
+  FEED_FORMATS,
+  FEED_LINK_ATTRIBUTE,
+  getFeedPaths,
+  injectFeedLinks,
+  renderFeed,
+  renderFeedLinks,
+  selectFeedItems,
+} from './utils/feeds.js';
+
+// Article directories (top level only) and feed directories, per section and language
+// A directory shared by both languages gets one feed directory per language
+const SECTIONS = Object.fromEntries(
+  ['insights', 'help', 'scholarship'].map(section => {
+    const shared = new Set(Object.values(SECTION_PATHS[section])).size === 1;
+    return [
+      section,
+      Object.fromEntries(
+        LANGUAGES.map(lang => {
+          const source = SECTION_PATHS[section][lang];
+          return [lang, { source, feeds: shared ? `${source}${lang}/` : source }];
+        })
+      ),
+    ];
+  })
+);
+
+/**
+ * Feed copy per language
+ */
+const COPY = {
+  en: {
+    home: '/',
+    titles: {
+      insights: 'Insights | Spanish Academic',
+      help: 'Help | Spanish Academic',
+      scholarship: 'Scholarship | Spanish Academic',
+    },
+    descriptions: {
+      insights: 'New articles for prospective and current graduate students in Spanish programs, from Spanish Academic.',
+      help: 'New answers to common questions from graduate students in Spanish programs, from Spanish Academic.',
+      scholarship: 'Scholarly articles in English published on Spanish Academic.',
+    },
+    categoryFeedTitle: name => `${name} | Spanish Academic`,
+  },
+  es: {
+    home: '/es/',
+    titles: {
+      insights: 'Insights | Spanish Academic',
+      help: 'Ayuda | Spanish Academic',
+      scholarship: 'Publicaciones académicas | Spanish Academic',
+    },
+    descriptions: {
+      insights: 'Nuevos artículos para estudiantes actuales y futuros de programas de posgrado en español, de Spanish Academic.',
+      help: 'Nuevas respuestas a preguntas frecuentes de estudiantes de posgrado en español, de Spanish Academic.',
+      scholarship: 'Artículos académicos en español publicados en Spanish Academic.',
+    },
+    categoryFeedTitle: name => `${name} | Spanish Academic`,
+  },
+};
+
+// Track results
+let articlesScanned = 0;
+let feedsWritten = 0;
+let pagesUpdated = 0;
+let pagesUnchanged = 0;
+let errorCount = 0;
+let warningCount = 0;
+
+/**
+ * Read the articles of one section in one language
+ * A directory shared by both languages is split by <html lang>; in a
+ * language's own directory, a page in the other language is reported.
+ */
+async function collectArticles(section, lang) {
+  const { source } = SECTIONS[section][lang];
+  const shared = LANGUAGES.every(other => SECTIONS[section][other].source === source);
+  const absDir = join(PUBLIC_DIR, source);
+  if (!existsSync(absDir)) return [];
+
+  const articles = [];
+  const htmlFiles = await glob('*.html', { cwd: absDir, absolute: true });
+  for (const filePath of htmlFiles.sort()) {
+    let article;
+    try {
+      article = readArticle(filePath);
+    } catch (error) {
+      console.error(`❌ ERROR [${source}${filePath.split(/[\\/]/).pop()}]: ${error.message}`);
+      errorCount++;
+      continue;
+    }
+
+    if (article.language !== lang) {
+      if (!shared) {
+        console.warn(`⚠️  WARNING [${article.url}]: <html lang="${article.language}"> in the ${lang} ${section} directory; left out of the feeds`);
+        warningCount++;
+      }
+      continue;
+    }
+    articlesScanned++;
+    articles.push({ ...article, filePath });
+  }
+
+  return articles;
+}
+
+/**
+ * The article's category, when it is a registry category of this section
+ * (build_categories.js reports the others)
+ */
+function getArticleCategory(article, section, categoriesById) {
+  const category = categoriesById.get(article.categoryId);
+  return category && category.section === section ? category : null;
+}
+
+/**
+ * Write the RSS and Atom feeds of one section and language
+ *
+ * @returns {{ rss: string, atom: string } | null} The feed paths, or null when
+ *   no article has a date
+ */
+function writeSectionFeeds(section, lang, articles, categoriesById) {
+  const c = COPY[lang];
+  const items = selectFeedItems(articles.map(article => {
+    const category = getArticleCategory(article, section, categoriesById);
+    return {
+      title: article.title,
+      url: article.url,
+      description: article.abstract,
+      date: article.publishedDate || article.lastReviewed,
+      categories: [...(category ? [category[`name_${lang}`]] : []), ...article.tags],
+    };
+  }));
+
+  if (items.length === 0) {
+    console.log(`   ⏭️  No dated ${lang} articles: no ${section} feed`);
+    return null;
+  }
+
+  const paths = getFeedPaths(SECTIONS[section][lang].feeds);
+  for (const format of Object.keys(FEED_FORMATS)) {
+    const path = writePublicFile(paths[format], renderFeed(format, {
+      title: c.titles[section],
+      link: c.home,
+      description: c.descriptions[section],
+      language: lang,
+      selfUrl: paths[format],
+      items,
+    }));
+    console.log(`   ✅ Generated: ${path} (${items.length} item(s))`);
+    feedsWritten++;
+  }
+  return paths;
+}
+
+/**
+ * Point every article at its section feed and category feed
+ */
+function injectArticleLinks(section, lang, articles, sectionFeeds, categoriesById, module) {
+  const c = COPY[lang];
+
+  // A category has a feed in this language when one of its articles is dated
+  const categoriesWithFeeds = new Set(
+    articles
+      .filter(article => article.publishedDate || article.lastReviewed)
+      .map(article => getArticleCategory(article, section, categoriesById)?.id)
+      .filter(Boolean)
+  );
+
+  for (const article of articles) {
+    const links = [];
+    if (sectionFeeds) {
+      links.push(renderFeedLinks(sectionFeeds, c.titles[section], FEED_LINK_ATTRIBUTE));
+    }
+    const category = getArticleCategory(article, section, categoriesById);
+    if (category && categoriesWithFeeds.has(category.id)) {
+      const categoryFeeds = getFeedPaths(module.getCategoryPath(category, lang).replace(/\.html$/, '/'));
+      links.push(renderFeedLinks(categoryFeeds, c.categoryFeedTitle(category[`name_${lang}`]), FEED_LINK_ATTRIBUTE));
+    }
+
+    const html = readFileSync(article.filePath, 'utf-8');
+    const updated = injectFeedLinks(html, links.join('\n'));
+    if (updated === html) {
+      pagesUnchanged++;
+      continue;
+    }
+
+    writeFileSync(article.filePath, updated, 'utf-8');
+    console.log(`   🔗 Feed links: ${article.url}`);
+    pagesUpdated++;
+  }
+}
+
+/**
+ * Warn about section feeds that are no longer written (e.g. a language lost
+ * its last dated article)
+ */
+function reportStaleFeeds(written) {
+  for (const dirs of Object.values(SECTIONS)) {
+    for (const { feeds } of Object.values(dirs)) {
+      for (const path of Object.values(getFeedPaths(feeds))) {
+        if (existsSync(join(PUBLIC_DIR, path)) && !written.has(path)) {
+          console.warn(`⚠️  WARNING [${path}]: No section feed renders to this path; delete it`);
+          warningCount++;
+        }
+      }
+    }
+  }
+}
+
+async function main() {
+  console.log('📡 Building Section Feeds\n');
+  console.log('='.repeat(60));
+
+  const { categories, module } = await loadValidStructuredData();
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+  const written = new Set();
+
+  for (const section of Object.keys(SECTIONS)) {
+    for (const lang of LANGUAGES) {
+      console.log(`\n🔍 ${section} (${lang})...`);
+      const articles = await collectArticles(section, lang);
+
+      const feeds = writeSectionFeeds(section, lang, articles, categoriesById);
+      if (feeds) {
+        Object.values(feeds).forEach(path => written.add(path));
+      }
+      injectArticleLinks(section, lang, articles, feeds, categoriesById, module);
+    }
+  }
+
+  reportStaleFeeds(written);
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`📄 Articles scanned: ${articlesScanned}`);
+  console.log(`✅ Feeds: ${feedsWritten}`);
+  console.log(`🔗 Feed links updated: ${pagesUpdated} page(s), up to date: ${pagesUnchanged} page(s)`);
+  console.log(`⚠️  Warnings: ${warningCount}`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Build completed with errors');
+    process.exit(1);
+  } else if (warningCount > 0) {
+    console.log('\n⚠️  Build completed with warnings');
+  } else {
+    console.log('\n✅ Feeds built successfully!');
+    console.log('\n💡 Next step: Run `npm run validate-feeds`');
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
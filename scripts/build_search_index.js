@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Build Search Index Script
+ *
+ * Emits one compact search index per language for the Search island
+ * (/search and /es/buscar), so site search runs in the browser on the static
+ * host:
+ * - public/search-index.en.json
+ * - public/search-index.es.json
+ *
+ * Every HTML page under /public/ is tokenized with src/utils/search.ts (the
+ * same code the island runs on the query): accent folding, stopwords and a
+ * light stemmer for its language. Terms from the title, h1, category,
+ * description and <main> body text are weighted by field and stored as
+ * postings. Pages marked <meta name="robots" content="noindex"> are skipped.
+ *
+ * Output is sorted and has no timestamps, so it only changes with the pages.
+ *
+ * Usage: npm run build-search-index (after generate-json and build-categories)
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { load } from 'cheerio';
+import { glob } from 'glob';
+import { importSourceModule, importStructuredModule } from './utils/structured-data.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
+const INDEX_VERSION = 1;
+const LANGUAGES = ['en', 'es'];
+
+// Long pages (e.g. scholarship full texts) only index their opening words
+const MAX_BODY_WORDS = 3000;
+
+let errorCount = 0;
+let skippedCount = 0;
+
+/**
+ * Read the indexable fields of one page (null when it opts out)
+ */
+function readPage(htmlPath, categoriesById) {
+  const $ = load(readFileSync(htmlPath, 'utf-8'));
+
+  if (/noindex/i.test($('meta[name="robots"]').attr('content') || '')) {
+    return null;
+  }
+
+  const url = '/' + relative(PUBLIC_DIR, htmlPath).replace(/\\/g, '/');
+  const htmlLang = ($('html').attr('lang') || '').toLowerCase();
+  const language = htmlLang.startsWith('es') || url.startsWith('/es/') ? 'es' : 'en';
+
+  // Categories come from <meta name="category"> (a category id, indexed by its
+  // name in the page's language) or a typed twin's category field
+  let category = $('meta[name="category"]').attr('content')?.trim() || '';
+  const registered = categoriesById.get(category);
+  if (registered) category = language === 'es' ? registered.name_es : registered.name_en;
+  const twinPath = htmlPath.replace(/\.html$/, '.json');
+  if (!category && existsSync(twinPath)) {
+    const twin = JSON.parse(readFileSync(twinPath, 'utf-8'));
+    if (typeof twin.category === 'string') category = twin.category;
+  }
+
+  const main = $('main').first().clone();
+  main.find('script, style, noscript, template, nav').remove();
+  const body = main
+    .text()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(' ')
+    .slice(0, MAX_BODY_WORDS)
+    .join(' ');
+
+  return {
+    url,
+    language,
+    title: $('title').first().text().trim(),
+    h1: $('h1').first().text().trim(),
+    description: $('meta[name="description"]').attr('content')?.trim() || '',
+    category,
+    body,
+  };
+}
+
+/**
+ * Weight of each term in a page: sum over fields of weight × (1 + ln(count))
+ */
+function weighTerms(page, search) {
+  const weights = new Map();
+
+  for (const [field, fieldWeight] of Object.entries(search.SEARCH_FIELD_WEIGHTS)) {
+    const counts = new Map();
+    for (const term of search.tokenize(page[field], page.language)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    for (const [term, count] of counts) {
+      weights.set(term, (weights.get(term) || 0) + fieldWeight * (1 + Math.log(count)));
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Build the index for one language from its pages (already sorted by URL)
+ */
+function buildIndex(pages, language, search) {
+  const documents = pages.map(page => {
+    const document = { url: page.url, title: page.title || page.h1, description: page.description };
+    if (page.category) document.category = page.category;
+    return document;
+  });
+
+  const postings = {};
+  pages.forEach((page, docIndex) => {
+    for (const [term, weight] of weighTerms(page, search)) {
+      (postings[term] ||= []).push(docIndex, Math.round(weight * 100) / 100);
+    }
+  });
+
+  // Sorted keys keep the file stable between builds
+  const sortedPostings = Object.fromEntries(
+    Object.keys(postings).sort().map(term => [term, postings[term]])
+  );
+
+  return { version: INDEX_VERSION, language, documents, postings: sortedPostings };
+}
+
+async function main() {
+  console.log('🔍 Building search indexes from /public/ HTML...\n');
+
+  const search = await importSourceModule('src/utils/search.ts');
+  const { categories } = await importStructuredModule();
+  const categoriesById = new Map(categories.map(category => [category.id, category]));
+
+  const htmlFiles = await glob('**/*.html', {
+    cwd: PUBLIC_DIR,
+    absolute: true,
+    ignore: ['**/node_modules/**', 'assets/**'],
+  });
+
+  const pagesByLanguage = { en: [], es: [] };
+  for (const htmlPath of htmlFiles) {
+    try {
+      const page = readPage(htmlPath, categoriesById);
+      if (!page) {
+        skippedCount++;
+        continue;
+      }
+      pagesByLanguage[page.language].push(page);
+    } catch (error) {
+      console.error(`❌ ERROR [${relative(PUBLIC_DIR, htmlPath)}]: ${error.message}`);
+      errorCount++;
+    }
+  }
+
+  const sizes = {};
+  for (const language of LANGUAGES) {
+    const pages = pagesByLanguage[language].sort((a, b) => a.url.localeCompare(b.url));
+    const index = buildIndex(pages, language, search);
+    const fileName = `search-index.${language}.json`;
+    const content = JSON.stringify(index) + '\n';
+    writeFileSync(join(PUBLIC_DIR, fileName), content, 'utf-8');
+    sizes[language] = { fileName, pages: pages.length, terms: Object.keys(index.postings).length, bytes: Buffer.byteLength(content) };
+  }
+
+  // Summary
+  console.log('='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  for (const { fileName, pages, terms, bytes } of Object.values(sizes)) {
+    console.log(`✅ ${fileName}: ${pages} page(s), ${terms} term(s), ${(bytes / 1024).toFixed(2)} KB`);
+  }
+  console.log(`⏭️  Skipped (noindex): ${skippedCount}`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Search indexes built with errors');
+    process.exit(1);
+  } else {
+    console.log('\n✅ Search indexes built!');
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Check Site Origin Script
+ *
+ * The site origin and the section directories live in src/config/site.ts
+ * only. This flags any other source file that spells them out, so a script
+ * or island can't drift to a different origin or path again:
+ * - Origins: https://spanishacademic.com, the old spanish-academic.com, www.
+ *   or bare hosts in strings
+ * - Section paths: a string that is a section directory ('/help/',
+ *   '/es/ayuda/'), a directory under one ('/help/categories/'), or a template
+ *   literal building a path on one (`/insights/${slug}.html`). Page URLs in
+ *   data ('/help/ma-before-phd.html') are content and aren't flagged
+ * - Scans scripts/, src/ and the build configs (.js, .mjs, .cjs, .ts, .tsx)
+ * - Comment lines are skipped (examples in doc comments are fine)
+ * - ALLOWED_FILES lists the exceptions, with the reason
+ *
+ * Published files in /public/ (pages, twins, feeds, sitemaps) hold absolute
+ * URLs by design, so there only URLs on another origin of the site are
+ * flagged: canonical, hreflang and twin URLs must use SITE_ORIGIN (or
+ * PRODUCTION_ORIGIN, which committed pages are built for).
+ *
+ * Use SITE_ORIGIN / SITE_HOSTS / SECTION_PATHS from
+ * scripts/utils/site-config.js in scripts, and siteConfig from
+ * src/config/site.ts in islands and TypeScript.
+ *
+ * Usage: npm run check-site-origin
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { glob } from 'glob';
+import { PRODUCTION_ORIGIN, SECTION_PATHS, SITE_ORIGIN } from './utils/site-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+
+const SOURCE_PATTERNS = [
+  'scripts/**/*.{js,mjs,cjs,ts}',
+  'src/**/*.{js,mjs,ts,tsx}',
+  '*.config.{js,mjs,cjs,ts}',
+];
+
+const PUBLISHED_PATTERNS = ['public/**/*.{html,json,xml,txt}'];
+
+// Files that may name the origin, and why
+const ALLOWED_FILES = {
+  'src/config/site.ts': 'the site configuration itself',
+  'scripts/crawlee/fetchInsightsArticles.ts': 'crawls the legacy live site, whatever SITE_ORIGIN is',
+  'scripts/crawlee/fetchProgramLists.ts': 'crawls the legacy live site, whatever SITE_ORIGIN is',
+  'scripts/crawlee/fetchScholarshipArticles.ts': 'crawls the legacy live site, whatever SITE_ORIGIN is',
+};
+
+// A URL or protocol-relative URL on the site's host, or the host as a string
+const ORIGIN_PATTERNS = [
+  /(?:https?:)?\/\/(?:[\w-]+\.)*spanish-?academic\.com\b/i,
+  /['"`](?:[\w-]+\.)*spanish-?academic\.com['"`]/i,
+];
+
+// A quoted section directory or a directory under it, or the start of a
+// template literal building on one
+const sectionDirectories = [...new Set(Object.values(SECTION_PATHS).flatMap(Object.values))]
+  .sort((a, b) => b.length - a.length)
+  .map(path => path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+const SECTION_PATH_PATTERN = new RegExp(`['"\`](?:${sectionDirectories.join('|')})(?:[\\w-]+/)*(?:['"\`]|\\$\\{)`);
+
+// Origins published URLs may use, and any URL on one of the site's hosts
+const PUBLISHED_ORIGINS = new Set([SITE_ORIGIN, PRODUCTION_ORIGIN]);
+const SITE_URL_PATTERN = /(?:https?:)?\/\/(?:[\w-]+\.)*spanish-?academic\.com\b/gi;
+
+let filesChecked = 0;
+let errorCount = 0;
+
+function isCommentLine(line) {
+  return /^(\/\/|\/\*|\*)/.test(line.trim());
+}
+
+async function main() {
+  console.log('🔍 Checking for hardcoded site origins and section paths...\n');
+
+  const files = await glob(SOURCE_PATTERNS, {
+    cwd: PROJECT_ROOT,
+    ignore: ['**/node_modules/**'],
+    posix: true,
+  });
+
+  for (const relPath of [...new Set(files)].sort()) {
+    if (relPath in ALLOWED_FILES) continue;
+    filesChecked++;
+
+    readFileSync(join(PROJECT_ROOT, relPath), 'utf-8')
+      .split('\n')
+      .forEach((line, i) => {
+        if (isCommentLine(line)) return;
+        const match = ORIGIN_PATTERNS.map(pattern => line.match(pattern)).find(Boolean);
+        if (match) {
+          console.error(`❌ ERROR [${relPath}:${i + 1}]: Hardcoded origin ${match[0]}; use SITE_ORIGIN (scripts/utils/site-config.js) or siteConfig (src/config/site.ts)`);
+          errorCount++;
+        }
+        const sectionMatch = line.match(SECTION_PATH_PATTERN);
+        if (sectionMatch) {
+          console.error(`❌ ERROR [${relPath}:${i + 1}]: Hardcoded section path ${sectionMatch[0]}; use SECTION_PATHS (scripts/utils/site-config.js) or siteConfig.sections (src/config/site.ts)`);
+          errorCount++;
+        }
+      });
+  }
+
+  const publishedFiles = await glob(PUBLISHED_PATTERNS, {
+    cwd: PROJECT_ROOT,
+    ignore: ['**/node_modules/**', 'public/assets/**'],
+    posix: true,
+  });
+
+  for (const relPath of publishedFiles.sort()) {
+    filesChecked++;
+
+    readFileSync(join(PROJECT_ROOT, relPath), 'utf-8')
+      .split('\n')
+      .forEach((line, i) => {
+        for (const [origin] of line.matchAll(SITE_URL_PATTERN)) {
+          if (PUBLISHED_ORIGINS.has(origin)) continue;
+          console.error(`❌ ERROR [${relPath}:${i + 1}]: URL on ${origin}; published URLs must use ${SITE_ORIGIN} (regenerate the page, or fix its canonical and hreflang links)`);
+          errorCount++;
+        }
+      });
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Files checked: ${filesChecked} (${Object.keys(ALLOWED_FILES).length} allowed)`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Hardcoded origins or section paths found');
+    process.exit(1);
+  } else {
+    console.log('\n✅ No hardcoded origins or section paths outside src/config/site.ts, and no pages on another origin');
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
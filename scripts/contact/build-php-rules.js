@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Rules for the PHP Endpoint
+ *
+ * Writes public/api/contact-rules.php, the data public/api/contact.php
+ * validates submissions with on the production host (no Node there). Every
+ * value comes from the modules the form and scripts/contact/handler.js use,
+ * so the PHP endpoint can't drift from them:
+ * - roles, topics, field order, length limits, email pattern, time trap
+ *   (src/apps/contact/validation.ts)
+ * - correctable program fields, how their values are typed and the rule each
+ *   value must pass (src/data/structured/validation.ts)
+ * - known program IDs (src/data/structured/programs.ts)
+ * - rate limit and body size limit (scripts/contact/handler.js)
+ *
+ * The file is PHP returning an array, so Apache runs it rather than serving
+ * it. It is only rewritten when the rules change; validate-all runs this
+ * after validate-data.
+ *
+ * Usage: npm run contact:build-php-rules
+ *
+ * Spanish Academic 2026
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { importSourceModule, importStructuredModule } from '../utils/structured-data.js';
+import { DEFAULT_RATE_LIMIT, MAX_BODY_BYTES } from './handler.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = join(__dirname, '..', '..');
+const RULES_FILE = join(PROJECT_ROOT, 'public', 'api', 'contact-rules.php');
+const RULES_VERSION = 1;
+
+/**
+ * The rules as plain data (keys in a stable order)
+ */
+async function collectRules() {
+  const contact = await importSourceModule('src/apps/contact/validation.ts');
+  const { programs, getProgramFieldRule } = await importStructuredModule();
+
+  const correctableFields = {};
+  for (const [field, input] of Object.entries(contact.CORRECTABLE_FIELDS)) {
+    correctableFields[field] = {
+      input,
+      ...(input === 'number' && { format: contact.NUMBER_FORMATS[field] }),
+      rule: getProgramFieldRule(field),
+    };
+  }
+
+  return {
+    version: RULES_VERSION,
+    fields: contact.CONTACT_FIELDS,
+    roles: contact.CONTACT_ROLES,
+    topics: contact.CONTACT_TOPICS,
+    limits: contact.LIMITS,
+    emailPattern: contact.EMAIL_PATTERN.source,
+    minFillMs: contact.MIN_FILL_MS,
+    programIds: programs.map(program => program.id),
+    correctableFields,
+    words: {
+      none: contact.NONE_WORDS,
+      true: contact.TRUE_WORDS,
+      false: contact.FALSE_WORDS,
+    },
+    rateLimit: DEFAULT_RATE_LIMIT,
+    maxBodyBytes: MAX_BODY_BYTES,
+  };
+}
+
+function renderRulesFile(rules) {
+  return [
+    '<?php',
+    '// Generated by scripts/contact/build-php-rules.js - do not edit.',
+    '// Rules for public/api/contact.php; run `npm run contact:build-php-rules` after changing them.',
+    '',
+    "return json_decode(<<<'JSON'",
+    JSON.stringify(rules, null, 2),
+    'JSON, true);',
+    '',
+  ].join('\n');
+}
+
+async function main() {
+  console.log('📝 Writing the PHP contact endpoint rules...\n');
+
+  const rules = await collectRules();
+  const content = renderRulesFile(rules);
+  const relPath = 'public/api/contact-rules.php';
+
+  if (existsSync(RULES_FILE) && readFileSync(RULES_FILE, 'utf-8') === content) {
+    console.log(`⏭️  ${relPath} is up to date`);
+  } else {
+    mkdirSync(dirname(RULES_FILE), { recursive: true });
+    writeFileSync(RULES_FILE, content, 'utf-8');
+    console.log(`✅ Wrote ${relPath}`);
+  }
+
+  console.log(`\n📋 ${rules.programIds.length} program ID(s), ${Object.keys(rules.correctableFields).length} correctable field(s)`);
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
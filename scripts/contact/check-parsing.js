@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Correction Value Parsing Check
+ *
+ * Runs parseCorrectionValue (src/apps/contact/validation.ts) on proposed
+ * values typed the ways readers type them and fails when one no longer reads
+ * as the value programs.ts would hold. The same function runs in the contact
+ * form, the submission endpoint and contact:corrections, so a regression here
+ * would turn a correct report into a wrong data patch.
+ *
+ * Covers the decimal mark vs thousands separator split: "3.750" and "3,75"
+ * are a GPA of 3.75 while "34,500" and "$32.000" are stipends in dollars.
+ *
+ * Usage: npm run contact:check-parsing
+ *
+ * Spanish Academic 2026
+ */
+
+import { importSourceModule } from '../utils/structured-data.js';
+
+// [field, as typed, expected value]
+const CASES = [
+  ['minGPA', '3.750', 3.75],
+  ['minGPA', '3,75', 3.75],
+  ['stipendApproxUSD', '34,500', 34500],
+  ['stipendApproxUSD', '$32.000', 32000],
+  ['acceptanceRateApprox', '15%', 15],
+];
+
+let errorCount = 0;
+
+async function main() {
+  console.log('🔢 Checking how proposed correction values are parsed...\n');
+
+  const { parseCorrectionValue } = await importSourceModule('src/apps/contact/validation.ts');
+
+  for (const [field, typed, expected] of CASES) {
+    const value = parseCorrectionValue(field, typed);
+    if (value === expected) {
+      console.log(`✅ ${field} "${typed}" → ${value}`);
+    } else {
+      console.error(`❌ ERROR: ${field} "${typed}" → ${value}, expected ${expected}`);
+      errorCount++;
+    }
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`🔢 Values checked: ${CASES.length}`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Proposed values are misread - fix parseNumber in src/apps/contact/validation.ts');
+    process.exit(1);
+  }
+  console.log('\n✅ Proposed values parse as expected');
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Contact Submissions CLI (moderation queue)
+ *
+ * Lists, tags, moves and exports the submissions stored by the contact
+ * endpoint, so corrections from program directors can be picked up by the
+ * data-update workflow. Accept a correction with `status <id> accepted`, then
+ * turn accepted corrections into a patch with `npm run contact:corrections`.
+ *
+ * Usage:
+ *   npm run contact:submissions -- list                       # status new (the queue)
+ *   npm run contact:submissions -- list --status all --topic correction
+ *   npm run contact:submissions -- show <id>
+ *   npm run contact:submissions -- tag <id> funding stipend
+ *   npm run contact:submissions -- untag <id> stipend
+ *   npm run contact:submissions -- status <id> accepted       # new | accepted | rejected | done
+ *   npm run contact:submissions -- export --format csv --status accepted --out corrections.csv
+ *
+ * IDs can be shortened to any unique prefix.
+ *
+ * Spanish Academic 2026
+ */
+
+import { writeFileSync } from 'fs';
+import { SUBMISSION_STATUSES, readSubmissions, resolveStorageFile, writeSubmissions } from './store.js';
+
+const EXPORT_COLUMNS = [
+  'id',
+  'receivedAt',
+  'status',
+  'tags',
+  'language',
+  'name',
+  'email',
+  'role',
+  'topic',
+  'programId',
+  'correctionField',
+  'proposedValue',
+  'sourceUrl',
+  'message',
+];
+
+// Parse command-line arguments: positionals plus --name value options
+const args = process.argv.slice(2);
+const positionals = [];
+const options = {};
+for (let i = 0; i < args.length; i++) {
+  if (args[i].startsWith('--')) {
+    options[args[i].slice(2)] = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : 'true';
+  } else {
+    positionals.push(args[i]);
+  }
+}
+const [command, ...params] = positionals;
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Filter by --status (default `new`, `all` for every status), --topic and --tag
+ */
+function applyFilters(submissions, defaultStatus) {
+  const status = options.status || defaultStatus;
+  if (status !== 'all' && !SUBMISSION_STATUSES.includes(status)) {
+    fail(`Unknown status "${status}". Use one of: ${SUBMISSION_STATUSES.join(', ')}, all`);
+  }
+
+  return submissions.filter(
+    s =>
+      (status === 'all' || s.status === status) &&
+      (!options.topic || s.topic === options.topic) &&
+      (!options.tag || s.tags.includes(options.tag))
+  );
+}
+
+function findSubmission(submissions, idPrefix) {
+  if (!idPrefix) {
+    fail('Missing submission id');
+  }
+  const matches = submissions.filter(s => s.id.startsWith(idPrefix));
+  if (matches.length === 0) {
+    fail(`No submission with id ${idPrefix}`);
+  }
+  if (matches.length > 1) {
+    fail(`Id prefix ${idPrefix} matches ${matches.length} submissions; use more characters`);
+  }
+  return matches[0];
+}
+
+function summarize(s) {
+  const program = s.programId ? ` · ${s.programId}` : '';
+  const correction = s.correctionField ? ` · ${s.correctionField} → ${s.proposedValue}` : '';
+  const tags = s.tags.length > 0 ? ` [${s.tags.join(', ')}]` : '';
+  const message = s.message.replace(/\s+/g, ' ');
+  const preview = message.length > 70 ? message.slice(0, 70) + '…' : message;
+  return [
+    `${s.id.slice(0, 8)}  ${s.receivedAt.slice(0, 10)}  ${s.status.padEnd(8)} ${s.topic}${program}${correction}${tags}`,
+    `          ${s.name} <${s.email}> (${s.role}, ${s.language}): ${preview}`,
+  ].join('\n');
+}
+
+function csvCell(value) {
+  let text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+  // Spreadsheets run cells starting with these as formulas
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function listCommand(submissions) {
+  const filtered = applyFilters(submissions, 'new');
+
+  console.log('\n' + '='.repeat(80));
+  console.log('CONTACT SUBMISSIONS');
+  console.log('='.repeat(80) + '\n');
+
+  const counts = SUBMISSION_STATUSES.map(
+    status => `${status}: ${submissions.filter(s => s.status === status).length}`
+  );
+  console.log(`Total: ${submissions.length} (${counts.join(', ')})`);
+  console.log(`Showing: ${filtered.length}\n`);
+
+  filtered.forEach(s => console.log(summarize(s) + '\n'));
+}
+
+function showCommand(submissions) {
+  console.log(JSON.stringify(findSubmission(submissions, params[0]), null, 2));
+}
+
+function tagCommand(submissions, remove) {
+  const [idPrefix, ...tags] = params;
+  const submission = findSubmission(submissions, idPrefix);
+  if (tags.length === 0) {
+    fail('Give at least one tag');
+  }
+
+  submission.tags = remove
+    ? submission.tags.filter(tag => !tags.includes(tag))
+    : [...new Set([...submission.tags, ...tags])].sort();
+  writeSubmissions(storageFile, submissions);
+  console.log(`✅ ${submission.id}: tags [${submission.tags.join(', ')}]`);
+}
+
+function statusCommand(submissions) {
+  const [idPrefix, status] = params;
+  const submission = findSubmission(submissions, idPrefix);
+  if (!SUBMISSION_STATUSES.includes(status)) {
+    fail(`Unknown status "${status}". Use one of: ${SUBMISSION_STATUSES.join(', ')}`);
+  }
+
+  submission.status = status;
+  writeSubmissions(storageFile, submissions);
+  console.log(`✅ ${submission.id}: ${status}`);
+}
+
+function exportCommand(submissions) {
+  const filtered = applyFilters(submissions, 'all');
+  const format = options.format || 'jsonl';
+
+  let content;
+  if (format === 'csv') {
+    content = [EXPORT_COLUMNS, ...filtered.map(s => EXPORT_COLUMNS.map(column => s[column]))]
+      .map(row => row.map(csvCell).join(','))
+      .join('\n') + '\n';
+  } else if (format === 'jsonl') {
+    content = filtered.map(s => JSON.stringify(s) + '\n').join('');
+  } else {
+    fail(`Unknown format "${format}". Use csv or jsonl`);
+  }
+
+  if (options.out) {
+    writeFileSync(options.out, content, 'utf-8');
+    console.error(`✅ Exported ${filtered.length} submission(s) to ${options.out}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+const COMMANDS = {
+  list: listCommand,
+  show: showCommand,
+  tag: submissions => tagCommand(submissions, false),
+  untag: submissions => tagCommand(submissions, true),
+  status: statusCommand,
+  export: exportCommand,
+};
+
+const storageFile = resolveStorageFile();
+
+if (!COMMANDS[command]) {
+  fail(`Usage: npm run contact:submissions -- <${Object.keys(COMMANDS).join('|')}> [...]`);
+}
+
+try {
+  COMMANDS[command](readSubmissions(storageFile));
+} catch (error) {
+  fail(error.message);
+}
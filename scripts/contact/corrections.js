@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Program Corrections → Proposed Diff
+ *
+ * Turns accepted correction submissions (contact topic `correction`) into a
+ * patch against src/data/structured/programs.ts: each corrected field gets
+ * its new value and the program's lastUpdated is bumped. The patch header
+ * lists every change with the submission ids and sources behind it, so a
+ * data change can be traced back to who reported it and where it is
+ * published.
+ *
+ * Workflow:
+ *   1. A reader (usually a program director) sends the correction form
+ *   2. npm run contact:submissions -- status <id> accepted   (after checking the source)
+ *   3. npm run contact:corrections -- --out corrections.patch (review, then git apply)
+ *      or npm run contact:corrections -- --apply             (writes programs.ts, marks done)
+ *   4. npm run validate-data && npm run generate-program-pages
+ *
+ * Submissions that can't be applied are reported and left as they are:
+ * unknown program or field, a value that no longer parses, or two accepted
+ * submissions that disagree about the same field. Ones that match the data
+ * already are marked done by --apply without changing the file.
+ *
+ * Usage:
+ *   npm run contact:corrections                       # patch on stdout
+ *   npm run contact:corrections -- --out corrections.patch
+ *   npm run contact:corrections -- --date 2026-11-01  # lastUpdated (default: today)
+ *   npm run contact:corrections -- --apply
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { importSourceModule, importStructuredModule } from '../utils/structured-data.js';
+import { readSubmissions, resolveStorageFile, writeSubmissions } from './store.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = join(__dirname, '..', '..');
+const PROGRAMS_PATH = 'src/data/structured/programs.ts';
+const PROGRAMS_FILE = join(PROJECT_ROOT, PROGRAMS_PATH);
+const CONTEXT_LINES = 3;
+
+// Parse command-line arguments: --name value options and --flags
+const args = process.argv.slice(2);
+const options = {};
+for (let i = 0; i < args.length; i++) {
+  if (args[i].startsWith('--')) {
+    options[args[i].slice(2)] = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : 'true';
+  }
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Render a value the way programs.ts writes it
+ */
+function toLiteral(value) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  return String(value);
+}
+
+/**
+ * Find the line range [start, end) of one program's object literal
+ */
+function findProgramBlock(lines, programId) {
+  const idLine = lines.findIndex(line => line.trim() === `id: ${toLiteral(programId)},`);
+  if (idLine === -1) {
+    return null;
+  }
+  const indent = lines[idLine].match(/^\s*/)[0];
+  let end = idLine + 1;
+  while (end < lines.length && !lines[end].startsWith(`${indent.slice(2)}}`)) {
+    end++;
+  }
+  return { start: idLine, end };
+}
+
+/**
+ * Replace `field: value,` inside a program block (keeps indentation and trailing comments)
+ * Returns false if the field isn't written on a single line in the block.
+ */
+function replaceField(lines, block, field, value) {
+  const pattern = new RegExp(`^(\\s*${field}: ).*?,(\\s*//.*)?$`);
+  for (let i = block.start; i < block.end; i++) {
+    const match = lines[i].match(pattern);
+    if (match) {
+      lines[i] = `${match[1]}${toLiteral(value)},${match[2] || ''}`;
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Unified diff for same-length line arrays (corrections only replace lines)
+ */
+function unifiedDiff(before, after, path) {
+  const changed = before.map((line, i) => line !== after[i]);
+  const hunks = [];
+
+  for (let i = 0; i < changed.length; i++) {
+    if (!changed[i]) continue;
+    const start = Math.max(0, i - CONTEXT_LINES);
+    const end = Math.min(before.length, i + CONTEXT_LINES + 1);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+
+  const output = [`--- a/${path}`, `+++ b/${path}`];
+  for (const { start, end } of hunks) {
+    const length = end - start;
+    output.push(`@@ -${start + 1},${length} +${start + 1},${length} @@`);
+    let i = start;
+    while (i < end) {
+      if (!changed[i]) {
+        output.push(` ${before[i]}`);
+        i++;
+        continue;
+      }
+      // Group a run of changed lines: all removals, then all additions
+      let runEnd = i;
+      while (runEnd < end && changed[runEnd]) runEnd++;
+      for (let j = i; j < runEnd; j++) output.push(`-${before[j]}`);
+      for (let j = i; j < runEnd; j++) output.push(`+${after[j]}`);
+      i = runEnd;
+    }
+  }
+  return output.join('\n') + '\n';
+}
+
+async function main() {
+  const date = options.date || new Date().toISOString().slice(0, 10);
+  const apply = options.apply === 'true';
+
+  const { parseCorrectionValue, isCorrectableField } = await importSourceModule(
+    'src/apps/contact/validation.ts'
+  );
+  const { programs, isIsoDate } = await importStructuredModule();
+  if (!isIsoDate(date)) {
+    fail(`--date must be YYYY-MM-DD (got "${date}")`);
+  }
+
+  const storageFile = resolveStorageFile();
+  const submissions = readSubmissions(storageFile);
+  const accepted = submissions.filter(s => s.status === 'accepted' && s.topic === 'correction');
+
+  console.error('\n' + '='.repeat(60));
+  console.error('PROGRAM CORRECTIONS');
+  console.error('='.repeat(60) + '\n');
+  console.error(`📥 ${accepted.length} accepted correction(s) in ${storageFile}\n`);
+
+  // Group by program + field; each group becomes one change (or one problem)
+  const groups = new Map();
+  const skipped = [];
+  for (const submission of accepted) {
+    const program = programs.find(p => p.id === submission.programId);
+    const field = submission.correctionField;
+    if (!program) {
+      skipped.push([submission, `unknown program "${submission.programId}"`]);
+      continue;
+    }
+    if (!isCorrectableField(field)) {
+      skipped.push([submission, `"${field}" is not a correctable field`]);
+      continue;
+    }
+    const value = parseCorrectionValue(field, submission.proposedValue);
+    if (value === undefined) {
+      skipped.push([submission, `"${submission.proposedValue}" is not a valid ${field}`]);
+      continue;
+    }
+
+    const key = `${program.id}\u0000${field}`;
+    if (!groups.has(key)) {
+      groups.set(key, { program, field, values: [], submissions: [] });
+    }
+    groups.get(key).values.push(value);
+    groups.get(key).submissions.push(submission);
+  }
+
+  const changes = [];
+  const alreadyCurrent = [];
+  for (const group of groups.values()) {
+    const distinct = [...new Set(group.values)];
+    if (distinct.length > 1) {
+      const ids = group.submissions.map(s => s.id.slice(0, 8)).join(', ');
+      const reason = `accepted submissions ${ids} disagree (${distinct.map(toLiteral).join(' vs ')})`;
+      group.submissions.forEach(s => skipped.push([s, reason]));
+    } else if (distinct[0] === group.program[group.field]) {
+      alreadyCurrent.push(...group.submissions);
+    } else {
+      changes.push({ ...group, value: distinct[0] });
+    }
+  }
+
+  skipped.forEach(([s, reason]) => console.error(`⚠️  Skipped ${s.id.slice(0, 8)}: ${reason}`));
+  alreadyCurrent.forEach(s =>
+    console.error(`ℹ️  ${s.id.slice(0, 8)}: ${s.programId} ${s.correctionField} is already current`)
+  );
+
+  if (changes.length === 0) {
+    console.error('\n✅ No changes to propose');
+    if (apply && alreadyCurrent.length > 0) {
+      alreadyCurrent.forEach(s => (s.status = 'done'));
+      writeSubmissions(storageFile, submissions);
+      console.error(`✅ Marked ${alreadyCurrent.length} already-current submission(s) done`);
+    }
+    return;
+  }
+
+  // Edit programs.ts as text so formatting and comments survive
+  const before = readFileSync(PROGRAMS_FILE, 'utf-8').split('\n');
+  const after = [...before];
+  const header = [
+    `Program data corrections from accepted contact submissions (${date})`,
+    `Generated by npm run contact:corrections; lastUpdated set to ${date}.`,
+    '',
+  ];
+
+  const byProgram = new Map();
+  changes.forEach(change => {
+    const list = byProgram.get(change.program.id) || [];
+    list.push(change);
+    byProgram.set(change.program.id, list);
+  });
+
+  for (const [programId, programChanges] of byProgram) {
+    const block = findProgramBlock(after, programId);
+    if (!block) {
+      fail(`Could not find program ${programId} in ${PROGRAMS_PATH}`);
+    }
+
+    header.push(programId);
+    for (const { program, field, value, submissions: sources } of programChanges) {
+      if (!replaceField(after, block, field, value)) {
+        fail(`Could not find a single-line "${field}:" for ${programId} in ${PROGRAMS_PATH}`);
+      }
+      header.push(`  ${field}: ${toLiteral(program[field])} → ${toLiteral(value)}`);
+      for (const s of sources) {
+        const source = s.sourceUrl ? `, source ${s.sourceUrl}` : '';
+        header.push(`    submission ${s.id} (${s.receivedAt.slice(0, 10)}, ${s.role}${source})`);
+      }
+    }
+
+    if (!replaceField(after, block, 'lastUpdated', date)) {
+      fail(`Could not find lastUpdated for ${programId} in ${PROGRAMS_PATH}`);
+    }
+    header.push(`  lastUpdated: ${toLiteral(programChanges[0].program.lastUpdated)} → ${toLiteral(date)}`);
+  }
+
+  const patch = header.join('\n') + '\n\n' + unifiedDiff(before, after, PROGRAMS_PATH);
+
+  if (apply) {
+    writeFileSync(PROGRAMS_FILE, after.join('\n'), 'utf-8');
+    const applied = [...changes.flatMap(change => change.submissions), ...alreadyCurrent];
+    applied.forEach(s => (s.status = 'done'));
+    writeSubmissions(storageFile, submissions);
+    process.stdout.write(patch);
+    console.error(`\n✅ Applied ${changes.length} change(s) to ${PROGRAMS_PATH}`);
+    console.error(`✅ Marked ${applied.length} submission(s) done`);
+    console.error('💡 Next: npm run validate-data && npm run generate-program-pages');
+  } else if (options.out) {
+    writeFileSync(options.out, patch, 'utf-8');
+    console.error(`\n✅ Wrote ${changes.length} proposed change(s) to ${options.out}`);
+    console.error(`💡 Review it, then: git apply ${options.out}`);
+  } else {
+    process.stdout.write(patch);
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,245 @@
+/**
+ * Contact Submission Endpoint
+ *
+ * A plain Node (req, res) handler for POST /api/contact, the endpoint the
+ * ContactForm island posts to. Runs under scripts/contact/serve.js locally;
+ * production (SiteGround, no Node) runs the PHP port public/api/contact.php,
+ * which reads these rules from contact-rules.php (build-php-rules.js).
+ *
+ * For each request it:
+ * - rate-limits by client IP (every attempt counts, valid or not)
+ * - validates the payload with src/apps/contact/validation.ts, the same
+ *   rules the form shows, and answers 422 { errors } with the same codes
+ * - drops honeypot / time-trap spam with a normal-looking 201
+ * - appends the submission to the JSONL store (status `new`) and answers 201 { id }
+ *
+ * The rate limiter lives in memory, so limits are per process: restarting the
+ * server or a new serverless instance starts with a clean slate.
+ *
+ * Usage:
+ *   import { createContactHandler } from './handler.js';
+ *   const handleContact = await createContactHandler();
+ *   http.createServer((req, res) => handleContact(req, res));
+ *
+ * Spanish Academic 2026
+ */
+
+import { createHash, randomUUID } from 'crypto';
+import { importSourceModule, importStructuredModule } from '../utils/structured-data.js';
+import { appendSubmission, resolveStorageFile } from './store.js';
+
+// A real message is a few KB; anything much larger is not from the form
+export const MAX_BODY_BYTES = 20 * 1024;
+
+export const DEFAULT_RATE_LIMIT = {
+  max: 5,
+  windowMs: 15 * 60 * 1000,
+};
+
+const STRING_FIELDS = [
+  'name',
+  'email',
+  'role',
+  'topic',
+  'programId',
+  'correctionField',
+  'proposedValue',
+  'sourceUrl',
+  'message',
+  'website',
+];
+
+/**
+ * Sliding-window limiter: at most `max` hits per key within `windowMs`
+ * Keys whose hits have all expired are dropped once per window, so the map
+ * only holds clients seen recently.
+ */
+export function createRateLimiter({ max, windowMs }, now = Date.now) {
+  const hits = new Map();
+  let lastPrune = now();
+
+  function prune(current) {
+    for (const [key, times] of hits) {
+      if (current - times[times.length - 1] >= windowMs) {
+        hits.delete(key);
+      }
+    }
+    lastPrune = current;
+  }
+
+  return {
+    hit(key) {
+      const current = now();
+      if (current - lastPrune >= windowMs) {
+        prune(current);
+      }
+
+      const recent = (hits.get(key) || []).filter(time => current - time < windowMs);
+
+      if (recent.length >= max) {
+        hits.set(key, recent);
+        return { allowed: false, retryAfterSeconds: Math.ceil((recent[0] + windowMs - current) / 1000) };
+      }
+
+      recent.push(current);
+      hits.set(key, recent);
+      return { allowed: true, retryAfterSeconds: 0 };
+    },
+  };
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store',
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read the request body as text
+ * Past MAX_BODY_BYTES it rejects with status 413 and leaves the request
+ * paused; the caller answers, then resumes it to drain the rest (see drainAndClose).
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', chunk => {
+      if (tooLarge) return;
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        req.pause();
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Discard the rest of an oversized body, so the client (still sending) gets
+ * to read the response, and close the connection after it
+ */
+function drainAndClose(req, res) {
+  res.on('finish', () => req.socket?.end());
+  req.resume();
+}
+
+function getClientIp(req, trustProxy) {
+  if (trustProxy) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (typeof forwarded === 'string' && forwarded.trim()) {
+      return forwarded.split(',')[0].trim();
+    }
+  }
+  return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Keep only the fields the form sends, coerced to the expected types
+ */
+function normalizePayload(body) {
+  const payload = {};
+  for (const field of STRING_FIELDS) {
+    payload[field] = typeof body[field] === 'string' ? body[field] : '';
+  }
+  payload.language = body.language === 'es' ? 'es' : 'en';
+  payload.elapsedMs = typeof body.elapsedMs === 'number' ? body.elapsedMs : NaN;
+  return payload;
+}
+
+/**
+ * Build the handler
+ *
+ * @param {object} [options]
+ * @param {string} [options.storageFile] - Defaults to resolveStorageFile()
+ * @param {{ max: number, windowMs: number }} [options.rateLimit]
+ * @param {boolean} [options.trustProxy] - Read the client IP from X-Forwarded-For
+ *   (only behind a proxy that sets it)
+ * @param {string} [options.ipSalt] - Salt for the stored IP hash (CONTACT_IP_SALT)
+ * @param {() => number} [options.now]
+ */
+export async function createContactHandler(options = {}) {
+  const {
+    storageFile = resolveStorageFile(),
+    rateLimit = DEFAULT_RATE_LIMIT,
+    trustProxy = false,
+    ipSalt = process.env.CONTACT_IP_SALT || '',
+    now = Date.now,
+  } = options;
+
+  const { validateContact, detectSpam } = await importSourceModule('src/apps/contact/validation.ts');
+  const { programs } = await importStructuredModule();
+  const programIds = programs.map(program => program.id);
+  const limiter = createRateLimiter(rateLimit, now);
+
+  return async function handleContact(req, res) {
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'methodNotAllowed' }, { Allow: 'POST' });
+    }
+    if (!(req.headers['content-type'] || '').includes('application/json')) {
+      return sendJson(res, 415, { error: 'unsupportedMediaType' });
+    }
+
+    const ip = getClientIp(req, trustProxy);
+    const { allowed, retryAfterSeconds } = limiter.hit(ip);
+    if (!allowed) {
+      return sendJson(res, 429, { error: 'rateLimited' }, { 'Retry-After': String(retryAfterSeconds) });
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      if (error.status === 413) {
+        drainAndClose(req, res);
+        return sendJson(res, 413, { error: 'tooLarge' }, { Connection: 'close' });
+      }
+      return sendJson(res, 400, { error: 'invalidJson' });
+    }
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+      return sendJson(res, 400, { error: 'invalidJson' });
+    }
+
+    const payload = normalizePayload(body);
+    const errors = validateContact(payload, programIds);
+    if (Object.keys(errors).length > 0) {
+      return sendJson(res, 422, { errors });
+    }
+
+    const id = randomUUID();
+    if (detectSpam(payload)) {
+      return sendJson(res, 201, { id });
+    }
+
+    const { website: _website, elapsedMs: _elapsedMs, ...fields } = payload;
+    // Correction fields only mean something for the correction topic
+    const isCorrection = fields.topic === 'correction';
+    appendSubmission(storageFile, {
+      id,
+      receivedAt: new Date(now()).toISOString(),
+      status: 'new',
+      tags: [],
+      ...fields,
+      name: fields.name.trim(),
+      email: fields.email.trim(),
+      message: fields.message.trim(),
+      correctionField: isCorrection ? fields.correctionField : '',
+      proposedValue: isCorrection ? fields.proposedValue.trim() : '',
+      sourceUrl: isCorrection ? fields.sourceUrl.trim() : '',
+      // Enough to spot repeat senders without keeping the address itself
+      ipHash: createHash('sha256').update(ipSalt + ip).digest('hex').slice(0, 16),
+    });
+
+    return sendJson(res, 201, { id });
+  };
+}
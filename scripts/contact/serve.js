@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Local Contact Server
+ *
+ * Serves /public/ and the contact endpoint together, so the contact pages
+ * (/contact/, /es/contacto/) can be tested end to end without deploying:
+ * - POST /api/contact → handler.js (submissions go to storage/contact/)
+ * - GET anything else → static files from /public/
+ *
+ * Usage:
+ *   npm run contact:serve                 # http://localhost:8787
+ *   PORT=9000 npm run contact:serve
+ *   CONTACT_STORAGE_FILE=/tmp/test.jsonl npm run contact:serve
+ *
+ * Spanish Academic 2026
+ */
+
+import { createServer } from 'http';
+import { createReadStream, existsSync, statSync } from 'fs';
+import { join, dirname, extname, normalize, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { createContactHandler } from './handler.js';
+import { resolveStorageFile } from './store.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = join(__dirname, '..', '..', 'public');
+const PORT = Number(process.env.PORT) || 8787;
+const API_PATH = '/api/contact';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.map': 'application/json; charset=utf-8',
+};
+
+/**
+ * Resolve a URL path inside /public/ (directories serve index.html)
+ * Returns null for anything outside /public/ or missing
+ *
+ * @throws URIError on malformed percent-encoding (e.g. /%E0%A4%A)
+ */
+function resolveStaticFile(urlPath) {
+  const decoded = decodeURIComponent(urlPath);
+  const filePath = normalize(join(PUBLIC_DIR, decoded));
+  if (filePath !== PUBLIC_DIR && !filePath.startsWith(PUBLIC_DIR + sep)) {
+    return null;
+  }
+  if (existsSync(filePath) && statSync(filePath).isDirectory()) {
+    const indexFile = join(filePath, 'index.html');
+    return existsSync(indexFile) ? indexFile : null;
+  }
+  return existsSync(filePath) ? filePath : null;
+}
+
+async function main() {
+  const handleContact = await createContactHandler();
+
+  const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (pathname === API_PATH) {
+      handleContact(req, res).catch(error => {
+        console.error(`❌ ${req.method} ${pathname}: ${error.message}`);
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'application/json; charset=utf-8' });
+        }
+        res.end(JSON.stringify({ error: 'serverError' }));
+      });
+      res.on('finish', () => console.log(`📨 ${req.method} ${pathname} → ${res.statusCode}`));
+      return;
+    }
+
+    let filePath = null;
+    try {
+      filePath = req.method === 'GET' || req.method === 'HEAD' ? resolveStaticFile(pathname) : null;
+    } catch (error) {
+      if (!(error instanceof URIError)) throw error;
+      res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Bad request');
+      return;
+    }
+    if (!filePath) {
+      res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Not found');
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(filePath)] || 'application/octet-stream' });
+    if (req.method === 'HEAD') {
+      res.end();
+      return;
+    }
+    createReadStream(filePath).pipe(res);
+  });
+
+  server.listen(PORT, () => {
+    console.log(`✅ Serving /public/ and ${API_PATH} on http://localhost:${PORT}`);
+    console.log(`📁 Submissions: ${resolveStorageFile()}`);
+    console.log('   Press Ctrl+C to stop');
+  });
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,72 @@
+/**
+ * Contact Submission Storage
+ *
+ * Submissions are stored one JSON object per line in
+ * storage/contact/submissions.jsonl (override with CONTACT_STORAGE_FILE).
+ * The endpoint only appends; the moderation CLI rewrites the file to change
+ * a submission's status or tags. The file holds names and email addresses,
+ * so storage/contact/ is git-ignored.
+ *
+ * Record shape:
+ *   { id, receivedAt, status, tags, language, name, email, role, topic,
+ *     programId, correctionField, proposedValue, sourceUrl, message, ipHash }
+ *
+ * correctionField / proposedValue / sourceUrl are empty unless the topic is
+ * `correction` (see scripts/contact/corrections.js).
+ *
+ * Spanish Academic 2026
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROJECT_ROOT = join(__dirname, '..', '..');
+
+export const DEFAULT_STORAGE_FILE = join(PROJECT_ROOT, 'storage', 'contact', 'submissions.jsonl');
+
+/**
+ * Moderation queue states: every submission starts as `new`
+ */
+export const SUBMISSION_STATUSES = ['new', 'accepted', 'rejected', 'done'];
+
+export function resolveStorageFile() {
+  return process.env.CONTACT_STORAGE_FILE || DEFAULT_STORAGE_FILE;
+}
+
+export function appendSubmission(file, record) {
+  mkdirSync(dirname(file), { recursive: true });
+  appendFileSync(file, JSON.stringify(record) + '\n', 'utf-8');
+}
+
+/**
+ * Read every submission (oldest first); a malformed line is an error, not skipped
+ */
+export function readSubmissions(file) {
+  if (!existsSync(file)) {
+    return [];
+  }
+
+  return readFileSync(file, 'utf-8')
+    .split('\n')
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, number }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}:${number} is not valid JSON (${error.message})`);
+      }
+    });
+}
+
+/**
+ * Replace the file's contents (written to a temp file first, then renamed)
+ */
+export function writeSubmissions(file, records) {
+  mkdirSync(dirname(file), { recursive: true });
+  const tempFile = `${file}.tmp`;
+  writeFileSync(tempFile, records.map(record => JSON.stringify(record) + '\n').join(''), 'utf-8');
+  renameSync(tempFile, file);
+}
@@ -12,6 +12,7 @@
 import { readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import { load } from 'cheerio';
+import { PRODUCTION_ORIGIN, siteConfig } from '../../src/config/site';
 
 interface ArticleData {
   sourceFile: string;
@@ -98,8 +99,8 @@ for (const article of articles) {
   console.log(`\n📝 Generating: ${article.slug}.html`);
 
   // Determine paths
-  const enPath = `/insights/${article.slug}.html`;
-  const esPath = `/es/insights/${article.spanishSlug}.html`;
+  const enPath = `${siteConfig.sections.insights.en}${article.slug}.html`;
+  const esPath = `${siteConfig.sections.insights.es}${article.spanishSlug}.html`;
 
   // Generate English page
   let enPage = baseTemplate
@@ -117,8 +118,8 @@ for (const article of articles) {
     .replace('[/es/ruta/a/pagina.html]', esPath)
 
     // Canonical and hreflang
-    .replace(/https:\/\/spanishacademic\.com\/\[path\/to\/page\.html\]/g, `https://spanishacademic.com${enPath}`)
-    .replace(/https:\/\/spanishacademic\.com\/es\/\[ruta\/a\/pagina\.html\]/g, `https://spanishacademic.com${esPath}`)
+    .replaceAll(`${PRODUCTION_ORIGIN}/[path/to/page.html]`, `${siteConfig.origin}${enPath}`)
+    .replaceAll(`${PRODUCTION_ORIGIN}/es/[ruta/a/pagina.html]`, `${siteConfig.origin}${esPath}`)
     .replace('/es/[ruta/a/pagina.html]', esPath)
 
     // Open Graph
@@ -157,8 +158,8 @@ for (const article of articles) {
     .replace('[META_DESCRIPCION]', `${article.metaDescription} (Versión en español en preparación)`)
     .replace('[/es/ruta/a/pagina.html]', esPath)
     .replace('[/path/to/page.html]', enPath)
-    .replace('https://spanishacademic.com/es/[ruta/a/pagina.html]', `https://spanishacademic.com${esPath}`)
-    .replace('https://spanishacademic.com/[path/to/page.html]', `https://spanishacademic.com${enPath}`)
+    .replace(`${PRODUCTION_ORIGIN}/es/[ruta/a/pagina.html]`, `${siteConfig.origin}${esPath}`)
+    .replace(`${PRODUCTION_ORIGIN}/[path/to/page.html]`, `${siteConfig.origin}${enPath}`)
     .replace('[/path/to/page.html]', enPath);
 
   const esFilePath = join(esInsightsDir, `${article.spanishSlug}.html`);
@@ -8,6 +8,8 @@
  * - Required disclaimers in HTML
  * - lastReviewed field in JSON twins
  * - Conservative, factual language (no guarantees/promises)
+ * - Bilingual parity: a sensitive page's counterpart (path_en / path_es) is governed too
+ * Category index pages (categoryIndex twins) are skipped: the pages they list are checked
  *
  * Usage: npm run data-governance-scan
  *
@@ -42,7 +44,7 @@ const SENSITIVE_TOPICS = {
       /\bpermanent resident\b/i,
       /\bstem opt\b/i,
     ],
-    requiredDisclaimer: /not legal advice|not immigration advice|consult.*immigration attorney|consult.*lawyer/i,
+    requiredDisclaimer: /not legal advice|not immigration advice|consult.*immigration attorney|consult.*lawyer|no constituye asesoramiento legal|consulte.*abogado de inmigración/i,
     name: 'Visa/Immigration',
   },
   ai_ethics: {
@@ -57,8 +59,11 @@ const SENSITIVE_TOPICS = {
       /\bacademic integrity.*ai\b/i,
       /\bplagiarism.*ai\b/i,
       /\bai.*disclosure\b/i,
+      /\binteligencia artificial\b/i,
+      /\bherramientas de ia\b/i,
+      /\bintegridad académica.*\bia\b/i,
     ],
-    requiredDisclaimer: /ai policies vary|check.*institutional policy|verify.*university.*ai policy|consult.*instructor/i,
+    requiredDisclaimer: /ai policies vary|check.*institutional policy|verify.*university.*ai policy|consult.*instructor|políticas sobre ia varían|consulte.*normativa de su universidad|consulte al docente/i,
     name: 'AI Ethics/Disclosure',
   },
   funding_guarantees: {
@@ -69,7 +74,7 @@ const SENSITIVE_TOPICS = {
       /\btuition waiver\b/i,
       /\bfellowship guarantee\b/i,
     ],
-    requiredDisclaimer: /subject to change|verify.*current|contact.*department|not guaranteed|may vary/i,
+    requiredDisclaimer: /subject to change|verify.*current|contact.*department|not guaranteed|may vary|pueden cambiar|verifique.*vigentes/i,
     name: 'Funding Guarantees',
   },
   academic_integrity: {
@@ -80,7 +85,7 @@ const SENSITIVE_TOPICS = {
       /\bcheating\b/i,
       /\bmisconduct\b/i,
     ],
-    requiredDisclaimer: /consult.*code of conduct|verify.*institutional policy|check.*honor code/i,
+    requiredDisclaimer: /consult.*code of conduct|verify.*institutional policy|check.*honor code|consulte.*código de conducta|verifique.*normativa/i,
     name: 'Academic Integrity',
   },
 };
@@ -136,6 +141,17 @@ function checkProhibitedLanguage(text) {
   return violations;
 }
 
+/**
+ * Type of a JSON twin, or null if it's missing or unreadable
+ */
+function readTwinType(jsonPath) {
+  try {
+    return JSON.parse(readFileSync(jsonPath, 'utf-8')).type ?? null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Validate a single HTML file and its JSON twin
  */
@@ -155,7 +171,9 @@ function validateFile(htmlPath) {
     // Detect sensitive topics
     const sensitiveTopics = detectSensitiveTopics(bodyText);
 
-    if (sensitiveTopics.length === 0) {
+    // Category index pages only excerpt the pages they list, which are governed themselves
+    const jsonPath = htmlPath.replace(/\.html$/, '.json');
+    if (sensitiveTopics.length === 0 || readTwinType(jsonPath) === 'categoryIndex') {
       // No sensitive content, skip validation
       pagesProcessed++;
       return null;
@@ -180,8 +198,6 @@ function validateFile(htmlPath) {
     });
 
     // Check for JSON twin
-    const jsonPath = htmlPath.replace(/\.html$/, '.json');
-
     if (!existsSync(jsonPath)) {
       errors.push('Missing JSON twin (required for governance tracking)');
     } else {
@@ -242,6 +258,8 @@ function validateFile(htmlPath) {
     return {
       filePath: htmlPath,
       relPath,
+      pathEn: $('meta[name="path_en"]').attr('content')?.trim(),
+      pathEs: $('meta[name="path_es"]').attr('content')?.trim(),
       sensitiveTopics,
       errors,
       warnings,
@@ -254,6 +272,21 @@ function validateFile(htmlPath) {
   }
 }
 
+/**
+ * Counterpart of a page in the other language, relative to /public/
+ * Uses the page's path_en / path_es metadata, so translated slugs pair up
+ * (programs/x.html ↔ es/programas/y.html); falls back to the es/ prefix.
+ */
+function getCounterpartPath(result) {
+  const isSpanish = /^es[/\\]/.test(result.relPath);
+  const sitePath = isSpanish ? result.pathEn : result.pathEs;
+
+  if (sitePath && sitePath.startsWith('/') && !sitePath.includes('[')) {
+    return sitePath.replace(/^\//, '').replace(/(^|\/)$/, '$1index.html');
+  }
+  return isSpanish ? result.relPath.replace(/^es[/\\]/, '') : `es/${result.relPath}`;
+}
+
 /**
  * Check bilingual parity for sensitive content
  */
@@ -262,41 +295,22 @@ function checkBilingualParity(enResults, esResults) {
   console.log('🌐 Checking Bilingual Governance Parity\n');
 
   const parityErrors = [];
-
-  // Build map of English sensitive pages
-  const enSensitivePages = new Map();
-  enResults.forEach(result => {
-    if (result && result.sensitiveTopics.length > 0) {
-      // Get corresponding Spanish path
-      const enRelPath = relative(PUBLIC_DIR, result.filePath);
-      enSensitivePages.set(enRelPath, result);
-    }
-  });
-
-  // Build map of Spanish sensitive pages
-  const esSensitivePages = new Map();
-  esResults.forEach(result => {
-    if (result && result.sensitiveTopics.length > 0) {
-      const esRelPath = relative(PUBLIC_DIR, result.filePath);
-      // Remove 'es/' prefix to compare with English
-      const normalizedPath = esRelPath.replace(/^es[/\\]/, '');
-      esSensitivePages.set(normalizedPath, result);
-    }
-  });
+  const isSensitive = result => result && result.sensitiveTopics.length > 0;
+  const sensitivePaths = new Set([...enResults, ...esResults].filter(isSensitive).map(result => result.relPath));
 
   // Check for English pages without Spanish governance
-  enSensitivePages.forEach((result, enPath) => {
-    if (!esSensitivePages.has(enPath)) {
-      console.error(`❌ English sensitive content without Spanish governance: ${enPath}`);
-      parityErrors.push(`Missing Spanish governance for: ${enPath}`);
+  enResults.filter(isSensitive).forEach(result => {
+    if (!sensitivePaths.has(getCounterpartPath(result))) {
+      console.error(`❌ English sensitive content without Spanish governance: ${result.relPath}`);
+      parityErrors.push(`Missing Spanish governance for: ${result.relPath}`);
     }
   });
 
   // Check for Spanish pages without English governance
-  esSensitivePages.forEach((result, normalizedPath) => {
-    if (!enSensitivePages.has(normalizedPath)) {
-      console.error(`❌ Spanish sensitive content without English governance: es/${normalizedPath}`);
-      parityErrors.push(`Missing English governance for: es/${normalizedPath}`);
+  esResults.filter(isSensitive).forEach(result => {
+    if (!sensitivePaths.has(getCounterpartPath(result))) {
+      console.error(`❌ Spanish sensitive content without English governance: ${result.relPath}`);
+      parityErrors.push(`Missing English governance for: ${result.relPath}`);
     }
   });
 
@@ -0,0 +1,557 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Faculty Pages Script
+ *
+ * Renders bilingual faculty profile pages from src/data/structured/faculty.ts
+ * using templates/base.html and templates/base-es.html:
+ * - /faculty/<id>.html and /es/profesorado/<translateSlug(id)>.html
+ * - Research areas, methods, advising availability, notable work, links
+ * - schema.org Person markup (JSON-LD) and a link to the member's program page
+ * - /faculty/index.html and /es/profesorado/index.html: faculty by research area
+ *
+ * FACULTY PROFILE TWINS:
+ * - Writes a FacultyProfile JSON twin (src/data/types.ts) next to each profile
+ * - generate-json keeps typed twins, so run this script before it
+ *
+ * Usage: npm run generate-faculty-pages
+ *
+ * Spanish Academic 2026
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { loadValidStructuredData, importSourceModule } from './utils/structured-data.js';
+import {
+  PUBLIC_DIR,
+  TITLE_MIN,
+  TITLE_MAX,
+  META_DESC_MIN,
+  META_DESC_MAX,
+  escapeHtml,
+  loadBaseTemplate,
+  pickOrWarn,
+  renderBasePage,
+  writePublicFile,
+} from './utils/page-template.js';
+import { TWIN_SCHEMA_VERSION } from './utils/twin-schemas.js';
+import { SECTION_PATHS, SITE_ORIGIN } from './utils/site-config.js';
+
+const EXPLORER_PATHS = SECTION_PATHS.explorer;
+
+/**
+ * Page copy per language (plain text; escaped when rendered)
+ */
+const COPY = {
+  en: {
+    keyword: (m) => `${m.name} faculty profile`,
+    audience: 'Prospective graduate students looking for a Spanish program advisor',
+    titles: (m, institution) => [
+      `${m.name}, ${institution}: Faculty Profile`,
+      `${m.name}: Research Areas, Advising and Publications`,
+      `${m.name}, ${m.title_en} | Spanish Academic`,
+      `${m.name}: Faculty Profile`,
+    ],
+    descriptions: (m, institution) => [
+      `${m.name}, ${m.title_en} at ${institution}: research areas, methods, advising availability, notable work and links for prospective graduate students.`,
+      `${m.name}, ${m.title_en} at ${institution}: research areas, methods, advising availability and notable work.`,
+      `${m.name} (${institution}): research areas, methodological strengths, advising availability for new graduate students, notable work and links.`,
+      `${m.name}: research areas, methodological strengths, advising availability, notable publications and links for prospective graduate students in Spanish.`,
+    ],
+    intro: (m, institution) =>
+      `${m.name} is ${/^[AEIOU]/i.test(m.title_en) ? 'an' : 'a'} ${m.title_en} in ${m.department_en} at ${institution}. ` +
+      'This profile lists their research areas, methodological strengths and advising availability, ' +
+      'so you can judge whether they could supervise your graduate research. Always confirm availability directly.',
+    research: 'Research areas',
+    methods: 'Methodological strengths',
+    advising: 'Advising',
+    accepting: 'Accepting new advisees',
+    notAccepting: 'Not accepting new advisees',
+    verified: (date) => `Advising information verified ${date}.`,
+    notableWork: 'Notable work',
+    program: 'Program',
+    programLink: (p) => `${p.degree_en} at ${p.institution_en}`,
+    links: 'Links',
+    website: (m) => `${m.name}'s faculty page`,
+    scholar: (m) => `${m.name} on Google Scholar`,
+    email: (m) => `Email ${m.name}`,
+    faq: 'Frequently Asked Questions',
+    faqAccepting: (m) => `Is ${m.name} accepting new graduate advisees?`,
+    faqAcceptingYes: (m) => `Yes, as of the last verification. ${m.advisingNotes_en}`,
+    faqAcceptingNo: (m) => `Not at the moment, as of the last verification. ${m.advisingNotes_en}`,
+    related: 'Related Resources',
+    relatedIndex: 'Faculty directory by research area',
+    relatedAdvisors: 'Find an advisor in the Program Explorer',
+    // Index page
+    indexKeyword: 'Spanish faculty by research area',
+    indexTitles: [
+      'Faculty Directory by Research Area | Spanish Academic',
+      'Spanish Faculty Directory by Research Area',
+    ],
+    indexDescriptions: [
+      'Browse faculty in Spanish linguistics, literature and translation graduate programs by research area, with advising availability and links to each profile.',
+    ],
+    indexHeading: 'Faculty by Research Area',
+    indexIntro:
+      'Faculty in the graduate programs we cover, grouped by research area. Each profile lists methodological strengths, ' +
+      'advising availability and notable work, and links to the faculty member\'s program. ' +
+      'Use the Program Explorer to filter advisors by method or institution.',
+    areasNav: 'Research areas',
+    memberCount: (n) => (n === 1 ? '1 faculty member' : `${n} faculty members`),
+  },
+  es: {
+    keyword: (m) => `perfil docente de ${m.name}`,
+    audience: 'Futuros estudiantes de posgrado que buscan asesor en programas de español',
+    titles: (m, institution) => [
+      `${m.name}, ${institution}: perfil docente`,
+      `${m.name}: investigación, asesoría y publicaciones`,
+      `${m.name}, ${m.title_es} | Spanish Academic`,
+      `${m.name}: perfil docente`,
+    ],
+    descriptions: (m, institution) => [
+      `${m.name}, ${m.title_es.toLowerCase()} en la ${institution}: áreas de investigación, métodos, disponibilidad como asesor y obra destacada.`,
+      `${m.name}, ${m.title_es.toLowerCase()} en la ${institution}: investigación, métodos, asesoría y obra destacada.`,
+      `${m.name} (${institution}): áreas de investigación, fortalezas metodológicas, disponibilidad para asesorar y obra destacada.`,
+      `${m.name}: áreas de investigación, fortalezas metodológicas, disponibilidad para nuevos asesorados, publicaciones destacadas y enlaces para futuros estudiantes.`,
+    ],
+    intro: (m, institution) =>
+      `${m.name} es ${m.title_es.toLowerCase()} del departamento de ${m.department_es} en la ${institution}. ` +
+      'Este perfil reúne sus áreas de investigación, fortalezas metodológicas y disponibilidad como asesor, ' +
+      'para que pueda valorar si podría dirigir su investigación de posgrado. Confirme siempre la disponibilidad directamente.',
+    research: 'Áreas de investigación',
+    methods: 'Fortalezas metodológicas',
+    advising: 'Asesoría',
+    accepting: 'Acepta nuevos asesorados',
+    notAccepting: 'No acepta nuevos asesorados',
+    verified: (date) => `Información de asesoría verificada el ${date}.`,
+    notableWork: 'Obra destacada',
+    program: 'Programa',
+    programLink: (p) => `${p.degree_es} en la ${p.institution_es}`,
+    links: 'Enlaces',
+    website: (m) => `Página docente de ${m.name}`,
+    scholar: (m) => `${m.name} en Google Académico`,
+    email: (m) => `Escribir a ${m.name}`,
+    faq: 'Preguntas Frecuentes',
+    faqAccepting: (m) => `¿${m.name} acepta nuevos asesorados de posgrado?`,
+    faqAcceptingYes: (m) => `Sí, según la última verificación. ${m.advisingNotes_es}`,
+    faqAcceptingNo: (m) => `Por ahora no, según la última verificación. ${m.advisingNotes_es}`,
+    related: 'Recursos Relacionados',
+    relatedIndex: 'Directorio de profesorado por área de investigación',
+    relatedAdvisors: 'Buscar asesor en el Explorador de programas',
+    // Index page
+    indexKeyword: 'profesorado de español por área de investigación',
+    indexTitles: [
+      'Directorio de profesorado por área de investigación',
+      'Profesorado de posgrado por área de investigación',
+    ],
+    indexDescriptions: [
+      'Consulte el profesorado de posgrados en lingüística, literatura y traducción por área de investigación, con su disponibilidad como asesor y enlaces a cada perfil.',
+      'Profesorado de posgrados en lingüística, literatura y traducción por área de investigación, con disponibilidad como asesor y enlace a cada perfil.',
+    ],
+    indexHeading: 'Profesorado por área de investigación',
+    indexIntro:
+      'El profesorado de los programas de posgrado que cubrimos, agrupado por área de investigación. Cada perfil indica ' +
+      'fortalezas metodológicas, disponibilidad como asesor y obra destacada, con un enlace a su programa. ' +
+      'Use el Explorador de programas para filtrar asesores por método o institución.',
+    areasNav: 'Áreas de investigación',
+    memberCount: (n) => (n === 1 ? '1 miembro del profesorado' : `${n} miembros del profesorado`),
+  },
+};
+
+// Track results
+let pagesWritten = 0;
+let twinsWritten = 0;
+let errorCount = 0;
+let warningCount = 0;
+const countWarning = () => warningCount++;
+
+/**
+ * Anchor id for a research area heading on the index page
+ */
+function areaAnchor(area) {
+  return area
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * schema.org Person markup for a profile page
+ */
+function renderPersonJsonLd(member, program, paths, lang) {
+  const person = {
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: member.name,
+    jobTitle: member[`title_${lang}`],
+    url: `${SITE_ORIGIN}${paths[lang]}`,
+    knowsAbout: member[`researchAreas_${lang}`],
+    affiliation: {
+      '@type': 'CollegeOrUniversity',
+      name: program ? program[`institution_${lang}`] : undefined,
+      department: {
+        '@type': 'Organization',
+        name: member[`department_${lang}`],
+      },
+    },
+    sameAs: [member.websiteURL, member.scholarURL].filter(Boolean),
+  };
+
+  if (member.email) {
+    person.email = member.email;
+  }
+
+  // JSON.stringify drops undefined; "<" is escaped so the script can't be closed early
+  const json = JSON.stringify(person, null, 2).replace(/</g, '\\u003c');
+  return `  <script type="application/ld+json">\n${json.replace(/^/gm, '  ')}\n  </script>`;
+}
+
+/**
+ * Render the <main> element of one profile page
+ */
+function renderProfileMain(member, program, lang, methodsLabels, indexPath) {
+  const c = COPY[lang];
+  const institution = program ? program[`institution_${lang}`] : '';
+  const list = items => items.map(item => `          <li>${escapeHtml(item)}</li>`).join('\n');
+  const notableWork = member[`notableWork_${lang}`];
+
+  const links = [
+    [member.websiteURL, c.website(member)],
+    [member.scholarURL, c.scholar(member)],
+    [member.email ? `mailto:${member.email}` : null, c.email(member)],
+  ]
+    .filter(([href]) => href)
+    .map(([href, text]) => `          <li><a href="${escapeHtml(href)}" rel="noopener noreferrer">${escapeHtml(text)}</a></li>`)
+    .join('\n');
+
+  const programSection = program
+    ? `
+      <section id="program">
+        <h2>${escapeHtml(c.program)}</h2>
+        <p><a href="${program[`url_${lang}`]}">${escapeHtml(c.programLink(program))}</a></p>
+      </section>
+`
+    : '';
+
+  const notableSection = notableWork.length > 0
+    ? `
+      <section id="notable-work">
+        <h2>${escapeHtml(c.notableWork)}</h2>
+        <ul>
+${list(notableWork)}
+        </ul>
+      </section>
+`
+    : '';
+
+  const linksSection = links
+    ? `
+      <section id="links">
+        <h2>${escapeHtml(c.links)}</h2>
+        <ul>
+${links}
+        </ul>
+      </section>
+`
+    : '';
+
+  const firstArea = member.researchAreas_en[0] ?? '';
+  const advisorsRoute = `${EXPLORER_PATHS[lang]}?${new URLSearchParams({ view: 'advisors', area: firstArea }).toString()}`;
+
+  return `<main id="main-content" role="main">
+
+    <h1>${escapeHtml(member.name)}</h1>
+
+    <p class="intro">
+      ${escapeHtml(c.intro(member, institution))}
+    </p>
+
+    <article>
+      <section id="research">
+        <h2>${escapeHtml(c.research)}</h2>
+        <ul>
+${list(member[`researchAreas_${lang}`])}
+        </ul>
+      </section>
+
+      <section id="methods">
+        <h2>${escapeHtml(c.methods)}</h2>
+        <ul>
+${list(member.methodologicalStrengths.map(method => methodsLabels[method]))}
+        </ul>
+      </section>
+
+      <section id="advising">
+        <h2>${escapeHtml(c.advising)}</h2>
+        <p><strong>${escapeHtml(member.acceptingAdvisees ? c.accepting : c.notAccepting)}.</strong> ${escapeHtml(member[`advisingNotes_${lang}`])}</p>
+        <p><small>${escapeHtml(c.verified(member.lastVerified))}</small></p>
+      </section>
+${notableSection}${programSection}${linksSection}    </article>
+
+    <section class="faq-section">
+      <h2>${escapeHtml(c.faq)}</h2>
+
+      <div class="faq-item">
+        <h3 class="faq-question">${escapeHtml(c.faqAccepting(member))}</h3>
+        <div class="faq-answer">
+          <p>${escapeHtml(member.acceptingAdvisees ? c.faqAcceptingYes(member) : c.faqAcceptingNo(member))}</p>
+        </div>
+      </div>
+    </section>
+
+    <aside class="related-resources">
+      <h2>${escapeHtml(c.related)}</h2>
+      <ul>
+        <li><a href="${indexPath}">${escapeHtml(c.relatedIndex)}</a></li>
+        <li><a href="${escapeHtml(advisorsRoute)}">${escapeHtml(c.relatedAdvisors)}</a></li>
+      </ul>
+    </aside>
+
+  </main>`;
+}
+
+/**
+ * Render the <main> element of the research area index
+ */
+function renderIndexMain(faculty, programsById, paths, lang) {
+  const c = COPY[lang];
+  const collator = new Intl.Collator(lang);
+  const byArea = new Map();
+
+  for (const member of faculty) {
+    for (const area of member[`researchAreas_${lang}`]) {
+      if (!byArea.has(area)) byArea.set(area, []);
+      byArea.get(area).push(member);
+    }
+  }
+
+  const areas = [...byArea.keys()].sort(collator.compare);
+
+  const nav = areas
+    .map(area => `        <li><a href="#${areaAnchor(area)}">${escapeHtml(area)}</a></li>`)
+    .join('\n');
+
+  const sections = areas
+    .map(area => {
+      const members = byArea.get(area).sort((a, b) => collator.compare(a.name, b.name));
+      const items = members
+        .map(member => {
+          const program = programsById.get(member.programId);
+          const where = program ? `, ${escapeHtml(program[`institution_${lang}`])}` : '';
+          const status = member.acceptingAdvisees ? c.accepting : c.notAccepting;
+          return `          <li><a href="${paths.get(member.id)[lang]}">${escapeHtml(member.name)}</a>${where} (${escapeHtml(status.toLowerCase())})</li>`;
+        })
+        .join('\n');
+
+      return `      <section id="${areaAnchor(area)}">
+        <h2>${escapeHtml(area)}</h2>
+        <p>${escapeHtml(c.memberCount(members.length))}</p>
+        <ul>
+${items}
+        </ul>
+      </section>`;
+    })
+    .join('\n\n');
+
+  return `<main id="main-content" role="main">
+
+    <h1>${escapeHtml(c.indexHeading)}</h1>
+
+    <p class="intro">
+      ${escapeHtml(c.indexIntro)}
+    </p>
+
+    <nav aria-label="${escapeHtml(c.areasNav)}">
+      <ul>
+${nav}
+      </ul>
+    </nav>
+
+    <article>
+${sections}
+    </article>
+
+    <aside class="related-resources">
+      <h2>${escapeHtml(c.related)}</h2>
+      <ul>
+        <li><a href="${EXPLORER_PATHS[lang]}?view=advisors">${escapeHtml(c.relatedAdvisors)}</a></li>
+      </ul>
+    </aside>
+
+  </main>`;
+}
+
+/**
+ * Build the FacultyProfile twin (src/data/types.ts) for one language
+ */
+function buildProfile(member, program, paths, lang) {
+  return {
+    type: 'facultyProfile',
+    schemaVersion: TWIN_SCHEMA_VERSION,
+    language: lang,
+    facultyId: member.id,
+    name: member.name,
+    title: member[`title_${lang}`],
+    department: member[`department_${lang}`],
+    institution: program ? program[`institution_${lang}`] : '',
+    programId: member.programId,
+    programUrl: program ? program[`url_${lang}`] : '',
+    researchAreas: member[`researchAreas_${lang}`],
+    methodologicalStrengths: member.methodologicalStrengths,
+    acceptingAdvisees: member.acceptingAdvisees,
+    advisingNotes: member[`advisingNotes_${lang}`],
+    notableWork: member[`notableWork_${lang}`],
+    links: {
+      website: member.websiteURL,
+      scholar: member.scholarURL,
+    },
+    alternateLanguage: {
+      en: paths.en.replace(/\.html$/, '.json'),
+      es: paths.es.replace(/\.html$/, '.json'),
+    },
+    lastReviewed: member.lastVerified,
+  };
+}
+
+function renderAndWrite(lang, sitePath, page) {
+  const { html, leftover } = renderBasePage(loadBaseTemplate(lang), page);
+  if (leftover) {
+    console.error(`❌ ERROR [${sitePath}]: Unfilled template placeholder ${leftover}`);
+    errorCount++;
+  }
+  console.log(`✅ Generated: ${writePublicFile(sitePath, html)}`);
+  pagesWritten++;
+}
+
+/**
+ * Warn about profile pages that no faculty member points to
+ */
+function reportStalePages(expectedByLang, directories) {
+  for (const lang of ['en', 'es']) {
+    const dir = directories[lang];
+    const absDir = join(PUBLIC_DIR, dir);
+    if (!existsSync(absDir)) continue;
+
+    for (const file of readdirSync(absDir).filter(f => f.endsWith('.html'))) {
+      if (!expectedByLang[lang].has(`${dir}${file}`)) {
+        console.warn(`⚠️  WARNING [${dir}${file}]: No faculty member has this URL; delete the page and its .json twin`);
+        warningCount++;
+      }
+    }
+  }
+}
+
+async function main() {
+  console.log('🏗️  Generating faculty profile pages...\n');
+
+  const { programs, faculty, module } = await loadValidStructuredData();
+  const { translateSlug } = await importSourceModule('src/utils/slugTranslations.ts');
+  const dictionaries = {
+    en: (await importSourceModule('src/i18n/en.ts')).en,
+    es: (await importSourceModule('src/i18n/es.ts')).es,
+  };
+  const programsById = new Map(programs.map(p => [p.id, p]));
+
+  const directories = {
+    en: module.getFacultyDirectory('en'),
+    es: module.getFacultyDirectory('es'),
+  };
+  const indexPaths = {
+    en: `${directories.en}index.html`,
+    es: `${directories.es}index.html`,
+  };
+
+  const paths = new Map();
+  for (const member of faculty) {
+    const memberPaths = {
+      en: module.getFacultyProfilePath(member, 'en'),
+      es: module.getFacultyProfilePath(member, 'es'),
+    };
+
+    // The Spanish slug must translate back, or the two pages can't find each other
+    const esSlug = memberPaths.es.slice(directories.es.length, -'.html'.length);
+    if (translateSlug(esSlug, 'en') !== member.id) {
+      console.error(`❌ ERROR [${member.id}]: Spanish slug "${esSlug}" does not translate back to the id; rename the faculty id`);
+      errorCount++;
+    }
+    paths.set(member.id, memberPaths);
+  }
+
+  for (const member of faculty) {
+    const program = programsById.get(member.programId);
+    const memberPaths = paths.get(member.id);
+
+    if (!program) {
+      console.warn(`⚠️  WARNING [${member.id}]: Program "${member.programId}" not found; profile has no program link`);
+      warningCount++;
+    }
+
+    for (const lang of ['en', 'es']) {
+      const c = COPY[lang];
+      const institution = program ? program[`institution_${lang}`] : member[`department_${lang}`];
+
+      renderAndWrite(lang, memberPaths[lang], {
+        keyword: c.keyword(member),
+        audience: c.audience,
+        lastReviewed: member.lastVerified,
+        title: pickOrWarn(c.titles(member, institution), TITLE_MIN, TITLE_MAX, 'title', memberPaths[lang], countWarning),
+        description: pickOrWarn(c.descriptions(member, institution), META_DESC_MIN, META_DESC_MAX, 'description', memberPaths[lang], countWarning),
+        pathEn: memberPaths.en,
+        pathEs: memberPaths.es,
+        main: renderProfileMain(member, program, lang, dictionaries[lang].explorer.advisors.methodsCultures, indexPaths[lang]),
+        head: renderPersonJsonLd(member, program, memberPaths, lang),
+      });
+
+      const twinPath = memberPaths[lang].replace(/\.html$/, '.json');
+      const twin = buildProfile(member, program, memberPaths, lang);
+      console.log(`✅ Generated: ${writePublicFile(twinPath, JSON.stringify(twin, null, 2) + '\n')}`);
+      twinsWritten++;
+    }
+  }
+
+  // Research area index (reviewed whenever the most recently verified record was)
+  const lastVerified = faculty.map(m => m.lastVerified).sort().at(-1) ?? '';
+  for (const lang of ['en', 'es']) {
+    const c = COPY[lang];
+    renderAndWrite(lang, indexPaths[lang], {
+      keyword: c.indexKeyword,
+      audience: c.audience,
+      lastReviewed: lastVerified,
+      title: pickOrWarn(c.indexTitles, TITLE_MIN, TITLE_MAX, 'title', indexPaths[lang], countWarning),
+      description: pickOrWarn(c.indexDescriptions, META_DESC_MIN, META_DESC_MAX, 'description', indexPaths[lang], countWarning),
+      pathEn: indexPaths.en,
+      pathEs: indexPaths.es,
+      main: renderIndexMain(faculty, programsById, paths, lang),
+    });
+  }
+
+  const expectedByLang = {
+    en: new Set([indexPaths.en, ...[...paths.values()].map(p => p.en)]),
+    es: new Set([indexPaths.es, ...[...paths.values()].map(p => p.es)]),
+  };
+  reportStalePages(expectedByLang, directories);
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Pages: ${pagesWritten}, FacultyProfile twins: ${twinsWritten}`);
+  console.log(`⚠️  Warnings: ${warningCount}`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Generation completed with errors');
+    process.exit(1);
+  } else if (warningCount > 0) {
+    console.log('\n⚠️  Generation completed with warnings');
+  } else {
+    console.log('\n✅ All faculty pages generated!');
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
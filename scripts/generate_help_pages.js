@@ -0,0 +1,331 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Help Pages Script
+ *
+ * Renders one static Help/Q&A page per question and language from
+ * templates/base.html and templates/base-es.html, using the HelpQuestion
+ * records in src/data/structured/help.ts and the detailed answer sections in
+ * src/data/unstructured/helpAnswers.en/.es.json:
+ * - /help/<slug>.html and /es/ayuda/<slug>.html (HelpQuestion.url_en / url_es)
+ * - The short answer directly under the question (above the fold), then the
+ *   detailed answer sections and related links
+ * - A legal disclaimer on questions with legalSensitivity (visa/immigration)
+ * - lastReviewed in the SEO_INTENT block and on the page
+ * - The category name (from src/data/structured/categories.ts) linking to its
+ *   category page, and <meta name="category"> with the category id so
+ *   build_categories.js lists the page
+ * - The Chat island (#chat-root) under the answer, with its asset tags from
+ *   the Vite manifest (scripts/utils/island-assets.js)
+ *
+ * QA PAGE TWINS:
+ * - Writes a QAPage JSON twin (src/data/types.ts) next to each page;
+ *   inject-json-ld turns it into FAQPage markup
+ * - generate-json keeps typed twins, so run this script before it (and
+ *   before build-categories)
+ *
+ * Output is deterministic (dates come from HelpQuestion.lastReviewed), so
+ * re-running without data changes produces no diff.
+ *
+ * Usage: npm run generate-help-pages
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { loadValidStructuredData } from './utils/structured-data.js';
+import {
+  PUBLIC_DIR,
+  TITLE_MIN,
+  TITLE_MAX,
+  META_DESC_MIN,
+  META_DESC_MAX,
+  escapeHtml,
+  loadBaseTemplate,
+  pickOrWarn,
+  renderBasePage,
+  writePublicFile,
+} from './utils/page-template.js';
+import { TWIN_SCHEMA_VERSION } from './utils/twin-schemas.js';
+import { readIslandManifest, renderIslandAssets } from './utils/island-assets.js';
+import { LANGUAGES, SECTION_PATHS } from './utils/site-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+const UNSTRUCTURED_DATA_DIR = join(PROJECT_ROOT, 'src', 'data', 'unstructured');
+
+// Output directories (must match the HelpQuestion.url_en / url_es prefixes)
+const OUTPUT_DIRS = SECTION_PATHS.help;
+
+/**
+ * Page copy per language
+ * Functions receive the question record and return plain text; everything is
+ * HTML-escaped when rendered.
+ */
+const COPY = {
+  en: {
+    audience: 'Prospective and current graduate students in Spanish programs',
+    titles: (q) => [
+      q.question_en,
+      `${q.question_en} | Spanish Academic`,
+      `${q.question_en} | Help`,
+    ],
+    descriptions: (q) => [
+      q.shortAnswer_en,
+      `${q.shortAnswer_en} Reviewed ${q.lastReviewed}.`,
+      `${q.question_en} ${q.shortAnswer_en}`,
+    ],
+    shortAnswer: 'Short answer',
+    legalDisclaimer:
+      'This is general information, not legal advice. Immigration rules change and depend on your situation; ' +
+      'confirm with your international students office or consult an immigration attorney.',
+    category: 'Category',
+    lastReviewed: 'Last reviewed',
+    related: 'Related Resources',
+  },
+  es: {
+    audience: 'Estudiantes actuales y futuros de programas de posgrado en español',
+    titles: (q) => [
+      q.question_es,
+      `${q.question_es} | Spanish Academic`,
+      `${q.question_es} | Ayuda`,
+    ],
+    descriptions: (q) => [
+      q.shortAnswer_es,
+      `${q.shortAnswer_es} Revisado el ${q.lastReviewed}.`,
+      `${q.question_es} ${q.shortAnswer_es}`,
+    ],
+    shortAnswer: 'Respuesta breve',
+    legalDisclaimer:
+      'Esta es información general y no constituye asesoramiento legal. Las normas migratorias cambian y dependen de su situación; ' +
+      'confírmelo con la oficina de estudiantes internacionales o consulte a un abogado de inmigración.',
+    category: 'Categoría',
+    lastReviewed: 'Última revisión',
+    related: 'Recursos Relacionados',
+  },
+};
+
+// Track results
+let pagesWritten = 0;
+let twinsWritten = 0;
+let errorCount = 0;
+let warningCount = 0;
+const countWarning = () => warningCount++;
+
+/**
+ * Whether a site path (/help/x.html or /explorer/) has a page in public/
+ */
+function pageExists(sitePath) {
+  const file = sitePath.endsWith('/') ? `${sitePath}index.html` : sitePath;
+  return existsSync(join(PUBLIC_DIR, file.replace(/^\//, '')));
+}
+
+/**
+ * Render the <main> element for one question and language
+ */
+function renderMain(question, category, answer, lang, module) {
+  const c = COPY[lang];
+  const sections = answer?.sections ?? [];
+  const related = answer?.related ?? [];
+
+  const disclaimer = question.legalSensitivity
+    ? `
+    <p class="legal-disclaimer"><strong>${escapeHtml(c.legalDisclaimer)}</strong></p>
+`
+    : '';
+
+  const detailedSections = sections
+    .map(section => `      <section>
+        <h2>${escapeHtml(section.heading)}</h2>
+        <p>${escapeHtml(section.text)}</p>
+      </section>`)
+    .join('\n\n');
+
+  const detailedAnswer = sections.length > 0
+    ? `
+    <article class="detailed-answer">
+${detailedSections}
+    </article>
+`
+    : '';
+
+  const relatedLinks = related.length > 0
+    ? `
+    <aside class="related-resources">
+      <h2>${escapeHtml(c.related)}</h2>
+      <ul>
+${related.map(link => `        <li><a href="${escapeHtml(link.path)}">${escapeHtml(link.text)}</a></li>`).join('\n')}
+      </ul>
+    </aside>
+`
+    : '';
+
+  return `<main id="main-content" role="main">
+
+    <h1>${escapeHtml(question[`question_${lang}`])}</h1>
+
+    <section class="short-answer">
+      <h2>${escapeHtml(c.shortAnswer)}</h2>
+      <p>${escapeHtml(question[`shortAnswer_${lang}`])}</p>
+    </section>
+${disclaimer}
+    <p class="help-meta"><small>${escapeHtml(c.category)}: <a href="${module.getCategoryPath(category, lang)}">${escapeHtml(category[`name_${lang}`])}</a>. ${escapeHtml(c.lastReviewed)}: <time datetime="${question.lastReviewed}">${question.lastReviewed}</time>.</small></p>
+${detailedAnswer}${relatedLinks}
+    <div id="chat-root"></div>
+  </main>`;
+}
+
+/**
+ * Fill the base template for one question and language
+ *
+ * @param {{ head: string, body: string }} chatAssets - Chat island tags (renderIslandAssets)
+ */
+function renderPage(question, category, answer, lang, module, chatAssets) {
+  const c = COPY[lang];
+  const context = question[`url_${lang}`];
+  const { html, leftover } = renderBasePage(loadBaseTemplate(lang), {
+    keyword: question[`question_${lang}`],
+    audience: c.audience,
+    lastReviewed: question.lastReviewed,
+    title: pickOrWarn(c.titles(question), TITLE_MIN, TITLE_MAX, 'title', context, countWarning),
+    description: pickOrWarn(c.descriptions(question), META_DESC_MIN, META_DESC_MAX, 'description', context, countWarning),
+    pathEn: question.url_en,
+    pathEs: question.url_es,
+    main: renderMain(question, category, answer, lang, module),
+    head: `  <meta name="category" content="${escapeHtml(category.id)}">\n${chatAssets.head}`,
+  });
+
+  if (leftover) {
+    console.error(`❌ ERROR [${context}]: Unfilled template placeholder ${leftover}`);
+    errorCount++;
+  }
+
+  return html.replace('</body>', () => `${chatAssets.body}\n</body>`);
+}
+
+/**
+ * Build the QAPage twin (src/data/types.ts) for one language
+ */
+function buildTwin(question, category, answer, lang) {
+  return {
+    type: 'qaPage',
+    schemaVersion: TWIN_SCHEMA_VERSION,
+    language: lang,
+    question: question[`question_${lang}`],
+    slug: basename(question[`url_${lang}`], '.html'),
+    shortAnswer: question[`shortAnswer_${lang}`],
+    detailedAnswerSections: (answer?.sections ?? []).map(({ heading, text }) => ({ heading, text })),
+    // QACategory: the English name in both languages
+    category: category.name_en,
+    lastReviewed: question.lastReviewed,
+    legalSensitivity: question.legalSensitivity ? 'high' : 'low',
+    relatedLinks: (answer?.related ?? []).map(link => link.path),
+    alternateLanguage: {
+      en: question.url_en.replace(/\.html$/, '.json'),
+      es: question.url_es.replace(/\.html$/, '.json'),
+    },
+  };
+}
+
+/**
+ * Warn about QAPage twins in the output directories that no question points to
+ * (e.g. after a question was removed or its slug changed). Hand-written Help
+ * pages have page twins and are left alone.
+ */
+function reportStalePages(questions) {
+  for (const [lang, dir] of Object.entries(OUTPUT_DIRS)) {
+    const absDir = join(PUBLIC_DIR, dir);
+    if (!existsSync(absDir)) continue;
+
+    const expected = new Set(questions.map(q => q[`url_${lang}`].replace(/\.html$/, '.json')));
+    for (const file of readdirSync(absDir).filter(f => f.endsWith('.json'))) {
+      if (expected.has(`${dir}${file}`)) continue;
+
+      try {
+        const twin = JSON.parse(readFileSync(join(absDir, file), 'utf-8'));
+        if (twin.type === 'qaPage') {
+          console.warn(`⚠️  WARNING [${dir}${file}]: No Help question has this URL; delete the page and its .json twin`);
+          warningCount++;
+        }
+      } catch (error) {
+        // Unreadable twins are reported by validate-twins
+      }
+    }
+  }
+}
+
+async function main() {
+  console.log('🏗️  Generating Help/Q&A pages...\n');
+
+  const { helpQuestions, module } = await loadValidStructuredData();
+  const chatAssets = renderIslandAssets(['chat'], readIslandManifest());
+  const answersByLang = {
+    en: JSON.parse(readFileSync(join(UNSTRUCTURED_DATA_DIR, 'helpAnswers.en.json'), 'utf-8')),
+    es: JSON.parse(readFileSync(join(UNSTRUCTURED_DATA_DIR, 'helpAnswers.es.json'), 'utf-8')),
+  };
+
+  for (const question of helpQuestions) {
+    // validateDataset guarantees a Help category
+    const category = module.getCategoryById(question.categoryId);
+
+    for (const lang of LANGUAGES) {
+      const sitePath = question[`url_${lang}`];
+
+      if (!sitePath.startsWith(OUTPUT_DIRS[lang]) || sitePath.slice(OUTPUT_DIRS[lang].length).includes('/') || !sitePath.endsWith('.html')) {
+        console.error(`❌ ERROR [${question.id}]: url_${lang} must be ${OUTPUT_DIRS[lang]}<slug>.html (got: "${sitePath}")`);
+        errorCount++;
+        continue;
+      }
+
+      const answer = answersByLang[lang][question.id];
+      if (!answer) {
+        console.warn(`⚠️  WARNING [${question.id}]: No helpAnswers.${lang}.json entry; page has the short answer only`);
+        warningCount++;
+      }
+
+      for (const link of answer?.related ?? []) {
+        if (!pageExists(link.path)) {
+          console.warn(`⚠️  WARNING [${sitePath}]: Related link ${link.path} has no page in public/`);
+          warningCount++;
+        }
+      }
+
+      const html = renderPage(question, category, answer, lang, module, chatAssets);
+      console.log(`✅ Generated: ${writePublicFile(sitePath, html)}`);
+      pagesWritten++;
+
+      const twin = buildTwin(question, category, answer, lang);
+      const twinPath = sitePath.replace(/\.html$/, '.json');
+      console.log(`✅ Generated: ${writePublicFile(twinPath, JSON.stringify(twin, null, 2) + '\n')}`);
+      twinsWritten++;
+    }
+  }
+
+  reportStalePages(helpQuestions);
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Pages: ${pagesWritten}, QAPage twins: ${twinsWritten}`);
+  console.log(`⚠️  Warnings: ${warningCount}`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Generation completed with errors');
+    process.exit(1);
+  } else if (warningCount > 0) {
+    console.log('\n⚠️  Generation completed with warnings');
+  } else {
+    console.log('\n✅ All Help pages generated!');
+    console.log('\n💡 Next step: Run `npm run build-categories` to list them in the Help categories');
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
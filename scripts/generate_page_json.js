@@ -6,12 +6,41 @@
  * Parses HTML files in /public/ and generates machine-readable .json twins
  * Validates SEO metadata and enforces Spanish Academic governance rules
  *
- * BILINGUAL JSON TWIN GENERATION:
- * - For each HTML file, generates its own .json twin
- * - ALSO generates .json twin for alternate language version
- * - If alternate HTML exists: parses it and generates full JSON
- * - If alternate HTML missing: creates placeholder JSON with metadata
+ * BILINGUAL JSON TWIN GENERATION (two passes):
+ * - Pass 1 parses every HTML page
+ * - Pass 2 links each twin to its counterpart (path_en / path_es): the
+ *   counterpart's real title, description and URL go in alternateLanguage
+ * - If the alternate HTML is missing: creates a placeholder JSON twin for it
  * - Ensures both /path.json and /es/path.json always exist
+ * - Reports asymmetric pairs (A points to B, but B points to C) and hreflang
+ *   alternates that disagree with path_en / path_es
+ * - Keeps typed twins (e.g. "type": "programSummary") written by dedicated
+ *   generators such as generate_program_pages.js
+ *
+ * CONTENT EXTRACTION (scripts/utils/page-content.js):
+ * - outline (h2/h3 tree with anchor ids) and plain-text sections
+ * - FAQ pairs, internal and outbound links, word count and reading time
+ * - category, publishedDate, lastReviewed (falls back to SEO_INTENT) and shortAnswer
+ * - <meta name="category"> holds a category id (src/data/structured/categories.ts);
+ *   twins carry the category name in the page's language
+ *
+ * TWIN TYPES (scripts/utils/twin-schemas.js, checked by npm run validate-twins):
+ * - "page" for generic pages, "scholarship" for ScholarlyArticle pages (adds
+ *   author, affiliation, abstract and keywords)
+ * - Every twin is stamped with the current schemaVersion
+ *
+ * INCREMENTAL GENERATION (data/twin-manifest.json):
+ * - The manifest keeps each page's HTML content hash, nothing else
+ * - Only pages whose HTML changed (and their alternates, which embed their
+ *   title and description) are parsed and validated again; for the rest only
+ *   the <head> fields pass 2 needs are read. Validation messages are printed
+ *   when a page is parsed; --force re-validates every page
+ * - The managed JSON-LD block, feed links and island tags aren't part of the hash
+ * - A twin is only rewritten when its content changes, so generatedAt marks
+ *   the last real change
+ * - Editing a file in GENERATOR_FILES (this script, the page-content, twin
+ *   schema, JSON-LD, feed and island helpers, the site config or categories.ts)
+ *   invalidates the cache
  *
  * LOCALIZATION ENFORCEMENT (RULE 4):
  * - Every HTML page MUST have both path_en and path_es metadata
@@ -20,32 +49,76 @@
  * - Validates bidirectional hreflang links
  * - Cross-validates paths match file locations
  *
- * Usage: npm run generate-json
+ * Usage:
+ *   npm run generate-json
+ *   npm run generate-json -- --check   # report stale twins without writing (exit 1 if any)
+ *   npm run generate-json -- --force   # ignore the cache and parse every page
  *
  * Spanish Academic 2026
  */
 
-import { readFileSync, writeFileSync, readdirSync, statSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, readdirSync, statSync, mkdirSync, existsSync } from 'fs';
 import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
 import { load } from 'cheerio';
 import { glob } from 'glob';
+import { extractPageContent, extractScholarlyMetadata } from './utils/page-content.js';
+import { PAGE_TWIN_TYPES, TWIN_SCHEMA_VERSION } from './utils/twin-schemas.js';
+import { stripManagedJsonLd } from './utils/json-ld.js';
+import { stripManagedFeedLinks } from './utils/feeds.js';
+import { stripManagedIslandAssets } from './utils/island-assets.js';
+import { importStructuredModule } from './utils/structured-data.js';
+import { META_DESC_MAX, META_DESC_MIN, SITE_ORIGIN, TITLE_MAX, TITLE_MIN } from './utils/site-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PROJECT_ROOT = join(__dirname, '..');
 const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
-
-// Validation thresholds
-const TITLE_MIN = 50;
-const TITLE_MAX = 60;
-const META_DESC_MIN = 140;
-const META_DESC_MAX = 160;
+const MANIFEST_FILE = join(PROJECT_ROOT, 'data', 'twin-manifest.json');
+const MANIFEST_VERSION = 2;
+
+// Twin output depends on these (and the configured origin); a change to any
+// of them regenerates every twin
+const GENERATOR_FILES = [
+  'scripts/generate_page_json.js',
+  'scripts/utils/feeds.js',
+  'scripts/utils/island-assets.js',
+  'scripts/utils/json-ld.js',
+  'scripts/utils/page-content.js',
+  'scripts/utils/twin-schemas.js',
+  'src/config/site.ts',
+  'src/data/structured/categories.ts',
+];
+
+// Fields of a parsed page that pass 2 (linkAlternates) reads from counterparts
+const LINK_FIELDS = ['language', 'path_en', 'path_es', 'title', 'description', 'canonical', 'alternateLanguage'];
+
+// Parse command-line arguments: --flags
+const args = process.argv.slice(2);
+const options = {};
+for (let i = 0; i < args.length; i++) {
+  if (args[i].startsWith('--')) {
+    options[args[i].slice(2)] = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : 'true';
+  }
+}
+const checkOnly = options.check === 'true';
 
 // Track validation errors
 let errorCount = 0;
 let warningCount = 0;
 let successCount = 0;
+let unchangedCount = 0;
+const staleTwins = [];
+
+// Category registry by id (src/data/structured/categories.ts), loaded in processDirectory
+let categoriesById = new Map();
+
+// Validation messages of the page being parsed
+const report = {
+  error: message => console.error(message),
+  warn: message => console.warn(message),
+};
 
 /**
  * Extract SEO_INTENT block from HTML comments
@@ -76,7 +149,7 @@ function extractSeoIntent(html) {
  */
 function validateTitle(title, filePath) {
   if (!title) {
-    console.error(`❌ ERROR [${filePath}]: Missing <title> tag`);
+    report.error(`❌ ERROR [${filePath}]: Missing <title> tag`);
     errorCount++;
     return false;
   }
@@ -84,15 +157,15 @@ function validateTitle(title, filePath) {
   const length = title.length;
 
   if (length < TITLE_MIN) {
-    console.warn(`⚠️  WARNING [${filePath}]: Title too short (${length} chars, min ${TITLE_MIN})`);
-    console.warn(`   Title: "${title}"`);
+    report.warn(`⚠️  WARNING [${filePath}]: Title too short (${length} chars, min ${TITLE_MIN})`);
+    report.warn(`   Title: "${title}"`);
     warningCount++;
     return false;
   }
 
   if (length > TITLE_MAX) {
-    console.warn(`⚠️  WARNING [${filePath}]: Title too long (${length} chars, max ${TITLE_MAX})`);
-    console.warn(`   Title: "${title}"`);
+    report.warn(`⚠️  WARNING [${filePath}]: Title too long (${length} chars, max ${TITLE_MAX})`);
+    report.warn(`   Title: "${title}"`);
     warningCount++;
     return false;
   }
@@ -105,7 +178,7 @@ function validateTitle(title, filePath) {
  */
 function validateMetaDescription(description, filePath) {
   if (!description) {
-    console.error(`❌ ERROR [${filePath}]: Missing meta description`);
+    report.error(`❌ ERROR [${filePath}]: Missing meta description`);
     errorCount++;
     return false;
   }
@@ -113,15 +186,15 @@ function validateMetaDescription(description, filePath) {
   const length = description.length;
 
   if (length < META_DESC_MIN) {
-    console.warn(`⚠️  WARNING [${filePath}]: Meta description too short (${length} chars, min ${META_DESC_MIN})`);
-    console.warn(`   Description: "${description}"`);
+    report.warn(`⚠️  WARNING [${filePath}]: Meta description too short (${length} chars, min ${META_DESC_MIN})`);
+    report.warn(`   Description: "${description}"`);
     warningCount++;
     return false;
   }
 
   if (length > META_DESC_MAX) {
-    console.warn(`⚠️  WARNING [${filePath}]: Meta description too long (${length} chars, max ${META_DESC_MAX})`);
-    console.warn(`   Description: "${description.substring(0, 100)}..."`);
+    report.warn(`⚠️  WARNING [${filePath}]: Meta description too long (${length} chars, max ${META_DESC_MAX})`);
+    report.warn(`   Description: "${description.substring(0, 100)}..."`);
     warningCount++;
     return false;
   }
@@ -130,26 +203,54 @@ function validateMetaDescription(description, filePath) {
 }
 
 /**
- * Parse HTML file and generate JSON metadata
+ * hreflang links of a page
  */
-function parseHtmlFile(filePath) {
-  const html = readFileSync(filePath, 'utf-8');
-  const $ = load(html);
+function readHreflangLinks($) {
+  return $('link[rel="alternate"][hreflang]').map((_, el) => ({
+    hreflang: $(el).attr('hreflang'),
+    href: $(el).attr('href'),
+  })).get();
+}
 
+/**
+ * The <head> fields pass 2 (linkAlternates) reads (LINK_FIELDS), before linking
+ * Also read for unchanged pages, which aren't parsed again
+ */
+function readLinkFields($) {
   // RULE: Every page MUST have lang attribute on <html> (LOCALIZATION_FIRST.md)
   const language = $('html').attr('lang') || '';
 
-  // Extract basic metadata
-  const title = $('title').text().trim();
-  const metaDescription = $('meta[name="description"]').attr('content')?.trim() || '';
+  // Find alternate language link
+  const alternateLang = language === 'en' ? 'es' : 'en';
+  const alternateHreflang = readHreflangLinks($).find(link => link.hreflang === alternateLang);
+
+  return {
+    language,
+    // BILINGUAL PATH METADATA (LOCALIZATION_FIRST.md)
+    // Every HTML page MUST include both path_en and path_es metadata
+    // This enables the Chat component and Explorer to navigate between language versions
+    path_en: $('meta[name="path_en"]').attr('content')?.trim() || '',
+    path_es: $('meta[name="path_es"]').attr('content')?.trim() || '',
+    title: $('title').text().trim(),
+    description: $('meta[name="description"]').attr('content')?.trim() || '',
+    canonical: $('link[rel="canonical"]').attr('href')?.trim() || '',
+    alternateLanguage: alternateHreflang ? {
+      lang: alternateLang,
+      url: alternateHreflang.href,
+    } : null,
+  };
+}
 
-  // BILINGUAL PATH METADATA (LOCALIZATION_FIRST.md)
-  // Every HTML page MUST include both path_en and path_es metadata
-  // This enables the Chat component and Explorer to navigate between language versions
-  const pathEn = $('meta[name="path_en"]').attr('content')?.trim() || '';
-  const pathEs = $('meta[name="path_es"]').attr('content')?.trim() || '';
+/**
+ * Parse HTML file and generate JSON metadata
+ */
+function parseHtmlFile(filePath) {
+  const html = readFileSync(filePath, 'utf-8');
+  const $ = load(html);
 
-  const canonical = $('link[rel="canonical"]').attr('href')?.trim() || '';
+  const linkFields = readLinkFields($);
+  const { language, title, description: metaDescription, canonical } = linkFields;
+  const { path_en: pathEn, path_es: pathEs } = linkFields;
 
   // Extract H1
   const h1 = $('h1').first().text().trim();
@@ -158,18 +259,7 @@ function parseHtmlFile(filePath) {
   const seoIntent = extractSeoIntent(html);
 
   // Extract hreflang links
-  const hreflangLinks = [];
-  $('link[rel="alternate"][hreflang]').each((_, el) => {
-    hreflangLinks.push({
-      hreflang: $(el).attr('hreflang'),
-      href: $(el).attr('href'),
-    });
-  });
-
-  // Find alternate language link
-  const alternateLang = language === 'en' ? 'es' : 'en';
-  const alternatePath = language === 'en' ? pathEs : pathEn;
-  const alternateHreflang = hreflangLinks.find(link => link.hreflang === alternateLang);
+  const hreflangLinks = readHreflangLinks($);
 
   // Get relative file path for display
   const relPath = relative(PUBLIC_DIR, filePath);
@@ -179,72 +269,72 @@ function parseHtmlFile(filePath) {
   const descValid = validateMetaDescription(metaDescription, relPath);
 
   if (!h1) {
-    console.error(`❌ ERROR [${relPath}]: Missing <h1> tag`);
+    report.error(`❌ ERROR [${relPath}]: Missing <h1> tag`);
     errorCount++;
   }
 
   // RULE: Every page MUST have both path_en and path_es metadata (LOCALIZATION_FIRST.md)
   if (!pathEn) {
-    console.error(`❌ ERROR [${relPath}]: Missing <meta name="path_en" content="..."> tag`);
-    console.error(`   Required: Add bilingual path metadata in <head>`);
+    report.error(`❌ ERROR [${relPath}]: Missing <meta name="path_en" content="..."> tag`);
+    report.error(`   Required: Add bilingual path metadata in <head>`);
     errorCount++;
   }
 
   if (!pathEs) {
-    console.error(`❌ ERROR [${relPath}]: Missing <meta name="path_es" content="..."> tag`);
-    console.error(`   Required: Add bilingual path metadata in <head>`);
+    report.error(`❌ ERROR [${relPath}]: Missing <meta name="path_es" content="..."> tag`);
+    report.error(`   Required: Add bilingual path metadata in <head>`);
     errorCount++;
   }
 
   // Validate path format
   if (pathEn && !pathEn.startsWith('/')) {
-    console.error(`❌ ERROR [${relPath}]: path_en must start with "/" (got: "${pathEn}")`);
+    report.error(`❌ ERROR [${relPath}]: path_en must start with "/" (got: "${pathEn}")`);
     errorCount++;
   }
 
   if (pathEs && !pathEs.startsWith('/es/')) {
-    console.error(`❌ ERROR [${relPath}]: path_es must start with "/es/" (got: "${pathEs}")`);
+    report.error(`❌ ERROR [${relPath}]: path_es must start with "/es/" (got: "${pathEs}")`);
     errorCount++;
   }
 
   // Cross-validate: EN pages should have path_en matching file, ES pages should have path_es matching
   const expectedPath = '/' + relPath.replace(/\\/g, '/');
   if (language === 'en' && pathEn && pathEn !== expectedPath) {
-    console.warn(`⚠️  WARNING [${relPath}]: path_en mismatch`);
-    console.warn(`   Expected: "${expectedPath}"`);
-    console.warn(`   Got:      "${pathEn}"`);
+    report.warn(`⚠️  WARNING [${relPath}]: path_en mismatch`);
+    report.warn(`   Expected: "${expectedPath}"`);
+    report.warn(`   Got:      "${pathEn}"`);
     warningCount++;
   }
 
   if (language === 'es') {
     const expectedEsPath = '/' + relPath.replace(/\\/g, '/');
     if (pathEs && pathEs !== expectedEsPath) {
-      console.warn(`⚠️  WARNING [${relPath}]: path_es mismatch`);
-      console.warn(`   Expected: "${expectedEsPath}"`);
-      console.warn(`   Got:      "${pathEs}"`);
+      report.warn(`⚠️  WARNING [${relPath}]: path_es mismatch`);
+      report.warn(`   Expected: "${expectedEsPath}"`);
+      report.warn(`   Got:      "${pathEs}"`);
       warningCount++;
     }
   }
 
   // RULE: Every page MUST have lang attribute (LOCALIZATION_FIRST.md)
   if (!language) {
-    console.error(`❌ ERROR [${relPath}]: Missing lang attribute on <html> tag`);
-    console.error(`   Required: <html lang="en"> or <html lang="es">`);
+    report.error(`❌ ERROR [${relPath}]: Missing lang attribute on <html> tag`);
+    report.error(`   Required: <html lang="en"> or <html lang="es">`);
     errorCount++;
   } else if (language !== 'en' && language !== 'es') {
-    console.warn(`⚠️  WARNING [${relPath}]: Unexpected lang value "${language}" (expected "en" or "es")`);
+    report.warn(`⚠️  WARNING [${relPath}]: Unexpected lang value "${language}" (expected "en" or "es")`);
     warningCount++;
   }
 
   if (!seoIntent) {
-    console.warn(`⚠️  WARNING [${relPath}]: Missing SEO_INTENT comment block`);
+    report.warn(`⚠️  WARNING [${relPath}]: Missing SEO_INTENT comment block`);
     warningCount++;
   }
 
   // RULE: Every page MUST have hreflang links (LOCALIZATION_FIRST.md)
   if (hreflangLinks.length === 0) {
-    console.error(`❌ ERROR [${relPath}]: No hreflang links found`);
-    console.error(`   Required: Bidirectional hreflang links for en, es, and x-default`);
+    report.error(`❌ ERROR [${relPath}]: No hreflang links found`);
+    report.error(`   Required: Bidirectional hreflang links for en, es, and x-default`);
     errorCount++;
   } else {
     // Validate hreflang links structure
@@ -255,141 +345,336 @@ function parseHtmlFile(filePath) {
 
     // Self-referential: must include link to self
     if (language === 'en' && !hasEn) {
-      console.error(`❌ ERROR [${relPath}]: Missing self-referential hreflang="en" link`);
+      report.error(`❌ ERROR [${relPath}]: Missing self-referential hreflang="en" link`);
       errorCount++;
     }
     if (language === 'es' && !hasEs) {
-      console.error(`❌ ERROR [${relPath}]: Missing self-referential hreflang="es" link`);
+      report.error(`❌ ERROR [${relPath}]: Missing self-referential hreflang="es" link`);
       errorCount++;
     }
 
     // Bidirectional: must have link to alternate language
     if (language === 'en' && !hasEs) {
-      console.error(`❌ ERROR [${relPath}]: Missing hreflang="es" link to Spanish version`);
+      report.error(`❌ ERROR [${relPath}]: Missing hreflang="es" link to Spanish version`);
       errorCount++;
     }
     if (language === 'es' && !hasEn) {
-      console.error(`❌ ERROR [${relPath}]: Missing hreflang="en" link to English version`);
+      report.error(`❌ ERROR [${relPath}]: Missing hreflang="en" link to English version`);
       errorCount++;
     }
 
     // x-default: should be present
     if (!hasXDefault) {
-      console.warn(`⚠️  WARNING [${relPath}]: Missing hreflang="x-default" link`);
-      console.warn(`   Recommended: Add x-default pointing to primary language version`);
+      report.warn(`⚠️  WARNING [${relPath}]: Missing hreflang="x-default" link`);
+      report.warn(`   Recommended: Add x-default pointing to primary language version`);
       warningCount++;
     }
 
     // Validate URLs are absolute
     for (const link of hreflangLinks) {
       if (!link.href.startsWith('http://') && !link.href.startsWith('https://')) {
-        console.error(`❌ ERROR [${relPath}]: hreflang="${link.hreflang}" has relative URL`);
-        console.error(`   Got: "${link.href}"`);
-        console.error(`   Required: Absolute URLs (https://...)`);
+        report.error(`❌ ERROR [${relPath}]: hreflang="${link.hreflang}" has relative URL`);
+        report.error(`   Got: "${link.href}"`);
+        report.error(`   Required: Absolute URLs (https://...)`);
         errorCount++;
       }
     }
   }
 
+  const content = extractPageContent($, { lastReviewed: seoIntent?.lastReviewed });
+  if (content.category) {
+    const category = categoriesById.get(content.category);
+    if (category) {
+      content.category = language === 'es' ? category.name_es : category.name_en;
+    } else {
+      report.warn(`⚠️  WARNING [${relPath}]: Unknown category "${content.category}" (expected an id from src/data/structured/categories.ts)`);
+      warningCount++;
+    }
+  }
+
+  const scholarly = extractScholarlyMetadata($);
+
   // Build JSON object
+  // alternateLanguage gets the counterpart's title and description in pass 2 (linkAlternates)
   const jsonData = {
+    type: scholarly ? 'scholarship' : 'page',
+    schemaVersion: TWIN_SCHEMA_VERSION,
     language,
     path_en: pathEn,
     path_es: pathEs,
-    alternateLanguage: alternateHreflang ? {
-      lang: alternateLang,
-      url: alternateHreflang.href,
-      // We'll need to read the alternate file to get its title
-      // For now, leave as placeholder
-      title: `[${alternateLang.toUpperCase()} version]`,
-    } : null,
+    alternateLanguage: linkFields.alternateLanguage,
     title,
     description: metaDescription,
     h1,
     canonical,
     hreflangLinks,
     seoIntent: seoIntent || null,
+    ...content,
+    ...scholarly,
     generatedAt: new Date().toISOString(),
   };
 
   return jsonData;
 }
 
+/**
+ * Check whether a .json twin was written by a dedicated generator
+ * Typed twins (e.g. "type": "programSummary" from generate_program_pages.js)
+ * are owned by that generator and must not be replaced with page metadata;
+ * "page" and "scholarship" twins are this script's own.
+ */
+function isTypedTwin(jsonPath) {
+  if (!existsSync(jsonPath)) {
+    return false;
+  }
+
+  try {
+    const existing = JSON.parse(readFileSync(jsonPath, 'utf-8'));
+    return typeof existing.type === 'string' && !PAGE_TWIN_TYPES.includes(existing.type);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read an existing twin, or null if it's missing or unreadable
+ */
+function readTwin(jsonPath) {
+  if (!existsSync(jsonPath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(readFileSync(jsonPath, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Twins with the same content apart from generatedAt
+ */
+function sameContent(a, b) {
+  return JSON.stringify({ ...a, generatedAt: null }) === JSON.stringify({ ...b, generatedAt: null });
+}
+
+/**
+ * Write a twin unless only its generatedAt would change (the old twin stays)
+ * In --check mode nothing is written; twins that would change are reported as stale.
+ */
+function saveTwin(jsonPath, jsonData, message) {
+  const relPath = relative(PUBLIC_DIR, jsonPath);
+  const existing = readTwin(jsonPath);
+
+  if (existing && sameContent(existing, jsonData)) {
+    unchangedCount++;
+    return;
+  }
+
+  if (checkOnly) {
+    console.log(`🕒 Stale: ${relPath}${existing ? '' : ' (missing)'}`);
+    staleTwins.push(relPath);
+    return;
+  }
+
+  mkdirSync(dirname(jsonPath), { recursive: true });
+  writeFileSync(jsonPath, JSON.stringify(jsonData, null, 2), 'utf-8');
+  console.log(`${message}: ${relPath}`);
+  successCount++;
+}
+
 /**
  * Write JSON file
  */
 function writeJsonFile(filePath, jsonData) {
   const jsonPath = filePath.replace('.html', '.json');
-  const jsonContent = JSON.stringify(jsonData, null, 2);
 
-  writeFileSync(jsonPath, jsonContent, 'utf-8');
+  if (isTypedTwin(jsonPath)) {
+    const relPath = relative(PUBLIC_DIR, jsonPath);
+    console.log(`⏭️  Kept typed twin: ${relPath}`);
+    successCount++;
+    return;
+  }
 
-  const relPath = relative(PUBLIC_DIR, jsonPath);
-  console.log(`✅ Generated: ${relPath}`);
-  successCount++;
+  saveTwin(jsonPath, jsonData, '✅ Generated');
+}
+
+/**
+ * Normalize a page reference (site path or absolute URL) to a site path
+ * "/explorer/" and "https://…/explorer/index.html" both become "/explorer/index.html"
+ */
+function toSitePath(pathOrUrl) {
+  let path = pathOrUrl;
+  if (/^https?:\/\//.test(path)) {
+    path = new URL(path).pathname;
+  }
+  return path.endsWith('/') ? `${path}index.html` : path;
+}
+
+/**
+ * The path a twin says its other-language version lives at
+ */
+function getAlternatePath(jsonData) {
+  const path = jsonData.language === 'en' ? jsonData.path_es : jsonData.path_en;
+  return path ? toSitePath(path) : '';
+}
+
+/**
+ * Pass 2: fill alternateLanguage from the counterpart page and check the pairing
+ *
+ * @param {Map<string, object>} pages - Site path → parsed JSON data (pass 1)
+ * @returns {string[]} Alternate paths with no HTML page (they get placeholder twins)
+ */
+function linkAlternates(pages) {
+  const missing = new Set();
+  let asymmetricCount = 0;
+
+  for (const [sitePath, jsonData] of pages) {
+    const alternatePath = getAlternatePath(jsonData);
+    if (!alternatePath) {
+      continue;
+    }
+
+    const counterpart = pages.get(alternatePath);
+    const alternateLang = jsonData.language === 'en' ? 'es' : 'en';
+    const hreflangPath = jsonData.alternateLanguage ? toSitePath(jsonData.alternateLanguage.url) : '';
+
+    if (hreflangPath && hreflangPath !== alternatePath) {
+      console.warn(`⚠️  WARNING [${sitePath}]: hreflang="${alternateLang}" points to ${hreflangPath}, but path_${alternateLang} is ${alternatePath}`);
+      warningCount++;
+    }
+
+    if (!counterpart) {
+      missing.add(alternatePath);
+      jsonData.alternateLanguage = {
+        lang: alternateLang,
+        url: jsonData.alternateLanguage?.url || alternatePath,
+        path: alternatePath,
+        title: null,
+        description: null,
+        translationPending: true,
+      };
+      continue;
+    }
+
+    // A → B must come back: B → A
+    const backPath = getAlternatePath(counterpart);
+    if (backPath !== sitePath) {
+      console.warn(`⚠️  WARNING [${sitePath}]: Asymmetric pair: ${sitePath} → ${alternatePath}, but ${alternatePath} → ${backPath || '(no path)'}`);
+      warningCount++;
+      asymmetricCount++;
+    }
+
+    jsonData.alternateLanguage = {
+      lang: counterpart.language || alternateLang,
+      url: jsonData.alternateLanguage?.url || counterpart.canonical || alternatePath,
+      path: alternatePath,
+      title: counterpart.title,
+      description: counterpart.description,
+    };
+  }
+
+  if (asymmetricCount > 0) {
+    console.warn(`\n⚠️  ${asymmetricCount} asymmetric language pair(s): fix path_en / path_es so each pair points at each other\n`);
+  }
+
+  return [...missing];
 }
 
 /**
- * Generate JSON twin for alternate language
- * If alternate HTML exists, parse it and generate JSON
- * If alternate HTML doesn't exist, create a minimal placeholder JSON
+ * Create a placeholder JSON twin for an alternate page that has no HTML yet
  */
-function generateAlternateLanguageJson(primaryFilePath, primaryJsonData) {
+function writePlaceholderJson(alternatePath, primaryPath, primaryJsonData) {
   const { language, path_en, path_es } = primaryJsonData;
+  const alternateLang = language === 'en' ? 'es' : 'en';
+  const alternateJsonPath = join(PUBLIC_DIR, alternatePath.replace(/^\//, '').replace('.html', '.json'));
 
-  // Determine alternate language path
-  const alternatePath = language === 'en' ? path_es : path_en;
-  if (!alternatePath) {
-    // No alternate path metadata, skip
+  if (isTypedTwin(alternateJsonPath)) {
+    console.log(`⏭️  Kept typed twin: ${relative(PUBLIC_DIR, alternateJsonPath)}`);
+    successCount++;
     return;
   }
 
-  // Convert path to file system path
-  const alternateFilePath = join(PUBLIC_DIR, alternatePath.replace(/^\//, ''));
+  const placeholderJson = {
+    type: 'page',
+    schemaVersion: TWIN_SCHEMA_VERSION,
+    language: alternateLang,
+    path_en,
+    path_es,
+    alternateLanguage: {
+      lang: language,
+      url: `${SITE_ORIGIN}${primaryPath}`,
+      path: primaryPath,
+      title: primaryJsonData.title,
+      description: primaryJsonData.description,
+    },
+    title: `[${alternateLang.toUpperCase()} translation in progress]`,
+    description: 'Translation in progress. Please see the alternate language version.',
+    h1: `[${alternateLang.toUpperCase()} translation in progress]`,
+    canonical: `${SITE_ORIGIN}${alternatePath}`,
+    hreflangLinks: [],
+    seoIntent: null,
+    generatedAt: new Date().toISOString(),
+    placeholder: true,
+  };
+
+  saveTwin(alternateJsonPath, placeholderJson, '📝 Generated placeholder (HTML not found)');
+}
 
-  // Check if alternate HTML exists
-  const alternateHtmlPath = alternateFilePath;
-  const alternateJsonPath = alternateFilePath.replace('.html', '.json');
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+function getGeneratorHash() {
+  return hashContent([SITE_ORIGIN, ...GENERATOR_FILES.map(file => readFileSync(join(PROJECT_ROOT, file), 'utf-8'))].join('\0'));
+}
+
+/**
+ * Page hashes from the last run (site path → hash), or {} when they can't be reused
+ */
+function loadManifest(generator) {
+  if (options.force === 'true' || !existsSync(MANIFEST_FILE)) {
+    return {};
+  }
 
   try {
-    // Try to read and parse the alternate HTML file
-    const alternateHtml = readFileSync(alternateHtmlPath, 'utf-8');
-    const alternateJsonData = parseHtmlFile(alternateHtmlPath);
-    writeJsonFile(alternateHtmlPath, alternateJsonData);
+    const manifest = JSON.parse(readFileSync(MANIFEST_FILE, 'utf-8'));
+    if (manifest.version !== MANIFEST_VERSION || manifest.generator !== generator) {
+      console.log('♻️  Twin generator changed since the last run: parsing every page\n');
+      return {};
+    }
+    return manifest.pages || {};
   } catch (error) {
-    // Alternate HTML doesn't exist - create placeholder JSON
-    const alternateLang = language === 'en' ? 'es' : 'en';
-    const placeholderJson = {
-      language: alternateLang,
-      path_en,
-      path_es,
-      alternateLanguage: {
-        lang: language,
-        url: `https://spanish-academic.com${language === 'en' ? path_en : path_es}`,
-        title: primaryJsonData.title,
-      },
-      title: `[${alternateLang.toUpperCase()} translation in progress]`,
-      description: 'Translation in progress. Please see the alternate language version.',
-      h1: `[${alternateLang.toUpperCase()} translation in progress]`,
-      canonical: `https://spanish-academic.com${alternatePath}`,
-      hreflangLinks: [],
-      seoIntent: null,
-      generatedAt: new Date().toISOString(),
-      placeholder: true,
-    };
+    console.warn(`⚠️  Ignoring unreadable ${relative(PROJECT_ROOT, MANIFEST_FILE)}: ${error.message}\n`);
+    return {};
+  }
+}
 
-    const jsonContent = JSON.stringify(placeholderJson, null, 2);
+function writeManifest(generator, pages) {
+  // Pages that failed to parse are left out, so the next run parses them again
+  const entries = [...pages]
+    .filter(([, page]) => page.link)
+    .map(([sitePath, page]) => [sitePath, page.hash]);
+  const manifest = { version: MANIFEST_VERSION, generator, pages: Object.fromEntries(entries) };
+  writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+}
 
-    // Ensure directory exists before writing
-    const jsonDir = dirname(alternateJsonPath);
-    mkdirSync(jsonDir, { recursive: true });
+/**
+ * Parse and validate one page, keeping the fields pass 2 reads (before linking)
+ */
+function parsePage(filePath) {
+  let jsonData = null;
+  try {
+    jsonData = parseHtmlFile(filePath);
+  } catch (error) {
+    report.error(`❌ ERROR [${relative(PUBLIC_DIR, filePath)}]: ${error.message}`);
+    errorCount++;
+  }
 
-    writeFileSync(alternateJsonPath, jsonContent, 'utf-8');
+  const link = jsonData
+    ? structuredClone(Object.fromEntries(LINK_FIELDS.map(field => [field, jsonData[field]])))
+    : null;
 
-    const relPath = relative(PUBLIC_DIR, alternateJsonPath);
-    console.log(`📝 Generated placeholder: ${relPath} (HTML not found)`);
-    successCount++;
-  }
+  return { parsed: true, jsonData, link };
 }
 
 /**
@@ -412,56 +697,109 @@ async function processDirectory() {
 
   console.log(`Found ${htmlFiles.length} HTML file(s)\n`);
 
-  // Track processed files to avoid duplication
-  const processedJsonFiles = new Set();
+  const { categories } = await importStructuredModule();
+  categoriesById = new Map(categories.map(category => [category.id, category]));
+
+  const generator = getGeneratorHash();
+  const cache = loadManifest(generator);
+
+  // Pass 1: parse pages whose HTML changed (site path → page); for the rest,
+  // only read the fields pass 2 needs
+  const pages = new Map();
+  for (const filePath of htmlFiles.sort()) {
+    const sitePath = '/' + relative(PUBLIC_DIR, filePath).replace(/\\/g, '/');
+    const html = readFileSync(filePath, 'utf-8');
+    // JSON-LD comes from the twin (inject_json_ld.js), feed links from
+    // build_feeds.js and island tags from the Vite build, so none counts as a change
+    const hash = hashContent(stripManagedIslandAssets(stripManagedFeedLinks(stripManagedJsonLd(html))));
+
+    if (cache[sitePath] === hash && existsSync(filePath.replace('.html', '.json'))) {
+      pages.set(sitePath, { filePath, hash, parsed: false, jsonData: null, link: readLinkFields(load(html)) });
+    } else {
+      pages.set(sitePath, { filePath, hash, ...parsePage(filePath) });
+    }
+  }
 
-  // Process each file
-  for (const filePath of htmlFiles) {
-    try {
-      const jsonPath = filePath.replace('.html', '.json');
+  // Alternates of changed pages embed their title and description, so parse those too
+  // (the new counterpart, and any page pointing at a changed one)
+  const changed = new Set([...pages].filter(([, page]) => page.parsed).map(([sitePath]) => sitePath));
+  const affected = new Set();
+  for (const sitePath of changed) {
+    const { link } = pages.get(sitePath);
+    if (link) {
+      affected.add(getAlternatePath(link));
+    }
+  }
+  for (const [sitePath, page] of pages) {
+    if (!page.parsed && changed.has(getAlternatePath(page.link))) {
+      affected.add(sitePath);
+    }
+  }
+  for (const sitePath of affected) {
+    const page = pages.get(sitePath);
+    if (page && !page.parsed) {
+      Object.assign(page, parsePage(page.filePath));
+    }
+  }
 
-      // Skip if we've already processed this JSON file
-      if (processedJsonFiles.has(jsonPath)) {
-        continue;
-      }
+  const reusedCount = [...pages.values()].filter(page => !page.parsed).length;
 
-      // Parse and generate JSON for this HTML file
-      const jsonData = parseHtmlFile(filePath);
-      writeJsonFile(filePath, jsonData);
-      processedJsonFiles.add(jsonPath);
+  // Pass 2: link counterparts, then write the twins of parsed pages
+  const jsonByPath = new Map(
+    [...pages]
+      .filter(([, page]) => page.link)
+      .map(([sitePath, page]) => [sitePath, page.jsonData || page.link])
+  );
+  const missingAlternates = linkAlternates(jsonByPath);
 
-      // Generate JSON for alternate language (if not already processed)
-      const { language, path_en, path_es } = jsonData;
-      const alternatePath = language === 'en' ? path_es : path_en;
+  for (const { filePath, jsonData } of pages.values()) {
+    if (jsonData) {
+      writeJsonFile(filePath, jsonData);
+    }
+  }
 
-      if (alternatePath) {
-        const alternateJsonPath = join(PUBLIC_DIR, alternatePath.replace(/^\//, '').replace('.html', '.json'));
+  // Placeholder twins for alternate pages that don't exist yet
+  for (const alternatePath of missingAlternates) {
+    const [primaryPath, primary] = [...jsonByPath].find(
+      ([, jsonData]) => getAlternatePath(jsonData) === alternatePath
+    );
+    writePlaceholderJson(alternatePath, primaryPath, primary);
+  }
 
-        if (!processedJsonFiles.has(alternateJsonPath)) {
-          generateAlternateLanguageJson(filePath, jsonData);
-          processedJsonFiles.add(alternateJsonPath);
-        }
-      }
-    } catch (error) {
-      const relPath = relative(PUBLIC_DIR, filePath);
-      console.error(`❌ ERROR [${relPath}]: ${error.message}`);
-      errorCount++;
-    }
+  if (!checkOnly) {
+    writeManifest(generator, pages);
   }
 
   // Summary
   console.log('\n' + '='.repeat(60));
   console.log('📊 SUMMARY');
   console.log('='.repeat(60));
-  console.log(`✅ Success: ${successCount} JSON file(s) generated`);
+  console.log(`🔍 Parsed: ${pages.size - reusedCount} page(s), ${reusedCount} unchanged (not re-validated; --force checks every page)`);
+  if (checkOnly) {
+    console.log(`🕒 Stale: ${staleTwins.length} JSON file(s)`);
+  } else {
+    console.log(`✅ Success: ${successCount} JSON file(s) generated`);
+  }
+  console.log(`⏭️  Up to date: ${unchangedCount} JSON file(s)`);
   console.log(`⚠️  Warnings: ${warningCount}`);
   console.log(`❌ Errors: ${errorCount}`);
 
+  if (checkOnly) {
+    if (staleTwins.length > 0) {
+      console.log('\n❌ Stale JSON twins: run `npm run generate-json`');
+      process.exit(1);
+    }
+    console.log('\n✅ All JSON twins are up to date');
+    return;
+  }
+
   if (errorCount > 0) {
     console.log('\n❌ Generation completed with errors');
     process.exit(1);
   } else if (warningCount > 0) {
     console.log('\n⚠️  Generation completed with warnings');
+  } else if (reusedCount > 0) {
+    console.log(`\n✅ No issues in the parsed pages (${reusedCount} unchanged page(s) not re-validated)`);
   } else {
     console.log('\n✅ All validations passed!');
   }
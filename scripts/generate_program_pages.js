@@ -0,0 +1,599 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Program Pages Script
+ *
+ * Renders one static detail page per program and language from
+ * templates/base.html and templates/base-es.html, using the canonical records
+ * in src/data/structured/ and the narrative programNotes JSON:
+ * - /programs/<slug>.html and /es/programas/<slug>.html (Program.url_en / url_es)
+ * - Funding, admissions, methods culture, faculty, program notes, official links
+ * - Faculty names link to their profiles (generate_faculty_pages.js)
+ * - "Report a correction" links open the contact form pre-filled with the
+ *   program (and field), feeding scripts/contact/corrections.js
+ * - path_en / path_es, canonical and hreflang (en, es, x-default) set from the record
+ *
+ * PROGRAM SUMMARY TWINS:
+ * - Writes a ProgramSummary JSON twin (src/data/types.ts) next to each page
+ * - generate-json keeps typed twins, so run this script before it
+ *
+ * Output is deterministic (dates come from Program.lastUpdated), so re-running
+ * without data changes produces no diff.
+ *
+ * Usage: npm run generate-program-pages
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { loadValidStructuredData } from './utils/structured-data.js';
+import {
+  PUBLIC_DIR,
+  TITLE_MIN,
+  TITLE_MAX,
+  META_DESC_MIN,
+  META_DESC_MAX,
+  escapeHtml,
+  loadBaseTemplate,
+  pickOrWarn,
+  renderBasePage,
+  writePublicFile,
+} from './utils/page-template.js';
+import { TWIN_SCHEMA_VERSION } from './utils/twin-schemas.js';
+import { SECTION_PATHS } from './utils/site-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+const UNSTRUCTURED_DATA_DIR = join(PROJECT_ROOT, 'src', 'data', 'unstructured');
+
+// Output directories (must match the Program.url_en / url_es prefixes)
+const OUTPUT_DIRS = SECTION_PATHS.programs;
+
+const EXPLORER_PATHS = SECTION_PATHS.explorer;
+
+const CONTACT_PATHS = SECTION_PATHS.contact;
+
+// Order of the programNotes narrative sections (same as the Explorer compare view)
+const NOTE_SECTIONS = [
+  'programDescription',
+  'admissionsExpectations',
+  'mentorshipCulture',
+  'practicalWarnings',
+  'whatApplicantsShouldKnow',
+];
+
+/**
+ * Page copy per language
+ * Functions receive the program (and sometimes a value) and return plain text;
+ * everything is HTML-escaped when rendered.
+ */
+const COPY = {
+  en: {
+    keyword: (p) => `${p.degree_en} at ${p.institution_en}`,
+    audience: 'Prospective graduate students researching Spanish programs',
+    titles: (p) => [
+      `${p.degree_en}, ${p.institution_en}`,
+      `${p.degree_en}, ${p.city} | Spanish Academic`,
+      `${p.degree_en}, ${p.city}: Funding and Admissions`,
+      `${p.degree_en}: Funding and Admissions`,
+    ],
+    descriptions: (p) => [
+      `${p.degree_en} at ${p.institution_en}: funding, admissions requirements, methods culture, faculty advisors and official links. Updated ${p.lastUpdated}.`,
+      `${p.degree_en} at ${p.institution_en}: funding, admissions, methods culture, faculty advisors and official links. Updated ${p.lastUpdated}.`,
+      `${p.degree_en} at ${p.institution_en}: funding, admissions, methods culture, faculty and official links.`,
+      `${p.degree_en} in ${p.city}: stipend and funding, admissions requirements, methods culture, faculty advisors and official program links. Updated ${p.lastUpdated}.`,
+    ],
+    intro: (p, place) =>
+      `The ${p.degree_en} at ${p.institution_en} (${place}) is a ${p.deliveryMode.toLowerCase()} ${p.degreeType} program. ` +
+      'This page summarizes its funding, admissions requirements, methods culture and faculty, ' +
+      'with links to the official department pages. Figures are approximate; always confirm them with the program.',
+    accepting: 'Currently accepting applications.',
+    notAccepting: 'Not accepting applications for the next cycle.',
+    funding: 'Funding',
+    tuitionRemission: 'Tuition remission',
+    stipend: 'Approximate annual stipend',
+    yearsGuaranteed: 'Years of funding offered',
+    summerFunding: 'Additional summer funding',
+    fundingDisclaimer:
+      'Funding amounts are approximate and subject to change. Verify current offers with the department before you decide.',
+    admissions: 'Admissions',
+    gre: 'GRE General Test',
+    greSubject: 'GRE Subject Test',
+    writingSample: 'Writing sample',
+    languageProficiency: 'Additional language proficiency',
+    minGPA: 'Minimum GPA',
+    cohortSize: 'Approximate cohort size',
+    acceptanceRate: 'Approximate acceptance rate',
+    visa: 'Visa information for international students',
+    visaDisclaimer:
+      'This is not legal advice. Consult the international students office or an immigration attorney about your situation.',
+    methods: 'Methods culture',
+    focusAreas: 'Focus areas',
+    deliveryMode: 'Delivery mode',
+    deliveryModes: { 'In-Person': 'In person', Online: 'Online', Hybrid: 'Hybrid' },
+    faculty: 'Faculty',
+    facultyIntro: (count) =>
+      count === 1 ? 'One faculty member is listed for this program.' : `${count} faculty members are listed for this program.`,
+    noFaculty: 'No faculty members are listed for this program yet.',
+    researchAreas: 'Research areas',
+    acceptingAdvisees: 'Accepting new advisees',
+    notAcceptingAdvisees: 'Not accepting new advisees',
+    verified: (date) => `Verified ${date}`,
+    notes: 'In depth',
+    noteSections: {
+      programDescription: 'About the program',
+      admissionsExpectations: 'Admissions expectations',
+      mentorshipCulture: 'Mentorship culture',
+      practicalWarnings: 'Practical considerations',
+      whatApplicantsShouldKnow: 'What applicants should know',
+    },
+    links: 'Official links',
+    officialWebsite: (p) => `${p.institution_en} graduate program website`,
+    applicationPortal: (p) => `${p.institution_en} application portal`,
+    handbook: (p) => `${p.degree_en} graduate handbook (PDF)`,
+    faq: 'Frequently Asked Questions',
+    faqGre: (p) => `Does the ${p.degree_en} at ${p.institution_en} require the GRE?`,
+    faqGreYes: 'Yes. The program lists the GRE General Test as an application requirement.',
+    faqGreNo: 'No. The program does not list the GRE General Test as an application requirement.',
+    faqFunding: (p) => `How is the ${p.degree_en} at ${p.institution_en} funded?`,
+    faqAdvisees: 'Are faculty accepting new advisees?',
+    related: 'Related Resources',
+    relatedExplorer: 'Explore similar programs interactively',
+    relatedCompare: 'Compare this program with others in the Program Explorer',
+    lastUpdated: (date) => `Program information last updated ${date}.`,
+    reportFunding: 'Report an out-of-date funding figure',
+    reportAdmissions: 'Report an out-of-date admissions requirement',
+    reportCorrection: 'Something out of date? Report a correction',
+    yes: 'Yes',
+    no: 'No',
+    required: 'Required',
+    notRequired: 'Not required',
+    notReported: 'Not reported',
+    years: (n) => (n === 1 ? '1 year' : `${n} years`),
+    advisorCapacity: (accepting, total) =>
+      total === 0
+        ? 'No faculty are listed for this program yet.'
+        : `${accepting} of ${total} listed faculty ${total === 1 ? 'is' : 'are'} accepting new advisees.`,
+  },
+  // Institution names go in apposition or after a colon, never after "en" /
+  // "de", which would need an article that depends on the name ("la
+  // Universidad…", "el Instituto…"); the same goes for degree names
+  es: {
+    keyword: (p) => `${p.degree_es}, ${p.institution_es}`,
+    audience: 'Futuros estudiantes de posgrado que investigan programas de español',
+    titles: (p) => [
+      `${p.degree_es}, ${p.institution_es}`,
+      `${p.degree_es}, ${p.city} | Spanish Academic`,
+      `${p.degree_es}, ${p.city}: financiación y admisión`,
+      `${p.degree_es}: financiación y admisión`,
+    ],
+    descriptions: (p) => [
+      `${p.degree_es} (${p.institution_es}): financiación, admisión, métodos, profesorado y enlaces oficiales. Actualizado ${p.lastUpdated}.`,
+      `${p.degree_es} (${p.institution_es}): financiación, admisión, métodos, profesorado y enlaces. Actualizado ${p.lastUpdated}.`,
+      `${p.degree_es} (${p.institution_es}): financiación, requisitos de admisión, cultura metodológica, profesorado y enlaces oficiales.`,
+      `${p.degree_es} (${p.institution_es}): financiación, admisión, métodos y profesorado.`,
+      `${p.degree_es} en ${p.city}: estipendio, requisitos de admisión, cultura metodológica, profesorado y enlaces oficiales. Actualizado ${p.lastUpdated}.`,
+    ],
+    intro: (p, place) =>
+      `${p.degree_es}, ${p.institution_es} (${place}): programa de ${p.degreeType} en modalidad ${COPY.es.deliveryModes[p.deliveryMode].toLowerCase()}. ` +
+      'Esta página resume su financiación, requisitos de admisión, cultura metodológica y profesorado, ' +
+      'con enlaces a las páginas oficiales del departamento. Las cifras son aproximadas; confírmelas siempre con el programa.',
+    accepting: 'Actualmente acepta solicitudes.',
+    notAccepting: 'No acepta solicitudes para el próximo ciclo.',
+    funding: 'Financiación',
+    tuitionRemission: 'Exención de matrícula',
+    stipend: 'Estipendio anual aproximado',
+    yearsGuaranteed: 'Años de financiación ofrecidos',
+    summerFunding: 'Financiación adicional de verano',
+    fundingDisclaimer:
+      'Los montos de financiación son aproximados y pueden cambiar. Verifique las ofertas vigentes con el departamento antes de decidir.',
+    admissions: 'Admisión',
+    gre: 'GRE General',
+    greSubject: 'GRE por materia',
+    writingSample: 'Muestra de escritura',
+    languageProficiency: 'Dominio de otro idioma',
+    minGPA: 'Promedio mínimo (GPA)',
+    cohortSize: 'Tamaño aproximado de la cohorte',
+    acceptanceRate: 'Tasa de admisión aproximada',
+    visa: 'Información de visas para estudiantes internacionales',
+    visaDisclaimer:
+      'Esto no constituye asesoramiento legal. Consulte a la oficina de estudiantes internacionales o a un abogado de inmigración sobre su situación.',
+    methods: 'Cultura metodológica',
+    focusAreas: 'Áreas de especialización',
+    deliveryMode: 'Modalidad',
+    deliveryModes: { 'In-Person': 'Presencial', Online: 'En línea', Hybrid: 'Híbrida' },
+    faculty: 'Profesorado',
+    facultyIntro: (count) =>
+      count === 1 ? 'Este programa tiene un miembro del profesorado registrado.' : `Este programa tiene ${count} miembros del profesorado registrados.`,
+    noFaculty: 'Todavía no hay profesorado registrado para este programa.',
+    researchAreas: 'Áreas de investigación',
+    acceptingAdvisees: 'Acepta nuevos asesorados',
+    notAcceptingAdvisees: 'No acepta nuevos asesorados',
+    verified: (date) => `Verificado el ${date}`,
+    notes: 'En profundidad',
+    noteSections: {
+      programDescription: 'Sobre el programa',
+      admissionsExpectations: 'Expectativas de admisión',
+      mentorshipCulture: 'Cultura de mentoría',
+      practicalWarnings: 'Consideraciones prácticas',
+      whatApplicantsShouldKnow: 'Lo que deben saber los solicitantes',
+    },
+    links: 'Enlaces oficiales',
+    officialWebsite: (p) => `Sitio web del posgrado: ${p.institution_es}`,
+    applicationPortal: (p) => `Portal de solicitudes: ${p.institution_es}`,
+    handbook: (p) => `Manual del programa: ${p.degree_es} (PDF)`,
+    faq: 'Preguntas Frecuentes',
+    faqGre: (p) => `${p.degree_es}, ${p.institution_es}: ¿exige el GRE?`,
+    faqGreYes: 'Sí. El programa incluye el GRE General entre los requisitos de solicitud.',
+    faqGreNo: 'No. El programa no incluye el GRE General entre los requisitos de solicitud.',
+    faqFunding: (p) => `${p.degree_es}, ${p.institution_es}: ¿cómo se financia?`,
+    faqAdvisees: '¿El profesorado acepta nuevos asesorados?',
+    related: 'Recursos Relacionados',
+    relatedExplorer: 'Explorar programas similares de forma interactiva',
+    relatedCompare: 'Comparar este programa con otros en el Explorador de programas',
+    lastUpdated: (date) => `Información del programa actualizada el ${date}.`,
+    reportFunding: 'Informar de un dato de financiación desactualizado',
+    reportAdmissions: 'Informar de un requisito de admisión desactualizado',
+    reportCorrection: '¿Algún dato desactualizado? Infórmenos de la corrección',
+    yes: 'Sí',
+    no: 'No',
+    required: 'Obligatorio',
+    notRequired: 'No obligatorio',
+    notReported: 'Sin datos',
+    years: (n) => (n === 1 ? '1 año' : `${n} años`),
+    advisorCapacity: (accepting, total) =>
+      total === 0
+        ? 'Todavía no hay profesorado registrado para este programa.'
+        : `${accepting} de ${total} miembros del profesorado registrados ${accepting === 1 ? 'acepta' : 'aceptan'} nuevos asesorados.`,
+  },
+};
+
+// Track results
+let pagesWritten = 0;
+let twinsWritten = 0;
+let errorCount = 0;
+let warningCount = 0;
+const countWarning = () => warningCount++;
+
+function formatUSD(amount, lang) {
+  return new Intl.NumberFormat(lang === 'es' ? 'es-US' : 'en-US', {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
+
+/**
+ * Definition list of label/value pairs (values are plain text)
+ */
+function renderFacts(facts) {
+  const rows = facts
+    .map(([label, value]) => `          <dt>${escapeHtml(label)}</dt>\n          <dd>${escapeHtml(value)}</dd>`)
+    .join('\n');
+  return `        <dl class="program-facts">\n${rows}\n        </dl>`;
+}
+
+/**
+ * Explorer route pre-filtered to programs like this one (same degree type and first focus area)
+ */
+function getExplorerRoute(program, lang) {
+  const params = new URLSearchParams({ degree: program.degreeType });
+  if (program.focusAreas_en.length > 0) {
+    params.set('focus', program.focusAreas_en[0]);
+  }
+  return `${EXPLORER_PATHS[lang]}?${params.toString()}`;
+}
+
+/**
+ * Contact form link pre-filled as a correction for this program (and field)
+ */
+function getCorrectionRoute(program, lang, field) {
+  const params = new URLSearchParams({ topic: 'correction', program: program.id });
+  if (field) {
+    params.set('field', field);
+  }
+  return `${CONTACT_PATHS[lang]}?${params.toString()}`;
+}
+
+/**
+ * Render the <main> element for one program and language
+ */
+function renderMain(program, members, notes, lang, profilePath) {
+  const c = COPY[lang];
+  const yesNo = value => (value ? c.yes : c.no);
+  const requirement = value => (value ? c.required : c.notRequired);
+  const orNotReported = (value, format) => (value === null ? c.notReported : format(value));
+  const place = [program.city, program.state, program.country].filter(Boolean).join(', ');
+  const accepting = members.filter(m => m.acceptingAdvisees).length;
+
+  const fundingFacts = renderFacts([
+    [c.tuitionRemission, yesNo(program.tuitionRemission)],
+    [c.stipend, orNotReported(program.stipendApproxUSD, n => formatUSD(n, lang))],
+    [c.yearsGuaranteed, orNotReported(program.yearsGuaranteed, c.years)],
+    [c.summerFunding, yesNo(program.additionalSummerFunding)],
+  ]);
+
+  const admissionsFacts = renderFacts([
+    [c.gre, requirement(program.greRequired)],
+    [c.greSubject, requirement(program.greSubjectTestRequired)],
+    [c.writingSample, requirement(program.writingSampleRequired)],
+    [c.languageProficiency, requirement(program.languageProficiencyRequired)],
+    [c.minGPA, orNotReported(program.minGPA, n => n.toFixed(1))],
+    [c.cohortSize, orNotReported(program.cohortSizeApprox, String)],
+    [c.acceptanceRate, orNotReported(program.acceptanceRateApprox, n => `${n}%`)],
+  ]);
+
+  const methodsFacts = renderFacts([
+    [c.focusAreas, program[`focusAreas_${lang}`].join(', ')],
+    [c.deliveryMode, c.deliveryModes[program.deliveryMode]],
+  ]);
+
+  const facultyItems = members
+    .map(member => {
+      const status = member.acceptingAdvisees ? c.acceptingAdvisees : c.notAcceptingAdvisees;
+      return [
+        '          <li>',
+        `            <h3><a href="${profilePath(member, lang)}">${escapeHtml(member.name)}</a></h3>`,
+        `            <p>${escapeHtml(member[`title_${lang}`])}, ${escapeHtml(member[`department_${lang}`])}</p>`,
+        `            <p>${escapeHtml(c.researchAreas)}: ${escapeHtml(member[`researchAreas_${lang}`].join(', '))}</p>`,
+        `            <p>${escapeHtml(status)}. ${escapeHtml(member[`advisingNotes_${lang}`])}</p>`,
+        `            <p><small>${escapeHtml(c.verified(member.lastVerified))}</small></p>`,
+        '          </li>',
+      ].join('\n');
+    })
+    .join('\n');
+
+  const facultySection = members.length > 0
+    ? `        <p>${escapeHtml(c.facultyIntro(members.length))}</p>\n        <ul class="program-faculty">\n${facultyItems}\n        </ul>`
+    : `        <p>${escapeHtml(c.noFaculty)}</p>`;
+
+  const notesSection = notes
+    ? `
+      <section id="notes">
+        <h2>${escapeHtml(c.notes)}</h2>
+${NOTE_SECTIONS.filter(key => notes[key])
+    .map(key => `        <h3>${escapeHtml(c.noteSections[key])}</h3>\n        <p>${escapeHtml(notes[key])}</p>`)
+    .join('\n')}
+      </section>
+`
+    : '';
+
+  const links = [
+    [program.officialWebsite, c.officialWebsite(program)],
+    [program.applicationPortal, c.applicationPortal(program)],
+    [program.handbookPDF, c.handbook(program)],
+  ]
+    .filter(([href]) => href)
+    .map(([href, text]) => `          <li><a href="${escapeHtml(href)}" rel="noopener noreferrer">${escapeHtml(text)}</a></li>`)
+    .join('\n');
+
+  const explorerRoute = getExplorerRoute(program, lang);
+
+  return `<main id="main-content" role="main">
+
+    <h1>${escapeHtml(program[`degree_${lang}`])}, ${escapeHtml(program[`institution_${lang}`])}</h1>
+
+    <p class="intro">
+      ${escapeHtml(c.intro(program, place))}
+      ${escapeHtml(program.acceptingApplications ? c.accepting : c.notAccepting)}
+    </p>
+
+    <article>
+      <section id="funding">
+        <h2>${escapeHtml(c.funding)}</h2>
+${fundingFacts}
+        <p>${escapeHtml(program[`fundingNotes_${lang}`])}</p>
+        <p><small>${escapeHtml(c.fundingDisclaimer)}</small></p>
+        <p class="program-correction"><small><a href="${escapeHtml(getCorrectionRoute(program, lang, 'stipendApproxUSD'))}">${escapeHtml(c.reportFunding)}</a></small></p>
+      </section>
+
+      <section id="admissions">
+        <h2>${escapeHtml(c.admissions)}</h2>
+${admissionsFacts}
+        <p>${escapeHtml(program[`admissionsNotes_${lang}`])}</p>
+        <h3>${escapeHtml(c.visa)}</h3>
+        <p>${escapeHtml(program[`visaNotes_${lang}`])}</p>
+        <p><small>${escapeHtml(c.visaDisclaimer)}</small></p>
+        <p class="program-correction"><small><a href="${escapeHtml(getCorrectionRoute(program, lang, 'greRequired'))}">${escapeHtml(c.reportAdmissions)}</a></small></p>
+      </section>
+
+      <section id="methods">
+        <h2>${escapeHtml(c.methods)}</h2>
+        <p>${escapeHtml(program[`methodsCulture_${lang}`])}</p>
+${methodsFacts}
+      </section>
+
+      <section id="faculty">
+        <h2>${escapeHtml(c.faculty)}</h2>
+${facultySection}
+      </section>
+${notesSection}
+      <section id="links">
+        <h2>${escapeHtml(c.links)}</h2>
+        <ul>
+${links}
+        </ul>
+        <p><small>${escapeHtml(c.lastUpdated(program.lastUpdated))}</small></p>
+        <p class="program-correction"><small><a href="${escapeHtml(getCorrectionRoute(program, lang))}">${escapeHtml(c.reportCorrection)}</a></small></p>
+      </section>
+    </article>
+
+    <section class="faq-section">
+      <h2>${escapeHtml(c.faq)}</h2>
+
+      <div class="faq-item">
+        <h3 class="faq-question">${escapeHtml(c.faqGre(program))}</h3>
+        <div class="faq-answer">
+          <p>${escapeHtml(program.greRequired ? c.faqGreYes : c.faqGreNo)}</p>
+        </div>
+      </div>
+
+      <div class="faq-item">
+        <h3 class="faq-question">${escapeHtml(c.faqFunding(program))}</h3>
+        <div class="faq-answer">
+          <p>${escapeHtml(program[`fundingNotes_${lang}`])} ${escapeHtml(c.fundingDisclaimer)}</p>
+        </div>
+      </div>
+
+      <div class="faq-item">
+        <h3 class="faq-question">${escapeHtml(c.faqAdvisees)}</h3>
+        <div class="faq-answer">
+          <p>${escapeHtml(c.advisorCapacity(accepting, members.length))}</p>
+        </div>
+      </div>
+    </section>
+
+    <aside class="related-resources">
+      <h2>${escapeHtml(c.related)}</h2>
+      <ul>
+        <li><a href="${escapeHtml(explorerRoute)}">${escapeHtml(c.relatedExplorer)}</a></li>
+        <li><a href="${EXPLORER_PATHS[lang]}?compare=${encodeURIComponent(program.id)}">${escapeHtml(c.relatedCompare)}</a></li>
+      </ul>
+    </aside>
+
+  </main>`;
+}
+
+/**
+ * Fill the base template for one program and language
+ */
+function renderPage(program, members, notes, lang, profilePath) {
+  const c = COPY[lang];
+  const context = program[`url_${lang}`];
+  const { html, leftover } = renderBasePage(loadBaseTemplate(lang), {
+    keyword: c.keyword(program),
+    audience: c.audience,
+    lastReviewed: program.lastUpdated,
+    title: pickOrWarn(c.titles(program), TITLE_MIN, TITLE_MAX, 'title', context, countWarning),
+    description: pickOrWarn(c.descriptions(program), META_DESC_MIN, META_DESC_MAX, 'description', context, countWarning),
+    pathEn: program.url_en,
+    pathEs: program.url_es,
+    main: renderMain(program, members, notes, lang, profilePath),
+  });
+
+  if (leftover) {
+    console.error(`❌ ERROR [${context}]: Unfilled template placeholder ${leftover}`);
+    errorCount++;
+  }
+
+  return html;
+}
+
+/**
+ * Build the ProgramSummary twin (src/data/types.ts) for one language
+ */
+function buildSummary(program, members, lang) {
+  const c = COPY[lang];
+  const accepting = members.filter(m => m.acceptingAdvisees).length;
+
+  return {
+    type: 'programSummary',
+    schemaVersion: TWIN_SCHEMA_VERSION,
+    language: lang,
+    programId: program.id,
+    institution: program[`institution_${lang}`],
+    degreeType: program.degreeType,
+    focusAreas: program[`focusAreas_${lang}`],
+    fundingSummary: {
+      tuitionRemission: program.tuitionRemission,
+      stipendApproxUSD: program.stipendApproxUSD,
+      yearsGuaranteed: program.yearsGuaranteed,
+    },
+    methodsCulture: program[`methodsCulture_${lang}`],
+    advisorCapacityNote: c.advisorCapacity(accepting, members.length),
+    visaNotes: program[`visaNotes_${lang}`],
+    relatedExplorerRoute: getExplorerRoute(program, lang),
+    alternateLanguage: {
+      en: program.url_en.replace(/\.html$/, '.json'),
+      es: program.url_es.replace(/\.html$/, '.json'),
+    },
+    lastReviewed: program.lastUpdated,
+  };
+}
+
+/**
+ * Warn about pages in the output directories that no program points to
+ * (e.g. after a program was removed or its slug changed)
+ */
+function reportStalePages(programs) {
+  for (const [lang, dir] of Object.entries(OUTPUT_DIRS)) {
+    const absDir = join(PUBLIC_DIR, dir);
+    if (!existsSync(absDir)) continue;
+
+    const expected = new Set(programs.map(p => p[`url_${lang}`]));
+    for (const file of readdirSync(absDir).filter(f => f.endsWith('.html'))) {
+      if (!expected.has(`${dir}${file}`)) {
+        console.warn(`⚠️  WARNING [${dir}${file}]: No program has this URL; delete the page and its .json twin`);
+        warningCount++;
+      }
+    }
+  }
+}
+
+async function main() {
+  console.log('🏗️  Generating program detail pages...\n');
+
+  const { programs, faculty, module } = await loadValidStructuredData();
+  const notesByLang = {
+    en: JSON.parse(readFileSync(join(UNSTRUCTURED_DATA_DIR, 'programNotes.en.json'), 'utf-8')),
+    es: JSON.parse(readFileSync(join(UNSTRUCTURED_DATA_DIR, 'programNotes.es.json'), 'utf-8')),
+  };
+
+  for (const program of programs) {
+    const members = faculty
+      .filter(member => program.facultyIds.includes(member.id))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const lang of ['en', 'es']) {
+      const sitePath = program[`url_${lang}`];
+
+      if (!sitePath.startsWith(OUTPUT_DIRS[lang]) || !sitePath.endsWith('.html')) {
+        console.error(`❌ ERROR [${program.id}]: url_${lang} must be ${OUTPUT_DIRS[lang]}<slug>.html (got: "${sitePath}")`);
+        errorCount++;
+        continue;
+      }
+
+      const notes = notesByLang[lang][program.id];
+      if (!notes) {
+        console.warn(`⚠️  WARNING [${program.id}]: No programNotes.${lang}.json entry; "${COPY[lang].notes}" section omitted`);
+        warningCount++;
+      }
+
+      const html = renderPage(program, members, notes, lang, module.getFacultyProfilePath);
+      console.log(`✅ Generated: ${writePublicFile(sitePath, html)}`);
+      pagesWritten++;
+
+      const summary = buildSummary(program, members, lang);
+      const twinPath = sitePath.replace(/\.html$/, '.json');
+      console.log(`✅ Generated: ${writePublicFile(twinPath, JSON.stringify(summary, null, 2) + '\n')}`);
+      twinsWritten++;
+    }
+  }
+
+  reportStalePages(programs);
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Pages: ${pagesWritten}, ProgramSummary twins: ${twinsWritten}`);
+  console.log(`⚠️  Warnings: ${warningCount}`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Generation completed with errors');
+    process.exit(1);
+  } else if (warningCount > 0) {
+    console.log('\n⚠️  Generation completed with warnings');
+  } else {
+    console.log('\n✅ All program pages generated!');
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -3,137 +3,281 @@
 /**
  * Generate Sitemap Script
  *
- * Scans all HTML pages in /public/ and generates sitemap.xml for search engines
- * Extracts lastmod dates from SEO_INTENT blocks and assigns priorities by page type
+ * Scans all HTML pages in /public/ and writes a sitemap index for search engines:
+ * - /sitemap.xml is a <sitemapindex> of one sitemap per section and language
+ *   (/sitemaps/<section>-<lang>.xml); the language is the page's <html lang>
+ * - Every URL lists its language versions as xhtml:link rel="alternate"
+ *   (from path_en / path_es, plus x-default), when both are in the sitemap;
+ *   NON-PARITY pages (localization_parity=false) list only themselves
+ * - Images in <main> and og:image become image:image entries
+ * - <lastmod> is LAST_REVIEWED from SEO_INTENT, else the last commit that
+ *   touched the page
+ * - <changefreq> comes from the page's edit history in git (the average gap
+ *   between the days it was committed); pages with fewer than two edit days
+ *   get DEFAULT_CHANGEFREQ
+ * - Priority by page type (programs 0.8, insights and scholarship 0.7, ...)
+ *
+ * EXCLUDED:
+ * - Test pages (EXCLUDED_PATHS)
+ * - Unfilled template placeholders (a "[Page Title]" title)
+ * - Pages with <meta name="robots" content="noindex">
+ *
+ * Also writes /robots.txt, which points crawlers at the sitemap index and
+ * disallows the test pages (or the whole site outside production).
+ *
+ * URLs use the configured origin and section paths (src/config/site.ts).
  *
  * Usage: npm run generate-sitemap
  *
  * Spanish Academic 2026
  */
 
-import { readFileSync, writeFileSync } from 'fs';
+import { readFileSync, existsSync } from 'fs';
 import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
+import { execFileSync } from 'child_process';
 import { load } from 'cheerio';
 import { glob } from 'glob';
+import { toAbsoluteUrl } from './utils/json-ld.js';
+import { escapeXml } from './utils/feeds.js';
+import { writePublicFile } from './utils/page-template.js';
+import { SECTION_PATHS, SITE_CONFIG, SITE_ORIGIN } from './utils/site-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PROJECT_ROOT = join(__dirname, '..');
 const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
-const SITEMAP_PATH = join(PUBLIC_DIR, 'sitemap.xml');
 
-// Base URL for the site (configure this for production)
-const BASE_URL = 'https://spanish-academic.com';
+const SITEMAP_INDEX_PATH = '/sitemap.xml';
+const SITEMAP_DIR = '/sitemaps/';
+const ROBOTS_PATH = '/robots.txt';
+
+// Sitemap sections by site path prefix; everything else goes in "pages"
+const SECTIONS = Object.fromEntries(
+  ['programs', 'faculty', 'insights', 'help', 'scholarship'].map(section => [
+    section,
+    [...new Set(Object.values(SECTION_PATHS[section]))],
+  ])
+);
+const DEFAULT_SECTION = 'pages';
+
+// Test pages: never in the sitemap, disallowed in robots.txt
+const EXCLUDED_PATHS = [
+  /^\/(es\/)?test\//,
+  /^\/test-page\.html$/,
+  /^\/(es\/)?test-base-template\.html$/,
+  /^\/es\/pagina-de-prueba\.html$/,
+];
 
 // Priority configuration by page type
 const PRIORITIES = {
   programs: 0.8,
   insights: 0.7,
+  scholarship: 0.7,
   help: 0.6,
+  faculty: 0.6,
   categories: 0.5,
   other: 0.5,
 };
 
+// changefreq by the average number of days between edits (first match wins)
+const CHANGEFREQ_THRESHOLDS = [
+  { maxDays: 1, changefreq: 'daily' },
+  { maxDays: 7, changefreq: 'weekly' },
+  { maxDays: 31, changefreq: 'monthly' },
+  { maxDays: Infinity, changefreq: 'yearly' },
+];
+const DEFAULT_CHANGEFREQ = 'monthly';
+
 // Track statistics
 let pagesProcessed = 0;
 let errorCount = 0;
+let warningCount = 0;
 
 /**
- * Extract SEO_INTENT block from HTML
+ * Extract LAST_REVIEWED from the SEO_INTENT block (either casing), when it's a date
  */
-function extractSeoIntent(html) {
-  const seoIntentRegex = /<!--\s*\n?\s*KEYWORD:\s*([^\n]+)\s*\n\s*AUDIENCE:\s*([^\n]+)\s*\n\s*LAST_REVIEWED:\s*([^\n]+)\s*\n?\s*-->/i;
-  const match = html.match(seoIntentRegex);
+function extractLastReviewed(html) {
+  return html.match(/LAST_REVIEWED:\s*(\d{4}-\d{2}-\d{2})\b/i)?.[1] || null;
+}
 
-  if (!match) {
-    return null;
+/**
+ * Determine page type from URL path
+ */
+function getPageType(sitePath) {
+  if (sitePath.includes('/categories/') || sitePath.includes('/categorias/')) {
+    return 'categories';
   }
+  const section = getSection(sitePath);
+  return section in PRIORITIES ? section : 'other';
+}
 
-  return {
-    keyword: match[1].trim(),
-    audience: match[2].trim(),
-    lastReviewed: match[3].trim(),
-  };
+/**
+ * Sitemap section of a site path
+ */
+function getSection(sitePath) {
+  const match = Object.entries(SECTIONS).find(([, prefixes]) => prefixes.some(prefix => sitePath.startsWith(prefix)));
+  return match ? match[0] : DEFAULT_SECTION;
 }
 
 /**
- * Determine page type from URL path
+ * Get priority for page type
  */
-function getPageType(url) {
-  if (url.includes('/programs/') || url.includes('/programas/')) {
-    return 'programs';
-  }
-  if (url.includes('/insights/') && !url.includes('/categories/') && !url.includes('/categorias/')) {
-    return 'insights';
+function getPriority(pageType) {
+  return PRIORITIES[pageType] || PRIORITIES.other;
+}
+
+/**
+ * Days each file in /public/ was committed on, newest first
+ * (empty when git history isn't available, e.g. in an exported tree)
+ *
+ * @returns {Map<string, string[]>} Site path → distinct YYYY-MM-DD commit days
+ */
+function readEditHistory() {
+  const history = new Map();
+  let log;
+  try {
+    log = execFileSync('git', ['log', '--format=%x00%cs', '--name-only', '--', 'public'], {
+      cwd: PROJECT_ROOT,
+      encoding: 'utf-8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+  } catch (error) {
+    console.warn('⚠️  WARNING: No git history; lastmod falls back to LAST_REVIEWED only and changefreq to the default');
+    warningCount++;
+    return history;
   }
-  if (url.includes('/help/') || url.includes('/ayuda/')) {
-    if (url.includes('/categories/') || url.includes('/categorias/')) {
-      return 'categories';
+
+  for (const commit of log.split('\0').filter(Boolean)) {
+    const [day, ...files] = commit.split('\n').map(line => line.trim()).filter(Boolean);
+    for (const file of files) {
+      if (!file.startsWith('public/')) continue;
+      const sitePath = file.slice('public'.length);
+      const days = history.get(sitePath) || [];
+      if (!days.includes(day)) days.push(day);
+      history.set(sitePath, days);
     }
-    return 'help';
   }
-  if (url.includes('/categories/') || url.includes('/categorias/')) {
-    return 'categories';
+  return history;
+}
+
+/**
+ * changefreq from the days a page was committed on (newest first)
+ */
+function getChangefreq(days) {
+  if (!days || days.length < 2) {
+    return DEFAULT_CHANGEFREQ;
   }
-  return 'other';
+  const span = (Date.parse(days[0]) - Date.parse(days.at(-1))) / 86400000;
+  const averageGap = span / (days.length - 1);
+  return CHANGEFREQ_THRESHOLDS.find(({ maxDays }) => averageGap <= maxDays).changefreq;
 }
 
 /**
- * Get priority for page type
+ * Why a page stays out of the sitemap, or null when it's listed
  */
-function getPriority(pageType) {
-  return PRIORITIES[pageType] || PRIORITIES.other;
+function getExclusionReason(sitePath, $) {
+  if (EXCLUDED_PATHS.some(pattern => pattern.test(sitePath))) {
+    return 'test page';
+  }
+  if (/noindex/i.test($('meta[name="robots"]').attr('content') || '')) {
+    return 'noindex';
+  }
+  if (/^\[.*\]$/.test($('title').text().trim())) {
+    return 'template placeholder';
+  }
+  return null;
 }
 
 /**
- * Convert file path to URL
+ * Absolute URLs of the page's images (content images and og:image)
  */
-function filePathToUrl(filePath) {
-  const relativePath = relative(PUBLIC_DIR, filePath);
-  const urlPath = '/' + relativePath.replace(/\\/g, '/').replace(/index\.html$/, '');
-  return BASE_URL + urlPath;
+function collectImages($) {
+  const sources = [
+    ...$('main img[src]').map((_, img) => $(img).attr('src')).get(),
+    $('meta[property="og:image"]').attr('content'),
+  ];
+  const images = new Set();
+  for (const src of sources) {
+    if (!src || src.startsWith('data:') || /\[.*\]/.test(src)) continue;
+    try {
+      images.add(new URL(src, `${SITE_ORIGIN}/`).toString());
+    } catch {
+      // Unparseable src; accessibility-scan and the browser report broken images
+    }
+  }
+  return [...images];
 }
 
 /**
  * Parse HTML file and extract sitemap data
  */
-function parseHtmlFile(filePath) {
+function parseHtmlFile(filePath, history) {
+  const sitePath = '/' + relative(PUBLIC_DIR, filePath).replace(/\\/g, '/');
   try {
     const html = readFileSync(filePath, 'utf-8');
     const $ = load(html);
+    pagesProcessed++;
 
-    // Extract SEO_INTENT for lastmod date
-    const seoIntent = extractSeoIntent(html);
-    const lastmod = seoIntent?.lastReviewed || new Date().toISOString().split('T')[0];
-
-    // Get URL
-    const url = filePathToUrl(filePath);
-
-    // Determine page type and priority
-    const pageType = getPageType(url);
-    const priority = getPriority(pageType);
+    const excluded = getExclusionReason(sitePath, $);
+    if (excluded) {
+      return { sitePath, excluded };
+    }
 
-    pagesProcessed++;
+    const days = history.get(sitePath);
+    const pageType = getPageType(sitePath);
+    const meta = name => $(`meta[name="${name}"]`).attr('content')?.trim() || null;
 
     return {
-      url,
-      lastmod,
-      priority,
+      sitePath,
+      url: toAbsoluteUrl(sitePath),
+      section: getSection(sitePath),
+      language: $('html').attr('lang')?.trim() || (sitePath.startsWith('/es/') ? 'es' : 'en'),
+      lastmod: extractLastReviewed(html) || days?.[0] || null,
+      changefreq: getChangefreq(days),
+      priority: getPriority(pageType),
       pageType,
+      parity: meta('localization_parity') !== 'false',
+      paths: { en: meta('path_en'), es: meta('path_es') },
+      images: collectImages($),
     };
   } catch (error) {
-    const relPath = relative(PUBLIC_DIR, filePath);
-    console.error(`❌ Error parsing ${relPath}: ${error.message}`);
+    console.error(`❌ Error parsing ${sitePath.slice(1)}: ${error.message}`);
     errorCount++;
     return null;
   }
 }
 
 /**
- * Generate sitemap XML
+ * hreflang alternates of a listed page (xhtml:link)
+ * Paired pages list both versions and x-default (English) when both are in
+ * the sitemap; NON-PARITY pages list only themselves.
  */
-function generateSitemapXml(urlEntries) {
+function getAlternates(entry, listedUrls) {
+  if (!entry.parity) {
+    return [{ hreflang: entry.language, href: entry.url }];
+  }
+  if (!entry.paths.en || !entry.paths.es) {
+    return [];
+  }
+
+  const en = toAbsoluteUrl(entry.paths.en);
+  const es = toAbsoluteUrl(entry.paths.es);
+  if (!listedUrls.has(en) || !listedUrls.has(es) || (en !== entry.url && es !== entry.url)) {
+    return [];
+  }
+  return [
+    { hreflang: 'en', href: en },
+    { hreflang: 'es', href: es },
+    { hreflang: 'x-default', href: en },
+  ];
+}
+
+/**
+ * Generate one section sitemap
+ */
+function generateSitemapXml(urlEntries, listedUrls) {
   const urlElements = urlEntries
     .sort((a, b) => {
       // Sort by priority (high to low), then by URL
@@ -143,21 +287,78 @@ function generateSitemapXml(urlEntries) {
       return a.url.localeCompare(b.url);
     })
     .map(entry => {
-      return `  <url>
-    <loc>${entry.url}</loc>
-    <lastmod>${entry.lastmod}</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>${entry.priority.toFixed(1)}</priority>
-  </url>`;
+      const lines = [
+        `    <loc>${escapeXml(entry.url)}</loc>`,
+        ...getAlternates(entry, listedUrls).map(({ hreflang, href }) =>
+          `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(href)}"/>`
+        ),
+        ...(entry.lastmod ? [`    <lastmod>${entry.lastmod}</lastmod>`] : []),
+        `    <changefreq>${entry.changefreq}</changefreq>`,
+        `    <priority>${entry.priority.toFixed(1)}</priority>`,
+        ...entry.images.map(image => `    <image:image>\n      <image:loc>${escapeXml(image)}</image:loc>\n    </image:image>`),
+      ];
+      return `  <url>\n${lines.join('\n')}\n  </url>`;
     })
     .join('\n');
 
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:xhtml="http://www.w3.org/1999/xhtml"
+        xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
 ${urlElements}
-</urlset>`;
+</urlset>
+`;
+}
 
-  return xml;
+/**
+ * Generate the sitemap index
+ *
+ * @param {{ sitePath: string, lastmod: string | null }[]} sitemaps
+ */
+function generateSitemapIndexXml(sitemaps) {
+  const elements = sitemaps.map(({ sitePath, lastmod }) => `  <sitemap>
+    <loc>${SITE_ORIGIN}${sitePath}</loc>${lastmod ? `
+    <lastmod>${lastmod}</lastmod>` : ''}
+  </sitemap>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${elements.join('\n')}
+</sitemapindex>
+`;
+}
+
+/**
+ * robots.txt: everything is crawlable but the test pages
+ * (nothing is, outside production: SITE_ENV=staging / local)
+ */
+function generateRobotsTxt(testPaths) {
+  const rules = SITE_CONFIG.indexable
+    ? ['Allow: /', ...testPaths.map(path => `Disallow: ${path}`)]
+    : ['Disallow: /'];
+
+  return `# Generated by scripts/generate_sitemap.js (npm run generate-sitemap)
+User-agent: *
+${rules.join('\n')}
+
+Sitemap: ${SITE_ORIGIN}${SITEMAP_INDEX_PATH}
+`;
+}
+
+/**
+ * Warn about section sitemaps that are no longer written
+ */
+async function reportStaleSitemaps(written) {
+  const absDir = join(PUBLIC_DIR, SITEMAP_DIR);
+  if (!existsSync(absDir)) return;
+
+  for (const file of await glob('*.xml', { cwd: absDir })) {
+    const sitePath = `${SITEMAP_DIR}${file}`;
+    if (!written.has(sitePath)) {
+      console.warn(`⚠️  WARNING [${sitePath}]: No section renders to this sitemap; delete it`);
+      warningCount++;
+    }
+  }
 }
 
 /**
@@ -171,7 +372,7 @@ async function main() {
   const htmlFiles = await glob('**/*.html', {
     cwd: PUBLIC_DIR,
     absolute: true,
-    ignore: ['**/node_modules/**'],
+    ignore: ['**/node_modules/**', 'assets/**'],
   });
 
   if (htmlFiles.length === 0) {
@@ -182,19 +383,51 @@ async function main() {
   console.log(`Found ${htmlFiles.length} HTML file(s)\n`);
 
   // Parse all files
+  const history = readEditHistory();
   const urlEntries = [];
-  for (const filePath of htmlFiles) {
-    const entry = parseHtmlFile(filePath);
-    if (entry) {
+  const excluded = [];
+  for (const filePath of htmlFiles.sort()) {
+    const entry = parseHtmlFile(filePath, history);
+    if (!entry) continue;
+    if (entry.excluded) {
+      excluded.push(entry);
+    } else {
       urlEntries.push(entry);
     }
   }
 
-  // Generate sitemap XML
-  const sitemapXml = generateSitemapXml(urlEntries);
+  if (excluded.length > 0) {
+    console.log('⏭️  Excluded:');
+    excluded.forEach(({ sitePath, excluded: reason }) => console.log(`   ${sitePath} (${reason})`));
+    console.log('');
+  }
+
+  // One sitemap per section and language
+  const listedUrls = new Set(urlEntries.map(entry => entry.url));
+  const groups = new Map();
+  for (const entry of urlEntries) {
+    const key = `${entry.section}-${entry.language}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+
+  const sitemaps = [];
+  const written = new Set();
+  for (const [key, entries] of [...groups].sort(([a], [b]) => a.localeCompare(b))) {
+    const sitePath = `${SITEMAP_DIR}${key}.xml`;
+    writePublicFile(sitePath, generateSitemapXml(entries, listedUrls));
+    written.add(sitePath);
+    sitemaps.push({
+      sitePath,
+      lastmod: entries.map(entry => entry.lastmod).filter(Boolean).sort().at(-1) || null,
+    });
+    console.log(`   ✅ ${sitePath.slice(1)}: ${entries.length} URL(s)`);
+  }
 
-  // Write sitemap
-  writeFileSync(SITEMAP_PATH, sitemapXml, 'utf-8');
+  writePublicFile(SITEMAP_INDEX_PATH, generateSitemapIndexXml(sitemaps));
+  const testPaths = excluded.filter(entry => entry.excluded === 'test page').map(entry => entry.sitePath);
+  writePublicFile(ROBOTS_PATH, generateRobotsTxt(testPaths));
+  await reportStaleSitemaps(written);
 
   // Summary by page type
   const typeStats = {};
@@ -202,7 +435,7 @@ async function main() {
     typeStats[entry.pageType] = (typeStats[entry.pageType] || 0) + 1;
   });
 
-  console.log('📄 Pages by Type:');
+  console.log('\n📄 Pages by Type:');
   Object.entries(typeStats)
     .sort((a, b) => b[1] - a[1])
     .forEach(([type, count]) => {
@@ -215,8 +448,10 @@ async function main() {
   console.log('📊 SUMMARY');
   console.log('='.repeat(60));
   console.log(`✅ Pages processed: ${pagesProcessed}`);
-  console.log(`🗺️  URLs in sitemap: ${urlEntries.length}`);
-  console.log(`📁 Sitemap written to: ${relative(PROJECT_ROOT, SITEMAP_PATH)}`);
+  console.log(`🗺️  URLs in sitemaps: ${urlEntries.length} (${sitemaps.length} sitemap(s))`);
+  console.log(`⏭️  Excluded: ${excluded.length}`);
+  console.log(`📁 Sitemap index written to: public${SITEMAP_INDEX_PATH}, robots.txt to public${ROBOTS_PATH}`);
+  console.log(`⚠️  Warnings: ${warningCount}`);
   console.log(`❌ Errors: ${errorCount}`);
 
   if (errorCount > 0) {
@@ -224,8 +459,6 @@ async function main() {
     process.exit(1);
   } else {
     console.log('\n✅ Sitemap generated successfully!');
-    console.log(`\n💡 View sitemap: ${SITEMAP_PATH}`);
-    console.log('💡 Update BASE_URL in script for production deployment');
   }
 }
 
@@ -5,6 +5,7 @@
  *
  * Enforces lightweight initial HTML payload (<50KB uncompressed)
  * Scans /public/ for all HTML files and reports size violations
+ * The budget is thresholds.maxHtmlSizeKb in src/config/site.ts
  *
  * Why 50KB?
  * - Mobile-first constraint: fast initial page load on slow connections
@@ -21,16 +22,13 @@ import { join, relative } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { glob } from 'glob';
+import { MAX_HTML_SIZE_BYTES, MAX_HTML_SIZE_KB } from './utils/site-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PROJECT_ROOT = join(__dirname, '..');
 const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
 
-// Configuration
-const MAX_HTML_SIZE_KB = 50;
-const MAX_HTML_SIZE_BYTES = MAX_HTML_SIZE_KB * 1024;
-
 // ANSI color codes
 const colors = {
   reset: '\x1b[0m',
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Inject Island Assets Script
+ *
+ * Writes the stylesheet, modulepreload and script tags of the React islands
+ * into every page in /public/ that has an island root element, from the Vite
+ * manifest (scripts/utils/island-assets.js). Pages are only rewritten when
+ * their tags change. Run after `vite build` (npm run build does) and after the
+ * generators that render whole pages.
+ *
+ * Fails when a page references a file under /assets/js/ (or an island
+ * stylesheet) that isn't in public/assets, e.g. a hand-written hashed name
+ * left behind by a rebuild.
+ *
+ * Usage: npm run inject-island-assets
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { glob } from 'glob';
+import { findMissingIslandFiles, injectIslandAssets, readIslandManifest } from './utils/island-assets.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
+
+let updatedCount = 0;
+let unchangedCount = 0;
+let islandPageCount = 0;
+let errorCount = 0;
+
+async function main() {
+  console.log('🏝️  Injecting React island assets from the Vite manifest...\n');
+
+  const islands = readIslandManifest();
+  console.log(`Islands in the manifest: ${[...islands.keys()].join(', ')}\n`);
+
+  const htmlFiles = await glob('**/*.html', {
+    cwd: PUBLIC_DIR,
+    ignore: ['**/node_modules/**', 'assets/**'],
+    posix: true,
+  });
+
+  for (const relPath of htmlFiles.sort()) {
+    const filePath = join(PUBLIC_DIR, relPath);
+    const html = readFileSync(filePath, 'utf-8');
+    const { html: updated, names } = injectIslandAssets(html, islands);
+
+    if (names.length > 0) {
+      islandPageCount++;
+    }
+
+    for (const file of findMissingIslandFiles(updated)) {
+      console.error(`❌ ERROR [${relPath}]: ${file} doesn't exist in public/assets`);
+      errorCount++;
+    }
+
+    if (updated === html) {
+      unchangedCount++;
+      continue;
+    }
+
+    writeFileSync(filePath, updated, 'utf-8');
+    console.log(`✅ ${relPath}: ${names.length > 0 ? names.join(', ') : 'removed'}`);
+    updatedCount++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`🏝️  Pages with islands: ${islandPageCount}`);
+  console.log(`✅ Updated: ${updatedCount} page(s)`);
+  console.log(`⏭️  Up to date: ${unchangedCount} page(s)`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Pages reference missing assets: run `npm run build`');
+    process.exit(1);
+  }
+  console.log('\n✅ Island assets match the build');
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
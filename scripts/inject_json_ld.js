@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Inject JSON-LD Script
+ *
+ * Writes schema.org structured data into every HTML page in /public/ from its
+ * JSON twin (scripts/utils/json-ld.js): program, scholarly article, article
+ * and FAQ markup plus a BreadcrumbList. Pages are only rewritten when their
+ * managed block changes. Run after the twins are up to date; the generators
+ * that render whole pages (program and faculty pages) drop the block, so this
+ * runs after them too.
+ *
+ * generate_page_json.js hashes pages without the managed block, so injecting
+ * doesn't make the next twin run parse them again.
+ *
+ * Usage: npm run inject-json-ld (after generate-json and build-categories)
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { load } from 'cheerio';
+import { glob } from 'glob';
+import { buildJsonLd, injectJsonLd, readPageInfo } from './utils/json-ld.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
+
+let updatedCount = 0;
+let unchangedCount = 0;
+let warningCount = 0;
+
+async function main() {
+  console.log('🔗 Injecting JSON-LD structured data from JSON twins...\n');
+
+  const htmlFiles = await glob('**/*.html', {
+    cwd: PUBLIC_DIR,
+    ignore: ['**/node_modules/**', 'assets/**'],
+    posix: true,
+  });
+
+  for (const relPath of htmlFiles.sort()) {
+    const filePath = join(PUBLIC_DIR, relPath);
+    const twinPath = filePath.replace(/\.html$/, '.json');
+    if (!existsSync(twinPath)) {
+      console.warn(`⚠️  WARNING [${relPath}]: No JSON twin; run npm run generate-json first`);
+      warningCount++;
+      continue;
+    }
+
+    const html = readFileSync(filePath, 'utf-8');
+    const twin = JSON.parse(readFileSync(twinPath, 'utf-8'));
+    const document = buildJsonLd(twin, readPageInfo(load(html), `/${relPath}`));
+    const { html: updated, replaced } = injectJsonLd(html, document);
+
+    if (updated === html) {
+      unchangedCount++;
+      continue;
+    }
+
+    writeFileSync(filePath, updated, 'utf-8');
+    const types = document ? document['@graph'].map(node => node['@type']).join(', ') : 'removed';
+    const note = replaced.length > 0 ? ` (replaced ${replaced.join(', ')} block)` : '';
+    console.log(`✅ ${relPath}: ${types}${note}`);
+    updatedCount++;
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Updated: ${updatedCount} page(s)`);
+  console.log(`⏭️  Up to date: ${unchangedCount} page(s)`);
+  console.log(`⚠️  Warnings: ${warningCount}`);
+  console.log('\n💡 Next: npm run validate-json-ld');
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
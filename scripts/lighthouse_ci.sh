@@ -37,7 +37,7 @@ PAGES=(
   "/es/"
   "/test-page.html"
   "/insights/test-article.html"
-  "/insights/categories/research-methods.html"
+  "/insights/categories/statistical-and-research-methods.html"
 )
 
 # Create output directory
@@ -8,6 +8,8 @@
  * Spanish Academic 2026
  */
 
+import { SITE_ORIGIN } from './utils/site-config.js';
+
 // Note: This is a simple Node.js test file.
 // For production, we'd use a proper testing framework (Jest, Vitest, etc.)
 // But for now, this validates the core functionality.
@@ -108,7 +110,7 @@ function createPathMetadata(path) {
   }
 }
 
-function generateHreflangLinks(pathMetadata, baseUrl = 'https://spanish-academic.com') {
+function generateHreflangLinks(pathMetadata, baseUrl = SITE_ORIGIN) {
   const cleanBaseUrl = baseUrl.replace(/\/$/, '');
   return [
     `<link rel="alternate" hreflang="en" href="${cleanBaseUrl}${pathMetadata.path_en}">`,
@@ -0,0 +1,62 @@
+/**
+ * Article Metadata
+ *
+ * The listing fields of an Insights, Help or Scholarship page, as category
+ * pages and feeds show them:
+ * - title (h1, else <title>) and abstract (meta description, else the first
+ *   paragraph of <main>)
+ * - categoryId (<meta name="category">), tags (<meta name="tags">, the page's
+ *   tags_en / tags_es) and featured (<meta name="featured" content="true">)
+ * - publishedDate (<meta name="published_date">, else the datePublished
+ *   microdata of scholarly articles) and lastReviewed (SEO_INTENT)
+ *
+ * Usage:
+ *   import { readArticle } from './utils/article-metadata.js';
+ *   const article = readArticle(filePath);
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync } from 'fs';
+import { relative } from 'path';
+import { load } from 'cheerio';
+import { PUBLIC_DIR } from './page-template.js';
+
+/**
+ * Read the listing fields of one page
+ *
+ * @param {string} filePath - Absolute path of an HTML file in /public/
+ */
+export function readArticle(filePath) {
+  const html = readFileSync(filePath, 'utf-8');
+  const $ = load(html);
+
+  const description = $('meta[name="description"]').attr('content')?.trim() || '';
+  let abstract = description;
+  if (!abstract) {
+    const firstP = $('main p').first().text().trim();
+    abstract = firstP.substring(0, 200) + (firstP.length > 200 ? '...' : '');
+  }
+
+  const tags = ($('meta[name="tags"]').attr('content') || '')
+    .split(',')
+    .map(tag => tag.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const publishedDate =
+    $('meta[name="published_date"]').attr('content')?.trim() ||
+    $('time[itemprop="datePublished"]').attr('datetime')?.trim() ||
+    '';
+
+  return {
+    url: '/' + relative(PUBLIC_DIR, filePath).replace(/\\/g, '/'),
+    language: $('html').attr('lang')?.trim() || '',
+    title: $('h1').first().text().trim() || $('title').text().trim(),
+    abstract,
+    categoryId: $('meta[name="category"]').attr('content')?.trim() || '',
+    tags: [...new Set(tags)],
+    featured: $('meta[name="featured"]').attr('content')?.trim() === 'true',
+    publishedDate: publishedDate.match(/^\d{4}-\d{2}-\d{2}/)?.[0] || '',
+    lastReviewed: html.match(/LAST_REVIEWED:\s*(\d{4}-\d{2}-\d{2})/i)?.[1] || '',
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Feed Rendering (RSS 2.0 and Atom)
+ *
+ * Shared by the scripts that publish feeds: build_categories.js writes one
+ * pair per category and language, build_feeds.js one pair per section and
+ * language. Every feed comes as RSS (feed.xml) and Atom (atom.xml) in the same
+ * directory. Output is deterministic: dates come from the items (YYYY-MM-DD),
+ * never from the clock, so a feed only changes with its pages.
+ *
+ * Pages point to their feeds with <link rel="alternate">. build_feeds.js
+ * injects them into article pages as a managed block (FEED_LINK_ATTRIBUTE);
+ * generate_page_json.js hashes pages without it.
+ *
+ * Usage:
+ *   import { getFeedPaths, renderFeed, selectFeedItems } from './utils/feeds.js';
+ *   const paths = getFeedPaths('/insights/');
+ *   const xml = renderFeed('atom', { title, link, description, language, selfUrl: paths.atom, items });
+ *
+ * Spanish Academic 2026
+ */
+
+import { SITE_ORIGIN } from './site-config.js';
+
+// Items per feed (newest first)
+export const FEED_SIZE = 20;
+
+// File name and media type per feed format
+export const FEED_FORMATS = {
+  rss: { file: 'feed.xml', type: 'application/rss+xml', label: 'RSS' },
+  atom: { file: 'atom.xml', type: 'application/atom+xml', label: 'Atom' },
+};
+
+// Marks the feed links build_feeds.js manages in a page's <head>
+export const FEED_LINK_ATTRIBUTE = 'data-generated="feeds"';
+
+const MANAGED_LINK_PATTERN = new RegExp(`[ \\t]*<link [^>]*${FEED_LINK_ATTRIBUTE}[^>]*>\\n?`, 'g');
+
+/**
+ * Escape text for XML element content and attribute values
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Absolute URL for a site path (/insights/x.html → https://…/insights/x.html)
+ */
+export function toFeedUrl(sitePath) {
+  return /^https?:\/\//.test(sitePath) ? sitePath : `${SITE_ORIGIN}${sitePath}`;
+}
+
+/**
+ * RFC 822 date for an ISO date (RSS pubDate / lastBuildDate), at 00:00 UTC
+ */
+export function toRfc822Date(isoDate) {
+  return new Date(`${isoDate}T00:00:00Z`).toUTCString();
+}
+
+/**
+ * RFC 3339 timestamp for an ISO date (Atom updated / published), at 00:00 UTC
+ */
+export function toRfc3339Date(isoDate) {
+  return `${isoDate}T00:00:00Z`;
+}
+
+/**
+ * Site paths of the RSS and Atom feeds published in a directory
+ *
+ * @param {string} dir - Site directory, with a trailing slash
+ * @returns {{ rss: string, atom: string }}
+ */
+export function getFeedPaths(dir) {
+  return Object.fromEntries(Object.entries(FEED_FORMATS).map(([format, { file }]) => [format, `${dir}${file}`]));
+}
+
+/**
+ * Newest FEED_SIZE items; undated items are left out (feed entries need a date)
+ *
+ * @param {{ title: string, date?: string }[]} items
+ */
+export function selectFeedItems(items) {
+  return items
+    .filter(item => item.date)
+    .sort((a, b) => b.date.localeCompare(a.date) || a.title.localeCompare(b.title))
+    .slice(0, FEED_SIZE);
+}
+
+/**
+ * Render an RSS 2.0 feed
+ *
+ * @param {object} channel
+ * @param {string} channel.title
+ * @param {string} channel.link - Site path of the page the feed follows
+ * @param {string} channel.description
+ * @param {'en' | 'es'} channel.language
+ * @param {string} channel.selfUrl - Site path of the feed itself
+ * @param {{ title: string, url: string, description: string, date?: string, categories?: string[] }[]} channel.items
+ *   Newest first; `date` is YYYY-MM-DD
+ * @returns {string} The feed XML
+ */
+export function renderRssFeed({ title, link, description, language, selfUrl, items }) {
+  const newest = items.map(item => item.date).filter(Boolean).sort().at(-1);
+
+  const itemXml = items.map(item => {
+    const url = escapeXml(toFeedUrl(item.url));
+    const lines = [
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${url}</link>`,
+      `      <guid isPermaLink="true">${url}</guid>`,
+      `      <description>${escapeXml(item.description)}</description>`,
+      ...(item.date ? [`      <pubDate>${toRfc822Date(item.date)}</pubDate>`] : []),
+      ...(item.categories ?? []).map(category => `      <category>${escapeXml(category)}</category>`),
+    ];
+    return `    <item>\n${lines.join('\n')}\n    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(toFeedUrl(link))}</link>
+    <description>${escapeXml(description)}</description>
+    <language>${language}</language>${newest ? `
+    <lastBuildDate>${toRfc822Date(newest)}</lastBuildDate>` : ''}
+    <atom:link href="${escapeXml(toFeedUrl(selfUrl))}" rel="self" type="application/rss+xml"/>
+${itemXml.map(xml => `${xml}\n`).join('')}  </channel>
+</rss>
+`;
+}
+
+/**
+ * Render an Atom feed
+ * Same channel as renderRssFeed; every item needs a `date` (see selectFeedItems).
+ *
+ * @returns {string} The feed XML
+ */
+export function renderAtomFeed({ title, link, description, language, selfUrl, items }) {
+  const newest = items.map(item => item.date).filter(Boolean).sort().at(-1);
+  const selfHref = escapeXml(toFeedUrl(selfUrl));
+
+  const entryXml = items.map(item => {
+    const url = escapeXml(toFeedUrl(item.url));
+    const lines = [
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${url}"/>`,
+      `    <id>${url}</id>`,
+      `    <published>${toRfc3339Date(item.date)}</published>`,
+      `    <updated>${toRfc3339Date(item.date)}</updated>`,
+      `    <summary>${escapeXml(item.description)}</summary>`,
+      ...(item.categories ?? []).map(category => `    <category term="${escapeXml(category)}"/>`),
+    ];
+    return `  <entry>\n${lines.join('\n')}\n  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${language}">
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(toFeedUrl(link))}"/>
+  <link rel="self" type="application/atom+xml" href="${selfHref}"/>
+  <id>${selfHref}</id>
+  <updated>${toRfc3339Date(newest)}</updated>
+  <author>
+    <name>Spanish Academic</name>
+  </author>
+${entryXml.map(xml => `${xml}\n`).join('')}</feed>
+`;
+}
+
+/**
+ * Render one format of a feed
+ *
+ * @param {'rss' | 'atom'} format
+ * @param {object} channel - See renderRssFeed
+ */
+export function renderFeed(format, channel) {
+  return format === 'atom' ? renderAtomFeed(channel) : renderRssFeed(channel);
+}
+
+/**
+ * <link rel="alternate"> tags for the RSS and Atom versions of a feed
+ *
+ * @param {{ rss: string, atom: string }} paths - From getFeedPaths
+ * @param {string} title - Feed title (plain text)
+ * @param {string} [attributes] - Extra attributes, e.g. FEED_LINK_ATTRIBUTE
+ */
+export function renderFeedLinks(paths, title, attributes = '') {
+  return Object.entries(FEED_FORMATS)
+    .map(([format, { type }]) =>
+      `  <link rel="alternate" type="${type}" title="${escapeXml(title)}" href="${escapeXml(toFeedUrl(paths[format]))}"${attributes ? ` ${attributes}` : ''}>`
+    )
+    .join('\n');
+}
+
+/**
+ * Remove the managed feed links (their content doesn't change the page's meaning for twins)
+ */
+export function stripManagedFeedLinks(html) {
+  return html.replace(MANAGED_LINK_PATTERN, '');
+}
+
+/**
+ * Replace a page's managed feed links (or remove them when `links` is empty)
+ *
+ * @param {string} html
+ * @param {string} links - Markup from renderFeedLinks with FEED_LINK_ATTRIBUTE
+ */
+export function injectFeedLinks(html, links) {
+  // Existing links are replaced in place, so this and inject_json_ld.js
+  // (which appends before </head>) don't keep reordering each other's blocks
+  const existing = html.search(new RegExp(MANAGED_LINK_PATTERN.source));
+  const stripped = stripManagedFeedLinks(html);
+  if (!links) {
+    return stripped;
+  }
+  if (existing === -1) {
+    return stripped.replace('</head>', () => `${links}\n</head>`);
+  }
+  return `${stripped.slice(0, existing)}${links}\n${stripped.slice(existing)}`;
+}
@@ -0,0 +1,181 @@
+/**
+ * React Island Asset Tags from the Vite Manifest
+ *
+ * Vite writes public/assets/manifest.json (build.manifest in vite.config.ts),
+ * mapping each island entry (src/apps/<island>/main.tsx) to its hashed files.
+ * Pages load an island through tags rendered from it, never through
+ * hand-written file names, so a rebuild can't leave a page pointing at a file
+ * that no longer exists:
+ * - In <head>: the island's stylesheets, and modulepreload links for the
+ *   chunks its entry imports
+ * - Before </body>: the entry <script type="module">
+ *
+ * Both are managed blocks (ISLAND_ATTRIBUTE), replaced in place on each run.
+ * An island is on a page when the page has its root element (id="<island>-root").
+ * generate_page_json.js hashes pages without the managed tags.
+ *
+ * Usage:
+ *   import { readIslandManifest, injectIslandAssets } from './utils/island-assets.js';
+ *   const islands = readIslandManifest();
+ *   const { html: updated } = injectIslandAssets(html, islands);
+ *
+ * Spanish Academic 2026
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const ASSETS_DIR = join(__dirname, '..', '..', 'public', 'assets');
+
+export const ISLAND_MANIFEST_FILE = join(ASSETS_DIR, 'manifest.json');
+
+// Marks the island tags inject_island_assets.js manages
+export const ISLAND_ATTRIBUTE = 'data-generated="island"';
+
+// URL prefix of the files in public/assets
+const ASSETS_URL = '/assets/';
+
+// Entries that are islands: src/apps/<island>/main.tsx
+const ISLAND_ENTRY_PATTERN = /^src\/apps\/([\w-]+)\/main\.tsx$/;
+
+const MANAGED_TAG_PATTERN = new RegExp(
+  `[ \\t]*<(?:link [^>]*${ISLAND_ATTRIBUTE}[^>]*>|script [^>]*${ISLAND_ATTRIBUTE}[^>]*></script>)\\n?`,
+  'g'
+);
+
+/**
+ * Tags that load an island's files without ISLAND_ATTRIBUTE (written by hand
+ * before the manifest); replaced by the managed tags
+ */
+function legacyTagPattern(names) {
+  const island = names.join('|');
+  return new RegExp(
+    `[ \\t]*<(?:link rel="stylesheet" href="${ASSETS_URL}css/(?:${island})-[\\w-]+\\.css"|script type="module" src="${ASSETS_URL}js/(?:${island})-[\\w-]+\\.js"></script)>\\n?`,
+    'g'
+  );
+}
+
+/**
+ * Islands in the Vite manifest (island name → { file, css, preloads }),
+ * paths relative to public/assets
+ *
+ * @throws Error when the manifest is missing (run `npm run build`)
+ */
+export function readIslandManifest(manifestFile = ISLAND_MANIFEST_FILE) {
+  if (!existsSync(manifestFile)) {
+    throw new Error('public/assets/manifest.json not found; run `npm run build` first');
+  }
+  const manifest = JSON.parse(readFileSync(manifestFile, 'utf-8'));
+
+  // Stylesheets and statically imported chunks an entry needs, depth first
+  const collect = (key, css, preloads, seen = new Set()) => {
+    if (seen.has(key)) return;
+    seen.add(key);
+    const chunk = manifest[key];
+    (chunk.css || []).forEach(file => css.add(file));
+    for (const imported of chunk.imports || []) {
+      preloads.add(manifest[imported].file);
+      collect(imported, css, preloads, seen);
+    }
+  };
+
+  const islands = new Map();
+  for (const [key, chunk] of Object.entries(manifest)) {
+    const match = chunk.isEntry && key.match(ISLAND_ENTRY_PATTERN);
+    if (!match) continue;
+    const css = new Set();
+    const preloads = new Set();
+    collect(key, css, preloads);
+    islands.set(match[1], { file: chunk.file, css: [...css], preloads: [...preloads] });
+  }
+  return islands;
+}
+
+/**
+ * Names of the islands whose root element is on the page, in manifest order
+ */
+export function findPageIslands(html, islands) {
+  return [...islands.keys()].filter(name => html.includes(`id="${name}-root"`));
+}
+
+/**
+ * Managed tags for a page's islands: { head, body } markup, '' when there are none
+ * Files shared by several islands are only listed once.
+ */
+export function renderIslandAssets(names, islands) {
+  const unique = list => [...new Set(list)];
+  const css = unique(names.flatMap(name => islands.get(name).css));
+  const preloads = unique(names.flatMap(name => islands.get(name).preloads));
+
+  const head = [
+    ...css.map(file => `  <link rel="stylesheet" href="${ASSETS_URL}${file}" ${ISLAND_ATTRIBUTE}>`),
+    ...preloads.map(file => `  <link rel="modulepreload" href="${ASSETS_URL}${file}" ${ISLAND_ATTRIBUTE}>`),
+  ].join('\n');
+  const body = names
+    .map(name => `  <script type="module" src="${ASSETS_URL}${islands.get(name).file}" ${ISLAND_ATTRIBUTE}></script>`)
+    .join('\n');
+  return { head, body };
+}
+
+/**
+ * Remove the managed island tags (a rebuild changes their file names, not the page)
+ */
+export function stripManagedIslandAssets(html) {
+  return html.replace(MANAGED_TAG_PATTERN, '');
+}
+
+/**
+ * Replace a block of tags in place (at the first tag `pattern` matches), or
+ * insert it before `closingTag` when there's none yet
+ */
+function replaceBlock(html, pattern, block, closingTag) {
+  const existing = html.search(new RegExp(pattern.source));
+  const stripped = html.replace(pattern, '');
+  if (!block) {
+    return stripped;
+  }
+  if (existing === -1) {
+    return stripped.replace(closingTag, () => `${block}\n${closingTag}`);
+  }
+  return `${stripped.slice(0, existing)}${block}\n${stripped.slice(existing)}`;
+}
+
+/**
+ * Write the managed tags for the islands on a page, replacing hand-written ones
+ *
+ * @param {string} html
+ * @param {Map} islands - From readIslandManifest
+ * @returns {{ html: string, names: string[] }} The islands found on the page
+ */
+export function injectIslandAssets(html, islands) {
+  const names = findPageIslands(html, islands);
+  const { head, body } = renderIslandAssets(names, islands);
+  const legacy = legacyTagPattern([...islands.keys()]).source;
+
+  // Head tags go where the island stylesheet was, the entry script where the script was
+  const headPattern = new RegExp(`${legacy}|[ \\t]*<link [^>]*${ISLAND_ATTRIBUTE}[^>]*>\\n?`, 'g');
+  const bodyPattern = new RegExp(`${legacy}|[ \\t]*<script [^>]*${ISLAND_ATTRIBUTE}[^>]*></script>\\n?`, 'g');
+
+  const headEnd = html.indexOf('</head>') + '</head>'.length;
+  const updated = replaceBlock(html.slice(0, headEnd), headPattern, head, '</head>')
+    + replaceBlock(html.slice(headEnd), bodyPattern, body, '</body>');
+  return { html: updated, names };
+}
+
+/**
+ * Files under /assets/js/ and island stylesheets a page references that
+ * aren't in public/assets
+ */
+export function findMissingIslandFiles(html) {
+  const pattern = new RegExp(
+    `<(?:script [^>]*src="${ASSETS_URL}(js/[^"]+)"|link [^>]*href="${ASSETS_URL}([^"]+)"[^>]*${ISLAND_ATTRIBUTE})`,
+    'g'
+  );
+  return [...html.matchAll(pattern)]
+    .map(([, script, link]) => script || link)
+    .filter(file => !existsSync(join(ASSETS_DIR, file)))
+    .map(file => `${ASSETS_URL}${file}`);
+}
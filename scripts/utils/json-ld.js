@@ -0,0 +1,351 @@
+/**
+ * schema.org JSON-LD from JSON Twins
+ *
+ * Builds the structured data for a page from its twin, so search engines see
+ * the same facts as the Chat and search features:
+ * - EducationalOccupationalProgram with a CollegeOrUniversity provider (programSummary)
+ * - ScholarlyArticle (scholarship), Article (insights pages, insightsArticle)
+ * - FAQPage (qaPage, and Help pages with .faq-item pairs)
+ * - BreadcrumbList on every page but the home pages
+ *
+ * The nodes go in one managed <script type="application/ld+json"
+ * data-generated="twin"> block before </head>. Hand-written or template
+ * blocks of a type the managed block covers (e.g. the ScholarlyArticle in
+ * templates/scholarship-base.html) are replaced; other blocks (faculty Person,
+ * category CollectionPage) are left alone.
+ *
+ * Usage:
+ *   import { buildJsonLd, injectJsonLd } from './utils/json-ld.js';
+ *   const { html: updated } = injectJsonLd(html, buildJsonLd(twin, page));
+ *
+ * Spanish Academic 2026
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { LANGUAGES, SECTION_PATHS, SITE_ORIGIN } from './site-config.js';
+import { importStructuredModule } from './structured-data.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PUBLIC_DIR = join(__dirname, '..', '..', 'public');
+
+export const MANAGED_ATTRIBUTE = 'data-generated="twin"';
+
+const PUBLISHER = { '@type': 'Organization', name: 'Spanish Academic', url: `${SITE_ORIGIN}/` };
+
+// Breadcrumb names per section and for category directories
+const SECTION_LABELS = {
+  programs: { en: 'Programs', es: 'Programas' },
+  faculty: { en: 'Faculty', es: 'Profesorado' },
+  insights: { en: 'Insights', es: 'Insights' },
+  help: { en: 'Help', es: 'Ayuda' },
+  scholarship: { en: 'Scholarship', es: 'Scholarship' },
+  explorer: { en: 'Program Explorer', es: 'Explorador de programas' },
+  search: { en: 'Search', es: 'Buscar' },
+  contact: { en: 'Contact', es: 'Contacto' },
+};
+const CATEGORY_LABELS = { en: 'Categories', es: 'Categorías' };
+
+// Breadcrumb name per directory ('/es/ayuda/' → 'Ayuda'), at the paths of
+// src/config/site.ts and categories.ts (other directories use their index page's h1)
+const { CATEGORY_DIRECTORIES } = await importStructuredModule();
+const DIRECTORY_LABELS = new Map(
+  [
+    ...Object.entries(SECTION_PATHS).map(([section, paths]) => [paths, SECTION_LABELS[section]]),
+    ...Object.values(CATEGORY_DIRECTORIES).map(paths => [paths, CATEGORY_LABELS]),
+  ]
+    .filter(([, labels]) => labels)
+    .flatMap(([paths, labels]) => LANGUAGES.map(lang => [paths[lang], labels[lang]]))
+);
+
+const HOME_LABELS = { en: 'Home', es: 'Inicio' };
+
+// Matches every JSON-LD script element with the indentation before it
+const JSON_LD_PATTERN = /\n?[ \t]*<script type="application\/ld\+json"([^>]*)>([\s\S]*?)<\/script>/g;
+
+/**
+ * Absolute URL of a site path ("/faculty/index.html" → "https://…/faculty/")
+ */
+export function toAbsoluteUrl(sitePath) {
+  return `${SITE_ORIGIN}${sitePath.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+/**
+ * First value that is set and isn't a template placeholder ("[Page Title]")
+ */
+function firstReal(...values) {
+  return values.find(value => typeof value === 'string' && value.trim() && !/^\[.*\]$/.test(value.trim()));
+}
+
+/**
+ * Path segments after the /es/ prefix (the first one is the site section)
+ */
+function getSegments(sitePath) {
+  const segments = sitePath.split('/').filter(Boolean);
+  return segments[0] === 'es' ? segments.slice(1) : segments;
+}
+
+function readIndexHeading(indexPath) {
+  try {
+    const twin = JSON.parse(readFileSync(join(PUBLIC_DIR, indexPath.replace(/\.html$/, '.json')), 'utf-8'));
+    return firstReal(twin.h1, twin.title);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Home → each directory that has an index page → this page
+ */
+function buildBreadcrumbs(page) {
+  const language = page.sitePath.startsWith('/es/') ? 'es' : 'en';
+  const home = language === 'es' ? '/es/index.html' : '/index.html';
+  if (page.sitePath === home) {
+    return null;
+  }
+
+  const crumbs = [{ name: HOME_LABELS[language], path: home }];
+  let prefix = language === 'es' ? '/es/' : '/';
+  const directories = page.sitePath.slice(prefix.length).split('/').slice(0, -1);
+
+  for (const directory of directories) {
+    prefix += `${directory}/`;
+    const indexPath = `${prefix}index.html`;
+    if (indexPath === page.sitePath || !existsSync(join(PUBLIC_DIR, indexPath))) {
+      continue;
+    }
+    const name = DIRECTORY_LABELS.get(prefix) || readIndexHeading(indexPath);
+    if (name) {
+      crumbs.push({ name, path: indexPath });
+    }
+  }
+  crumbs.push({ name: page.name, path: page.sitePath });
+
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: crumbs.map((crumb, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: crumb.name,
+      item: toAbsoluteUrl(crumb.path),
+    })),
+  };
+}
+
+function buildProgram(twin, page, url) {
+  return {
+    '@type': 'EducationalOccupationalProgram',
+    '@id': `${url}#program`,
+    name: page.name,
+    description: page.description || undefined,
+    url,
+    inLanguage: twin.language,
+    educationalCredentialAwarded: twin.degreeType,
+    about: twin.focusAreas.length > 0 ? twin.focusAreas : undefined,
+    provider: {
+      '@type': 'CollegeOrUniversity',
+      name: twin.institution,
+    },
+  };
+}
+
+function buildScholarlyArticle(twin, page, url) {
+  return {
+    '@type': 'ScholarlyArticle',
+    '@id': `${url}#article`,
+    headline: page.name,
+    url,
+    inLanguage: twin.language,
+    author: twin.author ? { '@type': 'Person', name: twin.author } : undefined,
+    sourceOrganization: twin.affiliation ? { '@type': 'Organization', name: twin.affiliation } : undefined,
+    datePublished: twin.publishedDate || undefined,
+    dateModified: twin.lastReviewed || undefined,
+    abstract: twin.abstract || undefined,
+    keywords: twin.keywords.length > 0 ? twin.keywords.join(', ') : undefined,
+    wordCount: twin.wordCount,
+    publisher: PUBLISHER,
+  };
+}
+
+function buildArticle(twin, page, url) {
+  if (twin.type === 'insightsArticle') {
+    return {
+      '@type': 'Article',
+      '@id': `${url}#article`,
+      headline: twin.title,
+      description: twin.abstract,
+      url,
+      inLanguage: twin.language,
+      articleSection: twin.category,
+      author: { '@type': 'Person', name: twin.author, affiliation: twin.authorAffiliation || undefined },
+      datePublished: twin.publishedDate,
+      publisher: PUBLISHER,
+    };
+  }
+
+  return {
+    '@type': 'Article',
+    '@id': `${url}#article`,
+    headline: page.name,
+    description: page.description || undefined,
+    url,
+    inLanguage: twin.language,
+    articleSection: twin.category || undefined,
+    datePublished: twin.publishedDate || undefined,
+    dateModified: twin.lastReviewed || undefined,
+    wordCount: twin.wordCount,
+    author: PUBLISHER,
+    publisher: PUBLISHER,
+  };
+}
+
+function buildFaqPage(pairs, url, language) {
+  return {
+    '@type': 'FAQPage',
+    '@id': `${url}#faq`,
+    url,
+    inLanguage: language,
+    mainEntity: pairs.map(({ question, answer }) => ({
+      '@type': 'Question',
+      name: question,
+      acceptedAnswer: { '@type': 'Answer', text: answer },
+    })),
+  };
+}
+
+/**
+ * Main node for a twin, or null when its type has none
+ */
+function buildMainNode(twin, page, url) {
+  const [section, ...rest] = getSegments(page.sitePath);
+
+  switch (twin.type) {
+    case 'programSummary':
+      return buildProgram(twin, page, url);
+    case 'scholarship':
+      return buildScholarlyArticle(twin, page, url);
+    case 'insightsArticle':
+      return buildArticle(twin, page, url);
+    case 'qaPage': {
+      const detail = twin.detailedAnswerSections.map(s => s.text).join(' ');
+      const answer = detail ? `${twin.shortAnswer} ${detail}` : twin.shortAnswer;
+      return buildFaqPage([{ question: twin.question, answer }], url, twin.language);
+    }
+    case 'page': {
+      if (twin.placeholder || rest.length === 0 || rest.at(-1) === 'index.html') {
+        return null;
+      }
+      if (section === 'insights' && !['categories', 'categorias'].includes(rest[0])) {
+        return buildArticle(twin, page, url);
+      }
+      if ((section === 'help' || section === 'ayuda') && twin.faq.length > 0) {
+        return buildFaqPage(twin.faq, url, twin.language);
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Build the JSON-LD nodes for a page
+ *
+ * @param {object} twin - The page's JSON twin (any type)
+ * @param {object} page
+ * @param {string} page.sitePath - e.g. /programs/slug.html
+ * @param {string} page.name - The page's h1 (or title)
+ * @param {string} [page.description] - Meta description
+ * @returns {object | null} JSON-LD document ({ @context, @graph }), or null when there is nothing to say
+ */
+export function buildJsonLd(twin, page) {
+  const url = toAbsoluteUrl(page.sitePath);
+  const nodes = [buildMainNode(twin, page, url), buildBreadcrumbs(page)].filter(Boolean);
+
+  if (nodes.length === 0) {
+    return null;
+  }
+  // Round-trip drops the undefined optional properties
+  return JSON.parse(JSON.stringify({ '@context': 'https://schema.org', '@graph': nodes }));
+}
+
+/**
+ * Page name and description as buildJsonLd expects them, from a loaded page (cheerio)
+ */
+export function readPageInfo($, sitePath) {
+  return {
+    sitePath,
+    name: firstReal($('h1').first().text().replace(/\s+/g, ' ').trim(), $('title').text().trim()) || sitePath,
+    description: firstReal($('meta[name="description"]').attr('content')) || '',
+  };
+}
+
+function renderScript(document) {
+  // "<" is escaped so the script can't be closed early
+  const json = JSON.stringify(document, null, 2).replace(/</g, '\\u003c');
+  return `  <script type="application/ld+json" ${MANAGED_ATTRIBUTE}>\n${json.replace(/^/gm, '  ')}\n  </script>`;
+}
+
+function nodeTypes(data) {
+  const nodes = Array.isArray(data) ? data : data['@graph'] || [data];
+  return nodes.map(node => node['@type']).flat();
+}
+
+/**
+ * Every JSON-LD block in a page
+ *
+ * @returns {{ managed: boolean, data: object | null, error: string | null }[]}
+ */
+export function readJsonLdBlocks(html) {
+  return [...html.matchAll(JSON_LD_PATTERN)].map(([, attributes, body]) => {
+    const managed = attributes.includes(MANAGED_ATTRIBUTE);
+    try {
+      return { managed, data: JSON.parse(body), error: null };
+    } catch (error) {
+      return { managed, data: null, error: error.message };
+    }
+  });
+}
+
+/**
+ * Remove the managed block (its content doesn't change the page's meaning for twins)
+ */
+export function stripManagedJsonLd(html) {
+  return html.replace(JSON_LD_PATTERN, (block, attributes) =>
+    attributes.includes(MANAGED_ATTRIBUTE) ? '' : block
+  );
+}
+
+/**
+ * Put a JSON-LD document in a page's managed block (or remove the block when null)
+ *
+ * @returns {{ html: string, replaced: string[] }} `replaced` lists the @types of
+ *   unmanaged blocks that were removed because the managed block covers them
+ */
+export function injectJsonLd(html, document) {
+  const managedTypes = document ? new Set(nodeTypes(document)) : new Set();
+  const replaced = [];
+
+  let updated = html.replace(JSON_LD_PATTERN, (block, attributes, body) => {
+    if (attributes.includes(MANAGED_ATTRIBUTE)) {
+      return '';
+    }
+    try {
+      const types = nodeTypes(JSON.parse(body));
+      if (types.length > 0 && types.every(type => managedTypes.has(type))) {
+        replaced.push(...types);
+        return '';
+      }
+    } catch (error) {
+      // Invalid JSON is left for validate_json_ld.js to report
+    }
+    return block;
+  });
+
+  if (document) {
+    updated = updated.replace('</head>', () => `${renderScript(document)}\n</head>`);
+  }
+  return { html: updated, replaced };
+}
@@ -0,0 +1,125 @@
+/**
+ * Minimal JSON Schema Validator
+ *
+ * Checks a value against the subset of JSON Schema (2020-12) the twin schemas
+ * use, so validation doesn't add a dependency: type, enum, const, properties,
+ * required, additionalProperties, items, pattern, minimum, oneOf, anyOf and
+ * local $refs ("#/$defs/name"). Unsupported keywords are ignored.
+ *
+ * Usage:
+ *   import { validateSchema } from './utils/json-schema.js';
+ *   const errors = validateSchema(twin, schema); // [{ path: '/outline/0/level', message }]
+ *
+ * Spanish Academic 2026
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, $ref) {
+  if (!$ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref "${$ref}" (only local #/ refs)`);
+  }
+  const target = $ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => (node ? node[key] : undefined), root);
+  if (!target) {
+    throw new Error(`Unresolved $ref "${$ref}"`);
+  }
+  return target;
+}
+
+function describe(value) {
+  return JSON.stringify(value)?.slice(0, 60) ?? String(value);
+}
+
+function validateNode(value, schema, root, path, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), root, path, errors);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path, message: `must be ${describe(schema.const)}, got ${describe(value)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}` });
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push({ path, message: `${describe(value)} does not match ${schema.pattern}` });
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}, got ${value}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateNode(item, schema.items, root, `${path}/${i}`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path, message: `missing required "${key}"` });
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        validateNode(child, propertySchema, root, `${path}/${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path, message: `unexpected property "${key}"` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, root, `${path}/${key}`, errors);
+      }
+    }
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const branches = schema.anyOf || schema.oneOf;
+    const results = branches.map(branch => {
+      const branchErrors = [];
+      validateNode(value, branch, root, path, branchErrors);
+      return branchErrors;
+    });
+    const passing = results.filter(branchErrors => branchErrors.length === 0).length;
+
+    if (passing === 0) {
+      // Report the branch that came closest
+      const closest = results.reduce((best, current) => (current.length < best.length ? current : best));
+      errors.push(...closest);
+    } else if (schema.oneOf && passing > 1) {
+      errors.push({ path, message: `matches ${passing} of the oneOf alternatives (expected exactly one)` });
+    }
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * @param {unknown} value
+ * @param {object} schema - Root schema ($refs resolve against it)
+ * @returns {{ path: string, message: string }[]} Empty when the value is valid
+ */
+export function validateSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, '', errors);
+  return errors;
+}
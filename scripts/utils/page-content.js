@@ -0,0 +1,251 @@
+/**
+ * Page Content Extraction for JSON Twins
+ *
+ * Reads the <main> content of a parsed page (cheerio) into the fields the
+ * Chat and search features use, named like the InsightsArticle / QAPage
+ * shapes in src/data/types.ts (see PageContent there):
+ * - outline: h2/h3 tree with anchor ids (null when the heading has none)
+ * - sections: plain text under each heading, in page order
+ * - faq: question/answer pairs from .faq-item blocks
+ * - links: internal and outbound links (deduplicated, fragments dropped)
+ * - wordCount / readingTimeMinutes
+ * - category, publishedDate, lastReviewed, shortAnswer (null when absent)
+ *
+ * extractScholarlyMetadata reads the ScholarlyArticle microdata of
+ * /scholarship/ pages (author, affiliation, abstract, keywords).
+ *
+ * Usage:
+ *   import { extractPageContent } from './utils/page-content.js';
+ *   const content = extractPageContent($, { lastReviewed: seoIntent?.lastReviewed });
+ *
+ * Spanish Academic 2026
+ */
+
+import { SITE_HOSTS, SITE_ORIGIN } from './site-config.js';
+
+// Typical adult silent reading speed, for the reading-time estimate
+const WORDS_PER_MINUTE = 200;
+
+// Not page content: chrome, widgets and things readers never see as text
+const SKIPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'nav', 'svg', 'form', 'button',
+]);
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'header', 'footer', 'aside', 'br',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'table', 'tr', 'td', 'th',
+  'blockquote', 'figure', 'figcaption', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+]);
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+export function countWords(text) {
+  const trimmed = text.trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+}
+
+/**
+ * First YYYY-MM-DD in a date or date-time string, or null
+ */
+function toIsoDate(value) {
+  const match = (value || '').match(/\d{4}-\d{2}-\d{2}/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Anchor id for a heading: its own id, or the id of an element inside it
+ * (migrated content often wraps the text in <span id="...">)
+ */
+function headingId($, heading) {
+  return $(heading).attr('id') || $(heading).find('[id]').first().attr('id') || null;
+}
+
+/**
+ * Walk the main element in document order, splitting text at h2/h3 headings
+ * Text before the first h2/h3 goes in a level-1 section under the h1.
+ */
+function collectSections($, main) {
+  const h1 = collapse($('h1').first().text());
+  const sections = [{ id: null, heading: h1, level: 1, parts: [] }];
+
+  const walk = node => {
+    if (node.type === 'text') {
+      sections[sections.length - 1].parts.push(node.data);
+      return;
+    }
+    if (node.type !== 'tag' || SKIPPED_ELEMENTS.has(node.name)) {
+      return;
+    }
+    if (node.name === 'h1') {
+      return;
+    }
+    if (node.name === 'h2' || node.name === 'h3') {
+      sections.push({
+        id: headingId($, node),
+        heading: collapse($(node).text()),
+        level: Number(node.name[1]),
+        parts: [],
+      });
+      return;
+    }
+
+    const block = BLOCK_ELEMENTS.has(node.name);
+    if (block) sections[sections.length - 1].parts.push(' ');
+    (node.children || []).forEach(walk);
+    if (block) sections[sections.length - 1].parts.push(' ');
+  };
+
+  main.contents().each((_, node) => walk(node));
+
+  return sections
+    .map(({ parts, ...section }) => {
+      const text = collapse(parts.join(''));
+      return { ...section, text, wordCount: countWords(text) };
+    })
+    .filter(section => section.heading && (section.level > 1 || section.text));
+}
+
+/**
+ * h2 → h3 tree; an h3 before any h2 becomes a top-level entry
+ */
+function buildOutline(sections) {
+  const outline = [];
+  for (const { id, heading, level } of sections) {
+    if (level === 1) continue;
+    const entry = { id, text: heading, level, children: [] };
+    const parent = outline[outline.length - 1];
+    if (level === 3 && parent && parent.level === 2) {
+      parent.children.push(entry);
+    } else {
+      outline.push(entry);
+    }
+  }
+  return outline;
+}
+
+function collectFaq($, main) {
+  return main
+    .find('.faq-item')
+    .map((_, item) => {
+      const question = collapse($(item).find('.faq-question').first().text());
+      // Without a .faq-answer wrapper, the answer is everything but the question
+      const answerElement = $(item).find('.faq-answer').first();
+      const answerText = answerElement.length
+        ? answerElement.text()
+        : $(item).clone().find('.faq-question').remove().end().text();
+      const answer = collapse(answerText);
+      return question && answer ? { question, answer } : null;
+    })
+    .get()
+    .filter(Boolean);
+}
+
+/**
+ * Internal links as site paths, outbound links as absolute URLs
+ */
+function collectLinks($, main) {
+  const internal = new Map();
+  const outbound = new Map();
+
+  main.find('a[href]').each((_, anchor) => {
+    const href = $(anchor).attr('href').trim();
+    const text = collapse($(anchor).text()) || $(anchor).attr('aria-label') || '';
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) {
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(href, `${SITE_ORIGIN}/`);
+    } catch {
+      return;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return;
+    }
+
+    if (SITE_HOSTS.includes(url.hostname)) {
+      const path = url.pathname + url.search;
+      if (!internal.has(path)) internal.set(path, { href: path, text });
+    } else {
+      url.hash = '';
+      const absolute = url.toString();
+      if (!outbound.has(absolute)) outbound.set(absolute, { href: absolute, text });
+    }
+  });
+
+  return { internal: [...internal.values()], outbound: [...outbound.values()] };
+}
+
+/**
+ * Extract the rich content fields of a page
+ *
+ * @param {import('cheerio').CheerioAPI} $ - The loaded page
+ * @param {object} [defaults]
+ * @param {string | null} [defaults.lastReviewed] - e.g. SEO_INTENT LAST_REVIEWED, used
+ *   when the page has no dateModified / article:modified_time
+ */
+export function extractPageContent($, defaults = {}) {
+  const main = $('main').first().length ? $('main').first() : $('body');
+
+  const sections = collectSections($, main);
+  const wordCount = sections.reduce((total, section) => total + section.wordCount, 0);
+  const shortAnswer = collapse($('.short-answer, [data-short-answer]').first().text()) || null;
+
+  return {
+    category: $('meta[name="category"]').attr('content')?.trim() || null,
+    publishedDate: toIsoDate(
+      $('meta[property="article:published_time"]').attr('content') ||
+        $('meta[name="published_date"]').attr('content') ||
+        $('time[itemprop="datePublished"]').attr('datetime')
+    ),
+    lastReviewed: toIsoDate(
+      $('meta[property="article:modified_time"]').attr('content') ||
+        $('time[itemprop="dateModified"]').attr('datetime') ||
+        defaults.lastReviewed
+    ),
+    shortAnswer,
+    wordCount,
+    readingTimeMinutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)),
+    outline: buildOutline(sections),
+    sections,
+    faq: collectFaq($, main),
+    links: collectLinks($, main),
+  };
+}
+
+/**
+ * Microdata text, or null when missing or still a template placeholder ("[Autor]")
+ */
+function microdataText($, element) {
+  const text = collapse($(element).first().text());
+  return text && !/^\[.*\]$/.test(text) ? text : null;
+}
+
+/**
+ * Extract ScholarlyArticle microdata, or null when the page isn't a scholarly article
+ *
+ * @param {import('cheerio').CheerioAPI} $ - The loaded page
+ */
+export function extractScholarlyMetadata($) {
+  const article = $('[itemtype$="schema.org/ScholarlyArticle"]').first();
+  if (!article.length) {
+    return null;
+  }
+
+  // Authors are Person items; the affiliation is an Organization inside one of them
+  const author = article
+    .find('[itemprop="author"]')
+    .map((_, person) => microdataText($, $(person).children('[itemprop="name"]')))
+    .get()
+    .find(Boolean);
+  const keywords = collapse(article.find('[itemprop="keywords"]').first().text());
+
+  return {
+    author: author || null,
+    affiliation: microdataText($, article.find('[itemprop="affiliation"] [itemprop="name"]')),
+    abstract: microdataText($, article.find('[itemprop="abstract"]')),
+    keywords: keywords ? keywords.split(',').map(keyword => keyword.trim()).filter(Boolean) : [],
+  };
+}
@@ -0,0 +1,154 @@
+/**
+ * Base Template Rendering for Page Generators
+ *
+ * Fills templates/base.html and templates/base-es.html the same way for every
+ * generator (program pages, faculty profiles, ...): SEO_INTENT block in the
+ * KEYWORD / AUDIENCE / LAST_REVIEWED format read by generate_page_json.js,
+ * title and description, path_en / path_es, canonical, hreflang and the
+ * language switcher, plus the page's own <main>. Absolute URLs use the
+ * configured origin (scripts/utils/site-config.js).
+ *
+ * Usage:
+ *   import { loadBaseTemplate, renderBasePage } from './utils/page-template.js';
+ *   const { html, leftover } = renderBasePage(loadBaseTemplate('en'), page);
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { PRODUCTION_ORIGIN, SITE_ORIGIN } from './site-config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..', '..');
+const TEMPLATES_DIR = join(PROJECT_ROOT, 'templates');
+export const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
+
+// Title / description length budgets (src/config/site.ts), re-exported for the generators
+export { TITLE_MIN, TITLE_MAX, META_DESC_MIN, META_DESC_MAX } from './site-config.js';
+
+const TEMPLATE_FILES = {
+  en: 'base.html',
+  es: 'base-es.html',
+};
+
+/**
+ * Read the base template for a language
+ */
+export function loadBaseTemplate(lang) {
+  return readFileSync(join(TEMPLATES_DIR, TEMPLATE_FILES[lang]), 'utf-8');
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * First candidate whose length is within [min, max], or null if none fits
+ */
+export function pickWithinLength(candidates, min, max) {
+  return candidates.find(text => text.length >= min && text.length <= max) ?? null;
+}
+
+/**
+ * Pick the first candidate whose length is within [min, max]
+ * Falls back to the first candidate (and warns) so a page is never left without one.
+ *
+ * @param {string[]} candidates
+ * @param {number} min
+ * @param {number} max
+ * @param {string} label - What is picked ('title', 'description'), for the warning
+ * @param {string} context - Page the warning is about
+ * @param {() => void} onWarning - Called when the fallback is used (the caller counts its warnings)
+ */
+export function pickOrWarn(candidates, min, max, label, context, onWarning) {
+  const fit = pickWithinLength(candidates, min, max);
+  if (fit) {
+    return fit;
+  }
+
+  console.warn(`⚠️  WARNING [${context}]: No ${label} candidate is ${min}-${max} characters`);
+  console.warn(`   Using: "${candidates[0]}" (${candidates[0].length} chars)`);
+  onWarning();
+  return candidates[0];
+}
+
+/**
+ * Fill a base template
+ *
+ * @param {string} template - loadBaseTemplate(lang)
+ * @param {object} page
+ * @param {string} page.keyword - SEO_INTENT KEYWORD
+ * @param {string} page.audience - SEO_INTENT AUDIENCE
+ * @param {string} page.lastReviewed - SEO_INTENT LAST_REVIEWED (YYYY-MM-DD)
+ * @param {string} page.title - Plain text (escaped here)
+ * @param {string} page.description - Plain text (escaped here)
+ * @param {string} page.pathEn - e.g. /programs/slug.html
+ * @param {string} page.pathEs - e.g. /es/programas/slug.html
+ * @param {string} page.main - Complete <main id="main-content" role="main">…</main> HTML
+ * @param {string} [page.head] - Extra HTML inserted before </head> (e.g. JSON-LD)
+ * @returns {{ html: string, leftover: string | null }} `leftover` is the first
+ *   template placeholder that was not filled
+ */
+export function renderBasePage(template, page) {
+  const seoIntent = [
+    '  <!--',
+    `  KEYWORD: ${page.keyword}`,
+    `  AUDIENCE: ${page.audience}`,
+    `  LAST_REVIEWED: ${page.lastReviewed}`,
+    '  -->',
+  ].join('\n');
+  const title = escapeHtml(page.title);
+  const description = escapeHtml(page.description);
+
+  let html = template
+    .replace(/ {2}<!--\s*SEO_INTENT:[\s\S]*?-->/, () => seoIntent)
+    .replace(/<title>\[.*?\]<\/title>/, () => `<title>${title}</title>`)
+    .replace(/(<meta name="description" content=")\[.*?\]/, (_, start) => start + description)
+    .replace(/(content=")\[(Page Title|Título de la Página)\]/g, (_, start) => start + title)
+    .replace(/(content=")\[(Meta description|Meta descripción)\]/g, (_, start) => start + description)
+    .replace(/<main id="main-content" role="main">[\s\S]*?<\/main>/, () => page.main);
+
+  if (page.head) {
+    html = html.replace('</head>', () => `${page.head}\n</head>`);
+  }
+
+  // Paths: bracketed placeholders first, then bare ones (as in the template)
+  html = html
+    .replaceAll('[/path/to/page.html]', page.pathEn)
+    .replaceAll('/[path/to/page.html]', page.pathEn)
+    .replaceAll('[/es/ruta/a/pagina.html]', page.pathEs)
+    .replaceAll('/es/[ruta/a/pagina.html]', page.pathEs);
+
+  // The templates link to the live site; other environments get their own origin
+  if (SITE_ORIGIN !== PRODUCTION_ORIGIN) {
+    html = html.replaceAll(`${PRODUCTION_ORIGIN}/`, `${SITE_ORIGIN}/`);
+  }
+
+  // Anything still bracketed like the template's path/title placeholders was missed
+  const leftover = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .match(/\[[^\]\n]*(?:page|pagina|Page|Título|Meta)[^\]\n]*\]/);
+
+  return { html, leftover: leftover ? leftover[0] : null };
+}
+
+/**
+ * Write a file under public/ given its site path (/programs/x.html)
+ * @returns {string} Path relative to public/ (for logging)
+ */
+export function writePublicFile(sitePath, content) {
+  const filePath = join(PUBLIC_DIR, sitePath.replace(/^\//, ''));
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, content, 'utf-8');
+  return relative(PUBLIC_DIR, filePath);
+}
@@ -0,0 +1,35 @@
+/**
+ * Site Configuration for Build Scripts
+ *
+ * Loads src/config/site.ts (through tsx, like structured-data.js) so scripts
+ * and islands share one origin, language list, section map and page budgets.
+ * SITE_ENV (local, staging, production) and SITE_ORIGIN override it; see
+ * src/config/site.ts.
+ *
+ * Usage:
+ *   import { SITE_CONFIG, SITE_ORIGIN } from './utils/site-config.js';
+ *
+ * Spanish Academic 2026
+ */
+
+import { importSourceModule } from './structured-data.js';
+
+const siteModule = await importSourceModule('src/config/site.ts');
+
+/** @type {import('../../src/config/site').SiteConfig} */
+export const SITE_CONFIG = siteModule.siteConfig;
+
+// The origin templates and hand-written pages link to; page generators swap it for SITE_ORIGIN
+export const PRODUCTION_ORIGIN = siteModule.PRODUCTION_ORIGIN;
+
+export const SITE_ORIGIN = SITE_CONFIG.origin;
+export const SITE_HOSTS = SITE_CONFIG.hosts;
+export const LANGUAGES = SITE_CONFIG.languages;
+export const SECTION_PATHS = SITE_CONFIG.sections;
+
+export const TITLE_MIN = SITE_CONFIG.thresholds.titleMin;
+export const TITLE_MAX = SITE_CONFIG.thresholds.titleMax;
+export const META_DESC_MIN = SITE_CONFIG.thresholds.metaDescriptionMin;
+export const META_DESC_MAX = SITE_CONFIG.thresholds.metaDescriptionMax;
+export const MAX_HTML_SIZE_KB = SITE_CONFIG.thresholds.maxHtmlSizeKb;
+export const MAX_HTML_SIZE_BYTES = MAX_HTML_SIZE_KB * 1024;
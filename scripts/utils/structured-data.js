@@ -0,0 +1,76 @@
+/**
+ * Structured Data Loader for Build Scripts
+ *
+ * Build scripts are plain Node ESM, while the canonical program/faculty/help/category data
+ * lives in TypeScript under src/data/structured/. This helper loads it through
+ * tsx (already a devDependency) so every script reads the same records and
+ * runs the same runtime validator as the islands.
+ *
+ * Usage:
+ *   import { loadStructuredData } from './utils/structured-data.js';
+ *   const { programs, faculty, helpQuestions, categories, issues } = await loadStructuredData();
+ *
+ * Spanish Academic 2026
+ */
+
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { tsImport } from 'tsx/esm/api';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..', '..');
+
+export const STRUCTURED_DATA_DIR = join(PROJECT_ROOT, 'src', 'data', 'structured');
+const STRUCTURED_INDEX = join(STRUCTURED_DATA_DIR, 'index.ts');
+
+let cachedModule = null;
+
+/**
+ * Import src/data/structured/index.ts (cached per process)
+ */
+export async function importStructuredModule() {
+  if (!cachedModule) {
+    cachedModule = await tsImport(pathToFileURL(STRUCTURED_INDEX).href, import.meta.url);
+  }
+  return cachedModule;
+}
+
+/**
+ * Import another TypeScript module from the project (e.g. 'src/i18n/es.ts')
+ * The module (and what it imports) must use relative imports, like src/data/structured/.
+ */
+export async function importSourceModule(relativePath) {
+  return tsImport(pathToFileURL(join(PROJECT_ROOT, relativePath)).href, import.meta.url);
+}
+
+/**
+ * Load programs, faculty, Help questions and categories, validated against the canonical schema
+ *
+ * @returns {Promise<{ programs: object[], faculty: object[], helpQuestions: object[], categories: object[], issues: object[], module: object }>}
+ *   `issues` is empty when the dataset is valid; callers decide whether to fail
+ */
+export async function loadStructuredData() {
+  const module = await importStructuredModule();
+  const { programs, faculty, helpQuestions, categories } = module;
+  const issues = module.validateDataset({ programs, faculty, helpQuestions, categories });
+
+  return { programs, faculty, helpQuestions, categories, issues, module };
+}
+
+/**
+ * Load structured data and exit the process if it does not validate
+ * Use from generators that must never render invalid records
+ */
+export async function loadValidStructuredData() {
+  const data = await loadStructuredData();
+
+  if (data.issues.length > 0) {
+    console.error(`❌ Structured data failed validation (${data.issues.length} issue(s)):`);
+    data.issues.forEach(issue => console.error(`   • ${data.module.formatValidationIssue(issue)}`));
+    console.error('\n💡 Run `npm run validate-data` for the full report');
+    process.exit(1);
+  }
+
+  return data;
+}
@@ -0,0 +1,318 @@
+/**
+ * JSON Twin Schemas (versioned)
+ *
+ * One JSON Schema per twin type, built from shared pieces so the page and
+ * scholarship shapes can't drift apart. They mirror the twin interfaces in
+ * src/data/types.ts. Published to public/schemas/twins/v<N>/ by
+ * `npm run validate-twins -- --write-schemas`; validate_twins.js checks every
+ * twin against them and fails when the published copies are out of date.
+ *
+ * Every twin carries `type` and `schemaVersion`. Bump TWIN_SCHEMA_VERSION when
+ * a change would break consumers (a field removed, renamed or retyped), then
+ * regenerate the twins and publish the new schemas; adding an optional field
+ * doesn't need a bump.
+ *
+ * Usage:
+ *   import { TWIN_SCHEMA_VERSION, buildTwinSchemas } from './utils/twin-schemas.js';
+ *
+ * Spanish Academic 2026
+ */
+
+import { PRODUCTION_ORIGIN } from './site-config.js';
+
+export const TWIN_SCHEMA_VERSION = 1;
+
+// Twin types written by generate_page_json.js; every other type has its own generator
+export const PAGE_TWIN_TYPES = ['page', 'scholarship'];
+
+// Schema ids name the live site in every environment, so published schemas never change with SITE_ENV
+export const SCHEMA_BASE_URL = `${PRODUCTION_ORIGIN}/schemas/twins`;
+
+// Site-relative directory the schemas are published in
+export function getSchemaDir(version = TWIN_SCHEMA_VERSION) {
+  return `schemas/twins/v${version}`;
+}
+
+const string = { type: 'string' };
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: string };
+const count = { type: 'integer', minimum: 0 };
+
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+function ref(name) {
+  return { $ref: `#/$defs/${name}` };
+}
+
+const DEFS = {
+  language: { enum: ['en', 'es'] },
+  isoDate: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+  isoDateTime: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}' },
+  sitePath: { type: 'string', pattern: '^/' },
+  twinAlternates: object({ en: ref('sitePath'), es: ref('sitePath') }, []),
+  pageAlternate: {
+    anyOf: [
+      { type: 'null' },
+      object(
+        {
+          lang: ref('language'),
+          url: string,
+          path: ref('sitePath'),
+          title: nullableString,
+          description: nullableString,
+          translationPending: { const: true },
+        },
+        ['lang', 'url', 'path', 'title', 'description']
+      ),
+    ],
+  },
+  hreflangLink: object({ hreflang: string, href: string }),
+  seoIntent: {
+    anyOf: [
+      { type: 'null' },
+      object({ keyword: string, audience: string, lastReviewed: string }),
+    ],
+  },
+  outlineEntry: object({
+    id: nullableString,
+    text: string,
+    level: { enum: [2, 3] },
+    children: { type: 'array', items: ref('outlineEntry') },
+  }),
+  section: object({
+    id: nullableString,
+    heading: string,
+    level: { enum: [1, 2, 3] },
+    text: string,
+    wordCount: count,
+  }),
+  link: object({ href: string, text: string }),
+  faqItem: object({ question: string, answer: string }),
+};
+
+// Generic page twin fields (PageTwinBase and PageContent in src/data/types.ts)
+const PAGE_BASE = {
+  language: ref('language'),
+  path_en: string,
+  path_es: string,
+  alternateLanguage: ref('pageAlternate'),
+  title: string,
+  description: string,
+  h1: string,
+  canonical: string,
+  hreflangLinks: { type: 'array', items: ref('hreflangLink') },
+  seoIntent: ref('seoIntent'),
+};
+
+const PAGE_CONTENT = {
+  category: nullableString,
+  publishedDate: { anyOf: [{ type: 'null' }, ref('isoDate')] },
+  lastReviewed: { anyOf: [{ type: 'null' }, ref('isoDate')] },
+  shortAnswer: nullableString,
+  wordCount: count,
+  readingTimeMinutes: { type: 'integer', minimum: 1 },
+  outline: { type: 'array', items: ref('outlineEntry') },
+  sections: { type: 'array', items: ref('section') },
+  faq: { type: 'array', items: ref('faqItem') },
+  links: object({
+    internal: { type: 'array', items: ref('link') },
+    outbound: { type: 'array', items: ref('link') },
+  }),
+};
+
+const SCHOLARSHIP_FIELDS = {
+  author: nullableString,
+  affiliation: nullableString,
+  abstract: nullableString,
+  keywords: stringList,
+};
+
+function twinHeader(type) {
+  return { type: { const: type }, schemaVersion: { const: TWIN_SCHEMA_VERSION } };
+}
+
+/**
+ * Page-like twin: base fields, plus either the extracted content or
+ * `placeholder: true` (an alternate page with no HTML yet)
+ */
+function pageSchema(type, extraFields = {}) {
+  const properties = {
+    ...twinHeader(type),
+    ...PAGE_BASE,
+    ...PAGE_CONTENT,
+    ...extraFields,
+    generatedAt: ref('isoDateTime'),
+    placeholder: { const: true },
+  };
+  const base = ['type', 'schemaVersion', ...Object.keys(PAGE_BASE), 'generatedAt'];
+  const content = [...Object.keys(PAGE_CONTENT), ...Object.keys(extraFields)];
+
+  return {
+    ...object(properties, base),
+    oneOf: [{ required: content }, { required: ['placeholder'] }],
+  };
+}
+
+function typedSchema(type, fields) {
+  return object({ ...twinHeader(type), ...fields });
+}
+
+const RELATED = {
+  relatedLinks: stringList,
+  alternateLanguage: ref('twinAlternates'),
+};
+
+const SCHEMAS = {
+  page: {
+    title: 'Page twin',
+    description: 'Generic JSON twin of an HTML page (PageTwin in src/data/types.ts)',
+    schema: () => pageSchema('page'),
+  },
+  scholarship: {
+    title: 'Scholarship twin',
+    description: 'JSON twin of a scholarly article page (ScholarshipTwin in src/data/types.ts)',
+    schema: () => pageSchema('scholarship', SCHOLARSHIP_FIELDS),
+  },
+  insightsArticle: {
+    title: 'Insights article twin',
+    description: 'InsightsArticle in src/data/types.ts',
+    schema: () =>
+      typedSchema('insightsArticle', {
+        language: ref('language'),
+        title: string,
+        slug: string,
+        category: string,
+        author: string,
+        authorAffiliation: string,
+        publishedDate: ref('isoDate'),
+        abstract: string,
+        keyClaims: stringList,
+        adviceForStudents: stringList,
+        ...RELATED,
+      }),
+  },
+  qaPage: {
+    title: 'Help/Q&A twin',
+    description: 'QAPage in src/data/types.ts',
+    schema: () =>
+      typedSchema('qaPage', {
+        language: ref('language'),
+        question: string,
+        slug: string,
+        shortAnswer: string,
+        detailedAnswerSections: {
+          type: 'array',
+          items: object({ heading: string, text: string }),
+        },
+        category: string,
+        lastReviewed: ref('isoDate'),
+        legalSensitivity: { enum: ['low', 'medium', 'high'] },
+        ...RELATED,
+      }),
+  },
+  programSummary: {
+    title: 'Program summary twin',
+    description: 'ProgramSummary in src/data/types.ts',
+    schema: () =>
+      typedSchema('programSummary', {
+        language: ref('language'),
+        programId: string,
+        institution: string,
+        degreeType: string,
+        focusAreas: stringList,
+        fundingSummary: object({
+          tuitionRemission: { type: 'boolean' },
+          stipendApproxUSD: { type: ['number', 'null'], minimum: 0 },
+          yearsGuaranteed: { type: ['integer', 'null'], minimum: 0 },
+        }),
+        methodsCulture: string,
+        advisorCapacityNote: string,
+        visaNotes: string,
+        relatedExplorerRoute: ref('sitePath'),
+        alternateLanguage: ref('twinAlternates'),
+        lastReviewed: ref('isoDate'),
+      }),
+  },
+  facultyProfile: {
+    title: 'Faculty profile twin',
+    description: 'FacultyProfile in src/data/types.ts',
+    schema: () =>
+      typedSchema('facultyProfile', {
+        language: ref('language'),
+        facultyId: string,
+        name: string,
+        title: string,
+        department: string,
+        institution: string,
+        programId: string,
+        programUrl: string,
+        researchAreas: stringList,
+        methodologicalStrengths: stringList,
+        acceptingAdvisees: { type: 'boolean' },
+        advisingNotes: string,
+        notableWork: stringList,
+        links: object({ website: nullableString, scholar: nullableString }),
+        alternateLanguage: ref('twinAlternates'),
+        lastReviewed: ref('isoDate'),
+      }),
+  },
+  categoryIndex: {
+    title: 'Category index twin',
+    description: 'CategoryIndex in src/data/types.ts',
+    schema: () =>
+      typedSchema('categoryIndex', {
+        language: ref('language'),
+        category: string,
+        title: string,
+        slug: string,
+        items: {
+          type: 'array',
+          items: object(
+            {
+              title: string,
+              url: string,
+              abstract: string,
+              publishedDate: ref('isoDate'),
+              tags: stringList,
+              featured: { type: 'boolean' },
+            },
+            ['title', 'url', 'abstract']
+          ),
+        },
+        pagination: object(
+          {
+            page: { type: 'integer', minimum: 1 },
+            pageCount: { type: 'integer', minimum: 1 },
+            prev: ref('sitePath'),
+            next: ref('sitePath'),
+          },
+          ['page', 'pageCount']
+        ),
+        feed: { anyOf: [{ type: 'null' }, ref('sitePath')] },
+        atomFeed: { anyOf: [{ type: 'null' }, ref('sitePath')] },
+        alternateLanguage: ref('twinAlternates'),
+      }),
+  },
+};
+
+/**
+ * Build the schema for every twin type
+ *
+ * @returns {Record<string, object>} Twin type → JSON Schema (self-contained, with $defs)
+ */
+export function buildTwinSchemas() {
+  const schemas = {};
+  for (const [type, { title, description, schema }] of Object.entries(SCHEMAS)) {
+    schemas[type] = {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $id: `${SCHEMA_BASE_URL}/v${TWIN_SCHEMA_VERSION}/${type}.schema.json`,
+      title,
+      description: `${description}. Schema version ${TWIN_SCHEMA_VERSION}.`,
+      ...schema(),
+      $defs: DEFS,
+    };
+  }
+  return schemas;
+}
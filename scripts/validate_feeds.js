@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+/**
+ * Validate Feeds Script
+ *
+ * Checks every RSS (feed.xml) and Atom (atom.xml) feed in /public/ and the
+ * pages that link to them:
+ * - RSS 2.0: channel title, link and description; every item has a title,
+ *   link, unique guid and an RFC 822 pubDate
+ * - Atom: feed id, title, updated and author; every entry has a unique id,
+ *   title, alternate link and RFC 3339 dates
+ * - the self link is the feed's own URL, item links are absolute
+ *   URLs on the configured origin of pages that exist, items are newest
+ *   first and at most FEED_SIZE
+ * - the RSS and Atom versions of a feed list the same pages
+ * - every <link rel="alternate" type="application/rss+xml"> /
+ *   type="application/atom+xml" in a page points to a feed that exists;
+ *   feeds no page links to are reported
+ *
+ * Usage: npm run validate-feeds (after build-categories and build-feeds)
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { load } from 'cheerio';
+import { glob } from 'glob';
+import { SITE_ORIGIN } from './utils/site-config.js';
+import { FEED_FORMATS, FEED_SIZE } from './utils/feeds.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
+
+const RFC_822_DATE = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} [A-Z][a-z]{2} \d{4} \d{2}:\d{2}:\d{2} (GMT|[+-]\d{4})$/;
+const RFC_3339_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// "&" that doesn't start an entity makes the feed malformed XML
+const BARE_AMPERSAND = /&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/;
+
+let feedsChecked = 0;
+let itemsChecked = 0;
+let pagesChecked = 0;
+let errorCount = 0;
+let warningCount = 0;
+
+function error(relPath, message) {
+  console.error(`❌ ERROR [${relPath}]: ${message}`);
+  errorCount++;
+}
+
+function warn(relPath, message) {
+  console.warn(`⚠️  WARNING [${relPath}]: ${message}`);
+  warningCount++;
+}
+
+/**
+ * Site path of a URL on this site, or null for anything else
+ */
+function toSitePath(url) {
+  return typeof url === 'string' && url.startsWith(`${SITE_ORIGIN}/`) ? url.slice(SITE_ORIGIN.length) : null;
+}
+
+function sitePathExists(sitePath) {
+  const path = sitePath.split(/[?#]/)[0];
+  return existsSync(join(PUBLIC_DIR, path.endsWith('/') ? `${path}index.html` : path));
+}
+
+/**
+ * Checks shared by both formats, on the items normalized to { id, url, date }
+ */
+function checkItems(relPath, items, label) {
+  const ids = new Set();
+  items.forEach((item, i) => {
+    itemsChecked++;
+    const where = `${label} ${i + 1}`;
+
+    if (!item.title) error(relPath, `${where} has no title`);
+    if (!item.id) {
+      error(relPath, `${where} has no ${label === 'Item' ? 'guid' : 'id'}`);
+    } else if (ids.has(item.id)) {
+      error(relPath, `${where} repeats ${label === 'Item' ? 'guid' : 'id'} ${item.id}`);
+    }
+    ids.add(item.id);
+
+    const sitePath = toSitePath(item.url);
+    if (!sitePath) {
+      error(relPath, `${where} link must be an absolute ${SITE_ORIGIN} URL (got ${JSON.stringify(item.url)})`);
+    } else if (!sitePathExists(sitePath)) {
+      error(relPath, `${where} links to ${sitePath}, which doesn't exist`);
+    }
+  });
+
+  if (items.length > FEED_SIZE) {
+    error(relPath, `${items.length} ${label.toLowerCase()}s (at most ${FEED_SIZE})`);
+  }
+  const times = items.map(item => Date.parse(item.date));
+  if (times.some((time, i) => i > 0 && time > times[i - 1])) {
+    warn(relPath, `${label}s are not newest first`);
+  }
+}
+
+function checkSelfLink(relPath, href) {
+  const expected = `${SITE_ORIGIN}/${relPath}`;
+  if (href !== expected) {
+    error(relPath, `Self link is ${JSON.stringify(href)} (expected ${expected})`);
+  }
+}
+
+/**
+ * @returns {string[]} The page URLs the feed lists
+ */
+function validateRss(relPath, $) {
+  const rss = $('rss');
+  if (!rss.length || rss.attr('version') !== '2.0') {
+    error(relPath, 'Not an RSS 2.0 feed (<rss version="2.0">)');
+    return [];
+  }
+
+  const channel = rss.children('channel');
+  for (const name of ['title', 'link', 'description']) {
+    if (!channel.children(name).text().trim()) {
+      error(relPath, `<channel> has no <${name}>`);
+    }
+  }
+  if (!toSitePath(channel.children('link').text().trim())) {
+    error(relPath, `<channel><link> must be an absolute ${SITE_ORIGIN} URL`);
+  }
+  checkSelfLink(relPath, channel.children('atom\\:link[rel="self"]').attr('href'));
+
+  const items = channel.children('item').map((_, element) => {
+    const item = $(element);
+    return {
+      title: item.children('title').text().trim(),
+      url: item.children('link').text().trim(),
+      id: item.children('guid').text().trim(),
+      date: item.children('pubDate').text().trim(),
+    };
+  }).get();
+
+  items.forEach((item, i) => {
+    if (!RFC_822_DATE.test(item.date)) {
+      error(relPath, `Item ${i + 1} pubDate must be an RFC 822 date (got ${JSON.stringify(item.date)})`);
+    }
+  });
+  checkItems(relPath, items, 'Item');
+  return items.map(item => item.url);
+}
+
+/**
+ * @returns {string[]} The page URLs the feed lists
+ */
+function validateAtom(relPath, $) {
+  const feed = $('feed');
+  if (!feed.length || feed.attr('xmlns') !== 'http://www.w3.org/2005/Atom') {
+    error(relPath, 'Not an Atom feed (<feed xmlns="http://www.w3.org/2005/Atom">)');
+    return [];
+  }
+
+  for (const name of ['id', 'title', 'updated']) {
+    if (!feed.children(name).text().trim()) {
+      error(relPath, `<feed> has no <${name}>`);
+    }
+  }
+  if (!RFC_3339_DATE.test(feed.children('updated').text().trim())) {
+    error(relPath, '<feed><updated> must be an RFC 3339 date');
+  }
+  checkSelfLink(relPath, feed.children('link[rel="self"]').attr('href'));
+
+  const entries = feed.children('entry');
+  const authored = entries.toArray().every(entry => $(entry).children('author').children('name').text().trim());
+  if (!feed.children('author').children('name').text().trim() && !authored) {
+    error(relPath, '<feed> needs an <author> when an entry has none');
+  }
+
+  const items = entries.map((_, element) => {
+    const entry = $(element);
+    return {
+      title: entry.children('title').text().trim(),
+      url: entry.children('link[rel="alternate"]').attr('href') || entry.children('link:not([rel])').attr('href'),
+      id: entry.children('id').text().trim(),
+      date: entry.children('updated').text().trim(),
+      published: entry.children('published').text().trim(),
+    };
+  }).get();
+
+  items.forEach((item, i) => {
+    if (!RFC_3339_DATE.test(item.date)) {
+      error(relPath, `Entry ${i + 1} updated must be an RFC 3339 date (got ${JSON.stringify(item.date)})`);
+    }
+    if (item.published && !RFC_3339_DATE.test(item.published)) {
+      error(relPath, `Entry ${i + 1} published must be an RFC 3339 date (got ${JSON.stringify(item.published)})`);
+    }
+  });
+  checkItems(relPath, items, 'Entry');
+  return items.map(item => item.url);
+}
+
+/**
+ * @returns {string[] | null} The page URLs the feed lists, or null when unreadable
+ */
+function validateFeed(relPath, format) {
+  const xml = readFileSync(join(PUBLIC_DIR, relPath), 'utf-8');
+  feedsChecked++;
+
+  if (!xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')) {
+    error(relPath, 'Missing <?xml version="1.0" encoding="UTF-8"?> declaration');
+  }
+  const line = xml.split('\n').findIndex(text => BARE_AMPERSAND.test(text));
+  if (line !== -1) {
+    error(relPath, `Unescaped "&" on line ${line + 1}`);
+    return null;
+  }
+
+  const $ = load(xml, { xml: true });
+  return format === 'atom' ? validateAtom(relPath, $) : validateRss(relPath, $);
+}
+
+async function main() {
+  console.log('🔍 Validating RSS and Atom feeds in /public/...\n');
+
+  // Feeds, by site path
+  const feedFiles = await glob(`**/{${Object.values(FEED_FORMATS).map(({ file }) => file).join(',')}}`, {
+    cwd: PUBLIC_DIR,
+    ignore: ['**/node_modules/**', 'assets/**'],
+    posix: true,
+  });
+  const listed = new Map();
+  for (const relPath of feedFiles.sort()) {
+    const format = Object.keys(FEED_FORMATS).find(key => relPath.split('/').pop() === FEED_FORMATS[key].file);
+    listed.set(`/${relPath}`, validateFeed(relPath, format));
+  }
+
+  // The RSS and Atom versions of a feed list the same pages
+  for (const [sitePath, urls] of listed) {
+    if (!sitePath.endsWith(`/${FEED_FORMATS.rss.file}`)) continue;
+    const atomPath = sitePath.replace(new RegExp(`${FEED_FORMATS.rss.file}$`), FEED_FORMATS.atom.file);
+    if (!listed.has(atomPath)) {
+      error(sitePath.slice(1), `No Atom version (${atomPath})`);
+    } else if (urls && listed.get(atomPath) && urls.join('\n') !== listed.get(atomPath).join('\n')) {
+      error(sitePath.slice(1), `Lists different pages than ${atomPath}`);
+    }
+  }
+
+  // Feed links in pages
+  const feedTypes = Object.values(FEED_FORMATS).map(({ type }) => type);
+  const linked = new Set();
+  const htmlFiles = await glob('**/*.html', {
+    cwd: PUBLIC_DIR,
+    ignore: ['**/node_modules/**', 'assets/**'],
+    posix: true,
+  });
+  for (const relPath of htmlFiles.sort()) {
+    const $ = load(readFileSync(join(PUBLIC_DIR, relPath), 'utf-8'));
+    pagesChecked++;
+
+    $('link[rel="alternate"][type]').each((_, element) => {
+      const type = $(element).attr('type');
+      if (!feedTypes.includes(type)) return;
+
+      const href = $(element).attr('href');
+      const sitePath = toSitePath(href);
+      if (!sitePath) {
+        error(relPath, `Feed link must be an absolute ${SITE_ORIGIN} URL (got ${JSON.stringify(href)})`);
+      } else if (!listed.has(sitePath)) {
+        error(relPath, `Feed link to ${sitePath}, which doesn't exist; run npm run build-feeds`);
+      } else if (!sitePath.endsWith(Object.values(FEED_FORMATS).find(format => format.type === type).file)) {
+        error(relPath, `Feed link to ${sitePath} has type ${type}`);
+      }
+      if (!$(element).attr('title')) {
+        warn(relPath, `Feed link to ${href} has no title`);
+      }
+      linked.add(sitePath);
+    });
+  }
+
+  for (const sitePath of listed.keys()) {
+    if (!linked.has(sitePath)) {
+      warn(sitePath.slice(1), 'No page links to this feed');
+    }
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Feeds checked: ${feedsChecked}`);
+  console.log(`Items checked: ${itemsChecked}`);
+  console.log(`Pages checked: ${pagesChecked}`);
+  console.log(`⚠️  Warnings: ${warningCount}`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Feed validation failed');
+    process.exit(1);
+  } else if (warningCount > 0) {
+    console.log('\n⚠️  Feed validation passed with warnings');
+  } else {
+    console.log('\n✅ All feeds are valid!');
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
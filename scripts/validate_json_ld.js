@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+/**
+ * Validate JSON-LD Script
+ *
+ * Checks the schema.org structured data of every HTML page in /public/:
+ * - every <script type="application/ld+json"> block is valid JSON with a
+ *   schema.org @context
+ * - the required properties of each known type are present (BreadcrumbList
+ *   positions and absolute URLs, FAQPage questions and answers, article
+ *   headlines, program providers, ...)
+ * - the managed block (scripts/utils/json-ld.js) matches what the page's JSON
+ *   twin gives now; a stale or missing block means inject-json-ld didn't run
+ * - template placeholders ("[Autor]") left in structured data are reported
+ *
+ * Usage: npm run validate-json-ld
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { load } from 'cheerio';
+import { glob } from 'glob';
+import { buildJsonLd, readJsonLdBlocks, readPageInfo } from './utils/json-ld.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
+
+// Google shows at most this many characters of an article headline
+const HEADLINE_MAX = 110;
+
+let pagesChecked = 0;
+let nodesChecked = 0;
+let errorCount = 0;
+let warningCount = 0;
+
+function error(relPath, message) {
+  console.error(`❌ ERROR [${relPath}]: ${message}`);
+  errorCount++;
+}
+
+function warn(relPath, message) {
+  console.warn(`⚠️  WARNING [${relPath}]: ${message}`);
+  warningCount++;
+}
+
+function isAbsoluteUrl(value) {
+  return typeof value === 'string' && /^https:\/\//.test(value);
+}
+
+function isFilled(value) {
+  return typeof value === 'string' ? value.trim() !== '' : value !== undefined && value !== null;
+}
+
+/**
+ * Required (error) and recommended (warning) properties per type
+ */
+const TYPE_RULES = {
+  BreadcrumbList: (node, report) => {
+    const items = node.itemListElement;
+    if (!Array.isArray(items) || items.length === 0) {
+      report.error('BreadcrumbList has no itemListElement');
+      return;
+    }
+    items.forEach((item, i) => {
+      if (item.position !== i + 1) {
+        report.error(`BreadcrumbList item ${i + 1} has position ${item.position}`);
+      }
+      if (!isFilled(item.name)) {
+        report.error(`BreadcrumbList item ${i + 1} has no name`);
+      }
+      // Every item but the last (the current page) needs a URL
+      if (i < items.length - 1 && !isAbsoluteUrl(item.item)) {
+        report.error(`BreadcrumbList item ${i + 1} needs an absolute https URL (got ${JSON.stringify(item.item)})`);
+      }
+    });
+  },
+  FAQPage: (node, report) => {
+    const questions = node.mainEntity;
+    if (!Array.isArray(questions) || questions.length === 0) {
+      report.error('FAQPage has no mainEntity questions');
+      return;
+    }
+    questions.forEach((question, i) => {
+      if (question['@type'] !== 'Question' || !isFilled(question.name)) {
+        report.error(`FAQPage question ${i + 1} needs @type Question and a name`);
+      }
+      if (!isFilled(question.acceptedAnswer?.text)) {
+        report.error(`FAQPage question ${i + 1} has no acceptedAnswer.text`);
+      }
+    });
+  },
+  Article: checkArticle,
+  ScholarlyArticle: checkArticle,
+  EducationalOccupationalProgram: (node, report) => {
+    if (!isFilled(node.name)) report.error('EducationalOccupationalProgram has no name');
+    if (!isFilled(node.provider?.name)) report.error('EducationalOccupationalProgram has no provider name');
+    if (!isFilled(node.educationalCredentialAwarded)) {
+      report.warn('EducationalOccupationalProgram has no educationalCredentialAwarded');
+    }
+  },
+  CollegeOrUniversity: (node, report) => {
+    if (!isFilled(node.name)) report.error('CollegeOrUniversity has no name');
+  },
+  Person: (node, report) => {
+    if (!isFilled(node.name)) report.error('Person has no name');
+  },
+  CollectionPage: (node, report) => {
+    if (!isFilled(node.name)) report.error('CollectionPage has no name');
+  },
+};
+
+function checkArticle(node, report) {
+  const type = node['@type'];
+  if (!isFilled(node.headline)) {
+    report.error(`${type} has no headline`);
+  } else if (node.headline.length > HEADLINE_MAX) {
+    report.warn(`${type} headline is ${node.headline.length} characters (max ${HEADLINE_MAX})`);
+  }
+  if (!isFilled(node.datePublished)) report.warn(`${type} has no datePublished`);
+  if (!isFilled(node.author)) report.warn(`${type} has no author`);
+}
+
+/**
+ * Strings still holding a template placeholder, as "path: value"
+ */
+function findPlaceholders(value, path = '') {
+  if (typeof value === 'string') {
+    return /\[[^\]]+\]/.test(value) ? [`${path || '/'}: ${value}`] : [];
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, child]) => findPlaceholders(child, `${path}/${key}`));
+  }
+  return [];
+}
+
+function checkDocument(relPath, data) {
+  const report = { error: message => error(relPath, message), warn: message => warn(relPath, message) };
+
+  const context = data['@context'];
+  if (context !== 'https://schema.org' && context !== 'http://schema.org') {
+    report.error(`@context must be "https://schema.org" (got ${JSON.stringify(context)})`);
+  }
+
+  const nodes = Array.isArray(data['@graph']) ? data['@graph'] : [data];
+  for (const node of nodes) {
+    nodesChecked++;
+    const types = [].concat(node['@type'] || []);
+    if (types.length === 0) {
+      report.error('Node without @type');
+    }
+    for (const type of types) {
+      if (TYPE_RULES[type]) {
+        TYPE_RULES[type](node, report);
+      } else {
+        report.warn(`No checks for @type ${type}`);
+      }
+    }
+  }
+
+  for (const placeholder of findPlaceholders(data)) {
+    report.warn(`Template placeholder in structured data (${placeholder})`);
+  }
+}
+
+function validatePage(relPath) {
+  const html = readFileSync(join(PUBLIC_DIR, relPath), 'utf-8');
+  const blocks = readJsonLdBlocks(html);
+  pagesChecked++;
+
+  const seenTypes = new Map();
+  for (const block of blocks) {
+    if (block.error) {
+      error(relPath, `Invalid JSON-LD (${block.error})`);
+      continue;
+    }
+    checkDocument(relPath, block.data);
+
+    const nodes = Array.isArray(block.data['@graph']) ? block.data['@graph'] : [block.data];
+    for (const type of nodes.flatMap(node => [].concat(node['@type'] || []))) {
+      seenTypes.set(type, (seenTypes.get(type) || 0) + 1);
+    }
+  }
+  for (const [type, count] of seenTypes) {
+    if (count > 1 && type !== 'Person') {
+      warn(relPath, `${count} ${type} nodes; search engines may pick either`);
+    }
+  }
+
+  // The managed block must match the twin
+  const twinPath = join(PUBLIC_DIR, relPath.replace(/\.html$/, '.json'));
+  if (!existsSync(twinPath)) {
+    return;
+  }
+  const twin = JSON.parse(readFileSync(twinPath, 'utf-8'));
+  const expected = buildJsonLd(twin, readPageInfo(load(html), `/${relPath}`));
+  const managed = blocks.filter(block => block.managed);
+
+  if (managed.length > 1) {
+    error(relPath, `${managed.length} managed JSON-LD blocks (expected one)`);
+  } else if (!expected && managed.length === 1) {
+    error(relPath, 'Managed JSON-LD block the twin no longer gives; run npm run inject-json-ld');
+  } else if (expected && managed.length === 0) {
+    error(relPath, 'Missing JSON-LD; run npm run inject-json-ld');
+  } else if (expected && JSON.stringify(managed[0].data) !== JSON.stringify(expected)) {
+    error(relPath, 'JSON-LD is out of date with the JSON twin; run npm run inject-json-ld');
+  }
+}
+
+async function main() {
+  console.log('🔍 Validating JSON-LD structured data in /public/...\n');
+
+  const htmlFiles = await glob('**/*.html', {
+    cwd: PUBLIC_DIR,
+    ignore: ['**/node_modules/**', 'assets/**'],
+    posix: true,
+  });
+  htmlFiles.sort().forEach(validatePage);
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Pages checked: ${pagesChecked}`);
+  console.log(`Nodes checked: ${nodesChecked}`);
+  console.log(`⚠️  Warnings: ${warningCount}`);
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ JSON-LD validation failed');
+    process.exit(1);
+  } else if (warningCount > 0) {
+    console.log('\n⚠️  JSON-LD validation passed with warnings');
+  } else {
+    console.log('\n✅ All structured data is valid!');
+  }
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -4,7 +4,10 @@
  * Validate Localization Script
  *
  * Enforces bilingual parity between / and /es/ directory structures
- * Validates path_en/path_es metadata, hreflang bidirectionality, and structured data
+ * Validates path_en/path_es metadata (both in the same section's directories,
+ * per src/config/site.ts), hreflang bidirectionality, and structured data
+ * (programs.ts, faculty.ts, help.ts, categories.ts, programNotes.en/.es.json and
+ * helpAnswers.en/.es.json field-level parity)
  *
  * Usage: npm run validate-localization
  *
@@ -16,18 +19,48 @@ import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
 import { load } from 'cheerio';
 import { glob } from 'glob';
+import { loadStructuredData, STRUCTURED_DATA_DIR } from './utils/structured-data.js';
+import { LANGUAGES, SECTION_PATHS } from './utils/site-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const PROJECT_ROOT = join(__dirname, '..');
 const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
-const STRUCTURED_DATA_DIR = join(PROJECT_ROOT, 'src', 'data', 'structured');
+const UNSTRUCTURED_DATA_DIR = join(PROJECT_ROOT, 'src', 'data', 'unstructured');
 
 // Track validation results
 let pagesProcessed = 0;
 let errorCount = 0;
 let warningCount = 0;
 
+/**
+ * Spanish text allowed to equal the English (collectBilingualProblems):
+ * - Fields holding proper names, whatever their value
+ * - Values that read the same in both languages (acronyms, names), in any field
+ * - URLs
+ * Anything else identical to English is reported as untranslated copy.
+ */
+const SHARED_TEXT_FIELDS = new Set(['institution', 'notableWork']);
+const SHARED_TEXT_VALUES = new Set(['CSIC', 'DELE', 'FAFSA', 'GRE', 'IELTS', 'OPT', 'SIELE', 'STEM', 'TOEFL']);
+const URL_PATTERN = /^https?:\/\/\S+$/;
+
+/**
+ * Whether the Spanish value of a bilingual field may match the English
+ */
+function isSharedText(field, value) {
+  const text = value.trim();
+  return SHARED_TEXT_FIELDS.has(field.replace(/_e[ns]$/, ''))
+    || SHARED_TEXT_VALUES.has(text)
+    || URL_PATTERN.test(text);
+}
+
+/**
+ * The section whose directory holds a site path in a language, or null
+ */
+function findSection(sitePath, lang) {
+  return Object.keys(SECTION_PATHS).find(section => sitePath.startsWith(SECTION_PATHS[section][lang])) || null;
+}
+
 /**
  * Parse HTML file and extract localization metadata
  */
@@ -181,6 +214,18 @@ function validateHtmlFile(filePath) {
     }
   }
 
+  // A page and its alternate belong to the same section
+  if (metadata.pathEn && metadata.pathEs) {
+    const paths = { en: metadata.pathEn, es: metadata.pathEs };
+    for (const lang of LANGUAGES) {
+      const section = findSection(paths[lang], lang);
+      const otherLang = LANGUAGES.find(other => other !== lang);
+      if (section && !paths[otherLang].startsWith(SECTION_PATHS[section][otherLang])) {
+        errors.push(`path_${otherLang} ${paths[otherLang]} is outside the ${section} directory ${SECTION_PATHS[section][otherLang]} (path_${lang} is ${paths[lang]})`);
+      }
+    }
+  }
+
   // Report errors and warnings
   if (errors.length > 0) {
     console.error(`\n❌ ${relPath}`);
@@ -265,10 +310,177 @@ function checkForOrphans(enFiles, esFiles, allResults) {
   return orphans;
 }
 
+/**
+ * Collect bilingual parity problems for one structured record
+ * Returns human-readable problem strings for the per-record report
+ */
+function collectBilingualProblems(record) {
+  const problems = [];
+
+  for (const [field, enValue] of Object.entries(record)) {
+    if (!field.endsWith('_en')) {
+      continue;
+    }
+
+    const esField = field.replace(/_en$/, '_es');
+    const esValue = record[esField];
+
+    if (Array.isArray(enValue)) {
+      if (!Array.isArray(esValue)) {
+        problems.push(`${field} has no ${esField} array`);
+        continue;
+      }
+
+      if (enValue.length !== esValue.length) {
+        problems.push(`${field} has ${enValue.length} item(s) but ${esField} has ${esValue.length}`);
+      }
+
+      esValue.forEach((item, i) => {
+        if (typeof item !== 'string' || item.trim() === '') {
+          problems.push(`${esField}[${i}] is empty`);
+        } else if (item.trim() === String(enValue[i] ?? '').trim() && !isSharedText(esField, item)) {
+          problems.push(`${esField}[${i}] is identical to English ("${item}") - untranslated copy?`);
+        }
+      });
+      continue;
+    }
+
+    if (typeof esValue !== 'string' || esValue.trim() === '') {
+      problems.push(`${field} has no non-empty ${esField}`);
+    } else if (typeof enValue === 'string' && esValue.trim() === enValue.trim() && !isSharedText(esField, esValue)) {
+      problems.push(`${esField} is identical to ${field} - untranslated copy?`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Compare programNotes.en.json and programNotes.es.json
+ * Returns a Map of programId → problem strings
+ */
+function collectProgramNotesProblems(notesEn, notesEs) {
+  const problems = new Map();
+  const report = (programId, problem) => {
+    if (!problems.has(programId)) {
+      problems.set(programId, []);
+    }
+    problems.get(programId).push(problem);
+  };
+
+  for (const programId of Object.keys(notesEn)) {
+    if (!(programId in notesEs)) {
+      report(programId, 'present in programNotes.en.json but missing from programNotes.es.json');
+    }
+  }
+
+  for (const programId of Object.keys(notesEs)) {
+    if (!(programId in notesEn)) {
+      report(programId, 'present in programNotes.es.json but missing from programNotes.en.json');
+      continue;
+    }
+
+    const en = notesEn[programId];
+    const es = notesEs[programId];
+    const sections = new Set([...Object.keys(en), ...Object.keys(es)]);
+
+    for (const section of sections) {
+      const enText = (en[section] || '').trim();
+      const esText = (es[section] || '').trim();
+
+      if (!enText) {
+        report(programId, `notes section "${section}" is empty or missing in English`);
+      } else if (!esText) {
+        report(programId, `notes section "${section}" is empty or missing in Spanish`);
+      } else if (enText === esText) {
+        report(programId, `notes section "${section}" is identical in both languages - untranslated copy?`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Compare helpAnswers.en.json and helpAnswers.es.json
+ * Both languages need the same number of answer sections and related links
+ * Returns a Map of question id → problem strings
+ */
+function collectHelpAnswersProblems(answersEn, answersEs) {
+  const problems = new Map();
+  const report = (questionId, problem) => {
+    if (!problems.has(questionId)) {
+      problems.set(questionId, []);
+    }
+    problems.get(questionId).push(problem);
+  };
+
+  for (const questionId of Object.keys(answersEn)) {
+    if (!(questionId in answersEs)) {
+      report(questionId, 'present in helpAnswers.en.json but missing from helpAnswers.es.json');
+    }
+  }
+
+  for (const questionId of Object.keys(answersEs)) {
+    if (!(questionId in answersEn)) {
+      report(questionId, 'present in helpAnswers.es.json but missing from helpAnswers.en.json');
+      continue;
+    }
+
+    const en = answersEn[questionId];
+    const es = answersEs[questionId];
+
+    for (const list of ['sections', 'related']) {
+      const enCount = (en[list] || []).length;
+      const esCount = (es[list] || []).length;
+      if (enCount !== esCount) {
+        report(questionId, `${enCount} ${list} item(s) in English but ${esCount} in Spanish`);
+      }
+    }
+
+    (es.sections || []).forEach((section, i) => {
+      const enSection = (en.sections || [])[i] || {};
+      for (const field of ['heading', 'text']) {
+        const esText = (section[field] || '').trim();
+        if (!esText) {
+          report(questionId, `sections[${i}].${field} is empty in Spanish`);
+        } else if (esText === (enSection[field] || '').trim()) {
+          report(questionId, `sections[${i}].${field} is identical in both languages - untranslated copy?`);
+        }
+      }
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Print a per-record problem report and add it to the error count
+ */
+function reportRecordProblems(label, problems) {
+  if (problems.length === 0) {
+    return;
+  }
+
+  console.error(`❌ ${label}`);
+  problems.forEach(problem => console.error(`   • ${problem}`));
+  errorCount += problems.length;
+}
+
 /**
  * Validate structured data files for bilingual fields
+ *
+ * Loads programs.ts, faculty.ts, help.ts and categories.ts (via tsx) plus the
+ * unstructured programNotes and helpAnswers JSON files and fails on:
+ * - *_en fields without a non-empty *_es twin
+ * - Bilingual array length mismatches (focusAreas_en vs focusAreas_es, ...)
+ * - Spanish text identical to English (untranslated copy), except names,
+ *   acronyms and URLs on the shared-text allowlist
+ * - Program IDs present in one programNotes file but not the other
+ * - Help answers missing from one language, or with a different number of
+ *   sections or related links
  */
-function validateStructuredData() {
+async function validateStructuredData() {
   if (!existsSync(STRUCTURED_DATA_DIR)) {
     console.log('\n⚠️  Structured data directory does not exist yet. Skipping structured data validation.');
     return;
@@ -276,9 +488,68 @@ function validateStructuredData() {
 
   console.log('\n📁 Validating Structured Data Files...\n');
 
-  // This is a placeholder - structured data validation will be implemented
-  // when we create TypeScript interfaces and data files
-  console.log('   ℹ️  Structured data validation will be implemented in Phase 4');
+  const errorsBefore = errorCount;
+  const { programs, faculty, helpQuestions, categories } = await loadStructuredData();
+
+  for (const program of programs) {
+    reportRecordProblems(`programs.ts › ${program.id}`, collectBilingualProblems(program));
+  }
+
+  for (const member of faculty) {
+    reportRecordProblems(`faculty.ts › ${member.id}`, collectBilingualProblems(member));
+  }
+
+  for (const question of helpQuestions) {
+    reportRecordProblems(`help.ts › ${question.id}`, collectBilingualProblems(question));
+  }
+
+  for (const category of categories) {
+    reportRecordProblems(`categories.ts › ${category.id}`, collectBilingualProblems(category));
+  }
+
+  const notesEnPath = join(UNSTRUCTURED_DATA_DIR, 'programNotes.en.json');
+  const notesEsPath = join(UNSTRUCTURED_DATA_DIR, 'programNotes.es.json');
+  let notesCount = 0;
+
+  if (!existsSync(notesEnPath) || !existsSync(notesEsPath)) {
+    console.error('❌ programNotes.en.json and programNotes.es.json must both exist');
+    errorCount++;
+  } else {
+    const notesEn = JSON.parse(readFileSync(notesEnPath, 'utf-8'));
+    const notesEs = JSON.parse(readFileSync(notesEsPath, 'utf-8'));
+    notesCount = new Set([...Object.keys(notesEn), ...Object.keys(notesEs)]).size;
+
+    for (const [programId, problems] of collectProgramNotesProblems(notesEn, notesEs)) {
+      reportRecordProblems(`programNotes › ${programId}`, problems);
+    }
+  }
+
+  const answersEnPath = join(UNSTRUCTURED_DATA_DIR, 'helpAnswers.en.json');
+  const answersEsPath = join(UNSTRUCTURED_DATA_DIR, 'helpAnswers.es.json');
+  let answersCount = 0;
+
+  if (!existsSync(answersEnPath) || !existsSync(answersEsPath)) {
+    console.error('❌ helpAnswers.en.json and helpAnswers.es.json must both exist');
+    errorCount++;
+  } else {
+    const answersEn = JSON.parse(readFileSync(answersEnPath, 'utf-8'));
+    const answersEs = JSON.parse(readFileSync(answersEsPath, 'utf-8'));
+    answersCount = new Set([...Object.keys(answersEn), ...Object.keys(answersEs)]).size;
+
+    for (const [questionId, problems] of collectHelpAnswersProblems(answersEn, answersEs)) {
+      reportRecordProblems(`helpAnswers › ${questionId}`, problems);
+    }
+  }
+
+  const structuredErrors = errorCount - errorsBefore;
+  console.log(`   Programs: ${programs.length}, Faculty: ${faculty.length}, Program notes: ${notesCount}`);
+  console.log(`   Help questions: ${helpQuestions.length}, Help answers: ${answersCount}, Categories: ${categories.length}`);
+
+  if (structuredErrors === 0) {
+    console.log('   ✅ All structured records have complete Spanish counterparts');
+  } else {
+    console.error(`   ❌ ${structuredErrors} bilingual parity problem(s) in structured data`);
+  }
 }
 
 /**
@@ -340,7 +611,7 @@ async function main() {
   }
 
   // Validate structured data
-  validateStructuredData();
+  await validateStructuredData();
 
   // Summary
   console.log('\n' + '='.repeat(60));
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Validate Structured Data Script
+ *
+ * Runs the canonical runtime validator (src/data/structured/validation.ts)
+ * over every program, faculty, Help question and category record and reports
+ * problems per record:
+ * - Missing or mistyped fields, unknown fields (schema drift)
+ * - *_en fields without a matching *_es field, array length mismatches
+ * - Invalid ISO dates, lat/lng out of range, malformed URLs
+ * - Broken program ↔ faculty references
+ * - Help questions with an unknown category, or sharing an id or page URL
+ * - Categories outside the InsightsCategory / QACategory names, or sharing an id or slug
+ *
+ * Usage: npm run validate-data
+ *
+ * Spanish Academic 2026
+ */
+
+import { loadStructuredData } from './utils/structured-data.js';
+
+async function main() {
+  console.log('🗂️  Validating Structured Data\n');
+  console.log('='.repeat(60));
+
+  const { programs, faculty, helpQuestions, categories, issues } = await loadStructuredData();
+
+  console.log(`Programs: ${programs.length}`);
+  console.log(`Faculty:  ${faculty.length}`);
+  console.log(`Help questions: ${helpQuestions.length}`);
+  console.log(`Categories: ${categories.length}\n`);
+
+  // Group issues by record for a readable per-record report
+  const byRecord = new Map();
+  for (const issue of issues) {
+    const key = `${issue.recordType}:${issue.recordId}`;
+    if (!byRecord.has(key)) {
+      byRecord.set(key, []);
+    }
+    byRecord.get(key).push(issue);
+  }
+
+  for (const [record, recordIssues] of byRecord) {
+    console.error(`❌ ${record}`);
+    recordIssues.forEach(issue => console.error(`   • ${issue.field || '(record)'} ${issue.message}`));
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`✅ Records checked: ${programs.length + faculty.length + helpQuestions.length + categories.length}`);
+  console.log(`❌ Errors: ${issues.length}`);
+
+  if (issues.length > 0) {
+    console.log('\n❌ Structured data validation failed');
+    console.log('💡 Canonical schema: src/data/structured/types.ts');
+    process.exit(1);
+  }
+
+  console.log('\n✅ All structured data records are valid!');
+}
+
+// Run
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Validate JSON Twins Script
+ *
+ * Checks every .json file in /public/ against the versioned twin schemas
+ * (scripts/utils/twin-schemas.js) and fails on drift:
+ * - a twin with no `type`, or a type that has no schema
+ * - a `schemaVersion` other than the current TWIN_SCHEMA_VERSION (stale twin)
+ * - any field that doesn't match the schema for its type
+ * - published schemas in /public/schemas/twins/v<N>/ that differ from the
+ *   ones the scripts build (run with --write-schemas to publish them)
+ *
+ * Site indexes (chat-index.json, search-index.*.json), build assets and the
+ * schemas themselves aren't twins and are skipped.
+ *
+ * Usage:
+ *   npm run validate-twins
+ *   npm run validate-twins -- --write-schemas   # publish schemas, then validate
+ *
+ * Spanish Academic 2026
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { glob } from 'glob';
+import { validateSchema } from './utils/json-schema.js';
+import { TWIN_SCHEMA_VERSION, buildTwinSchemas, getSchemaDir } from './utils/twin-schemas.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const PROJECT_ROOT = join(__dirname, '..');
+const PUBLIC_DIR = join(PROJECT_ROOT, 'public');
+
+// JSON in /public/ that isn't a page twin
+const NON_TWIN_FILES = ['assets/**', 'schemas/**', 'chat-index.json', 'search-index.*.json'];
+
+// Errors shown per twin before the rest are summarized
+const MAX_ERRORS_PER_TWIN = 5;
+
+// Parse command-line arguments: --flags
+const args = process.argv.slice(2);
+const options = {};
+for (let i = 0; i < args.length; i++) {
+  if (args[i].startsWith('--')) {
+    options[args[i].slice(2)] = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : 'true';
+  }
+}
+
+let errorCount = 0;
+
+function schemaFile(type) {
+  return join(PUBLIC_DIR, getSchemaDir(), `${type}.schema.json`);
+}
+
+function serialize(schema) {
+  return JSON.stringify(schema, null, 2) + '\n';
+}
+
+/**
+ * Write the current schemas to /public/schemas/twins/v<N>/
+ */
+function writeSchemas(schemas) {
+  mkdirSync(join(PUBLIC_DIR, getSchemaDir()), { recursive: true });
+  for (const [type, schema] of Object.entries(schemas)) {
+    writeFileSync(schemaFile(type), serialize(schema), 'utf-8');
+  }
+  console.log(`📝 Published ${Object.keys(schemas).length} schema(s) to public/${getSchemaDir()}/\n`);
+}
+
+/**
+ * Published schemas must match the built ones (a changed schema without a
+ * republish, or a hand edit, is drift)
+ */
+function checkPublishedSchemas(schemas) {
+  for (const [type, schema] of Object.entries(schemas)) {
+    const file = schemaFile(type);
+    const relPath = `${getSchemaDir()}/${type}.schema.json`;
+    if (!existsSync(file)) {
+      console.error(`❌ ERROR [${relPath}]: Schema not published`);
+      errorCount++;
+    } else if (readFileSync(file, 'utf-8') !== serialize(schema)) {
+      console.error(`❌ ERROR [${relPath}]: Published schema is out of date`);
+      errorCount++;
+    }
+  }
+}
+
+/**
+ * Validate one twin; returns its type (or null when it can't be checked)
+ */
+function validateTwin(relPath, schemas) {
+  let twin;
+  try {
+    twin = JSON.parse(readFileSync(join(PUBLIC_DIR, relPath), 'utf-8'));
+  } catch (error) {
+    console.error(`❌ ERROR [${relPath}]: Invalid JSON (${error.message})`);
+    errorCount++;
+    return null;
+  }
+
+  if (typeof twin.type !== 'string') {
+    console.error(`❌ ERROR [${relPath}]: Missing "type" (regenerate the twin)`);
+    errorCount++;
+    return null;
+  }
+  if (!schemas[twin.type]) {
+    console.error(`❌ ERROR [${relPath}]: Unknown twin type "${twin.type}"`);
+    errorCount++;
+    return null;
+  }
+  if (twin.schemaVersion !== TWIN_SCHEMA_VERSION) {
+    console.error(`❌ ERROR [${relPath}]: schemaVersion ${twin.schemaVersion ?? '(missing)'}, current is ${TWIN_SCHEMA_VERSION} (regenerate the twin)`);
+    errorCount++;
+    return twin.type;
+  }
+
+  const errors = validateSchema(twin, schemas[twin.type]);
+  if (errors.length > 0) {
+    console.error(`❌ ERROR [${relPath}]: ${errors.length} field(s) don't match the ${twin.type} schema`);
+    for (const { path, message } of errors.slice(0, MAX_ERRORS_PER_TWIN)) {
+      console.error(`   ${path || '/'}: ${message}`);
+    }
+    if (errors.length > MAX_ERRORS_PER_TWIN) {
+      console.error(`   … and ${errors.length - MAX_ERRORS_PER_TWIN} more`);
+    }
+    errorCount++;
+  }
+  return twin.type;
+}
+
+async function main() {
+  console.log('🔍 Validating JSON twins in /public/...\n');
+
+  const schemas = buildTwinSchemas();
+  if (options['write-schemas'] === 'true') {
+    writeSchemas(schemas);
+  }
+  checkPublishedSchemas(schemas);
+
+  const twinFiles = await glob('**/*.json', {
+    cwd: PUBLIC_DIR,
+    ignore: ['**/node_modules/**', ...NON_TWIN_FILES],
+    posix: true,
+  });
+
+  const typeCounts = {};
+  for (const relPath of twinFiles.sort()) {
+    const type = validateTwin(relPath, schemas);
+    if (type) {
+      typeCounts[type] = (typeCounts[type] || 0) + 1;
+    }
+  }
+
+  // Summary
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Schema version: ${TWIN_SCHEMA_VERSION}`);
+  console.log(`Twins checked: ${twinFiles.length}`);
+  for (const [type, count] of Object.entries(typeCounts).sort()) {
+    console.log(`   ${type}: ${count}`);
+  }
+  console.log(`❌ Errors: ${errorCount}`);
+
+  if (errorCount > 0) {
+    console.log('\n❌ Twin validation failed');
+    console.log('💡 Regenerate twins (npm run generate-json and the page generators) or update the schemas');
+    process.exit(1);
+  }
+  console.log('\n✅ All twins match their schemas!');
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -1,16 +1,147 @@
-import React from 'react'
+import React, { useId, useState } from 'react'
+import { format, getDictionary, getPageLanguage } from '@/i18n'
+import { localBackend, type ChatBackend, type ChatReply } from './backend'
+import { rankPages } from './retrieval'
+import { useChatIndex } from './useChatIndex'
+
+interface ChatProps {
+  /** Defaults to the offline local backend */
+  backend?: ChatBackend
+}
+
+interface Exchange {
+  id: number
+  question: string
+  reply: ChatReply
+}
 
 /**
- * Chat component - AI-powered Q&A interface
+ * Chat component - Q&A assistant over the site's JSON twins
  * This is a React island that loads only on pages with #chat-root
+ *
+ * The question is ranked against the site-wide index in the browser
+ * (retrieval.ts); the backend then writes the reply, which always lists the
+ * pages it came from. Questions are kept in component state only.
  */
-const Chat: React.FC = () => {
+const Chat: React.FC<ChatProps> = ({ backend = localBackend }) => {
+  const lang = getPageLanguage()
+  const t = getDictionary(lang).chat
+  const { status, load } = useChatIndex()
+  const [question, setQuestion] = useState('')
+  const [exchanges, setExchanges] = useState<Exchange[]>([])
+  const [busy, setBusy] = useState(false)
+  const ids = useId()
+
+  // Start fetching the index as soon as the reader shows interest
+  const prefetch = () => {
+    load().catch(() => undefined)
+  }
+
+  const ask = async (e: React.FormEvent) => {
+    e.preventDefault()
+    const text = question.trim()
+    if (!text || busy) return
+
+    setBusy(true)
+    try {
+      const index = await load()
+      const reply = await backend.answer({
+        question: text,
+        lang,
+        sources: rankPages(index, text, lang),
+      })
+      setExchanges((current) => [...current, { id: current.length + 1, question: text, reply }])
+      setQuestion('')
+    } catch {
+      // status is 'error'; the message below asks the reader to retry
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const pageType = (type: string) =>
+    t.pageTypes[type as keyof typeof t.pageTypes] ?? t.pageTypes.page
+
+  const renderReply = ({ answer, sources, backend: source, fallback }: ChatReply) => {
+    if (sources.length === 0) return <p>{t.noResults}</p>
+
+    return (
+      <>
+        {answer ? <p className="chat-answer">{answer}</p> : <p>{t.noAnswer}</p>}
+        <h4 className="chat-sources-heading">{t.sourcesHeading}</h4>
+        <ol className="chat-sources">
+          {sources.map(({ entry, otherLanguage }) => (
+            <li key={entry.url}>
+              <span className="chat-source-type">{pageType(entry.type)}</span>{' '}
+              <a href={entry.url} hrefLang={entry.language}>
+                {entry.title}
+              </a>
+              {otherLanguage && (
+                <span className="chat-source-language" lang={lang}>
+                  {' '}
+                  ({format(t.otherLanguage, { language: t.languages[entry.language] })})
+                </span>
+              )}
+            </li>
+          ))}
+        </ol>
+        <p className="chat-backend">{fallback ? t.backends.fallback : t.backends[source]}</p>
+      </>
+    )
+  }
+
   return (
-    <div className="chat">
-      <h2>Ask a Question</h2>
-      <p>AI-powered chat interface coming soon...</p>
-      {/* TODO: Implement chat interface with JSON twin consumption */}
-    </div>
+    <section className="chat" aria-labelledby={`${ids}-heading`}>
+      <h2 id={`${ids}-heading`}>{t.heading}</h2>
+      <p>{t.intro}</p>
+
+      <div className="chat-log" aria-live="polite">
+        {exchanges.map(({ id, question: asked, reply }) => (
+          <article key={id} className="chat-exchange">
+            <h3 className="chat-question">
+              <span className="chat-question-label">{t.youAsked}:</span> {asked}
+            </h3>
+            {renderReply(reply)}
+          </article>
+        ))}
+        {busy && <p className="chat-status">{t.searching}</p>}
+        {status === 'error' && !busy && (
+          <p className="chat-status chat-status--error" role="alert">
+            {t.loadError}
+          </p>
+        )}
+      </div>
+
+      <form className="chat-form" onSubmit={ask}>
+        <label htmlFor={`${ids}-question`}>{t.questionLabel}</label>
+        <div className="chat-form-row">
+          <input
+            id={`${ids}-question`}
+            type="text"
+            value={question}
+            aria-describedby={`${ids}-hint`}
+            onFocus={prefetch}
+            onChange={(e) => setQuestion(e.target.value)}
+          />
+          <button type="submit" className="chat-button" disabled={busy}>
+            {t.submit}
+          </button>
+        </div>
+        <small id={`${ids}-hint`}>{t.questionHint}</small>
+      </form>
+
+      {exchanges.length > 0 && (
+        <button
+          type="button"
+          className="chat-button chat-button--secondary"
+          onClick={() => setExchanges([])}
+        >
+          {t.clear}
+        </button>
+      )}
+
+      <p className="chat-disclaimer">{t.disclaimer}</p>
+    </section>
   )
 }
 
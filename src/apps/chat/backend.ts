@@ -0,0 +1,105 @@
+/**
+ * Chat backends: turn a question and its retrieved pages into a reply
+ *
+ * The local backend is the default and needs no server: it answers with the
+ * best-ranked Help short answer. A site can plug in a remote assistant with
+ * createHttpBackend (see data-endpoint in main.tsx); it receives the question
+ * and the retrieved pages, and any failure falls back to the local reply so
+ * the reader always gets the sources.
+ */
+
+import type { LanguageCode } from '@/data/types'
+import { pickAnswer, type RetrievalResult } from './retrieval'
+
+export interface ChatRequest {
+  question: string
+  lang: LanguageCode
+  /** Retrieved pages, best first */
+  sources: RetrievalResult[]
+}
+
+export interface ChatReply {
+  answer: string | null
+  sources: RetrievalResult[]
+  backend: 'local' | 'remote'
+  /** The remote backend failed and this is the local reply instead */
+  fallback: boolean
+}
+
+export interface ChatBackend {
+  answer(request: ChatRequest): Promise<ChatReply>
+}
+
+/** Offline, deterministic: Help short answers plus source links */
+export const localBackend: ChatBackend = {
+  async answer({ sources }) {
+    return {
+      answer: pickAnswer(sources)?.entry.shortAnswer ?? null,
+      sources,
+      backend: 'local',
+      fallback: false,
+    }
+  },
+}
+
+/** Body the remote endpoint must return */
+interface RemoteReply {
+  answer: string
+  /** URLs (from the request's sources) the answer relied on, best first */
+  sources?: string[]
+}
+
+const isRemoteReply = (value: unknown): value is RemoteReply =>
+  typeof value === 'object' &&
+  value !== null &&
+  typeof (value as RemoteReply).answer === 'string' &&
+  ((value as RemoteReply).sources === undefined || Array.isArray((value as RemoteReply).sources))
+
+/**
+ * POST { question, lang, sources: [{ url, title, summary, shortAnswer }] } to
+ * an endpoint that replies { answer, sources? }
+ *
+ * Cited URLs must come from the request, so the assistant can't link pages
+ * the site doesn't have; with no valid citations all retrieved pages are kept.
+ */
+export function createHttpBackend(endpoint: string, fetchImpl: typeof fetch = fetch): ChatBackend {
+  return {
+    async answer(request) {
+      try {
+        const response = await fetchImpl(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            question: request.question,
+            lang: request.lang,
+            sources: request.sources.map(({ entry }) => ({
+              url: entry.url,
+              title: entry.title,
+              summary: entry.summary,
+              shortAnswer: entry.shortAnswer,
+            })),
+          }),
+        })
+        if (!response.ok) throw new Error(`Chat endpoint returned ${response.status}`)
+
+        const body: unknown = await response.json()
+        if (!isRemoteReply(body)) throw new Error('Chat endpoint returned an unexpected body')
+
+        const cited = (body.sources ?? [])
+          .map((url) => request.sources.find((source) => source.entry.url === url))
+          .filter((source): source is RetrievalResult => source !== undefined)
+
+        return {
+          answer: body.answer,
+          sources: cited.length > 0 ? cited : request.sources,
+          backend: 'remote',
+          fallback: false,
+        }
+      } catch {
+        // Chat.tsx tells the reader the answer came from site search
+        const reply = await localBackend.answer(request)
+        return { ...reply, fallback: true }
+      }
+    },
+  }
+}
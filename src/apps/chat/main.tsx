@@ -1,6 +1,7 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import Chat from './Chat'
+import { createHttpBackend, localBackend } from './backend'
 import './chat.css'
 
 const rootElement = document.getElementById('chat-root')
@@ -9,8 +10,12 @@ if (!rootElement) {
   throw new Error('Chat root element not found. Ensure #chat-root exists in the HTML.')
 }
 
+// <div id="chat-root" data-endpoint="/api/chat"> plugs in a remote assistant
+const endpoint = rootElement.dataset.endpoint
+const backend = endpoint ? createHttpBackend(endpoint) : localBackend
+
 ReactDOM.createRoot(rootElement).render(
   <React.StrictMode>
-    <Chat />
+    <Chat backend={backend} />
   </React.StrictMode>,
 )
@@ -0,0 +1,150 @@
+/**
+ * Chat retrieval: rank site pages (JSON twins) against a question
+ *
+ * Pure functions (no React, no network), so the same question over the same
+ * index always returns the same pages in the same order. Questions and pages
+ * are folded (accents, case), split into words and stripped of English and
+ * Spanish stopwords, so a question in either language matches pages in both.
+ * Pages in the reader's language rank ahead of equally good matches in the
+ * other language, and Help (qaPage) twins ahead of other pages.
+ */
+
+import type { ChatIndex, ChatIndexEntry, LanguageCode } from '@/data/types'
+import { STOPWORDS as SEARCH_STOPWORDS } from '@/utils/search'
+import { foldText } from '@/utils/text'
+
+/** Weight of a term found in each field of an entry */
+export const FIELD_WEIGHTS = {
+  title: 3,
+  summary: 2,
+  text: 1,
+} as const
+
+/** Multiplier for pages in the other language (still shown, ranked lower) */
+export const OTHER_LANGUAGE_FACTOR = 0.5
+/** Multiplier for Help/Q&A twins, which carry a short answer */
+export const QA_PAGE_FACTOR = 1.5
+export const MAX_RESULTS = 5
+
+// Questions may be in either language, so both stopword lists apply
+const STOPWORDS = new Set([...SEARCH_STOPWORDS.en, ...SEARCH_STOPWORDS.es])
+
+type Field = keyof typeof FIELD_WEIGHTS
+type TermCounts = Map<string, number>
+
+interface PreparedEntry {
+  entry: ChatIndexEntry
+  fields: Record<Field, TermCounts>
+}
+
+export interface PreparedIndex {
+  entries: PreparedEntry[]
+  /** Inverse document frequency per term */
+  idf: Map<string, number>
+}
+
+export interface RetrievalResult {
+  entry: ChatIndexEntry
+  score: number
+  /** True when the page is not in the reader's language */
+  otherLanguage: boolean
+}
+
+/**
+ * Split text into folded, stopword-free terms
+ * A trailing plural "s" is dropped so "programs"/"program" and
+ * "programas"/"programa" match.
+ */
+export function tokenize(text: string): string[] {
+  return foldText(text)
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+    .map((word) => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word))
+}
+
+function countTerms(text: string): TermCounts {
+  const counts: TermCounts = new Map()
+  for (const term of tokenize(text)) counts.set(term, (counts.get(term) ?? 0) + 1)
+  return counts
+}
+
+/**
+ * Tokenize every entry once, when the index is loaded
+ */
+export function prepareIndex(index: ChatIndex): PreparedIndex {
+  const entries = index.entries.map((entry) => ({
+    entry,
+    fields: {
+      title: countTerms(entry.title),
+      summary: countTerms(`${entry.summary} ${entry.shortAnswer ?? ''}`),
+      text: countTerms(entry.text),
+    },
+  }))
+
+  const documentFrequency = new Map<string, number>()
+  for (const { fields } of entries) {
+    const terms = new Set([...fields.title.keys(), ...fields.summary.keys(), ...fields.text.keys()])
+    for (const term of terms) documentFrequency.set(term, (documentFrequency.get(term) ?? 0) + 1)
+  }
+
+  const idf = new Map<string, number>()
+  for (const [term, df] of documentFrequency) {
+    idf.set(term, Math.log(1 + entries.length / df))
+  }
+
+  return { entries, idf }
+}
+
+function scoreEntry(prepared: PreparedEntry, terms: string[], idf: Map<string, number>): number {
+  let score = 0
+  let matched = 0
+
+  for (const term of terms) {
+    let termScore = 0
+    for (const field of Object.keys(FIELD_WEIGHTS) as Field[]) {
+      const count = prepared.fields[field].get(term) ?? 0
+      // Repeats help a little; one long page shouldn't drown out a focused one
+      if (count > 0) termScore += FIELD_WEIGHTS[field] * (1 + Math.log(count))
+    }
+    if (termScore > 0) {
+      matched++
+      score += termScore * (idf.get(term) ?? 0)
+    }
+  }
+
+  // Pages matching more of the question beat pages repeating one word
+  return matched === 0 ? 0 : score * (matched / terms.length)
+}
+
+/**
+ * Rank pages for a question, best first (ties broken by URL)
+ * Returns no results when the question has no searchable words.
+ */
+export function rankPages(
+  index: PreparedIndex,
+  question: string,
+  lang: LanguageCode,
+  limit: number = MAX_RESULTS
+): RetrievalResult[] {
+  const terms = [...new Set(tokenize(question))]
+  if (terms.length === 0) return []
+
+  return index.entries
+    .map((prepared) => {
+      const otherLanguage = prepared.entry.language !== lang
+      let score = scoreEntry(prepared, terms, index.idf)
+      if (otherLanguage) score *= OTHER_LANGUAGE_FACTOR
+      if (prepared.entry.type === 'qaPage') score *= QA_PAGE_FACTOR
+      return { entry: prepared.entry, score: Math.round(score * 1000) / 1000, otherLanguage }
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.entry.url.localeCompare(b.entry.url))
+    .slice(0, limit)
+}
+
+/**
+ * The best-ranked result carrying a Help short answer, if any
+ */
+export function pickAnswer(results: RetrievalResult[]): RetrievalResult | null {
+  return results.find((result) => result.entry.shortAnswer) ?? null
+}
@@ -0,0 +1,44 @@
+import { useCallback, useRef, useState } from 'react'
+import type { ChatIndex } from '@/data/types'
+import { prepareIndex, type PreparedIndex } from './retrieval'
+
+/** Built by scripts/build_chat_index.js */
+export const CHAT_INDEX_URL = '/chat-index.json'
+
+export type ChatIndexStatus = 'idle' | 'loading' | 'ready' | 'error'
+
+/**
+ * Load the site-wide chat index on demand
+ *
+ * Nothing is fetched until load() is first called (the reader focuses or
+ * submits the question box), so pages that only show the island don't pay
+ * for the index. Concurrent calls share one request; a failed request can be
+ * retried by calling load() again.
+ */
+export function useChatIndex(url: string = CHAT_INDEX_URL) {
+  const [status, setStatus] = useState<ChatIndexStatus>('idle')
+  const pending = useRef<Promise<PreparedIndex> | null>(null)
+
+  const load = useCallback((): Promise<PreparedIndex> => {
+    if (!pending.current) {
+      setStatus('loading')
+      pending.current = fetch(url)
+        .then((response) => {
+          if (!response.ok) throw new Error(`Chat index returned ${response.status}`)
+          return response.json() as Promise<ChatIndex>
+        })
+        .then((index) => {
+          setStatus('ready')
+          return prepareIndex(index)
+        })
+        .catch((error: unknown) => {
+          pending.current = null
+          setStatus('error')
+          throw error
+        })
+    }
+    return pending.current
+  }, [url])
+
+  return { status, load }
+}
@@ -1,15 +1,672 @@
-import React from 'react'
+import React, { useEffect, useRef, useState } from 'react'
+import { useForm } from '@tanstack/react-form'
+import { programs } from '@/data/structured/programs'
+import { format, getDictionary, getPageLanguage, localize, type Dictionary } from '@/i18n'
+import type { ContactTransport } from './transport'
+import { DELIVERY_MODES } from '@/data/structured/validation'
+import {
+  CONTACT_FIELDS,
+  CONTACT_ROLES,
+  CONTACT_TOPICS,
+  CORRECTABLE_FIELDS,
+  EMPTY_CONTACT,
+  LIMITS,
+  detectSpam,
+  isCorrectableField,
+  validateContactField,
+  type ContactErrorCode,
+  type ContactErrors,
+  type ContactField,
+  type ContactTopic,
+  type ContactValues,
+  type CorrectableField,
+} from './validation'
+
+interface ContactFormProps {
+  transport: ContactTransport
+}
+
+type SendStatus = 'idle' | 'sent' | 'tooFast' | 'rateLimited' | 'unavailable'
+
+const programIds = programs.map((p) => p.id)
+const fieldId = (field: ContactField) => `contact-${field}`
+const correctableFields = Object.keys(CORRECTABLE_FIELDS) as CorrectableField[]
+
+/**
+ * Pre-fill from the page URL, so program pages can link to a ready-made
+ * correction: /contact/?topic=correction&program=<id>&field=stipendApproxUSD
+ */
+const readInitialValues = (): ContactValues => {
+  const params = new URLSearchParams(window.location.search)
+  const topic = params.get('topic') ?? ''
+  const programId = params.get('program') ?? ''
+  const field = params.get('field') ?? ''
+  return {
+    ...EMPTY_CONTACT,
+    topic: (CONTACT_TOPICS as readonly string[]).includes(topic) ? (topic as ContactTopic) : '',
+    programId: programIds.includes(programId) ? programId : '',
+    correctionField: topic === 'correction' && isCorrectableField(field) ? field : '',
+  }
+}
+
+interface FieldShellProps {
+  field: ContactField
+  label: string
+  required: boolean
+  hint?: string
+  error?: string
+  t: Dictionary['contact']
+  children: React.ReactNode
+}
+
+/** Label, hint and error message around one control (ids match describedBy) */
+const FieldShell: React.FC<FieldShellProps> = ({
+  field,
+  label,
+  required,
+  hint,
+  error,
+  t,
+  children,
+}) => (
+  <div className={`contact-field${error ? ' contact-field--invalid' : ''}`}>
+    <label htmlFor={fieldId(field)}>
+      {label} <span className="contact-field-marker">{required ? t.required : t.optional}</span>
+    </label>
+    {hint && (
+      <small id={`${fieldId(field)}-hint`} className="contact-hint">
+        {hint}
+      </small>
+    )}
+    {children}
+    {error && (
+      <p id={`${fieldId(field)}-error`} className="contact-error">
+        {error}
+      </p>
+    )}
+  </div>
+)
 
 /**
  * ContactForm component - User contact/feedback form
  * This is a React island that loads only on pages with #contact-root
+ *
+ * Fields validate on blur and again on submit with the rules in
+ * validation.ts (the server applies the same ones). A failed submit shows an
+ * error summary that takes focus and links to each field. Two quiet spam
+ * checks run before sending: a hidden honeypot field and a minimum time on
+ * the form. Delivery goes through the transport passed in by main.tsx.
  */
-const ContactForm: React.FC = () => {
+const ContactForm: React.FC<ContactFormProps> = ({ transport }) => {
+  const lang = getPageLanguage()
+  const t = getDictionary(lang).contact
+  const deliveryModes = getDictionary(lang).explorer.deliveryModes
+
+  const startedAt = useRef(Date.now())
+  const honeypot = useRef<HTMLInputElement>(null)
+  const summaryRef = useRef<HTMLDivElement>(null)
+  const [summaryFocus, setSummaryFocus] = useState(0)
+  const [serverErrors, setServerErrors] = useState<ContactErrors>({})
+  const [status, setStatus] = useState<SendStatus>('idle')
+  const [initialValues] = useState(readInitialValues)
+
+  const form = useForm({
+    defaultValues: initialValues,
+    onSubmit: async ({ value }) => {
+      const payload = {
+        ...value,
+        language: lang,
+        website: honeypot.current?.value ?? '',
+        elapsedMs: Date.now() - startedAt.current,
+      }
+
+      const spam = detectSpam(payload)
+      if (spam === 'honeypot') {
+        // Look successful so the bot moves on
+        setStatus('sent')
+        return
+      }
+      if (spam === 'tooFast') {
+        startedAt.current = Date.now()
+        setStatus('tooFast')
+        return
+      }
+
+      const result = await transport.send(payload)
+      if (result.ok) {
+        setStatus('sent')
+      } else if (result.reason === 'invalid') {
+        setServerErrors(result.errors)
+        setSummaryFocus((n) => n + 1)
+      } else {
+        setStatus(result.reason)
+      }
+    },
+    onSubmitInvalid: () => setSummaryFocus((n) => n + 1),
+  })
+
+  useEffect(() => {
+    if (summaryFocus > 0) summaryRef.current?.focus()
+  }, [summaryFocus])
+
+  const describe = (field: ContactField, code: ContactErrorCode): string => {
+    const limits: Record<string, number> = { ...(LIMITS[field as keyof typeof LIMITS] ?? {}) }
+    return format(t.errors[code], { field: t.fields[field], ...limits })
+  }
+
+  // Rules like programId depend on other fields, so validate against all current values
+  const validator =
+    (field: ContactField) =>
+    ({ value }: { value: string }) =>
+      validateContactField(field, { ...form.state.values, [field]: value }, programIds)
+
+  const validators = (field: ContactField) => ({
+    onBlur: validator(field),
+    onSubmit: validator(field),
+  })
+
+  /** A program's value for a correctable field, as the form shows it */
+  const describeValue = (field: CorrectableField, value: string | number | boolean | null) => {
+    if (value === null) return t.notListed
+    if (typeof value === 'boolean') return value ? t.yes : t.no
+    if (field === 'deliveryMode') return deliveryModes[value as keyof typeof deliveryModes]
+    return String(value)
+  }
+
+  const clearServerError = (field: ContactField) =>
+    setServerErrors((current) => {
+      if (!current[field]) return current
+      const { [field]: _removed, ...rest } = current
+      return rest
+    })
+
+  const restart = () => {
+    form.reset()
+    setServerErrors({})
+    setStatus('idle')
+    startedAt.current = Date.now()
+  }
+
+  if (status === 'sent') {
+    return (
+      <div className="contact-form" role="status">
+        <h2>{t.sentHeading}</h2>
+        <p>{t.sentText}</p>
+        <button type="button" className="contact-button" onClick={restart}>
+          {t.sendAnother}
+        </button>
+      </div>
+    )
+  }
+
   return (
     <div className="contact-form">
-      <h2>Contact Us</h2>
-      <p>Contact form coming soon...</p>
-      {/* TODO: Implement form with @tanstack/react-form */}
+      <h2>{t.heading}</h2>
+      <p>{t.intro}</p>
+
+      <form
+        noValidate
+        onSubmit={(e) => {
+          e.preventDefault()
+          setStatus('idle')
+          void form.handleSubmit()
+        }}
+      >
+        <form.Subscribe selector={(state) => [state.fieldMeta, state.submissionAttempts] as const}>
+          {([fieldMeta, attempts]) => {
+            const problems = CONTACT_FIELDS.flatMap((field) => {
+              const code =
+                (fieldMeta[field]?.errors?.[0] as ContactErrorCode | undefined) ??
+                serverErrors[field]
+              return code ? [{ field, message: describe(field, code) }] : []
+            })
+            if (attempts === 0 || problems.length === 0) return null
+
+            return (
+              <div
+                ref={summaryRef}
+                className="contact-summary"
+                role="alert"
+                tabIndex={-1}
+                aria-labelledby="contact-summary-heading"
+              >
+                <h3 id="contact-summary-heading">
+                  {problems.length === 1
+                    ? t.summaryHeadingOne
+                    : format(t.summaryHeading, { count: problems.length })}
+                </h3>
+                <ul>
+                  {problems.map(({ field, message }) => (
+                    <li key={field}>
+                      <a href={`#${fieldId(field)}`}>{message}</a>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )
+          }}
+        </form.Subscribe>
+
+        {(['name', 'email'] as const).map((name) => (
+          <form.Field key={name} name={name} validators={validators(name)}>
+            {(field) => {
+              const code =
+                (field.state.meta.errors[0] as ContactErrorCode | undefined) ?? serverErrors[name]
+              const error = code ? describe(name, code) : undefined
+              const hint = name === 'email' ? t.hints.email : undefined
+              return (
+                <FieldShell
+                  field={name}
+                  label={t.fields[name]}
+                  required
+                  hint={hint}
+                  error={error}
+                  t={t}
+                >
+                  <input
+                    id={fieldId(name)}
+                    name={name}
+                    type={name === 'email' ? 'email' : 'text'}
+                    autoComplete={name}
+                    value={field.state.value}
+                    aria-invalid={error ? true : undefined}
+                    aria-describedby={
+                      [hint && `${fieldId(name)}-hint`, error && `${fieldId(name)}-error`]
+                        .filter(Boolean)
+                        .join(' ') || undefined
+                    }
+                    onBlur={field.handleBlur}
+                    onChange={(e) => {
+                      clearServerError(name)
+                      field.handleChange(e.target.value)
+                    }}
+                  />
+                </FieldShell>
+              )
+            }}
+          </form.Field>
+        ))}
+
+        <form.Field name="role" validators={validators('role')}>
+          {(field) => {
+            const code =
+              (field.state.meta.errors[0] as ContactErrorCode | undefined) ?? serverErrors.role
+            const error = code ? describe('role', code) : undefined
+            return (
+              <FieldShell field="role" label={t.fields.role} required error={error} t={t}>
+                <select
+                  id={fieldId('role')}
+                  name="role"
+                  value={field.state.value}
+                  aria-invalid={error ? true : undefined}
+                  aria-describedby={error ? `${fieldId('role')}-error` : undefined}
+                  onBlur={field.handleBlur}
+                  onChange={(e) => {
+                    clearServerError('role')
+                    field.handleChange(e.target.value as ContactValues['role'])
+                  }}
+                >
+                  <option value="">{t.choose}</option>
+                  {CONTACT_ROLES.map((role) => (
+                    <option key={role} value={role}>
+                      {t.roles[role]}
+                    </option>
+                  ))}
+                </select>
+              </FieldShell>
+            )
+          }}
+        </form.Field>
+
+        <form.Field name="topic" validators={validators('topic')}>
+          {(field) => {
+            const code =
+              (field.state.meta.errors[0] as ContactErrorCode | undefined) ?? serverErrors.topic
+            const error = code ? describe('topic', code) : undefined
+            return (
+              <FieldShell field="topic" label={t.fields.topic} required error={error} t={t}>
+                <select
+                  id={fieldId('topic')}
+                  name="topic"
+                  value={field.state.value}
+                  aria-invalid={error ? true : undefined}
+                  aria-describedby={error ? `${fieldId('topic')}-error` : undefined}
+                  onBlur={field.handleBlur}
+                  onChange={(e) => {
+                    clearServerError('topic')
+                    field.handleChange(e.target.value as ContactValues['topic'])
+                  }}
+                >
+                  <option value="">{t.choose}</option>
+                  {CONTACT_TOPICS.map((topic) => (
+                    <option key={topic} value={topic}>
+                      {t.topics[topic]}
+                    </option>
+                  ))}
+                </select>
+              </FieldShell>
+            )
+          }}
+        </form.Field>
+
+        <form.Subscribe selector={(state) => state.values.topic}>
+          {(topic) => (
+            <form.Field
+              name="programId"
+              validators={{ ...validators('programId'), onChangeListenTo: ['topic'] }}
+            >
+              {(field) => {
+                const code =
+                  (field.state.meta.errors[0] as ContactErrorCode | undefined) ??
+                  serverErrors.programId
+                const error = code ? describe('programId', code) : undefined
+                return (
+                  <FieldShell
+                    field="programId"
+                    label={t.fields.programId}
+                    required={topic === 'program' || topic === 'correction'}
+                    hint={t.hints.programId}
+                    error={error}
+                    t={t}
+                  >
+                    <select
+                      id={fieldId('programId')}
+                      name="programId"
+                      value={field.state.value}
+                      aria-invalid={error ? true : undefined}
+                      aria-describedby={
+                        `${fieldId('programId')}-hint` +
+                        (error ? ` ${fieldId('programId')}-error` : '')
+                      }
+                      onBlur={field.handleBlur}
+                      onChange={(e) => {
+                        clearServerError('programId')
+                        field.handleChange(e.target.value)
+                      }}
+                    >
+                      <option value="">{t.noProgram}</option>
+                      {programs.map((program) => (
+                        <option key={program.id} value={program.id}>
+                          {localize(program, 'institution', lang)}:{' '}
+                          {localize(program, 'degree', lang)}
+                        </option>
+                      ))}
+                    </select>
+                  </FieldShell>
+                )
+              }}
+            </form.Field>
+          )}
+        </form.Subscribe>
+
+        {/* Correction fields stay mounted (hidden) so they revalidate when the topic changes */}
+        <form.Subscribe
+          selector={(state) =>
+            [state.values.topic, state.values.programId, state.values.correctionField] as const
+          }
+        >
+          {([topic, programId, correctionField]) => {
+            const program = programs.find((p) => p.id === programId)
+            const kind = correctionField ? CORRECTABLE_FIELDS[correctionField] : undefined
+            return (
+              <fieldset className="contact-correction" hidden={topic !== 'correction'}>
+                <legend>{t.topics.correction}</legend>
+
+                <form.Field
+                  name="correctionField"
+                  validators={{ ...validators('correctionField'), onChangeListenTo: ['topic'] }}
+                >
+                  {(field) => {
+                    const code =
+                      (field.state.meta.errors[0] as ContactErrorCode | undefined) ??
+                      serverErrors.correctionField
+                    const error = code ? describe('correctionField', code) : undefined
+                    const hint =
+                      program && correctionField
+                        ? format(t.hints.currentValue, {
+                            value: describeValue(correctionField, program[correctionField]),
+                          })
+                        : undefined
+                    return (
+                      <FieldShell
+                        field="correctionField"
+                        label={t.fields.correctionField}
+                        required
+                        hint={hint}
+                        error={error}
+                        t={t}
+                      >
+                        <select
+                          id={fieldId('correctionField')}
+                          name="correctionField"
+                          value={field.state.value}
+                          aria-invalid={error ? true : undefined}
+                          aria-describedby={
+                            [
+                              hint && `${fieldId('correctionField')}-hint`,
+                              error && `${fieldId('correctionField')}-error`,
+                            ]
+                              .filter(Boolean)
+                              .join(' ') || undefined
+                          }
+                          onBlur={field.handleBlur}
+                          onChange={(e) => {
+                            clearServerError('correctionField')
+                            field.handleChange(e.target.value as ContactValues['correctionField'])
+                            // The old value rarely fits the new field (e.g. "true" for a stipend)
+                            form.setFieldValue('proposedValue', '')
+                          }}
+                        >
+                          <option value="">{t.choose}</option>
+                          {correctableFields.map((name) => (
+                            <option key={name} value={name}>
+                              {t.correctionFields[name]}
+                            </option>
+                          ))}
+                        </select>
+                      </FieldShell>
+                    )
+                  }}
+                </form.Field>
+
+                <form.Field
+                  name="proposedValue"
+                  validators={{
+                    ...validators('proposedValue'),
+                    onChangeListenTo: ['topic', 'correctionField'],
+                  }}
+                >
+                  {(field) => {
+                    const code =
+                      (field.state.meta.errors[0] as ContactErrorCode | undefined) ??
+                      serverErrors.proposedValue
+                    const error = code ? describe('proposedValue', code) : undefined
+                    const hint =
+                      kind === 'number'
+                        ? t.hints.proposedNumber
+                        : kind === 'url'
+                          ? t.hints.proposedUrl
+                          : undefined
+                    const common = {
+                      id: fieldId('proposedValue'),
+                      name: 'proposedValue',
+                      value: field.state.value,
+                      'aria-invalid': error ? true : undefined,
+                      'aria-describedby':
+                        [
+                          hint && `${fieldId('proposedValue')}-hint`,
+                          error && `${fieldId('proposedValue')}-error`,
+                        ]
+                          .filter(Boolean)
+                          .join(' ') || undefined,
+                      onBlur: field.handleBlur,
+                      onChange: (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) => {
+                        clearServerError('proposedValue')
+                        field.handleChange(e.target.value)
+                      },
+                    }
+                    return (
+                      <FieldShell
+                        field="proposedValue"
+                        label={t.fields.proposedValue}
+                        required
+                        hint={hint}
+                        error={error}
+                        t={t}
+                      >
+                        {kind === 'boolean' ? (
+                          <select {...common}>
+                            <option value="">{t.choose}</option>
+                            <option value="true">{t.yes}</option>
+                            <option value="false">{t.no}</option>
+                          </select>
+                        ) : kind === 'deliveryMode' ? (
+                          <select {...common}>
+                            <option value="">{t.choose}</option>
+                            {DELIVERY_MODES.map((mode) => (
+                              <option key={mode} value={mode}>
+                                {deliveryModes[mode]}
+                              </option>
+                            ))}
+                          </select>
+                        ) : (
+                          <input
+                            {...common}
+                            type="text"
+                            inputMode={
+                              kind === 'number' ? 'decimal' : kind === 'url' ? 'url' : undefined
+                            }
+                            autoComplete="off"
+                          />
+                        )}
+                      </FieldShell>
+                    )
+                  }}
+                </form.Field>
+
+                <form.Field
+                  name="sourceUrl"
+                  validators={{ ...validators('sourceUrl'), onChangeListenTo: ['topic'] }}
+                >
+                  {(field) => {
+                    const code =
+                      (field.state.meta.errors[0] as ContactErrorCode | undefined) ??
+                      serverErrors.sourceUrl
+                    const error = code ? describe('sourceUrl', code) : undefined
+                    return (
+                      <FieldShell
+                        field="sourceUrl"
+                        label={t.fields.sourceUrl}
+                        required={false}
+                        hint={t.hints.sourceUrl}
+                        error={error}
+                        t={t}
+                      >
+                        <input
+                          id={fieldId('sourceUrl')}
+                          name="sourceUrl"
+                          type="url"
+                          inputMode="url"
+                          autoComplete="off"
+                          value={field.state.value}
+                          aria-invalid={error ? true : undefined}
+                          aria-describedby={
+                            `${fieldId('sourceUrl')}-hint` +
+                            (error ? ` ${fieldId('sourceUrl')}-error` : '')
+                          }
+                          onBlur={field.handleBlur}
+                          onChange={(e) => {
+                            clearServerError('sourceUrl')
+                            field.handleChange(e.target.value)
+                          }}
+                        />
+                      </FieldShell>
+                    )
+                  }}
+                </form.Field>
+              </fieldset>
+            )
+          }}
+        </form.Subscribe>
+
+        <form.Subscribe selector={(state) => state.values.topic}>
+          {(topic) => (
+            <form.Field name="message" validators={validators('message')}>
+              {(field) => {
+                const code =
+                  (field.state.meta.errors[0] as ContactErrorCode | undefined) ??
+                  serverErrors.message
+                const error = code ? describe('message', code) : undefined
+                const hint = format(
+                  topic === 'correction' ? t.hints.correctionMessage : t.hints.message,
+                  {
+                    count: field.state.value.trim().length,
+                    max: LIMITS.message.max,
+                  }
+                )
+                return (
+                  <FieldShell
+                    field="message"
+                    label={t.fields.message}
+                    required
+                    hint={hint}
+                    error={error}
+                    t={t}
+                  >
+                    <textarea
+                      id={fieldId('message')}
+                      name="message"
+                      rows={8}
+                      value={field.state.value}
+                      aria-invalid={error ? true : undefined}
+                      aria-describedby={
+                        `${fieldId('message')}-hint` + (error ? ` ${fieldId('message')}-error` : '')
+                      }
+                      onBlur={field.handleBlur}
+                      onChange={(e) => {
+                        clearServerError('message')
+                        field.handleChange(e.target.value)
+                      }}
+                    />
+                  </FieldShell>
+                )
+              }}
+            </form.Field>
+          )}
+        </form.Subscribe>
+
+        {/* Honeypot: off-screen and skipped by keyboard and screen readers */}
+        <div className="contact-hp" aria-hidden="true">
+          <label htmlFor="contact-website">{t.honeypot}</label>
+          <input
+            ref={honeypot}
+            id="contact-website"
+            name="website"
+            type="text"
+            tabIndex={-1}
+            autoComplete="off"
+            defaultValue=""
+          />
+        </div>
+
+        <div aria-live="polite">
+          {status !== 'idle' && (
+            <p className="contact-status contact-status--error" role="alert">
+              {t.status[status]}
+            </p>
+          )}
+        </div>
+
+        <form.Subscribe selector={(state) => state.isSubmitting}>
+          {(isSubmitting) => (
+            <button type="submit" className="contact-button" disabled={isSubmitting}>
+              {isSubmitting ? t.sending : t.submit}
+            </button>
+          )}
+        </form.Subscribe>
+
+        <p className="contact-privacy">{t.privacy}</p>
+      </form>
     </div>
   )
 }
@@ -1,6 +1,8 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
+import { programs } from '@/data/structured/programs'
 import ContactForm from './ContactForm'
+import { createFetchTransport, createMockTransport } from './transport'
 import './contact.css'
 
 const rootElement = document.getElementById('contact-root')
@@ -9,8 +11,16 @@ if (!rootElement) {
   throw new Error('Contact root element not found. Ensure #contact-root exists in the HTML.')
 }
 
+// data-endpoint="mock" keeps submissions in memory (local development and tests)
+const DEFAULT_ENDPOINT = '/api/contact'
+const endpoint = rootElement.dataset.endpoint ?? DEFAULT_ENDPOINT
+const transport =
+  endpoint === 'mock'
+    ? createMockTransport({ programIds: programs.map((p) => p.id) })
+    : createFetchTransport(endpoint)
+
 ReactDOM.createRoot(rootElement).render(
   <React.StrictMode>
-    <ContactForm />
+    <ContactForm transport={transport} />
   </React.StrictMode>,
 )
@@ -0,0 +1,90 @@
+/**
+ * Contact transports: how a validated submission leaves the browser
+ *
+ * The form only talks to a ContactTransport, so the delivery can change
+ * without touching it. createFetchTransport POSTs JSON to the contact
+ * endpoint; createMockTransport applies the server's rules in memory for
+ * local development and tests (data-endpoint="mock" in main.tsx).
+ *
+ * Endpoint contract:
+ *   201 { id }            stored (spam also gets this, with no storage)
+ *   422 { errors }        ContactErrors, same codes as validation.ts
+ *   429                   too many submissions from this address
+ *   anything else         unavailable; the reader is asked to retry
+ */
+
+import { detectSpam, validateContact, type ContactErrors, type ContactPayload } from './validation'
+
+export type ContactResult =
+  | { ok: true; id: string }
+  | { ok: false; reason: 'invalid'; errors: ContactErrors }
+  | { ok: false; reason: 'rateLimited' | 'unavailable' }
+
+export interface ContactTransport {
+  send(payload: ContactPayload): Promise<ContactResult>
+}
+
+export function createFetchTransport(
+  endpoint: string,
+  fetchImpl: typeof fetch = fetch
+): ContactTransport {
+  return {
+    async send(payload) {
+      try {
+        const response = await fetchImpl(endpoint, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload),
+        })
+
+        if (response.status === 429) return { ok: false, reason: 'rateLimited' }
+        if (response.status === 422) {
+          const body = (await response.json()) as { errors?: ContactErrors }
+          return { ok: false, reason: 'invalid', errors: body.errors ?? {} }
+        }
+        if (!response.ok) return { ok: false, reason: 'unavailable' }
+
+        const body = (await response.json()) as { id?: string }
+        return { ok: true, id: body.id ?? '' }
+      } catch {
+        return { ok: false, reason: 'unavailable' }
+      }
+    },
+  }
+}
+
+export interface MockTransportOptions {
+  /** Program IDs the mock accepts for programId */
+  programIds: readonly string[]
+  /** Simulated network latency */
+  delayMs?: number
+  /** Answer every send with this instead (e.g. to test error states) */
+  forceResult?: ContactResult
+}
+
+export interface MockTransport extends ContactTransport {
+  /** Submissions the mock accepted (spam is dropped, as on the server) */
+  readonly submissions: ContactPayload[]
+}
+
+export function createMockTransport({
+  programIds,
+  delayMs = 300,
+  forceResult,
+}: MockTransportOptions): MockTransport {
+  const submissions: ContactPayload[] = []
+
+  return {
+    submissions,
+    async send(payload) {
+      await new Promise((resolve) => setTimeout(resolve, delayMs))
+      if (forceResult) return forceResult
+
+      const errors = validateContact(payload, programIds)
+      if (Object.keys(errors).length > 0) return { ok: false, reason: 'invalid', errors }
+
+      if (!detectSpam(payload)) submissions.push(payload)
+      return { ok: true, id: `mock-${submissions.length}` }
+    },
+  }
+}
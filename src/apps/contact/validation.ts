@@ -0,0 +1,310 @@
+/**
+ * Contact form rules, shared by the ContactForm island and the server
+ *
+ * Pure functions with no React and no @/ imports, so a Node handler can load
+ * this file with tsx and apply exactly the rules the form shows. Validators
+ * return language-independent error codes; the island maps them to
+ * messages in src/i18n (contact.errors).
+ *
+ * The 'correction' topic asks for one program field and its new value.
+ * Proposed values are parsed and checked with the structured-data rules,
+ * so the corrections CLI (scripts/contact/corrections.js) only ever sees
+ * values that would pass validate-data.
+ */
+
+import { DELIVERY_MODES, checkProgramField, isExternalUrl } from '../../data/structured/validation'
+import type { Program } from '../../data/structured/types'
+
+export const CONTACT_ROLES = [
+  'prospectiveStudent',
+  'currentStudent',
+  'faculty',
+  'programDirector',
+  'other',
+] as const
+
+export const CONTACT_TOPICS = [
+  'general',
+  'program',
+  'suggestion',
+  'partnership',
+  'technical',
+  'correction',
+] as const
+
+/**
+ * Program fields readers can report corrections for, and how the form asks
+ * for each value (bilingual text fields are rewritten by hand, not here)
+ */
+export const CORRECTABLE_FIELDS = {
+  stipendApproxUSD: 'number',
+  yearsGuaranteed: 'number',
+  tuitionRemission: 'boolean',
+  additionalSummerFunding: 'boolean',
+  greRequired: 'boolean',
+  greSubjectTestRequired: 'boolean',
+  writingSampleRequired: 'boolean',
+  languageProficiencyRequired: 'boolean',
+  minGPA: 'number',
+  cohortSizeApprox: 'number',
+  acceptanceRateApprox: 'number',
+  acceptingApplications: 'boolean',
+  deliveryMode: 'deliveryMode',
+  officialWebsite: 'url',
+  applicationPortal: 'url',
+  handbookPDF: 'url',
+} as const satisfies Partial<Record<keyof Program, 'number' | 'boolean' | 'deliveryMode' | 'url'>>
+
+export type CorrectableField = keyof typeof CORRECTABLE_FIELDS
+
+type NumberField = {
+  [F in CorrectableField]: (typeof CORRECTABLE_FIELDS)[F] extends 'number' ? F : never
+}[CorrectableField]
+
+/** How a number field is typed (see parseNumber) */
+type NumberFormat = 'currency' | 'integer' | 'decimal'
+
+// Grouping separators only make sense in amounts and counts: "3.750" is a GPA of 3.75, not 3750
+export const NUMBER_FORMATS: Record<NumberField, NumberFormat> = {
+  stipendApproxUSD: 'currency',
+  yearsGuaranteed: 'integer',
+  minGPA: 'decimal',
+  cohortSizeApprox: 'integer',
+  acceptanceRateApprox: 'decimal',
+}
+export type CorrectionValue = string | number | boolean | null
+
+export type ContactRole = (typeof CONTACT_ROLES)[number]
+export type ContactTopic = (typeof CONTACT_TOPICS)[number]
+
+/** What the reader types (selects start empty) */
+export interface ContactValues {
+  name: string
+  email: string
+  role: ContactRole | ''
+  topic: ContactTopic | ''
+  message: string
+  /** Program the message is about (required for the 'program' and 'correction' topics) */
+  programId: string
+  /** Correction topic only: the field that is out of date */
+  correctionField: CorrectableField | ''
+  /** Correction topic only: the new value as typed (see parseCorrectionValue) */
+  proposedValue: string
+  /** Correction topic only: where the new value is published (optional) */
+  sourceUrl: string
+}
+
+export type ContactField = keyof ContactValues
+
+/** Body POSTed to the contact endpoint */
+export interface ContactPayload extends ContactValues {
+  language: 'en' | 'es'
+  /** Honeypot: hidden from people, so anything here came from a bot */
+  website: string
+  /** Time from the form appearing to submit (time trap) */
+  elapsedMs: number
+}
+
+export type ContactErrorCode =
+  | 'required'
+  | 'tooShort'
+  | 'tooLong'
+  | 'invalidEmail'
+  | 'invalidOption'
+  | 'unknownProgram'
+  | 'invalidValue'
+  | 'invalidUrl'
+
+export type ContactErrors = Partial<Record<ContactField, ContactErrorCode>>
+
+export type SpamReason = 'honeypot' | 'tooFast'
+
+export const EMPTY_CONTACT: ContactValues = {
+  name: '',
+  email: '',
+  role: '',
+  topic: '',
+  message: '',
+  programId: '',
+  correctionField: '',
+  proposedValue: '',
+  sourceUrl: '',
+}
+
+/** Field order, for the error summary and server responses */
+export const CONTACT_FIELDS: ContactField[] = [
+  'name',
+  'email',
+  'role',
+  'topic',
+  'programId',
+  'correctionField',
+  'proposedValue',
+  'sourceUrl',
+  'message',
+]
+
+export const LIMITS = {
+  name: { min: 2, max: 100 },
+  email: { max: 254 },
+  message: { min: 20, max: 5000 },
+  proposedValue: { max: 500 },
+} as const
+
+/** Nobody reads the form and writes a real message this fast */
+export const MIN_FILL_MS = 3000
+
+// Deliberately loose: one @, a dot in the domain, no spaces
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Words that clear a nullable field ("the program no longer publishes this")
+export const NONE_WORDS = ['none', 'null', 'n/a', 'ninguno', 'ninguna']
+export const TRUE_WORDS = ['true', 'yes', 'y', 'sí', 'si']
+export const FALSE_WORDS = ['false', 'no', 'n']
+
+export function isCorrectableField(field: string): field is CorrectableField {
+  return Object.prototype.hasOwnProperty.call(CORRECTABLE_FIELDS, field)
+}
+
+/**
+ * Accept "32,000", "32.000", "$32000" and "15%" as well as plain numbers
+ * Currency and integer fields read "," and "." before three digits as thousands
+ * separators; in decimal fields either is the decimal mark ("3.750", "3,75").
+ */
+function parseNumber(text: string, format: NumberFormat): number | undefined {
+  let digits = text.replace(/[\s$%]/g, '')
+  if (format !== 'decimal' && /^\d{1,3}([.,]\d{3})+$/.test(digits)) digits = digits.replace(/[.,]/g, '')
+  else digits = digits.replace(',', '.')
+  const pattern = format === 'integer' ? /^\d+$/ : /^\d+(\.\d+)?$/
+  if (!pattern.test(digits)) return undefined
+  return Number(digits)
+}
+
+/**
+ * Turn a proposed value as typed into the value programs.ts would hold
+ * Returns undefined when the text can't be read for that field or the value
+ * breaks the field's rule (range, nullability, URL format).
+ */
+export function parseCorrectionValue(
+  field: CorrectableField,
+  raw: string
+): CorrectionValue | undefined {
+  const text = raw.trim()
+  const lower = text.toLowerCase()
+  let value: CorrectionValue | undefined
+
+  if (NONE_WORDS.includes(lower)) {
+    value = null
+  } else {
+    switch (CORRECTABLE_FIELDS[field]) {
+      case 'number':
+        value = parseNumber(text, NUMBER_FORMATS[field as NumberField])
+        break
+      case 'boolean':
+        value = TRUE_WORDS.includes(lower) ? true : FALSE_WORDS.includes(lower) ? false : undefined
+        break
+      case 'deliveryMode':
+        value = DELIVERY_MODES.find((mode) => mode.toLowerCase() === lower)
+        break
+      case 'url':
+        value = text
+        break
+    }
+  }
+
+  if (value === undefined || checkProgramField(field, value) !== null) return undefined
+  return value
+}
+
+function checkLength(value: string, min: number, max: number): ContactErrorCode | undefined {
+  const length = value.trim().length
+  if (length === 0) return 'required'
+  if (length < min) return 'tooShort'
+  if (length > max) return 'tooLong'
+  return undefined
+}
+
+/**
+ * Validate one field (some rules depend on other fields, e.g. programId on topic)
+ * @param programIds - Known program IDs; programId must be one of them
+ */
+export function validateContactField(
+  field: ContactField,
+  values: ContactValues,
+  programIds: readonly string[]
+): ContactErrorCode | undefined {
+  switch (field) {
+    case 'name':
+      return checkLength(values.name, LIMITS.name.min, LIMITS.name.max)
+    case 'email': {
+      const email = values.email.trim()
+      if (!email) return 'required'
+      if (email.length > LIMITS.email.max) return 'tooLong'
+      return EMAIL_PATTERN.test(email) ? undefined : 'invalidEmail'
+    }
+    case 'role':
+      if (!values.role) return 'required'
+      return (CONTACT_ROLES as readonly string[]).includes(values.role)
+        ? undefined
+        : 'invalidOption'
+    case 'topic':
+      if (!values.topic) return 'required'
+      return (CONTACT_TOPICS as readonly string[]).includes(values.topic)
+        ? undefined
+        : 'invalidOption'
+    case 'programId':
+      if (!values.programId) {
+        return values.topic === 'program' || values.topic === 'correction' ? 'required' : undefined
+      }
+      return programIds.includes(values.programId) ? undefined : 'unknownProgram'
+    case 'correctionField':
+      if (values.topic !== 'correction') return undefined
+      if (!values.correctionField) return 'required'
+      return isCorrectableField(values.correctionField) ? undefined : 'invalidOption'
+    case 'proposedValue': {
+      if (values.topic !== 'correction') return undefined
+      const proposed = values.proposedValue.trim()
+      if (!proposed) return 'required'
+      if (proposed.length > LIMITS.proposedValue.max) return 'tooLong'
+      // Reported on correctionField itself
+      if (!isCorrectableField(values.correctionField)) return undefined
+      return parseCorrectionValue(values.correctionField, proposed) === undefined
+        ? 'invalidValue'
+        : undefined
+    }
+    case 'sourceUrl': {
+      const url = values.sourceUrl.trim()
+      if (values.topic !== 'correction' || !url) return undefined
+      return isExternalUrl(url) ? undefined : 'invalidUrl'
+    }
+    case 'message':
+      return checkLength(values.message, LIMITS.message.min, LIMITS.message.max)
+  }
+}
+
+/**
+ * Validate every field; an empty object means the values can be sent
+ */
+export function validateContact(
+  values: ContactValues,
+  programIds: readonly string[]
+): ContactErrors {
+  const errors: ContactErrors = {}
+  for (const field of CONTACT_FIELDS) {
+    const error = validateContactField(field, values, programIds)
+    if (error) errors[field] = error
+  }
+  return errors
+}
+
+/**
+ * Honeypot and time-trap checks
+ * Spam gets a normal-looking success response so bots don't learn to adapt.
+ */
+export function detectSpam(
+  payload: Pick<ContactPayload, 'website' | 'elapsedMs'>
+): SpamReason | null {
+  if (payload.website.trim() !== '') return 'honeypot'
+  if (!Number.isFinite(payload.elapsedMs) || payload.elapsedMs < MIN_FILL_MS) return 'tooFast'
+  return null
+}
@@ -0,0 +1,99 @@
+import React from 'react'
+import { getFacultyProfilePath } from '@/data/structured/faculty'
+import type { FacultyMember, Program } from '@/data/structured/types'
+import { format, localize, type Dictionary, type LanguageCode } from '@/i18n'
+import { getFreshness } from './advisors'
+import { formatDate } from './format'
+
+interface AdvisorCardProps {
+  member: FacultyMember
+  /** The member's program (undefined only if the dataset is inconsistent) */
+  program: Program | undefined
+  lang: LanguageCode
+  t: Dictionary['explorer']
+}
+
+/**
+ * AdvisorCard - One faculty member in the advisor finder
+ */
+const AdvisorCard: React.FC<AdvisorCardProps> = ({ member, program, lang, t }) => {
+  const freshness = getFreshness(member.lastVerified)
+  const notableWork = localize(member, 'notableWork', lang)
+
+  return (
+    <article className="explorer-card" aria-labelledby={`advisor-${member.id}`}>
+      <h3 id={`advisor-${member.id}`} className="explorer-card-title">
+        <a href={getFacultyProfilePath(member, lang)}>{member.name}</a>
+      </h3>
+      <p className="explorer-card-degree">
+        {localize(member, 'title', lang)}, {localize(member, 'department', lang)}
+      </p>
+
+      <dl className="explorer-card-facts">
+        {program && (
+          <div>
+            <dt>{t.advisors.program}</dt>
+            <dd>
+              <a href={localize(program, 'url', lang)}>
+                {localize(program, 'degree', lang)}, {localize(program, 'institution', lang)}
+              </a>
+            </dd>
+          </div>
+        )}
+        <div>
+          <dt>{t.advisors.researchAreas}</dt>
+          <dd>{localize(member, 'researchAreas', lang).join(', ')}</dd>
+        </div>
+        <div>
+          <dt>{t.advisors.methods}</dt>
+          <dd>
+            {member.methodologicalStrengths.map((m) => t.advisors.methodsCultures[m]).join(', ')}
+          </dd>
+        </div>
+        {notableWork.length > 0 && (
+          <div>
+            <dt>{t.advisors.notableWork}</dt>
+            <dd>
+              <ul>
+                {notableWork.map((work) => (
+                  <li key={work}>{work}</li>
+                ))}
+              </ul>
+            </dd>
+          </div>
+        )}
+      </dl>
+
+      <ul className="explorer-card-badges">
+        <li
+          className={member.acceptingAdvisees ? 'explorer-badge--positive' : 'explorer-badge--muted'}
+        >
+          {member.acceptingAdvisees ? t.advisors.accepting : t.advisors.notAccepting}
+        </li>
+        <li className={`explorer-badge--${freshness}`}>{t.advisors.freshness[freshness]}</li>
+      </ul>
+
+      <p>{localize(member, 'advisingNotes', lang)}</p>
+
+      <p className="explorer-card-links">
+        {member.websiteURL && (
+          <a href={member.websiteURL} rel="noopener noreferrer" target="_blank">
+            {t.advisors.website}
+          </a>
+        )}
+        {member.scholarURL && (
+          <a href={member.scholarURL} rel="noopener noreferrer" target="_blank">
+            {t.advisors.scholar}
+          </a>
+        )}
+        {member.email && <a href={`mailto:${member.email}`}>{member.email}</a>}
+      </p>
+
+      <p className="explorer-card-updated">
+        {format(t.advisors.verified, { date: formatDate(member.lastVerified, lang) })}
+      </p>
+    </article>
+  )
+}
+
+export default AdvisorCard
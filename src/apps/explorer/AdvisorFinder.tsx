@@ -0,0 +1,137 @@
+import React, { useMemo } from 'react'
+import { faculty } from '@/data/structured/faculty'
+import type { Program } from '@/data/structured/types'
+import { METHODS_CULTURES } from '@/data/structured/validation'
+import { format, type Dictionary, type LanguageCode } from '@/i18n'
+import AdvisorCard from './AdvisorCard'
+import {
+  DEFAULT_ADVISOR_FILTERS,
+  findAdvisors,
+  getAdvisorInstitutions,
+  type AdvisorFilters,
+} from './advisors'
+
+interface AdvisorFinderProps {
+  programs: Program[]
+  filters: AdvisorFilters
+  lang: LanguageCode
+  t: Dictionary['explorer']
+  onChange: (filters: AdvisorFilters) => void
+}
+
+/**
+ * AdvisorFinder - "Find an advisor" view of the Explorer
+ * Independent of the program filters; its own filters live in the URL too.
+ */
+const AdvisorFinder: React.FC<AdvisorFinderProps> = ({ programs, filters, lang, t, onChange }) => {
+  const institutions = useMemo(() => getAdvisorInstitutions(programs, lang), [programs, lang])
+  const results = useMemo(() => findAdvisors(filters, programs, lang), [filters, programs, lang])
+  const programsById = useMemo(() => new Map(programs.map((p) => [p.id, p])), [programs])
+
+  const update = <K extends keyof AdvisorFilters>(key: K, value: AdvisorFilters[K]) =>
+    onChange({ ...filters, [key]: value })
+
+  return (
+    <div className="explorer-layout">
+      <form
+        className="explorer-filters"
+        aria-labelledby="advisor-filters-heading"
+        role="search"
+        onSubmit={(e) => e.preventDefault()}
+      >
+        <h2 id="advisor-filters-heading" className="explorer-filters-heading">
+          {t.advisors.filtersHeading}
+        </h2>
+
+        <div className="explorer-field">
+          <label htmlFor="advisor-area">{t.advisors.area}</label>
+          <input
+            id="advisor-area"
+            type="search"
+            value={filters.area}
+            aria-describedby="advisor-area-hint"
+            onChange={(e) => update('area', e.target.value)}
+          />
+          <small id="advisor-area-hint">{t.advisors.areaHint}</small>
+        </div>
+
+        <div className="explorer-field">
+          <label htmlFor="advisor-method">{t.advisors.methodology}</label>
+          <select
+            id="advisor-method"
+            value={filters.method}
+            onChange={(e) => update('method', e.target.value as AdvisorFilters['method'])}
+          >
+            <option value="">{t.any}</option>
+            {METHODS_CULTURES.map((method) => (
+              <option key={method} value={method}>
+                {t.advisors.methodsCultures[method]}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="explorer-field">
+          <label htmlFor="advisor-institution">{t.advisors.institution}</label>
+          <select
+            id="advisor-institution"
+            value={filters.institution}
+            onChange={(e) => update('institution', e.target.value)}
+          >
+            <option value="">{t.any}</option>
+            {institutions.map((institution) => (
+              <option key={institution.value} value={institution.value}>
+                {institution.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="explorer-field explorer-field--checkbox">
+          <input
+            id="advisor-accepting"
+            type="checkbox"
+            checked={filters.acceptingOnly}
+            onChange={(e) => update('acceptingOnly', e.target.checked)}
+          />
+          <label htmlFor="advisor-accepting">{t.advisors.acceptingOnly}</label>
+        </div>
+
+        <button
+          type="button"
+          className="explorer-button"
+          onClick={() => onChange(DEFAULT_ADVISOR_FILTERS)}
+        >
+          {t.advisors.reset}
+        </button>
+      </form>
+
+      <section className="explorer-results" aria-labelledby="advisor-result-count">
+        <h2 className="explorer-advisors-heading">{t.advisors.heading}</h2>
+        <p className="explorer-intro">{t.advisors.intro}</p>
+        <p id="advisor-result-count" className="explorer-result-count" aria-live="polite">
+          {format(t.advisors.resultCount, { shown: results.length, total: faculty.length })}
+        </p>
+
+        {results.length === 0 ? (
+          <p className="explorer-empty">{t.advisors.noResults}</p>
+        ) : (
+          <ul className="explorer-result-list">
+            {results.map((member) => (
+              <li key={member.id}>
+                <AdvisorCard
+                  member={member}
+                  program={programsById.get(member.programId)}
+                  lang={lang}
+                  t={t}
+                />
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default AdvisorFinder
@@ -0,0 +1,78 @@
+import React from 'react'
+import type { Program } from '@/data/structured/types'
+import { format, type Dictionary, type LanguageCode } from '@/i18n'
+import ComparisonTable from './ComparisonTable'
+import { COMPARE_MAX, COMPARE_MIN } from './compare'
+import { useProgramNotes } from './useProgramNotes'
+
+interface CompareViewProps {
+  programs: Program[]
+  lang: LanguageCode
+  t: Dictionary['explorer']
+  onRemove: (id: string) => void
+  onClear: () => void
+  onBackToList: () => void
+}
+
+/**
+ * CompareView - Side-by-side table for the selected programs
+ * Compares the selection as picked, regardless of the current filters.
+ */
+const CompareView: React.FC<CompareViewProps> = ({
+  programs,
+  lang,
+  t,
+  onRemove,
+  onClear,
+  onBackToList,
+}) => {
+  const canCompare = programs.length >= COMPARE_MIN
+  const notes = useProgramNotes(lang, canCompare)
+
+  return (
+    <section className="explorer-compare" aria-labelledby="explorer-compare-heading">
+      <h2 id="explorer-compare-heading">{t.compare.heading}</h2>
+
+      {!canCompare ? (
+        <>
+          <p>{format(t.compare.instructions, { min: COMPARE_MIN, max: COMPARE_MAX })}</p>
+          <p className="explorer-compare-status" aria-live="polite">
+            {format(t.compare.selectedCount, { count: programs.length, max: COMPARE_MAX })}.{' '}
+            {format(t.compare.needMore, { min: COMPARE_MIN })}
+          </p>
+          <button type="button" className="explorer-button" onClick={onBackToList}>
+            {t.compare.backToList}
+          </button>
+        </>
+      ) : (
+        <>
+          <div className="explorer-compare-actions">
+            <button type="button" className="explorer-button" onClick={() => window.print()}>
+              {t.compare.print}
+            </button>
+            <button type="button" className="explorer-button" onClick={onClear}>
+              {t.compare.clear}
+            </button>
+            <button type="button" className="explorer-button" onClick={onBackToList}>
+              {t.compare.backToList}
+            </button>
+          </div>
+
+          <ComparisonTable
+            programs={programs}
+            notes={notes}
+            lang={lang}
+            t={t}
+            onRemove={onRemove}
+          />
+
+          <p className="explorer-compare-legend">{t.compare.bestLegend}</p>
+        </>
+      )}
+
+      <p className="explorer-disclaimer">{t.fundingDisclaimer}</p>
+    </section>
+  )
+}
+
+export default CompareView
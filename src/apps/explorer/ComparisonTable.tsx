@@ -0,0 +1,142 @@
+import React from 'react'
+import type { Program } from '@/data/structured/types'
+import { format, getLocale, localize, type Dictionary, type LanguageCode } from '@/i18n'
+import {
+  COMPARE_ROWS,
+  PROGRAM_NOTE_SECTIONS,
+  getBestIndexes,
+  type CompareRowKey,
+} from './compare'
+import { formatPercent, formatUSD } from './format'
+import type { ProgramNotesState } from './useProgramNotes'
+
+interface ComparisonTableProps {
+  programs: Program[]
+  notes: ProgramNotesState
+  lang: LanguageCode
+  t: Dictionary['explorer']
+  onRemove: (id: string) => void
+}
+
+/**
+ * ComparisonTable - Programs as columns, one attribute per row
+ * "Best" is marked with text as well as styling so it survives print and
+ * doesn't rely on color alone.
+ */
+const ComparisonTable: React.FC<ComparisonTableProps> = ({
+  programs,
+  notes,
+  lang,
+  t,
+  onRemove,
+}) => {
+  const formatValue = (key: CompareRowKey, value: number | boolean | null): string => {
+    if (value === null) return t.card.notReported
+    if (typeof value === 'boolean') return value ? t.compare.yes : t.compare.no
+
+    switch (key) {
+      case 'stipend':
+        return formatUSD(value, lang)
+      case 'years':
+        return format(t.card.years, { years: value })
+      case 'acceptanceRate':
+        return formatPercent(value, lang)
+      default:
+        return new Intl.NumberFormat(getLocale(lang)).format(value)
+    }
+  }
+
+  return (
+    <div
+      className="explorer-compare-table-wrapper"
+      role="region"
+      aria-label={t.compare.tableRegion}
+      tabIndex={0}
+    >
+      <table className="explorer-compare-table">
+        <caption>{format(t.compare.caption, { count: programs.length })}</caption>
+        <thead>
+          <tr>
+            <td className="explorer-compare-corner">{t.compare.program}</td>
+            {programs.map((program) => (
+              <th key={program.id} scope="col">
+                <a href={localize(program, 'url', lang)}>{localize(program, 'institution', lang)}</a>
+                <span className="explorer-compare-degree">{localize(program, 'degree', lang)}</span>
+                <button
+                  type="button"
+                  className="explorer-button explorer-button--small explorer-compare-remove"
+                  onClick={() => onRemove(program.id)}
+                  aria-label={format(t.compare.remove, {
+                    name: localize(program, 'institution', lang),
+                  })}
+                >
+                  ×
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+
+        <tbody>
+          {COMPARE_ROWS.map((row) => {
+            const values = programs.map(row.value)
+            const best = new Set(getBestIndexes(values, row.best))
+
+            return (
+              <tr key={row.key}>
+                <th scope="row">{t.compare.rows[row.key]}</th>
+                {values.map((value, i) => (
+                  <td
+                    key={programs[i].id}
+                    className={best.has(i) ? 'explorer-compare-best' : undefined}
+                  >
+                    {formatValue(row.key, value)}
+                    {best.has(i) && (
+                      <span className="explorer-compare-best-label">{t.compare.best}</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            )
+          })}
+
+          <tr>
+            <th scope="row">{t.compare.rows.methodsCulture}</th>
+            {programs.map((program) => (
+              <td key={program.id}>{localize(program, 'methodsCulture', lang)}</td>
+            ))}
+          </tr>
+        </tbody>
+
+        <tbody className="explorer-compare-notes">
+          <tr>
+            <th scope="colgroup" colSpan={programs.length + 1}>
+              {t.compare.notesHeading}
+            </th>
+          </tr>
+
+          {notes.status !== 'ready' ? (
+            <tr>
+              <td colSpan={programs.length + 1} aria-live="polite">
+                {notes.status === 'loading' ? t.compare.notesLoading : t.compare.notesError}
+              </td>
+            </tr>
+          ) : (
+            PROGRAM_NOTE_SECTIONS.map((section) => (
+              <tr key={section}>
+                <th scope="row">{t.compare.notes[section]}</th>
+                {programs.map((program) => (
+                  <td key={program.id}>
+                    {notes.notes[program.id]?.[section] || t.card.notReported}
+                  </td>
+                ))}
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default ComparisonTable
@@ -1,15 +1,133 @@
-import React from 'react'
+import React, { Suspense, lazy, useMemo } from 'react'
+import { programs } from '@/data/structured/programs'
+import type { Program } from '@/data/structured/types'
+import { format, getDictionary, getPageLanguage } from '@/i18n'
+import AdvisorFinder from './AdvisorFinder'
+import CompareView from './CompareView'
+import FilterPanel from './FilterPanel'
+import MatchView from './MatchView'
+import ResultList from './ResultList'
+import { parseAdvisorFilters, writeAdvisorFilters } from './advisors'
+import { parseCompareIds, writeCompareIds } from './compare'
+import { applyFilters, getFilterOptions, parseFilters, writeFilters } from './filters'
+import { useQueryParams } from './useQueryParams'
+import ViewErrorBoundary from './ViewErrorBoundary'
+import { EXPLORER_VIEWS, parseView, writeView, type ExplorerView } from './views'
+
+// The map (geometry + clustering) is only fetched when the Map tab is opened
+const MapView = lazy(() => import('./map/MapView'))
+
+const programIds = programs.map((p) => p.id)
 
 /**
  * Explorer component - Interactive program browser with filters and map
  * This is a React island that loads only on pages with #explorer-root
+ *
+ * Renders in the language of the host page (/explorer or /es/explorador)
+ * and keeps filter state, the active view and the compare selection in the
+ * query string so views can be shared. The list and map views show the same
+ * filtered results; the advisor finder and Match have their own inputs.
  */
 const Explorer: React.FC = () => {
+  const lang = getPageLanguage()
+  const t = getDictionary(lang).explorer
+
+  const [params, updateParams] = useQueryParams()
+  const search = params.toString()
+  const filters = useMemo(() => parseFilters(search), [search])
+  const view = parseView(params)
+  const advisorFilters = useMemo(() => parseAdvisorFilters(search), [search])
+  const compareIds = useMemo(
+    () => parseCompareIds(new URLSearchParams(search), programIds),
+    [search]
+  )
+
+  const options = useMemo(
+    () => getFilterOptions(programs, lang, filters.country),
+    [lang, filters.country]
+  )
+  const results = useMemo(() => applyFilters(programs, filters, lang), [filters, lang])
+  const comparePrograms = compareIds
+    .map((id) => programs.find((p) => p.id === id))
+    .filter((p): p is Program => p !== undefined)
+
+  const setView = (next: ExplorerView) => updateParams((current) => writeView(next, current))
+  const setCompareIds = (ids: string[]) =>
+    updateParams((current) => writeCompareIds(ids, current))
+
   return (
     <div className="explorer">
-      <h2>Program Explorer</h2>
-      <p>Interactive program browser coming soon...</p>
-      {/* TODO: Implement filters, map, program cards */}
+      <h2>{t.title}</h2>
+      <p className="explorer-intro">{t.intro}</p>
+
+      <div className="explorer-view-switch" role="group" aria-label={t.views.label}>
+        {EXPLORER_VIEWS.map((v) => (
+          <button
+            key={v}
+            type="button"
+            className="explorer-button"
+            aria-pressed={view === v}
+            onClick={() => setView(v)}
+          >
+            {v === 'compare' ? format(t.views.compare, { count: compareIds.length }) : t.views[v]}
+          </button>
+        ))}
+      </div>
+
+      {view === 'compare' ? (
+        <CompareView
+          programs={comparePrograms}
+          lang={lang}
+          t={t}
+          onRemove={(id) => setCompareIds(compareIds.filter((selected) => selected !== id))}
+          onClear={() => setCompareIds([])}
+          onBackToList={() => setView('list')}
+        />
+      ) : view === 'advisors' ? (
+        <AdvisorFinder
+          programs={programs}
+          filters={advisorFilters}
+          lang={lang}
+          t={t}
+          onChange={(next) => updateParams((current) => writeAdvisorFilters(next, current))}
+        />
+      ) : view === 'match' ? (
+        <MatchView programs={programs} lang={lang} t={t} />
+      ) : (
+        <div className="explorer-layout">
+          <FilterPanel
+            filters={filters}
+            options={options}
+            t={t}
+            onChange={(next) => updateParams((current) => writeFilters(next, current))}
+          />
+
+          <section className="explorer-results" aria-labelledby="explorer-result-count">
+            <p id="explorer-result-count" className="explorer-result-count" aria-live="polite">
+              {format(t.resultCount, { shown: results.length, total: programs.length })}
+            </p>
+
+            {view === 'map' ? (
+              <ViewErrorBoundary fallback={<p>{t.map.loadError}</p>}>
+                <Suspense fallback={<p aria-live="polite">{t.map.loading}</p>}>
+                  <MapView programs={results} lang={lang} t={t} />
+                </Suspense>
+              </ViewErrorBoundary>
+            ) : (
+              <ResultList
+                programs={results}
+                compareIds={compareIds}
+                lang={lang}
+                t={t}
+                onCompareIdsChange={setCompareIds}
+                onOpenCompare={() => setView('compare')}
+              />
+            )}
+
+            <p className="explorer-disclaimer">{t.fundingDisclaimer}</p>
+          </section>
+        </div>
+      )}
     </div>
   )
 }
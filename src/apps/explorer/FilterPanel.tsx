@@ -0,0 +1,220 @@
+import React from 'react'
+import type { Dictionary } from '@/i18n'
+import {
+  DEFAULT_FILTERS,
+  SORT_KEYS,
+  type ExplorerFilters,
+  type FilterOptions,
+  type GreFilter,
+  type SortKey,
+} from './filters'
+
+interface FilterPanelProps {
+  filters: ExplorerFilters
+  options: FilterOptions
+  t: Dictionary['explorer']
+  onChange: (filters: ExplorerFilters) => void
+}
+
+const toNumberOrNull = (value: string): number | null => {
+  if (value.trim() === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) && n >= 0 ? n : null
+}
+
+/**
+ * FilterPanel - Explorer filter controls
+ * Native form controls only (keyboard and screen reader friendly by default)
+ */
+const FilterPanel: React.FC<FilterPanelProps> = ({ filters, options, t, onChange }) => {
+  const update = <K extends keyof ExplorerFilters>(key: K, value: ExplorerFilters[K]) => {
+    const next = { ...filters, [key]: value }
+    // A state from another country would silently hide every result
+    if (key === 'country') {
+      next.state = ''
+    }
+    onChange(next)
+  }
+
+  return (
+    <form
+      className="explorer-filters"
+      aria-labelledby="explorer-filters-heading"
+      onSubmit={(e) => e.preventDefault()}
+    >
+      <h2 id="explorer-filters-heading" className="explorer-filters-heading">
+        {t.filtersHeading}
+      </h2>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-degree">{t.degree}</label>
+        <select
+          id="explorer-degree"
+          value={filters.degree}
+          onChange={(e) => update('degree', e.target.value as ExplorerFilters['degree'])}
+        >
+          <option value="">{t.any}</option>
+          {options.degrees.map((degree) => (
+            <option key={degree} value={degree}>
+              {t.degreeTypes[degree]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-focus">{t.focusArea}</label>
+        <select
+          id="explorer-focus"
+          value={filters.focus}
+          onChange={(e) => update('focus', e.target.value)}
+        >
+          <option value="">{t.any}</option>
+          {options.focusAreas.map((area) => (
+            <option key={area.value} value={area.value}>
+              {area.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-mode">{t.deliveryMode}</label>
+        <select
+          id="explorer-mode"
+          value={filters.mode}
+          onChange={(e) => update('mode', e.target.value as ExplorerFilters['mode'])}
+        >
+          <option value="">{t.any}</option>
+          {options.modes.map((mode) => (
+            <option key={mode} value={mode}>
+              {t.deliveryModes[mode]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-gre">{t.gre}</label>
+        <select
+          id="explorer-gre"
+          value={filters.gre}
+          onChange={(e) => update('gre', e.target.value as GreFilter)}
+        >
+          {(Object.keys(t.greOptions) as GreFilter[]).map((value) => (
+            <option key={value} value={value}>
+              {t.greOptions[value]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-stipend-min">{t.stipendMin}</label>
+        <input
+          id="explorer-stipend-min"
+          type="number"
+          inputMode="numeric"
+          min={0}
+          step={1000}
+          value={filters.stipendMin ?? ''}
+          onChange={(e) => update('stipendMin', toNumberOrNull(e.target.value))}
+        />
+      </div>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-stipend-max">{t.stipendMax}</label>
+        <input
+          id="explorer-stipend-max"
+          type="number"
+          inputMode="numeric"
+          min={0}
+          step={1000}
+          value={filters.stipendMax ?? ''}
+          onChange={(e) => update('stipendMax', toNumberOrNull(e.target.value))}
+        />
+      </div>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-years">{t.yearsMin}</label>
+        <input
+          id="explorer-years"
+          type="number"
+          inputMode="numeric"
+          min={0}
+          max={10}
+          value={filters.yearsMin ?? ''}
+          onChange={(e) => update('yearsMin', toNumberOrNull(e.target.value))}
+        />
+      </div>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-country">{t.country}</label>
+        <select
+          id="explorer-country"
+          value={filters.country}
+          onChange={(e) => update('country', e.target.value)}
+        >
+          <option value="">{t.any}</option>
+          {options.countries.map((country) => (
+            <option key={country} value={country}>
+              {country}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-state">{t.state}</label>
+        <select
+          id="explorer-state"
+          value={filters.state}
+          disabled={options.states.length === 0}
+          onChange={(e) => update('state', e.target.value)}
+        >
+          <option value="">{t.any}</option>
+          {options.states.map((state) => (
+            <option key={state} value={state}>
+              {state}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="explorer-field explorer-field--checkbox">
+        <input
+          id="explorer-accepting"
+          type="checkbox"
+          checked={filters.acceptingOnly}
+          onChange={(e) => update('acceptingOnly', e.target.checked)}
+        />
+        <label htmlFor="explorer-accepting">{t.acceptingOnly}</label>
+      </div>
+
+      <div className="explorer-field">
+        <label htmlFor="explorer-sort">{t.sortBy}</label>
+        <select
+          id="explorer-sort"
+          value={filters.sort}
+          onChange={(e) => update('sort', e.target.value as SortKey)}
+        >
+          {SORT_KEYS.map((key) => (
+            <option key={key} value={key}>
+              {t.sortOptions[key]}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <button
+        type="button"
+        className="explorer-button"
+        onClick={() => onChange({ ...DEFAULT_FILTERS, sort: filters.sort })}
+      >
+        {t.resetFilters}
+      </button>
+    </form>
+  )
+}
+
+export default FilterPanel
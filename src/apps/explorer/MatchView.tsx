@@ -0,0 +1,339 @@
+import React, { useMemo, useState } from 'react'
+import { faculty, getFacultyProfilePath } from '@/data/structured/faculty'
+import type { Program } from '@/data/structured/types'
+import { METHODS_CULTURES } from '@/data/structured/validation'
+import { format, localize, type Dictionary, type LanguageCode } from '@/i18n'
+import { getFilterOptions } from './filters'
+import { formatUSD } from './format'
+import {
+  EMPTY_PROFILE,
+  FACULTY_WEIGHTS,
+  PROGRAM_WEIGHTS,
+  hasAnswers,
+  rankMatches,
+  type MatchProfile,
+  type MatchReason,
+} from './match'
+
+interface MatchViewProps {
+  programs: Program[]
+  lang: LanguageCode
+  t: Dictionary['explorer']
+}
+
+const toNumberOrNull = (value: string): number | null => {
+  if (value.trim() === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) && n > 0 ? n : null
+}
+
+/**
+ * MatchView - Questionnaire that ranks programs and faculty for a student
+ *
+ * Answers stay in component state (not the URL): they describe the student,
+ * so they shouldn't end up in shared links or server logs.
+ */
+const MatchView: React.FC<MatchViewProps> = ({ programs, lang, t }) => {
+  const [profile, setProfile] = useState<MatchProfile>(EMPTY_PROFILE)
+  const options = useMemo(
+    () => getFilterOptions(programs, lang, profile.country),
+    [programs, lang, profile.country]
+  )
+  const ranked = useMemo(
+    () => rankMatches(programs, faculty, profile, lang),
+    [programs, profile, lang]
+  )
+  const programsById = useMemo(() => new Map(programs.map((p) => [p.id, p])), [programs])
+  const answered = hasAnswers(profile)
+
+  const update = <K extends keyof MatchProfile>(key: K, value: MatchProfile[K]) =>
+    setProfile((current) => ({
+      ...current,
+      [key]: value,
+      // A state from another country would never match
+      ...(key === 'country' ? { state: '' } : {}),
+    }))
+
+  const toggleInterest = (area: string) =>
+    update(
+      'interests',
+      profile.interests.includes(area)
+        ? profile.interests.filter((a) => a !== area)
+        : [...profile.interests, area]
+    )
+
+  const describe = (reason: MatchReason<string>): string => {
+    const values = { ...reason.values }
+    if (typeof values.stipend === 'number') values.stipend = formatUSD(values.stipend, lang)
+    if (reason.key.startsWith('stipend') && typeof values.min === 'number') {
+      values.min = formatUSD(values.min, lang)
+    }
+    if (typeof values.method === 'string') {
+      values.method =
+        t.advisors.methodsCultures[values.method as keyof typeof t.advisors.methodsCultures]
+    }
+    if (typeof values.mode === 'string') {
+      values.mode = t.deliveryModes[values.mode as keyof typeof t.deliveryModes]
+    }
+    return format(t.match.reasons[reason.key], values)
+  }
+
+  const renderReasons = (reasons: MatchReason<string>[]) => (
+    <ul className="explorer-match-reasons">
+      {reasons.map((reason) => (
+        <li key={reason.criterion}>
+          <strong>{t.match.criteria[reason.criterion as keyof typeof t.match.criteria]}</strong>
+          {' ('}
+          {format(t.match.points, { points: reason.points, max: reason.max })}
+          {'): '}
+          {describe(reason)}
+        </li>
+      ))}
+    </ul>
+  )
+
+  return (
+    <div className="explorer-layout">
+      <form
+        className="explorer-filters"
+        aria-labelledby="match-questions-heading"
+        onSubmit={(e) => e.preventDefault()}
+      >
+        <h2 id="match-questions-heading" className="explorer-filters-heading">
+          {t.match.questionsHeading}
+        </h2>
+
+        <fieldset className="explorer-fieldset">
+          <legend>{t.match.interests}</legend>
+          {options.focusAreas.map((area, i) => (
+            <div key={area.value} className="explorer-field explorer-field--checkbox">
+              <input
+                id={`match-interest-${i}`}
+                type="checkbox"
+                checked={profile.interests.includes(area.value)}
+                onChange={() => toggleInterest(area.value)}
+              />
+              <label htmlFor={`match-interest-${i}`}>{area.label}</label>
+            </div>
+          ))}
+        </fieldset>
+
+        <div className="explorer-field">
+          <label htmlFor="match-keywords">{t.match.keywords}</label>
+          <input
+            id="match-keywords"
+            type="text"
+            value={profile.keywords}
+            aria-describedby="match-keywords-hint"
+            onChange={(e) => update('keywords', e.target.value)}
+          />
+          <small id="match-keywords-hint">{t.match.keywordsHint}</small>
+        </div>
+
+        <div className="explorer-field">
+          <label htmlFor="match-method">{t.match.methodology}</label>
+          <select
+            id="match-method"
+            value={profile.method}
+            onChange={(e) => update('method', e.target.value as MatchProfile['method'])}
+          >
+            <option value="">{t.match.noPreference}</option>
+            {METHODS_CULTURES.map((method) => (
+              <option key={method} value={method}>
+                {t.advisors.methodsCultures[method]}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="explorer-field">
+          <label htmlFor="match-stipend">{t.match.minStipend}</label>
+          <input
+            id="match-stipend"
+            type="number"
+            inputMode="numeric"
+            min={0}
+            step={1000}
+            value={profile.minStipend ?? ''}
+            onChange={(e) => update('minStipend', toNumberOrNull(e.target.value))}
+          />
+        </div>
+
+        <div className="explorer-field">
+          <label htmlFor="match-years">{t.match.minYears}</label>
+          <input
+            id="match-years"
+            type="number"
+            inputMode="numeric"
+            min={0}
+            max={10}
+            value={profile.minYears ?? ''}
+            onChange={(e) => update('minYears', toNumberOrNull(e.target.value))}
+          />
+        </div>
+
+        <fieldset className="explorer-fieldset">
+          <legend>{t.match.gre}</legend>
+          {(['any', 'avoid'] as const).map((value) => (
+            <div key={value} className="explorer-field explorer-field--checkbox">
+              <input
+                id={`match-gre-${value}`}
+                type="radio"
+                name="match-gre"
+                checked={profile.gre === value}
+                onChange={() => update('gre', value)}
+              />
+              <label htmlFor={`match-gre-${value}`}>{t.match.greOptions[value]}</label>
+            </div>
+          ))}
+        </fieldset>
+
+        <div className="explorer-field">
+          <label htmlFor="match-country">{t.match.country}</label>
+          <select
+            id="match-country"
+            value={profile.country}
+            onChange={(e) => update('country', e.target.value)}
+          >
+            <option value="">{t.match.noPreference}</option>
+            {options.countries.map((country) => (
+              <option key={country} value={country}>
+                {country}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="explorer-field">
+          <label htmlFor="match-state">{t.match.state}</label>
+          <select
+            id="match-state"
+            value={profile.state}
+            disabled={!profile.country || options.states.length === 0}
+            onChange={(e) => update('state', e.target.value)}
+          >
+            <option value="">{t.match.noPreference}</option>
+            {options.states.map((state) => (
+              <option key={state} value={state}>
+                {state}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="explorer-field">
+          <label htmlFor="match-mode">{t.match.deliveryMode}</label>
+          <select
+            id="match-mode"
+            value={profile.mode}
+            onChange={(e) => update('mode', e.target.value as MatchProfile['mode'])}
+          >
+            <option value="">{t.match.noPreference}</option>
+            {options.modes.map((mode) => (
+              <option key={mode} value={mode}>
+                {t.deliveryModes[mode]}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <button type="button" className="explorer-button" onClick={() => setProfile(EMPTY_PROFILE)}>
+          {t.match.reset}
+        </button>
+      </form>
+
+      <section className="explorer-results" aria-labelledby="match-heading">
+        <h2 id="match-heading" className="explorer-advisors-heading">
+          {t.match.heading}
+        </h2>
+        <p className="explorer-intro">{t.match.intro}</p>
+
+        <details className="explorer-match-how">
+          <summary>{t.match.howHeading}</summary>
+          <p>{t.match.howIntro}</p>
+          <h3>{t.match.howPrograms}</h3>
+          <ul>
+            {Object.entries(PROGRAM_WEIGHTS).map(([criterion, weight]) => (
+              <li key={criterion}>
+                {t.match.criteria[criterion as keyof typeof PROGRAM_WEIGHTS]}:{' '}
+                {format(t.match.weight, { points: weight })}
+              </li>
+            ))}
+          </ul>
+          <h3>{t.match.howFaculty}</h3>
+          <ul>
+            {Object.entries(FACULTY_WEIGHTS).map(([criterion, weight]) => (
+              <li key={criterion}>
+                {t.match.criteria[criterion as keyof typeof FACULTY_WEIGHTS]}:{' '}
+                {format(t.match.weight, { points: weight })}
+              </li>
+            ))}
+          </ul>
+        </details>
+
+        {!answered ? (
+          <p className="explorer-empty" aria-live="polite">
+            {t.match.prompt}
+          </p>
+        ) : (
+          <>
+            <h3>{t.match.programsHeading}</h3>
+            <ol className="explorer-result-list explorer-match-list">
+              {ranked.programs.map(({ item: program, score, reasons }, i) => (
+                <li key={program.id} className="explorer-card">
+                  <p className="explorer-match-score">
+                    {format(t.match.rank, { rank: i + 1 })} ·{' '}
+                    {format(t.match.score, { score })}
+                  </p>
+                  <h4 className="explorer-card-title">
+                    <a href={localize(program, 'url', lang)}>
+                      {localize(program, 'institution', lang)}
+                    </a>
+                  </h4>
+                  <p className="explorer-card-degree">{localize(program, 'degree', lang)}</p>
+                  {renderReasons(reasons)}
+                </li>
+              ))}
+            </ol>
+
+            <h3>{t.match.facultyHeading}</h3>
+            {ranked.faculty.length === 0 ? (
+              <p>{t.match.facultyPrompt}</p>
+            ) : (
+              <ol className="explorer-result-list explorer-match-list">
+                {ranked.faculty.map(({ item: member, score, reasons }, i) => {
+                  const program = programsById.get(member.programId)
+                  return (
+                    <li key={member.id} className="explorer-card">
+                      <p className="explorer-match-score">
+                        {format(t.match.rank, { rank: i + 1 })} ·{' '}
+                        {format(t.match.score, { score })}
+                      </p>
+                      <h4 className="explorer-card-title">
+                        <a href={getFacultyProfilePath(member, lang)}>{member.name}</a>
+                      </h4>
+                      <p className="explorer-card-degree">
+                        {localize(member, 'title', lang)}
+                        {program && (
+                          <>
+                            {', '}
+                            <a href={localize(program, 'url', lang)}>
+                              {localize(program, 'institution', lang)}
+                            </a>
+                          </>
+                        )}
+                      </p>
+                      {renderReasons(reasons)}
+                    </li>
+                  )
+                })}
+              </ol>
+            )}
+          </>
+        )}
+      </section>
+    </div>
+  )
+}
+
+export default MatchView
@@ -0,0 +1,102 @@
+import React from 'react'
+import type { Program } from '@/data/structured/types'
+import { format, localize, type Dictionary, type LanguageCode } from '@/i18n'
+import { formatDate, formatUSD } from './format'
+
+interface ProgramCardProps {
+  program: Program
+  lang: LanguageCode
+  t: Dictionary['explorer']
+  /** Compare selection state (omit to hide the compare toggle) */
+  compare?: {
+    selected: boolean
+    /** True when the selection is full and this program isn't in it */
+    disabled: boolean
+    onToggle: () => void
+  }
+}
+
+/**
+ * ProgramCard - One program in the Explorer results list
+ */
+const ProgramCard: React.FC<ProgramCardProps> = ({ program, lang, t, compare }) => {
+  const location = [program.city, program.state, program.country].filter(Boolean).join(', ')
+
+  return (
+    <article className="explorer-card" aria-labelledby={`program-${program.id}`}>
+      <h3 id={`program-${program.id}`} className="explorer-card-title">
+        <a href={localize(program, 'url', lang)}>{localize(program, 'institution', lang)}</a>
+      </h3>
+      <p className="explorer-card-degree">{localize(program, 'degree', lang)}</p>
+
+      <dl className="explorer-card-facts">
+        <div>
+          <dt>{t.card.location}</dt>
+          <dd>{location}</dd>
+        </div>
+        <div>
+          <dt>{t.card.delivery}</dt>
+          <dd>{t.deliveryModes[program.deliveryMode]}</dd>
+        </div>
+        <div>
+          <dt>{t.card.focusAreas}</dt>
+          <dd>{localize(program, 'focusAreas', lang).join(', ')}</dd>
+        </div>
+        <div>
+          <dt>{t.card.stipend}</dt>
+          <dd>
+            {program.stipendApproxUSD === null
+              ? t.card.notReported
+              : format(t.card.perYear, { amount: formatUSD(program.stipendApproxUSD, lang) })}
+          </dd>
+        </div>
+        <div>
+          <dt>{t.card.yearsGuaranteed}</dt>
+          <dd>
+            {program.yearsGuaranteed === null
+              ? t.card.notReported
+              : format(t.card.years, { years: program.yearsGuaranteed })}
+          </dd>
+        </div>
+      </dl>
+
+      <ul className="explorer-card-badges">
+        <li>{program.greRequired ? t.card.greRequired : t.card.greNotRequired}</li>
+        <li
+          className={
+            program.acceptingApplications ? 'explorer-badge--positive' : 'explorer-badge--muted'
+          }
+        >
+          {program.acceptingApplications ? t.card.accepting : t.card.notAccepting}
+        </li>
+      </ul>
+
+      <p className="explorer-card-links">
+        <a href={localize(program, 'url', lang)}>{t.card.details}</a>
+        <a href={program.officialWebsite} rel="noopener noreferrer" target="_blank">
+          {t.card.officialSite}
+        </a>
+      </p>
+
+      {compare && (
+        <div className="explorer-field explorer-field--checkbox explorer-card-compare">
+          <input
+            id={`compare-${program.id}`}
+            type="checkbox"
+            checked={compare.selected}
+            disabled={compare.disabled}
+            aria-describedby={compare.disabled ? 'explorer-compare-limit' : undefined}
+            onChange={compare.onToggle}
+          />
+          <label htmlFor={`compare-${program.id}`}>{t.card.compare}</label>
+        </div>
+      )}
+
+      <p className="explorer-card-updated">
+        {format(t.card.lastUpdated, { date: formatDate(program.lastUpdated, lang) })}
+      </p>
+    </article>
+  )
+}
+
+export default ProgramCard
@@ -0,0 +1,80 @@
+import React from 'react'
+import type { Program } from '@/data/structured/types'
+import { format, type Dictionary, type LanguageCode } from '@/i18n'
+import ProgramCard from './ProgramCard'
+import { COMPARE_MAX, COMPARE_MIN, toggleCompareId } from './compare'
+
+interface ResultListProps {
+  programs: Program[]
+  compareIds: string[]
+  lang: LanguageCode
+  t: Dictionary['explorer']
+  onCompareIdsChange: (ids: string[]) => void
+  onOpenCompare: () => void
+}
+
+/**
+ * ResultList - Explorer list view: program cards plus the compare selection bar
+ */
+const ResultList: React.FC<ResultListProps> = ({
+  programs,
+  compareIds,
+  lang,
+  t,
+  onCompareIdsChange,
+  onOpenCompare,
+}) => {
+  const selectionFull = compareIds.length >= COMPARE_MAX
+
+  return (
+    <>
+      {compareIds.length > 0 && (
+        <div className="explorer-compare-bar">
+          <p aria-live="polite">
+            {format(t.compare.selectedCount, { count: compareIds.length, max: COMPARE_MAX })}
+          </p>
+          {selectionFull && (
+            <p id="explorer-compare-limit">{format(t.compare.limitReached, { max: COMPARE_MAX })}</p>
+          )}
+          <button
+            type="button"
+            className="explorer-button"
+            disabled={compareIds.length < COMPARE_MIN}
+            onClick={onOpenCompare}
+          >
+            {t.compare.open}
+          </button>
+          <button type="button" className="explorer-button" onClick={() => onCompareIdsChange([])}>
+            {t.compare.clear}
+          </button>
+        </div>
+      )}
+
+      {programs.length === 0 ? (
+        <p className="explorer-empty">{t.noResults}</p>
+      ) : (
+        <ul className="explorer-result-list">
+          {programs.map((program) => {
+            const selected = compareIds.includes(program.id)
+            return (
+              <li key={program.id}>
+                <ProgramCard
+                  program={program}
+                  lang={lang}
+                  t={t}
+                  compare={{
+                    selected,
+                    disabled: selectionFull && !selected,
+                    onToggle: () => onCompareIdsChange(toggleCompareId(compareIds, program.id)),
+                  }}
+                />
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </>
+  )
+}
+
+export default ResultList
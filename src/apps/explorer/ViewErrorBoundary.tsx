@@ -0,0 +1,28 @@
+import React from 'react'
+
+interface ViewErrorBoundaryProps {
+  fallback: React.ReactNode
+  children: React.ReactNode
+}
+
+interface ViewErrorBoundaryState {
+  hasError: boolean
+}
+
+/**
+ * ViewErrorBoundary - Keeps the rest of the Explorer usable when a lazily
+ * loaded view fails (e.g. its chunk can't be fetched on a flaky connection)
+ */
+class ViewErrorBoundary extends React.Component<ViewErrorBoundaryProps, ViewErrorBoundaryState> {
+  state: ViewErrorBoundaryState = { hasError: false }
+
+  static getDerivedStateFromError(): ViewErrorBoundaryState {
+    return { hasError: true }
+  }
+
+  render() {
+    return this.state.hasError ? this.props.fallback : this.props.children
+  }
+}
+
+export default ViewErrorBoundary
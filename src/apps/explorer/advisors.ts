@@ -0,0 +1,133 @@
+/**
+ * Explorer "Find an advisor" mode: filters, URL state and freshness
+ *
+ * Pure functions (no React). Matching is delegated to the faculty query
+ * helpers in src/data/structured/faculty.ts; each active filter narrows the
+ * result to the intersection of the helpers' answers.
+ */
+
+import {
+  faculty,
+  getFacultyAcceptingAdvisees,
+  getFacultyByMethodology,
+  getFacultyByResearchArea,
+  getFacultyForProgram,
+} from '@/data/structured/faculty'
+import type { FacultyMember, LanguageCode, MethodsCulture, Program } from '@/data/structured/types'
+import { METHODS_CULTURES } from '@/data/structured/validation'
+
+export interface AdvisorFilters {
+  /** Free-text research area, matched in English and Spanish */
+  area: string
+  method: MethodsCulture | ''
+  acceptingOnly: boolean
+  /** English institution name (institution_en) */
+  institution: string
+}
+
+export const DEFAULT_ADVISOR_FILTERS: AdvisorFilters = {
+  area: '',
+  method: '',
+  acceptingOnly: false,
+  institution: '',
+}
+
+/**
+ * Institutions that have at least one faculty member, as { value: English name, label }
+ */
+export function getAdvisorInstitutions(
+  programs: Program[],
+  lang: LanguageCode
+): { value: string; label: string }[] {
+  const programIds = new Set(faculty.map((f) => f.programId))
+  const labels = new Map<string, string>()
+  for (const program of programs) {
+    if (programIds.has(program.id)) {
+      labels.set(program.institution_en, program[`institution_${lang}`])
+    }
+  }
+
+  const collator = new Intl.Collator(lang)
+  return Array.from(labels, ([value, label]) => ({ value, label })).sort((a, b) =>
+    collator.compare(a.label, b.label)
+  )
+}
+
+export function findAdvisors(
+  filters: AdvisorFilters,
+  programs: Program[],
+  lang: LanguageCode
+): FacultyMember[] {
+  const subsets: FacultyMember[][] = []
+
+  if (filters.area.trim()) subsets.push(getFacultyByResearchArea(filters.area))
+  if (filters.method) subsets.push(getFacultyByMethodology(filters.method))
+  if (filters.acceptingOnly) subsets.push(getFacultyAcceptingAdvisees())
+  if (filters.institution) {
+    const facultyIds = programs
+      .filter((p) => p.institution_en === filters.institution)
+      .flatMap((p) => p.facultyIds)
+    subsets.push(getFacultyForProgram(facultyIds))
+  }
+
+  const matches = faculty.filter((member) =>
+    subsets.every((subset) => subset.some((m) => m.id === member.id))
+  )
+
+  const collator = new Intl.Collator(lang)
+  return matches.sort((a, b) => collator.compare(a.name, b.name))
+}
+
+/**
+ * Read advisor filters from a query string
+ * Keys don't overlap with the program filters, so both can share one URL.
+ */
+export function parseAdvisorFilters(search: string): AdvisorFilters {
+  const params = new URLSearchParams(search)
+  const method = params.get('method')
+
+  return {
+    area: params.get('area') ?? '',
+    method: METHODS_CULTURES.find((m) => m === method) ?? '',
+    acceptingOnly: params.get('advisees') === '1',
+    institution: params.get('institution') ?? '',
+  }
+}
+
+export function writeAdvisorFilters(
+  filters: AdvisorFilters,
+  params: URLSearchParams
+): URLSearchParams {
+  const next = new URLSearchParams(params)
+  const set = (key: string, value: string) => {
+    if (value) {
+      next.set(key, value)
+    } else {
+      next.delete(key)
+    }
+  }
+
+  set('area', filters.area)
+  set('method', filters.method)
+  set('advisees', filters.acceptingOnly ? '1' : '')
+  set('institution', filters.institution)
+
+  return next
+}
+
+export type Freshness = 'fresh' | 'aging' | 'stale'
+
+/** Days since lastVerified before a record is shown as aging / stale */
+export const FRESHNESS_THRESHOLDS = { aging: 180, stale: 365 }
+
+/**
+ * How recently a faculty record was checked against the department's site
+ */
+export function getFreshness(lastVerified: string, now: Date = new Date()): Freshness {
+  const verified = new Date(`${lastVerified}T00:00:00Z`)
+  const days = (now.getTime() - verified.getTime()) / (24 * 60 * 60 * 1000)
+
+  if (Number.isNaN(days) || days > FRESHNESS_THRESHOLDS.stale) return 'stale'
+  if (days > FRESHNESS_THRESHOLDS.aging) return 'aging'
+  return 'fresh'
+}
@@ -0,0 +1,115 @@
+/**
+ * Explorer compare mode: selection state and comparison rows
+ *
+ * Pure functions (no React). The selection is stored as a comma-separated list
+ * of program IDs (?compare=id-a,id-b) in the order the programs were picked.
+ */
+
+import type { Program } from '@/data/structured/types'
+import type { ProgramNotes } from '@/data/types'
+
+export const COMPARE_MIN = 2
+export const COMPARE_MAX = 4
+
+/**
+ * Read the selection from the URL
+ * Unknown IDs and duplicates are dropped; anything past COMPARE_MAX is ignored.
+ */
+export function parseCompareIds(params: URLSearchParams, knownIds: string[]): string[] {
+  const known = new Set(knownIds)
+  const ids = (params.get('compare') ?? '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter((id) => known.has(id))
+
+  return Array.from(new Set(ids)).slice(0, COMPARE_MAX)
+}
+
+export function writeCompareIds(ids: string[], params: URLSearchParams): URLSearchParams {
+  const next = new URLSearchParams(params)
+  if (ids.length === 0) {
+    next.delete('compare')
+  } else {
+    next.set('compare', ids.join(','))
+  }
+  return next
+}
+
+/**
+ * Add or remove a program (adding is a no-op once COMPARE_MAX are selected)
+ */
+export function toggleCompareId(ids: string[], id: string): string[] {
+  if (ids.includes(id)) {
+    return ids.filter((selected) => selected !== id)
+  }
+  return ids.length < COMPARE_MAX ? [...ids, id] : ids
+}
+
+/**
+ * Which value wins a row: highest/lowest number, or the preferred boolean
+ * Rows without a `best` rule (e.g. cohort size) have no objectively better value.
+ */
+export type BestRule = 'max' | 'min' | true | false
+
+export type CompareRowKey =
+  | 'stipend'
+  | 'years'
+  | 'summerFunding'
+  | 'gre'
+  | 'writingSample'
+  | 'cohortSize'
+  | 'acceptanceRate'
+  | 'methodsCulture'
+
+export interface CompareRow {
+  key: CompareRowKey
+  value: (program: Program) => number | boolean | null
+  best?: BestRule
+}
+
+/**
+ * Structured rows, in display order
+ * methodsCulture is text, so it is read separately via localize()
+ */
+export const COMPARE_ROWS: CompareRow[] = [
+  { key: 'stipend', value: (p) => p.stipendApproxUSD, best: 'max' },
+  { key: 'years', value: (p) => p.yearsGuaranteed, best: 'max' },
+  { key: 'summerFunding', value: (p) => p.additionalSummerFunding, best: true },
+  { key: 'gre', value: (p) => p.greRequired, best: false },
+  { key: 'writingSample', value: (p) => p.writingSampleRequired, best: false },
+  { key: 'cohortSize', value: (p) => p.cohortSizeApprox },
+  // Higher acceptance rate = better odds for the applicant
+  { key: 'acceptanceRate', value: (p) => p.acceptanceRateApprox, best: 'max' },
+]
+
+/**
+ * Indexes of the best value(s) in a row
+ * Ties are all highlighted; nothing is highlighted when every reported value
+ * is the same or fewer than two programs report a value.
+ */
+export function getBestIndexes(values: (number | boolean | null)[], best?: BestRule): number[] {
+  if (best === undefined) return []
+
+  const reported = values.filter((v): v is number | boolean => v !== null)
+  if (reported.length < 2 || reported.every((v) => v === reported[0])) return []
+
+  let target: number | boolean
+  if (best === 'max' || best === 'min') {
+    const numbers = reported.filter((v): v is number => typeof v === 'number')
+    target = best === 'max' ? Math.max(...numbers) : Math.min(...numbers)
+  } else {
+    target = best
+  }
+
+  return values.flatMap((v, i) => (v === target ? [i] : []))
+}
+
+export type ProgramNoteSection = keyof ProgramNotes[string]
+
+export const PROGRAM_NOTE_SECTIONS: ProgramNoteSection[] = [
+  'programDescription',
+  'admissionsExpectations',
+  'mentorshipCulture',
+  'practicalWarnings',
+  'whatApplicantsShouldKnow',
+]
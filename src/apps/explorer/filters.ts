@@ -0,0 +1,221 @@
+/**
+ * Explorer filtering, sorting and URL state
+ *
+ * Pure functions (no React) so the same logic can back every Explorer view.
+ * Filter values are language-independent (focus areas are keyed by their
+ * English name) so a shared URL means the same thing on /explorer and
+ * /es/explorador.
+ */
+
+import type { DegreeType, DeliveryMode, LanguageCode, Program } from '@/data/structured/types'
+import { DEGREE_TYPES, DELIVERY_MODES } from '@/data/structured/validation'
+
+export type GreFilter = 'any' | 'required' | 'notRequired'
+
+export type SortKey = 'institution' | 'stipend' | 'years' | 'acceptance' | 'updated'
+
+export const SORT_KEYS: SortKey[] = ['institution', 'stipend', 'years', 'acceptance', 'updated']
+
+export interface ExplorerFilters {
+  degree: DegreeType | ''
+  /** English focus area name (focusAreas_en entry) */
+  focus: string
+  mode: DeliveryMode | ''
+  gre: GreFilter
+  stipendMin: number | null
+  stipendMax: number | null
+  yearsMin: number | null
+  country: string
+  state: string
+  acceptingOnly: boolean
+  sort: SortKey
+}
+
+export const DEFAULT_FILTERS: ExplorerFilters = {
+  degree: '',
+  focus: '',
+  mode: '',
+  gre: 'any',
+  stipendMin: null,
+  stipendMax: null,
+  yearsMin: null,
+  country: '',
+  state: '',
+  acceptingOnly: false,
+  sort: 'institution',
+}
+
+/**
+ * Option lists derived from the data (so new programs extend filters automatically)
+ */
+export interface FilterOptions {
+  degrees: DegreeType[]
+  /** Focus areas as { value: English name, label: current-language name } */
+  focusAreas: { value: string; label: string }[]
+  modes: DeliveryMode[]
+  countries: string[]
+  /** States, optionally narrowed to the selected country */
+  states: string[]
+}
+
+const unique = <T>(values: T[]): T[] => Array.from(new Set(values))
+
+export function getFilterOptions(
+  programs: Program[],
+  lang: LanguageCode,
+  country = ''
+): FilterOptions {
+  const focusLabels = new Map<string, string>()
+  for (const program of programs) {
+    program.focusAreas_en.forEach((area, i) => {
+      if (!focusLabels.has(area)) {
+        focusLabels.set(area, lang === 'es' ? program.focusAreas_es[i] ?? area : area)
+      }
+    })
+  }
+
+  const collator = new Intl.Collator(lang)
+
+  return {
+    degrees: unique(programs.map((p) => p.degreeType)),
+    focusAreas: Array.from(focusLabels, ([value, label]) => ({ value, label })).sort((a, b) =>
+      collator.compare(a.label, b.label)
+    ),
+    modes: unique(programs.map((p) => p.deliveryMode)),
+    countries: unique(programs.map((p) => p.country)).sort(collator.compare),
+    states: unique(
+      programs
+        .filter((p) => !country || p.country === country)
+        .map((p) => p.state)
+        .filter((s): s is string => Boolean(s))
+    ).sort(collator.compare),
+  }
+}
+
+/**
+ * Check a single program against the active filters
+ */
+export function matchesFilters(program: Program, filters: ExplorerFilters): boolean {
+  if (filters.degree && program.degreeType !== filters.degree) return false
+  if (filters.focus && !program.focusAreas_en.includes(filters.focus)) return false
+  if (filters.mode && program.deliveryMode !== filters.mode) return false
+  if (filters.gre === 'required' && !program.greRequired) return false
+  if (filters.gre === 'notRequired' && program.greRequired) return false
+
+  // Programs without a reported stipend never satisfy a stipend bound
+  if (filters.stipendMin !== null || filters.stipendMax !== null) {
+    if (program.stipendApproxUSD === null) return false
+    if (filters.stipendMin !== null && program.stipendApproxUSD < filters.stipendMin) return false
+    if (filters.stipendMax !== null && program.stipendApproxUSD > filters.stipendMax) return false
+  }
+
+  if (filters.yearsMin !== null && (program.yearsGuaranteed ?? 0) < filters.yearsMin) return false
+  if (filters.country && program.country !== filters.country) return false
+  if (filters.state && program.state !== filters.state) return false
+  if (filters.acceptingOnly && !program.acceptingApplications) return false
+
+  return true
+}
+
+/**
+ * Sort programs; nulls always go last regardless of direction
+ */
+export function sortPrograms(programs: Program[], sort: SortKey, lang: LanguageCode): Program[] {
+  const collator = new Intl.Collator(lang)
+  const byInstitution = (a: Program, b: Program) =>
+    collator.compare(a[`institution_${lang}`], b[`institution_${lang}`])
+
+  const byNumber =
+    (get: (p: Program) => number | null, direction: 1 | -1) => (a: Program, b: Program) => {
+      const x = get(a)
+      const y = get(b)
+      if (x === y) return byInstitution(a, b)
+      if (x === null) return 1
+      if (y === null) return -1
+      return (x - y) * direction
+    }
+
+  const comparators: Record<SortKey, (a: Program, b: Program) => number> = {
+    institution: byInstitution,
+    stipend: byNumber((p) => p.stipendApproxUSD, -1),
+    years: byNumber((p) => p.yearsGuaranteed, -1),
+    acceptance: byNumber((p) => p.acceptanceRateApprox, 1),
+    updated: (a, b) => b.lastUpdated.localeCompare(a.lastUpdated) || byInstitution(a, b),
+  }
+
+  return [...programs].sort(comparators[sort])
+}
+
+/**
+ * Filter and sort in one step
+ */
+export function applyFilters(
+  programs: Program[],
+  filters: ExplorerFilters,
+  lang: LanguageCode
+): Program[] {
+  return sortPrograms(
+    programs.filter((p) => matchesFilters(p, filters)),
+    filters.sort,
+    lang
+  )
+}
+
+const parseNumber = (value: string | null): number | null => {
+  if (value === null || value.trim() === '') return null
+  const n = Number(value)
+  return Number.isFinite(n) && n >= 0 ? n : null
+}
+
+const oneOf = <T extends string>(value: string | null, allowed: readonly T[], fallback: T): T =>
+  value !== null && (allowed as readonly string[]).includes(value) ? (value as T) : fallback
+
+/**
+ * Read filters from a query string (unknown or invalid values fall back to defaults)
+ */
+export function parseFilters(search: string): ExplorerFilters {
+  const params = new URLSearchParams(search)
+
+  return {
+    degree: oneOf<DegreeType | ''>(params.get('degree'), DEGREE_TYPES, ''),
+    focus: params.get('focus') ?? '',
+    mode: oneOf<DeliveryMode | ''>(params.get('mode'), DELIVERY_MODES, ''),
+    gre: oneOf<GreFilter>(params.get('gre'), ['any', 'required', 'notRequired'], 'any'),
+    stipendMin: parseNumber(params.get('stipendMin')),
+    stipendMax: parseNumber(params.get('stipendMax')),
+    yearsMin: parseNumber(params.get('years')),
+    country: params.get('country') ?? '',
+    state: params.get('state') ?? '',
+    acceptingOnly: params.get('accepting') === '1',
+    sort: oneOf<SortKey>(params.get('sort'), SORT_KEYS, DEFAULT_FILTERS.sort),
+  }
+}
+
+/**
+ * Write filters into URLSearchParams (defaults are omitted to keep URLs short)
+ * Other params already present (e.g. other Explorer views) are preserved.
+ */
+export function writeFilters(filters: ExplorerFilters, params: URLSearchParams): URLSearchParams {
+  const next = new URLSearchParams(params)
+  const set = (key: string, value: string | number | null, isDefault: boolean) => {
+    if (isDefault || value === null || value === '') {
+      next.delete(key)
+    } else {
+      next.set(key, String(value))
+    }
+  }
+
+  set('degree', filters.degree, filters.degree === DEFAULT_FILTERS.degree)
+  set('focus', filters.focus, filters.focus === DEFAULT_FILTERS.focus)
+  set('mode', filters.mode, filters.mode === DEFAULT_FILTERS.mode)
+  set('gre', filters.gre, filters.gre === DEFAULT_FILTERS.gre)
+  set('stipendMin', filters.stipendMin, filters.stipendMin === null)
+  set('stipendMax', filters.stipendMax, filters.stipendMax === null)
+  set('years', filters.yearsMin, filters.yearsMin === null)
+  set('country', filters.country, filters.country === DEFAULT_FILTERS.country)
+  set('state', filters.state, filters.state === DEFAULT_FILTERS.state)
+  set('accepting', filters.acceptingOnly ? '1' : null, !filters.acceptingOnly)
+  set('sort', filters.sort, filters.sort === DEFAULT_FILTERS.sort)
+
+  return next
+}
@@ -0,0 +1,36 @@
+import { getLocale, type LanguageCode } from '@/i18n'
+
+/**
+ * Format a USD amount for the current language (no cents)
+ */
+export function formatUSD(amount: number, lang: LanguageCode): string {
+  return new Intl.NumberFormat(getLocale(lang), {
+    style: 'currency',
+    currency: 'USD',
+    maximumFractionDigits: 0,
+  }).format(amount)
+}
+
+/**
+ * Format an ISO 8601 date (YYYY-MM-DD) for the current language
+ * Parsed as UTC so the displayed day never shifts with the visitor's timezone
+ */
+export function formatDate(isoDate: string, lang: LanguageCode): string {
+  const date = new Date(`${isoDate}T00:00:00Z`)
+  if (Number.isNaN(date.getTime())) {
+    return isoDate
+  }
+  return new Intl.DateTimeFormat(getLocale(lang), { dateStyle: 'medium', timeZone: 'UTC' }).format(
+    date
+  )
+}
+
+/**
+ * Format a 0-100 percentage for the current language (e.g. 15 → "15%" / "15 %")
+ */
+export function formatPercent(percent: number, lang: LanguageCode): string {
+  return new Intl.NumberFormat(getLocale(lang), {
+    style: 'percent',
+    maximumFractionDigits: 1,
+  }).format(percent / 100)
+}
@@ -0,0 +1,254 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react'
+import type { Program } from '@/data/structured/types'
+import { format, localize, type Dictionary, type LanguageCode } from '@/i18n'
+import { clusterPrograms, placePrograms, type MapCluster } from './cluster'
+import { LANDMASSES } from './geometry'
+import { FULL_VIEW, MAP_WIDTH, fitView, toPath, zoomView, type Point } from './projection'
+
+interface MapViewProps {
+  /** Programs that pass the current filters */
+  programs: Program[]
+  lang: LanguageCode
+  t: Dictionary['explorer']
+}
+
+/** Narrowest view: about 6 degrees of longitude */
+const MIN_VIEW_WIDTH = 60
+/** Marker sizes and cluster radius at full zoom, in SVG units */
+const MARKER_RADIUS = 12
+const CLUSTER_MARKER_RADIUS = 18
+const CLUSTER_RADIUS = 40
+
+const landPaths = LANDMASSES.map((land) => ({ id: land.id, d: toPath(land.outline) }))
+
+const placeName = (program: Program) =>
+  [program.city, program.state, program.country].filter(Boolean).join(', ')
+
+/**
+ * MapView - Explorer map tab (loaded on demand with React.lazy)
+ *
+ * Plots the filtered programs on a bundled SVG outline map, so no tiles or
+ * third-party map library are needed. Markers are keyboard-focusable, and
+ * the same programs are listed by location below the map for readers who
+ * can't use the map at all.
+ */
+const MapView: React.FC<MapViewProps> = ({ programs, lang, t }) => {
+  const [view, setView] = useState(FULL_VIEW)
+  const [selectedIds, setSelectedIds] = useState<string[] | null>(null)
+  const selectionRef = useRef<HTMLDivElement>(null)
+
+  const { placed, unplaced } = useMemo(() => placePrograms(programs), [programs])
+  const zoom = view.width / MAP_WIDTH
+  const clusters = useMemo(() => clusterPrograms(placed, CLUSTER_RADIUS * zoom), [placed, zoom])
+
+  const locations = useMemo(() => {
+    const groups = new Map<string, { place: string; items: typeof placed }>()
+    for (const item of placed) {
+      const place = placeName(item.program)
+      const group = groups.get(place) ?? { place, items: [] }
+      group.items.push(item)
+      groups.set(place, group)
+    }
+    return Array.from(groups.values()).sort((a, b) => a.place.localeCompare(b.place, lang))
+  }, [placed, lang])
+
+  const selected = selectedIds ? programs.filter((p) => selectedIds.includes(p.id)) : []
+
+  // Filters can remove the selected programs; drop a selection that no longer matches
+  useEffect(() => {
+    if (selectedIds && selected.length === 0) setSelectedIds(null)
+  }, [selectedIds, selected.length])
+
+  const select = (ids: string[], points: Point[], moveFocus: boolean) => {
+    setSelectedIds(ids)
+    setView(fitView(points, CLUSTER_RADIUS, MIN_VIEW_WIDTH))
+    if (moveFocus) {
+      requestAnimationFrame(() => selectionRef.current?.focus())
+    }
+  }
+
+  const selectCluster = (cluster: MapCluster) => {
+    const ids = cluster.programs.map((p) => p.id)
+    const points = placed.filter((item) => ids.includes(item.program.id)).map((item) => item.point)
+    select(ids, points, true)
+  }
+
+  const clusterLabel = (cluster: MapCluster) =>
+    cluster.programs.length === 1
+      ? format(t.map.markerLabel, {
+          name: localize(cluster.programs[0], 'institution', lang),
+          place: placeName(cluster.programs[0]),
+        })
+      : format(t.map.clusterLabel, {
+          count: cluster.programs.length,
+          names: cluster.programs.map((p) => localize(p, 'institution', lang)).join('; '),
+        })
+
+  return (
+    <section className="explorer-map" aria-labelledby="explorer-map-heading">
+      <h2 id="explorer-map-heading">{t.map.heading}</h2>
+
+      <div className="explorer-map-controls">
+        <button
+          type="button"
+          className="explorer-button"
+          disabled={view.width <= MIN_VIEW_WIDTH}
+          onClick={() => setView(zoomView(view, 0.5, MIN_VIEW_WIDTH))}
+        >
+          {t.map.zoomIn}
+        </button>
+        <button
+          type="button"
+          className="explorer-button"
+          disabled={view.width >= MAP_WIDTH}
+          onClick={() => setView(zoomView(view, 2, MIN_VIEW_WIDTH))}
+        >
+          {t.map.zoomOut}
+        </button>
+        <button
+          type="button"
+          className="explorer-button"
+          disabled={view === FULL_VIEW}
+          onClick={() => setView(FULL_VIEW)}
+        >
+          {t.map.resetView}
+        </button>
+      </div>
+
+      <svg
+        className="explorer-map-svg"
+        viewBox={`${view.x} ${view.y} ${view.width} ${view.height}`}
+        role="group"
+        aria-label={t.map.regionLabel}
+      >
+        <g className="explorer-map-land" aria-hidden="true">
+          {landPaths.map((land) => (
+            <path key={land.id} d={land.d} strokeWidth={2 * zoom} />
+          ))}
+        </g>
+
+        {clusters.map((cluster) => {
+          const isCluster = cluster.programs.length > 1
+          const radius = (isCluster ? CLUSTER_MARKER_RADIUS : MARKER_RADIUS) * zoom
+          const isSelected =
+            selectedIds !== null && cluster.programs.some((p) => selectedIds.includes(p.id))
+
+          return (
+            <g
+              key={cluster.id}
+              className={`explorer-map-marker${isSelected ? ' explorer-map-marker--selected' : ''}`}
+              role="button"
+              tabIndex={0}
+              aria-label={clusterLabel(cluster)}
+              aria-pressed={isSelected}
+              onClick={() => selectCluster(cluster)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                  e.preventDefault()
+                  selectCluster(cluster)
+                }
+              }}
+            >
+              <circle
+                cx={cluster.center.x}
+                cy={cluster.center.y}
+                r={radius}
+                strokeWidth={2 * zoom}
+              />
+              {isCluster && (
+                <text
+                  x={cluster.center.x}
+                  y={cluster.center.y}
+                  fontSize={16 * zoom}
+                  textAnchor="middle"
+                  dominantBaseline="central"
+                  aria-hidden="true"
+                >
+                  {cluster.programs.length}
+                </text>
+              )}
+            </g>
+          )
+        })}
+      </svg>
+
+      {selected.length > 0 && (
+        <div
+          ref={selectionRef}
+          className="explorer-map-selection"
+          tabIndex={-1}
+          aria-labelledby="explorer-map-selection-heading"
+          role="region"
+        >
+          <h3 id="explorer-map-selection-heading">{t.map.selectedHeading}</h3>
+          <ul>
+            {selected.map((program) => (
+              <li key={program.id}>
+                <a href={localize(program, 'url', lang)}>{localize(program, 'institution', lang)}</a>
+                {' – '}
+                {localize(program, 'degree', lang)} ({placeName(program)})
+              </li>
+            ))}
+          </ul>
+          <button type="button" className="explorer-button" onClick={() => setSelectedIds(null)}>
+            {t.map.closeSelection}
+          </button>
+        </div>
+      )}
+
+      <h3 id="explorer-map-list-heading">{t.map.listHeading}</h3>
+      {locations.length === 0 ? (
+        <p>{t.noResults}</p>
+      ) : (
+        <ul className="explorer-map-list" aria-labelledby="explorer-map-list-heading">
+          {locations.map((location) => (
+            <li key={location.place}>
+              <span className="explorer-map-place">{location.place}</span>
+              <ul>
+                {location.items.map(({ program }) => (
+                  <li key={program.id}>
+                    <a href={localize(program, 'url', lang)}>
+                      {localize(program, 'institution', lang)}
+                    </a>
+                    {' – '}
+                    {localize(program, 'degree', lang)}
+                  </li>
+                ))}
+              </ul>
+              <button
+                type="button"
+                className="explorer-button explorer-button--small"
+                onClick={() =>
+                  select(
+                    location.items.map((item) => item.program.id),
+                    location.items.map((item) => item.point),
+                    true
+                  )
+                }
+              >
+                {format(t.map.showOnMap, { place: location.place })}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {unplaced.length > 0 && (
+        <>
+          <h3>{t.map.unmappedHeading}</h3>
+          <p>{t.map.unmappedNote}</p>
+          <ul>
+            {unplaced.map((program) => (
+              <li key={program.id}>
+                <a href={localize(program, 'url', lang)}>{localize(program, 'institution', lang)}</a>
+                {placeName(program) && ` (${placeName(program)})`}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  )
+}
+
+export default MapView
@@ -0,0 +1,68 @@
+/**
+ * Group nearby programs into map clusters
+ *
+ * Greedy distance clustering in SVG units: each program joins the first
+ * cluster whose center is within `radius`, otherwise it starts a new one.
+ * The radius is scaled with the zoom level by the caller, so clusters split
+ * apart as the reader zooms in. Input order is fixed (sorted by id), so the
+ * same programs always produce the same clusters.
+ */
+
+import type { Program } from '@/data/structured/types'
+import { isWithinBounds, project, type Point } from './projection'
+
+export interface MapCluster {
+  /** Stable key: ids of the member programs */
+  id: string
+  center: Point
+  programs: Program[]
+}
+
+export interface PlacedPrograms {
+  placed: { program: Program; point: Point }[]
+  /** Programs without coordinates or outside MAP_BOUNDS */
+  unplaced: Program[]
+}
+
+export function placePrograms(programs: Program[]): PlacedPrograms {
+  const placed: PlacedPrograms['placed'] = []
+  const unplaced: Program[] = []
+
+  for (const program of programs) {
+    if (program.lat === null || program.lng === null || !isWithinBounds(program.lat, program.lng)) {
+      unplaced.push(program)
+    } else {
+      placed.push({ program, point: project([program.lng, program.lat]) })
+    }
+  }
+
+  return { placed, unplaced }
+}
+
+export function clusterPrograms(placed: PlacedPrograms['placed'], radius: number): MapCluster[] {
+  const clusters: { points: Point[]; programs: Program[]; center: Point }[] = []
+  const sorted = [...placed].sort((a, b) => a.program.id.localeCompare(b.program.id))
+
+  for (const { program, point } of sorted) {
+    const match = clusters.find(
+      (c) => Math.hypot(c.center.x - point.x, c.center.y - point.y) <= radius
+    )
+
+    if (match) {
+      match.points.push(point)
+      match.programs.push(program)
+      match.center = {
+        x: match.points.reduce((sum, p) => sum + p.x, 0) / match.points.length,
+        y: match.points.reduce((sum, p) => sum + p.y, 0) / match.points.length,
+      }
+    } else {
+      clusters.push({ points: [point], programs: [program], center: point })
+    }
+  }
+
+  return clusters.map(({ center, programs }) => ({
+    id: programs.map((p) => p.id).join('+'),
+    center,
+    programs,
+  }))
+}
@@ -0,0 +1,78 @@
+/**
+ * Bundled base map: simplified outlines of the United States, Mexico,
+ * Central America, the Caribbean and South America
+ *
+ * Coordinates are [longitude, latitude] in degrees, hand-simplified to a few
+ * dozen vertices per landmass. That is enough to orient a reader without any
+ * tile server, works offline, and adds only a few KB to the lazily loaded map
+ * chunk. Canada is cut off at the northern edge of MAP_BOUNDS.
+ */
+
+export type LngLat = [number, number]
+
+export interface Landmass {
+  id: string
+  outline: LngLat[]
+}
+
+/** Area covered by the map; programs outside it are listed instead of plotted */
+export const MAP_BOUNDS = {
+  west: -130,
+  east: -30,
+  north: 52,
+  south: -57,
+}
+
+export const LANDMASSES: Landmass[] = [
+  {
+    id: 'north-america',
+    outline: [
+      [-128, 52], [-124.5, 48.5], [-124, 46], [-124.2, 42], [-123.8, 39.5], [-122.5, 37.8],
+      [-120.6, 34.6], [-117.2, 32.7], [-116, 31], [-114.5, 28], [-112, 25], [-109.9, 22.9],
+      [-112.5, 28], [-114.8, 31.8], [-112.2, 29.5], [-109.5, 26], [-105.5, 22.5],
+      [-105.3, 20.5], [-104.3, 19.1], [-101.5, 17.8], [-99.9, 16.8], [-96.5, 15.7],
+      [-94.5, 16.2], [-92.2, 14.5], [-91, 13.9], [-87.5, 13.2], [-85.8, 11.2], [-85.7, 9.9],
+      [-83.5, 8.4], [-82, 8.2], [-80.4, 7.3], [-78.5, 8.3], [-77.3, 8.5], [-79.5, 9.6],
+      [-82.5, 9.5], [-83.7, 11], [-83.3, 15], [-85.5, 15.9], [-88.2, 15.7], [-88.3, 18.5],
+      [-87.5, 21.5], [-90.4, 21], [-90.6, 19.5], [-94.5, 18.2], [-96.2, 19.2], [-97.7, 22.5],
+      [-97.2, 25.9], [-97.4, 27.8], [-94.8, 29.3], [-91.5, 29.5], [-89.4, 29], [-88, 30.6],
+      [-85.3, 29.7], [-83, 29], [-82.6, 27.5], [-81.1, 25.1], [-80.1, 26.5], [-80.6, 28.5],
+      [-81.4, 30.7], [-79.2, 33.2], [-75.5, 35.2], [-76, 37], [-74, 40.5], [-70, 41.7],
+      [-70.7, 43], [-67, 44.8], [-66, 43.7], [-60, 45.8], [-64.5, 48.8], [-66, 50.2],
+      [-60, 50.2], [-55.7, 52],
+    ],
+  },
+  {
+    id: 'south-america',
+    outline: [
+      [-77.3, 8.5], [-75.5, 10.5], [-74.2, 11.3], [-71.5, 12.4], [-70, 12], [-68, 10.5],
+      [-64, 10.6], [-61.5, 10.5], [-60, 8.5], [-57, 6], [-54, 5.8], [-51.5, 4.2], [-50, 1.8],
+      [-48.5, -1.2], [-44.3, -2.5], [-40, -2.8], [-35.2, -5.5], [-34.8, -7.5], [-35.7, -9.7],
+      [-38.5, -13], [-39, -17.8], [-40.3, -20.3], [-43.2, -22.9], [-46.3, -24], [-48.6, -26.5],
+      [-48.8, -28.6], [-51, -30.5], [-53.4, -33.7], [-55, -34.9], [-57.5, -35.5],
+      [-57.5, -38.2], [-62.3, -38.8], [-65, -41], [-64.5, -42.5], [-67.5, -46],
+      [-65.8, -47.9], [-69, -50.5], [-68.4, -52.3], [-67.5, -55.5], [-71.5, -54],
+      [-74.5, -52], [-75.5, -48], [-74, -43.5], [-73.7, -40], [-73.2, -37], [-71.6, -33],
+      [-71.5, -28.5], [-70.4, -23.6], [-70.3, -18.4], [-75.2, -15.4], [-76.3, -13.5],
+      [-77.1, -12], [-79, -8], [-81.2, -6], [-81, -4.3], [-80.3, -3.4], [-80.9, -2.2],
+      [-80.1, 0.8], [-78.8, 1.8], [-77.5, 4], [-77.4, 7],
+    ],
+  },
+  {
+    id: 'cuba',
+    outline: [
+      [-84.9, 21.9], [-82.8, 23], [-80.5, 23.1], [-77.5, 21.8], [-74.2, 20.2], [-75.5, 19.9],
+      [-77.7, 19.9], [-78.5, 21.4], [-81.5, 22.2],
+    ],
+  },
+  {
+    id: 'hispaniola',
+    outline: [
+      [-74.4, 18.5], [-72.8, 19.9], [-70, 19.7], [-68.4, 18.6], [-70, 18.2], [-71.4, 17.6],
+    ],
+  },
+  {
+    id: 'puerto-rico',
+    outline: [[-67.2, 18.5], [-65.6, 18.4], [-65.7, 18], [-67.2, 18]],
+  },
+]
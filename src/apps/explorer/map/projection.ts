@@ -0,0 +1,96 @@
+/**
+ * Equirectangular projection into SVG user units
+ *
+ * One degree = SCALE units on both axes. Distortion is acceptable at this
+ * zoom level and keeps the math (and the bundle) trivial.
+ */
+
+import { MAP_BOUNDS, type LngLat } from './geometry'
+
+const SCALE = 10
+
+export const MAP_WIDTH = (MAP_BOUNDS.east - MAP_BOUNDS.west) * SCALE
+export const MAP_HEIGHT = (MAP_BOUNDS.north - MAP_BOUNDS.south) * SCALE
+
+export interface Point {
+  x: number
+  y: number
+}
+
+export interface ViewBox {
+  x: number
+  y: number
+  width: number
+  height: number
+}
+
+export const FULL_VIEW: ViewBox = { x: 0, y: 0, width: MAP_WIDTH, height: MAP_HEIGHT }
+
+export function project([lng, lat]: LngLat): Point {
+  return {
+    x: (lng - MAP_BOUNDS.west) * SCALE,
+    y: (MAP_BOUNDS.north - lat) * SCALE,
+  }
+}
+
+export function isWithinBounds(lat: number, lng: number): boolean {
+  return (
+    lat <= MAP_BOUNDS.north &&
+    lat >= MAP_BOUNDS.south &&
+    lng >= MAP_BOUNDS.west &&
+    lng <= MAP_BOUNDS.east
+  )
+}
+
+/**
+ * SVG path data for a closed outline
+ */
+export function toPath(outline: LngLat[]): string {
+  return (
+    outline
+      .map((coord, i) => {
+        const { x, y } = project(coord)
+        return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)} ${y.toFixed(1)}`
+      })
+      .join('') + 'Z'
+  )
+}
+
+/**
+ * Zoom a view box around its center, clamped to the full map
+ * factor < 1 zooms in, factor > 1 zooms out.
+ */
+export function zoomView(view: ViewBox, factor: number, minWidth: number): ViewBox {
+  const width = Math.min(MAP_WIDTH, Math.max(minWidth, view.width * factor))
+  const height = width * (MAP_HEIGHT / MAP_WIDTH)
+  const cx = view.x + view.width / 2
+  const cy = view.y + view.height / 2
+  return clampView({ x: cx - width / 2, y: cy - height / 2, width, height })
+}
+
+/**
+ * Smallest view (with padding) that contains every point, keeping the map's aspect ratio
+ */
+export function fitView(points: Point[], padding: number, minWidth: number): ViewBox {
+  if (points.length === 0) return FULL_VIEW
+
+  const xs = points.map((p) => p.x)
+  const ys = points.map((p) => p.y)
+  const ratio = MAP_HEIGHT / MAP_WIDTH
+  const spanX = Math.max(...xs) - Math.min(...xs) + padding * 2
+  const spanY = Math.max(...ys) - Math.min(...ys) + padding * 2
+  const width = Math.min(MAP_WIDTH, Math.max(minWidth, spanX, spanY / ratio))
+  const height = width * ratio
+  const cx = (Math.max(...xs) + Math.min(...xs)) / 2
+  const cy = (Math.max(...ys) + Math.min(...ys)) / 2
+
+  return clampView({ x: cx - width / 2, y: cy - height / 2, width, height })
+}
+
+function clampView(view: ViewBox): ViewBox {
+  return {
+    ...view,
+    x: Math.min(Math.max(0, view.x), MAP_WIDTH - view.width),
+    y: Math.min(Math.max(0, view.y), MAP_HEIGHT - view.height),
+  }
+}
@@ -0,0 +1,371 @@
+/**
+ * Explorer Match: score programs and faculty against a student profile
+ *
+ * Pure functions (no React), computed entirely in the browser. Every score is
+ * a weighted sum of per-criterion fractions (0–1) over the questions the
+ * student actually answered, so an unanswered question never helps or hurts.
+ * Each criterion returns a reason with its points, so the UI can show exactly
+ * why a result ranked where it did.
+ */
+
+import type {
+  DeliveryMode,
+  FacultyMember,
+  LanguageCode,
+  MethodsCulture,
+  Program,
+} from '@/data/structured/types'
+import { foldText } from '@/utils/text'
+
+export interface MatchProfile {
+  /** English focus area names (focusAreas_en entries) */
+  interests: string[]
+  /** Free-text interests, comma-separated, matched in English and Spanish */
+  keywords: string
+  method: MethodsCulture | ''
+  minStipend: number | null
+  minYears: number | null
+  gre: 'any' | 'avoid'
+  country: string
+  state: string
+  mode: DeliveryMode | ''
+}
+
+export const EMPTY_PROFILE: MatchProfile = {
+  interests: [],
+  keywords: '',
+  method: '',
+  minStipend: null,
+  minYears: null,
+  gre: 'any',
+  country: '',
+  state: '',
+  mode: '',
+}
+
+export type ProgramCriterion =
+  | 'interests'
+  | 'methods'
+  | 'stipend'
+  | 'years'
+  | 'gre'
+  | 'location'
+  | 'delivery'
+
+export type FacultyCriterion = 'interests' | 'methods' | 'advisees'
+
+/** Maximum points per criterion; shown to students in "How scoring works" */
+export const PROGRAM_WEIGHTS: Record<ProgramCriterion, number> = {
+  interests: 30,
+  methods: 20,
+  stipend: 15,
+  years: 10,
+  gre: 10,
+  location: 10,
+  delivery: 5,
+}
+
+export const FACULTY_WEIGHTS: Record<FacultyCriterion, number> = {
+  interests: 50,
+  methods: 30,
+  advisees: 20,
+}
+
+/**
+ * Why a criterion scored what it did
+ * `key` selects a bilingual template; `values` fill its placeholders.
+ */
+export type ReasonKey =
+  | 'interestsMatched'
+  | 'interestsNone'
+  | 'methodsFaculty'
+  | 'methodsNoFaculty'
+  | 'methodsMatch'
+  | 'methodsMiss'
+  | 'stipendMeets'
+  | 'stipendBelow'
+  | 'stipendUnknown'
+  | 'yearsMeets'
+  | 'yearsBelow'
+  | 'yearsUnknown'
+  | 'greNotRequired'
+  | 'greRequired'
+  | 'locationMatch'
+  | 'locationSameCountry'
+  | 'locationOther'
+  | 'deliveryMatch'
+  | 'deliveryHybrid'
+  | 'deliveryMismatch'
+  | 'accepting'
+  | 'notAccepting'
+
+export interface MatchReason<C extends string> {
+  criterion: C
+  points: number
+  max: number
+  key: ReasonKey
+  values: Record<string, string | number>
+}
+
+export interface MatchResult<T, C extends string> {
+  item: T
+  /** 0–100, rounded */
+  score: number
+  reasons: MatchReason<C>[]
+}
+
+const reason = <C extends string>(
+  criterion: C,
+  weights: Record<C, number>,
+  fraction: number,
+  key: ReasonKey,
+  values: Record<string, string | number> = {}
+): MatchReason<C> => ({
+  criterion,
+  points: Math.round(weights[criterion] * Math.min(1, Math.max(0, fraction)) * 10) / 10,
+  max: weights[criterion],
+  key,
+  values,
+})
+
+const toResult = <T, C extends string>(item: T, reasons: MatchReason<C>[]): MatchResult<T, C> => {
+  const max = reasons.reduce((sum, r) => sum + r.max, 0)
+  const points = reasons.reduce((sum, r) => sum + r.points, 0)
+  return { item, score: max === 0 ? 0 : Math.round((points / max) * 100), reasons }
+}
+
+export function parseKeywords(keywords: string): string[] {
+  return keywords
+    .split(',')
+    .map((k) => k.trim())
+    .filter(Boolean)
+}
+
+/** Does any of `areas` contain `interest` (or vice versa), ignoring case and accents? */
+const overlaps = (interest: string, areas: string[]): boolean => {
+  const needle = foldText(interest)
+  return areas.some((area) => {
+    const hay = foldText(area)
+    return hay !== '' && (hay.includes(needle) || needle.includes(hay))
+  })
+}
+
+export function hasAnswers(profile: MatchProfile): boolean {
+  return (
+    profile.interests.length > 0 ||
+    parseKeywords(profile.keywords).length > 0 ||
+    profile.method !== '' ||
+    profile.minStipend !== null ||
+    profile.minYears !== null ||
+    profile.gre === 'avoid' ||
+    profile.country !== '' ||
+    profile.mode !== ''
+  )
+}
+
+/**
+ * Score one program
+ * `programFaculty` is the program's faculty (via facultyIds), used for
+ * keyword interests and for methodological strengths.
+ */
+export function scoreProgram(
+  program: Program,
+  programFaculty: FacultyMember[],
+  profile: MatchProfile,
+  lang: LanguageCode
+): MatchResult<Program, ProgramCriterion> {
+  const w = PROGRAM_WEIGHTS
+  const reasons: MatchReason<ProgramCriterion>[] = []
+
+  const keywords = parseKeywords(profile.keywords)
+  const interestCount = profile.interests.length + keywords.length
+  if (interestCount > 0) {
+    const facultyAreas = programFaculty.flatMap((f) => [
+      ...f.researchAreas_en,
+      ...f.researchAreas_es,
+    ])
+    // Selected areas are shown by the program's own (localized) name; keywords as typed
+    const matched = [
+      ...profile.interests
+        .map((area) => program.focusAreas_en.indexOf(area))
+        .filter((i) => i >= 0)
+        .map((i) => program[`focusAreas_${lang}`][i] ?? program.focusAreas_en[i]),
+      ...keywords.filter((k) =>
+        overlaps(k, [...program.focusAreas_en, ...program.focusAreas_es, ...facultyAreas])
+      ),
+    ]
+    reasons.push(
+      matched.length > 0
+        ? reason('interests', w, matched.length / interestCount, 'interestsMatched', {
+            matched: matched.length,
+            total: interestCount,
+            areas: matched.join(', '),
+          })
+        : reason('interests', w, 0, 'interestsNone', { total: interestCount })
+    )
+  }
+
+  const method = profile.method
+  if (method) {
+    const withMethod = programFaculty.filter((f) => f.methodologicalStrengths.includes(method))
+    reasons.push(
+      programFaculty.length === 0
+        ? reason('methods', w, 0, 'methodsNoFaculty', { method })
+        : reason('methods', w, withMethod.length / programFaculty.length, 'methodsFaculty', {
+            count: withMethod.length,
+            total: programFaculty.length,
+            method,
+          })
+    )
+  }
+
+  if (profile.minStipend !== null) {
+    const stipend = program.stipendApproxUSD
+    reasons.push(
+      stipend === null
+        ? reason('stipend', w, 0, 'stipendUnknown')
+        : stipend >= profile.minStipend
+          ? reason('stipend', w, 1, 'stipendMeets', { stipend, min: profile.minStipend })
+          : reason('stipend', w, stipend / profile.minStipend, 'stipendBelow', {
+              stipend,
+              min: profile.minStipend,
+            })
+    )
+  }
+
+  if (profile.minYears !== null) {
+    const years = program.yearsGuaranteed
+    reasons.push(
+      years === null
+        ? reason('years', w, 0, 'yearsUnknown')
+        : years >= profile.minYears
+          ? reason('years', w, 1, 'yearsMeets', { years, min: profile.minYears })
+          : reason('years', w, years / profile.minYears, 'yearsBelow', {
+              years,
+              min: profile.minYears,
+            })
+    )
+  }
+
+  if (profile.gre === 'avoid') {
+    reasons.push(
+      program.greRequired
+        ? reason('gre', w, 0, 'greRequired')
+        : reason('gre', w, 1, 'greNotRequired')
+    )
+  }
+
+  if (profile.country) {
+    const place = [program.city, program.state, program.country].filter(Boolean).join(', ')
+    if (program.country !== profile.country) {
+      reasons.push(reason('location', w, 0, 'locationOther', { place }))
+    } else if (profile.state && program.state !== profile.state) {
+      reasons.push(reason('location', w, 0.5, 'locationSameCountry', { place }))
+    } else {
+      reasons.push(reason('location', w, 1, 'locationMatch', { place }))
+    }
+  }
+
+  if (profile.mode) {
+    if (program.deliveryMode === profile.mode) {
+      reasons.push(reason('delivery', w, 1, 'deliveryMatch', { mode: program.deliveryMode }))
+    } else if (program.deliveryMode === 'Hybrid') {
+      // Hybrid programs partly satisfy both online and in-person preferences
+      reasons.push(reason('delivery', w, 0.5, 'deliveryHybrid', { mode: program.deliveryMode }))
+    } else {
+      reasons.push(reason('delivery', w, 0, 'deliveryMismatch', { mode: program.deliveryMode }))
+    }
+  }
+
+  return toResult(program, reasons)
+}
+
+/**
+ * Score one faculty member (research fit, methods and availability)
+ * Only scored once the student has given interests or a method.
+ */
+export function scoreFacultyMember(
+  member: FacultyMember,
+  profile: MatchProfile,
+  lang: LanguageCode
+): MatchResult<FacultyMember, FacultyCriterion> {
+  const w = FACULTY_WEIGHTS
+  const reasons: MatchReason<FacultyCriterion>[] = []
+  const areas = [...member.researchAreas_en, ...member.researchAreas_es]
+
+  const interests = [...profile.interests, ...parseKeywords(profile.keywords)]
+  if (interests.length > 0) {
+    const matched = interests.filter((interest) => overlaps(interest, areas))
+    // Explain with the member's own research areas, in the page language
+    const matchedAreas = member[`researchAreas_${lang}`].filter((_, i) => {
+      const pair = [member.researchAreas_en[i] ?? '', member.researchAreas_es[i] ?? '']
+      return interests.some((interest) => overlaps(interest, pair))
+    })
+    reasons.push(
+      matched.length > 0
+        ? reason('interests', w, matched.length / interests.length, 'interestsMatched', {
+            matched: matched.length,
+            total: interests.length,
+            areas: matchedAreas.join(', '),
+          })
+        : reason('interests', w, 0, 'interestsNone', { total: interests.length })
+    )
+  }
+
+  if (profile.method) {
+    reasons.push(
+      member.methodologicalStrengths.includes(profile.method)
+        ? reason('methods', w, 1, 'methodsMatch', { method: profile.method })
+        : reason('methods', w, 0, 'methodsMiss', { method: profile.method })
+    )
+  }
+
+  reasons.push(
+    member.acceptingAdvisees
+      ? reason('advisees', w, 1, 'accepting')
+      : reason('advisees', w, 0, 'notAccepting')
+  )
+
+  return toResult(member, reasons)
+}
+
+const byScore =
+  <T>(name: (item: T) => string, collator: Intl.Collator) =>
+  (a: MatchResult<T, string>, b: MatchResult<T, string>) =>
+    b.score - a.score || collator.compare(name(a.item), name(b.item))
+
+/**
+ * Rank every program and faculty member for a profile
+ * Ties are broken alphabetically so the order is stable.
+ */
+export function rankMatches(
+  programs: Program[],
+  faculty: FacultyMember[],
+  profile: MatchProfile,
+  lang: LanguageCode
+): {
+  programs: MatchResult<Program, ProgramCriterion>[]
+  faculty: MatchResult<FacultyMember, FacultyCriterion>[]
+} {
+  const collator = new Intl.Collator(lang)
+
+  const rankedPrograms = programs
+    .map((program) =>
+      scoreProgram(
+        program,
+        faculty.filter((f) => program.facultyIds.includes(f.id)),
+        profile,
+        lang
+      )
+    )
+    .sort(byScore((p) => p[`institution_${lang}`], collator))
+
+  const rankedFaculty =
+    profile.interests.length > 0 || parseKeywords(profile.keywords).length > 0 || profile.method
+      ? faculty
+          .map((member) => scoreFacultyMember(member, profile, lang))
+          .sort(byScore((f) => f.name, collator))
+      : []
+
+  return { programs: rankedPrograms, faculty: rankedFaculty }
+}
@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react'
+import type { LanguageCode, ProgramNotes } from '@/data/types'
+
+const loaders: Record<LanguageCode, () => Promise<{ default: unknown }>> = {
+  en: () => import('@/data/unstructured/programNotes.en.json'),
+  es: () => import('@/data/unstructured/programNotes.es.json'),
+}
+
+export type ProgramNotesState =
+  | { status: 'loading' }
+  | { status: 'ready'; notes: ProgramNotes }
+  | { status: 'error' }
+
+/**
+ * Load the qualitative programNotes for one language
+ *
+ * Notes are long-form text, so they are split into their own chunk and only
+ * fetched when a view needs them (keeps the initial Explorer bundle small).
+ */
+export function useProgramNotes(lang: LanguageCode, enabled: boolean): ProgramNotesState {
+  const [state, setState] = useState<ProgramNotesState>({ status: 'loading' })
+
+  useEffect(() => {
+    if (!enabled) return
+
+    let cancelled = false
+    setState({ status: 'loading' })
+    loaders[lang]()
+      .then((module) => {
+        if (!cancelled) setState({ status: 'ready', notes: module.default as ProgramNotes })
+      })
+      .catch(() => {
+        if (!cancelled) setState({ status: 'error' })
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [lang, enabled])
+
+  return state
+}
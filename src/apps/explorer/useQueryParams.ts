@@ -0,0 +1,32 @@
+import { useCallback, useEffect, useState } from 'react'
+
+/**
+ * Keep Explorer state in the page's query string
+ *
+ * Updates use history.replaceState so filtering doesn't flood the back button,
+ * while the URL stays shareable and survives a reload.
+ */
+export function useQueryParams(): [
+  URLSearchParams,
+  (update: (params: URLSearchParams) => URLSearchParams) => void,
+] {
+  const [search, setSearch] = useState(() => window.location.search)
+
+  useEffect(() => {
+    const onPopState = () => setSearch(window.location.search)
+    window.addEventListener('popstate', onPopState)
+    return () => window.removeEventListener('popstate', onPopState)
+  }, [])
+
+  const updateParams = useCallback(
+    (update: (params: URLSearchParams) => URLSearchParams) => {
+      const next = update(new URLSearchParams(window.location.search)).toString()
+      const url = `${window.location.pathname}${next ? `?${next}` : ''}${window.location.hash}`
+      window.history.replaceState(window.history.state, '', url)
+      setSearch(next ? `?${next}` : '')
+    },
+    []
+  )
+
+  return [new URLSearchParams(search), updateParams]
+}
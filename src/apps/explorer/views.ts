@@ -0,0 +1,28 @@
+/**
+ * Explorer views and their URL state
+ *
+ * The active view lives in the query string next to the filters
+ * (?view=map, ?view=compare) so a shared link opens on the same tab. The list
+ * view is the default and is omitted from the URL.
+ */
+
+export type ExplorerView = 'list' | 'map' | 'compare' | 'advisors' | 'match'
+
+export const EXPLORER_VIEWS: ExplorerView[] = ['list', 'map', 'compare', 'advisors', 'match']
+
+export const DEFAULT_VIEW: ExplorerView = 'list'
+
+export function parseView(params: URLSearchParams): ExplorerView {
+  const value = params.get('view')
+  return EXPLORER_VIEWS.find((view) => view === value) ?? DEFAULT_VIEW
+}
+
+export function writeView(view: ExplorerView, params: URLSearchParams): URLSearchParams {
+  const next = new URLSearchParams(params)
+  if (view === DEFAULT_VIEW) {
+    next.delete('view')
+  } else {
+    next.set('view', view)
+  }
+  return next
+}
@@ -0,0 +1,108 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { format, getDictionary, getPageLanguage, type LanguageCode } from '@/i18n'
+import { siteConfig } from '@/config/site'
+import { searchSite } from '@/utils/search'
+import { useSearchIndex } from './useSearchIndex'
+
+/** Search pages per language (the other-language link keeps the query) */
+const SEARCH_PATHS: Record<LanguageCode, string> = siteConfig.sections.search
+
+const readQuery = () => new URLSearchParams(window.location.search).get('q') ?? ''
+
+/**
+ * Search component - Client-side site search
+ * This is a React island that loads only on pages with #search-root
+ *
+ * Queries the index for the page's language (search-index.<lang>.json) in the
+ * browser, so it works on the static host with no server. The query is kept
+ * in ?q= so searches can be linked and survive a reload.
+ */
+const Search: React.FC = () => {
+  const lang = getPageLanguage()
+  const t = getDictionary(lang).search
+  const otherLang: LanguageCode = lang === 'en' ? 'es' : 'en'
+
+  const [query, setQuery] = useState(readQuery)
+  const [wanted, setWanted] = useState(() => query.trim() !== '')
+  const indexState = useSearchIndex(lang, wanted)
+
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search)
+    if (query.trim()) params.set('q', query)
+    else params.delete('q')
+    const next = params.toString()
+    const url = `${window.location.pathname}${next ? `?${next}` : ''}${window.location.hash}`
+    window.history.replaceState(window.history.state, '', url)
+  }, [query])
+
+  const results = useMemo(
+    () => (indexState.status === 'ready' ? searchSite(indexState.index, query) : []),
+    [indexState, query]
+  )
+
+  const trimmed = query.trim()
+  const otherLanguageQuery = trimmed ? `?q=${encodeURIComponent(trimmed)}` : ''
+  const otherLanguageUrl = `${SEARCH_PATHS[otherLang]}${otherLanguageQuery}`
+
+  const renderStatus = () => {
+    if (!trimmed) return <p>{t.prompt}</p>
+    if (indexState.status === 'error') return <p role="alert">{t.loadError}</p>
+    if (indexState.status !== 'ready') return <p>{t.loading}</p>
+    if (results.length === 0) return <p>{format(t.noResults, { query: trimmed })}</p>
+    return (
+      <p className="search-count">
+        {format(results.length === 1 ? t.oneResult : t.resultCount, {
+          count: results.length,
+          query: trimmed,
+        })}
+      </p>
+    )
+  }
+
+  return (
+    <div className="search">
+      <form role="search" className="search-form" onSubmit={(e) => e.preventDefault()}>
+        <label htmlFor="search-query">{t.label}</label>
+        <input
+          id="search-query"
+          type="search"
+          value={query}
+          autoComplete="off"
+          aria-describedby="search-hint"
+          onFocus={() => setWanted(true)}
+          onChange={(e) => {
+            setWanted(true)
+            setQuery(e.target.value)
+          }}
+        />
+        <small id="search-hint">{t.hint}</small>
+      </form>
+
+      <div className="search-status" aria-live="polite">
+        {renderStatus()}
+      </div>
+
+      {results.length > 0 && (
+        <ol className="search-results">
+          {results.map(({ document }) => (
+            <li key={document.url} className="search-result">
+              <h2 className="search-result-title">
+                <a href={document.url}>{document.title}</a>
+              </h2>
+              {document.category && <p className="search-result-category">{document.category}</p>}
+              <p className="search-result-description">{document.description}</p>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <p className="search-other-language">
+        <a href={otherLanguageUrl} hrefLang={otherLang} lang={otherLang}>
+          {t.otherLanguage}
+        </a>
+      </p>
+    </div>
+  )
+}
+
+export default Search
@@ -0,0 +1,16 @@
+import React from 'react'
+import ReactDOM from 'react-dom/client'
+import Search from './Search'
+import './search.css'
+
+const rootElement = document.getElementById('search-root')
+
+if (!rootElement) {
+  throw new Error('Search root element not found. Ensure #search-root exists in the HTML.')
+}
+
+ReactDOM.createRoot(rootElement).render(
+  <React.StrictMode>
+    <Search />
+  </React.StrictMode>,
+)
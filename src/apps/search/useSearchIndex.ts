@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react'
+import type { LanguageCode } from '@/data/types'
+import type { SearchIndex } from '@/utils/search'
+
+export type SearchIndexState =
+  | { status: 'idle' }
+  | { status: 'loading' }
+  | { status: 'ready'; index: SearchIndex }
+  | { status: 'error' }
+
+/** Built by scripts/build_search_index.js */
+export const getSearchIndexUrl = (lang: LanguageCode) => `/search-index.${lang}.json`
+
+/**
+ * Fetch the search index for one language once it is needed
+ *
+ * Stays idle until `enabled` (a query was typed or the box got focus), so
+ * opening the page costs only the island itself.
+ */
+export function useSearchIndex(lang: LanguageCode, enabled: boolean): SearchIndexState {
+  const [state, setState] = useState<SearchIndexState>({ status: 'idle' })
+
+  useEffect(() => {
+    if (!enabled) return
+
+    let cancelled = false
+    setState({ status: 'loading' })
+    fetch(getSearchIndexUrl(lang))
+      .then((response) => {
+        if (!response.ok) throw new Error(`Search index returned ${response.status}`)
+        return response.json() as Promise<SearchIndex>
+      })
+      .then((index) => {
+        if (!cancelled) setState({ status: 'ready', index })
+      })
+      .catch(() => {
+        if (!cancelled) setState({ status: 'error' })
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [lang, enabled])
+
+  return state
+}
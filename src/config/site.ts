@@ -0,0 +1,151 @@
+/**
+ * Site Configuration
+ *
+ * The one place that knows the site's origin, languages, section paths and
+ * page budgets. Build scripts read it through scripts/utils/site-config.js
+ * (tsx), islands import it directly; nothing else may hardcode the origin
+ * (`npm run check-site-origin` enforces this).
+ *
+ * ENVIRONMENTS:
+ * - production (default): https://spanishacademic.com, indexable
+ * - staging / local: their own origin, and robots.txt keeps crawlers out
+ * - SITE_ENV picks the environment; SITE_ORIGIN overrides its origin
+ *   (e.g. SITE_ENV=staging SITE_ORIGIN=https://preview.example.org npm run validate-all)
+ *
+ * Islands get SITE_ENV / SITE_ORIGIN from vite.config.ts at build time.
+ *
+ * This module (and what it imports) must use relative imports, so build
+ * scripts can load it through tsx.
+ *
+ * Spanish Academic 2026
+ */
+
+import type { LanguageCode } from '../data/structured/types';
+
+export type SiteEnvironment = 'local' | 'staging' | 'production';
+
+// Site sections with a page (or directory) in each language
+export type SiteSection =
+  | 'programs'
+  | 'faculty'
+  | 'insights'
+  | 'help'
+  | 'scholarship'
+  | 'explorer'
+  | 'search'
+  | 'contact';
+
+export interface SiteThresholds {
+  // <title> length, in characters
+  titleMin: number;
+  titleMax: number;
+  // <meta name="description"> length, in characters
+  metaDescriptionMin: number;
+  metaDescriptionMax: number;
+  // Uncompressed HTML budget per page, in KB (html-size-check.js)
+  maxHtmlSizeKb: number;
+}
+
+export interface SiteConfig {
+  environment: SiteEnvironment;
+  // Scheme and host, no trailing slash (e.g. "https://spanishacademic.com")
+  origin: string;
+  // Host names whose links are internal: the origin's, plus the production ones
+  hosts: string[];
+  // Whether search engines may index this deployment (robots.txt)
+  indexable: boolean;
+  languages: LanguageCode[];
+  defaultLanguage: LanguageCode;
+  // Site directory of each section per language, with a trailing slash
+  sections: Record<SiteSection, Record<LanguageCode, string>>;
+  thresholds: SiteThresholds;
+}
+
+// Pages, templates and JSON twins written for the live site use this origin
+export const PRODUCTION_ORIGIN = 'https://spanishacademic.com';
+const PRODUCTION_HOSTS = ['spanishacademic.com', 'www.spanishacademic.com'];
+
+// What each environment changes
+const ENVIRONMENTS: Record<SiteEnvironment, { origin: string; indexable: boolean }> = {
+  production: { origin: PRODUCTION_ORIGIN, indexable: true },
+  staging: { origin: 'https://staging.spanishacademic.com', indexable: false },
+  // npm run contact:serve
+  local: { origin: 'http://localhost:8787', indexable: false },
+};
+
+const SECTIONS: SiteConfig['sections'] = {
+  programs: { en: '/programs/', es: '/es/programas/' },
+  faculty: { en: '/faculty/', es: '/es/profesorado/' },
+  insights: { en: '/insights/', es: '/es/insights/' },
+  help: { en: '/help/', es: '/es/ayuda/' },
+  // Scholarship articles keep their original language and share one directory
+  scholarship: { en: '/scholarship/', es: '/scholarship/' },
+  explorer: { en: '/explorer/', es: '/es/explorador/' },
+  search: { en: '/search/', es: '/es/buscar/' },
+  contact: { en: '/contact/', es: '/es/contacto/' },
+};
+
+const THRESHOLDS: SiteThresholds = {
+  titleMin: 50,
+  titleMax: 60,
+  metaDescriptionMin: 140,
+  metaDescriptionMax: 160,
+  maxHtmlSizeKb: 50,
+};
+
+/**
+ * Environment variables the configuration reads
+ */
+export interface SiteEnvironmentVariables {
+  SITE_ENV?: string;
+  SITE_ORIGIN?: string;
+}
+
+/**
+ * Build the configuration for an environment
+ *
+ * @throws Error on an unknown SITE_ENV or a SITE_ORIGIN that isn't a bare http(s) origin
+ */
+export function resolveSiteConfig(variables: SiteEnvironmentVariables = {}): SiteConfig {
+  const environment = (variables.SITE_ENV || 'production') as SiteEnvironment;
+  if (!(environment in ENVIRONMENTS)) {
+    throw new Error(
+      `SITE_ENV must be one of ${Object.keys(ENVIRONMENTS).join(', ')} (got "${variables.SITE_ENV}")`
+    );
+  }
+
+  const origin = (variables.SITE_ORIGIN || ENVIRONMENTS[environment].origin).replace(/\/$/, '');
+  let url: URL;
+  try {
+    url = new URL(origin);
+  } catch {
+    throw new Error(`SITE_ORIGIN must be an absolute URL (got "${origin}")`);
+  }
+  if (!/^https?:$/.test(url.protocol) || url.origin !== origin) {
+    throw new Error(`SITE_ORIGIN must be a scheme and host only, like ${PRODUCTION_ORIGIN} (got "${origin}")`);
+  }
+
+  return {
+    environment,
+    origin,
+    hosts: [...new Set([url.hostname, ...PRODUCTION_HOSTS])],
+    indexable: ENVIRONMENTS[environment].indexable,
+    languages: ['en', 'es'],
+    defaultLanguage: 'en',
+    sections: SECTIONS,
+    thresholds: THRESHOLDS,
+  };
+}
+
+/**
+ * The environment variables of this process
+ * In the browser, vite.config.ts replaces `process.env.SITE_*` at build time.
+ */
+function readEnvironmentVariables(): SiteEnvironmentVariables {
+  return {
+    SITE_ENV: process.env.SITE_ENV,
+    SITE_ORIGIN: process.env.SITE_ORIGIN,
+  };
+}
+
+export const siteConfig: SiteConfig = resolveSiteConfig(readEnvironmentVariables());
@@ -0,0 +1,230 @@
+/**
+ * Categories
+ *
+ * The registry of Insights and Help categories. Pages reference a category by
+ * id (<meta name="category" content="<id>"> on Insights articles,
+ * HelpQuestion.categoryId on Help questions); names, descriptions and slugs
+ * for both languages come from here. scripts/build_categories.js renders one
+ * index page per category and language, paired by id.
+ *
+ * name_en is the InsightsCategory / QACategory value from src/data/types.ts.
+ * Changing a slug moves the category page, so delete the old page and its
+ * .json twin when you do, and redirect both languages' old URLs in
+ * public/.htaccess.
+ *
+ * Spanish Academic 2026
+ */
+
+import type { Category } from './types';
+import { siteConfig } from '../../config/site';
+
+// Subdirectory of a section holding its category pages, per language
+const CATEGORY_SUBDIRECTORY = { en: 'categories/', es: 'categorias/' };
+
+// Category index page directories per section and language (under the section directories of src/config/site.ts)
+export const CATEGORY_DIRECTORIES: Record<Category['section'], { en: string; es: string }> = {
+  insights: {
+    en: `${siteConfig.sections.insights.en}${CATEGORY_SUBDIRECTORY.en}`,
+    es: `${siteConfig.sections.insights.es}${CATEGORY_SUBDIRECTORY.es}`,
+  },
+  help: {
+    en: `${siteConfig.sections.help.en}${CATEGORY_SUBDIRECTORY.en}`,
+    es: `${siteConfig.sections.help.es}${CATEGORY_SUBDIRECTORY.es}`,
+  },
+};
+
+export const categories: Category[] = [
+  // Insights
+  {
+    id: 'academic-program-reviews',
+    name_en: 'Academic Program Reviews',
+    name_es: 'Reseñas de programas académicos',
+    description_en:
+      'Reviews and comparisons of graduate programs in Spanish: rankings, funding, faculty, methods culture and what each program is best known for today.',
+    description_es:
+      'Reseñas y comparaciones de posgrados en español: rankings, financiación, profesorado, cultura metodológica y aquello por lo que destaca cada programa.',
+    slug_en: 'academic-program-reviews',
+    slug_es: 'resenas-de-programas-academicos',
+    icon: '🏛️',
+    section: 'insights',
+  },
+  {
+    id: 'ai-in-higher-education',
+    name_en: 'AI in Higher Education',
+    name_es: 'IA en la educación superior',
+    description_en:
+      'How artificial intelligence is changing graduate study in Spanish: teaching, research, academic integrity and the policies universities are adopting.',
+    description_es:
+      'Cómo la inteligencia artificial cambia el posgrado en español: docencia, investigación, integridad académica y las políticas que adoptan las universidades.',
+    slug_en: 'ai-in-higher-education',
+    slug_es: 'ia-en-la-educacion-superior',
+    icon: '🤖',
+    section: 'insights',
+  },
+  {
+    id: 'statistical-research-methods',
+    name_en: 'Statistical & Research Methods',
+    name_es: 'Métodos estadísticos y de investigación',
+    description_en:
+      'Guides to quantitative and qualitative methods in Spanish linguistics research, from study design and corpora to regression and mixed-effects models in R.',
+    description_es:
+      'Guías de métodos cuantitativos y cualitativos en lingüística hispánica, desde el diseño del estudio y los corpus hasta la regresión y los modelos mixtos en R.',
+    slug_en: 'statistical-and-research-methods',
+    slug_es: 'metodos-estadisticos-y-de-investigacion',
+    icon: '📊',
+    section: 'insights',
+  },
+  {
+    id: 'spanish-for-the-professions',
+    name_en: 'Spanish for the Professions',
+    name_es: 'Español para las profesiones',
+    description_en:
+      'Articles on Spanish for specific purposes in healthcare, law, business and translation, and on graduate programs that prepare students for those careers.',
+    description_es:
+      'Artículos sobre el español con fines específicos en salud, derecho, negocios y traducción, y sobre los posgrados que preparan para esas carreras profesionales.',
+    slug_en: 'spanish-for-the-professions',
+    slug_es: 'espanol-para-las-profesiones',
+    icon: '💼',
+    section: 'insights',
+  },
+  {
+    id: 'advice-for-students',
+    name_en: 'Advice for Students',
+    name_es: 'Consejos para estudiantes',
+    description_en:
+      'Practical advice for prospective and current graduate students in Spanish: choosing a program, applying, securing funding and making progress on a degree.',
+    description_es:
+      'Consejos prácticos para estudiantes de posgrado en español: cómo elegir un programa, presentar la solicitud, conseguir financiación y avanzar en los estudios.',
+    slug_en: 'advice-for-students',
+    slug_es: 'consejos-para-estudiantes',
+    icon: '🎓',
+    section: 'insights',
+  },
+  {
+    id: 'field-analyses-policy',
+    name_en: 'Field Analyses & Policy',
+    name_es: 'Análisis del campo y políticas',
+    description_en:
+      'Analyses of the state of Spanish studies as a field: enrollment trends, the academic job market, language policy and the decisions shaping departments.',
+    description_es:
+      'Análisis de los estudios hispánicos: tendencias de matrícula, mercado laboral académico, políticas lingüísticas y decisiones que afectan a los departamentos.',
+    slug_en: 'field-analyses-and-policy',
+    slug_es: 'analisis-del-campo-y-politicas',
+    icon: '🧭',
+    section: 'insights',
+  },
+  {
+    id: 'tools-data-infrastructure',
+    name_en: 'Tools & Data Infrastructure',
+    name_es: 'Herramientas e infraestructura de datos',
+    description_en:
+      'Software, corpora and data infrastructure for research in Spanish linguistics and literature, with notes on reproducible workflows and open research data.',
+    description_es:
+      'Software, corpus e infraestructura de datos para investigar en lingüística y literatura hispánicas, con notas sobre flujos reproducibles y datos abiertos.',
+    slug_en: 'tools-and-data-infrastructure',
+    slug_es: 'herramientas-e-infraestructura-de-datos',
+    icon: '🛠️',
+    section: 'insights',
+  },
+
+  // Help
+  {
+    id: 'immigration-visa-status',
+    name_en: 'Immigration & Visa Status',
+    name_es: 'Inmigración y visados',
+    description_en:
+      'Answers for international graduate students in Spanish programs about F-1 status, on- and off-campus work, CPT and OPT. General information, not legal advice.',
+    description_es:
+      'Respuestas para estudiantes internacionales de posgrado sobre el estatus F-1, el trabajo dentro y fuera del campus, la CPT y la OPT. No es asesoramiento legal.',
+    slug_en: 'immigration-and-visa-status',
+    slug_es: 'inmigracion-y-visados',
+    icon: '🛂',
+    section: 'help',
+  },
+  {
+    id: 'academic-integrity-ai',
+    name_en: 'Academic Integrity & AI',
+    name_es: 'Integridad académica e IA',
+    description_en:
+      'Answers about academic integrity in graduate Spanish programs, including when AI writing and translation tools are allowed and how to disclose their use.',
+    description_es:
+      'Respuestas sobre integridad académica en posgrados de español, incluido cuándo se permiten herramientas de IA para escribir o traducir y cómo declarar su uso.',
+    slug_en: 'academic-integrity-and-ai',
+    slug_es: 'integridad-academica-e-ia',
+    icon: '⚖️',
+    section: 'help',
+  },
+  {
+    id: 'funding-financial-aid',
+    name_en: 'Funding & Financial Aid',
+    name_es: 'Financiación y ayudas',
+    description_en:
+      'Answers about paying for graduate school in Spanish: assistantships, fellowships, stipends, summer support and how to compare or negotiate funding offers.',
+    description_es:
+      'Respuestas sobre cómo financiar un posgrado en español: ayudantías, becas, estipendios, ayudas de verano y cómo comparar o negociar ofertas de financiación.',
+    slug_en: 'funding-and-financial-aid',
+    slug_es: 'financiacion-y-ayudas',
+    icon: '💰',
+    section: 'help',
+  },
+  {
+    id: 'program-selection',
+    name_en: 'Program Selection',
+    name_es: 'Selección de programas',
+    description_en:
+      'Answers about choosing a graduate program in Spanish: MA or PhD, faculty fit, methods culture, location and the questions to ask programs before applying.',
+    description_es:
+      'Respuestas sobre cómo elegir un posgrado en español: maestría o doctorado, afinidad con el profesorado, cultura metodológica y qué preguntar antes de solicitar.',
+    slug_en: 'program-selection',
+    slug_es: 'seleccion-de-programas',
+    icon: '🔍',
+    section: 'help',
+  },
+  {
+    id: 'research-methods',
+    name_en: 'Research Methods',
+    name_es: 'Métodos de investigación',
+    description_en:
+      'Answers about research preparation for graduate study in Spanish linguistics and literature, from statistics and R to corpora, fieldwork and archival work.',
+    description_es:
+      'Respuestas sobre la preparación para investigar en un posgrado de lingüística o literatura hispánicas, desde la estadística y R hasta los corpus y los archivos.',
+    slug_en: 'research-methods',
+    slug_es: 'metodos-de-investigacion',
+    icon: '🔬',
+    section: 'help',
+  },
+  {
+    id: 'career-professional-development',
+    name_en: 'Career & Professional Development',
+    name_es: 'Carrera y desarrollo profesional',
+    description_en:
+      'Answers about careers after a graduate degree in Spanish, in and beyond academia: teaching, translation, publishing, conferences and the academic job market.',
+    description_es:
+      'Respuestas sobre carreras tras un posgrado en español, dentro y fuera de la academia: docencia, traducción, edición, congresos y el mercado laboral académico.',
+    slug_en: 'career-and-professional-development',
+    slug_es: 'carrera-y-desarrollo-profesional',
+    icon: '🚀',
+    section: 'help',
+  },
+];
+
+/**
+ * Get a category by ID
+ */
+export function getCategoryById(id: string): Category | undefined {
+  return categories.find((c) => c.id === id);
+}
+
+/**
+ * Get the categories of one section (insights or help)
+ */
+export function getCategoriesBySection(section: Category['section']): Category[] {
+  return categories.filter((c) => c.section === section);
+}
+
+/**
+ * Site path of a category's index page in one language
+ */
+export function getCategoryPath(category: Category, lang: 'en' | 'es'): string {
+  return `${CATEGORY_DIRECTORIES[category.section][lang]}${category[`slug_${lang}`]}.html`;
+}
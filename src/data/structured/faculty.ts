@@ -1,4 +1,8 @@
-import type { FacultyMember, MethodsCulture } from '../types'
+import type { FacultyMember, LanguageCode, MethodsCulture } from './types'
+import { foldText } from '../../utils/text'
+import { translateSlug } from '../../utils/slugTranslations'
+import { programs } from './programs'
+import { siteConfig } from '../../config/site'
 
 /**
  * Structured faculty data
@@ -9,10 +13,12 @@ import type { FacultyMember, MethodsCulture } from '../types'
 export const faculty: FacultyMember[] = [
   {
     id: 'jane-doe-uc-davis',
+    programId: 'uc-davis-phd-spanish-ling',
     name: 'Jane Doe',
-    institution: 'University of California, Davis',
-    department: 'Spanish & Portuguese',
-    title: 'Associate Professor',
+    title_en: 'Associate Professor',
+    title_es: 'Profesora asociada',
+    department_en: 'Spanish & Portuguese',
+    department_es: 'Español y Portugués',
     researchAreas_en: [
       'Sociophonetics',
       'Heritage Speaker Bilingualism',
@@ -29,6 +35,7 @@ export const faculty: FacultyMember[] = [
       'Accepting 1-2 new PhD advisees for Fall 2026. Strong quantitative background preferred.',
     advisingNotes_es:
       'Aceptando 1-2 nuevos estudiantes de doctorado para otoño 2026. Se prefiere sólida formación cuantitativa.',
+    email: null,
     websiteURL: 'https://spanish.ucdavis.edu/people/jane-doe',
     scholarURL: 'https://scholar.google.com/citations?user=EXAMPLE',
     notableWork_en: [
@@ -44,10 +51,12 @@ export const faculty: FacultyMember[] = [
 
   {
     id: 'john-smith-uc-davis',
+    programId: 'uc-davis-phd-spanish-ling',
     name: 'John Smith',
-    institution: 'University of California, Davis',
-    department: 'Spanish & Portuguese',
-    title: 'Professor',
+    title_en: 'Professor',
+    title_es: 'Catedrático',
+    department_en: 'Spanish & Portuguese',
+    department_es: 'Español y Portugués',
     researchAreas_en: [
       'Second Language Acquisition',
       'Pedagogical Grammar',
@@ -58,15 +67,13 @@ export const faculty: FacultyMember[] = [
       'Gramática pedagógica',
       'Lingüística de corpus',
     ],
-    methodologicalStrengths: [
-      'Quantitative (statistical, corpus)',
-      'Mixed Methods',
-    ] as MethodsCulture[],
+    methodologicalStrengths: ['Quantitative (statistical, corpus)', 'Mixed Methods'],
     acceptingAdvisees: false,
     advisingNotes_en:
       'At capacity. Not accepting new advisees until 2027.',
     advisingNotes_es:
       'A capacidad máxima. No aceptando nuevos estudiantes hasta 2027.',
+    email: null,
     websiteURL: 'https://spanish.ucdavis.edu/people/john-smith',
     scholarURL: null,
     notableWork_en: [
@@ -85,16 +92,19 @@ export const faculty: FacultyMember[] = [
   /*
   {
     id: 'maria-garcia-ucla',
+    programId: 'ucla-phd-hispanic-ling',
     name: 'María García',
-    institution: 'University of California, Los Angeles',
-    department: 'Spanish & Portuguese',
-    title: 'Assistant Professor',
+    title_en: 'Assistant Professor',
+    title_es: 'Profesora adjunta',
+    department_en: 'Spanish & Portuguese',
+    department_es: 'Español y Portugués',
     researchAreas_en: ['Discourse Analysis', 'Sociolinguistics', 'Language and Identity'],
     researchAreas_es: ['Análisis del discurso', 'Sociolingüística', 'Lenguaje e identidad'],
     methodologicalStrengths: ['Qualitative (ethnographic, discourse)'],
     acceptingAdvisees: true,
     advisingNotes_en: 'Accepting new PhD advisees. Qualitative focus.',
     advisingNotes_es: 'Aceptando nuevos estudiantes de doctorado. Enfoque cualitativo.',
+    email: null,
     websiteURL: 'https://spanish.ucla.edu/maria-garcia',
     scholarURL: 'https://scholar.google.com/citations?user=EXAMPLE2',
     notableWork_en: [
@@ -118,10 +128,16 @@ export function getFacultyById(id: string): FacultyMember | undefined {
 }
 
 /**
- * Get faculty by institution
+ * Get faculty by institution (English or Spanish name of their program's institution)
  */
 export function getFacultyByInstitution(institution: string): FacultyMember[] {
-  return faculty.filter((f) => f.institution === institution)
+  const name = institution.toLowerCase()
+  const programIds = programs
+    .filter(
+      (p) => p.institution_en.toLowerCase() === name || p.institution_es.toLowerCase() === name
+    )
+    .map((p) => p.id)
+  return faculty.filter((f) => programIds.includes(f.programId))
 }
 
 /**
@@ -132,17 +148,12 @@ export function getFacultyAcceptingAdvisees(): FacultyMember[] {
 }
 
 /**
- * Get faculty by research area (English or Spanish)
+ * Get faculty by research area (English or Spanish, case- and accent-insensitive)
  */
 export function getFacultyByResearchArea(researchArea: string): FacultyMember[] {
-  return faculty.filter(
-    (f) =>
-      f.researchAreas_en.some((ra) =>
-        ra.toLowerCase().includes(researchArea.toLowerCase())
-      ) ||
-      f.researchAreas_es.some((ra) =>
-        ra.toLowerCase().includes(researchArea.toLowerCase())
-      )
+  const query = foldText(researchArea)
+  return faculty.filter((f) =>
+    [...f.researchAreas_en, ...f.researchAreas_es].some((ra) => foldText(ra).includes(query))
   )
 }
 
@@ -159,3 +170,19 @@ export function getFacultyByMethodology(methodology: MethodsCulture): FacultyMem
 export function getFacultyForProgram(facultyIds: string[]): FacultyMember[] {
   return faculty.filter((f) => facultyIds.includes(f.id))
 }
+
+/**
+ * Directory holding faculty profile pages (/faculty/, /es/profesorado/)
+ */
+export function getFacultyDirectory(lang: LanguageCode): string {
+  return siteConfig.sections.faculty[lang]
+}
+
+/**
+ * Path of a faculty member's profile page
+ * The Spanish slug is the id run through translateSlug, like other /es/ URLs.
+ */
+export function getFacultyProfilePath(member: FacultyMember, lang: LanguageCode): string {
+  const slug = lang === 'en' ? member.id : translateSlug(member.id, 'es')
+  return `${getFacultyDirectory(lang)}${slug}.html`
+}
@@ -0,0 +1,113 @@
+/**
+ * Help/Q&A Questions
+ *
+ * One record per Help page. The short answer appears above the fold; the
+ * detailed answer sections live in src/data/unstructured/helpAnswers.en/.es.json
+ * (keyed by id) and the pages are rendered by scripts/generate_help_pages.js.
+ * categoryId points at a Help category in categories.ts.
+ *
+ * Spanish Academic 2026
+ */
+
+import type { HelpQuestion } from './types';
+
+export const helpQuestions: HelpQuestion[] = [
+  {
+    id: 'f1-off-campus-work',
+    question_en: 'Can I work off campus on an F-1 visa during graduate school?',
+    question_es: '¿Puedo trabajar fuera del campus con una visa F-1?',
+    shortAnswer_en:
+      'Usually not in your first academic year. After that, off-campus work generally needs CPT, OPT or a USCIS authorization tied to your program of study.',
+    shortAnswer_es:
+      'Por lo general, no en el primer año académico. Después, el trabajo fuera del campus suele requerir CPT, OPT o una autorización de USCIS ligada a su programa.',
+    categoryId: 'immigration-visa-status',
+    url_en: '/help/f1-visa-off-campus-work.html',
+    url_es: '/es/ayuda/trabajo-fuera-del-campus-con-visa-f1.html',
+    lastReviewed: '2026-10-12',
+    legalSensitivity: true,
+  },
+  {
+    id: 'opt-after-graduate-degree',
+    question_en: 'Can I apply for OPT after finishing a Spanish MA or PhD?',
+    question_es: '¿Puedo pedir OPT al terminar una maestría o un doctorado?',
+    shortAnswer_en:
+      'Often yes: F-1 students can usually request post-completion OPT for work related to their degree, but eligibility and deadlines depend on your situation.',
+    shortAnswer_es:
+      'A menudo sí: los estudiantes F-1 suelen poder pedir OPT tras completar el título para un trabajo relacionado, pero los requisitos y plazos dependen de su caso.',
+    categoryId: 'immigration-visa-status',
+    url_en: '/help/opt-after-graduate-degree.html',
+    url_es: '/es/ayuda/opt-despues-del-posgrado.html',
+    lastReviewed: '2026-10-12',
+    legalSensitivity: true,
+  },
+  {
+    id: 'ai-tools-in-coursework',
+    question_en: 'Can I use AI writing tools in graduate Spanish seminars?',
+    question_es: '¿Puedo usar herramientas de IA en seminarios de posgrado?',
+    shortAnswer_en:
+      'Only within the rules your program and each instructor set. Many seminars allow AI tools for brainstorming or editing but require you to disclose their use.',
+    shortAnswer_es:
+      'Solo dentro de las normas de su programa y de cada docente. Muchos seminarios las permiten para generar ideas o revisar, pero exigen declarar cómo se usaron.',
+    categoryId: 'academic-integrity-ai',
+    url_en: '/help/ai-tools-in-graduate-coursework.html',
+    url_es: '/es/ayuda/herramientas-de-ia-en-cursos-de-posgrado.html',
+    lastReviewed: '2026-09-28',
+    legalSensitivity: false,
+  },
+  {
+    id: 'negotiating-funding-offers',
+    question_en: 'Can I negotiate a PhD funding offer from a Spanish program?',
+    question_es: '¿Se puede negociar una oferta de financiación doctoral?',
+    shortAnswer_en:
+      'You can ask, politely and with evidence. Departments rarely raise a standard stipend, but competing offers can help with start dates, summer support or fees.',
+    shortAnswer_es:
+      'Puede preguntar, con cortesía y con datos. Rara vez se sube el estipendio estándar, pero otra oferta puede mejorar la ayuda de verano o las tasas académicas.',
+    categoryId: 'funding-financial-aid',
+    url_en: '/help/negotiating-phd-funding-offers.html',
+    url_es: '/es/ayuda/negociar-ofertas-de-financiacion-doctoral.html',
+    lastReviewed: '2026-09-28',
+    legalSensitivity: false,
+  },
+  {
+    id: 'ma-before-phd',
+    question_en: 'Should I earn an MA before applying to a PhD in Spanish?',
+    question_es: '¿Conviene hacer una maestría antes del doctorado en español?',
+    shortAnswer_en:
+      'Not necessarily. Many PhD programs admit students with a BA, but an MA helps if you need a stronger writing sample, more coursework or a change of field.',
+    shortAnswer_es:
+      'No necesariamente. Muchos doctorados admiten a estudiantes con licenciatura, pero una maestría ayuda si necesita mejor muestra de escritura o cambiar de campo.',
+    categoryId: 'program-selection',
+    url_en: '/help/ma-before-phd.html',
+    url_es: '/es/ayuda/maestria-antes-del-doctorado.html',
+    lastReviewed: '2026-10-05',
+    legalSensitivity: false,
+  },
+  {
+    id: 'statistics-before-linguistics-phd',
+    question_en: 'Do I need statistics or R before a Spanish linguistics PhD?',
+    question_es: '¿Necesito saber estadística o R antes del doctorado?',
+    shortAnswer_en:
+      'It is not always required, but it helps a lot in quantitative programs. An introductory statistics course and some practice in R make the first year easier.',
+    shortAnswer_es:
+      'No siempre se exige, pero ayuda mucho en programas cuantitativos. Un curso básico de estadística y algo de práctica con R facilitan mucho el primer año.',
+    categoryId: 'research-methods',
+    url_en: '/help/statistics-before-linguistics-phd.html',
+    url_es: '/es/ayuda/estadistica-antes-del-doctorado-en-linguistica.html',
+    lastReviewed: '2026-10-05',
+    legalSensitivity: false,
+  },
+];
+
+/**
+ * Get a Help question by ID
+ */
+export function getHelpQuestionById(id: string): HelpQuestion | undefined {
+  return helpQuestions.find((q) => q.id === id);
+}
+
+/**
+ * Get Help questions in a category (Category.id)
+ */
+export function getHelpQuestionsByCategory(categoryId: string): HelpQuestion[] {
+  return helpQuestions.filter((q) => q.categoryId === categoryId);
+}
@@ -1,8 +1,11 @@
 /**
  * Structured data exports
- * Single source of truth for program and faculty information
+ * Single source of truth for program, faculty, Help/Q&A and category information
  */
 
+export * from './types'
 export * from './programs'
 export * from './faculty'
-export * from '../types'
+export * from './help'
+export * from './categories'
+export * from './validation'
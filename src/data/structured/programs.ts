@@ -7,7 +7,7 @@
  * Spanish Academic 2026
  */
 
-import { Program } from './types';
+import type { Program } from './types';
 
 export const programs: Program[] = [
   {
@@ -16,6 +16,7 @@ export const programs: Program[] = [
     institution_es: 'Universidad de California, Davis',
     degree_en: 'PhD in Spanish Linguistics',
     degree_es: 'Doctorado en Lingüística Española',
+    degreeType: 'PhD',
     focusAreas_en: ['Phonetics/Phonology', 'Sociolinguistics'],
     focusAreas_es: ['Fonética/Fonología', 'Sociolingüística'],
     methodsCulture_en: 'Quantitative methods emphasis, corpus linguistics.',
@@ -23,19 +24,46 @@ export const programs: Program[] = [
     city: 'Davis',
     state: 'CA',
     country: 'USA',
+    lat: 38.5382,
+    lng: -121.7617,
+    deliveryMode: 'In-Person',
+    acceptingApplications: true,
     stipendApproxUSD: 32000,
     yearsGuaranteed: 5,
+    tuitionRemission: true,
     additionalSummerFunding: true,
+    fundingNotes_en:
+      'Funding combines teaching assistantships and graduate student research positions. Amounts are approximate and subject to change.',
+    fundingNotes_es:
+      'La financiación combina asistencias de docencia y puestos de investigación para estudiantes de posgrado. Los montos son aproximados y pueden cambiar.',
     greRequired: false,
     greSubjectTestRequired: false,
     writingSampleRequired: true,
     languageProficiencyRequired: false,
+    minGPA: null,
+    admissionsNotes_en:
+      'A writing sample demonstrating research potential is critical. Advanced Spanish proficiency is expected.',
+    admissionsNotes_es:
+      'Una muestra de escritura que demuestre potencial de investigación es fundamental. Se espera un dominio avanzado del español.',
+    visaNotes_en:
+      'International students are typically sponsored for F-1 visas. This is not legal advice; confirm details with the graduate studies office.',
+    visaNotes_es:
+      'Los estudiantes internacionales suelen recibir patrocinio para visas F-1. Esto no constituye asesoramiento legal; confirme los detalles con la oficina de estudios de posgrado.',
     cohortSizeApprox: 3,
     acceptanceRateApprox: 15,
+    facultyIds: ['jane-doe-uc-davis', 'john-smith-uc-davis'],
     url_en: '/programs/uc-davis-phd-spanish-ling.html',
     url_es: '/es/programas/uc-davis-doctorado-ling-espanola.html',
     officialWebsite: 'https://spanish.ucdavis.edu/graduate',
     applicationPortal: 'https://grad.ucdavis.edu/admissions/apply',
+    handbookPDF: null,
     lastUpdated: '2025-10-24',
   },
 ];
+
+/**
+ * Get program by ID
+ */
+export function getProgramById(id: string): Program | undefined {
+  return programs.find((p) => p.id === id);
+}
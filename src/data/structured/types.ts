@@ -7,11 +7,32 @@
  * Spanish Academic 2026
  */
 
+// Language code (shared by all bilingual records)
+export type LanguageCode = 'en' | 'es';
+
+// Degree type offered by programs
+export type DegreeType = 'MA' | 'PhD' | 'Certificate' | 'Graduate Minor';
+
+// How a program is delivered
+export type DeliveryMode = 'In-Person' | 'Online' | 'Hybrid';
+
+// Methods culture expectations (shared vocabulary for programs and faculty)
+export type MethodsCulture =
+  | 'Quantitative (statistical, corpus)'
+  | 'Qualitative (ethnographic, discourse)'
+  | 'Mixed Methods'
+  | 'Theoretical / Literary Analysis'
+  | 'Experimental';
+
 /**
  * Program - Graduate program information
  *
  * Represents a PhD, MA, or other graduate program in Spanish Linguistics,
  * Literature, Translation/Interpreting, or related fields.
+ *
+ * This is the canonical program schema. Every data file, island and build
+ * script reads programs through this interface, and `validation.ts` checks
+ * records against it at build time.
  */
 export interface Program {
   // Unique identifier (shared across languages)
@@ -25,6 +46,9 @@ export interface Program {
   degree_en: string;
   degree_es: string;
 
+  // Degree type (shared - used for filtering)
+  degreeType: DegreeType;
+
   // Research focus areas (bilingual arrays)
   focusAreas_en: string[];
   focusAreas_es: string[];
@@ -37,22 +61,45 @@ export interface Program {
   city: string;
   state: string | null; // Null for non-US programs
   country: string;
+  lat: number | null; // Latitude for mapping (-90 to 90)
+  lng: number | null; // Longitude for mapping (-180 to 180)
+
+  // Delivery and application status (shared)
+  deliveryMode: DeliveryMode;
+  acceptingApplications: boolean;
 
   // Funding information (shared - numeric data)
   stipendApproxUSD: number | null; // Approximate annual stipend in USD
   yearsGuaranteed: number | null; // Years of guaranteed funding
+  tuitionRemission: boolean; // Full tuition remission provided
   additionalSummerFunding: boolean; // Additional summer funding available
 
+  // Funding notes (bilingual)
+  fundingNotes_en: string;
+  fundingNotes_es: string;
+
   // Application requirements (shared - boolean data)
   greRequired: boolean;
   greSubjectTestRequired: boolean;
   writingSampleRequired: boolean;
   languageProficiencyRequired: boolean; // Beyond Spanish (e.g., Latin, Portuguese)
+  minGPA: number | null; // Null if not specified
+
+  // Admissions notes (bilingual)
+  admissionsNotes_en: string;
+  admissionsNotes_es: string;
+
+  // Visa/immigration notes (bilingual)
+  visaNotes_en: string;
+  visaNotes_es: string;
 
   // Program size and selectivity (shared - numeric data)
   cohortSizeApprox: number | null;
   acceptanceRateApprox: number | null; // Percentage (0-100)
 
+  // Faculty associated with this program (references FacultyMember.id)
+  facultyIds: string[];
+
   // Program URLs (bilingual)
   url_en: string; // Path to program detail page (English)
   url_es: string; // Path to program detail page (Spanish)
@@ -60,47 +107,59 @@ export interface Program {
   // External links (shared - same for both languages)
   officialWebsite: string;
   applicationPortal: string | null;
+  handbookPDF: string | null;
 
   // Metadata
   lastUpdated: string; // ISO 8601 date
 }
 
 /**
- * Faculty - Faculty member information
+ * FacultyMember - Faculty member / advisor information
  *
  * Represents a faculty member at a program, with research interests
  * and advising information.
  */
-export interface Faculty {
-  // Unique identifier
+export interface FacultyMember {
+  // Unique identifier (e.g., "jane-doe-uc-davis")
   id: string;
 
   // Program affiliation (references Program.id)
   programId: string;
 
-  // Name (shared - same in both languages)
-  firstName: string;
-  lastName: string;
-  title: string; // Dr., Prof., etc.
+  // Full name (shared - same in both languages)
+  name: string;
+
+  // Academic title and department (bilingual)
+  title_en: string;
+  title_es: string;
+  department_en: string;
+  department_es: string;
 
-  // Research interests (bilingual arrays)
-  researchInterests_en: string[];
-  researchInterests_es: string[];
+  // Research areas (bilingual arrays)
+  researchAreas_en: string[];
+  researchAreas_es: string[];
 
-  // Notable work or specialization (bilingual)
-  specialization_en: string;
-  specialization_es: string;
+  // Methodological strengths (shared vocabulary)
+  methodologicalStrengths: MethodsCulture[];
 
   // Advising status (shared - boolean)
-  acceptingStudents: boolean;
+  acceptingAdvisees: boolean;
+
+  // Notes on advising capacity (bilingual)
+  advisingNotes_en: string;
+  advisingNotes_es: string;
+
+  // Notable publications or projects (bilingual arrays)
+  notableWork_en: string[];
+  notableWork_es: string[];
 
   // Contact and links (shared)
   email: string | null;
-  personalWebsite: string | null;
-  googleScholar: string | null;
+  websiteURL: string | null;
+  scholarURL: string | null;
 
   // Metadata
-  lastUpdated: string; // ISO 8601 date
+  lastVerified: string; // ISO 8601 date
 }
 
 /**
@@ -162,9 +221,8 @@ export interface HelpQuestion {
   shortAnswer_en: string;
   shortAnswer_es: string;
 
-  // Category (bilingual)
-  category_en: string;
-  category_es: string;
+  // Category (Category.id of a Help category in categories.ts)
+  categoryId: string;
 
   // URLs (bilingual)
   url_en: string;
@@ -178,7 +236,8 @@ export interface HelpQuestion {
 /**
  * Category - Category metadata for Insights and Help sections
  *
- * Categories organize articles and Q&A pages.
+ * Categories organize articles and Q&A pages. Pages reference them by id;
+ * the registry lives in categories.ts.
  */
 export interface Category {
   // Unique identifier
@@ -0,0 +1,537 @@
+/**
+ * Runtime Validation for Structured Data
+ *
+ * TypeScript only checks records at compile time. Build scripts, the
+ * corrections workflow and anything that loads records from JSON need the
+ * same guarantees at runtime, so this module re-states the canonical schema
+ * from types.ts as field rules and checks:
+ * - field presence, types and allowed values
+ * - *_en / *_es pairing (both present, non-empty, equal-length arrays)
+ * - ISO 8601 dates (YYYY-MM-DD)
+ * - lat/lng and percentage ranges
+ * - URL formats (external https URLs, /... and /es/... site paths)
+ * - cross-record references (program ↔ faculty, Help question → category)
+ * - Help/Q&A questions: unique ids and page paths
+ * - categories: names from the taxonomies, unique ids and slugs
+ *
+ * Spanish Academic 2026
+ */
+
+import type { Category, FacultyMember, HelpQuestion, Program } from './types';
+
+/**
+ * A single validation problem, reported per record and field
+ */
+export interface ValidationIssue {
+  recordType: 'program' | 'faculty' | 'helpQuestion' | 'category';
+  recordId: string;
+  field: string;
+  message: string;
+}
+
+type FieldKind =
+  | 'string'
+  | 'stringArray'
+  | 'number'
+  | 'boolean'
+  | 'isoDate'
+  | 'externalUrl'
+  | 'pathEn'
+  | 'pathEs';
+
+export interface FieldRule {
+  kind: FieldKind;
+  nullable?: boolean;
+  oneOf?: readonly string[];
+  min?: number;
+  max?: number;
+}
+
+export const DEGREE_TYPES = ['MA', 'PhD', 'Certificate', 'Graduate Minor'] as const;
+export const DELIVERY_MODES = ['In-Person', 'Online', 'Hybrid'] as const;
+export const METHODS_CULTURES = [
+  'Quantitative (statistical, corpus)',
+  'Qualitative (ethnographic, discourse)',
+  'Mixed Methods',
+  'Theoretical / Literary Analysis',
+  'Experimental',
+] as const;
+
+// Same values as InsightsCategory in src/data/types.ts
+export const INSIGHTS_CATEGORIES = [
+  'Academic Program Reviews',
+  'AI in Higher Education',
+  'Statistical & Research Methods',
+  'Spanish for the Professions',
+  'Advice for Students',
+  'Field Analyses & Policy',
+  'Tools & Data Infrastructure',
+] as const;
+
+// Same values as QACategory in src/data/types.ts
+export const QA_CATEGORIES = [
+  'Immigration & Visa Status',
+  'Academic Integrity & AI',
+  'Funding & Financial Aid',
+  'Program Selection',
+  'Research Methods',
+  'Career & Professional Development',
+] as const;
+
+/**
+ * Program field rules
+ * Keyed by `keyof Program` so a field added to the interface without a rule
+ * (or a rule for a removed field) fails type-checking.
+ */
+const PROGRAM_RULES: Record<keyof Program, FieldRule> = {
+  id: { kind: 'string' },
+  institution_en: { kind: 'string' },
+  institution_es: { kind: 'string' },
+  degree_en: { kind: 'string' },
+  degree_es: { kind: 'string' },
+  degreeType: { kind: 'string', oneOf: DEGREE_TYPES },
+  focusAreas_en: { kind: 'stringArray' },
+  focusAreas_es: { kind: 'stringArray' },
+  methodsCulture_en: { kind: 'string' },
+  methodsCulture_es: { kind: 'string' },
+  city: { kind: 'string' },
+  state: { kind: 'string', nullable: true },
+  country: { kind: 'string' },
+  lat: { kind: 'number', nullable: true, min: -90, max: 90 },
+  lng: { kind: 'number', nullable: true, min: -180, max: 180 },
+  deliveryMode: { kind: 'string', oneOf: DELIVERY_MODES },
+  acceptingApplications: { kind: 'boolean' },
+  stipendApproxUSD: { kind: 'number', nullable: true, min: 0 },
+  yearsGuaranteed: { kind: 'number', nullable: true, min: 0, max: 10 },
+  tuitionRemission: { kind: 'boolean' },
+  additionalSummerFunding: { kind: 'boolean' },
+  fundingNotes_en: { kind: 'string' },
+  fundingNotes_es: { kind: 'string' },
+  greRequired: { kind: 'boolean' },
+  greSubjectTestRequired: { kind: 'boolean' },
+  writingSampleRequired: { kind: 'boolean' },
+  languageProficiencyRequired: { kind: 'boolean' },
+  minGPA: { kind: 'number', nullable: true, min: 0, max: 5 },
+  admissionsNotes_en: { kind: 'string' },
+  admissionsNotes_es: { kind: 'string' },
+  visaNotes_en: { kind: 'string' },
+  visaNotes_es: { kind: 'string' },
+  cohortSizeApprox: { kind: 'number', nullable: true, min: 0 },
+  acceptanceRateApprox: { kind: 'number', nullable: true, min: 0, max: 100 },
+  facultyIds: { kind: 'stringArray' },
+  url_en: { kind: 'pathEn' },
+  url_es: { kind: 'pathEs' },
+  officialWebsite: { kind: 'externalUrl' },
+  applicationPortal: { kind: 'externalUrl', nullable: true },
+  handbookPDF: { kind: 'externalUrl', nullable: true },
+  lastUpdated: { kind: 'isoDate' },
+};
+
+/**
+ * Faculty field rules
+ */
+const FACULTY_RULES: Record<keyof FacultyMember, FieldRule> = {
+  id: { kind: 'string' },
+  programId: { kind: 'string' },
+  name: { kind: 'string' },
+  title_en: { kind: 'string' },
+  title_es: { kind: 'string' },
+  department_en: { kind: 'string' },
+  department_es: { kind: 'string' },
+  researchAreas_en: { kind: 'stringArray' },
+  researchAreas_es: { kind: 'stringArray' },
+  methodologicalStrengths: { kind: 'stringArray', oneOf: METHODS_CULTURES },
+  acceptingAdvisees: { kind: 'boolean' },
+  advisingNotes_en: { kind: 'string' },
+  advisingNotes_es: { kind: 'string' },
+  notableWork_en: { kind: 'stringArray' },
+  notableWork_es: { kind: 'stringArray' },
+  email: { kind: 'string', nullable: true },
+  websiteURL: { kind: 'externalUrl', nullable: true },
+  scholarURL: { kind: 'externalUrl', nullable: true },
+  lastVerified: { kind: 'isoDate' },
+};
+
+/**
+ * Help/Q&A question field rules
+ */
+const HELP_QUESTION_RULES: Record<keyof HelpQuestion, FieldRule> = {
+  id: { kind: 'string' },
+  question_en: { kind: 'string' },
+  question_es: { kind: 'string' },
+  shortAnswer_en: { kind: 'string' },
+  shortAnswer_es: { kind: 'string' },
+  categoryId: { kind: 'string' },
+  url_en: { kind: 'pathEn' },
+  url_es: { kind: 'pathEs' },
+  lastReviewed: { kind: 'isoDate' },
+  legalSensitivity: { kind: 'boolean' },
+};
+
+export const CATEGORY_SECTIONS = ['insights', 'help'] as const;
+
+// Category names per section (name_en must be one of these)
+const CATEGORY_NAMES: Record<Category['section'], readonly string[]> = {
+  insights: INSIGHTS_CATEGORIES,
+  help: QA_CATEGORIES,
+};
+
+// Slugs become file names, so lowercase ASCII words joined by hyphens
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Category field rules
+ */
+const CATEGORY_RULES: Record<keyof Category, FieldRule> = {
+  id: { kind: 'string' },
+  name_en: { kind: 'string' },
+  name_es: { kind: 'string' },
+  description_en: { kind: 'string' },
+  description_es: { kind: 'string' },
+  slug_en: { kind: 'string' },
+  slug_es: { kind: 'string' },
+  icon: { kind: 'string' },
+  section: { kind: 'string', oneOf: CATEGORY_SECTIONS },
+};
+
+/**
+ * Check a YYYY-MM-DD string is a real calendar date
+ */
+export function isIsoDate(value: string): boolean {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Check a string is an absolute http(s) URL
+ */
+export function isExternalUrl(value: string): boolean {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check a single value against its rule, returning an error message or null
+ */
+function checkValue(value: unknown, rule: FieldRule): string | null {
+  if (value === null) {
+    return rule.nullable ? null : 'must not be null';
+  }
+
+  switch (rule.kind) {
+    case 'string':
+      if (typeof value !== 'string') return 'must be a string';
+      if (value.trim() === '') return 'must not be empty';
+      if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return `must be one of: ${rule.oneOf.join(', ')} (got "${value}")`;
+      }
+      return null;
+
+    case 'stringArray':
+      if (!Array.isArray(value)) return 'must be an array of strings';
+      for (const item of value) {
+        if (typeof item !== 'string' || item.trim() === '') {
+          return 'must contain only non-empty strings';
+        }
+        if (rule.oneOf && !rule.oneOf.includes(item)) {
+          return `contains "${item}", expected one of: ${rule.oneOf.join(', ')}`;
+        }
+      }
+      return null;
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+      if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min} (got ${value})`;
+      if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max} (got ${value})`;
+      return null;
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be a boolean';
+
+    case 'isoDate':
+      if (typeof value !== 'string' || !isIsoDate(value)) {
+        return `must be an ISO 8601 date YYYY-MM-DD (got "${String(value)}")`;
+      }
+      return null;
+
+    case 'externalUrl':
+      if (typeof value !== 'string' || !isExternalUrl(value)) {
+        return `must be an absolute http(s) URL (got "${String(value)}")`;
+      }
+      return null;
+
+    case 'pathEn':
+      if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('/es/')) {
+        return `must be an English site path starting with "/" but not "/es/" (got "${String(value)}")`;
+      }
+      return null;
+
+    case 'pathEs':
+      if (typeof value !== 'string' || !value.startsWith('/es/')) {
+        return `must be a Spanish site path starting with "/es/" (got "${String(value)}")`;
+      }
+      return null;
+  }
+}
+
+/**
+ * Validate one record against a rule table
+ */
+function validateRecord(
+  record: unknown,
+  rules: Record<string, FieldRule>,
+  recordType: ValidationIssue['recordType']
+): ValidationIssue[] {
+  if (typeof record !== 'object' || record === null || Array.isArray(record)) {
+    return [{ recordType, recordId: '(unknown)', field: '', message: 'record must be an object' }];
+  }
+
+  const data = record as Record<string, unknown>;
+  const recordId = typeof data.id === 'string' && data.id ? data.id : '(missing id)';
+  const issues: ValidationIssue[] = [];
+  const report = (field: string, message: string) =>
+    issues.push({ recordType, recordId, field, message });
+
+  // Presence and per-field rules
+  for (const [field, rule] of Object.entries(rules)) {
+    if (!(field in data) || data[field] === undefined) {
+      report(field, 'is missing');
+      continue;
+    }
+    const error = checkValue(data[field], rule);
+    if (error) {
+      report(field, error);
+    }
+  }
+
+  // Fields the schema does not know about (drift from types.ts)
+  for (const field of Object.keys(data)) {
+    if (!(field in rules)) {
+      report(field, 'is not part of the canonical schema');
+    }
+  }
+
+  // Bilingual pairing: every *_en needs a *_es twin of the same shape
+  for (const field of Object.keys(data)) {
+    if (!field.endsWith('_en')) continue;
+
+    const twin = field.replace(/_en$/, '_es');
+    if (!(twin in data)) {
+      // Schema fields are already reported as missing above
+      if (!(twin in rules)) {
+        report(twin, `is missing (required twin of ${field})`);
+      }
+      continue;
+    }
+
+    const en = data[field];
+    const es = data[twin];
+    if (Array.isArray(en) && Array.isArray(es) && en.length !== es.length) {
+      report(twin, `has ${es.length} item(s) but ${field} has ${en.length}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a single program record
+ */
+export function validateProgram(record: unknown): ValidationIssue[] {
+  return validateRecord(record, PROGRAM_RULES, 'program');
+}
+
+/**
+ * Check one program field value, returning an error message or null
+ * (used for reader corrections, which change a single field at a time)
+ */
+export function checkProgramField(field: keyof Program, value: unknown): string | null {
+  return checkValue(value, PROGRAM_RULES[field]);
+}
+
+/**
+ * The rule checkProgramField applies to a field, for ports of these checks
+ * (scripts/contact/build-php-rules.js)
+ */
+export function getProgramFieldRule(field: keyof Program): FieldRule {
+  return PROGRAM_RULES[field];
+}
+
+/**
+ * Validate a single faculty record
+ */
+export function validateFacultyMember(record: unknown): ValidationIssue[] {
+  return validateRecord(record, FACULTY_RULES, 'faculty');
+}
+
+/**
+ * Validate a single Help/Q&A question record
+ */
+export function validateHelpQuestion(record: unknown): ValidationIssue[] {
+  return validateRecord(record, HELP_QUESTION_RULES, 'helpQuestion');
+}
+
+/**
+ * Validate a single category record
+ */
+export function validateCategory(record: unknown): ValidationIssue[] {
+  const issues = validateRecord(record, CATEGORY_RULES, 'category');
+  if (issues.length > 0) {
+    return issues;
+  }
+
+  const category = record as Category;
+  const report = (field: string, message: string) =>
+    issues.push({ recordType: 'category', recordId: category.id, field, message });
+
+  if (!CATEGORY_NAMES[category.section].includes(category.name_en)) {
+    report('name_en', `must be one of the ${category.section} categories: ${CATEGORY_NAMES[category.section].join(', ')} (got "${category.name_en}")`);
+  }
+  for (const field of ['slug_en', 'slug_es'] as const) {
+    if (!SLUG_PATTERN.test(category[field])) {
+      report(field, `must be lowercase words joined by hyphens (got "${category[field]}")`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate the full structured dataset, including cross-record references
+ */
+export function validateDataset(data: {
+  programs: readonly unknown[];
+  faculty: readonly unknown[];
+  helpQuestions: readonly unknown[];
+  categories: readonly unknown[];
+}): ValidationIssue[] {
+  const issues: ValidationIssue[] = [];
+
+  data.programs.forEach((p) => issues.push(...validateProgram(p)));
+  data.faculty.forEach((f) => issues.push(...validateFacultyMember(f)));
+  data.helpQuestions.forEach((q) => issues.push(...validateHelpQuestion(q)));
+  data.categories.forEach((c) => issues.push(...validateCategory(c)));
+
+  // Reference checks only make sense once the records have the right shape
+  if (issues.length > 0) {
+    return issues;
+  }
+
+  const programs = data.programs as Program[];
+  const faculty = data.faculty as FacultyMember[];
+  const helpQuestions = data.helpQuestions as HelpQuestion[];
+  const categories = data.categories as Category[];
+
+  const findDuplicates = (ids: string[]) => ids.filter((id, i) => ids.indexOf(id) !== i);
+  findDuplicates(programs.map((p) => p.id)).forEach((id) =>
+    issues.push({ recordType: 'program', recordId: id, field: 'id', message: 'is not unique' })
+  );
+  findDuplicates(faculty.map((f) => f.id)).forEach((id) =>
+    issues.push({ recordType: 'faculty', recordId: id, field: 'id', message: 'is not unique' })
+  );
+  findDuplicates(helpQuestions.map((q) => q.id)).forEach((id) =>
+    issues.push({ recordType: 'helpQuestion', recordId: id, field: 'id', message: 'is not unique' })
+  );
+  findDuplicates(categories.map((c) => c.id)).forEach((id) =>
+    issues.push({ recordType: 'category', recordId: id, field: 'id', message: 'is not unique' })
+  );
+
+  // Two questions can't render to the same page
+  for (const field of ['url_en', 'url_es'] as const) {
+    findDuplicates(helpQuestions.map((q) => q[field])).forEach((url) =>
+      issues.push({
+        recordType: 'helpQuestion',
+        recordId: helpQuestions.find((q) => q[field] === url)?.id ?? '(unknown)',
+        field,
+        message: `"${url}" is used by more than one question`,
+      })
+    );
+  }
+
+  // Category pages live at <section directory>/<slug>.html
+  for (const section of CATEGORY_SECTIONS) {
+    const inSection = categories.filter((c) => c.section === section);
+    for (const field of ['name_en', 'name_es', 'slug_en', 'slug_es'] as const) {
+      findDuplicates(inSection.map((c) => c[field])).forEach((value) =>
+        issues.push({
+          recordType: 'category',
+          recordId: inSection.find((c) => c[field] === value)?.id ?? '(unknown)',
+          field,
+          message: `"${value}" is used by more than one ${section} category`,
+        })
+      );
+    }
+  }
+
+  const categoriesById = new Map(categories.map((c) => [c.id, c]));
+  for (const question of helpQuestions) {
+    const category = categoriesById.get(question.categoryId);
+    if (!category) {
+      issues.push({
+        recordType: 'helpQuestion',
+        recordId: question.id,
+        field: 'categoryId',
+        message: `references unknown category "${question.categoryId}"`,
+      });
+    } else if (category.section !== 'help') {
+      issues.push({
+        recordType: 'helpQuestion',
+        recordId: question.id,
+        field: 'categoryId',
+        message: `"${question.categoryId}" is an ${category.section} category, not a Help category`,
+      });
+    }
+  }
+
+  const programsById = new Map(programs.map((p) => [p.id, p]));
+  const facultyIds = new Set(faculty.map((f) => f.id));
+
+  for (const program of programs) {
+    for (const facultyId of program.facultyIds) {
+      if (!facultyIds.has(facultyId)) {
+        issues.push({
+          recordType: 'program',
+          recordId: program.id,
+          field: 'facultyIds',
+          message: `references unknown faculty "${facultyId}"`,
+        });
+      }
+    }
+  }
+
+  for (const member of faculty) {
+    const program = programsById.get(member.programId);
+    if (!program) {
+      issues.push({
+        recordType: 'faculty',
+        recordId: member.id,
+        field: 'programId',
+        message: `references unknown program "${member.programId}"`,
+      });
+    } else if (!program.facultyIds.includes(member.id)) {
+      issues.push({
+        recordType: 'faculty',
+        recordId: member.id,
+        field: 'programId',
+        message: `program "${program.id}" does not list this faculty member in facultyIds`,
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Format an issue for console output
+ */
+export function formatValidationIssue(issue: ValidationIssue): string {
+  const field = issue.field ? `.${issue.field}` : '';
+  return `[${issue.recordType}:${issue.recordId}]${field} ${issue.message}`;
+}
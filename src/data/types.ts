@@ -1,178 +1,26 @@
 /**
- * Core data types for Spanish Academic platform
+ * Page and JSON twin types for Spanish Academic platform
  * Bilingual fields use _en and _es suffixes
  * Shared numeric/boolean data has no language suffix
  */
 
-/** Degree type offered by programs */
-export type DegreeType = 'MA' | 'PhD' | 'Certificate' | 'Graduate Minor'
+import type { DegreeType, MethodsCulture } from './structured/types'
 
-/** Program focus areas/subfields */
-export type FocusArea =
-  | 'Sociolinguistics'
-  | 'Sociophonetics'
-  | 'Heritage Bilingualism'
-  | 'Second Language Acquisition'
-  | 'Spanish Literature'
-  | 'Translation Studies'
-  | 'Interpreting'
-  | 'Spanish for the Professions'
-  | 'Corpus Linguistics'
-  | 'Discourse Analysis'
-  | 'Pedagogy'
-  | 'Applied Linguistics'
-
-/** Methods culture expectations */
-export type MethodsCulture =
-  | 'Quantitative (statistical, corpus)'
-  | 'Qualitative (ethnographic, discourse)'
-  | 'Mixed Methods'
-  | 'Theoretical / Literary Analysis'
-  | 'Experimental'
-
-/** Program detail interface with bilingual fields */
-export interface Program {
-  /** Unique identifier (e.g., "uc-davis-phd-spanish-ling") */
-  id: string
-
-  /** Institution name (shared across languages) */
-  institution: string
-
-  /** Degree type */
-  degreeType: DegreeType
-
-  /** Focus areas in English */
-  focusAreas_en: string[]
-
-  /** Focus areas in Spanish */
-  focusAreas_es: string[]
-
-  /** Funding details */
-  funding: {
-    /** Full tuition remission provided */
-    tuitionRemission: boolean
-    /** Approximate annual stipend in USD (null if unfunded) */
-    stipendApproxUSD: number | null
-    /** Years of guaranteed funding */
-    yearsGuaranteed: number | null
-    /** Additional funding notes in English */
-    notes_en: string
-    /** Additional funding notes in Spanish */
-    notes_es: string
-  }
-
-  /** Admissions requirements and expectations */
-  admissions: {
-    /** GRE required for application */
-    greRequired: boolean
-    /** Minimum GPA (null if not specified) */
-    minGPA: number | null
-    /** Admissions notes in English */
-    notes_en: string
-    /** Admissions notes in Spanish */
-    notes_es: string
-  }
-
-  /** Methods culture description in English */
-  methodsCulture_en: string
-
-  /** Methods culture description in Spanish */
-  methodsCulture_es: string
-
-  /** Geographic location */
-  location: {
-    city: string
-    state: string
-    country: string
-    /** Latitude for mapping */
-    lat: number
-    /** Longitude for mapping */
-    lng: number
-  }
-
-  /** IDs of faculty members associated with this program */
-  facultyIds: string[]
-
-  /** External URLs */
-  urls: {
-    /** Official program website */
-    programPage: string
-    /** Link to graduate handbook PDF (if available) */
-    handbookPDF: string | null
-    /** Link to application portal */
-    applicationPortal: string | null
-  }
-
-  /** Visa/immigration notes in English */
-  visaNotes_en: string
-
-  /** Visa/immigration notes in Spanish */
-  visaNotes_es: string
-
-  /** Online/hybrid/in-person delivery mode */
-  deliveryMode: 'In-Person' | 'Online' | 'Hybrid'
-
-  /** Whether program is currently accepting applications */
-  acceptingApplications: boolean
-
-  /** Last verified date for data accuracy (ISO 8601) */
-  lastVerified: string
-}
-
-/** Faculty member / advisor interface */
-export interface FacultyMember {
-  /** Unique identifier (e.g., "jane-doe-uc-davis") */
-  id: string
-
-  /** Full name */
-  name: string
-
-  /** Institution affiliation */
-  institution: string
-
-  /** Department/program affiliation */
-  department: string
-
-  /** Academic title */
-  title: string
-
-  /** Research areas in English */
-  researchAreas_en: string[]
-
-  /** Research areas in Spanish */
-  researchAreas_es: string[]
-
-  /** Methodological strengths */
-  methodologicalStrengths: MethodsCulture[]
-
-  /** Currently accepting new advisees */
-  acceptingAdvisees: boolean
-
-  /** Notes on advising capacity in English */
-  advisingNotes_en: string
-
-  /** Notes on advising capacity in Spanish */
-  advisingNotes_es: string
-
-  /** Personal website URL */
-  websiteURL: string | null
-
-  /** Google Scholar profile URL */
-  scholarURL: string | null
-
-  /** Notable publications or projects in English */
-  notableWork_en: string[]
-
-  /** Notable publications or projects in Spanish */
-  notableWork_es: string[]
-
-  /** Last verified date for accuracy (ISO 8601) */
-  lastVerified: string
-}
+/**
+ * Program and faculty records live in ./structured/types (canonical schema).
+ * The shared vocabulary is re-exported here for page/twin consumers.
+ */
+export type {
+  DegreeType,
+  DeliveryMode,
+  LanguageCode,
+  MethodsCulture,
+} from './structured/types'
 
 /** Insights article metadata */
 export interface InsightsArticle {
   type: 'insightsArticle'
+  schemaVersion: number // TWIN_SCHEMA_VERSION (scripts/utils/twin-schemas.js)
   language: 'en' | 'es'
   title: string
   slug: string
@@ -203,6 +51,7 @@ export type InsightsCategory =
 /** Help/Q&A page metadata */
 export interface QAPage {
   type: 'qaPage'
+  schemaVersion: number
   language: 'en' | 'es'
   question: string
   slug: string
@@ -234,6 +83,7 @@ export type QACategory =
 /** Program summary for JSON twin */
 export interface ProgramSummary {
   type: 'programSummary'
+  schemaVersion: number
   language: 'en' | 'es'
   programId: string
   institution: string
@@ -252,11 +102,41 @@ export interface ProgramSummary {
     en?: string
     es?: string
   }
+  lastReviewed: string // ISO 8601 (Program.lastUpdated)
+}
+
+/** Faculty profile for JSON twin */
+export interface FacultyProfile {
+  type: 'facultyProfile'
+  schemaVersion: number
+  language: 'en' | 'es'
+  facultyId: string
+  name: string
+  title: string
+  department: string
+  institution: string
+  programId: string
+  programUrl: string
+  researchAreas: string[]
+  methodologicalStrengths: MethodsCulture[]
+  acceptingAdvisees: boolean
+  advisingNotes: string
+  notableWork: string[]
+  links: {
+    website: string | null
+    scholar: string | null
+  }
+  alternateLanguage: {
+    en?: string
+    es?: string
+  }
+  lastReviewed: string // ISO 8601 (FacultyMember.lastVerified)
 }
 
 /** Category index page metadata */
 export interface CategoryIndex {
   type: 'categoryIndex'
+  schemaVersion: number
   language: 'en' | 'es'
   category: InsightsCategory | QACategory
   title: string
@@ -266,7 +146,17 @@ export interface CategoryIndex {
     url: string
     abstract: string
     publishedDate?: string
+    tags?: string[] // The page's tags_en / tags_es
+    featured?: boolean // Pinned above the list on page 1
   }[]
+  pagination: {
+    page: number // 1-based
+    pageCount: number
+    prev?: string // Site path of the previous page
+    next?: string // Site path of the next page
+  }
+  feed: string | null // Site path of the category's RSS feed in this language (null: no pages)
+  atomFeed: string | null // Same feed as Atom
   alternateLanguage: {
     en?: string
     es?: string
@@ -284,9 +174,6 @@ export interface ProgramNotes {
   }
 }
 
-/** Language code */
-export type LanguageCode = 'en' | 'es'
-
 /** Page metadata for HTML pages */
 export interface PageMetadata {
   path_en: string
@@ -299,3 +186,109 @@ export interface PageMetadata {
   abstract_es: string
   lastUpdated: string // ISO 8601
 }
+
+/** One h2/h3 heading in a page outline (h3s nest under the preceding h2) */
+export interface OutlineEntry {
+  id: string | null // Anchor id, null when the heading has none
+  text: string
+  level: 2 | 3
+  children: OutlineEntry[]
+}
+
+/** Plain text under one heading (level 1: text before the first h2/h3) */
+export interface PageSection {
+  id: string | null
+  heading: string
+  level: 1 | 2 | 3
+  text: string
+  wordCount: number
+}
+
+export interface PageLink {
+  href: string // Site path (internal) or absolute URL (outbound)
+  text: string
+}
+
+/**
+ * Content fields extracted from a page's <main> (scripts/utils/page-content.js)
+ * Names follow InsightsArticle / QAPage; null when the page doesn't say.
+ */
+export interface PageContent {
+  category: string | null
+  publishedDate: string | null // ISO 8601
+  lastReviewed: string | null // ISO 8601
+  shortAnswer: string | null // .short-answer block (Help/Q&A pages)
+  wordCount: number
+  readingTimeMinutes: number
+  outline: OutlineEntry[]
+  sections: PageSection[]
+  faq: { question: string; answer: string }[]
+  links: {
+    internal: PageLink[]
+    outbound: PageLink[]
+  }
+}
+
+/** Fields every generic twin has, placeholder or not */
+export interface PageTwinBase {
+  type: 'page' | 'scholarship'
+  schemaVersion: number
+  language: 'en' | 'es'
+  path_en: string
+  path_es: string
+  alternateLanguage: {
+    lang: 'en' | 'es'
+    url: string
+    path: string
+    title: string | null // null while the other page has no HTML
+    description: string | null
+    translationPending?: true
+  } | null
+  title: string
+  description: string
+  h1: string
+  canonical: string
+  hreflangLinks: { hreflang: string; href: string }[]
+  seoIntent: {
+    keyword: string
+    audience: string
+    lastReviewed: string
+  } | null
+  generatedAt: string // ISO 8601 date-time
+}
+
+/**
+ * Generic JSON twin written by scripts/generate_page_json.js
+ * Placeholders stand in for alternate pages with no HTML yet, so they have no content.
+ */
+export type PageTwin =
+  | (PageTwinBase & PageContent & { type: 'page' })
+  | (PageTwinBase & { type: 'page'; placeholder: true })
+
+/** ScholarlyArticle microdata of a /scholarship/ page (null when still a template placeholder) */
+export interface ScholarlyMetadata {
+  author: string | null
+  affiliation: string | null
+  abstract: string | null
+  keywords: string[]
+}
+
+/** JSON twin of a scholarly article page, kept in its original language */
+export type ScholarshipTwin = PageTwinBase & PageContent & ScholarlyMetadata & { type: 'scholarship' }
+
+/** One page in the Chat island's retrieval index (public/chat-index.json) */
+export interface ChatIndexEntry {
+  url: string // Site path of the HTML page
+  language: 'en' | 'es'
+  type: string // Twin type (page, scholarship, qaPage, programSummary, ...)
+  title: string
+  summary: string
+  text: string // Other twin text, for matching only (capped)
+  shortAnswer?: string // qaPage twins only
+}
+
+/** Site-wide retrieval index built by scripts/build_chat_index.js */
+export interface ChatIndex {
+  version: number
+  entries: ChatIndexEntry[]
+}
@@ -0,0 +1,385 @@
+/**
+ * English UI strings for React islands
+ *
+ * This dictionary defines the shape every language must follow (see es.ts).
+ * Group strings by island; use {placeholders} with format() for values.
+ *
+ * Spanish Academic 2026
+ */
+
+export const en = {
+  explorer: {
+    title: 'Program Explorer',
+    intro:
+      'Filter graduate programs by degree, funding, admissions requirements and location. Your selections are saved in the page address, so you can bookmark or share this view.',
+    fundingDisclaimer:
+      'Funding figures are approximate and subject to change. Verify current details with each department.',
+    filtersHeading: 'Filter programs',
+    resetFilters: 'Reset filters',
+    any: 'Any',
+    degree: 'Degree',
+    focusArea: 'Focus area',
+    deliveryMode: 'Delivery mode',
+    gre: 'GRE',
+    stipendMin: 'Minimum stipend (USD)',
+    stipendMax: 'Maximum stipend (USD)',
+    yearsMin: 'Guaranteed funding (at least, years)',
+    country: 'Country',
+    state: 'State',
+    acceptingOnly: 'Only programs accepting applications',
+    sortBy: 'Sort by',
+    resultCount: 'Showing {shown} of {total} programs',
+    noResults: 'No programs match these filters. Try removing one of them.',
+    degreeTypes: {
+      MA: 'MA',
+      PhD: 'PhD',
+      Certificate: 'Certificate',
+      'Graduate Minor': 'Graduate minor',
+    },
+    deliveryModes: {
+      'In-Person': 'In person',
+      Online: 'Online',
+      Hybrid: 'Hybrid',
+    },
+    greOptions: {
+      any: 'Any',
+      required: 'Required',
+      notRequired: 'Not required',
+    },
+    sortOptions: {
+      institution: 'Institution (A–Z)',
+      stipend: 'Highest stipend',
+      years: 'Most years of guaranteed funding',
+      acceptance: 'Lowest acceptance rate',
+      updated: 'Most recently updated',
+    },
+    card: {
+      location: 'Location',
+      delivery: 'Delivery',
+      focusAreas: 'Focus areas',
+      stipend: 'Stipend',
+      perYear: '{amount} per year',
+      notReported: 'Not reported',
+      yearsGuaranteed: 'Guaranteed funding',
+      years: '{years} years',
+      greRequired: 'GRE required',
+      greNotRequired: 'GRE not required',
+      accepting: 'Accepting applications',
+      notAccepting: 'Not accepting applications',
+      details: 'Program details',
+      officialSite: 'Official website',
+      lastUpdated: 'Data last updated {date}',
+      compare: 'Compare',
+    },
+    views: {
+      label: 'Explorer view',
+      list: 'Program list',
+      map: 'Map',
+      advisors: 'Find an advisor',
+      compare: 'Compare ({count})',
+      match: 'Match me',
+    },
+    compare: {
+      heading: 'Compare programs',
+      instructions: 'Select {min} to {max} programs from the program list to compare them side by side.',
+      selectedCount: '{count} of {max} programs selected',
+      limitReached: 'You can compare up to {max} programs. Remove one to add another.',
+      needMore: 'Select at least {min} programs to compare.',
+      open: 'Compare selected programs',
+      backToList: 'Back to program list',
+      clear: 'Clear selection',
+      print: 'Print comparison',
+      remove: 'Remove {name} from comparison',
+      caption: 'Side-by-side comparison of {count} programs',
+      tableRegion: 'Comparison table (scrolls horizontally on small screens)',
+      program: 'Program',
+      best: 'Best',
+      bestLegend: 'Cells marked “Best” have the most favorable value for applicants in that row.',
+      yes: 'Yes',
+      no: 'No',
+      rows: {
+        stipend: 'Stipend (approx. per year)',
+        years: 'Years of guaranteed funding',
+        summerFunding: 'Additional summer funding',
+        gre: 'GRE required',
+        writingSample: 'Writing sample required',
+        cohortSize: 'Approximate cohort size',
+        acceptanceRate: 'Approximate acceptance rate',
+        methodsCulture: 'Methods culture',
+      },
+      notesHeading: 'Program notes',
+      notes: {
+        programDescription: 'Program overview',
+        admissionsExpectations: 'Admissions expectations',
+        mentorshipCulture: 'Mentorship culture',
+        practicalWarnings: 'Practical warnings',
+        whatApplicantsShouldKnow: 'What applicants should know',
+      },
+      notesLoading: 'Loading program notes…',
+      notesError: 'Program notes could not be loaded. Refresh the page to try again.',
+    },
+    advisors: {
+      heading: 'Find an advisor',
+      intro:
+        'Search faculty by research area in English or Spanish, methodology and institution. Each advisor links back to their program.',
+      filtersHeading: 'Filter faculty',
+      area: 'Research area',
+      areaHint: 'For example “sociolinguistics” or “sociolingüística”.',
+      methodology: 'Methodology',
+      institution: 'Institution',
+      acceptingOnly: 'Only faculty accepting new advisees',
+      reset: 'Reset filters',
+      resultCount: 'Showing {shown} of {total} faculty members',
+      noResults: 'No faculty match these filters. Try a broader research area.',
+      accepting: 'Accepting advisees',
+      notAccepting: 'Not accepting advisees',
+      program: 'Program',
+      researchAreas: 'Research areas',
+      methods: 'Methodological strengths',
+      notableWork: 'Notable work',
+      website: 'Faculty page',
+      scholar: 'Google Scholar',
+      verified: 'Verified {date}',
+      freshness: {
+        fresh: 'Recently verified',
+        aging: 'Verified more than 6 months ago',
+        stale: 'Not verified in over a year: confirm with the department',
+      },
+      methodsCultures: {
+        'Quantitative (statistical, corpus)': 'Quantitative (statistical, corpus)',
+        'Qualitative (ethnographic, discourse)': 'Qualitative (ethnographic, discourse)',
+        'Mixed Methods': 'Mixed methods',
+        'Theoretical / Literary Analysis': 'Theoretical / literary analysis',
+        Experimental: 'Experimental',
+      },
+    },
+    match: {
+      heading: 'Find programs that fit you',
+      intro:
+        'Answer any of these questions. Programs and faculty are scored in your browser; your answers are not sent anywhere or saved in the page address.',
+      questionsHeading: 'Your profile',
+      interests: 'Research interests',
+      keywords: 'Other interests (comma-separated)',
+      keywordsHint: 'Matched against focus areas and faculty research areas in English and Spanish.',
+      methodology: 'Preferred methods culture',
+      minStipend: 'Minimum stipend you need (USD per year)',
+      minYears: 'Years of guaranteed funding you need',
+      gre: 'GRE',
+      greOptions: {
+        any: 'I am willing to take the GRE',
+        avoid: 'I prefer programs that do not require the GRE',
+      },
+      country: 'Preferred country',
+      state: 'Preferred state',
+      deliveryMode: 'Preferred delivery mode',
+      noPreference: 'No preference',
+      reset: 'Clear answers',
+      prompt: 'Answer at least one question to see your matches.',
+      programsHeading: 'Best-matching programs',
+      facultyHeading: 'Best-matching faculty',
+      facultyPrompt: 'Add research interests or a methods culture to rank faculty as well.',
+      score: '{score}% match',
+      points: '{points} of {max} points',
+      weight: 'up to {points} points',
+      rank: '#{rank}',
+      howHeading: 'How scoring works',
+      howIntro:
+        'Each question you answer is worth up to the points below. A score is the points earned divided by the points available for the questions you answered.',
+      howPrograms: 'Programs',
+      howFaculty: 'Faculty',
+      criteria: {
+        interests: 'Research interests',
+        methods: 'Methods culture',
+        stipend: 'Stipend',
+        years: 'Guaranteed funding',
+        gre: 'GRE',
+        location: 'Location',
+        delivery: 'Delivery mode',
+        advisees: 'Accepting advisees',
+      },
+      reasons: {
+        interestsMatched: 'Matches {matched} of your {total} interests: {areas}',
+        interestsNone: 'Matches none of your {total} interests',
+        methodsFaculty: '{count} of {total} listed faculty list “{method}” among their strengths',
+        methodsNoFaculty: 'No faculty listed yet to check for “{method}”',
+        methodsMatch: 'Lists “{method}” among their strengths',
+        methodsMiss: 'Does not list “{method}” among their strengths',
+        stipendMeets: 'Stipend of about {stipend} meets your minimum of {min}',
+        stipendBelow: 'Stipend of about {stipend} is below your minimum of {min}',
+        stipendUnknown: 'Stipend not reported',
+        yearsMeets: '{years} years guaranteed (you need {min})',
+        yearsBelow: 'Only {years} years guaranteed (you need {min})',
+        yearsUnknown: 'Guaranteed funding not reported',
+        greNotRequired: 'GRE not required',
+        greRequired: 'GRE required',
+        locationMatch: 'Located in {place}',
+        locationSameCountry: 'In your preferred country, but in another state ({place})',
+        locationOther: 'Outside your preferred location ({place})',
+        deliveryMatch: 'Delivery matches your preference ({mode})',
+        deliveryHybrid: 'Hybrid delivery partly matches your preference',
+        deliveryMismatch: 'Delivery does not match your preference ({mode})',
+        accepting: 'Accepting new advisees',
+        notAccepting: 'Not accepting new advisees',
+      },
+    },
+    map: {
+      heading: 'Program map',
+      loading: 'Loading map…',
+      loadError: 'The map could not be loaded. The program list still shows every result.',
+      regionLabel:
+        'Map of the United States and Latin America. Each marker is a program or a group of nearby programs.',
+      zoomIn: 'Zoom in',
+      zoomOut: 'Zoom out',
+      resetView: 'Show whole map',
+      markerLabel: '{name}, {place}',
+      clusterLabel: '{count} programs: {names}',
+      selectedHeading: 'Programs at the selected location',
+      closeSelection: 'Close',
+      listHeading: 'Programs on the map, by location',
+      showOnMap: 'Show {place} on the map',
+      unmappedHeading: 'Not shown on the map',
+      unmappedNote:
+        'These programs match your filters but have no coordinates yet or are outside the area this map covers.',
+    },
+  },
+  chat: {
+    heading: 'Ask a question',
+    intro:
+      'Ask about programs, faculty, funding or applying, in English or Spanish. Answers come from pages on this site, with links to each source.',
+    questionLabel: 'Your question',
+    questionHint: 'For example: Which programs fund PhD students?',
+    submit: 'Ask',
+    searching: 'Searching the site…',
+    loadError: 'The site index could not be loaded. Check your connection and try again.',
+    youAsked: 'You asked',
+    noAnswer: 'No Help answer covers this question yet. These pages look relevant:',
+    noResults:
+      'Nothing on the site matches this question. Try other words, or ask in English or Spanish.',
+    sourcesHeading: 'Sources',
+    otherLanguage: 'In {language}',
+    languages: {
+      en: 'English',
+      es: 'Spanish',
+    },
+    pageTypes: {
+      qaPage: 'Help',
+      programSummary: 'Program',
+      facultyProfile: 'Faculty',
+      insightsArticle: 'Article',
+      page: 'Page',
+    },
+    backends: {
+      local: 'Answered from site pages',
+      remote: 'Answered by the site assistant',
+      fallback: 'The assistant is unavailable, so this answer comes from site pages.',
+    },
+    clear: 'Clear conversation',
+    disclaimer:
+      'Answers may be out of date. Check the linked sources and confirm details with each program. For visa or legal questions, ask your international student office or an immigration attorney.',
+  },
+  search: {
+    label: 'Search the site',
+    hint: 'Words in titles and headings count most. Accents are optional.',
+    prompt: 'Type a word or phrase to search every English page.',
+    loading: 'Loading the search index…',
+    loadError: 'The search index could not be loaded. Check your connection and reload the page.',
+    resultCount: '{count} results for “{query}”',
+    oneResult: '1 result for “{query}”',
+    noResults: 'No pages match “{query}”. Try fewer or different words.',
+    otherLanguage: 'Buscar en las páginas en español',
+  },
+  contact: {
+    heading: 'Contact us',
+    intro:
+      'Questions about a program, a page that needs fixing, or an idea for the site? Write to us and we will reply by email.',
+    required: '(required)',
+    optional: '(optional)',
+    choose: 'Choose one',
+    fields: {
+      name: 'Name',
+      email: 'Email',
+      role: 'I am a…',
+      topic: 'Topic',
+      programId: 'Program',
+      correctionField: 'What is out of date?',
+      proposedValue: 'Correct value',
+      sourceUrl: 'Where is the correct value published?',
+      message: 'Message',
+    },
+    hints: {
+      email: 'We only use it to reply to you.',
+      programId: 'Required if your message is about a specific program.',
+      currentValue: 'Our page currently says: {value}.',
+      proposedNumber: 'A number, for example 34000. Write “none” if the program no longer publishes it.',
+      proposedUrl: 'A full address starting with https://. Write “none” if the page no longer exists.',
+      sourceUrl: 'A link to the official page with the new value lets us check it quickly.',
+      message: '{count} of {max} characters',
+      correctionMessage: 'Tell us what changed and since when. {count} of {max} characters',
+    },
+    roles: {
+      prospectiveStudent: 'Prospective graduate student',
+      currentStudent: 'Current graduate student',
+      faculty: 'Faculty member',
+      programDirector: 'Program director or staff',
+      other: 'Other',
+    },
+    topics: {
+      general: 'General question',
+      program: 'Question about a program',
+      suggestion: 'Suggest a program or faculty member',
+      partnership: 'Partnership or media',
+      technical: 'Problem with the website',
+      correction: 'Report out-of-date program information',
+    },
+    correctionFields: {
+      stipendApproxUSD: 'Annual stipend (USD)',
+      yearsGuaranteed: 'Years of guaranteed funding',
+      tuitionRemission: 'Tuition remission',
+      additionalSummerFunding: 'Summer funding',
+      greRequired: 'GRE General Test required',
+      greSubjectTestRequired: 'GRE Subject Test required',
+      writingSampleRequired: 'Writing sample required',
+      languageProficiencyRequired: 'Additional language required',
+      minGPA: 'Minimum GPA',
+      cohortSizeApprox: 'Typical cohort size',
+      acceptanceRateApprox: 'Acceptance rate (%)',
+      acceptingApplications: 'Accepting applications',
+      deliveryMode: 'Delivery mode',
+      officialWebsite: 'Program website',
+      applicationPortal: 'Application portal',
+      handbookPDF: 'Graduate handbook (PDF)',
+    },
+    yes: 'Yes',
+    no: 'No',
+    notListed: 'not listed',
+    noProgram: 'No specific program',
+    errors: {
+      required: '{field} is required.',
+      tooShort: '{field} must be at least {min} characters.',
+      tooLong: '{field} must be at most {max} characters.',
+      invalidEmail: 'Enter an email address like name@example.edu.',
+      invalidOption: 'Choose one of the options for {field}.',
+      unknownProgram: 'Choose a program from the list.',
+      invalidValue: 'The {field} does not fit the item you chose. Check the hint below it.',
+      invalidUrl: 'Enter a full web address starting with https://.',
+    },
+    summaryHeading: 'Please fix {count} problems before sending:',
+    summaryHeadingOne: 'Please fix 1 problem before sending:',
+    honeypot: 'Leave this field empty',
+    submit: 'Send message',
+    sending: 'Sending…',
+    status: {
+      tooFast: 'That was quick. Please check your message, then send it again.',
+      rateLimited:
+        'You have sent several messages in a short time. Please wait a few minutes and try again.',
+      unavailable:
+        'Your message could not be sent. Please try again in a few minutes. Your text is still in the form.',
+    },
+    sentHeading: 'Thank you, your message was sent',
+    sentText: 'We read every message. If you asked a question, we will reply by email.',
+    sendAnother: 'Send another message',
+    privacy: 'We use your name and email only to answer this message.',
+  },
+};
+
+export type Dictionary = typeof en;
@@ -0,0 +1,392 @@
+/**
+ * Spanish UI strings for React islands
+ *
+ * Must mirror the shape of en.ts exactly (enforced by the Dictionary type).
+ *
+ * Spanish Academic 2026
+ */
+
+import type { Dictionary } from './en';
+
+export const es: Dictionary = {
+  explorer: {
+    title: 'Explorador de programas',
+    intro:
+      'Filtre programas de posgrado por título, financiación, requisitos de admisión y ubicación. Sus selecciones se guardan en la dirección de la página, para que pueda guardar o compartir esta vista.',
+    fundingDisclaimer:
+      'Las cifras de financiación son aproximadas y pueden cambiar. Verifique los detalles vigentes con cada departamento.',
+    filtersHeading: 'Filtrar programas',
+    resetFilters: 'Restablecer filtros',
+    any: 'Cualquiera',
+    degree: 'Título',
+    focusArea: 'Área de especialización',
+    deliveryMode: 'Modalidad',
+    gre: 'GRE',
+    stipendMin: 'Estipendio mínimo (USD)',
+    stipendMax: 'Estipendio máximo (USD)',
+    yearsMin: 'Financiación garantizada (mínimo, años)',
+    country: 'País',
+    state: 'Estado',
+    acceptingOnly: 'Solo programas que aceptan solicitudes',
+    sortBy: 'Ordenar por',
+    resultCount: 'Mostrando {shown} de {total} programas',
+    noResults: 'Ningún programa coincide con estos filtros. Pruebe a quitar alguno.',
+    degreeTypes: {
+      MA: 'Maestría',
+      PhD: 'Doctorado',
+      Certificate: 'Certificado',
+      'Graduate Minor': 'Especialización de posgrado',
+    },
+    deliveryModes: {
+      'In-Person': 'Presencial',
+      Online: 'En línea',
+      Hybrid: 'Híbrida',
+    },
+    greOptions: {
+      any: 'Cualquiera',
+      required: 'Obligatorio',
+      notRequired: 'No obligatorio',
+    },
+    sortOptions: {
+      institution: 'Institución (A–Z)',
+      stipend: 'Mayor estipendio',
+      years: 'Más años de financiación garantizada',
+      acceptance: 'Menor tasa de admisión',
+      updated: 'Actualización más reciente',
+    },
+    card: {
+      location: 'Ubicación',
+      delivery: 'Modalidad',
+      focusAreas: 'Áreas de especialización',
+      stipend: 'Estipendio',
+      perYear: '{amount} al año',
+      notReported: 'No informado',
+      yearsGuaranteed: 'Financiación garantizada',
+      years: '{years} años',
+      greRequired: 'GRE obligatorio',
+      greNotRequired: 'GRE no obligatorio',
+      accepting: 'Acepta solicitudes',
+      notAccepting: 'No acepta solicitudes',
+      details: 'Detalles del programa',
+      officialSite: 'Sitio web oficial',
+      lastUpdated: 'Datos actualizados el {date}',
+      compare: 'Comparar',
+    },
+    views: {
+      label: 'Vista del explorador',
+      list: 'Lista de programas',
+      map: 'Mapa',
+      advisors: 'Buscar director de tesis',
+      compare: 'Comparar ({count})',
+      match: 'Mis coincidencias',
+    },
+    compare: {
+      heading: 'Comparar programas',
+      instructions:
+        'Seleccione entre {min} y {max} programas de la lista para compararlos en paralelo.',
+      selectedCount: '{count} de {max} programas seleccionados',
+      limitReached: 'Puede comparar hasta {max} programas. Quite uno para añadir otro.',
+      needMore: 'Seleccione al menos {min} programas para comparar.',
+      open: 'Comparar programas seleccionados',
+      backToList: 'Volver a la lista de programas',
+      clear: 'Borrar selección',
+      print: 'Imprimir comparación',
+      remove: 'Quitar {name} de la comparación',
+      caption: 'Comparación en paralelo de {count} programas',
+      tableRegion: 'Tabla comparativa (se desplaza horizontalmente en pantallas pequeñas)',
+      program: 'Programa',
+      best: 'Mejor',
+      bestLegend:
+        'Las celdas marcadas con «Mejor» tienen el valor más favorable para los solicitantes en esa fila.',
+      yes: 'Sí',
+      no: 'No',
+      rows: {
+        stipend: 'Estipendio (aprox. por año)',
+        years: 'Años de financiación garantizada',
+        summerFunding: 'Financiación adicional de verano',
+        gre: 'GRE obligatorio',
+        writingSample: 'Muestra de escritura obligatoria',
+        cohortSize: 'Tamaño aproximado de la cohorte',
+        acceptanceRate: 'Tasa de admisión aproximada',
+        methodsCulture: 'Cultura metodológica',
+      },
+      notesHeading: 'Notas del programa',
+      notes: {
+        programDescription: 'Descripción del programa',
+        admissionsExpectations: 'Expectativas de admisión',
+        mentorshipCulture: 'Cultura de mentoría',
+        practicalWarnings: 'Advertencias prácticas',
+        whatApplicantsShouldKnow: 'Lo que los solicitantes deben saber',
+      },
+      notesLoading: 'Cargando notas del programa…',
+      notesError: 'No se pudieron cargar las notas del programa. Actualice la página para volver a intentarlo.',
+    },
+    advisors: {
+      heading: 'Buscar director de tesis',
+      intro:
+        'Busque profesorado por área de investigación en español o inglés, metodología e institución. Cada perfil enlaza con su programa.',
+      filtersHeading: 'Filtrar profesorado',
+      area: 'Área de investigación',
+      areaHint: 'Por ejemplo, «sociolingüística» o «sociolinguistics».',
+      methodology: 'Metodología',
+      institution: 'Institución',
+      acceptingOnly: 'Solo profesorado que acepta nuevos doctorandos',
+      reset: 'Restablecer filtros',
+      resultCount: 'Mostrando {shown} de {total} miembros del profesorado',
+      noResults: 'Ningún profesor coincide con estos filtros. Pruebe un área de investigación más amplia.',
+      accepting: 'Acepta doctorandos',
+      notAccepting: 'No acepta doctorandos',
+      program: 'Programa',
+      researchAreas: 'Áreas de investigación',
+      methods: 'Fortalezas metodológicas',
+      notableWork: 'Obras destacadas',
+      website: 'Página personal',
+      scholar: 'Google Académico',
+      verified: 'Verificado el {date}',
+      freshness: {
+        fresh: 'Verificado recientemente',
+        aging: 'Verificado hace más de 6 meses',
+        stale: 'Sin verificar desde hace más de un año: confírmelo con el departamento',
+      },
+      methodsCultures: {
+        'Quantitative (statistical, corpus)': 'Cuantitativa (estadística, de corpus)',
+        'Qualitative (ethnographic, discourse)': 'Cualitativa (etnográfica, del discurso)',
+        'Mixed Methods': 'Métodos mixtos',
+        'Theoretical / Literary Analysis': 'Teórica / análisis literario',
+        Experimental: 'Experimental',
+      },
+    },
+    match: {
+      heading: 'Encuentre los programas que encajan con usted',
+      intro:
+        'Responda a las preguntas que quiera. Los programas y el profesorado se puntúan en su navegador; sus respuestas no se envían a ningún sitio ni se guardan en la dirección de la página.',
+      questionsHeading: 'Su perfil',
+      interests: 'Intereses de investigación',
+      keywords: 'Otros intereses (separados por comas)',
+      keywordsHint:
+        'Se comparan con las áreas de especialización y las áreas de investigación del profesorado en español e inglés.',
+      methodology: 'Cultura metodológica preferida',
+      minStipend: 'Estipendio mínimo que necesita (USD al año)',
+      minYears: 'Años de financiación garantizada que necesita',
+      gre: 'GRE',
+      greOptions: {
+        any: 'Puedo presentar el GRE sin problema',
+        avoid: 'Prefiero programas que no exijan el GRE',
+      },
+      country: 'País preferido',
+      state: 'Estado preferido',
+      deliveryMode: 'Modalidad preferida',
+      noPreference: 'Sin preferencia',
+      reset: 'Borrar respuestas',
+      prompt: 'Responda al menos una pregunta para ver sus coincidencias.',
+      programsHeading: 'Programas con mayor coincidencia',
+      facultyHeading: 'Profesorado con mayor coincidencia',
+      facultyPrompt:
+        'Añada intereses de investigación o una cultura metodológica para clasificar también al profesorado.',
+      score: '{score} % de coincidencia',
+      points: '{points} de {max} puntos',
+      weight: 'hasta {points} puntos',
+      rank: 'n.º {rank}',
+      howHeading: 'Cómo se calcula la puntuación',
+      howIntro:
+        'Cada pregunta que responde vale hasta los puntos indicados abajo. La puntuación es el total de puntos obtenidos dividido entre los puntos posibles de las preguntas que respondió.',
+      howPrograms: 'Programas',
+      howFaculty: 'Profesorado',
+      criteria: {
+        interests: 'Intereses de investigación',
+        methods: 'Cultura metodológica',
+        stipend: 'Estipendio',
+        years: 'Financiación garantizada',
+        gre: 'GRE',
+        location: 'Ubicación',
+        delivery: 'Modalidad',
+        advisees: 'Acepta doctorandos',
+      },
+      reasons: {
+        interestsMatched: 'Coincide con {matched} de sus {total} intereses: {areas}',
+        interestsNone: 'No coincide con ninguno de sus {total} intereses',
+        methodsFaculty:
+          '{count} de {total} profesores incluyen «{method}» entre sus fortalezas',
+        methodsNoFaculty: 'Aún no hay profesorado registrado para comprobar «{method}»',
+        methodsMatch: 'Incluye «{method}» entre sus fortalezas',
+        methodsMiss: 'No incluye «{method}» entre sus fortalezas',
+        stipendMeets: 'Un estipendio de unos {stipend} cubre su mínimo de {min}',
+        stipendBelow: 'Un estipendio de unos {stipend} no alcanza su mínimo de {min}',
+        stipendUnknown: 'Estipendio no informado',
+        yearsMeets: '{years} años garantizados (necesita {min})',
+        yearsBelow: 'Solo {years} años garantizados (necesita {min})',
+        yearsUnknown: 'Financiación garantizada no informada',
+        greNotRequired: 'No exige el GRE',
+        greRequired: 'Exige el GRE',
+        locationMatch: 'Ubicado en {place}',
+        locationSameCountry: 'En su país preferido, pero en otro estado ({place})',
+        locationOther: 'Fuera de su ubicación preferida ({place})',
+        deliveryMatch: 'La modalidad coincide con su preferencia ({mode})',
+        deliveryHybrid: 'La modalidad híbrida coincide en parte con su preferencia',
+        deliveryMismatch: 'La modalidad no coincide con su preferencia ({mode})',
+        accepting: 'Acepta nuevos doctorandos',
+        notAccepting: 'No acepta nuevos doctorandos',
+      },
+    },
+    map: {
+      heading: 'Mapa de programas',
+      loading: 'Cargando el mapa…',
+      loadError: 'No se pudo cargar el mapa. La lista de programas sigue mostrando todos los resultados.',
+      regionLabel:
+        'Mapa de Estados Unidos y América Latina. Cada marcador es un programa o un grupo de programas cercanos.',
+      zoomIn: 'Acercar',
+      zoomOut: 'Alejar',
+      resetView: 'Ver todo el mapa',
+      markerLabel: '{name}, {place}',
+      clusterLabel: '{count} programas: {names}',
+      selectedHeading: 'Programas en la ubicación seleccionada',
+      closeSelection: 'Cerrar',
+      listHeading: 'Programas del mapa, por ubicación',
+      showOnMap: 'Mostrar {place} en el mapa',
+      unmappedHeading: 'No aparecen en el mapa',
+      unmappedNote:
+        'Estos programas cumplen sus filtros, pero aún no tienen coordenadas o están fuera del área que cubre este mapa.',
+    },
+  },
+  chat: {
+    heading: 'Haga una pregunta',
+    intro:
+      'Pregunte sobre programas, profesorado, financiación o admisiones, en español o en inglés. Las respuestas provienen de páginas de este sitio, con enlaces a cada fuente.',
+    questionLabel: 'Su pregunta',
+    questionHint: 'Por ejemplo: ¿Qué programas financian a sus doctorandos?',
+    submit: 'Preguntar',
+    searching: 'Buscando en el sitio…',
+    loadError: 'No se pudo cargar el índice del sitio. Compruebe su conexión e inténtelo de nuevo.',
+    youAsked: 'Su pregunta',
+    noAnswer:
+      'Ninguna respuesta de Ayuda cubre esta pregunta todavía. Estas páginas parecen relevantes:',
+    noResults:
+      'Nada en el sitio coincide con esta pregunta. Pruebe con otras palabras, en español o en inglés.',
+    sourcesHeading: 'Fuentes',
+    otherLanguage: 'En {language}',
+    languages: {
+      en: 'inglés',
+      es: 'español',
+    },
+    pageTypes: {
+      qaPage: 'Ayuda',
+      programSummary: 'Programa',
+      facultyProfile: 'Profesorado',
+      insightsArticle: 'Artículo',
+      page: 'Página',
+    },
+    backends: {
+      local: 'Respuesta basada en páginas del sitio',
+      remote: 'Respuesta del asistente del sitio',
+      fallback:
+        'El asistente no está disponible, así que esta respuesta proviene de páginas del sitio.',
+    },
+    clear: 'Borrar conversación',
+    disclaimer:
+      'Las respuestas pueden estar desactualizadas. Consulte las fuentes enlazadas y confirme los detalles con cada programa. Para preguntas de visado o legales, consulte a la oficina de estudiantes internacionales o a un abogado de inmigración.',
+  },
+  search: {
+    label: 'Buscar en el sitio',
+    hint: 'Las palabras de títulos y encabezados cuentan más. Los acentos son opcionales.',
+    prompt: 'Escriba una palabra o frase para buscar en todas las páginas en español.',
+    loading: 'Cargando el índice de búsqueda…',
+    loadError:
+      'No se pudo cargar el índice de búsqueda. Compruebe su conexión y vuelva a cargar la página.',
+    resultCount: '{count} resultados para «{query}»',
+    oneResult: '1 resultado para «{query}»',
+    noResults: 'Ninguna página coincide con «{query}». Pruebe con menos palabras o con otras.',
+    otherLanguage: 'Search the English pages',
+  },
+  contact: {
+    heading: 'Contáctenos',
+    intro:
+      '¿Tiene preguntas sobre un programa, una página que corregir o una idea para el sitio? Escríbanos y le responderemos por correo electrónico.',
+    required: '(obligatorio)',
+    optional: '(opcional)',
+    choose: 'Elija una opción',
+    fields: {
+      name: 'Nombre',
+      email: 'Correo electrónico',
+      role: 'Soy…',
+      topic: 'Tema',
+      programId: 'Programa',
+      correctionField: '¿Qué dato está desactualizado?',
+      proposedValue: 'Valor correcto',
+      sourceUrl: '¿Dónde se publica el valor correcto?',
+      message: 'Mensaje',
+    },
+    hints: {
+      email: 'Solo lo usamos para responderle.',
+      programId: 'Obligatorio si su mensaje trata de un programa concreto.',
+      currentValue: 'Nuestra página indica actualmente: {value}.',
+      proposedNumber: 'Un número, por ejemplo 34000. Escriba «ninguno» si el programa ya no lo publica.',
+      proposedUrl: 'Una dirección completa que empiece por https://. Escriba «ninguno» si la página ya no existe.',
+      sourceUrl: 'Un enlace a la página oficial con el nuevo valor nos permite comprobarlo rápidamente.',
+      message: '{count} de {max} caracteres',
+      correctionMessage: 'Indíquenos qué cambió y desde cuándo. {count} de {max} caracteres',
+    },
+    roles: {
+      prospectiveStudent: 'Futuro estudiante de posgrado',
+      currentStudent: 'Estudiante de posgrado',
+      faculty: 'Docente o investigador',
+      programDirector: 'Dirección o personal de un programa',
+      other: 'Otro',
+    },
+    topics: {
+      general: 'Pregunta general',
+      program: 'Pregunta sobre un programa',
+      suggestion: 'Sugerir un programa o docente',
+      partnership: 'Colaboraciones o prensa',
+      technical: 'Problema con el sitio web',
+      correction: 'Informar de datos desactualizados de un programa',
+    },
+    correctionFields: {
+      stipendApproxUSD: 'Estipendio anual (USD)',
+      yearsGuaranteed: 'Años de financiación garantizada',
+      tuitionRemission: 'Exención de matrícula',
+      additionalSummerFunding: 'Financiación de verano',
+      greRequired: 'Se exige el GRE General',
+      greSubjectTestRequired: 'Se exige el GRE Subject',
+      writingSampleRequired: 'Se exige muestra de escritura',
+      languageProficiencyRequired: 'Se exige otro idioma',
+      minGPA: 'GPA mínimo',
+      cohortSizeApprox: 'Tamaño habitual de la cohorte',
+      acceptanceRateApprox: 'Tasa de admisión (%)',
+      acceptingApplications: 'Admite solicitudes',
+      deliveryMode: 'Modalidad',
+      officialWebsite: 'Sitio web del programa',
+      applicationPortal: 'Portal de solicitud',
+      handbookPDF: 'Manual de posgrado (PDF)',
+    },
+    yes: 'Sí',
+    no: 'No',
+    notListed: 'no figura',
+    noProgram: 'Ningún programa concreto',
+    errors: {
+      required: 'El campo «{field}» es obligatorio.',
+      tooShort: 'El campo «{field}» debe tener al menos {min} caracteres.',
+      tooLong: 'El campo «{field}» debe tener como máximo {max} caracteres.',
+      invalidEmail: 'Escriba una dirección de correo como nombre@ejemplo.edu.',
+      invalidOption: 'Elija una de las opciones de «{field}».',
+      unknownProgram: 'Elija un programa de la lista.',
+      invalidValue: 'El campo «{field}» no es válido para el dato elegido. Revise la indicación que aparece debajo.',
+      invalidUrl: 'Escriba una dirección web completa que empiece por https://.',
+    },
+    summaryHeading: 'Corrija {count} problemas antes de enviar:',
+    summaryHeadingOne: 'Corrija 1 problema antes de enviar:',
+    honeypot: 'Deje este campo vacío',
+    submit: 'Enviar mensaje',
+    sending: 'Enviando…',
+    status: {
+      tooFast: 'Ha sido muy rápido. Revise su mensaje y vuelva a enviarlo.',
+      rateLimited:
+        'Ha enviado varios mensajes en poco tiempo. Espere unos minutos e inténtelo de nuevo.',
+      unavailable:
+        'No se pudo enviar su mensaje. Inténtelo de nuevo en unos minutos. Su texto sigue en el formulario.',
+    },
+    sentHeading: 'Gracias, su mensaje se ha enviado',
+    sentText: 'Leemos todos los mensajes. Si hizo una pregunta, le responderemos por correo electrónico.',
+    sendAnother: 'Enviar otro mensaje',
+    privacy: 'Usamos su nombre y correo electrónico solo para responder a este mensaje.',
+  },
+};
@@ -0,0 +1,84 @@
+/**
+ * i18n Utilities for React Islands
+ *
+ * Islands never hardcode user-facing strings. They read the page language from
+ * the static HTML (<html lang> or the /es/ path prefix) and look strings up in
+ * the en/es dictionaries, which share one shape so a missing Spanish string
+ * fails type-checking.
+ *
+ * Spanish Academic 2026
+ */
+
+import { getLangAttribute } from '@/utils/localization';
+import type { LanguageCode } from '@/data/structured/types';
+import { en, type Dictionary } from './en';
+import { es } from './es';
+
+export type { Dictionary, LanguageCode };
+
+const dictionaries: Record<LanguageCode, Dictionary> = { en, es };
+
+/**
+ * Detect the language of the page hosting an island
+ * Prefers <html lang>, falls back to the URL path (/es/... → es)
+ */
+export function getPageLanguage(): LanguageCode {
+  if (typeof document !== 'undefined') {
+    const htmlLang = document.documentElement.lang.toLowerCase();
+    if (htmlLang.startsWith('es')) return 'es';
+    if (htmlLang.startsWith('en')) return 'en';
+  }
+
+  if (typeof window !== 'undefined') {
+    return getLangAttribute(window.location.pathname);
+  }
+
+  return 'en';
+}
+
+/**
+ * Get the UI dictionary for a language
+ */
+export function getDictionary(lang: LanguageCode): Dictionary {
+  return dictionaries[lang];
+}
+
+/**
+ * Replace {placeholders} in a dictionary string
+ *
+ * @example
+ * format('Showing {shown} of {total}', { shown: 2, total: 5 }) // 'Showing 2 of 5'
+ */
+export function format(template: string, values: Record<string, string | number>): string {
+  return template.replace(/\{(\w+)\}/g, (match, key: string) =>
+    key in values ? String(values[key]) : match
+  );
+}
+
+/**
+ * Base names of fields that exist as both `${base}_en` and `${base}_es`
+ */
+export type BilingualField<T> = {
+  [K in keyof T]: K extends `${infer Base}_en` ? (`${Base}_es` extends keyof T ? Base : never) : never;
+}[keyof T];
+
+/**
+ * Read the current-language value of a bilingual field
+ *
+ * @example
+ * localize(program, 'institution', 'es') // program.institution_es
+ */
+export function localize<T, B extends BilingualField<T> & string>(
+  record: T,
+  base: B,
+  lang: LanguageCode
+): T[`${B}_en` & keyof T] {
+  return record[`${base}_${lang}` as `${B}_en` & keyof T];
+}
+
+/**
+ * Locale tag for Intl formatters
+ */
+export function getLocale(lang: LanguageCode): string {
+  return lang === 'es' ? 'es-ES' : 'en-US';
+}
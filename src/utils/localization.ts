@@ -10,6 +10,7 @@
  * Spanish Academic 2026
  */
 
+import { siteConfig } from '../config/site';
 import { translateSlug, type LanguageCode } from './slugTranslations';
 
 /**
@@ -43,24 +44,24 @@ export interface LocalizedMetadata {
  * Includes both language versions and x-default
  *
  * @param pathMetadata - Object with path_en and path_es
- * @param baseUrl - Base URL of the site (e.g., "https://spanish-academic.com")
+ * @param baseUrl - Base URL of the site (default: the configured origin, src/config/site.ts)
  * @returns Array of link tag HTML strings
  *
  * @example
  * generateHreflangLinks(
  *   { path_en: '/insights/funding.html', path_es: '/es/insights/financiacion.html' },
- *   'https://spanish-academic.com'
+ *   'https://spanishacademic.com'
  * )
  * // Returns:
  * // [
- * //   '<link rel="alternate" hreflang="en" href="https://spanish-academic.com/insights/funding.html">',
- * //   '<link rel="alternate" hreflang="es" href="https://spanish-academic.com/es/insights/financiacion.html">',
- * //   '<link rel="alternate" hreflang="x-default" href="https://spanish-academic.com/insights/funding.html">'
+ * //   '<link rel="alternate" hreflang="en" href="https://spanishacademic.com/insights/funding.html">',
+ * //   '<link rel="alternate" hreflang="es" href="https://spanishacademic.com/es/insights/financiacion.html">',
+ * //   '<link rel="alternate" hreflang="x-default" href="https://spanishacademic.com/insights/funding.html">'
  * // ]
  */
 export function generateHreflangLinks(
   pathMetadata: PathMetadata,
-  baseUrl: string = 'https://spanish-academic.com'
+  baseUrl: string = siteConfig.origin
 ): string[] {
   const { path_en, path_es } = pathMetadata;
 
@@ -83,7 +84,7 @@ export function generateHreflangLinks(
  */
 export function generateHreflangLinksHTML(
   pathMetadata: PathMetadata,
-  baseUrl: string = 'https://spanish-academic.com'
+  baseUrl: string = siteConfig.origin
 ): string {
   return generateHreflangLinks(pathMetadata, baseUrl).join('\n    ');
 }
@@ -0,0 +1,164 @@
+/**
+ * Site Search: tokenizing, stemming and querying the per-language index
+ *
+ * Shared by scripts/build_search_index.js (which tokenizes every page) and the
+ * Search island (which tokenizes the query), so both sides always agree on
+ * what a term is. Keep this module free of @/ imports: the build script loads
+ * it with tsx.
+ *
+ * Spanish Academic 2026
+ */
+
+import type { LanguageCode } from './slugTranslations';
+import { foldText } from './text';
+
+/**
+ * Points a term earns per occurrence field; stored in the index at build time
+ */
+export const SEARCH_FIELD_WEIGHTS = {
+  title: 5,
+  h1: 4,
+  category: 3,
+  description: 2,
+  body: 1,
+} as const;
+
+export type SearchField = keyof typeof SEARCH_FIELD_WEIGHTS;
+
+/** A page in the search index */
+export interface SearchDocument {
+  url: string;
+  title: string;
+  description: string;
+  category?: string;
+}
+
+/**
+ * Per-language search index (public/search-index.<lang>.json)
+ * postings[term] is a flat list of [documentIndex, weight, documentIndex, weight, ...]
+ */
+export interface SearchIndex {
+  version: number;
+  language: LanguageCode;
+  documents: SearchDocument[];
+  postings: Record<string, number[]>;
+}
+
+export interface SearchResult {
+  document: SearchDocument;
+  score: number;
+}
+
+/** Minimum length before the last query word also matches as a prefix */
+const PREFIX_MIN_LENGTH = 3;
+
+/**
+ * Stopwords per language, folded (no accents) to compare against folded words
+ */
+export const STOPWORDS: Record<LanguageCode, ReadonlySet<string>> = {
+  en: new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+    'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'should', 'that', 'the', 'there',
+    'this', 'to', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your',
+  ]),
+  es: new Set([
+    'a', 'al', 'como', 'con', 'cual', 'cuales', 'cuando', 'de', 'del', 'donde', 'el', 'en', 'es',
+    'esta', 'este', 'hay', 'la', 'las', 'lo', 'los', 'mi', 'mis', 'o', 'para', 'por', 'puedo',
+    'que', 'quien', 'se', 'si', 'son', 'su', 'sus', 'un', 'una', 'y', 'yo',
+  ]),
+};
+
+/**
+ * Light English stemmer: plural and common verb endings only
+ * (studies → study, funding/funded/funds → fund)
+ */
+function stemEnglish(word: string): string {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) word = word.slice(0, -1);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  return word;
+}
+
+/**
+ * Light Spanish stemmer (plural and gender endings, after accent folding)
+ * (universidades → universidad, lingüísticas → linguistic, luces → luz)
+ */
+function stemSpanish(word: string): string {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ces')) return word.slice(0, -3) + 'z';
+  if (/(os|as|es)$/.test(word)) return word.slice(0, -2);
+  if (/[aoe]$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+export function stem(word: string, lang: LanguageCode): string {
+  return lang === 'es' ? stemSpanish(word) : stemEnglish(word);
+}
+
+/**
+ * Fold, split, drop stopwords and stem
+ * Index and query must both go through this for terms to match.
+ */
+export function tokenize(text: string, lang: LanguageCode): string[] {
+  return foldText(text)
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOPWORDS[lang].has(word))
+    .map((word) => stem(word, lang));
+}
+
+/**
+ * Look up documents for one term: exact postings, or (for the word still
+ * being typed) every term starting with it, keeping each document's best weight
+ */
+function lookupTerm(index: SearchIndex, term: string, prefix: boolean): Map<number, number> {
+  const weights = new Map<number, number>();
+  const terms = prefix ? Object.keys(index.postings).filter((t) => t.startsWith(term)) : [term];
+
+  for (const t of terms) {
+    const postings = index.postings[t] ?? [];
+    for (let i = 0; i < postings.length; i += 2) {
+      const doc = postings[i];
+      weights.set(doc, Math.max(weights.get(doc) ?? 0, postings[i + 1]));
+    }
+  }
+  return weights;
+}
+
+/**
+ * Search the index, best first (ties broken by URL)
+ *
+ * Each query term scores its stored weight times how rare the term is.
+ * Documents matching more of the query rank higher than documents matching
+ * one term often. While the last word is still being typed it also matches
+ * as a prefix, so results appear as you type.
+ */
+export function searchSite(index: SearchIndex, query: string, limit = 20): SearchResult[] {
+  const terms = [...new Set(tokenize(query, index.language))];
+  if (terms.length === 0) return [];
+
+  const typing = !/\s$/.test(query);
+  const scores = new Map<number, { score: number; matched: number }>();
+
+  terms.forEach((term, i) => {
+    const prefix = typing && i === terms.length - 1 && term.length >= PREFIX_MIN_LENGTH;
+    const weights = lookupTerm(index, term, prefix);
+    if (weights.size === 0) return;
+
+    const idf = Math.log(1 + index.documents.length / weights.size);
+    for (const [doc, weight] of weights) {
+      const current = scores.get(doc) ?? { score: 0, matched: 0 };
+      scores.set(doc, { score: current.score + weight * idf, matched: current.matched + 1 });
+    }
+  });
+
+  return [...scores.entries()]
+    .map(([doc, { score, matched }]) => ({
+      document: index.documents[doc],
+      score: Math.round(score * (matched / terms.length) * 1000) / 1000,
+    }))
+    .sort((a, b) => b.score - a.score || a.document.url.localeCompare(b.document.url))
+    .slice(0, limit);
+}
@@ -0,0 +1,17 @@
+/**
+ * Text normalization shared by client-side matching and search
+ *
+ * Spanish Academic 2026
+ */
+
+/**
+ * Lowercase, strip accents and trim, so "Sociofonética" and "sociofonetica"
+ * compare equal. Use on both sides of a comparison.
+ */
+export function foldText(text: string): string {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
@@ -17,6 +17,11 @@ const bundleSizeEnforcer = (): Plugin => ({
 
 // https://vitejs.dev/config/
 export default defineConfig({
+  // src/config/site.ts reads these; SITE_ENV=staging npm run build builds the islands for staging
+  define: {
+    'process.env.SITE_ENV': JSON.stringify(process.env.SITE_ENV ?? ''),
+    'process.env.SITE_ORIGIN': JSON.stringify(process.env.SITE_ORIGIN ?? ''),
+  },
   plugins: [
     react(),
     // Bundle size visualization - generates stats.html after build
@@ -41,6 +46,9 @@ export default defineConfig({
   build: {
     // Build React islands into public/assets for deployment
     outDir: 'public/assets',
+    // public/assets/manifest.json maps each island entry to its hashed files;
+    // scripts/inject_island_assets.js writes the page tags from it
+    manifest: 'manifest.json',
     rollupOptions: {
       // Separate entry points for each React island
       // Each island loads ONLY when its root element is present in the HTML
@@ -48,6 +56,7 @@ export default defineConfig({
         explorer: resolve(__dirname, 'src/apps/explorer/main.tsx'),
         chat: resolve(__dirname, 'src/apps/chat/main.tsx'),
         contact: resolve(__dirname, 'src/apps/contact/main.tsx'),
+        search: resolve(__dirname, 'src/apps/search/main.tsx'),
       },
       output: {
         // Manual chunk splitting for better caching and code reuse